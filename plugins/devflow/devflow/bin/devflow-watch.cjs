@@ -5,10 +5,15 @@
  * devflow-watch — daemon CLI for the seamless handoff watcher.
  *
  * Subcommands:
- *   start [--project <path>] [--shell <name>] [--foreground]
+ *   start [--project <path>] [--shell <name>] [--concurrency N] [--socket] [--foreground]
  *     Start the daemon. Default detaches (background); --foreground stays
  *     in this process. Refuses to start if a live PID is already recorded.
- *     Cleans up stale PID files automatically.
+ *     Cleans up stale PID files automatically. Each watched project gets its
+ *     own long-lived shell session; up to N projects dispatch at once
+ *     (default .planning/config.json daemon.max_concurrent, else 4), each
+ *     project's queue staying FIFO. --socket (or daemon.socket: true) also
+ *     serves the Unix socket RPC (lib/watcher-rpc.cjs) that hooks use
+ *     instead of polling files.
  *
  *   stop
  *     Send SIGTERM to the recorded daemon. Waits up to 5s for clean exit,
@@ -17,11 +22,52 @@
  *
  *   status
  *     Print JSON: { running, pid, version, uptime_ms, project, shell,
- *                   pending_count, done_count, allowlist_size }
+ *                   pending_count, done_count, allowlist_size,
+ *                   max_concurrent, queue_depths: { [project]:
+ *                   { queued, in_flight } }, sessions: { [project]:
+ *                   { restarts, last_restart_at, last_restart_reason } } }
+ *     `sessions` counts shell respawns (watchdog, timeout, crash).
  *
  *   logs [--tail N]
  *     Print the last N lines of ~/.devflow/devflow-watch.log (default 100).
  *
+ *   allowlist check "<cmd>" [--project <path>]
+ *     Print JSON explaining the decision for <cmd>: the entry that matched
+ *     (label, source, pattern), or the guard / project deny / skipIf rule
+ *     that rejected it. Quote the command so its flags aren't parsed here.
+ *
+ *   allowlist lint [--project <path>]
+ *     Report invalid, shadowed, overly broad or unanchored patterns in the
+ *     user and project allow files. Exit 3 when any finding is an error.
+ *
+ *   allowlist approve [--project <path>]
+ *     Approve the project's .devflow/watch-allow.json additions — records
+ *     their hash in ~/.devflow/watch-allow-approvals.json.
+ *
+ *   events [--project <path>]
+ *     Subscribe to the daemon's socket and print one JSON line per
+ *     dispatch / done event until interrupted. Exit 3 when the daemon was
+ *     not started with --socket.
+ *
+ *   audit verify [--file <path>] [--key-file <path>]
+ *     Check the keyed hash chain of ~/.devflow/devflow-watch-audit.jsonl
+ *     (one record per handoff the daemon finished) against
+ *     ~/.devflow/devflow-watch-audit.key. Prints JSON { ok, records,
+ *     problems }; exit 3 when a record was edited, deleted or cut off, or
+ *     the key is missing.
+ *
+ *   webhook [--project <path>] [--port N] [--host H] [--apply]
+ *     Run the GitHub webhook receiver in the foreground (lib/gh-webhook.cjs).
+ *     Verified issues / issue_comment / milestone / projects_v2_item
+ *     deliveries are queued in <project>/.planning/.pm-inbox.jsonl for
+ *     `df-tools pm pull --inbox --apply`; --apply applies drift immediately.
+ *     The HMAC secret comes from $DEVFLOW_WEBHOOK_SECRET. Default
+ *     127.0.0.1:8787.
+ *
+ *   webhook replay <fixture.json|dir>... [--url <url>]
+ *     Sign and POST recorded delivery fixtures ({ event, delivery?, payload })
+ *     to a running receiver — for local testing without GitHub.
+ *
  *   version
  *     Print "devflow-watch <version>".
  *
@@ -93,8 +139,16 @@ function cmdStatus() {
     shell: info ? info.shell : null,
     pending_counts: {},                              // per-project map — new
     done_counts: {},                                 // new
+    max_concurrent: null,
+    queue_depths: {},                                // per-project scheduler view
+    sessions: {},                                    // per-project shell restarts
   };
 
+  // Scheduler snapshot is only meaningful while the daemon is alive.
+  const queue = live ? state.readQueueFile() : null;
+  const inFlight = (queue && queue.in_flight) || {};
+  if (queue) result.max_concurrent = queue.max_concurrent;
+
   // Per-project pending/done counts
   for (const p of watching) {
     try {
@@ -110,6 +164,14 @@ function cmdStatus() {
       result.pending_counts[p] = 0;
       result.done_counts[p] = 0;
     }
+    // The in-flight record stays in pending/ until its done record lands.
+    const running = inFlight[p] || null;
+    result.queue_depths[p] = {
+      queued: Math.max(0, result.pending_counts[p] - (running ? 1 : 0)),
+      in_flight: running,
+    };
+    result.sessions[p] = (queue && queue.sessions && queue.sessions[p])
+      || { restarts: 0, last_restart_at: null, last_restart_reason: null };
   }
 
   // Back-compat scalar sums
@@ -228,20 +290,32 @@ function cmdStart(flags) {
     }
   }
   const shell = flags.shell || process.env.SHELL || 'bash';
+  let concurrency = null;
+  if (flags.concurrency !== undefined) {
+    concurrency = parseInt(flags.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      printErr(`devflow-watch: --concurrency must be a positive integer (got ${flags.concurrency})`);
+      return 1;
+    }
+  }
+
+  const socket = flags.socket === true;
 
   if (flags.foreground) {
-    return runForeground({ projects, shell });
+    return runForeground({ projects, shell, concurrency, socket });
   }
-  return startDetached({ projects, shell });
+  return startDetached({ projects, shell, concurrency, socket });
 }
 
-function startDetached({ projects, shell }) {
+function startDetached({ projects, shell, concurrency, socket }) {
   // Spawn ourselves with --foreground in a detached child. Pass projects as
   // comma-list to match the input format.
   const projectArg = projects.join(',');
   const child = spawn(process.execPath, [__filename, 'start',
     '--project', projectArg,
     '--shell', shell,
+    ...(concurrency ? ['--concurrency', String(concurrency)] : []),
+    ...(socket ? ['--socket'] : []),
     '--foreground',
   ], {
     detached: true,
@@ -269,9 +343,10 @@ function startDetached({ projects, shell }) {
   });
 }
 
-function runForeground({ projects, shell }) {
-  // 20-03: primary projectRoot for logs/cwd/config-load is projects[0];
-  // the daemon iterates ALL projects via watching:[] in PID file.
+function runForeground({ projects, shell, concurrency, socket }) {
+  // 20-03: primary projectRoot for config-load is projects[0]; the daemon
+  // iterates ALL projects via watching:[] in PID file, each with its own
+  // shell session (cwd = that project).
   const projectRoot = projects[0];
   // Lazy require so the start CLI doesn't pay the import cost when launching detached.
   const daemon = require('./lib/watcher-daemon.cjs');
@@ -296,13 +371,22 @@ function runForeground({ projects, shell }) {
   log('info', `started pid=${process.pid} projects=${projects.join(',')} shell=${shell}`);
   printOut(`devflow-watch: started (pid ${process.pid}, projects ${projects.join(',')})`);
 
-  const { allowlist, userPatterns, degraded } = allowlistLib.loadAllowlist();
+  const { allowlist, userPatterns, degraded, errors } = allowlistLib.loadAllowlist();
   if (degraded) log('warn', 'user allow file present but malformed; ignoring');
+  for (const e of errors) log('warn', `user allow file ${e.where}: ${e.message}; entry ignored`);
   log('info', `allowlist size=${allowlist.length} (${userPatterns} user-extended)`);
-
-  const session = new ShellSession({ shell, cwd: projectRoot, interactive: true });
+  // Per-project .devflow/watch-allow.json, reloaded when it changes.
+  const allowlistFor = allowlistLib.createAllowlistLoader(log);
+  const audit = require('./lib/watcher-audit.cjs').openAuditLog();
+  log('info', `audit log ${audit.path}`);
+
+  const sessions = daemon.createSessionPool((cwd) => {
+    log('info', `spawning shell session for ${cwd}`);
+    return new ShellSession({ shell, cwd, interactive: true });
+  });
 
   let loop = null;
+  let rpc = null;
   let shuttingDown = false;
   async function shutdown(signal) {
     if (shuttingDown) return;
@@ -311,7 +395,12 @@ function runForeground({ projects, shell }) {
     if (loop) {
       try { await loop.stop(); } catch (e) { log('error', `loop.stop: ${e.message}`); }
     }
-    try { await session.kill(); } catch {}
+    if (rpc) {
+      try { await rpc.close(); } catch (e) { log('error', `rpc.close: ${e.message}`); }
+    }
+    if (notifier) await notifier.close(); // send grouped notifications
+    try { await sessions.killAll(); } catch {}
+    state.removeQueueFile();
     state.removePidFile();
     log('info', 'exited cleanly');
     try { fs.closeSync(logFd); } catch {}
@@ -321,33 +410,68 @@ function runForeground({ projects, shell }) {
   process.on('SIGTERM', () => shutdown('SIGTERM'));
   process.on('SIGINT', () => shutdown('SIGINT'));
 
-  // TRD 20-01: opt-in OS notifications via .planning/config.json
-  //   daemon: { notifications, notify_on_start, notify_on_complete }
-  // Disabled by default. Construction errors fall back to no-notifier
-  // (deps.notifier=null) — daemon stays functional even if config is
-  // malformed.
+  // Notifications go through lib/notify-router.cjs: daemon.notify routes
+  // start / complete events to sinks; without it the TRD 20-01 flags
+  // (notifications, notify_on_start, notify_on_complete) route them to the
+  // desktop. Disabled by default. A malformed config leaves the daemon
+  // running without notifications (deps.notifier=null).
   let notifier = null;
-  let notify_on_start = true;
-  let notify_on_complete = true;
+  let maxConcurrent = concurrency || daemon.DEFAULT_MAX_CONCURRENT;
+  let socketEnabled = socket === true;
+  // Session watchdog: probes on by default, daemon.watchdog: false turns it
+  // off; hang detection only with daemon.watchdog.hang_after_ms set.
+  let watchdog = daemon.watchdogOptions(undefined);
   try {
     const configPath = path.join(projectRoot, '.planning', 'config.json');
     if (fs.existsSync(configPath)) {
       const cfg = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      if (cfg && cfg.daemon && cfg.daemon.notifications === true) {
-        notifier = require('./lib/notifier.cjs');
-        if (cfg.daemon.notify_on_start === false) notify_on_start = false;
-        if (cfg.daemon.notify_on_complete === false) notify_on_complete = false;
-        log('info', `notifications enabled (start=${notify_on_start}, complete=${notify_on_complete})`);
+      // --concurrency wins over daemon.max_concurrent.
+      const cfgMax = cfg && cfg.daemon ? parseInt(cfg.daemon.max_concurrent, 10) : NaN;
+      if (!concurrency && Number.isInteger(cfgMax) && cfgMax > 0) maxConcurrent = cfgMax;
+      if (cfg && cfg.daemon && cfg.daemon.socket === true) socketEnabled = true;
+      if (cfg && cfg.daemon) watchdog = daemon.watchdogOptions(cfg.daemon.watchdog);
+      const notifyLib = require('./lib/notify-router.cjs');
+      const notifyConfig = notifyLib.loadNotifyConfig(cfg && cfg.daemon);
+      for (const e of notifyConfig.errors) log('warn', `daemon.notify ${e.where}: ${e.message}; ignored`);
+      if (notifyConfig.routes.some((r) => r.events.includes('start') || r.events.includes('complete'))) {
+        notifier = notifyLib.createRouter(notifyConfig, { log });
+        log('info', `notifications enabled (${notifyConfig.routes.length} routes; sinks ${Object.keys(notifyConfig.sinks).join(',')})`);
       }
     }
   } catch (e) {
     log('warn', `notifications config load failed: ${e.message}; continuing without notifications`);
   }
 
-  return session.spawn().then(() => {
+  // Fail fast when the shell can't start at all — later per-project spawn
+  // failures are reported as error done records by the loop.
+  return sessions.get(projectRoot).then(async () => {
+    log('info', `scheduler max_concurrent=${maxConcurrent}`);
+    log('info', watchdog
+      ? `watchdog every ${watchdog.interval_ms}ms (probe ${watchdog.probe_timeout_ms}ms, hang ${watchdog.hang_after_ms || 'off'})`
+      : 'watchdog disabled');
+    state.writeQueueFile({ max_concurrent: maxConcurrent, in_flight: {} });
+    // Socket RPC is optional: a failed listen leaves clients on files.
+    let onEvent = null;
+    if (socketEnabled) {
+      const rpcLib = require('./lib/watcher-rpc.cjs');
+      const { methods, onEvent: record } = rpcLib.daemonMethods({ getLoop: () => loop, version: VERSION });
+      const server = rpcLib.createRpcServer({ methods, log });
+      try {
+        const file = await server.listen();
+        rpc = server;
+        state.updatePidFile({ socket: file });
+        onEvent = (event) => { record(event); server.publish(event); };
+        log('info', `socket rpc on ${file}`);
+      } catch (e) {
+        log('warn', `socket rpc disabled: ${e.message}`);
+      }
+    }
     loop = daemon.runLoop({
-      projectRoot, session, allowlist, log,
-      notifier, notify_on_start, notify_on_complete,
+      projectRoot, sessions, maxConcurrent, allowlist, allowlistFor, audit, log,
+      onSchedule: (snapshot) => state.writeQueueFile(snapshot),
+      onEvent,
+      notifier,
+      watchdog,
     });
     // Keep process alive — runLoop's setInterval is the heartbeat.
     return new Promise(() => {});
@@ -449,6 +573,143 @@ function cmdRemoveProject(flags) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// allowlist check / lint / approve
+// ---------------------------------------------------------------------------
+
+function cmdAllowlist(flags) {
+  const action = flags._[1];
+  const projectRoot = path.resolve(typeof flags.project === 'string' ? flags.project : process.cwd());
+
+  if (action === 'check') {
+    const cmd = flags._.slice(2).join(' ');
+    if (!cmd.trim()) {
+      printErr('Usage: devflow-watch allowlist check "<cmd>" [--project <path>]');
+      return 1;
+    }
+    const loaded = allowlistLib.loadAllowlist(projectRoot);
+    const result = {
+      cmd,
+      ...allowlistLib.explainCommand(cmd, loaded.allowlist),
+      project_file: loaded.project.exists ? loaded.project.file : null,
+      pending_approval: loaded.project.pending_approval,
+    };
+    printOut(JSON.stringify(result, null, 2));
+    return 0;
+  }
+  if (action === 'lint') {
+    const result = allowlistLib.lintAllowlist(projectRoot);
+    printOut(JSON.stringify(result, null, 2));
+    return result.ok ? 0 : 3;
+  }
+  if (action === 'approve') {
+    try {
+      printOut(JSON.stringify(allowlistLib.approveProjectAllowlist(projectRoot), null, 2));
+      return 0;
+    } catch (e) {
+      printErr(`devflow-watch: allowlist approve: ${e.message}`);
+      return 3;
+    }
+  }
+  printErr('Usage: devflow-watch allowlist <check "<cmd>"|lint|approve> [--project <path>]');
+  return 1;
+}
+
+// ---------------------------------------------------------------------------
+// audit verify
+// ---------------------------------------------------------------------------
+
+// ---------------------------------------------------------------------------
+// events (socket RPC subscription)
+// ---------------------------------------------------------------------------
+
+function cmdEvents(flags) {
+  const rpcLib = require('./lib/watcher-rpc.cjs');
+  const info = state.isWatcherLive() ? state.readPidFile() : null;
+  if (!info || !info.socket) {
+    printErr('devflow-watch: events needs a running daemon started with --socket');
+    return 3;
+  }
+  const params = typeof flags.project === 'string' ? { project: path.resolve(flags.project) } : {};
+  return new Promise((resolve) => {
+    const sub = rpcLib.subscribe(info.socket, params,
+      (event) => printOut(JSON.stringify(event)),
+      (err) => {
+        if (err) printErr(`devflow-watch: events: ${err.message}`);
+        resolve(err ? 3 : 0);
+      });
+    const stop = () => { sub.close(); resolve(0); };
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+  });
+}
+
+function cmdAudit(flags) {
+  const auditLib = require('./lib/watcher-audit.cjs');
+  if (flags._[1] !== 'verify') {
+    printErr('Usage: devflow-watch audit verify [--file <path>] [--key-file <path>]');
+    return 1;
+  }
+  const file = typeof flags.file === 'string' ? path.resolve(flags.file) : auditLib.auditLogPath();
+  const keyFile = typeof flags['key-file'] === 'string' ? path.resolve(flags['key-file']) : auditLib.auditKeyPath();
+  const result = auditLib.verifyAuditLog(file, { keyFile });
+  printOut(JSON.stringify(result, null, 2));
+  return result.ok ? 0 : 3;
+}
+
+// ---------------------------------------------------------------------------
+// webhook (GitHub receiver → .planning/.pm-inbox.jsonl)
+// ---------------------------------------------------------------------------
+
+const WEBHOOK_SECRET_ENV = 'DEVFLOW_WEBHOOK_SECRET';
+const DEFAULT_WEBHOOK_PORT = 8787;
+
+function cmdWebhook(flags) {
+  const webhook = require('./lib/gh-webhook.cjs');
+  const secret = process.env[WEBHOOK_SECRET_ENV];
+  if (!secret) {
+    printErr(`devflow-watch: webhook needs the GitHub webhook secret in $${WEBHOOK_SECRET_ENV}`);
+    return 1;
+  }
+  const host = typeof flags.host === 'string' ? flags.host : '127.0.0.1';
+  const port = flags.port !== undefined ? parseInt(flags.port, 10) : DEFAULT_WEBHOOK_PORT;
+  if (Number.isNaN(port)) {
+    printErr(`devflow-watch: invalid --port ${flags.port}`);
+    return 1;
+  }
+
+  if (flags._[1] === 'replay') {
+    const paths = flags._.slice(2);
+    if (paths.length === 0) {
+      printErr('Usage: devflow-watch webhook replay <fixture.json|dir>... [--url <url>]');
+      return 1;
+    }
+    const url = typeof flags.url === 'string' ? flags.url : `http://${host}:${port}/`;
+    return webhook.replay({ url, secret, fixtures: webhook.loadFixtures(paths) }).then((results) => {
+      for (const r of results) printOut(JSON.stringify(r));
+      return results.every((r) => r.status < 300) ? 0 : 3;
+    });
+  }
+
+  const projectRoot = path.resolve(typeof flags.project === 'string' ? flags.project : process.cwd());
+  const apply = flags.apply === true;
+  const log = (level, msg) => printOut(`[${new Date().toISOString()}] ${level.toUpperCase()} ${msg}`);
+  const server = webhook.createServer({ cwd: projectRoot, secret, apply, log });
+  return new Promise((resolve) => {
+    server.on('error', (e) => {
+      printErr(`devflow-watch: webhook: ${e.message}`);
+      resolve(3);
+    });
+    server.listen(port, host, () => {
+      const addr = server.address();
+      printOut(`devflow-watch: webhook receiver on http://${addr.address}:${addr.port}/ (project ${projectRoot}${apply ? ', --apply' : ''})`);
+      const stop = () => server.close(() => resolve(0));
+      process.on('SIGTERM', stop);
+      process.on('SIGINT', stop);
+    });
+  });
+}
+
 // ---------------------------------------------------------------------------
 // dispatch
 // ---------------------------------------------------------------------------
@@ -473,12 +734,16 @@ async function main(argv) {
   if (sub === 'uninstall-service') return cmdUninstallService();
   if (sub === 'add-project') return cmdAddProject(flags);
   if (sub === 'remove-project') return cmdRemoveProject(flags);
+  if (sub === 'allowlist') return cmdAllowlist(flags);
+  if (sub === 'audit') return cmdAudit(flags);
+  if (sub === 'events') return cmdEvents(flags);
+  if (sub === 'webhook') return cmdWebhook(flags);
   if (sub === 'version' || flags.version === true) {
     printOut(`devflow-watch ${VERSION}`);
     return 0;
   }
 
-  printErr('Usage: devflow-watch <start|stop|status|logs|add-project|remove-project|install-service|uninstall-service|version> [flags]');
+  printErr('Usage: devflow-watch <start|stop|status|logs|add-project|remove-project|allowlist|events|audit|webhook|install-service|uninstall-service|version> [flags]');
   return 1;
 }
 
@@ -489,6 +489,49 @@ describe('devflow-watch multi-project CLI (TRD 20-03)', () => {
     }
   });
 
+  test('C-12 status reports per-project queue_depths and session restarts from the scheduler snapshot', async () => {
+    const pidDir = path.join(home, '.devflow');
+    fs.mkdirSync(pidDir, { recursive: true });
+    const p1 = mkTmp();
+    const p2 = mkTmp();
+    try {
+      fs.mkdirSync(path.join(p1, '.devflow-handoff', 'pending'), { recursive: true });
+      fs.writeFileSync(path.join(p1, '.devflow-handoff', 'pending', 'h-x.json'), '{"id":"h-x"}');
+      fs.writeFileSync(path.join(p1, '.devflow-handoff', 'pending', 'h-y.json'), '{"id":"h-y"}');
+      // Live pid (this test process) so status trusts the queue file.
+      fs.writeFileSync(
+        path.join(pidDir, 'devflow-watch.pid'),
+        JSON.stringify({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: [p1, p2], started_at: new Date().toISOString() }),
+      );
+      fs.writeFileSync(
+        path.join(pidDir, 'devflow-watch.queue.json'),
+        JSON.stringify({
+          max_concurrent: 3,
+          in_flight: { [p1]: 'h-x' },
+          sessions: { [p1]: { restarts: 2, last_restart_at: '2026-10-19T10:00:00Z', last_restart_reason: 'probe failed: no answer within 5000ms' } },
+        }),
+      );
+      const r = runCli(['status'], { HOME: home });
+      assert.ok(r.ok, `failed: ${r.stderr}`);
+      const out = JSON.parse(r.stdout);
+      assert.equal(out.max_concurrent, 3);
+      assert.deepEqual(out.queue_depths[p1], { queued: 1, in_flight: 'h-x' });
+      assert.deepEqual(out.queue_depths[p2], { queued: 0, in_flight: null });
+      assert.equal(out.sessions[p1].restarts, 2);
+      assert.equal(out.sessions[p1].last_restart_reason, 'probe failed: no answer within 5000ms');
+      assert.deepEqual(out.sessions[p2], { restarts: 0, last_restart_at: null, last_restart_reason: null });
+    } finally {
+      rmTmp(p1);
+      rmTmp(p2);
+    }
+  });
+
+  test('C-13 start --concurrency rejects a non-positive value', () => {
+    const r = runCli(['start', '--concurrency', '0', '--foreground'], { HOME: home });
+    assert.equal(r.code, 1);
+    assert.match(r.stderr, /--concurrency must be a positive integer/);
+  });
+
   test('C-11 help / usage line lists add-project / remove-project', () => {
     const r = runCli([], { HOME: home });
     assert.equal(r.ok, false);
@@ -496,3 +539,209 @@ describe('devflow-watch multi-project CLI (TRD 20-03)', () => {
     assert.match(r.stderr, /remove-project/);
   });
 });
+
+describe('devflow-watch webhook', () => {
+  let home;
+  beforeEach(() => { home = mkTmp(); });
+  afterEach(() => { rmTmp(home); });
+
+  test('W-1 receiver without $DEVFLOW_WEBHOOK_SECRET exits 1', () => {
+    const r = runCli(['webhook', '--port', '0'], { HOME: home, DEVFLOW_WEBHOOK_SECRET: '' });
+    assert.equal(r.code, 1);
+    assert.match(r.stderr, /DEVFLOW_WEBHOOK_SECRET/);
+  });
+
+  test('W-2 replay with no fixtures prints usage and exits 1', () => {
+    const r = runCli(['webhook', 'replay'], { HOME: home, DEVFLOW_WEBHOOK_SECRET: 's' });
+    assert.equal(r.code, 1);
+    assert.match(r.stderr, /webhook replay <fixture\.json\|dir>/);
+  });
+
+  test('W-3 usage line lists webhook', () => {
+    const r = runCli([], { HOME: home });
+    assert.match(r.stderr, /\|webhook\|/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// allowlist check / lint / approve
+// ---------------------------------------------------------------------------
+
+describe('devflow-watch allowlist', () => {
+  let home;
+  let root;
+  beforeEach(() => {
+    home = mkTmp();
+    root = path.join(home, 'repo');
+    fs.mkdirSync(path.join(root, '.devflow'), { recursive: true });
+  });
+  afterEach(() => rmTmp(home));
+
+  const env = () => ({ HOME: home, DEVFLOW_WATCH_ALLOW_FILE: '', DEVFLOW_WATCH_APPROVALS_FILE: '' });
+  function writeProject(obj) {
+    fs.writeFileSync(path.join(root, '.devflow', 'watch-allow.json'), JSON.stringify(obj));
+  }
+
+  test('A-1 check explains the matched entry and the rule that rejected', () => {
+    writeProject({ deny: [{ label: 'no vault', pattern: '^vault ' }] });
+    let r = runCli(['allowlist', 'check', 'gh auth login', '--project', root], env());
+    assert.equal(r.code, 0, r.stderr);
+    let out = JSON.parse(r.stdout);
+    assert.equal(out.ok, true);
+    assert.deepEqual(out.rule, { kind: 'allow', label: 'gh auth login', source: 'default', pattern: out.rule.pattern });
+    assert.equal(out.project_file, path.join(root, '.devflow', 'watch-allow.json'));
+
+    r = runCli(['allowlist', 'check', 'gh auth login --with-token', '--project', root], env());
+    out = JSON.parse(r.stdout);
+    assert.equal(out.ok, false);
+    assert.equal(out.rule.kind, 'skipIf');
+
+    r = runCli(['allowlist', 'check', 'vault login', '--project', root], env());
+    out = JSON.parse(r.stdout);
+    assert.equal(out.reason, 'denied by project rule: no vault');
+  });
+
+  test('A-2 approve records the hash; check then accepts the project command', () => {
+    writeProject({ commands: [{ label: 'make deploy', pattern: '^make deploy$' }] });
+    let out = JSON.parse(runCli(['allowlist', 'check', 'make deploy', '--project', root], env()).stdout);
+    assert.equal(out.ok, false);
+    assert.equal(out.pending_approval, true);
+
+    const r = runCli(['allowlist', 'approve', '--project', root], env());
+    assert.equal(r.code, 0, r.stderr);
+    assert.match(JSON.parse(r.stdout).hash, /^sha256:[0-9a-f]{64}$/);
+    assert.ok(fs.existsSync(path.join(home, '.devflow', 'watch-allow-approvals.json')));
+
+    out = JSON.parse(runCli(['allowlist', 'check', 'make deploy', '--project', root], env()).stdout);
+    assert.equal(out.ok, true);
+    assert.equal(out.rule.source, 'project');
+  });
+
+  test('A-3 lint exits 3 on an invalid pattern and 0 when clean', () => {
+    writeProject({ deny: [{ label: 'broken', pattern: '(' }] });
+    let r = runCli(['allowlist', 'lint', '--project', root], env());
+    assert.equal(r.code, 3);
+    assert.equal(JSON.parse(r.stdout).findings[0].code, 'invalid');
+
+    writeProject({ deny: [{ label: 'no vault', pattern: '^vault ' }] });
+    r = runCli(['allowlist', 'lint', '--project', root], env());
+    assert.equal(r.code, 0, r.stdout);
+  });
+
+  test('A-4 approve without a project file exits 3; bad action prints usage', () => {
+    fs.rmSync(path.join(root, '.devflow'), { recursive: true });
+    let r = runCli(['allowlist', 'approve', '--project', root], env());
+    assert.equal(r.code, 3);
+    assert.match(r.stderr, /no project allow file/);
+    r = runCli(['allowlist', 'check', '--project', root], env());
+    assert.equal(r.code, 1);
+    r = runCli(['allowlist'], env());
+    assert.equal(r.code, 1);
+    assert.match(r.stderr, /allowlist <check/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// audit verify
+// ---------------------------------------------------------------------------
+
+describe('devflow-watch audit', () => {
+  let home;
+  beforeEach(() => { home = mkTmp(); });
+  afterEach(() => rmTmp(home));
+
+  test('AV-1 verify exits 0 on an intact log and 3 once a record is edited', () => {
+    const { openAuditLog } = require('./lib/watcher-audit.cjs');
+    const file = path.join(home, '.devflow', 'devflow-watch-audit.jsonl');
+    const log = openAuditLog(file, { keyFile: path.join(home, '.devflow', 'devflow-watch-audit.key') });
+    log.append({ id: 'h-1', project: home, cmd: 'gh auth login', exit_code: 0 });
+    log.append({ id: 'h-2', project: home, cmd: 'mise install', exit_code: 0 });
+
+    let r = runCli(['audit', 'verify'], { HOME: home, DEVFLOW_WATCH_AUDIT_FILE: '' });
+    assert.equal(r.code, 0, r.stderr);
+    assert.equal(JSON.parse(r.stdout).records, 2);
+
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('mise install', 'rm -rf ~'));
+    r = runCli(['audit', 'verify', '--file', file], { HOME: home });
+    assert.equal(r.code, 3);
+    assert.deepEqual(JSON.parse(r.stdout).problems.map((p) => p.kind), ['edited']);
+  });
+
+  test('AV-2 unknown audit action prints usage and exits 1', () => {
+    const r = runCli(['audit'], { HOME: home });
+    assert.equal(r.code, 1);
+    assert.match(r.stderr, /audit verify/);
+  });
+});
+
+describe('devflow-watch socket RPC', () => {
+  let home;
+  let project;
+  beforeEach(() => {
+    home = mkTmp();
+    project = mkTmp();
+    fs.mkdirSync(path.join(project, '.devflow-handoff', 'pending'), { recursive: true });
+  });
+  afterEach(() => { rmTmp(home); rmTmp(project); });
+
+  async function waitFor(fn, ms = 3000) {
+    const start = Date.now();
+    while (Date.now() - start < ms) {
+      const v = fn();
+      if (v) return v;
+      await new Promise((r) => setTimeout(r, 25));
+    }
+    return null;
+  }
+
+  test('SO-1 --socket serves status / enqueue / results / ack, and events streams done records', async () => {
+    const rpc = require('./lib/watcher-rpc.cjs');
+    const env = { ...process.env, HOME: home, DEVFLOW_WATCH_SOCKET: '' };
+    const child = spawn('node', [CLI, 'start', '--project', project, '--socket', '--foreground', '--shell', 'bash'], {
+      env, stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let events = null;
+    try {
+      const pidFile = path.join(home, '.devflow', 'devflow-watch.pid');
+      const info = await waitFor(() => {
+        try { const i = JSON.parse(fs.readFileSync(pidFile, 'utf8')); return i.socket ? i : null; } catch { return null; }
+      });
+      assert.ok(info, 'PID file records the socket');
+      assert.equal(info.socket, path.join(home, '.devflow', 'devflow-watch.sock'));
+
+      const status = await rpc.request(info.socket, 'status');
+      assert.equal(status.pid, child.pid);
+      assert.deepEqual(status.projects, [project]);
+      assert.deepEqual(status.pending_counts, { [project]: 0 });
+
+      let out = '';
+      events = spawn('node', [CLI, 'events', '--project', project], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+      events.stdout.on('data', (d) => { out += d; });
+      await new Promise((r) => setTimeout(r, 300));
+
+      // A missing prerequisite cascade-cancels without touching the shell.
+      const { id } = await rpc.request(info.socket, 'enqueue', { cmd: 'gh auth login', cwd: project, after: ['h-missing'] });
+      const line = await waitFor(() => out.split('\n').find((l) => l.includes(id)));
+      assert.ok(line, 'events printed the done record');
+      assert.equal(JSON.parse(line).status, 'cancelled');
+
+      const res = await rpc.request(info.socket, 'results', { project });
+      assert.deepEqual(res.done.map((d) => d.id), [id]);
+      assert.ok(fs.existsSync(res.done[0].path));
+      assert.deepEqual(await rpc.request(info.socket, 'ack', { project, ids: [id] }), { removed: 1 });
+      assert.deepEqual((await rpc.request(info.socket, 'results', { project })).done, []);
+
+      assert.equal(runCli(['stop'], { HOME: home }).code, 0);
+      assert.equal(fs.existsSync(info.socket), false, 'socket removed on shutdown');
+    } finally {
+      if (events) events.kill('SIGTERM');
+      try { child.kill('SIGKILL'); } catch {}
+    }
+  });
+
+  test('SO-2 events exits 3 when the daemon has no socket', () => {
+    const r = runCli(['events'], { HOME: home });
+    assert.equal(r.code, 3);
+    assert.match(r.stderr, /started with --socket/);
+  });
+});
@@ -45,6 +45,14 @@
  *   requirements mark-complete <ids>   Mark requirement IDs as complete in REQUIREMENTS.md
  *                                      Accepts: REQ-01,REQ-02 or REQ-01 REQ-02 or [REQ-01, REQ-02]
  *
+ * Changelog:
+ *   changelog update --version <X.Y.Z> Prepend a Keep-a-Changelog entry to CHANGELOG.md
+ *     [--from <ref>] [--to <ref>]        from conventional commits in the range
+ *     [--objectives]                     build it from completed objectives instead
+ *     [--dry-run]                        (commits as fallback); JSON → .planning/releases/
+ *   changelog check <version>          Is there an entry for <version>?
+ *   changelog notes <version>          Objective-based release notes as JSON (--raw: markdown)
+ *
  * Milestone Operations:
  *   milestone complete <version>       Archive milestone, create MILESTONES.md
  *     [--name <name>]
@@ -107,6 +115,25 @@
  *   detect flutter-ui-scope <objective>  Detect Flutter UI scope (sets type=ui semantics in planner)
  *     [--raw]                           Returns { detected, signals, platform, state_management, evidence }
  *
+ * PM Sync (backend from config pm.backend: github | linear | jira; `gh` is an alias):
+ *   pm status                          Backend auth + target summary
+ *   pm sync [objectiveId]              Push one objective (all when omitted)
+ *   pm sync-objectives                 Push every ROADMAP objective
+ *   pm pull <objectiveId> [--apply]    Compare tracker state with disk (drift report)
+ *   pm pull --all [--apply]            Combined report for every synced objective;
+ *     [--policy=<file|spec>]             conflicts settled per field (disk-wins |
+ *     [--interactive]                    gh-wins | union | manual) or by prompt
+ *     [--since[=<iso>]]                  GitHub: only issues updated after the watermark
+ *   pm pull --inbox [--apply]          Only objectives queued by `devflow-watch webhook`
+ *   pm resolve <objectiveId>           Resolve the objective's issue chain
+ *   pm comment <issue|obj> <body>      Post a comment (body may be @file:path)
+ *   pm close-issue <issue|obj> [msg]   Close with an optional comment
+ *   pm sync-release <tag>              GitHub only; other backends skip
+ *     [--objectives]                     Notes from completed objectives (changelog notes)
+ *   pm flush [--force] [--dry-run]     Replay failed writes queued in .planning/.pm-outbox.jsonl
+ *   pm fields [objectiveId...]         GitHub: check github.project_fields against the Project
+ *     [--apply]                          schema and diff mapped values (dry run unless --apply)
+ *
  * UAT Generation:
  *   generate uat <objective>           Auto-generate 1-page UAT.md checklist from TRDs + Maestro flows
  *     [--raw]                           (mobile-only) + flutter drive web instructions. Writes to
@@ -201,12 +228,9 @@ const migrate = require('./lib/migrate.cjs');
 const {
   cmdWorkstreamsAnalyze, cmdWorkstreamsProvision, cmdWorkstreamsReconcile,
 } = require('./lib/workstreams.cjs');
+const { cmdPmRoute } = require('./lib/pm-cli.cjs');
 const {
-  cmdGhStatus, cmdGhSyncObjectives, cmdGhComment, cmdGhCloseIssue, cmdGhSyncRelease,
-  cmdGhResolve, cmdGhSyncObjective,
-} = require('./lib/gh.cjs');
-const {
-  cmdChangelogUpdate, cmdChangelogCheck,
+  cmdChangelogUpdate, cmdChangelogCheck, cmdChangelogNotes,
 } = require('./lib/changelog.cjs');
 const { cmdSkillActive } = require('./lib/skill-active.cjs');
 const { cmdAwarenessRoute } = require('./lib/awareness-cli.cjs');
@@ -223,7 +247,8 @@ const {
   cmdCommit, cmdTodoComplete, cmdScaffold, cmdRequirementsMarkComplete,
 } = require('./lib/misc.cjs');
 const {
-  cmdHandoffCreate, cmdHandoffComplete, cmdHandoffList, cmdHandoffGet,
+  cmdHandoffCreate, cmdHandoffChain, cmdHandoffComplete, cmdHandoffList, cmdHandoffGet,
+  cmdHandoffCancel, cmdHandoffRetry, cmdHandoffPriority,
 } = require('./lib/handoff.cjs');
 const {
   cmdTrdTddInspect,
@@ -700,8 +725,29 @@ async function main() {
           inputsJson = createArgs[idx + 1];
           createArgs.splice(idx, 2);
         }
+        // --after <id[,id]>: dispatch only once those records exit 0.
+        let after;
+        const afterIdx = createArgs.indexOf('--after');
+        if (afterIdx !== -1) {
+          after = createArgs[afterIdx + 1] || '';
+          createArgs.splice(afterIdx, 2);
+        }
+        let priority;
+        const prioIdx = createArgs.indexOf('--priority');
+        if (prioIdx !== -1) {
+          priority = createArgs[prioIdx + 1] || '';
+          createArgs.splice(prioIdx, 2);
+        }
         const cmd = createArgs.join(' ');
-        cmdHandoffCreate(cwd, cmd, raw, { inputsJson });
+        cmdHandoffCreate(cwd, cmd, raw, { inputsJson, after, priority });
+      } else if (subcommand === 'chain') {
+        // handoff chain <cmd> --then <cmd> [--then <cmd>...]
+        const cmds = [[]];
+        for (const a of args.slice(2)) {
+          if (a === '--then') cmds.push([]);
+          else cmds[cmds.length - 1].push(a);
+        }
+        cmdHandoffChain(cwd, cmds.map((c) => c.join(' ')), raw);
       } else if (subcommand === 'complete') {
         const id = args[2];
         const exitIdx = args.indexOf('--exit-code');
@@ -717,8 +763,14 @@ async function main() {
         cmdHandoffList(cwd, raw);
       } else if (subcommand === 'get') {
         cmdHandoffGet(cwd, args[2], raw);
+      } else if (subcommand === 'cancel') {
+        cmdHandoffCancel(cwd, args[2], raw);
+      } else if (subcommand === 'retry') {
+        cmdHandoffRetry(cwd, args[2], raw);
+      } else if (subcommand === 'priority') {
+        cmdHandoffPriority(cwd, args[2], args[3], raw);
       } else {
-        error('Unknown handoff subcommand. Available: create, complete, list, get');
+        error('Unknown handoff subcommand. Available: create, chain, complete, list, get, cancel, retry, priority');
       }
       break;
     }
@@ -842,11 +894,20 @@ async function main() {
           from: fromIdx !== -1 ? args[fromIdx + 1] : null,
           to: toIdx !== -1 ? args[toIdx + 1] : null,
           dryRun,
+          objectives: args.includes('--objectives'),
         }, raw);
       } else if (subcommand === 'check') {
         cmdChangelogCheck(cwd, args[2], raw);
+      } else if (subcommand === 'notes') {
+        const fromIdx = args.indexOf('--from');
+        const toIdx = args.indexOf('--to');
+        cmdChangelogNotes(cwd, {
+          version: args[2] && !args[2].startsWith('--') ? args[2] : null,
+          from: fromIdx !== -1 ? args[fromIdx + 1] : null,
+          to: toIdx !== -1 ? args[toIdx + 1] : null,
+        }, raw);
       } else {
-        error('Unknown changelog subcommand. Available: update, check');
+        error('Unknown changelog subcommand. Available: update, check, notes');
       }
       break;
     }
@@ -862,39 +923,10 @@ async function main() {
       break;
     }
 
+    case 'pm':
     case 'gh': {
-      const subcommand = args[1];
-      if (subcommand === 'status') {
-        cmdGhStatus(cwd, raw);
-      } else if (subcommand === 'sync-objectives') {
-        cmdGhSyncObjectives(cwd, raw);
-      } else if (subcommand === 'comment') {
-        // df-tools gh comment <issue|objective> <body|@file:path>
-        cmdGhComment(cwd, args[2], args[3], raw);
-      } else if (subcommand === 'close-issue') {
-        // df-tools gh close-issue <issue|objective> [comment]
-        cmdGhCloseIssue(cwd, args[2], args[3] || null, raw);
-      } else if (subcommand === 'sync-release') {
-        // df-tools gh sync-release <tag>
-        cmdGhSyncRelease(cwd, args[2], raw);
-      } else if (subcommand === 'resolve') {
-        // df-tools gh resolve <objectiveId> [--raw]
-        cmdGhResolve(cwd, args[2], raw);
-      } else if (subcommand === 'sync') {
-        // df-tools gh sync <objectiveId> — singular: sync one objective's state to GH
-        // With no objectiveId, fall back to sync-objectives (plural, all objectives)
-        if (args[2]) {
-          cmdGhSyncObjective(cwd, args[2], raw);
-        } else {
-          cmdGhSyncObjectives(cwd, raw);
-        }
-      } else if (subcommand === 'pull') {
-        // df-tools gh pull <objectiveId> [--apply] [--raw]
-        const { cmdGhPull } = require('./lib/gh-pull.cjs');
-        cmdGhPull(cwd, args.slice(2), raw);
-      } else {
-        error('Unknown gh subcommand. Available: status, sync, pull, sync-objectives, resolve, comment, close-issue, sync-release');
-      }
+      // df-tools pm <subcommand> — `gh` kept as an alias (same backend dispatch)
+      cmdPmRoute(cwd, args.slice(1), raw, command);
       break;
     }
 
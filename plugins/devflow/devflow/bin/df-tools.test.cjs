@@ -2834,6 +2834,36 @@ describe('changelog command', () => {
     const json = JSON.parse(result.output);
     assert.strictEqual(json.present, true);
   });
+
+  test('update --objectives builds the entry from completed objectives and writes the JSON', () => {
+    const objDir = path.join(tmpDir, '.planning', 'objectives', '01-auth');
+    fs.mkdirSync(objDir, { recursive: true });
+    fs.writeFileSync(path.join(objDir, 'OBJECTIVE.md'), '---\nwork: bugfix\n---\n# Login fixes\n\n## Goal\n\nSessions stop expiring early\n');
+    fs.writeFileSync(path.join(objDir, '01-01-TRD.md'), '---\n---\n');
+    fs.writeFileSync(path.join(objDir, '01-01-SUMMARY.md'), '---\none-liner: Refresh tokens rotate on use\n---\n');
+
+    const result = runGsdTools('changelog update --version 0.2.0 --objectives', tmpDir);
+    assert.strictEqual(result.success, true, result.error);
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.source, 'objectives');
+    assert.strictEqual(json.objective_count, 1);
+
+    const cl = fs.readFileSync(path.join(tmpDir, 'CHANGELOG.md'), 'utf-8');
+    assert.match(cl, /## \[0\.2\.0\][^\n]*\n\n### Fixed\n- \*\*Login fixes\*\* — Sessions stop expiring early\n {2}- Refresh tokens rotate on use/);
+    assert.doesNotMatch(cl, /fix b/, 'commits are only a fallback');
+    const notes = JSON.parse(fs.readFileSync(path.join(tmpDir, '.planning', 'releases', '0.2.0.json'), 'utf-8'));
+    assert.deepStrictEqual(notes.objectives.map((o) => o.id), ['01-auth']);
+    assert.strictEqual(notes.markdown, undefined);
+  });
+
+  test('notes prints JSON, or the markdown entry with --raw; commits when nothing is complete', () => {
+    const json = JSON.parse(runGsdTools('changelog notes 0.2.0', tmpDir).output);
+    assert.strictEqual(json.source, 'commits');
+    assert.ok(json.commits.length >= 2);
+    const md = runGsdTools('changelog notes 0.2.0 --raw', tmpDir).output;
+    assert.match(md, /^## \[0\.2\.0\]/);
+    assert.match(md, /### Fixed/);
+  });
 });
 
 // =============================================================================
@@ -23,6 +23,7 @@ const OSASCRIPT_SHIM = path.join(SHIM_DIR, 'osascript-shim.cjs');
 const NOTIFY_SEND_SHIM = path.join(SHIM_DIR, 'notify-send-shim.cjs');
 const LAUNCHCTL_SHIM = path.join(SHIM_DIR, 'launchctl-shim.cjs');
 const SYSTEMCTL_SHIM = path.join(SHIM_DIR, 'systemctl-shim.cjs');
+const SECRET_TOOL_SHIM = path.join(SHIM_DIR, 'secret-tool-shim.cjs');
 
 // Ensure shims have executable bits at module load. Idempotent.
 function _chmodShim(p) {
@@ -36,6 +37,7 @@ _chmodShim(OSASCRIPT_SHIM);
 _chmodShim(NOTIFY_SEND_SHIM);
 _chmodShim(LAUNCHCTL_SHIM);
 _chmodShim(SYSTEMCTL_SHIM);
+_chmodShim(SECRET_TOOL_SHIM);
 
 // ---------------------------------------------------------------------------
 // 20-01: Notifier
@@ -527,6 +529,51 @@ function shellAvailable(name, probeArgs = ['-c', 'echo __DFW_PROBE__']) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// keyring value_source
+// ---------------------------------------------------------------------------
+
+/**
+ * Put a `secret-tool` shim first on PATH, backed by `store`
+ * ({ "service=devflow account=gh-token": "value" }). Returns paths + cleanup.
+ */
+function buildSecretToolShimEnv(tmpDir, store = {}) {
+  const binDir = fs.mkdtempSync(path.join(tmpDir, 'secret-tool-bin-'));
+  const secretToolPath = path.join(binDir, 'secret-tool');
+  fs.writeFileSync(
+    secretToolPath,
+    `#!/bin/sh\nexec ${process.execPath} ${SECRET_TOOL_SHIM} "$@"\n`,
+  );
+  fs.chmodSync(secretToolPath, 0o755);
+
+  const storeFile = path.join(tmpDir, 'secret-tool-store.json');
+  fs.writeFileSync(storeFile, JSON.stringify(store));
+  const markerFile = path.join(tmpDir, 'secret-tool-marker.jsonl');
+  const prev = {
+    PATH: process.env.PATH,
+    SECRET_TOOL_SHIM_STORE: process.env.SECRET_TOOL_SHIM_STORE,
+    SECRET_TOOL_SHIM_MARKER_FILE: process.env.SECRET_TOOL_SHIM_MARKER_FILE,
+  };
+
+  process.env.PATH = `${binDir}:${prev.PATH || ''}`;
+  process.env.SECRET_TOOL_SHIM_STORE = storeFile;
+  process.env.SECRET_TOOL_SHIM_MARKER_FILE = markerFile;
+
+  return {
+    binDir,
+    secretToolPath,
+    storeFile,
+    markerFile,
+    cleanup() {
+      for (const [k, v] of Object.entries(prev)) {
+        if (v === undefined) delete process.env[k];
+        else process.env[k] = v;
+      }
+      try { fs.rmSync(binDir, { recursive: true, force: true }); } catch {}
+    },
+  };
+}
+
 module.exports = {
   // 20-01
   buildNotifierShimEnv,
@@ -548,4 +595,6 @@ module.exports = {
   STATUSLINE_HOOK_PATH,
   // 20-05
   shellAvailable,
+  // keyring
+  buildSecretToolShimEnv,
 };
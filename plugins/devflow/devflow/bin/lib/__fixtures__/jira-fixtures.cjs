@@ -0,0 +1,104 @@
+'use strict';
+
+// Hand-built fixture builders for lib/jira.cjs tests.
+// Per TDD Playbook habit 4: factory functions, not LLM-generated test data.
+
+/**
+ * Route key the mock matches on: method + path without the query string.
+ * ('GET', '/issue/ENG-42?fields=status') → 'GET /issue/ENG-42'
+ */
+function routeKey(method, apiPath) {
+  return `${method} ${String(apiPath).split('?')[0]}`;
+}
+
+/** Wrap a JSON payload in a runGh-shaped transport result. */
+function jsonOk(data, status = 200) {
+  return { ok: true, status, stdout: data === undefined ? '' : JSON.stringify(data), stderr: '' };
+}
+
+/** 204 No Content (PUT /issue, PUT /comment, POST /transitions). */
+function noContent() {
+  return { ok: true, status: 204, stdout: '', stderr: '' };
+}
+
+/** Jira error response ({ errorMessages, errors }). */
+function jsonError(status, errorMessages = [], errors = {}) {
+  return { ok: false, status, stdout: JSON.stringify({ errorMessages, errors }), stderr: `HTTP ${status}` };
+}
+
+/**
+ * Build a mock runJira for unit tests. No network.
+ *
+ * `responses` maps route key → result | result[] | (body, apiPath) => result.
+ * Arrays are consumed in order (last entry repeats).
+ */
+function buildMockRunJira(responses = {}) {
+  const calls = [];
+  const cursors = {};
+
+  function mockRunJira(method, apiPath, body) {
+    const key = routeKey(method, apiPath);
+    calls.push({ key, method, apiPath, body });
+    let r = responses[key];
+    if (Array.isArray(r)) {
+      const i = cursors[key] || 0;
+      cursors[key] = i + 1;
+      r = r[Math.min(i, r.length - 1)];
+    }
+    if (typeof r === 'function') r = r(body, apiPath);
+    if (r) return r;
+    return jsonError(404, [`[mock] no match for: ${key}`]);
+  }
+
+  mockRunJira.calls = () => [...calls];
+  mockRunJira.callsFor = (key) => calls.filter(c => c.key === key);
+  return mockRunJira;
+}
+
+/** Issue payload in Jira's shape, for fetchIssue/readIssueState tests. */
+function buildJiraIssue({
+  key = 'ENG-42',
+  updated = '2026-05-01T00:00:00.000+0000',
+  statusName = 'In Progress',
+  statusCategory = 'indeterminate',
+  labels = ['devflow:objective'],
+  assignee = 'alice',
+  fixVersion = 'v1.2',
+  summary = '[Objective 1] Jira backend',
+  issueType = 'Task',
+} = {}) {
+  return {
+    id: '10042',
+    key,
+    fields: {
+      summary,
+      issuetype: { name: issueType },
+      updated,
+      status: { name: statusName, statusCategory: { key: statusCategory } },
+      labels,
+      assignee: assignee ? { displayName: assignee } : null,
+      fixVersions: fixVersion ? [{ id: '10010', name: fixVersion, released: false }] : [],
+    },
+  };
+}
+
+/** Transition list with the three standard status categories. */
+function buildTransitions() {
+  return {
+    transitions: [
+      { id: '11', name: 'To Do', to: { name: 'To Do', statusCategory: { key: 'new' } } },
+      { id: '21', name: 'Start Progress', to: { name: 'In Progress', statusCategory: { key: 'indeterminate' } } },
+      { id: '31', name: 'Done', to: { name: 'Done', statusCategory: { key: 'done' } } },
+    ],
+  };
+}
+
+module.exports = {
+  routeKey,
+  jsonOk,
+  noContent,
+  jsonError,
+  buildMockRunJira,
+  buildJiraIssue,
+  buildTransitions,
+};
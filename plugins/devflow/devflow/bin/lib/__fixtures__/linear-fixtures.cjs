@@ -0,0 +1,99 @@
+'use strict';
+
+// Hand-built fixture builders for lib/linear.cjs tests.
+// Per TDD Playbook habit 4: factory functions, not LLM-generated test data.
+
+/**
+ * Root field of a GraphQL document — the key the mock routes on.
+ * 'query($id: String!) { issue(id: $id) { ... } }' → 'issue'
+ * 'mutation(...) { issueUpdate(...) { ... } }'     → 'issueUpdate'
+ */
+function operationKey(query) {
+  const m = String(query).match(/\{\s*(\w+)/);
+  return m ? m[1] : '';
+}
+
+/** Wrap a GraphQL `data` payload in a runGh-shaped transport result. */
+function gqlData(data) {
+  return { ok: true, status: 200, stdout: JSON.stringify({ data }), stderr: '' };
+}
+
+/** GraphQL-level error (HTTP 200 with an `errors` array). */
+function gqlError(message) {
+  return { ok: true, status: 200, stdout: JSON.stringify({ errors: [{ message }] }), stderr: '' };
+}
+
+/**
+ * Build a mock runLinear for unit tests. No network.
+ *
+ * `responses` maps operation key → result | result[] | (variables) => result.
+ * Arrays are consumed in order (last entry repeats) so one test can script a
+ * sequence, e.g. a failed commentUpdate followed by a successful one.
+ */
+function buildMockRunLinear(responses = {}) {
+  const calls = [];
+  const cursors = {};
+
+  function mockRunLinear(query, variables) {
+    const key = operationKey(query);
+    calls.push({ key, query, variables });
+    let r = responses[key];
+    if (Array.isArray(r)) {
+      const i = cursors[key] || 0;
+      cursors[key] = i + 1;
+      r = r[Math.min(i, r.length - 1)];
+    }
+    if (typeof r === 'function') r = r(variables);
+    if (r) return r;
+    return { ok: false, status: 404, stdout: '', stderr: `[mock] no match for: ${key}` };
+  }
+
+  mockRunLinear.calls = () => [...calls];
+  mockRunLinear.callsFor = (key) => calls.filter(c => c.key === key);
+  return mockRunLinear;
+}
+
+/** Issue payload in Linear's shape, for fetchIssue/readIssueState tests. */
+function buildLinearIssue({
+  identifier = 'ENG-42',
+  updatedAt = '2026-05-01T00:00:00.000Z',
+  stateType = 'started',
+  stateName = 'In Progress',
+  labels = ['devflow:objective'],
+  assignee = 'alice',
+  milestone = 'v1.2',
+} = {}) {
+  return {
+    identifier,
+    updatedAt,
+    state: { name: stateName, type: stateType },
+    labels: { nodes: labels.map(name => ({ name, color: '#0e8a16' })) },
+    assignee: assignee ? { name: assignee, displayName: assignee } : null,
+    projectMilestone: milestone ? { name: milestone } : null,
+  };
+}
+
+/** Team payload with the four standard workflow state types. */
+function buildTeam({ id = 'team-1', key = 'ENG' } = {}) {
+  return {
+    id,
+    key,
+    states: {
+      nodes: [
+        { id: 'st-backlog', name: 'Backlog', type: 'backlog' },
+        { id: 'st-todo', name: 'Todo', type: 'unstarted' },
+        { id: 'st-doing', name: 'In Progress', type: 'started' },
+        { id: 'st-done', name: 'Done', type: 'completed' },
+      ],
+    },
+  };
+}
+
+module.exports = {
+  operationKey,
+  gqlData,
+  gqlError,
+  buildMockRunLinear,
+  buildLinearIssue,
+  buildTeam,
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Local stub server for PM backend tests (Linear GraphQL, Jira REST).
+ *
+ * lib/http-sync.cjs blocks the calling process with spawnSync, so an
+ * in-process http.createServer would never get to answer. The stub therefore
+ * runs as a child process: startStubServer() spawns this file, waits for the
+ * "PORT <n>" line, and hands back the base URL.
+ *
+ * Vanilla `http.createServer` only — same rule as mock-auth-servers.cjs.
+ *
+ * Route entry format:
+ *   { "method": "POST", "path": "^/graphql", "match": "issueCreate",
+ *     "status": 200, "headers": {...}, "body": {...} | "string" }
+ *
+ * Matching algorithm:
+ *   1. method must equal request method exactly
+ *   2. entry.path is a JS regex tested against the request URL
+ *   3. entry.match (optional) is a JS regex tested against the request body —
+ *      GraphQL sends every operation to one path, so the body picks the route
+ *   4. first matching entry wins; no match → 404 with descriptive JSON body
+ *
+ * Every request is appended to a JSONL log so tests can assert request shape
+ * after the synchronous call returns.
+ *
+ * Lifecycle:
+ *   const stub = await startStubServer(entries);
+ *   // ... stub.url, stub.requests() ...
+ *   await stub.close();
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+function findRoute(entries, method, url, body) {
+  for (const entry of entries) {
+    if (entry.method && entry.method !== method) continue;
+    try {
+      if (entry.path && !new RegExp(entry.path).test(url)) continue;
+      if (entry.match && !new RegExp(entry.match).test(body)) continue;
+    } catch {
+      continue;
+    }
+    return entry;
+  }
+  return null;
+}
+
+function serve(entries, logFile) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (logFile) {
+        fs.appendFileSync(logFile, JSON.stringify({
+          method: req.method, url: req.url, headers: req.headers, body,
+        }) + '\n');
+      }
+      const route = findRoute(entries, req.method, req.url, body);
+      if (!route) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `pm-stub-server: no route for ${req.method} ${req.url}` }));
+        return;
+      }
+      const payload = typeof route.body === 'string' ? route.body : JSON.stringify(route.body || {});
+      res.writeHead(route.status || 200, { 'Content-Type': 'application/json', ...(route.headers || {}) });
+      res.end(payload);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    process.stdout.write(`PORT ${server.address().port}\n`);
+  });
+  return server;
+}
+
+/**
+ * Spawn the stub in a child process. Resolves once it is listening.
+ *
+ * @param {object[]} entries  Route entries (see header)
+ * @returns {Promise<{ url: string, requests: () => object[], close: () => Promise<void> }>}
+ */
+function startStubServer(entries) {
+  const logFile = path.join(os.tmpdir(), `pm-stub-${process.pid}-${Date.now()}-${Math.floor(Math.random() * 1e6)}.jsonl`);
+  const child = spawn(process.execPath, [__filename], {
+    env: { ...process.env, PM_STUB_ENTRIES: JSON.stringify(entries || []), PM_STUB_LOG: logFile },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  return new Promise((resolve, reject) => {
+    let buf = '';
+    child.stdout.on('data', (d) => {
+      buf += String(d);
+      const m = buf.match(/PORT (\d+)/);
+      if (!m) return;
+      resolve({
+        url: `http://127.0.0.1:${m[1]}`,
+        requests() {
+          if (!fs.existsSync(logFile)) return [];
+          return fs.readFileSync(logFile, 'utf-8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+        },
+        close() {
+          return new Promise((done) => {
+            child.once('exit', () => {
+              try { fs.unlinkSync(logFile); } catch {}
+              done();
+            });
+            child.kill();
+          });
+        },
+      });
+    });
+    child.once('exit', (code) => reject(new Error(`pm-stub-server exited early (code ${code})`)));
+  });
+}
+
+if (require.main === module) {
+  serve(JSON.parse(process.env.PM_STUB_ENTRIES || '[]'), process.env.PM_STUB_LOG || null);
+}
+
+module.exports = { startStubServer, findRoute };
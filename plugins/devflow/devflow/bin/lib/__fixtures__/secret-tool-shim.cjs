@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test fixture shim for `secret-tool`. Supports `lookup attr value ...`
+ * against a JSON store at SECRET_TOOL_SHIM_STORE: keys are the attribute
+ * pairs joined as "attr=value attr=value" in argv order. Mirrors the real
+ * tool: prints the secret with no trailing newline, exits 1 when nothing
+ * matches. Each call appends {argv} to SECRET_TOOL_SHIM_MARKER_FILE.
+ */
+
+const fs = require('fs');
+
+const argv = process.argv.slice(2);
+const marker = process.env.SECRET_TOOL_SHIM_MARKER_FILE;
+if (marker) {
+  try { fs.appendFileSync(marker, JSON.stringify({ argv }) + '\n'); } catch { /* best-effort */ }
+}
+
+if (argv[0] !== 'lookup') process.exit(2);
+const pairs = [];
+for (let i = 1; i + 1 < argv.length; i += 2) pairs.push(`${argv[i]}=${argv[i + 1]}`);
+let store = {};
+try { store = JSON.parse(fs.readFileSync(process.env.SECRET_TOOL_SHIM_STORE, 'utf8')); } catch { /* empty */ }
+const value = store[pairs.join(' ')];
+if (value == null) process.exit(1);
+process.stdout.write(String(value));
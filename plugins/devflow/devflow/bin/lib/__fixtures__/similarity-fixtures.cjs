@@ -0,0 +1,84 @@
+'use strict';
+
+// Hand-built calibration data for similarity.cjs.
+// Per TDD Playbook habit 4: factory functions, not LLM-generated test data.
+//
+// The labelled pairs pin STRONG_SIMILARITY_THRESHOLD / WEAK_SIMILARITY_THRESHOLD:
+// a threshold change that misclassifies any pair fails SIM-5.
+
+// ─── buildSimilarityCorpus ────────────────────────────────────────────────────
+
+/**
+ * A planning corpus shaped like a real repo: objective goals, TRD titles and
+ * SUMMARY.md excerpts, with the usual repo-wide words ("devflow", "plugin",
+ * "objective") spread across most documents.
+ *
+ * @returns {Array<{ id: string, text: string }>}
+ */
+function buildSimilarityCorpus() {
+  return [
+    { id: 'objective:01-session-state', text: 'Persist devflow session state across plugin restarts so an objective resumes where it stopped.' },
+    { id: 'objective:02-cross-repo-awareness', text: 'Scan peer branches for in-flight devflow objectives and cache the peer state for the plugin.' },
+    { id: 'objective:03-org-awareness', text: 'Surface sibling repos, shared libraries and org project overlap while planning an objective.' },
+    { id: 'objective:04-duplicate-work-detection', text: 'Detect duplicate work between the current objective and peer sessions; offer merge, defer, coordinate or proceed.' },
+    { id: 'objective:05-handoff-watcher', text: 'Hand interactive shell commands from the devflow plugin to a watcher daemon running in a real terminal.' },
+    { id: 'objective:06-notifications', text: 'Desktop notifications when a devflow decision is queued or a handoff completes.' },
+    { id: 'trd:04-01', text: 'Detection engine, signal scoring and injection helpers for the dup-detect module' },
+    { id: 'trd:04-03', text: 'Format detection markdown for the plan skill' },
+    { id: 'trd:05-02', text: 'Watcher daemon queue, concurrency and cancellation' },
+    { id: 'summary:03-02', text: 'Shipped scanLibs: walks the shared library checkout, parses exports and ranks reuse candidates for the objective.' },
+    { id: 'summary:06-01', text: 'Notifier shells out to notify-send or osascript; the plugin falls back to the terminal bell.' },
+    { id: 'project:billing-api', text: 'Billing API: invoices, payment retries and subscription state for the org.' },
+  ];
+}
+
+// ─── buildSimilarityGlossary ──────────────────────────────────────────────────
+
+/**
+ * A .planning/GLOSSARY.md body with synonyms for the calibration pairs.
+ *
+ * @returns {string}
+ */
+function buildSimilarityGlossary() {
+  return [
+    '# Glossary',
+    '',
+    'Project vocabulary. Each bullet: canonical term, then synonyms.',
+    '',
+    '- duplicate: dup, dupe, dedupe, overlapping',
+    '- **notification**: alert, desktop toast',
+    '- handoff watcher: devflow-watch, watch daemon',
+    '',
+  ].join('\n');
+}
+
+// ─── buildLabelledPairs ───────────────────────────────────────────────────────
+
+/**
+ * Title pairs with the class dup-detect should give them.
+ *
+ * @returns {Array<{ a: string, b: string, expect: 'strong'|'weak'|null, glossary?: boolean }>}
+ */
+function buildLabelledPairs() {
+  return [
+    // Same work, different wording
+    { a: 'duplicate work detection engine build', b: 'duplicate work detection engine scanner', expect: 'strong' },
+    { a: 'watcher daemon cancellation', b: 'cancellation support in the watcher daemon', expect: 'strong' },
+    { a: 'dedupe scanner for overlapping objectives', b: 'duplicate objective scanner', expect: 'strong', glossary: true },
+    { a: 'desktop toast when handoff completes', b: 'notification on handoff completion', expect: 'strong', glossary: true },
+    // Related area, different work
+    { a: 'duplicate checker utility', b: 'duplicate work detection engine', expect: 'weak' },
+    { a: 'sibling repo scanner', b: 'peer branch scanners', expect: 'weak' },
+    { a: 'devflow-watch socket rpc', b: 'handoff watcher notifications', expect: 'weak', glossary: true },
+    // Unrelated, sharing only repo-wide words
+    { a: 'devflow plugin billing export', b: 'devflow plugin terminal colours', expect: null },
+    { a: 'payment retries for invoices', b: 'peer branch cache refresh', expect: null },
+    { a: 'objective resumes after restart', b: 'objective markdown formatting', expect: null },
+  ];
+}
+
+module.exports = {
+  buildSimilarityCorpus,
+  buildSimilarityGlossary,
+  buildLabelledPairs,
+};
@@ -6,10 +6,16 @@
  *
  * TRD 02-05: Skill + CLI surface — pure helpers parseShowFlags + renderMarkdown
  * are unit-testable without invoking scanners. Cmd handlers wrap I/O around them.
+ *
+ * `history` queries the snapshot store in lib/awareness-history.cjs; every
+ * scan these handlers write to the cache is also recorded there (opt out with
+ * awareness.history: false).
  */
 
 const { output, error } = require('./helpers.cjs');
 const aw = require('./awareness.cjs');
+const coord = require('./coordination.cjs');
+const hist = require('./awareness-history.cjs');
 
 // ─── Flag parsing (pure) ──────────────────────────────────────────────────────
 
@@ -71,6 +77,50 @@ function parseShowFlags(args) {
   return out;
 }
 
+/**
+ * Parse `df-tools awareness history <query>` flags.
+ * Returns { since, until, days, stale_days, branch, no_fetch, errors }.
+ * `since` / `until` are epoch ms (relative ages like 7d resolve against `now`).
+ *
+ * @param {string[]} args
+ * @param {number} [now]
+ * @returns {{ since: number|null, until: number|null, days: number|null, stale_days: number|null,
+ *             branch: string|null, no_fetch: boolean, errors: string[] }}
+ */
+function parseHistoryFlags(args, now = Date.now()) {
+  const out = {
+    since: null,
+    until: null,
+    days: null,
+    stale_days: null,
+    branch: null,
+    no_fetch: false,
+    errors: [],
+  };
+  const a = args.slice();
+  while (a.length > 0) {
+    const t = a.shift();
+    if (t === '--since' || t === '--until') {
+      const v = a.shift();
+      const when = v ? hist.parseWhen(v, now) : null;
+      if (when === null) out.errors.push(`${t} requires a date or an age like 7d`);
+      else out[t.slice(2)] = when;
+    } else if (t === '--days' || t === '--stale-days') {
+      const n = Number(a.shift());
+      if (!Number.isFinite(n) || n < 0) out.errors.push(`${t} requires a non-negative number`);
+      else out[t === '--days' ? 'days' : 'stale_days'] = n;
+    } else if (t === '--branch') {
+      out.branch = a.shift() || null;
+      if (!out.branch) out.errors.push('--branch requires a value');
+    } else if (t === '--no-fetch') {
+      out.no_fetch = true;
+    } else if (t.startsWith('--')) {
+      out.errors.push(`Unknown flag: ${t}`);
+    }
+  }
+  return out;
+}
+
 // ─── Markdown renderer (pure) ─────────────────────────────────────────────────
 
 /**
@@ -111,6 +161,12 @@ function renderMarkdown(sections, opts = {}) {
       }
       lines.push('');
     }
+    const records = sections.peer.coordination || [];
+    if (records.length > 0) {
+      lines.push('### Coordination for this branch', '');
+      for (const r of records) lines.push(`- ${coord.describeRecord(r)}`);
+      lines.push('');
+    }
     // Locked decision #9: stale=invisible footer always shown for peer section
     lines.push(
       '_Stale = invisible: branches not pushed within 30 days are filtered out.' +
@@ -187,8 +243,87 @@ function renderMarkdown(sections, opts = {}) {
   return lines.join('\n');
 }
 
+/**
+ * Render a history query result as markdown. Pure; no I/O.
+ *
+ * @param {'peers'|'in-flight'|'stale'} query
+ * @param {{ entries: object[], snapshots: number, from?: string|null, to?: string|null,
+ *           days?: number, stale_days?: number, warnings?: string[] }} result
+ * @returns {string}
+ */
+function renderHistoryMarkdown(query, result) {
+  const lines = [];
+  const entries = result.entries || [];
+  const span = result.from ? ` (${result.snapshots} snapshot(s), ${result.from} → ${result.to})` : '';
+
+  if (query === 'peers') {
+    lines.push('# Peer activity', '', `_History${span}_`, '');
+    if (entries.length === 0) lines.push('_No peer sessions recorded in this window._', '');
+    for (const e of entries) {
+      const dev = e.developer ? ` by ${e.developer}` : '';
+      const objectives = e.objectives.length > 0 ? e.objectives.join('; ') : '(no objective)';
+      const trds = e.trds.length > 0 ? `, TRD ${e.trds.join(', ')}` : '';
+      lines.push(`- **\`${e.branch}\`**${dev} — ${objectives}${trds}`);
+      lines.push(`  _seen ${e.first_seen} → ${e.last_seen}_`);
+    }
+  } else if (query === 'in-flight') {
+    lines.push(`# Objectives in flight > ${result.days} days`, '', `_History${span}_`, '');
+    if (entries.length === 0) lines.push('_None._', '');
+    for (const e of entries) {
+      const who = e.who ? ` (${e.who}${e.branch ? ` on \`${e.branch}\`` : ''})` : '';
+      const state = e.in_flight ? 'still in flight' : `last seen ${e.last_seen}`;
+      lines.push(`- ${e.objective}${who} — ${e.days} days since ${e.first_seen}; ${state}`);
+    }
+  } else if (query === 'stale') {
+    lines.push(`# Branch staleness (${result.stale_days}-day rule)`, '', `_History${span}_`, '');
+    if (entries.length === 0) lines.push('_No branches recorded._', '');
+    for (const e of entries) {
+      const last = e.last_commit_at ? `last commit ${e.last_commit_at}` : 'no commit recorded';
+      let when = 'never goes stale';
+      if (e.stale_at) when = e.stale ? `stale since ${e.stale_at}` : `goes stale ${e.stale_at}`;
+      lines.push(`- **\`${e.branch}\`** — ${when}; ${last}`);
+    }
+  }
+  if (lines[lines.length - 1] !== '') lines.push('');
+
+  if (result.warnings && result.warnings.length > 0) {
+    lines.push('## Warnings', '');
+    for (const w of result.warnings) lines.push(`- ${w}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
 // ─── Command handlers (I/O) ───────────────────────────────────────────────────
 
+/**
+ * The awareness block of .planning/config.json, or {} when missing/malformed.
+ */
+function _awarenessConfig(cwd) {
+  try {
+    const fs = require('fs');
+    const path = require('path');
+    return JSON.parse(
+      fs.readFileSync(path.join(cwd, '.planning', 'config.json'), 'utf-8')
+    ).awareness || {};
+  } catch {
+    return {}; // config optional
+  }
+}
+
+/**
+ * Record the freshly written cache in the history store. Best-effort: history
+ * is secondary to the scan, so failures only go to stderr.
+ */
+function _recordHistory(cwd, cfg = _awarenessConfig(cwd)) {
+  if (cfg.history === false) return;
+  try {
+    hist.recordSnapshot(cwd, { retention_days: cfg.history_retention_days });
+  } catch (e) {
+    process.stderr.write(`Warning: awareness history not recorded: ${e.message}\n`);
+  }
+}
+
 /**
  * df-tools awareness scan-peer [--no-fetch] [--raw]
  * Walk origin/* refs; emit JSON to stdout. Writes to cache.
@@ -197,6 +332,7 @@ function cmdAwarenessScanPeer(cwd, args, raw) {
   const no_fetch = args.includes('--no-fetch');
   const result = aw.scanPeer({ cwd, no_fetch });
   aw.writeCache(cwd, { peer: result });
+  _recordHistory(cwd);
   output(result, raw, JSON.stringify(result, null, 2));
 }
 
@@ -208,6 +344,7 @@ function cmdAwarenessScanOrg(cwd, args, raw) {
   try {
     const result = aw.scanOrg();
     aw.writeCache(cwd, { org: result });
+    _recordHistory(cwd);
     output(result, raw, JSON.stringify(result, null, 2));
   } catch (e) {
     if (e && e.name === 'GhAuthError') {
@@ -244,16 +381,10 @@ function cmdAwarenessShow(cwd, args, raw) {
 
   const wantPeer = !flags.org_only;
   const wantOrg = !flags.peer_only;
+  let scanned = false;
 
   // Read awareness TTL from .planning/config.json (optional)
-  let cfg = {};
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    cfg = JSON.parse(
-      fs.readFileSync(path.join(cwd, '.planning', 'config.json'), 'utf-8')
-    ).awareness || {};
-  } catch { /* config optional */ }
+  const cfg = _awarenessConfig(cwd);
   const ttl = cfg.cache_ttl_minutes != null ? cfg.cache_ttl_minutes : aw.DEFAULT_TTL_MINUTES;
 
   // Refresh peer if needed
@@ -263,6 +394,7 @@ function cmdAwarenessShow(cwd, args, raw) {
     if (force || stalePeer || !sections.peer) {
       sections.peer = aw.scanPeer({ cwd, no_fetch: flags.no_fetch });
       aw.writeCache(cwd, { peer: sections.peer });
+      scanned = true;
     }
   }
 
@@ -274,6 +406,7 @@ function cmdAwarenessShow(cwd, args, raw) {
       try {
         sections.org = aw.scanOrg();
         aw.writeCache(cwd, { org: sections.org });
+        scanned = true;
       } catch (e) {
         if (e && e.name === 'GhAuthError') {
           // Hard-fail: org_only requested, or peer also unavailable
@@ -300,6 +433,8 @@ function cmdAwarenessShow(cwd, args, raw) {
     }
   }
 
+  if (scanned) _recordHistory(cwd, cfg);
+
   if (raw) {
     output(sections, true);
     return;
@@ -307,6 +442,75 @@ function cmdAwarenessShow(cwd, args, raw) {
   process.stdout.write(renderMarkdown(sections, flags) + '\n');
 }
 
+/**
+ * df-tools awareness history <record|peers|in-flight|stale> [flags]
+ *
+ *   record     Snapshot the cache now (re-scanning peers first when stale).
+ *   peers      What peers worked on (default window: --since 7d).
+ *   in-flight  Objectives in flight longer than --days (default 14).
+ *   stale      When each branch went stale; --stale-days defaults to
+ *              awareness.peer_stale_days, then DEFAULT_STALE_DAYS.
+ */
+function cmdAwarenessHistory(cwd, args, raw) {
+  const query = args[0];
+  const flags = parseHistoryFlags(args.slice(1));
+  if (flags.errors.length > 0) {
+    process.stderr.write(flags.errors.join('\n') + '\n');
+    process.exit(1);
+    return;
+  }
+  const cfg = _awarenessConfig(cwd);
+
+  if (query === 'record') {
+    const cache = aw.readCache(cwd) || {};
+    const ttl = cfg.cache_ttl_minutes != null ? cfg.cache_ttl_minutes : aw.DEFAULT_TTL_MINUTES;
+    if (!cache.peer || aw.isStale(cache.peer.fetched_at, ttl)) {
+      aw.writeCache(cwd, { peer: aw.scanPeer({ cwd, no_fetch: flags.no_fetch }) });
+    }
+    const r = hist.recordSnapshot(cwd, { retention_days: cfg.history_retention_days });
+    if (raw) {
+      output(r, true);
+      return;
+    }
+    process.stdout.write(`Recorded snapshot ${r.snapshot.taken_at} (${r.kept} in history, ${r.dropped} expired)\n`);
+    return;
+  }
+
+  if (query !== 'peers' && query !== 'in-flight' && query !== 'stale') {
+    error(`Unknown awareness history query: ${query || '(none)'}. Available: record, peers, in-flight, stale`);
+    return;
+  }
+
+  const since = flags.since != null ? flags.since : (query === 'peers' ? hist.parseWhen('7d') : null);
+  const { snapshots, warnings } = hist.readHistory(cwd, { since, until: flags.until });
+  const result = {
+    query,
+    snapshots: snapshots.length,
+    from: snapshots.length > 0 ? snapshots[0].taken_at : null,
+    to: snapshots.length > 0 ? snapshots[snapshots.length - 1].taken_at : null,
+    entries: [],
+    warnings,
+  };
+
+  if (query === 'peers') {
+    result.entries = hist.peerActivity(snapshots);
+  } else if (query === 'in-flight') {
+    result.days = flags.days != null ? flags.days : hist.DEFAULT_IN_FLIGHT_DAYS;
+    result.entries = hist.longInFlight(snapshots, { days: result.days });
+  } else {
+    result.stale_days = flags.stale_days != null ? flags.stale_days
+      : (Number.isFinite(cfg.peer_stale_days) ? cfg.peer_stale_days : aw.DEFAULT_STALE_DAYS);
+    result.entries = hist.branchStaleness(snapshots, { stale_days: result.stale_days });
+    if (flags.branch) result.entries = result.entries.filter((e) => e.branch === flags.branch);
+  }
+
+  if (raw) {
+    output(result, true);
+    return;
+  }
+  process.stdout.write(renderHistoryMarkdown(query, result) + '\n');
+}
+
 // ─── Subcommand router ────────────────────────────────────────────────────────
 
 /**
@@ -325,6 +529,7 @@ function cmdAwarenessRoute(cwd, args, raw) {
       '  scan-peer [--no-fetch] [--raw]    Walk origin/* refs; emit JSON',
       '  scan-org [--raw]                  Walk org Product Roadmap; emit JSON',
       '  show [flags]                      Render combined markdown view',
+      '  history <query> [flags]           Query the snapshot history (see below)',
       '',
       'Show flags:',
       '  --peer-only / --org-only          Filter to one section',
@@ -334,6 +539,12 @@ function cmdAwarenessRoute(cwd, args, raw) {
       '  --no-fetch                        Skip git fetch (peer side only)',
       '  --raw                             Emit raw JSON instead of markdown',
       '',
+      'History queries:',
+      '  record [--no-fetch]               Snapshot the cache now (re-scan peers if stale)',
+      '  peers [--since 7d] [--until D]    What peers worked on (default: last 7 days)',
+      '  in-flight [--days 14]             Objectives in flight longer than N days',
+      '  stale [--branch B] [--stale-days N]  When branches went stale',
+      '',
     ].join('\n'));
     process.exit(sub ? 0 : 1);
     return;
@@ -342,7 +553,8 @@ function cmdAwarenessRoute(cwd, args, raw) {
   if (sub === 'scan-peer') return cmdAwarenessScanPeer(cwd, rest, raw);
   if (sub === 'scan-org') return cmdAwarenessScanOrg(cwd, rest, raw);
   if (sub === 'show') return cmdAwarenessShow(cwd, rest, raw);
-  error(`Unknown awareness subcommand: ${sub}. Available: scan-peer, scan-org, show`);
+  if (sub === 'history') return cmdAwarenessHistory(cwd, rest, raw);
+  error(`Unknown awareness subcommand: ${sub}. Available: scan-peer, scan-org, show, history`);
 }
 
 // ─── Exports ──────────────────────────────────────────────────────────────────
@@ -352,6 +564,9 @@ module.exports = {
   cmdAwarenessScanPeer,
   cmdAwarenessScanOrg,
   cmdAwarenessShow,
+  cmdAwarenessHistory,
   parseShowFlags,
+  parseHistoryFlags,
   renderMarkdown,
+  renderHistoryMarkdown,
 };
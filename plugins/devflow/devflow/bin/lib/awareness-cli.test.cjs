@@ -4,13 +4,14 @@
  * Tests for awareness-cli.cjs pure helpers:
  *   - parseShowFlags(args)   — flag parser (pure)
  *   - renderMarkdown(sections, opts)  — markdown renderer (pure)
+ *   - parseHistoryFlags(args, now) / renderHistoryMarkdown(query, result) — history (pure)
  *
  * TRD 02-05 standard type: tests + implementation in one feat commit.
  */
 
 const test = require('node:test');
 const assert = require('node:assert');
-const { parseShowFlags, renderMarkdown } = require('./awareness-cli.cjs');
+const { parseShowFlags, renderMarkdown, parseHistoryFlags, renderHistoryMarkdown } = require('./awareness-cli.cjs');
 
 // ─── parseShowFlags tests ─────────────────────────────────────────────────────
 
@@ -156,6 +157,15 @@ test('renderMarkdown: peer section always shows stale=invisible footer', () => {
   assert.match(md, /30 days/);
 });
 
+test('renderMarkdown: coordination records render under the peer section', () => {
+  const record = require('./coordination.cjs').buildRecord({
+    kind: 'defer', objective_id: '07', repo: 'acme/api', from_branch: 'feature/obj-07', to_branch: 'feature/mine',
+  });
+  const md = renderMarkdown({ peer: { branches: [], coordination: [record], warnings: [] } });
+  assert.ok(md.includes('### Coordination for this branch\n\n- objective 07 in acme/api deferred to you (feature/obj-07)'), md);
+  assert.ok(!renderMarkdown({ peer: { branches: [], warnings: [] } }).includes('Coordination'));
+});
+
 test('renderMarkdown: peer section with no branches shows placeholder', () => {
   const md = renderMarkdown({ peer: { branches: [] } });
   assert.match(md, /No active branches found/);
@@ -290,3 +300,66 @@ test('renderMarkdown: branches sorted DESC by last_commit.timestamp', () => {
   const newPos = md.indexOf('feature/new');
   assert.ok(newPos < oldPos, 'newer branch should appear before older branch (DESC sort)');
 });
+
+// ─── history helpers ──────────────────────────────────────────────────────────
+
+test('parseHistoryFlags: relative --since, --days, --stale-days, --branch', () => {
+  const now = Date.parse('2026-09-10T00:00:00Z');
+  const r = parseHistoryFlags(['--since', '7d', '--until', '2026-09-09', '--days', '21',
+    '--stale-days', '0', '--branch', 'feature/a', '--no-fetch'], now);
+  assert.deepStrictEqual(r, {
+    since: Date.parse('2026-09-03T00:00:00Z'),
+    until: Date.parse('2026-09-09'),
+    days: 21,
+    stale_days: 0,
+    branch: 'feature/a',
+    no_fetch: true,
+    errors: [],
+  });
+});
+
+test('parseHistoryFlags: bad values and unknown flags → errors', () => {
+  const r = parseHistoryFlags(['--since', 'last week', '--days', '-1', '--branch']);
+  assert.deepStrictEqual(r.errors, [
+    '--since requires a date or an age like 7d',
+    '--days requires a non-negative number',
+    '--branch requires a value',
+  ]);
+  assert.deepStrictEqual(parseHistoryFlags(['--frobnicate']).errors, ['Unknown flag: --frobnicate']);
+});
+
+test('renderHistoryMarkdown: peers, in-flight and stale views', () => {
+  const span = { snapshots: 3, from: '2026-09-01T00:00:00Z', to: '2026-09-08T00:00:00Z' };
+  const peers = renderHistoryMarkdown('peers', Object.assign({}, span, {
+    entries: [{ branch: 'feature/a', developer: 'bob', objectives: ['3 — Billing', '6 — Refunds'],
+      trds: ['03-01'], first_seen: '2026-09-01T00:00:00Z', last_seen: '2026-09-08T00:00:00Z' }],
+  }));
+  assert.match(peers, /^# Peer activity/);
+  assert.match(peers, /3 snapshot\(s\), 2026-09-01T00:00:00Z → 2026-09-08T00:00:00Z/);
+  assert.match(peers, /- \*\*`feature\/a`\*\* by bob — 3 — Billing; 6 — Refunds, TRD 03-01/);
+
+  const inFlight = renderHistoryMarkdown('in-flight', Object.assign({}, span, {
+    days: 14,
+    entries: [{ objective: '3 — Billing', who: 'bob', branch: 'feature/a', days: 20,
+      first_seen: '2026-08-19T00:00:00Z', last_seen: '2026-09-08T00:00:00Z', in_flight: true }],
+  }));
+  assert.match(inFlight, /^# Objectives in flight > 14 days/);
+  assert.match(inFlight, /- 3 — Billing \(bob on `feature\/a`\) — 20 days since 2026-08-19T00:00:00Z; still in flight/);
+
+  const stale = renderHistoryMarkdown('stale', Object.assign({}, span, {
+    stale_days: 30,
+    warnings: ['skipped 1 unreadable line(s)'],
+    entries: [
+      { branch: 'feature/old', stale: true, stale_at: '2026-09-05T00:00:00Z', last_commit_at: '2026-08-06T00:00:00Z' },
+      { branch: 'feature/live', stale: false, stale_at: '2026-10-05T00:00:00Z', last_commit_at: '2026-09-05T00:00:00Z' },
+      { branch: 'feature/off', stale: false, stale_at: null, last_commit_at: null },
+    ],
+  }));
+  assert.match(stale, /`feature\/old`\*\* — stale since 2026-09-05T00:00:00Z; last commit 2026-08-06/);
+  assert.match(stale, /`feature\/live`\*\* — goes stale 2026-10-05T00:00:00Z/);
+  assert.match(stale, /`feature\/off`\*\* — never goes stale; no commit recorded/);
+  assert.match(stale, /## Warnings\n\n- skipped 1 unreadable line/);
+
+  assert.match(renderHistoryMarkdown('peers', { snapshots: 0, from: null, entries: [] }),
+    /_No peer sessions recorded in this window\._/);
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * Awareness history: a rolling JSONL store of awareness snapshots.
+ *
+ * .planning/.awareness-cache.json only holds the latest scan. Each time the
+ * awareness CLI writes a fresh scan it also appends a compact snapshot to
+ * .planning/.awareness-history.jsonl: the peer sessions it saw, the objective
+ * this checkout is on, and org item counts by product × quarter. The queries
+ * below answer questions over time:
+ *
+ *   peerActivity  — what did peers work on between two dates
+ *   longInFlight  — which objectives stayed in flight longer than N days
+ *   branchStaleness — when did each branch go stale
+ *
+ * scanPeer drops branches older than peer_stale_days, so a branch that went
+ * quiet simply vanishes from the cache. History keeps its last sighting, which
+ * lets the DEFAULT_STALE_DAYS rule run against the newest commit ever seen
+ * instead of a single point in time.
+ *
+ * Snapshots older than the retention window are dropped on append. The file
+ * is gitignored, like the cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const aw = require('./awareness.cjs');
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const AWARENESS_HISTORY_REL = path.join('.planning', '.awareness-history.jsonl');
+const HISTORY_SNAPSHOT_VERSION = 1;
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+const DEFAULT_IN_FLIGHT_DAYS = 14;
+
+const DAY_MS = 86400000;
+
+// ─── Snapshots (pure) ─────────────────────────────────────────────────────────
+
+/**
+ * Build a snapshot from awareness cache sections.
+ *
+ * @param {{ peer?: object, org?: object }} sections
+ * @param {object} [opts]
+ * @param {string} [opts.taken_at]  - ISO timestamp (default: now)
+ * @param {{ objective: string|null, trd: string|null }|null} [opts.self] - this checkout's STATE.md
+ * @returns {object}
+ */
+function buildSnapshot(sections, { taken_at = new Date().toISOString(), self = null } = {}) {
+  const peer = (sections && sections.peer) || null;
+  const org = (sections && sections.org) || null;
+
+  let orgCounts = null;
+  if (org && Array.isArray(org.items)) {
+    const grouped = aw.aggregateOrgByProductQuarter(org.items);
+    orgCounts = { total: org.items.length, by_product: {} };
+    for (const product of Object.keys(grouped)) {
+      orgCounts.by_product[product] = {};
+      for (const quarter of Object.keys(grouped[product])) {
+        orgCounts.by_product[product][quarter] = grouped[product][quarter].length;
+      }
+    }
+  }
+
+  return {
+    version: HISTORY_SNAPSHOT_VERSION,
+    taken_at,
+    current_branch: peer ? (peer.current_branch || null) : null,
+    self: self && self.objective ? { objective: self.objective, trd: self.trd || null } : null,
+    peers: peer ? (peer.branches || []).map((b) => ({
+      branch: b.branch,
+      objective: b.objective || null,
+      trd: b.trd || null,
+      developer: b.developer || null,
+      source: b.source || 'remote',
+      last_commit_at: (b.last_commit && b.last_commit.timestamp) || null,
+    })) : null,
+    org: orgCounts,
+  };
+}
+
+function _parseSnapshot(line) {
+  let s;
+  try { s = JSON.parse(line); } catch { return null; }
+  if (!s || s.version !== HISTORY_SNAPSHOT_VERSION) return null;
+  if (!Number.isFinite(Date.parse(s.taken_at))) return null;
+  return s;
+}
+
+// ─── Store I/O ────────────────────────────────────────────────────────────────
+
+function _readLines(cwd) {
+  try {
+    return fs.readFileSync(path.join(cwd, AWARENESS_HISTORY_REL), 'utf-8').split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read snapshots, oldest first. Unparseable lines are skipped and counted in
+ * a warning. `since` / `until` (ms or ISO) bound taken_at inclusively.
+ *
+ * @param {string} cwd
+ * @param {{ since?: number|string|null, until?: number|string|null }} [opts]
+ * @returns {{ snapshots: object[], warnings: string[] }}
+ */
+function readHistory(cwd, { since = null, until = null } = {}) {
+  const lo = since == null ? -Infinity : (typeof since === 'number' ? since : Date.parse(since));
+  const hi = until == null ? Infinity : (typeof until === 'number' ? until : Date.parse(until));
+  const out = { snapshots: [], warnings: [] };
+  let bad = 0;
+  for (const line of _readLines(cwd)) {
+    const s = _parseSnapshot(line);
+    if (!s) { bad++; continue; }
+    const t = Date.parse(s.taken_at);
+    if (t >= lo && t <= hi) out.snapshots.push(s);
+  }
+  if (bad > 0) out.warnings.push(`skipped ${bad} unreadable line(s) in ${AWARENESS_HISTORY_REL}`);
+  out.snapshots.sort((a, b) => Date.parse(a.taken_at) - Date.parse(b.taken_at));
+  return out;
+}
+
+/**
+ * Append a snapshot. When any stored snapshot is older than the retention
+ * window (or unreadable) the file is rewritten without it; otherwise this is
+ * a plain append. retention_days <= 0 keeps everything; a missing or
+ * non-numeric value means DEFAULT_HISTORY_RETENTION_DAYS.
+ *
+ * @param {string} cwd
+ * @param {object} snapshot
+ * @param {{ retention_days?: number|null }} [opts]
+ * @returns {{ kept: number, dropped: number }}
+ */
+function appendSnapshot(cwd, snapshot, { retention_days } = {}) {
+  if (!Number.isFinite(retention_days)) retention_days = DEFAULT_HISTORY_RETENTION_DAYS;
+  const planningDir = path.join(cwd, '.planning');
+  if (!fs.existsSync(planningDir)) fs.mkdirSync(planningDir, { recursive: true });
+  const file = path.join(cwd, AWARENESS_HISTORY_REL);
+  const line = JSON.stringify(snapshot) + '\n';
+
+  const lines = _readLines(cwd);
+  const cutoff = retention_days > 0 ? Date.parse(snapshot.taken_at) - retention_days * DAY_MS : -Infinity;
+  const keep = lines.filter((l) => {
+    const s = _parseSnapshot(l);
+    return s !== null && Date.parse(s.taken_at) >= cutoff;
+  });
+
+  if (keep.length === lines.length) {
+    fs.appendFileSync(file, line);
+  } else {
+    fs.writeFileSync(file, keep.map((l) => l + '\n').join('') + line);
+  }
+  return { kept: keep.length + 1, dropped: lines.length - keep.length };
+}
+
+/**
+ * Snapshot the current awareness cache (plus this checkout's STATE.md) into
+ * the history store.
+ *
+ * @param {string} cwd
+ * @param {object} [opts]
+ * @param {object} [opts.sections]       - cache sections (default: aw.readCache(cwd))
+ * @param {number} [opts.retention_days]
+ * @returns {{ snapshot: object, kept: number, dropped: number }}
+ */
+function recordSnapshot(cwd, { sections, retention_days } = {}) {
+  const cache = sections || aw.readCache(cwd) || {};
+  let self = null;
+  try {
+    self = aw.parseStateMd(fs.readFileSync(path.join(cwd, '.planning', 'STATE.md'), 'utf-8'));
+  } catch { /* no STATE.md: snapshot carries peers only */ }
+  const snapshot = buildSnapshot(cache, { self });
+  return Object.assign({ snapshot }, appendSnapshot(cwd, snapshot, { retention_days }));
+}
+
+// ─── Queries (pure) ───────────────────────────────────────────────────────────
+
+/**
+ * What peers worked on: one entry per branch seen in the snapshots, with every
+ * objective and TRD it showed, in order of first appearance. Most recently
+ * seen first.
+ *
+ * Snapshots without a peer section (org-only scans) are ignored.
+ *
+ * @param {object[]} snapshots - oldest first
+ * @returns {Array<{ branch: string, developer: string|null, source: string, objectives: string[],
+ *                   trds: string[], first_seen: string, last_seen: string, last_commit_at: string|null }>}
+ */
+function peerActivity(snapshots) {
+  const byBranch = new Map();
+  for (const s of snapshots) {
+    for (const p of s.peers || []) {
+      let e = byBranch.get(p.branch);
+      if (!e) {
+        e = {
+          branch: p.branch, developer: p.developer, source: p.source, objectives: [], trds: [],
+          first_seen: s.taken_at, last_seen: s.taken_at, last_commit_at: null,
+        };
+        byBranch.set(p.branch, e);
+      }
+      e.last_seen = s.taken_at;
+      if (p.developer) e.developer = p.developer;
+      if (p.objective && !e.objectives.includes(p.objective)) e.objectives.push(p.objective);
+      if (p.trd && !e.trds.includes(p.trd)) e.trds.push(p.trd);
+      if (p.last_commit_at && (!e.last_commit_at || p.last_commit_at > e.last_commit_at)) {
+        e.last_commit_at = p.last_commit_at;
+      }
+    }
+  }
+  return [...byBranch.values()].sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+}
+
+/**
+ * Objectives that stayed in flight longer than `days`. An objective's span runs
+ * from the first to the last snapshot that showed it on the same branch, so a
+ * branch moving on to another objective closes the earlier one. Covers peers
+ * and this checkout (`who: 'you'`).
+ *
+ * @param {object[]} snapshots - oldest first
+ * @param {{ days?: number }} [opts]
+ * @returns {Array<{ branch: string|null, objective: string, who: string|null, first_seen: string,
+ *                   last_seen: string, days: number, in_flight: boolean }>}
+ */
+function longInFlight(snapshots, { days = DEFAULT_IN_FLIGHT_DAYS } = {}) {
+  const spans = new Map();
+  const newest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+
+  const see = (branch, objective, who, at) => {
+    const key = `${branch || ''}\u0000${objective}`;
+    const e = spans.get(key);
+    if (e) { e.last_seen = at; return; }
+    spans.set(key, { branch, objective, who, first_seen: at, last_seen: at });
+  };
+
+  for (const s of snapshots) {
+    if (s.self) see(s.current_branch, s.self.objective, 'you', s.taken_at);
+    for (const p of s.peers || []) {
+      if (p.objective) see(p.branch, p.objective, p.developer, s.taken_at);
+    }
+  }
+
+  const out = [];
+  for (const e of spans.values()) {
+    const span = (Date.parse(e.last_seen) - Date.parse(e.first_seen)) / DAY_MS;
+    if (span <= days) continue;
+    out.push(Object.assign(e, {
+      days: Math.floor(span),
+      in_flight: e.last_seen === (newest && newest.taken_at),
+    }));
+  }
+  return out.sort((a, b) => b.days - a.days);
+}
+
+/**
+ * When each peer branch went (or will go) stale. Applies the scanPeer rule —
+ * stale once its newest commit is older than `stale_days` — to the newest
+ * commit any snapshot recorded, so branches scanPeer already hides still
+ * answer. stale_days <= 0 disables staleness, as in scanPeer.
+ *
+ * @param {object[]} snapshots - oldest first
+ * @param {{ stale_days?: number, now?: number }} [opts]
+ * @returns {Array<{ branch: string, developer: string|null, last_commit_at: string|null, last_seen: string,
+ *                   stale_at: string|null, stale: boolean }>} stale branches first, most recent stale_at first
+ */
+function branchStaleness(snapshots, { stale_days = aw.DEFAULT_STALE_DAYS, now = Date.now() } = {}) {
+  const out = peerActivity(snapshots).map((e) => {
+    const ts = e.last_commit_at ? Date.parse(e.last_commit_at) : NaN;
+    const stale_at = (stale_days > 0 && Number.isFinite(ts))
+      ? new Date(ts + stale_days * DAY_MS).toISOString()
+      : null;
+    return {
+      branch: e.branch,
+      developer: e.developer,
+      last_commit_at: e.last_commit_at,
+      last_seen: e.last_seen,
+      stale_at,
+      stale: stale_at !== null && Date.parse(stale_at) <= now,
+    };
+  });
+  return out.sort((a, b) => (b.stale - a.stale) || String(b.stale_at).localeCompare(String(a.stale_at)));
+}
+
+/**
+ * Parse a --since / --until value: a relative age (`7d`, `12h`, `2w`) or
+ * anything Date.parse accepts. Returns epoch ms, or null when unparseable.
+ *
+ * @param {string} value
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+function parseWhen(value, now = Date.now()) {
+  const m = String(value || '').trim().match(/^(\d+)\s*([hdw])$/i);
+  if (m) {
+    const unit = { h: 3600000, d: DAY_MS, w: 7 * DAY_MS }[m[2].toLowerCase()];
+    return now - Number(m[1]) * unit;
+  }
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+module.exports = {
+  AWARENESS_HISTORY_REL,
+  HISTORY_SNAPSHOT_VERSION,
+  DEFAULT_HISTORY_RETENTION_DAYS,
+  DEFAULT_IN_FLIGHT_DAYS,
+  buildSnapshot,
+  readHistory,
+  appendSnapshot,
+  recordSnapshot,
+  peerActivity,
+  longInFlight,
+  branchStaleness,
+  parseWhen,
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Tests for lib/awareness-history.cjs — rolling JSONL snapshots + queries.
+ *
+ *   AH-1: buildSnapshot keeps peer fields, this checkout's objective and org
+ *         counts by product × quarter
+ *   AH-2: appendSnapshot appends; expired and unreadable lines are pruned on
+ *         the next append; readHistory bounds by since / until
+ *   AH-3: peerActivity — one entry per branch, objectives in order, newest first
+ *   AH-4: longInFlight — spans per (branch, objective), threshold, still-in-flight
+ *   AH-5: branchStaleness — stale_days rule applied to the newest commit in
+ *         history, including branches the latest scan no longer shows
+ *   AH-6: parseWhen — relative ages and dates
+ *   AH-7: df-tools awareness history (real CLI): record, peers, stale --branch
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const hist = require('./awareness-history.cjs');
+
+const dfTools = path.resolve(__dirname, '..', 'df-tools.cjs');
+const DAY = 86400000;
+const T0 = Date.parse('2026-09-01T09:00:00.000Z');
+const at = (days) => new Date(T0 + days * DAY).toISOString();
+
+function peer(branch, objective, last_commit_days, extra = {}) {
+  return Object.assign({
+    branch, objective, trd: null, developer: 'alice', source: 'remote',
+    last_commit_at: at(last_commit_days),
+  }, extra);
+}
+
+function snap(days, peers, self = null) {
+  return {
+    version: hist.HISTORY_SNAPSHOT_VERSION,
+    taken_at: at(days),
+    current_branch: 'feature/mine',
+    self,
+    peers,
+    org: null,
+  };
+}
+
+function mkTmp() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'df-aw-hist-'));
+}
+
+test('AH-1: buildSnapshot keeps peer fields, self objective and org counts', () => {
+  const s = hist.buildSnapshot({
+    peer: {
+      current_branch: 'feature/mine',
+      branches: [{
+        branch: 'feature/a', objective: '3 — Billing', trd: '03-02', developer: 'bob',
+        github_issue: '#7', source: 'worktree', worktree: '/x',
+        last_commit: { sha: 'abc', timestamp: '2026-09-01T00:00:00Z', subject: 's' },
+      }],
+    },
+    org: {
+      items: [
+        { product: 'DevFlow', quarter: 'Q3 2026' },
+        { product: 'DevFlow', quarter: 'Q3 2026' },
+        { product: 'Eden', quarter: '' },
+      ],
+    },
+  }, { taken_at: at(0), self: { objective: '5 — Mine', trd: '05-01', branch: null } });
+
+  assert.deepStrictEqual(s, {
+    version: 1,
+    taken_at: at(0),
+    current_branch: 'feature/mine',
+    self: { objective: '5 — Mine', trd: '05-01' },
+    peers: [{
+      branch: 'feature/a', objective: '3 — Billing', trd: '03-02', developer: 'bob',
+      source: 'worktree', last_commit_at: '2026-09-01T00:00:00Z',
+    }],
+    org: { total: 3, by_product: { DevFlow: { 'Q3 2026': 2 }, Eden: { Unknown: 1 } } },
+  });
+
+  const empty = hist.buildSnapshot({}, { taken_at: at(0) });
+  assert.strictEqual(empty.peers, null, 'no peer section → peers null (not [])');
+  assert.strictEqual(empty.org, null);
+  assert.strictEqual(empty.self, null);
+});
+
+test('AH-2: appendSnapshot prunes expired and unreadable lines; readHistory bounds', () => {
+  const tmp = mkTmp();
+  try {
+    const file = path.join(tmp, hist.AWARENESS_HISTORY_REL);
+    assert.deepStrictEqual(hist.appendSnapshot(tmp, snap(0, [])), { kept: 1, dropped: 0 });
+    assert.deepStrictEqual(hist.appendSnapshot(tmp, snap(5, [])), { kept: 2, dropped: 0 });
+    fs.appendFileSync(file, 'not json\n');
+
+    let r = hist.readHistory(tmp);
+    assert.deepStrictEqual(r.snapshots.map(s => s.taken_at), [at(0), at(5)]);
+    assert.match(r.warnings[0], /skipped 1 unreadable line/);
+    assert.deepStrictEqual(hist.readHistory(tmp, { since: at(1) }).snapshots.map(s => s.taken_at), [at(5)]);
+    assert.deepStrictEqual(hist.readHistory(tmp, { until: T0 + DAY }).snapshots.map(s => s.taken_at), [at(0)]);
+
+    // 10-day retention at day 12: day 0 and the garbage line go, day 5 stays
+    assert.deepStrictEqual(hist.appendSnapshot(tmp, snap(12, []), { retention_days: 10 }), { kept: 2, dropped: 2 });
+    r = hist.readHistory(tmp);
+    assert.deepStrictEqual(r.snapshots.map(s => s.taken_at), [at(5), at(12)]);
+    assert.deepStrictEqual(r.warnings, []);
+
+    // retention 0 keeps everything
+    hist.appendSnapshot(tmp, snap(400, []), { retention_days: 0 });
+    assert.strictEqual(hist.readHistory(tmp).snapshots.length, 3);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('AH-3: peerActivity lists each branch once with its objectives, newest first', () => {
+  const snaps = [
+    snap(0, [peer('feature/a', '3 — Billing', 0, { trd: '03-01' })]),
+    snap(2, [peer('feature/a', '3 — Billing', 2, { trd: '03-02' }), peer('feature/b', '4 — Tax', 1, { developer: 'bob' })]),
+    snap(4, [peer('feature/a', '6 — Refunds', 4)]),
+    { version: 1, taken_at: at(5), current_branch: null, self: null, peers: null, org: { total: 0, by_product: {} } },
+  ];
+  const r = hist.peerActivity(snaps);
+  assert.deepStrictEqual(r.map(e => e.branch), ['feature/a', 'feature/b']);
+  assert.deepStrictEqual(r[0].objectives, ['3 — Billing', '6 — Refunds']);
+  assert.deepStrictEqual(r[0].trds, ['03-01', '03-02']);
+  assert.strictEqual(r[0].first_seen, at(0));
+  assert.strictEqual(r[0].last_seen, at(4), 'org-only snapshot does not count as a sighting');
+  assert.strictEqual(r[0].last_commit_at, at(4));
+  assert.strictEqual(r[1].developer, 'bob');
+  assert.deepStrictEqual(hist.peerActivity([]), []);
+});
+
+test('AH-4: longInFlight measures (branch, objective) spans against the threshold', () => {
+  const snaps = [
+    snap(0, [peer('feature/a', '3 — Billing', 0), peer('feature/b', '4 — Tax', 0)], { objective: '5 — Mine' }),
+    snap(10, [peer('feature/a', '3 — Billing', 9), peer('feature/b', '4 — Tax', 9)], { objective: '5 — Mine' }),
+    snap(16, [peer('feature/a', '3 — Billing', 15), peer('feature/b', '7 — Next', 15)], { objective: '5 — Mine' }),
+    snap(20, [peer('feature/a', '3 — Billing', 15)], { objective: '8 — Later' }),
+  ];
+  const r = hist.longInFlight(snaps);
+  assert.deepStrictEqual(r.map(e => [e.objective, e.branch, e.who, e.days, e.in_flight]), [
+    ['3 — Billing', 'feature/a', 'alice', 20, true],
+    ['5 — Mine', 'feature/mine', 'you', 16, false],
+  ], 'Tax moved on after 10 days; Next and Later are too new');
+
+  assert.deepStrictEqual(hist.longInFlight(snaps, { days: 9 }).map(e => e.objective),
+    ['3 — Billing', '5 — Mine', '4 — Tax']);
+  assert.deepStrictEqual(hist.longInFlight([]), []);
+});
+
+test('AH-5: branchStaleness applies stale_days to the newest commit in history', () => {
+  const snaps = [
+    snap(0, [peer('feature/old', 'x', -5), peer('feature/live', 'y', 0)]),
+    snap(20, [peer('feature/live', 'y', 19)]), // old already filtered out by scanPeer
+  ];
+  const now = T0 + 40 * DAY;
+  const r = hist.branchStaleness(snaps, { stale_days: 30, now });
+  assert.deepStrictEqual(r.map(e => [e.branch, e.stale, e.stale_at]), [
+    ['feature/old', true, at(25)],
+    ['feature/live', false, at(49)],
+  ]);
+  assert.strictEqual(r[0].last_seen, at(0), 'last sighting kept for branches the latest scan dropped');
+
+  const defaults = hist.branchStaleness(snaps, { now });
+  assert.strictEqual(defaults[0].stale_at, at(25), 'default rule is DEFAULT_STALE_DAYS (30)');
+
+  const off = hist.branchStaleness(snaps, { stale_days: 0, now });
+  assert.ok(off.every(e => e.stale === false && e.stale_at === null), 'stale_days 0 disables staleness');
+});
+
+test('AH-6: parseWhen accepts relative ages and dates', () => {
+  const now = T0;
+  assert.strictEqual(hist.parseWhen('7d', now), T0 - 7 * DAY);
+  assert.strictEqual(hist.parseWhen('2w', now), T0 - 14 * DAY);
+  assert.strictEqual(hist.parseWhen('12H', now), T0 - 12 * 3600000);
+  assert.strictEqual(hist.parseWhen('2026-09-01', now), Date.parse('2026-09-01'));
+  assert.strictEqual(hist.parseWhen('last week', now), null);
+  assert.strictEqual(hist.parseWhen('', now), null);
+});
+
+test('AH-7: df-tools awareness history record / peers / stale', () => {
+  const tmp = mkTmp();
+  const run = (...args) => spawnSync('node', [dfTools, 'awareness', 'history', ...args],
+    { cwd: tmp, encoding: 'utf-8', timeout: 20000 });
+  try {
+    fs.mkdirSync(path.join(tmp, '.planning'));
+    const recent = new Date(Date.now() - 2 * DAY).toISOString();
+    fs.writeFileSync(path.join(tmp, '.planning', '.awareness-cache.json'), JSON.stringify({
+      peer: {
+        fetched_at: new Date().toISOString(),
+        current_branch: 'main',
+        warnings: [],
+        branches: [{ branch: 'feature/a', objective: '3 — Billing', trd: '03-01', developer: 'bob',
+          last_commit: { sha: 'a', timestamp: recent, subject: 's' } }],
+      },
+    }));
+    fs.writeFileSync(path.join(tmp, hist.AWARENESS_HISTORY_REL),
+      JSON.stringify(snap(0, [peer('feature/gone', '1 — Old', -40)])) + '\n');
+
+    let r = run('record', '--raw');
+    assert.strictEqual(r.status, 0, r.stderr);
+    assert.strictEqual(JSON.parse(r.stdout).kept, 2);
+
+    r = run('peers', '--raw');
+    assert.strictEqual(r.status, 0, r.stderr);
+    const peers = JSON.parse(r.stdout);
+    assert.deepStrictEqual(peers.entries.map(e => e.branch), ['feature/a'], 'default window is the last 7 days');
+
+    r = run('stale', '--branch', 'feature/gone');
+    assert.strictEqual(r.status, 0, r.stderr);
+    assert.match(r.stdout, /`feature\/gone`\*\* — stale since 2026-08-22T09:00:00\.000Z/);
+
+    r = run('bogus');
+    assert.strictEqual(r.status, 1);
+    assert.match(r.stderr, /Available: record, peers, in-flight, stale/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -13,6 +13,8 @@
  *   TRD 02-02: scanPeer, _setRunGit
  *   TRD 02-03: scanOrg (composes walkProject from gh.cjs)
  *   TRD 02-07: module.exports finalization + integration tests
+ *   scanPeer also reads coordination records addressed to the current branch
+ *   (lib/coordination.cjs; published by dup-detect applyResolution).
  *
  * Iron Law: parseStateMd MUST be fault-tolerant — never throw on garbage input.
  */
@@ -25,6 +27,7 @@ const path = require('path');
 const DEFAULT_TTL_MINUTES = 10;
 const DEFAULT_STALE_DAYS = 30;
 const DEFAULT_BRANCH_PATTERNS = ['feature/*', 'df/*', 'fix/*', 'proposal/*'];
+const DEFAULT_PEER_REMOTES = ['origin'];
 const AWARENESS_CACHE_REL = path.join('.planning', '.awareness-cache.json');
 
 // ─── TRD 02-01: parseStateMd ──────────────────────────────────────────────────
@@ -222,6 +225,7 @@ function isStale(fetched_at, ttl_minutes) {
 // ─── TRD 02-02: peer scanner ──────────────────────────────────────────────────
 
 const { spawnSync } = require('child_process');
+const coord = require('./coordination.cjs');
 
 /**
  * Low-level git subprocess wrapper.
@@ -269,16 +273,28 @@ function _matchesPattern(branch, patterns) {
 }
 
 /**
- * Scan peer branches from origin/*.
+ * Scan peer branches from local worktrees and remote-tracking refs.
  *
  * 1. git fetch --all --prune (unless no_fetch=true)
- * 2. git for-each-ref refs/remotes/origin/* to enumerate remote branches
- * 3. Per branch: filter by pattern + stale threshold
- * 4. git show origin/<branch>:.planning/STATE.md to extract state
- * 5. parseStateMd → per-branch structured fields
+ * 2. git worktree list: every other worktree of this repo, STATE.md read from disk
+ * 3. git for-each-ref refs/remotes/<remote>/* for each configured remote
+ * 4. Per branch: filter by pattern + stale threshold; first sighting wins
+ *    (worktree, then remotes in order — a GitLab mirror of origin adds nothing)
+ * 5. git show <remote>/<branch>:.planning/STATE.md → parseStateMd
  * 6. git log -1 for last commit metadata
  *
- * Returns { branches, fetched_at, warnings, current_branch }.
+ * Entries carry `source` ('worktree' | 'remote'), the `ref` to read the
+ * branch through, and `remote` or `worktree`.
+ *
+ * Options left undefined fall back to the awareness block of
+ * .planning/config.json (branch_patterns, peer_stale_days, peer_remotes,
+ * peer_worktrees), then to the module defaults.
+ *
+ * Also reads refs/devflow/coordination/* (fetched from origin unless no_fetch)
+ * and keeps the records addressed to the current branch in `coordination`.
+ * Records older than peer_stale_days drop out like stale branches.
+ *
+ * Returns { branches, fetched_at, warnings, current_branch, coordination }.
  * Never throws — all errors become warnings or silent skips per SC-2.
  *
  * @param {object} opts
@@ -286,19 +302,37 @@ function _matchesPattern(branch, patterns) {
  * @param {boolean}  [opts.no_fetch]         - skip git fetch when true (default: false)
  * @param {string[]} [opts.branch_patterns]  - patterns to match (default: DEFAULT_BRANCH_PATTERNS)
  * @param {number}   [opts.peer_stale_days]  - branches older than this filtered out; 0=disabled (default: 30)
- * @returns {{ branches: object[], fetched_at: string, warnings: string[], current_branch: string|null }}
+ * @param {string[]} [opts.remotes]          - remotes to walk, in priority order (default: DEFAULT_PEER_REMOTES)
+ * @param {boolean}  [opts.include_worktrees] - include other local worktrees (default: true)
+ * @returns {{ branches: object[], fetched_at: string, warnings: string[], current_branch: string|null,
+ *             coordination: object[] }}
  */
 function scanPeer({
   cwd = process.cwd(),
   no_fetch = false,
-  branch_patterns = DEFAULT_BRANCH_PATTERNS,
-  peer_stale_days = DEFAULT_STALE_DAYS,
+  branch_patterns,
+  peer_stale_days,
+  remotes,
+  include_worktrees,
 } = {}) {
+  const cfg = _readAwarenessConfig(cwd);
+  if (branch_patterns == null) {
+    branch_patterns = Array.isArray(cfg.branch_patterns) ? cfg.branch_patterns : DEFAULT_BRANCH_PATTERNS;
+  }
+  if (peer_stale_days == null) {
+    peer_stale_days = Number.isFinite(cfg.peer_stale_days) ? cfg.peer_stale_days : DEFAULT_STALE_DAYS;
+  }
+  if (remotes == null) {
+    remotes = (Array.isArray(cfg.peer_remotes) && cfg.peer_remotes.length > 0) ? cfg.peer_remotes : DEFAULT_PEER_REMOTES;
+  }
+  if (include_worktrees == null) include_worktrees = cfg.peer_worktrees !== false;
+
   const result = {
     branches: [],
     fetched_at: new Date().toISOString(),
     warnings: [],
     current_branch: null,
+    coordination: [],
   };
 
   // 1. Fetch (unless disabled)
@@ -318,90 +352,199 @@ function scanPeer({
   const devR = _runGit(['config', 'user.name'], { cwd });
   const developer = devR.ok ? devR.stdout.trim() : null;
 
-  // 4. Enumerate remote branches
-  // NOTE: 'refs/remotes/origin/*' does NOT match nested paths like feature/foo
-  // (git glob * does not cross /). Use 'refs/remotes/origin/' (trailing slash)
-  // which recursively matches all refs under that prefix. [Rule 1 fix — TRD 02-07]
-  const refsR = _runGit(
-    ['for-each-ref', 'refs/remotes/origin/', '--format=%(refname:short)'],
-    { cwd }
-  );
-  if (!refsR.ok) {
-    result.warnings.push(`git for-each-ref failed: ${refsR.stderr || 'unknown error'}`);
-    return result;
-  }
-
-  const refLines = refsR.stdout.split('\n').map(s => s.trim()).filter(Boolean);
-
   // Stale threshold: -Infinity when peer_stale_days=0 (disabled — include all)
   const staleThreshold = peer_stale_days > 0
     ? Date.now() - peer_stale_days * 86400000
     : -Infinity;
 
-  for (const ref of refLines) {
-    if (!ref.startsWith('origin/')) continue;
-    const branchName = ref.slice('origin/'.length);
-
-    // Filter: hardcoded exclusions
-    if (['main', 'master', 'HEAD'].includes(branchName)) continue;
-
-    // Filter: pattern match
-    if (!_matchesPattern(branchName, branch_patterns)) continue;
+  // 3b. Coordination records addressed to this branch. Fetch failures are not
+  // reported separately — the fetch --all above already warns when origin is
+  // unreachable.
+  if (result.current_branch) {
+    const { records } = coord.readRecords({ runGit: _runGit, cwd, fetch: !no_fetch });
+    result.coordination = records.filter((r) => {
+      if (r.to.branch !== result.current_branch) return false;
+      const ts = Date.parse(r.created_at);
+      return !(Number.isFinite(ts) && ts < staleThreshold);
+    });
+  }
 
-    // 5. Read STATE.md from this branch
-    const showR = _runGit(['show', `${ref}:.planning/STATE.md`], { cwd });
-    if (!showR.ok) {
-      // SC-2: silently skip branches without STATE.md (no warning)
-      continue;
+  // 4. Local worktrees (git worktree list — workstreams provision creates these).
+  // Their STATE.md is read from disk, so uncommitted progress is visible.
+  const seen = new Set();
+  if (include_worktrees) {
+    for (const wt of _scanWorktrees(cwd, result.current_branch)) {
+      seen.add(wt.branch);
+      result.branches.push(Object.assign(wt, { developer }));
     }
+  }
 
-    // 6. Parse STATE.md
-    const parsed = parseStateMd(showR.stdout);
-    if (parsed === null) {
-      // SC-2: malformed STATE.md → warning + skip
-      result.warnings.push(`Malformed STATE.md on branch ${branchName}`);
+  // 5. Enumerate remote branches, remote by remote. Only git is involved, so
+  // any host works (GitHub, GitLab mirrors, bare ssh remotes).
+  // NOTE: 'refs/remotes/origin/*' does NOT match nested paths like feature/foo
+  // (git glob * does not cross /). Use 'refs/remotes/origin/' (trailing slash)
+  // which recursively matches all refs under that prefix. [Rule 1 fix — TRD 02-07]
+  for (const remote of remotes) {
+    const refsR = _runGit(
+      ['for-each-ref', `refs/remotes/${remote}/`, '--format=%(refname:short)'],
+      { cwd }
+    );
+    if (!refsR.ok) {
+      result.warnings.push(`git for-each-ref failed for ${remote}: ${refsR.stderr || 'unknown error'}`);
       continue;
     }
 
-    // 7. Last commit metadata
-    const logR = _runGit(['log', '-1', '--format=%H%x00%cI%x00%s', ref], { cwd });
-    let last_commit = null;
-    if (logR.ok && logR.stdout) {
-      const parts = logR.stdout.split('\x00');
-      // Validate: need 3 parts with a recognizable ISO timestamp in slot 1
-      if (parts.length >= 3 && parts[1] && /\d{4}-\d{2}-\d{2}T/.test(parts[1])) {
-        last_commit = {
-          sha: parts[0].trim(),
-          timestamp: parts[1].trim(),
-          // subject may have a trailing newline — strip it
-          subject: parts[2].replace(/\n[\s\S]*$/, '').trim(),
-        };
-      } else {
+    const refLines = refsR.stdout.split('\n').map(s => s.trim()).filter(Boolean);
+
+    for (const ref of refLines) {
+      if (!ref.startsWith(`${remote}/`)) continue;
+      const branchName = ref.slice(remote.length + 1);
+
+      // Filter: hardcoded exclusions
+      if (['main', 'master', 'HEAD'].includes(branchName)) continue;
+
+      // Filter: pattern match
+      if (!_matchesPattern(branchName, branch_patterns)) continue;
+
+      // Filter: already seen in a worktree or an earlier remote (mirrors)
+      if (seen.has(branchName)) continue;
+
+      // 6. Read STATE.md from this branch
+      const showR = _runGit(['show', `${ref}:.planning/STATE.md`], { cwd });
+      if (!showR.ok) {
+        // SC-2: silently skip branches without STATE.md (no warning)
+        continue;
+      }
+
+      // 7. Parse STATE.md
+      const parsed = parseStateMd(showR.stdout);
+      if (parsed === null) {
+        // SC-2: malformed STATE.md → warning + skip
+        result.warnings.push(`Malformed STATE.md on branch ${branchName}`);
+        continue;
+      }
+
+      // 8. Last commit metadata
+      const last_commit = _lastCommit(ref, cwd);
+      if (last_commit === undefined) {
         result.warnings.push(`Malformed git log output for ${branchName}`);
         continue;
       }
-    } else {
       // Can't get last commit — skip this branch
-      continue;
-    }
+      if (last_commit === null) continue;
+
+      // 9. Stale filter (after we have the timestamp)
+      if (peer_stale_days > 0) {
+        const ts = Date.parse(last_commit.timestamp);
+        if (Number.isFinite(ts) && ts < staleThreshold) continue;
+      }
 
-    // 8. Stale filter (after we have the timestamp)
-    if (peer_stale_days > 0) {
-      const ts = Date.parse(last_commit.timestamp);
-      if (Number.isFinite(ts) && ts < staleThreshold) continue;
+      seen.add(branchName);
+      result.branches.push({
+        branch: branchName,
+        objective: parsed.objective,
+        trd: parsed.trd,
+        github_issue: parsed.github_issue,
+        last_commit,
+        developer,
+        source: 'remote',
+        remote,
+        ref,
+      });
     }
+  }
+
+  return result;
+}
 
-    result.branches.push({
-      branch: branchName,
-      objective: parsed.objective,
-      trd: parsed.trd,
-      github_issue: parsed.github_issue,
-      last_commit,
-      developer,
+/**
+ * Last commit on a ref. Returns null when git log fails or is empty,
+ * undefined when its output is malformed (caller warns), else the commit.
+ *
+ * @param {string} ref
+ * @param {string} cwd
+ * @returns {{ sha: string, timestamp: string, subject: string }|null|undefined}
+ */
+function _lastCommit(ref, cwd) {
+  const logR = _runGit(['log', '-1', '--format=%H%x00%cI%x00%s', ref], { cwd });
+  if (!logR.ok || !logR.stdout) return null;
+  const parts = logR.stdout.split('\x00');
+  // Validate: need 3 parts with a recognizable ISO timestamp in slot 1
+  if (parts.length < 3 || !parts[1] || !/\d{4}-\d{2}-\d{2}T/.test(parts[1])) return undefined;
+  return {
+    sha: parts[0].trim(),
+    timestamp: parts[1].trim(),
+    // subject may have a trailing newline — strip it
+    subject: parts[2].replace(/\n[\s\S]*$/, '').trim(),
+  };
+}
+
+/**
+ * Peer entries for the other worktrees of this repository.
+ *
+ * Reads `git worktree list --porcelain`, skips the current worktree, bare and
+ * detached entries, and parses each worktree's own .planning/STATE.md. A
+ * freshly provisioned workstream has no parseable objective yet, so its
+ * workstream-marker.json names it instead. Worktrees are live checkouts:
+ * no branch-pattern or stale filter applies.
+ *
+ * @param {string} cwd
+ * @param {string|null} current_branch
+ * @returns {object[]}
+ */
+function _scanWorktrees(cwd, current_branch) {
+  const listR = _runGit(['worktree', 'list', '--porcelain'], { cwd });
+  if (!listR.ok) return [];
+  const topR = _runGit(['rev-parse', '--show-toplevel'], { cwd });
+  const here = topR.ok ? path.resolve(topR.stdout.trim()) : null;
+
+  const out = [];
+  for (const block of listR.stdout.split(/\n\s*\n/)) {
+    const wtM = block.match(/^worktree (.+)$/m);
+    const brM = block.match(/^branch refs\/heads\/(.+)$/m);
+    if (!wtM || !brM) continue; // bare or detached
+    const wtPath = wtM[1].trim();
+    const branch = brM[1].trim();
+    if (here && path.resolve(wtPath) === here) continue;
+    if (branch === current_branch) continue;
+
+    let parsed = null;
+    let marker = null;
+    try { parsed = parseStateMd(fs.readFileSync(path.join(wtPath, '.planning', 'STATE.md'), 'utf-8')); } catch {}
+    try { marker = JSON.parse(fs.readFileSync(path.join(wtPath, '.planning', 'workstream-marker.json'), 'utf-8')); } catch {}
+    const markerObjective = marker && marker.name
+      ? `${marker.name}${Array.isArray(marker.objectives) && marker.objectives.length ? ` (objectives ${marker.objectives.join(', ')})` : ''}`
+      : null;
+    if (!(parsed && parsed.objective) && !markerObjective) continue;
+
+    out.push({
+      branch,
+      objective: (parsed && parsed.objective) || markerObjective,
+      trd: parsed ? parsed.trd : null,
+      github_issue: parsed ? parsed.github_issue : null,
+      last_commit: _lastCommit(branch, cwd) || null,
+      source: 'worktree',
+      worktree: wtPath,
+      ref: branch,
     });
   }
+  return out;
+}
 
-  return result;
+/**
+ * Read the awareness block of .planning/config.json. Missing or malformed
+ * config → {} (every key has a default).
+ *
+ * @param {string} cwd
+ * @returns {object}
+ */
+function _readAwarenessConfig(cwd) {
+  try {
+    const cfg = JSON.parse(fs.readFileSync(path.join(cwd, '.planning', 'config.json'), 'utf-8'));
+    return (cfg && cfg.awareness && typeof cfg.awareness === 'object') ? cfg.awareness : {};
+  } catch {
+    return {};
+  }
 }
 
 // ─── TRD 02-03: scanOrg orchestrator + task-list fallback ────────────────────
@@ -498,11 +641,13 @@ function scanOrg({
   };
 }
 
-// ─── module.exports — LOCKED by TRD 02-07 (14-entry surface; SC-9) ───────────
+// ─── module.exports — LOCKED by TRD 02-07 (15-entry surface; SC-9) ───────────
 //
 // This block is the authoritative export surface for lib/awareness.cjs.
 // Asserted by L1 test: Object.keys(module.exports).sort() deepStrictEqual.
 // DO NOT add or remove entries without updating the L1 test + CONTEXT.md §"Module surface".
+//
+// 14 entries at TRD 02-07; +1 DEFAULT_PEER_REMOTES (multi-remote peer scan).
 
 module.exports = {
   // Pure logic (TRD 02-01):
@@ -527,5 +672,6 @@ module.exports = {
   DEFAULT_TTL_MINUTES,
   DEFAULT_STALE_DAYS,
   DEFAULT_BRANCH_PATTERNS,
+  DEFAULT_PEER_REMOTES,
   AWARENESS_CACHE_REL,
 };
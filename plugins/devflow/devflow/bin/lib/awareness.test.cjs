@@ -700,6 +700,10 @@ test('config.json T3: existing blocks (mode, github) preserved unchanged', () =>
 //   SI3: _resetGitMock() → restores default
 //   SI4: mockFn args spec — scanPeer calls git fetch --all --prune first when no_fetch=false
 //
+// Group SW — worktrees + multiple remotes (user-024):
+//   SW1: real git — other worktrees listed from disk; peer_remotes config walks a mirror
+//   SW2: mirrored branch reported once (first remote wins); failing remote warns
+//
 // Group SU — buildMockRunGit fixture builder contract:
 //   SU1: buildMockRunGit returns a function
 //   SU2: that function called with matching args returns canned response
@@ -1243,6 +1247,136 @@ test('SI4: scanPeer calls git fetch --all --prune as first git call when no_fetc
   } finally { _resetGitMock(); }
 });
 
+// ─── Group SCO: scanPeer coordination records ─────────────────────────────────
+
+test('SCO1: scanPeer keeps coordination records addressed to the current branch, drops stale ones', () => {
+  requireScanPeer();
+  requireSetRunGit();
+  requireResetGitMock();
+  const coord = require('./coordination.cjs');
+  const mk = (from_branch, to_branch, created_at) => coord.buildRecord({
+    kind: 'defer', objective_id: '07', repo: 'acme/api', from_branch, to_branch, created_at,
+  });
+  const mine = mk('feature/billing', 'feature/v1.1', new Date().toISOString());
+  const other = mk('feature/tax', 'feature/other', new Date().toISOString());
+  const stale = mk('feature/old', 'feature/v1.1', '2020-01-01T00:00:00.000Z');
+  const refs = [mine, other, stale].map(coord.refName);
+
+  const responses = buildScanResponses({ current_branch: 'feature/v1.1' });
+  responses.set('fetch --quiet origin +refs/devflow/coordination/*:refs/devflow/coordination/*',
+    { ok: true, status: 0, stdout: '', stderr: '' });
+  responses.set('for-each-ref refs/devflow/coordination/ --format=%(refname)',
+    { ok: true, status: 0, stdout: [...refs, 'refs/devflow/coordination/junk/1'].join('\n') + '\n', stderr: '' });
+  [mine, other, stale].forEach((r, i) => {
+    responses.set(`cat-file blob ${refs[i]}`, { ok: true, status: 0, stdout: JSON.stringify(r), stderr: '' });
+  });
+  responses.set('cat-file blob refs/devflow/coordination/junk/1', { ok: true, status: 0, stdout: '{oops', stderr: '' });
+  const mock = buildMockRunGit(responses);
+  _setRunGit(mock);
+  try {
+    const result = scanPeer({});
+    assert.deepStrictEqual(result.coordination, [Object.assign({ ref: refs[0] }, mine)]);
+    assert.strictEqual(result.branches.length, 1, 'branch scan unaffected');
+    assert.ok(mock.calls().some(c => c.key.startsWith('fetch --quiet origin +refs/devflow/coordination/')));
+
+    // no_fetch: coordination refs come from local refs only
+    const local = buildMockRunGit(responses);
+    _setRunGit(local);
+    scanPeer({ no_fetch: true });
+    assert.ok(!local.calls().some(c => c.args[0] === 'fetch'));
+  } finally { _resetGitMock(); }
+});
+
+// ─── Group SW: worktrees + non-origin remotes (real git) ──────────────────────
+
+test('SW1: scanPeer lists other worktrees from disk and walks every configured remote', () => {
+  const { spawnSync } = require('child_process');
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'df-aw-wt-'));
+  const git = (cwd, ...args) => spawnSync('git', args, { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 10000 });
+  const repo = path.join(tmp, 'repo');
+  const writeState = (dir, objective) => {
+    fs.mkdirSync(path.join(dir, '.planning'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.planning', 'STATE.md'), buildStateMd({ objective }));
+  };
+  try {
+    git(tmp, 'init', '-q', '-b', 'main', repo);
+    git(repo, 'config', 'user.email', 'test@example.com');
+    git(repo, 'config', 'user.name', 'test-dev');
+    git(repo, 'commit', '-q', '--allow-empty', '-m', 'init');
+
+    // A GitLab-style mirror remote carrying a branch origin does not have.
+    git(tmp, 'init', '-q', '--bare', '-b', 'main', path.join(tmp, 'gitlab.git'));
+    git(repo, 'remote', 'add', 'gitlab', path.join(tmp, 'gitlab.git'));
+    git(repo, 'checkout', '-q', '-b', 'feature/mirror-only');
+    writeState(repo, '5 — Mirror work');
+    git(repo, 'add', '.planning');
+    git(repo, 'commit', '-q', '-m', 'state');
+    git(repo, 'push', '-q', 'gitlab', 'feature/mirror-only');
+    git(repo, 'checkout', '-q', 'main');
+
+    // Two worktrees: one with uncommitted STATE.md, one freshly provisioned.
+    const wtA = path.join(tmp, 'wt-a');
+    const wtB = path.join(tmp, 'wt-b');
+    git(repo, 'worktree', 'add', '-q', '-b', 'ws/alpha', wtA);
+    git(repo, 'worktree', 'add', '-q', '-b', 'ws/beta', wtB);
+    writeState(wtA, '3 — Alpha in progress');
+    fs.mkdirSync(path.join(wtB, '.planning'));
+    fs.writeFileSync(path.join(wtB, '.planning', 'workstream-marker.json'),
+      JSON.stringify({ id: 'ws-2', name: 'Beta', objectives: [4, 6] }));
+
+    let r = scanPeer({ cwd: repo, no_fetch: true });
+    assert.deepStrictEqual(r.branches.map(b => [b.branch, b.source, b.objective]), [
+      ['ws/alpha', 'worktree', '3 — Alpha in progress'],
+      ['ws/beta', 'worktree', 'Beta (objectives 4, 6)'],
+    ], 'origin only by default; mirror branch not scanned');
+    assert.strictEqual(path.resolve(r.branches[0].worktree), path.resolve(wtA));
+    assert.ok(r.branches[0].last_commit, 'worktree branch carries its last commit');
+
+    // From inside a worktree, the main checkout is a peer and the current one is not.
+    const fromA = scanPeer({ cwd: wtA, no_fetch: true, remotes: [] });
+    assert.deepStrictEqual(fromA.branches.map(b => b.branch), ['ws/beta']);
+
+    fs.mkdirSync(path.join(repo, '.planning'));
+    fs.writeFileSync(path.join(repo, '.planning', 'config.json'),
+      JSON.stringify({ awareness: { peer_remotes: ['origin', 'gitlab'], peer_worktrees: false } }));
+    r = scanPeer({ cwd: repo, no_fetch: true });
+    assert.deepStrictEqual(r.branches.map(b => [b.branch, b.source, b.remote, b.ref]), [
+      ['feature/mirror-only', 'remote', 'gitlab', 'gitlab/feature/mirror-only'],
+    ]);
+    assert.deepStrictEqual(r.warnings, [], 'a remote with no branches is not an error');
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('SW2: mirrored branches are reported once (first remote wins); a failing remote only warns', () => {
+  requireScanPeer();
+  requireSetRunGit();
+  requireResetGitMock();
+  const responses = buildScanResponses({
+    branches: ['origin/feature/shared'],
+    state_md_per_branch: { 'feature/shared': { objective: '2 — Shared', trd: '02-01' } },
+  });
+  responses.set(
+    'for-each-ref refs/remotes/gitlab/ --format=%(refname:short)',
+    { ok: true, status: 0, stdout: 'gitlab/feature/shared\ngitlab/feature/gl-only\n', stderr: '' }
+  );
+  responses.set('show gitlab/feature/gl-only:.planning/STATE.md', buildGitShowStateMd({ objective: '4 — GitLab only' }));
+  responses.set('log -1 --format=%H%x00%cI%x00%s gitlab/feature/gl-only',
+    buildGitLogOutput({ timestamp: new Date().toISOString() }));
+  responses.set('for-each-ref refs/remotes/broken/ --format=%(refname:short)',
+    { ok: false, status: 128, stdout: '', stderr: 'fatal: bad ref' });
+  _setRunGit(buildMockRunGit(responses));
+  try {
+    const result = scanPeer({ remotes: ['origin', 'broken', 'gitlab'], include_worktrees: false });
+    assert.deepStrictEqual(result.branches.map(b => [b.branch, b.remote, b.ref]), [
+      ['feature/shared', 'origin', 'origin/feature/shared'],
+      ['feature/gl-only', 'gitlab', 'gitlab/feature/gl-only'],
+    ]);
+    assert.deepStrictEqual(result.warnings, ['git for-each-ref failed for broken: fatal: bad ref']);
+  } finally { _resetGitMock(); }
+});
+
 // ─── Group SU: buildMockRunGit fixture builder contract ───────────────────────
 
 test('SU1: buildMockRunGit returns a function', () => {
@@ -1682,7 +1816,7 @@ test('F3 (02-03): buildGhResponse_subIssuesByTaskList builds body with - [ ] lin
 // Test list (TDD Playbook habit 2 — enumerated before test code):
 //
 // Group L — Library surface lock:
-//   L1: Object.keys(require('awareness.cjs')).sort() === expected 14-entry list (deepStrictEqual)
+//   L1: Object.keys(require('awareness.cjs')).sort() === expected 15-entry list (deepStrictEqual)
 //   L2: each expected export has the correct typeof (function vs constant)
 //
 // Group CT — Cache round-trip integration:
@@ -1713,11 +1847,11 @@ const cassetteRel = path.join(
 
 // ─── Group L: Library surface lock ───────────────────────────────────────────
 
-test('L1 (02-07): awareness.cjs exports exactly 14 expected entries', () => {
+test('L1 (02-07): awareness.cjs exports exactly 15 expected entries', () => {
   const aw = require('./awareness.cjs');
   const exported = Object.keys(aw).sort();
   const expected = [
-    'AWARENESS_CACHE_REL', 'DEFAULT_BRANCH_PATTERNS', 'DEFAULT_STALE_DAYS', 'DEFAULT_TTL_MINUTES',
+    'AWARENESS_CACHE_REL', 'DEFAULT_BRANCH_PATTERNS', 'DEFAULT_PEER_REMOTES', 'DEFAULT_STALE_DAYS', 'DEFAULT_TTL_MINUTES',
     '_resetGitMock', '_setRunGit',
     'aggregateOrgByProductQuarter', 'isStale', 'parseStateMd', 'parseTaskListFallback',
     'readCache', 'scanOrg', 'scanPeer', 'writeCache',
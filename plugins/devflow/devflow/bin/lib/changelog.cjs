@@ -6,12 +6,17 @@
  * Generates Keep-a-Changelog format entries from git log between two tags
  * (or from the previous tag to HEAD) and prepends them to CHANGELOG.md
  * under [Unreleased] or under a new [vX.Y.Z] header.
+ *
+ * With --objectives the entry is built from the completed objectives instead
+ * (lib/release-notes.cjs), falling back to commits when none is complete, and
+ * the structured notes are written to .planning/releases/<version>.json.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { spawnSync } = require('child_process');
 const { output } = require('./helpers.cjs');
+const releaseNotes = require('./release-notes.cjs');
 
 const TYPE_LABELS = {
   feat: 'Added',
@@ -121,24 +126,9 @@ function hasVersionEntry(cwd, version) {
   return versionRe.test(content);
 }
 
-// ─── Commands ─────────────────────────────────────────────────────────────────
-
-function cmdChangelogUpdate(cwd, opts, raw) {
-  const { version, from, to, dryRun } = opts;
-  if (!version) {
-    output({ ok: false, error: 'version is required (--version vX.Y.Z or X.Y.Z)' }, raw, '');
-    return;
-  }
-  const v = version.replace(/^v/, '');
-
-  if (hasVersionEntry(cwd, v)) {
-    output({ ok: false, skipped: true, reason: `CHANGELOG already has entry for ${v}` }, raw, '');
-    return;
-  }
-
-  // Resolve range
+function resolveRange(cwd, from, to) {
   let fromRef = from;
-  let toRef = to || 'HEAD';
+  const toRef = to || 'HEAD';
   if (!fromRef) {
     // If `to` is a tag that exists, find tag before it; otherwise use latest tag
     if (toRef !== 'HEAD' && tagExists(cwd, toRef)) {
@@ -149,23 +139,75 @@ function cmdChangelogUpdate(cwd, opts, raw) {
     }
   }
 
-  const commits = commitsBetween(cwd, fromRef, toRef);
-  if (commits.length === 0) {
-    output({ ok: false, reason: `No commits found in range ${fromRef || '(start)'}..${toRef}` }, raw, '');
-    return;
-  }
-
   // Date — use tag date if `to` is a tag, otherwise today
   let dateISO = new Date().toISOString().slice(0, 10);
   if (toRef !== 'HEAD' && tagExists(cwd, toRef)) {
     const tagDate = git(['log', '-1', '--format=%cs', toRef], cwd);
     if (tagDate.ok && tagDate.stdout) dateISO = tagDate.stdout;
   }
+  return { fromRef, toRef, dateISO };
+}
+
+/**
+ * buildReleaseNotes(cwd, { version, from, to }) — objective-based notes for a
+ * release, or the commit range when no objective is complete.
+ *
+ * Returns the structured notes (release-notes.collectObjectiveNotes plus
+ * { version, date, from, to, source: 'objectives' | 'commits', commits })
+ * with the Keep-a-Changelog entry in `markdown`.
+ */
+function buildReleaseNotes(cwd, { version, from = null, to = null }) {
+  const v = String(version).replace(/^v/, '');
+  const { fromRef, toRef, dateISO } = resolveRange(cwd, from, to);
+  const notes = releaseNotes.collectObjectiveNotes(cwd, { version: v });
+  const base = { version: v, date: dateISO, from: fromRef, to: toRef };
+  if (notes.objectives.length > 0) {
+    return { ...base, source: 'objectives', ...notes, commits: [], markdown: releaseNotes.renderObjectiveEntry(v, dateISO, notes) };
+  }
+  const commits = commitsBetween(cwd, fromRef, toRef);
+  return { ...base, source: 'commits', ...notes, commits, markdown: commits.length > 0 ? renderEntry(v, dateISO, commits) : '' };
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+function cmdChangelogUpdate(cwd, opts, raw) {
+  const { version, from, to, dryRun, objectives } = opts;
+  if (!version) {
+    output({ ok: false, error: 'version is required (--version vX.Y.Z or X.Y.Z)' }, raw, '');
+    return;
+  }
+  const v = version.replace(/^v/, '');
+
+  if (hasVersionEntry(cwd, v)) {
+    output({ ok: false, skipped: true, reason: `CHANGELOG already has entry for ${v}` }, raw, '');
+    return;
+  }
 
-  const entry = renderEntry(v, dateISO, commits);
+  let entry, fromRef, toRef, commitCount, notes = null;
+  if (objectives) {
+    notes = buildReleaseNotes(cwd, { version: v, from, to });
+    ({ from: fromRef, to: toRef } = notes);
+    entry = notes.markdown;
+    commitCount = notes.commits.length;
+    if (!entry) {
+      output({ ok: false, reason: `No completed objectives and no commits in range ${fromRef || '(start)'}..${toRef}` }, raw, '');
+      return;
+    }
+  } else {
+    const range = resolveRange(cwd, from, to);
+    ({ fromRef, toRef } = range);
+    const commits = commitsBetween(cwd, fromRef, toRef);
+    if (commits.length === 0) {
+      output({ ok: false, reason: `No commits found in range ${fromRef || '(start)'}..${toRef}` }, raw, '');
+      return;
+    }
+    entry = renderEntry(v, range.dateISO, commits);
+    commitCount = commits.length;
+  }
+  const sourceInfo = notes ? { source: notes.source, objective_count: notes.objectives.length } : {};
 
   if (dryRun) {
-    output({ ok: true, dryRun: true, version: v, from: fromRef, to: toRef, commit_count: commits.length, entry }, raw, entry);
+    output({ ok: true, dryRun: true, version: v, from: fromRef, to: toRef, ...sourceInfo, commit_count: commitCount, entry }, raw, entry);
     return;
   }
 
@@ -174,13 +216,36 @@ function cmdChangelogUpdate(cwd, opts, raw) {
   const newContent = cl.header.trimEnd() + '\n\n' + entry.trim() + '\n\n' + cl.body.trimStart() + (cl.body ? '\n' : '');
   fs.writeFileSync(cl.path, newContent);
 
+  let jsonPath = null;
+  if (notes) {
+    jsonPath = path.join(cwd, '.planning', 'releases', `${v}.json`);
+    fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+    const { markdown, ...structured } = notes;
+    fs.writeFileSync(jsonPath, JSON.stringify(structured, null, 2) + '\n');
+  }
+
+  const what = notes && notes.source === 'objectives' ? `${notes.objectives.length} objectives` : `${commitCount} commits`;
   output(
-    { ok: true, version: v, from: fromRef, to: toRef, commit_count: commits.length, path: cl.path },
+    { ok: true, version: v, from: fromRef, to: toRef, ...sourceInfo, commit_count: commitCount, path: cl.path, ...(jsonPath ? { json_path: jsonPath } : {}) },
     raw,
-    `Updated ${cl.path} with ${commits.length} commits for ${v}`
+    `Updated ${cl.path} with ${what} for ${v}`
   );
 }
 
+/**
+ * `changelog notes <version> [--from <ref>] [--to <ref>]` — print the
+ * objective-based release notes without touching CHANGELOG.md: the
+ * structured JSON, or the markdown entry with --raw.
+ */
+function cmdChangelogNotes(cwd, opts, raw) {
+  if (!opts.version) {
+    output({ ok: false, error: 'version is required (changelog notes <version>)' }, raw, '');
+    return;
+  }
+  const notes = buildReleaseNotes(cwd, opts);
+  output({ ok: notes.markdown !== '', ...notes }, raw, notes.markdown);
+}
+
 function cmdChangelogCheck(cwd, version, raw) {
   if (!version) {
     output({ ok: false, error: 'version required' }, raw, '');
@@ -194,7 +259,9 @@ function cmdChangelogCheck(cwd, version, raw) {
 module.exports = {
   cmdChangelogUpdate,
   cmdChangelogCheck,
+  cmdChangelogNotes,
   hasVersionEntry,
+  buildReleaseNotes,
   // Exposed for tests
   groupCommits,
   renderEntry,
@@ -6,7 +6,7 @@
  * Read-only consumer of:
  *   - .planning/todos/pending/ (local todos)
  *   - gh issue list (assigned/mentioned/review-requested)
- *   - awareness.scanPeer (active peer sessions)
+ *   - awareness.scanPeer (active peer sessions + coordination records addressed to us)
  *   - initiatives.loadInitiatives (initiative open questions)
  *   - .planning/.dup-detect-log.jsonl (dup-detect resolutions)
  *
@@ -27,6 +27,7 @@ const initiatives = require('./initiatives.cjs');
 const gh = require('./gh.cjs');
 const { extractFrontmatter } = require('./frontmatter.cjs');
 const { DUP_DETECT_LOG_REL } = require('./dup-detect.cjs');
+const coord = require('./coordination.cjs');
 
 // ─── TRD 06-01: Constants ─────────────────────────────────────────────────────
 
@@ -287,14 +288,18 @@ function _fetchGhIssues(opts = {}) {
 
 /**
  * Fetch active peer sessions via awareness.scanPeer (injected via _runPeer).
+ * Coordination records the scan found for this branch ride along as
+ * `source: 'coordination'` entries (same fetch, same cache section).
  *
  * @param {{ cwd?: string }} [opts]
- * @returns {Array<{ branch, objective, trd, last_commit, state, github_issue, source: 'peer' }>}
+ * @returns {Array<{ branch, objective, trd, last_commit, state, github_issue, source: 'peer' }
+ *               | { kind, objective_id, repo, from_branch, summary, created_at, source: 'coordination' }>}
  */
 function _fetchPeerSessions(opts = {}) {
   const result = _runPeer({ cwd: opts.cwd });
   const branches = (result && Array.isArray(result.branches)) ? result.branches : [];
-  return branches.map(b => ({
+  const records = (result && Array.isArray(result.coordination)) ? result.coordination : [];
+  const peers = branches.map(b => ({
     branch: b.branch || null,
     objective: b.objective || null,
     trd: b.trd || null,
@@ -303,6 +308,16 @@ function _fetchPeerSessions(opts = {}) {
     github_issue: b.github_issue || null,
     source: 'peer',
   }));
+  const notes = records.map(r => ({
+    kind: r.kind,
+    objective_id: r.objective_id,
+    repo: r.repo || null,
+    from_branch: (r.from && r.from.branch) || null,
+    summary: coord.describeRecord(r),
+    created_at: r.created_at || null,
+    source: 'coordination',
+  }));
+  return [...peers, ...notes];
 }
 
 // ─── TRD 06-01: _fetchInitiativeQuestions ─────────────────────────────────────
@@ -377,8 +392,11 @@ function _fetchDupDetectLog(cwd, opts = {}) {
  *
  * Lane rules (per CONTEXT.md decision #2):
  *   - blocked: peer.state === 'blocked_on_user' OR dup-detect resolve='coordinate' (recent)
+ *              OR a peer's coordinate record addressed to us
  *   - now:     gh.assigned + priority label OR peer.state === 'active'
+ *              OR a peer deferred / split work to us
  *   - soon:    gh.mentioned (not assigned) OR gh.review_requested OR initiative open question
+ *              OR a peer proceeding despite overlap
  *   - ideas:   local todo OR gh.assigned without priority
  *
  * @param {object} entry        - source-emitted entry with `source` field
@@ -410,6 +428,13 @@ function _assignLane(entry, currentUser, currentRepo) {
       return null;  // paused / done / unknown → skip
     }
 
+    case 'coordination': {
+      if (entry.kind === 'coordinate') return 'blocked';  // they are waiting on a conversation
+      if (entry.kind === 'defer' || entry.kind === 'split') return 'now';
+      if (entry.kind === 'proceed-anyway') return 'soon';
+      return null;
+    }
+
     case 'gh': {
       // Tie-breakers: assigned > mentioned > review_requested
       if (entry.assigned) {
@@ -746,6 +771,8 @@ function _entryTitle(entry) {
       return `**${entry.initiative_slug || '(unknown)'}** — ${entry.question || '(no question)'}`;
     case 'dup-detect':
       return `**dup-detect** — ${entry.objective_id || '(unknown)'}: ${entry.resolution || 'unresolved'}`;
+    case 'coordination':
+      return `**coordination** — ${entry.summary || `${entry.objective_id || '(unknown)'}: ${entry.kind || '?'}`}`;
     case 'local':
       return `**${entry.area || 'general'}** — ${entry.title || '(no title)'}`;
     default:
@@ -785,6 +812,8 @@ function _attributionSuffix(entry) {
         : '';
       return `*via dup-detect ${entry.mode || ''}${score}*`;
     }
+    case 'coordination':
+      return `*via coordination ref (${entry.kind || '?'}, ${entry.created_at || 'undated'})*`;
     case 'local':
       return `*via local todo: ${entry.path || ''}*`;
     default:
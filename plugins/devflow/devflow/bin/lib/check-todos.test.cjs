@@ -5,10 +5,10 @@
 // Group A — aggregate (top-level orchestration): A1-A8
 // Group F — _fetchLocalTodos: F1-F7
 // Group L — _fetchGhIssues: L1-L7
-// Group P — _fetchPeerSessions: P1-P5
+// Group P — _fetchPeerSessions: P1-P6
 // Group I — _fetchInitiativeQuestions: I1-I6
 // Group D — _fetchDupDetectLog: D1-D5
-// Group AS — _assignLane (deterministic enumeration): AS1-AS17
+// Group AS — _assignLane (deterministic enumeration): AS1-AS18
 //
 // ## Test list — TRD 06-02 cache layer
 //
@@ -19,7 +19,7 @@
 // ## Test list — TRD 06-03 formatter
 //
 // Group FF — formatCheckTodosMarkdown (top-level): FF1-FF13
-// Group FE — _renderEntry / _entryTitle / _attributionSuffix: FE1-FE9
+// Group FE — _renderEntry / _entryTitle / _attributionSuffix: FE1-FE10
 // Group FT — Truncation + token bounds: FT1-FT6
 //
 // ## Test list — TRD 06-04 export-lock + integration
@@ -534,6 +534,23 @@ describe('check-todos: Group P — _fetchPeerSessions', () => {
     const result = ct._fetchPeerSessions({});
     assert.strictEqual(result[0].state, 'blocked_on_user');
   });
+
+  it('P6: coordination records on the scan → source:coordination entries with a summary', () => {
+    const record = require('./coordination.cjs').buildRecord({
+      kind: 'defer', objective_id: '07', repo: 'acme/api',
+      from_branch: 'feature/obj-07', to_branch: 'feature/mine', created_at: '2026-10-01T10:00:00.000Z',
+    });
+    ct._setRunPeer(() => ({ branches: [], coordination: [record], fetched_at: new Date().toISOString() }));
+    assert.deepStrictEqual(ct._fetchPeerSessions({}), [{
+      kind: 'defer',
+      objective_id: '07',
+      repo: 'acme/api',
+      from_branch: 'feature/obj-07',
+      summary: 'objective 07 in acme/api deferred to you (feature/obj-07)',
+      created_at: '2026-10-01T10:00:00.000Z',
+      source: 'coordination',
+    }]);
+  });
 });
 
 // ─── Group I — _fetchInitiativeQuestions ──────────────────────────────────────
@@ -852,6 +869,15 @@ describe('check-todos: Group AS — _assignLane (deterministic enumeration)', ()
       'now',
     );
   });
+
+  it('AS18: source===coordination → coordinate blocked; defer/split now; proceed-anyway soon', () => {
+    const lane = (kind) => ct._assignLane({ source: 'coordination', kind }, 'mark', null);
+    assert.strictEqual(lane('coordinate'), 'blocked');
+    assert.strictEqual(lane('defer'), 'now');
+    assert.strictEqual(lane('split'), 'now');
+    assert.strictEqual(lane('proceed-anyway'), 'soon');
+    assert.strictEqual(lane('bogus'), null);
+  });
 });
 
 // ─── Group C — Cache primitives ───────────────────────────────────────────────
@@ -1579,6 +1605,17 @@ describe('check-todos: Group FE — entry rendering + attribution (via formatChe
     const out = ct.formatCheckTodosMarkdown(makeAgg('ideas', entry), { date: '2026-05-05' });
     assert.match(out, /via gh/);
   });
+
+  it('FE10: coordination entry → title shows summary; attribution shows kind + created_at', () => {
+    const entry = {
+      source: 'coordination', kind: 'split', objective_id: '07',
+      summary: 'split on objective 07 in acme/api: you take a.cjs; they take b.cjs',
+      created_at: '2026-10-01T10:00:00.000Z',
+    };
+    const out = ct.formatCheckTodosMarkdown(makeAgg('now', entry), { date: '2026-05-05' });
+    assert.match(out, /\*\*coordination\*\* — split on objective 07 in acme\/api: you take a\.cjs; they take b\.cjs/);
+    assert.match(out, /via coordination ref \(split, 2026-10-01T10:00:00\.000Z\)/);
+  });
 });
 
 // ─── Group FT — Truncation + token bounds ────────────────────────────────────
@@ -16,6 +16,10 @@
 // resolveDisk/resolveGh/resolveMerge: orchestrators that delegate to existing push
 //   (lib/gh.cjs cmdGhSyncObjective) and pull-apply (lib/gh-pull.cjs applyDrift)
 //   primitives, then update sync state.
+//
+// parsePolicy/planResolution/applyResolution: per-field batch resolution for
+//   `pull --all` — a policy ("labels: union, status: disk-wins") settles each
+//   case-5 field, then the merged values are written to disk and pushed.
 
 const fs = require('fs');
 const path = require('path');
@@ -62,9 +66,7 @@ function detectConflict({ disk_fm, gh_norm, last_sync }) {
   for (const field of TRACKED_FIELDS) {
     const diskVal = disk_fm[field];
     const ghVal = gh_norm[field];
-    const lastKey = LAST_SYNC_FIELD_MAP[field];
-    // D7 legacy fallback: undefined last → use disk as baseline (avoids false-positive conflicts)
-    const lastVal = (last_sync[lastKey] !== undefined) ? last_sync[lastKey] : disk_fm[field];
+    const lastVal = lastValue(last_sync, disk_fm, field);
 
     const diskEqLast = setsEqual(diskVal, lastVal);
     const ghEqLast = setsEqual(ghVal, lastVal);
@@ -94,6 +96,15 @@ function detectConflict({ disk_fm, gh_norm, last_sync }) {
   };
 }
 
+/**
+ * Baseline value of `field` from a sync-state record.
+ * D7 legacy fallback: undefined last → use disk as baseline (avoids false-positive conflicts).
+ */
+function lastValue(last_sync, disk_fm, field) {
+  const lastKey = LAST_SYNC_FIELD_MAP[field];
+  return (last_sync[lastKey] !== undefined) ? last_sync[lastKey] : disk_fm[field];
+}
+
 /**
  * Set-equality for arrays (order-independent), strict-equal for scalars, null-safe.
  * Mirrors lib/gh-pull.cjs shallowEqual but renamed for clarity.
@@ -148,12 +159,16 @@ function formatThreeWayDiff({ objectiveId, issueRef, conflicting_fields }) {
  * already updates the mapping. Then we update sync state to clear pending_resolution
  * and record the new authoritative state.
  *
+ * pushObjective (optional) replaces cmdGhSyncObjective for non-GitHub PM
+ * backends — same (cwd, objectiveId, raw) signature, same output/exit contract.
+ *
  * Returns: { ok, action, error? }
  */
-function resolveDisk({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm }) {
+function resolveDisk({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm, pushObjective }) {
   // Live require lookup (NOT destructure) so test monkey-patching of gh.cmdGhSyncObjective
   // takes effect.
   const gh = require('./gh.cjs');
+  const push = pushObjective || ((c, id, raw) => gh.cmdGhSyncObjective(c, id, raw));
   try {
     // cmdGhSyncObjective uses helpers.output() which calls process.exit; capture it.
     const origExit = process.exit;
@@ -162,14 +177,14 @@ function resolveDisk({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm }) {
     process.exit = (code) => { exitCode = code; throw new Error('__resolve_disk_exit__'); };
     process.stdout.write = () => true;
     try {
-      try { gh.cmdGhSyncObjective(cwd, objectiveId, true); }
+      try { push(cwd, objectiveId, true); }
       catch (e) { if (e.message !== '__resolve_disk_exit__') throw e; }
     } finally {
       process.exit = origExit;
       process.stdout.write = origStdout;
     }
     if (exitCode !== null && exitCode !== 0) {
-      return { ok: false, error: `cmdGhSyncObjective exited with code ${exitCode}` };
+      return { ok: false, error: `push of ${objectiveId} exited with code ${exitCode}` };
     }
 
     // Clear pending_resolution from sync state — the push succeeded so disk is
@@ -228,12 +243,23 @@ function resolveGh({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm }) {
   if (!r.ok) return { ok: false, error: r.error };
 
   // applyDrift wrote disk; now record the new sync state and clear pending_resolution.
+  recordGhBaseline({ cwd, objectiveId, issueRef, ghIssue, ghNorm });
+
+  return { ok: true, action: 'pulled', applied: r.applied };
+}
+
+/**
+ * Record GH's current state as the new sync baseline (disk already matches it)
+ * and clear pending_resolution. Shared by resolveGh and applyResolution.
+ */
+function recordGhBaseline({ cwd, objectiveId, issueRef, ghIssue, ghNorm }) {
   const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
   const updatedDiskFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
   const last = getLastSync(cwd, objectiveId) || {};
   const cleared = { ...last };
   delete cleared.pending_resolution;
   cleared.issue_ref = issueRef;
+  cleared.etag = ghIssue.etag || null;
   cleared.gh_updated_at = ghIssue.updatedAt;
   cleared.label_set = ghNorm.labels;
   cleared.assignees = ghNorm.assignees;
@@ -242,8 +268,6 @@ function resolveGh({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm }) {
   cleared.last_synced_at = new Date().toISOString();
   cleared.last_synced_disk_hash = hashFrontmatter(updatedDiskFm);
   recordSync(cwd, objectiveId, cleared);
-
-  return { ok: true, action: 'pulled', applied: r.applied };
 }
 
 // ─── resolveMerge ─────────────────────────────────────────────────────────────
@@ -256,14 +280,14 @@ function resolveGh({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm }) {
  *
  * Compares current disk hash vs pending_resolution.disk_hash_at_conflict (recorded
  * when conflict was first surfaced). If unchanged → user didn't edit yet → exit 1.
- * If changed → record the merge as authoritative; user runs `df-tools gh sync` to push.
+ * If changed → record the merge as authoritative; user runs `df-tools pm sync` to push.
  */
 function resolveMerge({ cwd, objectiveId, currentDiskFm }) {
   const last = getLastSync(cwd, objectiveId);
   if (!last || !last.pending_resolution) {
     return {
       ok: false,
-      error: 'No pending conflict resolution. Run `df-tools gh pull <objective>` first to surface conflicts.',
+      error: 'No pending conflict resolution. Run `df-tools pm pull <objective>` first to surface conflicts.',
     };
   }
 
@@ -278,7 +302,7 @@ function resolveMerge({ cwd, objectiveId, currentDiskFm }) {
   }
 
   // User edited — record their merge as the new authoritative disk state.
-  // Note: We do NOT auto-push to GH from here. User runs `df-tools gh sync <obj>` afterward.
+  // Note: We do NOT auto-push to GH from here. User runs `df-tools pm sync <obj>` afterward.
   const cleared = { ...last };
   delete cleared.pending_resolution;
   cleared.last_synced_disk_hash = currentHash;
@@ -296,13 +320,170 @@ function resolveMerge({ cwd, objectiveId, currentDiskFm }) {
   };
 }
 
+// ─── Batch resolution policy (pull --all) ─────────────────────────────────────
+
+// Per-field strategies for case-5 conflicts. `manual` leaves the field for the
+// interactive prompt or a later single-objective --resolve.
+const POLICY_STRATEGIES = ['disk-wins', 'gh-wins', 'union', 'manual'];
+
+// Only set-valued fields can be unioned.
+const UNION_FIELDS = ['labels', 'assignees'];
+
+/**
+ * Parse a resolution policy.
+ *
+ * Accepts:
+ *   - inline spec: "labels: union, assignees: gh-wins, status: disk-wins"
+ *   - object (e.g. a parsed policy file): { labels: 'union', default: 'gh-wins' }
+ *     or { default, fields: { labels: 'union' } }
+ *
+ * Fields not named fall back to `default` (itself defaulting to 'manual').
+ *
+ * Returns { ok: true, policy: { default, fields } } | { ok: false, error }.
+ */
+function parsePolicy(spec) {
+  let entries;
+  if (spec == null || spec === '') {
+    entries = {};
+  } else if (typeof spec === 'string') {
+    entries = {};
+    for (const part of spec.split(',')) {
+      if (!part.trim()) continue;
+      const m = part.match(/^\s*([\w-]+)\s*[:=]\s*([\w-]+)\s*$/);
+      if (!m) return { ok: false, error: `Invalid policy entry: "${part.trim()}". Use <field>: <strategy>.` };
+      entries[m[1]] = m[2];
+    }
+  } else if (typeof spec === 'object' && !Array.isArray(spec)) {
+    entries = spec.fields && typeof spec.fields === 'object'
+      ? { ...spec.fields, ...(spec.default ? { default: spec.default } : {}) }
+      : { ...spec };
+  } else {
+    return { ok: false, error: 'Policy must be an object or a "<field>: <strategy>" list.' };
+  }
+
+  const policy = { default: 'manual', fields: {} };
+  for (const [field, strategy] of Object.entries(entries)) {
+    if (!POLICY_STRATEGIES.includes(strategy)) {
+      return { ok: false, error: `Unknown strategy for ${field}: ${strategy}. Valid: ${POLICY_STRATEGIES.join(', ')}.` };
+    }
+    if (field === 'default') {
+      if (strategy === 'union') return { ok: false, error: 'default cannot be union (status and milestone are scalars).' };
+      policy.default = strategy;
+      continue;
+    }
+    if (!TRACKED_FIELDS.includes(field)) {
+      return { ok: false, error: `Unknown policy field: ${field}. Tracked: ${TRACKED_FIELDS.join(', ')}.` };
+    }
+    if (strategy === 'union' && !UNION_FIELDS.includes(field)) {
+      return { ok: false, error: `union only applies to ${UNION_FIELDS.join(', ')}; ${field} is a scalar.` };
+    }
+    policy.fields[field] = strategy;
+  }
+  return { ok: true, policy };
+}
+
+/**
+ * Settle one conflicting field with a strategy. Pure.
+ *
+ * vals: { disk, gh } — as in detectConflict's conflicting_fields.
+ * Returns { ok: true, value } or { ok: false } for 'manual' / union on a scalar.
+ */
+function resolveField(field, vals, strategy) {
+  if (strategy === 'disk-wins') return { ok: true, value: vals.disk };
+  if (strategy === 'gh-wins') return { ok: true, value: vals.gh };
+  if (strategy === 'union' && UNION_FIELDS.includes(field)) {
+    const merged = [...(vals.disk || [])];
+    for (const v of vals.gh || []) if (!merged.includes(v)) merged.push(v);
+    return { ok: true, value: merged };
+  }
+  return { ok: false };
+}
+
+/**
+ * Plan a per-field resolution for one objective. Pure — no IO.
+ *
+ * Non-conflicting drift resolves unilaterally: case 2 keeps disk, case 3 takes
+ * GH, case 4 is already agreed. Case-5 fields go through the policy.
+ *
+ * Returns:
+ *   { conflict, conflicting_fields, non_conflicting_fields,
+ *     values:     { field: resolvedValue },
+ *     decisions:  { field: 'disk'|'gh'|<strategy> },
+ *     unresolved: { field: { disk, gh, last } } }
+ */
+function planResolution({ disk_fm, gh_norm, last_sync, policy }) {
+  const detected = detectConflict({ disk_fm, gh_norm, last_sync });
+  const pol = policy || { default: 'manual', fields: {} };
+  const values = {};
+  const decisions = {};
+  const unresolved = {};
+
+  for (const field of detected.non_conflicting_fields) {
+    const diskMoved = !setsEqual(disk_fm[field], lastValue(last_sync, disk_fm, field));
+    values[field] = diskMoved ? disk_fm[field] : gh_norm[field];
+    decisions[field] = diskMoved ? 'disk' : 'gh';
+  }
+  for (const [field, vals] of Object.entries(detected.conflicting_fields)) {
+    const strategy = pol.fields[field] || pol.default;
+    const r = resolveField(field, vals, strategy);
+    if (r.ok) {
+      values[field] = r.value;
+      decisions[field] = strategy;
+    } else {
+      unresolved[field] = vals;
+    }
+  }
+
+  return { ...detected, values, decisions, unresolved };
+}
+
+/**
+ * applyResolution — write planned values to disk, then push if GH still differs.
+ *
+ * When every resolved value already matches GH, nothing is pushed and GH's
+ * state becomes the baseline (resolveGh bookkeeping). Otherwise the merged disk
+ * state is pushed through resolveDisk, which records the baseline itself.
+ *
+ * Returns: { ok, action: 'pushed'|'pulled', written, error? }
+ */
+function applyResolution({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm, values, pushObjective }) {
+  const ghPull = require('./gh-pull.cjs');
+  const ghNorm = ghPull.normalizeGhIssue(ghIssue);
+
+  const written = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (!setsEqual(currentDiskFm[field], value)) written[field] = value;
+  }
+  if (Object.keys(written).length > 0) {
+    const w = ghPull.writeFrontmatterFields({ projectRoot: cwd, objectiveId, values: written });
+    if (!w.ok) return { ok: false, error: w.error };
+  }
+
+  const needsPush = Object.entries(values).some(([field, value]) => !setsEqual(ghNorm[field], value));
+  if (!needsPush) {
+    recordGhBaseline({ cwd, objectiveId, issueRef, ghIssue, ghNorm });
+    return { ok: true, action: 'pulled', written };
+  }
+
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  const updatedDiskFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  const r = resolveDisk({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm: updatedDiskFm, pushObjective });
+  if (!r.ok) return { ok: false, error: r.error, written };
+  return { ok: true, action: 'pushed', written };
+}
+
 module.exports = {
   detectConflict,
   formatThreeWayDiff,
   resolveDisk,
   resolveGh,
   resolveMerge,
+  parsePolicy,
+  resolveField,
+  planResolution,
+  applyResolution,
   TRACKED_FIELDS,
+  POLICY_STRATEGIES,
   // Internal exposed for tests
   setsEqual,
 };
@@ -31,6 +31,22 @@
 //   W3: --resolve=gh on conflict → calls resolveGh; exits 0 on success
 //   W4: --resolve=merge --resolved with unchanged disk → exits 1 with /unchanged/
 //   W5: --resolve=merge --resolved with edited disk → exits 0; records merge
+//
+// Batch resolution policy (P group):
+//   P1: inline "field: strategy" list + object/file shapes parse to { default, fields }
+//   P2: unknown field / strategy, union on a scalar → { ok: false, error }
+//   P3: resolveField — disk-wins / gh-wins / union / manual
+//   P4: planResolution — non-conflicting fields resolve unilaterally; policy settles case 5
+//   P5: planResolution — no rule for a conflicting field → unresolved
+//   P6: applyResolution — all values match GH → disk written, baseline = GH, no push
+//   P7: applyResolution — merged value differs from GH → disk written + pushed
+//
+// pull --all integration (B group):
+//   B1: report mode → combined summary; unresolved conflict exits 1 + records pending
+//   B2: --apply --policy=<inline> → drift applied, conflict merged + pushed
+//   B3: --policy=<file> with default gh-wins → conflict pulled, nothing pushed
+//   B4: --interactive answers settle conflicts the policy leaves manual
+//   B5: invalid policy / --resolve=merge with --all → exit 1 with error
 
 const { test, describe } = require('node:test');
 const assert = require('node:assert');
@@ -664,3 +680,313 @@ describe('cmdGhPull conflict integration (W1-W5)', () => {
     }
   });
 });
+
+// ─── Batch resolution policy (P group) ───────────────────────────────────────
+
+describe('parsePolicy / resolveField / planResolution (P1-P5)', () => {
+  test('P1: inline list and object shapes parse to { default, fields }', () => {
+    const inline = conflict.parsePolicy('labels: union, assignees: gh-wins, status: disk-wins');
+    assert.deepStrictEqual(inline, {
+      ok: true,
+      policy: { default: 'manual', fields: { labels: 'union', assignees: 'gh-wins', status: 'disk-wins' } },
+    });
+    const flat = conflict.parsePolicy({ milestone: 'gh-wins', default: 'disk-wins' });
+    assert.deepStrictEqual(flat.policy, { default: 'disk-wins', fields: { milestone: 'gh-wins' } });
+    const nested = conflict.parsePolicy({ default: 'gh-wins', fields: { labels: 'union' } });
+    assert.deepStrictEqual(nested.policy, { default: 'gh-wins', fields: { labels: 'union' } });
+    assert.deepStrictEqual(conflict.parsePolicy(null).policy, { default: 'manual', fields: {} });
+  });
+
+  test('P2: unknown field / strategy and union on a scalar are rejected', () => {
+    assert.match(conflict.parsePolicy('title: disk-wins').error, /Unknown policy field: title/);
+    assert.match(conflict.parsePolicy('labels: newest').error, /Unknown strategy for labels: newest/);
+    assert.match(conflict.parsePolicy('status: union').error, /union only applies to labels, assignees/);
+    assert.match(conflict.parsePolicy('labels union').error, /Invalid policy entry/);
+    assert.match(conflict.parsePolicy({ default: 'union' }).error, /default cannot be union/);
+  });
+
+  test('P3: resolveField — disk-wins / gh-wins / union / manual', () => {
+    const vals = { disk: ['a', 'b'], gh: ['b', 'c'], last: ['b'] };
+    assert.deepStrictEqual(conflict.resolveField('labels', vals, 'disk-wins'), { ok: true, value: ['a', 'b'] });
+    assert.deepStrictEqual(conflict.resolveField('labels', vals, 'gh-wins'), { ok: true, value: ['b', 'c'] });
+    assert.deepStrictEqual(conflict.resolveField('labels', vals, 'union'), { ok: true, value: ['a', 'b', 'c'] });
+    assert.deepStrictEqual(conflict.resolveField('labels', vals, 'manual'), { ok: false });
+    assert.deepStrictEqual(conflict.resolveField('status', { disk: 'done', gh: 'open' }, 'union'), { ok: false });
+  });
+
+  test('P4: non-conflicting fields resolve unilaterally; policy settles case-5 fields', () => {
+    const s = fx.buildThreeWayScenario({
+      disk: { status: 'done', labels: ['devflow:objective', 'disk-l'], assignees: ['mark'], milestone: null },
+      gh:   { status: 'in_progress', labels: ['devflow:objective', 'gh-l'], assignees: [], milestone: 'v2' },
+    });
+    const { policy } = conflict.parsePolicy('labels: union, status: gh-wins');
+    const plan = conflict.planResolution({ ...s, policy });
+    assert.strictEqual(plan.conflict, true);
+    assert.deepStrictEqual(plan.values, {
+      assignees: ['mark'],                                  // case 2: disk only
+      milestone: 'v2',                                      // case 3: GH only
+      status: 'in_progress',
+      labels: ['devflow:objective', 'disk-l', 'gh-l'],
+    });
+    assert.deepStrictEqual(plan.decisions, { assignees: 'disk', milestone: 'gh', status: 'gh-wins', labels: 'union' });
+    assert.deepStrictEqual(plan.unresolved, {});
+  });
+
+  test('P5: conflicting field with no rule (default manual) → unresolved', () => {
+    const s = fx.buildThreeWayScenario({
+      disk: { status: 'done', labels: ['devflow:objective'], assignees: [], milestone: null },
+      gh:   { status: 'in_progress', labels: ['devflow:objective'], assignees: [], milestone: null },
+    });
+    const plan = conflict.planResolution({ ...s, policy: conflict.parsePolicy('labels: union').policy });
+    assert.deepStrictEqual(plan.unresolved, { status: { disk: 'done', gh: 'in_progress', last: 'open' } });
+    assert.strictEqual(plan.values.status, undefined);
+  });
+});
+
+describe('applyResolution (P6-P7)', () => {
+  const OBJ = '21-batch';
+  const GH_ISSUE = {
+    state: 'CLOSED',
+    labels: [{ name: 'devflow:objective' }, { name: 'gh-l' }],
+    assignees: [],
+    milestone: null,
+    updatedAt: '2026-05-05T12:00:00Z',
+  };
+
+  function buildProject() {
+    const project = ghPullFx.buildTempProject({
+      objectiveId: OBJ,
+      frontmatter: { status: 'in_progress', labels: ['devflow:objective', 'disk-l'] },
+    });
+    ss.recordSync(project.root, OBJ, ssFx.buildSyncStateRecord({
+      issue_ref: 'TestOrg/TestRepo#5',
+      pending_resolution: { disk_hash_at_conflict: 'sha256:x', surfaced_at: '2026-05-05T00:00:00Z' },
+    }));
+    return project;
+  }
+
+  test('P6: every value matches GH → disk written, GH becomes baseline, no push', () => {
+    const project = buildProject();
+    let pushed = 0;
+    try {
+      const r = conflict.applyResolution({
+        cwd: project.root,
+        objectiveId: OBJ,
+        issueRef: 'TestOrg/TestRepo#5',
+        ghIssue: GH_ISSUE,
+        currentDiskFm: { status: 'in_progress', labels: ['devflow:objective', 'disk-l'] },
+        values: { status: 'done', labels: ['devflow:objective', 'gh-l'] },
+        pushObjective: () => { pushed++; },
+      });
+      assert.strictEqual(r.ok, true);
+      assert.strictEqual(r.action, 'pulled');
+      assert.strictEqual(pushed, 0);
+      const content = fs.readFileSync(path.join(project.root, '.planning', 'objectives', OBJ, 'OBJECTIVE.md'), 'utf-8');
+      assert.match(content, /^status: done$/m);
+      assert.match(content, /^labels: \["devflow:objective", "gh-l"\]$/m);
+      const last = ss.getLastSync(project.root, OBJ);
+      assert.strictEqual(last.pending_resolution, undefined);
+      assert.strictEqual(last.gh_updated_at, '2026-05-05T12:00:00Z');
+    } finally {
+      project.cleanup();
+    }
+  });
+
+  test('P7: merged value differs from GH → disk written, then pushed via pushObjective', () => {
+    const project = buildProject();
+    const pushed = [];
+    try {
+      const r = conflict.applyResolution({
+        cwd: project.root,
+        objectiveId: OBJ,
+        issueRef: 'TestOrg/TestRepo#5',
+        ghIssue: GH_ISSUE,
+        currentDiskFm: { status: 'in_progress', labels: ['devflow:objective', 'disk-l'] },
+        values: { status: 'in_progress', labels: ['devflow:objective', 'disk-l', 'gh-l'] },
+        pushObjective: (cwd, id) => { pushed.push(id); },
+      });
+      assert.strictEqual(r.ok, true);
+      assert.strictEqual(r.action, 'pushed');
+      assert.deepStrictEqual(r.written, { labels: ['devflow:objective', 'disk-l', 'gh-l'] });
+      assert.deepStrictEqual(pushed, [OBJ]);
+      const last = ss.getLastSync(project.root, OBJ);
+      assert.strictEqual(last.pending_resolution, undefined);
+      assert.deepStrictEqual(last.label_set, ['devflow:objective', 'disk-l', 'gh-l']);
+    } finally {
+      project.cleanup();
+    }
+  });
+});
+
+// ─── pull --all (B group) ────────────────────────────────────────────────────
+
+describe('cmdGhPull --all batch resolution (B1-B5)', () => {
+  const { extractFrontmatter } = require('./frontmatter.cjs');
+
+  function captureRun(fn) {
+    const origStdout = process.stdout.write.bind(process.stdout);
+    const origStderr = process.stderr.write.bind(process.stderr);
+    const origExit = process.exit;
+    let stdout = '', stderr = '', exitCode = null;
+    process.stdout.write = (chunk) => { stdout += chunk; return true; };
+    process.stderr.write = (chunk) => { stderr += chunk; return true; };
+    process.exit = (code) => { exitCode = code; throw new Error('__exit__'); };
+    try {
+      try { fn(); } catch (e) { if (e.message !== '__exit__') throw e; }
+    } finally {
+      process.stdout.write = origStdout;
+      process.stderr.write = origStderr;
+      process.exit = origExit;
+    }
+    return { stdout, stderr, exitCode };
+  }
+
+  function writeObjective(root, id, fm) {
+    const dir = path.join(root, '.planning', 'objectives', id);
+    fs.mkdirSync(dir, { recursive: true });
+    const lines = Object.entries(fm).map(([k, v]) =>
+      `${k}: ${Array.isArray(v) ? `[${v.map(x => JSON.stringify(x)).join(', ')}]` : v}`);
+    fs.writeFileSync(path.join(dir, 'OBJECTIVE.md'), `---\n${lines.join('\n')}\n---\n\n# ${id}\n`);
+    return extractFrontmatter(fs.readFileSync(path.join(dir, 'OBJECTIVE.md'), 'utf-8'));
+  }
+
+  // Three objectives, one per outcome:
+  //   01-alpha — in sync (record keyed by bare number, as sync-objectives writes it)
+  //   02-beta  — GH-only relabel → drift
+  //   03-gamma — status + labels changed on both sides → conflict
+  function buildBatchProject() {
+    const project = ssFx.buildTempProjectWithSyncState({ syncState: null });
+    const root = project.root;
+    const base = { status: 'open', labels: ['devflow:objective'], assignees: [] };
+    const alpha = writeObjective(root, '01-alpha', base);
+    writeObjective(root, '02-beta', base);
+    writeObjective(root, '03-gamma', { status: 'in_progress', labels: ['devflow:objective', 'disk-l'], assignees: [] });
+    const record = (ref, hash) => ssFx.buildSyncStateRecord({
+      issue_ref: ref, gh_updated_at: '2026-05-01T00:00:00Z', last_synced_disk_hash: hash,
+    });
+    ss.recordSync(root, '1', record('acme/app#1', ss.hashFrontmatter(alpha)));
+    ss.recordSync(root, '02-beta', record('acme/app#2', ss.hashFrontmatter(alpha)));
+    ss.recordSync(root, '03-gamma', record('acme/app#3', 'sha256:stale'));
+    return project;
+  }
+
+  function buildAdapter() {
+    const issues = {
+      'acme/app#1': { state: 'OPEN', labels: [{ name: 'devflow:objective' }], assignees: [], milestone: null, updatedAt: '2026-05-01T00:00:00Z' },
+      'acme/app#2': { state: 'OPEN', labels: [{ name: 'devflow:objective' }, { name: 'gh-l' }], assignees: [], milestone: null, updatedAt: '2026-05-06T00:00:00Z' },
+      'acme/app#3': { state: 'CLOSED', labels: [{ name: 'devflow:objective' }, { name: 'gh-l' }], assignees: [], milestone: null, updatedAt: '2026-05-06T00:00:00Z' },
+    };
+    const pushed = [];
+    return {
+      pushed,
+      adapter: {
+        label: 'GitHub',
+        requireAuth() {},
+        issueRef: () => ({ ok: false }),
+        fetchIssue: (ref) => (issues[ref] === undefined ? null : issues[ref]),
+        pushObjective: (cwd, id) => { pushed.push(id); },
+      },
+    };
+  }
+
+  function diskFm(root, id) {
+    return extractFrontmatter(fs.readFileSync(path.join(root, '.planning', 'objectives', id, 'OBJECTIVE.md'), 'utf-8'));
+  }
+
+  test('B1: report mode → combined summary; unresolved conflict exits 1 + records pending', () => {
+    const project = buildBatchProject();
+    const { adapter, pushed } = buildAdapter();
+    try {
+      const r = captureRun(() => ghPull.cmdGhPull(project.root, ['--all'], true, adapter));
+      const json = JSON.parse(r.stdout);
+      assert.strictEqual(r.exitCode, 1);
+      assert.deepStrictEqual(json.summary, { total: 3, in_sync: 1, drift: 1, conflict: 1, unresolved: 1, errors: 0 });
+      assert.deepStrictEqual(json.objectives.map(o => [o.objective, o.state, o.action]), [
+        ['01-alpha', 'in_sync', 'none'],
+        ['02-beta', 'drift', 'planned'],
+        ['03-gamma', 'conflict', 'unresolved'],
+      ]);
+      assert.deepStrictEqual(Object.keys(json.objectives[2].unresolved), ['status', 'labels']);
+      assert.match(r.stderr, /Conflict in objective 03-gamma/);
+      assert.ok(ss.getLastSync(project.root, '03-gamma').pending_resolution, 'pending_resolution recorded');
+      assert.deepStrictEqual(diskFm(project.root, '02-beta').labels, ['devflow:objective'], 'report mode writes nothing');
+      assert.deepStrictEqual(pushed, []);
+    } finally {
+      project.cleanup();
+    }
+  });
+
+  test('B2: --apply --policy=<inline> → drift applied, conflict merged + pushed', () => {
+    const project = buildBatchProject();
+    const { adapter, pushed } = buildAdapter();
+    try {
+      const r = captureRun(() => ghPull.cmdGhPull(
+        project.root, ['--all', '--apply', '--policy=labels: union, status: disk-wins'], false, adapter));
+      assert.strictEqual(r.exitCode, null, r.stdout + r.stderr);
+      assert.match(r.stdout, /Pulled 3 objectives from GitHub: 1 in sync, 1 drift, 1 conflict \(0 unresolved\), 0 errors/);
+      assert.match(r.stdout, /03-gamma\s+acme\/app#3\s+conflict: status=disk-wins, labels=union → pushed merged state/);
+      assert.deepStrictEqual(diskFm(project.root, '02-beta').labels, ['devflow:objective', 'gh-l']);
+      const gamma = diskFm(project.root, '03-gamma');
+      assert.strictEqual(gamma.status, 'in_progress');
+      assert.deepStrictEqual(gamma.labels, ['devflow:objective', 'disk-l', 'gh-l']);
+      assert.deepStrictEqual(pushed, ['03-gamma']);
+      assert.strictEqual(ss.getLastSync(project.root, '03-gamma').pending_resolution, undefined);
+    } finally {
+      project.cleanup();
+    }
+  });
+
+  test('B3: --policy=<file> with default gh-wins → conflict pulled, nothing pushed', () => {
+    const project = buildBatchProject();
+    const { adapter, pushed } = buildAdapter();
+    try {
+      fs.writeFileSync(path.join(project.root, '.planning', 'pull-policy.json'), JSON.stringify({ default: 'gh-wins' }));
+      const r = captureRun(() => ghPull.cmdGhPull(
+        project.root, ['--all', '--apply', '--policy=.planning/pull-policy.json'], true, adapter));
+      const json = JSON.parse(r.stdout);
+      assert.strictEqual(json.ok, true);
+      assert.strictEqual(json.objectives[2].action, 'pulled');
+      assert.deepStrictEqual(json.objectives[2].decisions, { status: 'gh-wins', labels: 'gh-wins' });
+      assert.strictEqual(diskFm(project.root, '03-gamma').status, 'done');
+      assert.deepStrictEqual(pushed, []);
+      assert.strictEqual(ss.getLastSync(project.root, '03-gamma').gh_updated_at, '2026-05-06T00:00:00Z');
+    } finally {
+      project.cleanup();
+    }
+  });
+
+  test('B4: --interactive answers settle conflicts the policy leaves manual', () => {
+    const project = buildBatchProject();
+    const { adapter, pushed } = buildAdapter();
+    const answers = ['d'];  // status → disk; labels settled by --policy
+    ghPull._setAskLine(() => answers.shift());
+    try {
+      const r = captureRun(() => ghPull.cmdGhPull(
+        project.root, ['--all', '--interactive', '--policy=labels: union'], true, adapter));
+      const json = JSON.parse(r.stdout);
+      assert.strictEqual(json.ok, true, r.stderr);
+      assert.strictEqual(json.applied, true, '--interactive implies --apply');
+      assert.deepStrictEqual(json.objectives[2].decisions, { status: 'disk-wins', labels: 'union' });
+      assert.match(r.stderr, /03-gamma — status:[\s\S]*Keep \[d\]isk, \[g\]h or \[s\]kip\?/);
+      assert.deepStrictEqual(pushed, ['03-gamma']);
+    } finally {
+      ghPull._setAskLine(null);
+      project.cleanup();
+    }
+  });
+
+  test('B5: invalid policy / --resolve=merge with --all → exit 1 with error', () => {
+    const project = buildBatchProject();
+    const { adapter } = buildAdapter();
+    try {
+      const bad = captureRun(() => ghPull.cmdGhPull(project.root, ['--all', '--policy=status: union'], true, adapter));
+      assert.strictEqual(bad.exitCode, 1);
+      assert.match(JSON.parse(bad.stdout).error, /union only applies/);
+      const merge = captureRun(() => ghPull.cmdGhPull(project.root, ['--all', '--resolve=merge'], true, adapter));
+      assert.strictEqual(merge.exitCode, 1);
+      assert.match(JSON.parse(merge.stdout).error, /--resolve=merge is per objective/);
+    } finally {
+      project.cleanup();
+    }
+  });
+});
@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * Cross-session coordination records.
+ *
+ * When dup-detect resolves an overlap (defer / coordinate / split /
+ * proceed-anyway) the peer session has to hear about it. A resolution is
+ * published as a small JSON blob pointed at by a well-known ref:
+ *
+ *   refs/devflow/coordination/<from-branch>/<to-branch>/<objective>
+ *
+ * and pushed to origin next to the branches. awareness.scanPeer fetches the
+ * namespace and keeps the records addressed to the current branch, so the
+ * other session sees "objective 7 in acme/api deferred to you" at session
+ * start and in check-todos.
+ *
+ * Storage is git only: no commits, no branches, no new shared store. The ref
+ * is keyed by publisher branch + addressee branch + objective, so resolving
+ * the same overlap again replaces the earlier record instead of piling up,
+ * while resolving it against a second peer adds a record of its own.
+ *
+ * Every git call goes through the runGit the caller passes in (awareness and
+ * dup-detect each own one), so the caller's test injection covers this too.
+ * Nothing here throws on git failure; problems come back as warnings.
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const COORDINATION_REF_PREFIX = 'refs/devflow/coordination/';
+const COORDINATION_RECORD_VERSION = 1;
+const COORDINATION_KINDS = ['defer', 'coordinate', 'split', 'proceed-anyway'];
+
+// ─── Records (pure) ───────────────────────────────────────────────────────────
+
+function _list(v) {
+  if (!Array.isArray(v)) return [];
+  return v.map((s) => String(s).trim()).filter(Boolean);
+}
+
+/**
+ * Build a coordination record. `split` carries the file assignment when the
+ * two sessions agreed to divide the work: `ours` stays with the publisher,
+ * `theirs` goes to the peer. A coordinate resolution with a split becomes
+ * kind 'split'.
+ *
+ * @param {object} opts
+ * @param {string} opts.kind              - defer | coordinate | split | proceed-anyway
+ * @param {string} opts.objective_id      - the publisher's objective
+ * @param {string} [opts.repo]            - publisher repo (owner/name or dir name)
+ * @param {string} [opts.from_branch]     - publisher branch
+ * @param {string} [opts.developer]       - publisher git user.name
+ * @param {string} opts.to_branch         - peer branch the record is addressed to
+ * @param {string} [opts.to_objective]    - peer objective, as dup-detect saw it
+ * @param {string} [opts.signal]          - the overlap signal that triggered it
+ * @param {{ ours?: string[], theirs?: string[] }} [opts.split]
+ * @param {string} [opts.created_at]      - ISO timestamp (default: now)
+ * @returns {object}
+ */
+function buildRecord({
+  kind,
+  objective_id,
+  repo = null,
+  from_branch = null,
+  developer = null,
+  to_branch,
+  to_objective = null,
+  signal = null,
+  split = null,
+  created_at = new Date().toISOString(),
+} = {}) {
+  if (!COORDINATION_KINDS.includes(kind)) {
+    throw new Error(`buildRecord: unknown kind '${kind}' (expected: ${COORDINATION_KINDS.join(' | ')})`);
+  }
+  if (!to_branch) throw new Error('buildRecord: to_branch is required');
+  const files = split ? { from_files: _list(split.ours), to_files: _list(split.theirs) } : null;
+  return {
+    version: COORDINATION_RECORD_VERSION,
+    kind: (kind === 'coordinate' && files) ? 'split' : kind,
+    objective_id: String(objective_id),
+    repo,
+    from: { branch: from_branch, developer },
+    to: { branch: to_branch, objective: to_objective },
+    signal,
+    split: files,
+    created_at,
+  };
+}
+
+/**
+ * Parse a record blob. Returns null for anything that is not a record this
+ * version understands (garbage, future versions, missing addressee).
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+function parseRecord(text) {
+  let r;
+  try { r = JSON.parse(text); } catch { return null; }
+  if (!r || typeof r !== 'object') return null;
+  if (r.version !== COORDINATION_RECORD_VERSION) return null;
+  if (!COORDINATION_KINDS.includes(r.kind)) return null;
+  if (!r.to || typeof r.to.branch !== 'string' || !r.to.branch) return null;
+  if (r.objective_id == null) return null;
+  return r;
+}
+
+/**
+ * Injective, ref-safe encoding of one ref segment: every byte outside
+ * [A-Za-z0-9-] becomes %XX, so feature/a (feature%2Fa) and feature-a never
+ * share a segment, and no segment holds '/', '.', or another character git
+ * refuses. A missing value is '_', which no encoded value can be.
+ */
+function _refSegment(s) {
+  if (s == null || s === '') return '_';
+  return Array.from(Buffer.from(String(s), 'utf8'), (b) => {
+    const c = String.fromCharCode(b);
+    return /[A-Za-z0-9-]/.test(c) ? c : `%${b.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+}
+
+/**
+ * Ref a record is published under: one segment each for the publisher
+ * branch, the addressee branch and the objective, so records to two peers
+ * about the same objective never overwrite each other.
+ *
+ * @param {object} record
+ * @returns {string}
+ */
+function refName(record) {
+  const from = record.from && record.from.branch;
+  const to = record.to && record.to.branch;
+  return `${COORDINATION_REF_PREFIX}${_refSegment(from)}/${_refSegment(to)}/${_refSegment(record.objective_id)}`;
+}
+
+/**
+ * One line describing the record from the addressee's side.
+ *
+ * @param {object} record
+ * @returns {string}
+ */
+function describeRecord(record) {
+  const where = `objective ${record.objective_id}${record.repo ? ` in ${record.repo}` : ''}`;
+  const who = record.from && record.from.branch
+    ? ` (${record.from.developer ? `${record.from.developer} on ` : ''}${record.from.branch})`
+    : '';
+  const signal = record.signal ? `: ${record.signal}` : '';
+  switch (record.kind) {
+    case 'defer':
+      return `${where} deferred to you${who}`;
+    case 'split': {
+      const yours = record.split && record.split.to_files.length ? record.split.to_files.join(', ') : '(nothing listed)';
+      const theirs = record.split && record.split.from_files.length ? record.split.from_files.join(', ') : '(nothing listed)';
+      return `split on ${where}${who}: you take ${yours}; they take ${theirs}`;
+    }
+    case 'coordinate':
+      return `${where} wants to coordinate with you${who}${signal}`;
+    case 'proceed-anyway':
+      return `${where} is proceeding despite overlapping your work${who}${signal}`;
+    default:
+      return `${where}: ${record.kind}${who}`;
+  }
+}
+
+// ─── Git I/O (caller-supplied runGit) ─────────────────────────────────────────
+
+/**
+ * Write the record as a blob, point its ref at it and push the ref to origin.
+ * Push is best-effort: no origin or a rejected push leaves the record local
+ * with a warning; the next resolve (or a manual `git push origin <ref>`)
+ * publishes it.
+ *
+ * @param {object} record
+ * @param {object} opts
+ * @param {function} opts.runGit - (args, opts) => { ok, stdout, stderr }
+ * @param {string}   [opts.cwd]
+ * @param {boolean}  [opts.push]  - push to origin (default: true)
+ * @returns {{ published: boolean, ref: string, sha: string|null, pushed: boolean, warnings: string[] }}
+ */
+function publishRecord(record, { runGit, cwd = process.cwd(), push = true } = {}) {
+  const ref = refName(record);
+  const out = { published: false, ref, sha: null, pushed: false, warnings: [] };
+
+  const hashR = runGit(['hash-object', '-w', '--stdin'], { cwd, input: JSON.stringify(record, null, 2) + '\n' });
+  if (!hashR.ok || !hashR.stdout.trim()) {
+    out.warnings.push(`coordination record not written: ${hashR.stderr || 'git hash-object failed'}`);
+    return out;
+  }
+  out.sha = hashR.stdout.trim();
+
+  const updR = runGit(['update-ref', ref, out.sha], { cwd });
+  if (!updR.ok) {
+    out.warnings.push(`coordination ref not updated: ${updR.stderr || 'git update-ref failed'}`);
+    return out;
+  }
+  out.published = true;
+
+  if (!push) return out;
+  if (!runGit(['remote', 'get-url', 'origin'], { cwd }).ok) {
+    out.warnings.push(`no origin remote; ${ref} is local only`);
+    return out;
+  }
+  const pushR = runGit(['push', '--quiet', 'origin', `+${ref}:${ref}`], { cwd });
+  if (pushR.ok) out.pushed = true;
+  else out.warnings.push(`push of ${ref} failed: ${pushR.stderr || 'unknown error'}`);
+  return out;
+}
+
+/**
+ * Read every coordination record in the local namespace, optionally fetching
+ * origin's copy first. Unreadable or unparseable refs are skipped silently.
+ *
+ * @param {object} opts
+ * @param {function} opts.runGit
+ * @param {string}   [opts.cwd]
+ * @param {boolean}  [opts.fetch] - fetch refs/devflow/coordination/* from origin first (default: false)
+ * @returns {{ records: object[], warnings: string[] }}
+ */
+function readRecords({ runGit, cwd = process.cwd(), fetch = false } = {}) {
+  const out = { records: [], warnings: [] };
+  if (fetch) {
+    const spec = `+${COORDINATION_REF_PREFIX}*:${COORDINATION_REF_PREFIX}*`;
+    const fetchR = runGit(['fetch', '--quiet', 'origin', spec], { cwd });
+    if (!fetchR.ok) out.warnings.push(`coordination fetch failed: ${fetchR.stderr || 'unknown error'}`);
+  }
+
+  const refsR = runGit(['for-each-ref', COORDINATION_REF_PREFIX, '--format=%(refname)'], { cwd });
+  if (!refsR.ok) return out;
+
+  for (const ref of refsR.stdout.split('\n').map((s) => s.trim()).filter(Boolean)) {
+    const blobR = runGit(['cat-file', 'blob', ref], { cwd });
+    if (!blobR.ok) continue;
+    const record = parseRecord(blobR.stdout);
+    if (record) out.records.push(Object.assign({ ref }, record));
+  }
+  return out;
+}
+
+module.exports = {
+  COORDINATION_REF_PREFIX,
+  COORDINATION_RECORD_VERSION,
+  COORDINATION_KINDS,
+  buildRecord,
+  parseRecord,
+  refName,
+  describeRecord,
+  publishRecord,
+  readRecords,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Tests for lib/coordination.cjs — coordination records on refs/devflow/coordination/.
+ *
+ *   CO-1: buildRecord shapes the record; coordinate + split becomes kind 'split';
+ *         bad kind / missing addressee throw
+ *   CO-2: parseRecord rejects garbage, other versions and unaddressed records
+ *   CO-3: refName encodes publisher, addressee and objective collision-free
+ *   CO-4: describeRecord speaks from the addressee's side
+ *   CO-5: publishRecord without origin stays local with a warning; hash failure
+ *         publishes nothing (mock runGit)
+ *   CO-6: round-trip through a bare origin — publish in one clone, readRecords
+ *         with fetch in another (real git)
+ *   CO-7: resolving one objective against two peers keeps both records (real git)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const coord = require('./coordination.cjs');
+
+function runGit(args, opts = {}) {
+  const r = spawnSync('git', args, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 10000, ...opts });
+  return { ok: r.status === 0, stdout: r.stdout || '', stderr: (r.stderr || '').trim() };
+}
+
+const BASE = {
+  kind: 'defer',
+  objective_id: '07',
+  repo: 'acme/api',
+  from_branch: 'feature/obj-07-billing',
+  developer: 'alice',
+  to_branch: 'feature/obj-03-invoices',
+  to_objective: '03-invoices',
+  signal: 'similarity 0.73: invoice, billing',
+  created_at: '2026-10-01T10:00:00.000Z',
+};
+
+test('CO-1: buildRecord shapes the record; coordinate + split becomes split', () => {
+  assert.deepStrictEqual(coord.buildRecord(BASE), {
+    version: coord.COORDINATION_RECORD_VERSION,
+    kind: 'defer',
+    objective_id: '07',
+    repo: 'acme/api',
+    from: { branch: 'feature/obj-07-billing', developer: 'alice' },
+    to: { branch: 'feature/obj-03-invoices', objective: '03-invoices' },
+    signal: 'similarity 0.73: invoice, billing',
+    split: null,
+    created_at: '2026-10-01T10:00:00.000Z',
+  });
+
+  const split = coord.buildRecord(Object.assign({}, BASE, {
+    kind: 'coordinate',
+    split: { ours: ['lib/billing.cjs', ' '], theirs: ['lib/invoice.cjs'] },
+  }));
+  assert.strictEqual(split.kind, 'split');
+  assert.deepStrictEqual(split.split, { from_files: ['lib/billing.cjs'], to_files: ['lib/invoice.cjs'] });
+
+  assert.throws(() => coord.buildRecord(Object.assign({}, BASE, { kind: 'merge' })), /unknown kind 'merge'/);
+  assert.throws(() => coord.buildRecord(Object.assign({}, BASE, { to_branch: null })), /to_branch is required/);
+});
+
+test('CO-2: parseRecord rejects garbage, other versions and unaddressed records', () => {
+  const good = coord.buildRecord(BASE);
+  assert.deepStrictEqual(coord.parseRecord(JSON.stringify(good)), good);
+  assert.strictEqual(coord.parseRecord('not json'), null);
+  assert.strictEqual(coord.parseRecord('null'), null);
+  assert.strictEqual(coord.parseRecord(JSON.stringify(Object.assign({}, good, { version: 2 }))), null);
+  assert.strictEqual(coord.parseRecord(JSON.stringify(Object.assign({}, good, { kind: 'merge' }))), null);
+  assert.strictEqual(coord.parseRecord(JSON.stringify(Object.assign({}, good, { to: { branch: '' } }))), null);
+});
+
+test('CO-3: refName encodes publisher, addressee and objective collision-free', () => {
+  assert.strictEqual(coord.refName(coord.buildRecord(BASE)),
+    'refs/devflow/coordination/feature%2Fobj-07-billing/feature%2Fobj-03-invoices/07');
+  const odd = coord.buildRecord(Object.assign({}, BASE, { from_branch: null, objective_id: '../x y' }));
+  assert.strictEqual(coord.refName(odd), 'refs/devflow/coordination/_/feature%2Fobj-03-invoices/%2E%2E%2Fx%20y');
+
+  const slashed = coord.buildRecord(Object.assign({}, BASE, { from_branch: 'feature/a' }));
+  const dashed = coord.buildRecord(Object.assign({}, BASE, { from_branch: 'feature-a' }));
+  const underscore = coord.buildRecord(Object.assign({}, BASE, { from_branch: '_' }));
+  const unnamed = coord.buildRecord(Object.assign({}, BASE, { from_branch: null }));
+  assert.notStrictEqual(coord.refName(slashed), coord.refName(dashed));
+  assert.notStrictEqual(coord.refName(underscore), coord.refName(unnamed));
+  const other = coord.buildRecord(Object.assign({}, BASE, { to_branch: 'feature/obj-04-tax' }));
+  assert.notStrictEqual(coord.refName(other), coord.refName(coord.buildRecord(BASE)));
+});
+
+test('CO-4: describeRecord speaks from the addressee side', () => {
+  assert.strictEqual(coord.describeRecord(coord.buildRecord(BASE)),
+    'objective 07 in acme/api deferred to you (alice on feature/obj-07-billing)');
+  const split = coord.buildRecord(Object.assign({}, BASE, {
+    kind: 'coordinate', developer: null,
+    split: { ours: ['lib/billing.cjs'], theirs: ['lib/invoice.cjs', 'lib/tax.cjs'] },
+  }));
+  assert.strictEqual(coord.describeRecord(split),
+    'split on objective 07 in acme/api (feature/obj-07-billing): you take lib/invoice.cjs, lib/tax.cjs; they take lib/billing.cjs');
+  assert.match(coord.describeRecord(coord.buildRecord(Object.assign({}, BASE, { kind: 'coordinate' }))),
+    /wants to coordinate with you .*: similarity 0\.73/);
+  assert.match(coord.describeRecord(coord.buildRecord(Object.assign({}, BASE, { kind: 'proceed-anyway', repo: null }))),
+    /^objective 07 is proceeding despite overlapping your work/);
+});
+
+test('CO-5: publishRecord without origin stays local; hash failure publishes nothing', () => {
+  const calls = [];
+  const mock = (args, opts) => {
+    calls.push({ args, input: opts && opts.input });
+    if (args[0] === 'hash-object') return { ok: true, stdout: 'abc123\n', stderr: '' };
+    if (args[0] === 'update-ref') return { ok: true, stdout: '', stderr: '' };
+    return { ok: false, stdout: '', stderr: 'error: No such remote' };
+  };
+  const record = coord.buildRecord(BASE);
+  const r = coord.publishRecord(record, { runGit: mock, cwd: '/repo' });
+  assert.strictEqual(r.published, true);
+  assert.strictEqual(r.pushed, false);
+  assert.strictEqual(r.sha, 'abc123');
+  assert.match(r.warnings[0], /no origin remote/);
+  assert.deepStrictEqual(JSON.parse(calls[0].input), record);
+  assert.deepStrictEqual(calls[1].args, ['update-ref', coord.refName(record), 'abc123']);
+  assert.ok(!calls.some(c => c.args[0] === 'push'), 'no push without origin');
+
+  const failing = () => ({ ok: false, stdout: '', stderr: 'fatal: not a git repository' });
+  const f = coord.publishRecord(record, { runGit: failing });
+  assert.strictEqual(f.published, false);
+  assert.match(f.warnings[0], /not a git repository/);
+});
+
+test('CO-6: round-trip through a bare origin', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'df-coord-'));
+  const origin = path.join(tmp, 'origin.git');
+  const a = path.join(tmp, 'a');
+  const b = path.join(tmp, 'b');
+  try {
+    assert.ok(runGit(['init', '--bare', '-b', 'main', origin]).ok);
+    for (const dir of [a, b]) {
+      assert.ok(runGit(['clone', '--quiet', origin, dir]).ok);
+      runGit(['config', 'user.email', 'test@example.com'], { cwd: dir });
+      runGit(['config', 'user.name', 'test-dev'], { cwd: dir });
+    }
+
+    const record = coord.buildRecord(BASE);
+    const pub = coord.publishRecord(record, { runGit, cwd: a });
+    assert.deepStrictEqual(pub.warnings, []);
+    assert.strictEqual(pub.pushed, true);
+
+    assert.deepStrictEqual(coord.readRecords({ runGit, cwd: b }).records, [], 'nothing before fetch');
+    const read = coord.readRecords({ runGit, cwd: b, fetch: true });
+    assert.deepStrictEqual(read.warnings, []);
+    assert.deepStrictEqual(read.records, [Object.assign({ ref: pub.ref }, record)]);
+
+    // Re-publishing the same objective from the same branch replaces the record.
+    const again = coord.buildRecord(Object.assign({}, BASE, { kind: 'proceed-anyway' }));
+    coord.publishRecord(again, { runGit, cwd: a });
+    const reread = coord.readRecords({ runGit, cwd: b, fetch: true }).records;
+    assert.strictEqual(reread.length, 1);
+    assert.strictEqual(reread[0].kind, 'proceed-anyway');
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('CO-7: resolving one objective against two peers keeps both records', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'df-coord-'));
+  const origin = path.join(tmp, 'origin.git');
+  const a = path.join(tmp, 'a');
+  const b = path.join(tmp, 'b');
+  try {
+    assert.ok(runGit(['init', '--bare', '-b', 'main', origin]).ok);
+    for (const dir of [a, b]) assert.ok(runGit(['clone', '--quiet', origin, dir]).ok);
+
+    const toInvoices = coord.buildRecord(BASE);
+    const toTax = coord.buildRecord(Object.assign({}, BASE, { kind: 'coordinate', to_branch: 'feature/obj-04-tax', to_objective: '04-tax' }));
+    const p1 = coord.publishRecord(toInvoices, { runGit, cwd: a });
+    const p2 = coord.publishRecord(toTax, { runGit, cwd: a });
+    assert.strictEqual(p1.pushed && p2.pushed, true, [...p1.warnings, ...p2.warnings].join('; '));
+    assert.notStrictEqual(p1.ref, p2.ref);
+
+    const read = coord.readRecords({ runGit, cwd: b, fetch: true });
+    assert.deepStrictEqual(read.warnings, []);
+    assert.deepStrictEqual(read.records.map((r) => r.to.branch).sort(), ['feature/obj-03-invoices', 'feature/obj-04-tax']);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
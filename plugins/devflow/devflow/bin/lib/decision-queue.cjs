@@ -14,7 +14,7 @@ const fs = require('fs');
 const path = require('path');
 const { output } = require('./helpers.cjs');
 const { extractFrontmatter, spliceFrontmatter } = require('./frontmatter.cjs');
-const { notify } = require('./notifier.cjs');
+const { createRouter, loadProjectNotifyConfig } = require('./notify-router.cjs');
 
 // ─── FS injection (locked pattern from TRD 03-01) ─────────────────────────────
 
@@ -55,6 +55,26 @@ function parseDecisionNum(name) {
   return m ? parseInt(m[1], 10) : 0;
 }
 
+// ─── notifyDecision ───────────────────────────────────────────────────────────
+
+/**
+ * Route a `decision` event through the project's notification router
+ * (daemon.notify in .planning/config.json; desktop when unconfigured).
+ * Resolves the router's { delivered, queued, suppressed }; never rejects.
+ */
+async function notifyDecision(cwd, id, title) {
+  const router = createRouter(loadProjectNotifyConfig(cwd));
+  const result = await router.route({
+    event: 'decision',
+    title: 'DevFlow: Decision Required',
+    body: `${id}: ${title} — run /devflow:decide ${id} <choice>`,
+    id,
+    project: cwd,
+  });
+  await router.close();
+  return result;
+}
+
 // ─── nextDecisionId ───────────────────────────────────────────────────────────
 
 /**
@@ -202,10 +222,7 @@ async function addDecision(cwd, opts) {
   _runFs.writeFileSync(filePath, content, 'utf-8');
 
   // Fire-and-forget notification (never throws)
-  notify({
-    title: 'DevFlow: Decision Required',
-    body: `${id}: ${opts.title} — run /devflow:decide ${id} <choice>`,
-  }).catch(() => {});
+  notifyDecision(cwd, id, opts.title).catch(() => {});
 
   return { id, path: filePath };
 }
@@ -532,11 +549,8 @@ function cmdDecisionQueueNotify(cwd, argv) {
     return;
   }
 
-  notify({
-    title: 'DevFlow: Decision Required',
-    body: `${id}: ${fm.title || '(no title)'} — run /devflow:decide ${id} <choice>`,
-  }).then(() => {
-    const result = { notified: true, id };
+  notifyDecision(cwd, id, fm.title || '(no title)').then((routed) => {
+    const result = { notified: routed.delivered.length > 0 || routed.queued.length > 0, id, ...routed };
     output(result, raw, JSON.stringify(result));
   }).catch(e => {
     process.stderr.write(JSON.stringify({ error: e.message }) + '\n');
@@ -578,6 +592,7 @@ async function cmdDecisionQueueRoute(cwd, argv, raw) {
 module.exports = {
   nextDecisionId,
   addDecision,
+  notifyDecision,
   listDecisions,
   resolveDecision,
   computeBlockedSet,
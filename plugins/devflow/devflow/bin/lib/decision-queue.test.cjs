@@ -12,6 +12,7 @@ const DF_TOOLS = path.join(__dirname, '..', 'df-tools.cjs');
 const {
   nextDecisionId,
   addDecision,
+  notifyDecision,
   listDecisions,
   resolveDecision,
   computeBlockedSet,
@@ -191,6 +192,22 @@ describe('decision-queue', () => {
         resetNotifier();
       }
     });
+
+    test('8b. decision events follow daemon.notify routes in .planning/config.json', async () => {
+      const tmp = mktmp();
+      const sink = path.join(tmp, 'notify.jsonl');
+      fs.mkdirSync(path.join(tmp, '.planning'), { recursive: true });
+      fs.writeFileSync(path.join(tmp, '.planning', 'config.json'), JSON.stringify({
+        daemon: { notify: { sinks: { log: { type: 'file', path: sink } }, routes: [{ events: ['decision'], sinks: ['log'] }] } },
+      }));
+      const result = await notifyDecision(tmp, 'DECISION-004', 'Pick a cache');
+      assert.deepEqual(result, { delivered: ['log'], queued: [], suppressed: [] });
+      const [event] = fs.readFileSync(sink, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+      assert.equal(event.event, 'decision');
+      assert.equal(event.id, 'DECISION-004');
+      assert.equal(event.project, tmp);
+      assert.match(event.body, /DECISION-004: Pick a cache/);
+    });
   });
 
   // ─── listDecisions ────────────────────────────────────────────────────────────
@@ -12,6 +12,7 @@
  *   df-tools dup-detect --mode plan <objective_id> [--raw]
  *   df-tools dup-detect --mode execute <objective_id> [--raw]
  *   df-tools dup-detect resolve <objective_id> --resolution <...> --peer-branch <...> --peer-objective <...>
+ *                               [--split-ours <files>] [--split-theirs <files>] [--no-publish]
  *   df-tools dup-detect log <objective_id> --mode <plan|execute> [--blocking <bool>] ...
  */
 
@@ -97,12 +98,17 @@ function cmdDupDetectDetect(cwd, args, raw) {
 function _parseResolveArgs(args) {
   const out = {
     objective_id: null, resolution: null, peer_branch: null,
-    peer_objective: null, cwd: null, errors: [],
+    peer_objective: null, cwd: null, split: null, publish: true, errors: [],
   };
+  const splitList = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
   const a = args.slice();
   while (a.length > 0) {
     const t = a.shift();
     if (t === '--resolution') out.resolution = a.shift() || null;
+    else if (t === '--split-ours' || t === '--split-theirs') {
+      out.split = out.split || { ours: [], theirs: [] };
+      out.split[t === '--split-ours' ? 'ours' : 'theirs'].push(...splitList(a.shift()));
+    } else if (t === '--no-publish') out.publish = false;
     else if (t === '--peer-branch') out.peer_branch = a.shift() || null;
     else if (t === '--peer-objective') out.peer_objective = a.shift() || null;
     else if (t === '--cwd') out.cwd = a.shift() || null;
@@ -114,6 +120,9 @@ function _parseResolveArgs(args) {
   if (!out.resolution || !valid.includes(out.resolution)) {
     out.errors.push(`--resolution must be one of: ${valid.join(', ')} (got: ${String(out.resolution)})`);
   }
+  if (out.split && out.resolution !== 'coordinate') {
+    out.errors.push('--split-ours / --split-theirs only apply to --resolution coordinate');
+  }
   return out;
 }
 
@@ -165,6 +174,8 @@ function cmdDupDetectResolve(cwd_outer, args, raw) {
     detection,
     objective_dir,
     padded_objective,
+    split: parsed.split,
+    publish: parsed.publish,
   });
 
   // Always record to JSONL log
@@ -258,6 +269,8 @@ function cmdDupDetectRoute(cwd, args, raw) {
       'Resolution (TRD 04-02):',
       '  resolve <objective_id> --resolution <merge|defer|coordinate|proceed-anyway>',
       '                         --peer-branch <name> --peer-objective <id>',
+      '                         [--split-ours <a,b>] [--split-theirs <c>]  (coordinate: divide files)',
+      '                         [--no-publish]  (skip the refs/devflow/coordination record)',
       '',
       'Logging (TRD 04-02):',
       '  log <objective_id> --mode <plan|execute> [--blocking <true|false>]',
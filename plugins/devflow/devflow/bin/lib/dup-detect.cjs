@@ -10,8 +10,18 @@
  *
  * Three signal classes (lexical, no LLM scoring — locked per CONTEXT.md decision #2):
  *   - Hard:   same github_issue ref OR org chain_match with issue equality → blocks
- *   - Strong: >=2 file path overlap OR >=3 keyword overlap → blocks
- *   - Weak:   1-2 keyword overlap OR 1 shared file → advisory only (silent at execute-time)
+ *   - Strong: >=2 file path overlap OR text similarity >= STRONG_SIMILARITY_THRESHOLD → blocks
+ *   - Planned: peer TRDs plan the same exported symbol or artifact path as ours
+ *             (must_haves.artifacts + key_links `from`) → blocks; same directory only
+ *             → advisory. Catches collisions before either branch has commits.
+ *   - Weak:   1 shared file OR text similarity >= WEAK_SIMILARITY_THRESHOLD → advisory only
+ *             (silent at execute-time)
+ *
+ * Text similarity is a BM25 cosine (similarity.cjs) over a corpus of this
+ * repo's objective goals, TRD titles and SUMMARY.md bodies plus sibling
+ * PROJECT.md files, with synonyms from .planning/GLOSSARY.md. Callers that
+ * pass pre-tokenized current_keywords keep the keyword-count thresholds
+ * (>=3 strong, 1-2 weak).
  *
  * Iron Law: detectDuplicates NEVER throws. Infrastructure errors → warnings array.
  *
@@ -22,13 +32,19 @@
  *              + _writeDeferredState
  *   TRD 04-03: formatDetectionMarkdown
  *   TRD 04-06: module.exports finalization + integration tests
+ *
+ * Resolutions other than merge also publish a coordination record for the
+ * peer branch (coordination.cjs), so the other session learns the outcome.
  */
 
 const path = require('path');
 const { spawnSync } = require('child_process');
 const { extractFrontmatter } = require('./frontmatter.cjs');
+const { parseMustHavesArtifacts, parseMustHavesKeyLinks } = require('./trd-artifacts.cjs');
 const aw = require('./awareness.cjs');
 const orgaw = require('./org-awareness.cjs');
+const sim = require('./similarity.cjs');
+const coord = require('./coordination.cjs');
 
 // ─── TRD 04-01: Constants ─────────────────────────────────────────────────────
 
@@ -37,6 +53,8 @@ const STRONG_FILE_OVERLAP_THRESHOLD = 2;
 const STRONG_KEYWORD_OVERLAP_THRESHOLD = 3;
 const DUP_DETECT_LOG_REL = '.planning/.dup-detect-log.jsonl';
 const DEFERRED_DIR_REL = '.planning/.deferred';
+// SUMMARY.md bodies are long; the opening is where the shipped work is named.
+const CORPUS_SUMMARY_CHARS = 4000;
 
 // ─── TRD 04-01: Injection hooks ───────────────────────────────────────────────
 //
@@ -84,7 +102,7 @@ function _runGit(args, opts = {}) {
 // ─── TRD 04-01: _readPeerFilesModified ───────────────────────────────────────
 
 /**
- * Read files_modified from a peer branch's TRD frontmatter files.
+ * Read the raw TRD files on a peer branch.
  *
  * Uses `git show <branch>:.planning/objectives/<dir>/<file>-TRD.md` for each
  * TRD file on the peer branch. Branches without TRDs return [].
@@ -92,14 +110,14 @@ function _runGit(args, opts = {}) {
  *
  * @param {string} peer_branch - e.g. "feature/v1.1-obj-04-dup-detect"
  * @param {string} cwd        - working directory for git commands
- * @returns {string[]} - deduplicated union of all files_modified from all peer TRDs
+ * @returns {string[]} - TRD file contents
  */
-function _readPeerFilesModified(peer_branch, cwd) {
+function _readPeerTrdContents(peer_branch, cwd) {
   if (!peer_branch || typeof peer_branch !== 'string' || peer_branch.trim() === '') {
     return [];
   }
 
-  const filesSet = new Set();
+  const contents = [];
 
   try {
     // 1. Find peer's STATE.md to get the objective dir name
@@ -149,33 +167,247 @@ function _readPeerFilesModified(peer_branch, cwd) {
       .map(l => l.trim())
       .filter(l => l.endsWith('-TRD.md'));
 
-    // 6. For each TRD file, git show and extract frontmatter.files_modified
+    // 6. git show each TRD file
     for (const trdPath of trdFiles) {
       const showR = _runGit(['show', `${peer_branch}:${trdPath}`], { cwd });
-      if (!showR.ok) continue;
-
-      try {
-        const fm = extractFrontmatter(showR.stdout);
-        if (fm && Array.isArray(fm.files_modified)) {
-          for (const f of fm.files_modified) {
-            if (typeof f === 'string' && f.trim()) {
-              filesSet.add(f.trim());
-            }
-          }
-        }
-      } catch {
-        // Malformed frontmatter — skip silently
-        continue;
-      }
+      if (showR.ok) contents.push(showR.stdout);
     }
   } catch {
     // Any unexpected error → return empty (never throws)
     return [];
   }
 
+  return contents;
+}
+
+/**
+ * Union of files_modified across TRD contents (deduplicated).
+ *
+ * @param {string[]} contents
+ * @returns {string[]}
+ */
+function _filesModifiedFrom(contents) {
+  const filesSet = new Set();
+  for (const content of contents) {
+    try {
+      const fm = extractFrontmatter(content);
+      if (fm && Array.isArray(fm.files_modified)) {
+        for (const f of fm.files_modified) {
+          if (typeof f === 'string' && f.trim()) {
+            filesSet.add(f.trim());
+          }
+        }
+      }
+    } catch {
+      // Malformed frontmatter — skip silently
+      continue;
+    }
+  }
   return Array.from(filesSet);
 }
 
+/**
+ * Read files_modified from a peer branch's TRD frontmatter files.
+ *
+ * @param {string} peer_branch - e.g. "feature/v1.1-obj-04-dup-detect"
+ * @param {string} cwd        - working directory for git commands
+ * @returns {string[]} - deduplicated union of all files_modified from all peer TRDs
+ */
+function _readPeerFilesModified(peer_branch, cwd) {
+  return _filesModifiedFrom(_readPeerTrdContents(peer_branch, cwd));
+}
+
+// ─── Planned artifacts ───────────────────────────────────────────────────────
+
+function _normPath(p) {
+  return String(p || '').trim().replace(/^\.\//, '');
+}
+
+/**
+ * Planned footprint from must_haves.artifacts and key_links entries: every
+ * artifact path and key_link `from` path, and every exported symbol an
+ * artifact declares. key_link `to` ends are dependencies, not edits, and
+ * are left out.
+ *
+ * @param {Array<{ path: string, exports?: string[] }>} artifacts
+ * @param {Array<{ from: string }>} [keyLinks]
+ * @returns {{ paths: string[], symbols: Array<{ name: string, path: string }> }}
+ */
+function _plannedFootprint(artifacts, keyLinks = []) {
+  const paths = new Set();
+  const symbols = [];
+  for (const a of artifacts || []) {
+    if (!a || !a.path) continue;
+    const p = _normPath(a.path);
+    paths.add(p);
+    for (const name of Array.isArray(a.exports) ? a.exports : []) {
+      if (name) symbols.push({ name: String(name), path: p });
+    }
+  }
+  for (const l of keyLinks || []) {
+    if (l && l.from) paths.add(_normPath(l.from));
+  }
+  return { paths: Array.from(paths), symbols };
+}
+
+/**
+ * Planned footprint of a set of raw TRD contents.
+ *
+ * @param {string[]} contents
+ * @returns {{ paths: string[], symbols: Array<{ name: string, path: string }> }}
+ */
+function _plannedFromTrds(contents) {
+  const artifacts = [];
+  const keyLinks = [];
+  for (const content of contents) {
+    artifacts.push(...parseMustHavesArtifacts(content));
+    keyLinks.push(...parseMustHavesKeyLinks(content));
+  }
+  return _plannedFootprint(artifacts, keyLinks);
+}
+
+/**
+ * Planned footprint of the current objective: its local TRDs under
+ * .planning/objectives/<id>-<slug>/. No objective dir → empty footprint.
+ *
+ * @param {string} objective_id
+ * @param {string} cwd
+ * @returns {{ paths: string[], symbols: Array<{ name: string, path: string }> }}
+ */
+function _readCurrentPlanned(objective_id, cwd) {
+  const id = objective_id ? String(objective_id) : '';
+  const objsDir = path.join(cwd, '.planning', 'objectives');
+  const contents = [];
+  try {
+    if (id && _runFs.existsSync(objsDir)) {
+      const dir = _runFs.readdirSync(objsDir).find((n) => n === id || n.startsWith(`${id}-`));
+      if (dir) {
+        for (const f of _runFs.readdirSync(path.join(objsDir, dir)).sort()) {
+          if (!f.endsWith('-TRD.md')) continue;
+          try { contents.push(_runFs.readFileSync(path.join(objsDir, dir, f), 'utf-8')); } catch { /* skip */ }
+        }
+      }
+    }
+  } catch {
+    // unreadable planning dir → empty footprint
+  }
+  return _plannedFromTrds(contents);
+}
+
+// ─── Similarity corpus ───────────────────────────────────────────────────────
+
+function _bodyOf(content) {
+  const m = content.match(/^---\n[\s\S]*?\n---\n([\s\S]*)$/);
+  return m ? m[1] : content;
+}
+
+/**
+ * Title and goal of an OBJECTIVE.md: the H1, and the `## Goal` section (or
+ * the first 2000 chars of the body when there is no Goal heading).
+ *
+ * @param {string} content
+ * @returns {{ title: string, goal: string }}
+ */
+function _objectiveGoal(content) {
+  const body = _bodyOf(content);
+  const title = ((body.match(/^#\s+(.+)$/m) || [])[1] || '').trim();
+  const goal = body.match(/^##\s+Goal\s*\n([\s\S]*?)(?=\n##?\s|\n---|$)/m);
+  return { title, goal: (goal ? goal[1] : body.slice(0, 2000)).trim() };
+}
+
+/**
+ * Read the similarity corpus for a repo: one document per objective goal,
+ * TRD title and SUMMARY.md, plus one per sibling PROJECT.md. Unreadable
+ * files are skipped; a repo without .planning/objectives yields [].
+ *
+ * @param {string} cwd
+ * @param {string[]|null} [siblingRepos] - configured sibling paths (null = default discovery)
+ * @returns {{ docs: Array<{ id: string, text: string }>, goals: Map<string, string[]> }}
+ *          goals: objective dir name → its own texts (dir name, H1, goal, TRD titles)
+ */
+function _readSimilarityCorpus(cwd, siblingRepos = null) {
+  const docs = [];
+  const goals = new Map();
+  const read = (p) => {
+    try { return _runFs.readFileSync(p, 'utf-8'); } catch { return null; }
+  };
+
+  const objsDir = path.join(cwd, '.planning', 'objectives');
+  let objs = [];
+  try {
+    if (_runFs.existsSync(objsDir)) objs = _runFs.readdirSync(objsDir).sort();
+  } catch {
+    objs = [];
+  }
+
+  for (const name of objs) {
+    const dir = path.join(objsDir, name);
+    let files;
+    try {
+      files = _runFs.readdirSync(dir).sort();
+    } catch {
+      continue;
+    }
+    const own = [name];
+    for (const f of files) {
+      if (f === 'OBJECTIVE.md') {
+        const content = read(path.join(dir, f));
+        if (content === null) continue;
+        const { title, goal } = _objectiveGoal(content);
+        docs.push({ id: `objective:${name}`, text: `${title}\n${goal}` });
+        own.push(title, goal);
+      } else if (f.endsWith('-TRD.md')) {
+        const content = read(path.join(dir, f));
+        if (content === null) continue;
+        let fm = null;
+        try { fm = extractFrontmatter(content); } catch { fm = null; }
+        if (!fm || typeof fm.title !== 'string' || !fm.title.trim()) continue;
+        docs.push({ id: `trd:${f.replace(/-TRD\.md$/, '')}`, text: fm.title });
+        own.push(fm.title);
+      } else if (f.endsWith('-SUMMARY.md')) {
+        const content = read(path.join(dir, f));
+        if (content === null) continue;
+        docs.push({ id: `summary:${f.replace(/-SUMMARY\.md$/, '')}`, text: _bodyOf(content).slice(0, CORPUS_SUMMARY_CHARS) });
+      }
+    }
+    goals.set(name, own.filter(Boolean));
+  }
+
+  let siblings = [];
+  try {
+    siblings = orgaw._discoverSiblings({ cwd, config_paths: siblingRepos }).paths;
+  } catch {
+    siblings = [];
+  }
+  for (const repo of siblings) {
+    const content = read(path.join(repo, '.planning', 'PROJECT.md'));
+    if (content) docs.push({ id: `project:${path.basename(repo)}`, text: content });
+  }
+
+  return { docs, goals };
+}
+
+/**
+ * Texts to compare for the current objective. An explicit title is the
+ * query; when the caller only has an id (the CLI passes title = id) the
+ * objective's own dir name, H1, goal and TRD titles stand in. Each is
+ * scored separately and the best wins, so a short peer slug is not
+ * diluted by a long goal paragraph.
+ *
+ * @param {object} objective
+ * @param {Map<string, string[]>} goals
+ * @returns {string[]}
+ */
+function _currentObjectiveTexts(objective, goals) {
+  const id = objective.id ? String(objective.id) : '';
+  const title = objective.title ? String(objective.title) : '';
+  if (title && title !== id) return [title];
+  for (const [name, texts] of goals) {
+    if (id && (name === id || name.startsWith(`${id}-`))) return texts;
+  }
+  return [title || id].filter(Boolean);
+}
+
 // ─── TRD 04-01: Signal helpers ────────────────────────────────────────────────
 
 /**
@@ -218,18 +450,42 @@ function _detectHardMatch(current, peer, orgItems = []) {
   return { matched: false, signal: '' };
 }
 
+/**
+ * Text similarity between two contexts, or null when either side has no
+ * text or no index was given (callers then fall back to keyword counts).
+ * `current.text` may be a list of texts; the best-scoring one wins.
+ *
+ * @param {{ text?: string|string[] }} current
+ * @param {{ text?: string }} peer
+ * @param {object|null} index - similarity.createIndex result
+ * @returns {{ score: number, shared: string[] }|null}
+ */
+function _similarity(current, peer, index) {
+  const texts = [].concat(current.text || []).filter(Boolean);
+  if (!index || texts.length === 0 || !peer.text) return null;
+  let best = null;
+  for (const t of texts) {
+    const r = index.compare(t, peer.text);
+    if (!best || r.score > best.score) best = r;
+  }
+  return best;
+}
+
 /**
  * Detect strong match between current objective and a peer session.
  *
  * Strong match conditions (either is sufficient):
  *   1. |current.files ∩ peer.files| >= STRONG_FILE_OVERLAP_THRESHOLD (2)
- *   2. |current.keywords ∩ peer.keywords| >= STRONG_KEYWORD_OVERLAP_THRESHOLD (3)
+ *   2. With an index and text on both sides: similarity classifies 'strong'
+ *      (score >= STRONG_SIMILARITY_THRESHOLD, >= 2 shared terms).
+ *      Otherwise: |current.keywords ∩ peer.keywords| >= STRONG_KEYWORD_OVERLAP_THRESHOLD (3)
  *
- * @param {{ files: string[], keywords: Set<string> }} current
- * @param {{ files: string[], keywords: Set<string> }} peer
+ * @param {{ files: string[], keywords: Set<string>, text?: string|string[] }} current
+ * @param {{ files: string[], keywords: Set<string>, text?: string }} peer
+ * @param {object|null} [index] - similarity.createIndex result
  * @returns {{ matched: bool, signal: string }}
  */
-function _detectStrongMatch(current, peer) {
+function _detectStrongMatch(current, peer, index = null) {
   // File overlap check
   if (current.files && current.files.length > 0 && peer.files && peer.files.length > 0) {
     const peerFilesSet = new Set(peer.files);
@@ -242,6 +498,17 @@ function _detectStrongMatch(current, peer) {
     }
   }
 
+  const simResult = _similarity(current, peer, index);
+  if (simResult) {
+    if (sim.classify(simResult) === 'strong') {
+      return {
+        matched: true,
+        signal: `similarity ${simResult.score}: ${simResult.shared.slice(0, 5).join(', ')}`,
+      };
+    }
+    return { matched: false, signal: '' };
+  }
+
   // Keyword overlap check
   if (current.keywords && current.keywords.size > 0 && peer.keywords && peer.keywords.size > 0) {
     let kwIntersection = 0;
@@ -267,16 +534,18 @@ function _detectStrongMatch(current, peer) {
  * Detect weak match between current objective and a peer session.
  *
  * Weak match conditions (either is sufficient, but NOT if strong/hard thresholds met):
- *   1. 1-2 keyword overlap (less than STRONG_KEYWORD_OVERLAP_THRESHOLD)
+ *   1. 1-2 keyword overlap (less than STRONG_KEYWORD_OVERLAP_THRESHOLD), or with an
+ *      index and text on both sides: similarity classifies 'weak'
  *   2. 1 shared file (less than STRONG_FILE_OVERLAP_THRESHOLD)
  *
  * Returns false if strong or hard thresholds are met (those are handled by other helpers).
  *
- * @param {{ files: string[], keywords: Set<string> }} current
- * @param {{ files: string[], keywords: Set<string> }} peer
+ * @param {{ files: string[], keywords: Set<string>, text?: string|string[] }} current
+ * @param {{ files: string[], keywords: Set<string>, text?: string }} peer
+ * @param {object|null} [index] - similarity.createIndex result
  * @returns {{ matched: bool, signal: string }}
  */
-function _detectWeakMatch(current, peer) {
+function _detectWeakMatch(current, peer, index = null) {
   // Check file overlap
   let fileOverlap = 0;
   const overlappingFiles = [];
@@ -290,10 +559,13 @@ function _detectWeakMatch(current, peer) {
     }
   }
 
+  const simResult = _similarity(current, peer, index);
+  const simClass = simResult ? sim.classify(simResult) : null;
+
   // Check keyword overlap
   let kwOverlap = 0;
   const sharedKw = [];
-  if (current.keywords && current.keywords.size > 0 && peer.keywords && peer.keywords.size > 0) {
+  if (!simResult && current.keywords && current.keywords.size > 0 && peer.keywords && peer.keywords.size > 0) {
     for (const t of current.keywords) {
       if (peer.keywords.has(t)) {
         kwOverlap++;
@@ -303,7 +575,11 @@ function _detectWeakMatch(current, peer) {
   }
 
   // Weak is ONLY 1 to (threshold-1) — not strong territory
-  if (fileOverlap >= STRONG_FILE_OVERLAP_THRESHOLD || kwOverlap >= STRONG_KEYWORD_OVERLAP_THRESHOLD) {
+  if (
+    fileOverlap >= STRONG_FILE_OVERLAP_THRESHOLD ||
+    kwOverlap >= STRONG_KEYWORD_OVERLAP_THRESHOLD ||
+    simClass === 'strong'
+  ) {
     // Strong territory — weak helper doesn't fire
     return { matched: false, signal: '' };
   }
@@ -315,6 +591,13 @@ function _detectWeakMatch(current, peer) {
     };
   }
 
+  if (simClass === 'weak') {
+    return {
+      matched: true,
+      signal: `similarity ${simResult.score}: ${simResult.shared.slice(0, 5).join(', ')}`,
+    };
+  }
+
   if (kwOverlap >= 1 && kwOverlap < STRONG_KEYWORD_OVERLAP_THRESHOLD) {
     return {
       matched: true,
@@ -325,6 +608,58 @@ function _detectWeakMatch(current, peer) {
   return { matched: false, signal: '' };
 }
 
+/**
+ * Detect overlap between the planned footprints of two objectives.
+ *
+ * Levels, most specific first:
+ *   1. symbol    — both plan to export the same symbol name
+ *   2. file      — both plan the same artifact / key_link path
+ *   3. directory — planned paths share a directory (but no file or symbol)
+ *
+ * @param {{ planned?: { paths: string[], symbols: Array<{ name: string, path: string }> } }} current
+ * @param {{ planned?: { paths: string[], symbols: Array<{ name: string, path: string }> } }} peer
+ * @returns {{ matched: bool, level: 'symbol'|'file'|'directory'|null, signal: string }}
+ */
+function _detectPlannedOverlap(current, peer) {
+  const none = { matched: false, level: null, signal: '' };
+  const mine = current.planned;
+  const theirs = peer.planned;
+  if (!mine || !theirs || mine.paths.length === 0 || theirs.paths.length === 0) return none;
+
+  const theirSymbols = new Set(theirs.symbols.map((s) => s.name));
+  const sharedSymbols = [...new Set(mine.symbols.map((s) => s.name).filter((n) => theirSymbols.has(n)))];
+  if (sharedSymbols.length > 0) {
+    return {
+      matched: true,
+      level: 'symbol',
+      signal: `planned export overlap (${sharedSymbols.length}): ${sharedSymbols.slice(0, 5).join(', ')}`,
+    };
+  }
+
+  const theirPaths = new Set(theirs.paths);
+  const sharedPaths = mine.paths.filter((p) => theirPaths.has(p));
+  if (sharedPaths.length > 0) {
+    return {
+      matched: true,
+      level: 'file',
+      signal: `planned artifact overlap (${sharedPaths.length}): ${sharedPaths.slice(0, 3).join(', ')}`,
+    };
+  }
+
+  const dirs = (paths) => new Set(paths.map((p) => path.posix.dirname(p)).filter((d) => d !== '.'));
+  const theirDirs = dirs(theirs.paths);
+  const sharedDirs = [...dirs(mine.paths)].filter((d) => theirDirs.has(d));
+  if (sharedDirs.length > 0) {
+    return {
+      matched: true,
+      level: 'directory',
+      signal: `planned directory overlap (${sharedDirs.length}): ${sharedDirs.slice(0, 3).join(', ')}`,
+    };
+  }
+
+  return none;
+}
+
 // ─── TRD 04-01: detectDuplicates ─────────────────────────────────────────────
 
 /**
@@ -334,13 +669,16 @@ function _detectWeakMatch(current, peer) {
  *
  * @param {object} opts
  * @param {object}   opts.objective            - { id, title, github_issue, files_modified }
- * @param {object}   [opts.projectCtx]         - { github_repo, org_project }
+ * @param {object}   [opts.projectCtx]         - { github_repo, org_project, sibling_repos? }
  * @param {'plan'|'execute'} opts.mode         - detection mode
  * @param {string}   opts.cwd                  - working directory
  * @param {object}   [opts.peer_scan]          - pre-fetched peer scan result (skips live call)
  * @param {object}   [opts.org_overlap]        - pre-fetched org-overlap result (skips live call)
  * @param {string[]} [opts.current_files_modified] - override current files_modified
- * @param {Set<string>} [opts.current_keywords]    - override current keywords (pre-tokenized)
+ * @param {object[]} [opts.current_artifacts]      - override current planned must_haves.artifacts
+ *                                                   ({ path, exports? }); default: local TRDs
+ * @param {Set<string>} [opts.current_keywords]    - override current keywords (pre-tokenized;
+ *                                                   disables text similarity for this call)
  * @param {string}   [opts.current_github_issue]   - override current github_issue
  * @returns {{ blocking: bool, matches: object[], advisory: object[], warnings: string[], mode: string, timestamp: string }}
  */
@@ -352,6 +690,7 @@ function detectDuplicates({
   peer_scan = null,
   org_overlap = null,
   current_files_modified = null,
+  current_artifacts = null,
   current_keywords = null,
   current_github_issue = null,
 } = {}) {
@@ -376,18 +715,25 @@ function detectDuplicates({
     : (Array.isArray(objective.files_modified) ? objective.files_modified : []);
 
   let currentKeywords;
+  let currentTexts = [];
+  let index = null;
   if (current_keywords !== null && current_keywords instanceof Set) {
     currentKeywords = current_keywords;
   } else {
-    // Tokenize from objective title
-    const title = objective.title || objective.id || '';
-    currentKeywords = orgaw._tokenize(title);
+    const corpus = _readSimilarityCorpus(cwd, Array.isArray(projectCtx.sibling_repos) ? projectCtx.sibling_repos : null);
+    index = sim.createIndex(corpus.docs, { glossary: sim.loadGlossary(cwd, _runFs) });
+    currentTexts = _currentObjectiveTexts(objective, corpus.goals);
+    currentKeywords = orgaw._tokenize(currentTexts.join('\n'));
   }
 
   const currentCtx = {
     github_issue: currentIssue,
     files: currentFiles,
     keywords: currentKeywords,
+    text: currentTexts,
+    planned: Array.isArray(current_artifacts)
+      ? _plannedFootprint(current_artifacts)
+      : _readCurrentPlanned(objective.id, cwd),
   };
 
   // ── 2. Fetch peer scan ────────────────────────────────────────────────────
@@ -463,15 +809,24 @@ function detectDuplicates({
     // Read peer's files_modified from their TRD frontmatter.
     // If the peer entry already carries a files_modified array (e.g. from cache or
     // a fixture), use it directly to avoid an unnecessary git show round-trip.
+    // The TRDs are read at most once per peer (files_modified + planned artifacts).
+    // peer.ref is the readable ref (origin/x, gitlab/x, or a worktree's local
+    // branch); caches written before it existed only carry the branch name.
+    let peerTrds = null;
+    const readPeerTrds = () => {
+      if (peerTrds === null) peerTrds = _readPeerTrdContents(peer.ref || peer.branch || '', cwd);
+      return peerTrds;
+    };
     const peerFiles = Array.isArray(peer.files_modified) && peer.files_modified.length > 0
       ? peer.files_modified
-      : _readPeerFilesModified(peer.branch || '', cwd);
+      : _filesModifiedFrom(readPeerTrds());
     const peerKeywords = orgaw._tokenize(peer.objective || '');
 
     const peerCtx = {
       github_issue: peer.github_issue || null,
       files: peerFiles,
       keywords: peerKeywords,
+      text: [peer.objective, peer.title].filter(Boolean).join('\n'),
     };
 
     // Hard match check (peer github_issue only — org path handled above)
@@ -490,7 +845,7 @@ function detectDuplicates({
     }
 
     // Strong match check
-    const strongResult = _detectStrongMatch(currentCtx, peerCtx);
+    const strongResult = _detectStrongMatch(currentCtx, peerCtx, index);
     if (strongResult.matched) {
       result.matches.push({
         strength: 'strong',
@@ -504,8 +859,29 @@ function detectDuplicates({
       continue;
     }
 
+    // Planned-artifact check (only when the current objective has a footprint)
+    let plannedResult = { matched: false, level: null, signal: '' };
+    if (currentCtx.planned.paths.length > 0) {
+      peerCtx.planned = Array.isArray(peer.planned_artifacts)
+        ? _plannedFootprint(peer.planned_artifacts, peer.planned_key_links || [])
+        : _plannedFromTrds(readPeerTrds());
+      plannedResult = _detectPlannedOverlap(currentCtx, peerCtx);
+    }
+    if (plannedResult.matched && plannedResult.level !== 'directory') {
+      result.matches.push({
+        strength: 'planned',
+        source: 'peer',
+        peer_objective: peer.objective || null,
+        peer_branch: peer.branch || null,
+        signal: plannedResult.signal,
+        score: 0.6,
+      });
+      result.blocking = true;
+      continue;
+    }
+
     // Weak match check (plan-time only — filtered at execute-time)
-    const weakResult = _detectWeakMatch(currentCtx, peerCtx);
+    const weakResult = _detectWeakMatch(currentCtx, peerCtx, index);
     if (weakResult.matched) {
       result.advisory.push({
         strength: 'weak',
@@ -515,6 +891,16 @@ function detectDuplicates({
         signal: weakResult.signal,
         score: 0.3,
       });
+    } else if (plannedResult.matched) {
+      // Directory-only planned overlap: same module area, advisory like weak
+      result.advisory.push({
+        strength: 'planned',
+        source: 'peer',
+        peer_objective: peer.objective || null,
+        peer_branch: peer.branch || null,
+        signal: plannedResult.signal,
+        score: 0.3,
+      });
     }
   }
 
@@ -575,7 +961,7 @@ function recordResolution({ objective_id, mode, blocking, top_match, resolution,
  * @param {string} padded         - padded objective number (e.g. '04')
  * @param {object} note_data
  *   { objective_id, timestamp, strength, source, peer_objective, peer_branch,
- *     signal, resolution_label, suggested_handoff, warning? }
+ *     signal, resolution_label, suggested_handoff, warning?, split? }
  */
 function _writeCoordinationNote(objective_dir, padded, note_data) {
   const contextPath = path.join(objective_dir, `${padded}-CONTEXT.md`);
@@ -594,6 +980,13 @@ function _writeCoordinationNote(objective_dir, padded, note_data) {
     `- **User resolution:** ${sanitize(note_data.resolution_label)}`,
     '',
   ];
+  if (note_data.split) {
+    noteLines.push(
+      `- **We take:** ${note_data.split.ours.map(sanitize).join(', ') || '(nothing listed)'}`,
+      `- **Peer takes:** ${note_data.split.theirs.map(sanitize).join(', ') || '(nothing listed)'}`,
+      '',
+    );
+  }
   if (note_data.warning) {
     noteLines.push(`**WARNING:** ${sanitize(note_data.warning)}`, '');
   }
@@ -638,6 +1031,45 @@ function _writeDeferredState(objective_id, state, cwd = process.cwd()) {
   return filePath;
 }
 
+/**
+ * Publish a coordination record for the peer branch of a resolution.
+ * Best-effort: git failures come back as warnings, never as throws, so the
+ * local note / deferred state written before this always stands.
+ *
+ * @param {string} kind - coordination.cjs kind (defer | coordinate | proceed-anyway)
+ * @param {object} opts - { objective_id, note_data, split, cwd }
+ * @returns {{ published: boolean, ref: string|null, pushed: boolean, warnings: string[] }}
+ */
+function _publishCoordination(kind, { objective_id, note_data, split, cwd }) {
+  if (!note_data.peer_branch) {
+    return { published: false, ref: null, pushed: false, warnings: ['no peer branch; coordination record not published'] };
+  }
+  const branchR = _runGit(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd });
+  const devR = _runGit(['config', 'user.name'], { cwd });
+  let repo = null;
+  try {
+    const projectPath = path.join(cwd, '.planning', 'PROJECT.md');
+    if (_runFs.existsSync(projectPath)) {
+      const fm = extractFrontmatter(_runFs.readFileSync(projectPath, 'utf-8'));
+      if (fm && fm.github_repo) repo = fm.github_repo;
+    }
+  } catch { /* fall through to dir name */ }
+
+  const record = coord.buildRecord({
+    kind,
+    objective_id,
+    repo: repo || path.basename(path.resolve(cwd)),
+    from_branch: branchR.ok ? branchR.stdout.trim() : null,
+    developer: devR.ok ? devR.stdout.trim() || null : null,
+    to_branch: note_data.peer_branch,
+    to_objective: note_data.peer_objective,
+    signal: note_data.signal || null,
+    split,
+  });
+  const r = coord.publishRecord(record, { runGit: _runGit, cwd });
+  return { published: r.published, ref: r.ref, pushed: r.pushed, warnings: r.warnings };
+}
+
 /**
  * Dispatch a resolution choice to the appropriate writer helper.
  *
@@ -650,7 +1082,12 @@ function _writeDeferredState(objective_id, state, cwd = process.cwd()) {
  * @param {object} opts.detection - the detectDuplicates result that triggered the resolution
  * @param {string} opts.objective_dir - absolute path to objective directory
  * @param {string} opts.padded_objective - padded objective number (e.g. '04')
- * @returns {object} dispatch result (varies by resolution)
+ * @param {{ ours: string[], theirs: string[] }|null} [opts.split] - coordinate only:
+ *   file assignment agreed with the peer (published as a 'split' record)
+ * @param {boolean} [opts.publish] - publish a coordination record for the peer
+ *   branch (default: true; merge never publishes)
+ * @returns {object} dispatch result (varies by resolution; `coordination` carries
+ *   the publish outcome when publish is on)
  */
 function applyResolution({
   resolution,
@@ -661,6 +1098,8 @@ function applyResolution({
   detection = {},
   objective_dir,
   padded_objective,
+  split = null,
+  publish = true,
 } = {}) {
   // Build note_data from top match in detection result
   const topMatch = (Array.isArray(detection.matches) && detection.matches.length > 0)
@@ -679,6 +1118,12 @@ function applyResolution({
       ? `shared files; consider splitting ${objective_dir} into a sub-task that depends on ${peer_objective || (topMatch ? topMatch.peer_objective : '') || '(peer)'}`
       : 'sync with peer before continuing',
   };
+  const splitFiles = split
+    ? { ours: Array.isArray(split.ours) ? split.ours : [], theirs: Array.isArray(split.theirs) ? split.theirs : [] }
+    : null;
+  const published = (kind) => (publish
+    ? { coordination: _publishCoordination(kind, { objective_id, note_data, split: splitFiles, cwd }) }
+    : {});
 
   switch (resolution) {
     case 'merge': {
@@ -709,14 +1154,15 @@ function applyResolution({
           score: topMatch.score,
         } : null,
       }, cwd);
-      return { wrote_deferred: true, defer_path: filePath };
+      return Object.assign({ wrote_deferred: true, defer_path: filePath }, published('defer'));
     }
 
     case 'coordinate': {
       _writeCoordinationNote(objective_dir, padded_objective, Object.assign({}, note_data, {
-        resolution_label: 'Coordinate',
+        resolution_label: splitFiles ? 'Coordinate (split)' : 'Coordinate',
+        split: splitFiles,
       }));
-      return { wrote_coordination_note: true };
+      return Object.assign({ wrote_coordination_note: true }, published('coordinate'));
     }
 
     case 'proceed-anyway': {
@@ -724,7 +1170,7 @@ function applyResolution({
         resolution_label: 'Proceed-anyway',
         warning: 'User chose "Proceed anyway" despite blocking match — likely merge conflicts at commit time.',
       }));
-      return { wrote_coordination_note: true, warning_appended: true };
+      return Object.assign({ wrote_coordination_note: true, warning_appended: true }, published('proceed-anyway'));
     }
 
     default:
@@ -842,7 +1288,7 @@ function formatDetectionMarkdown(detection, opts) {
   return sections.join('\n\n');
 }
 
-// ─── module.exports — LOCKED by TRD 04-06 (19-entry surface; SC-10) ──────────
+// ─── module.exports — LOCKED by TRD 04-06 (20-entry surface; SC-10) ──────────
 //
 // This block is the AUTHORITATIVE export surface for lib/dup-detect.cjs.
 // Asserted by EX1 test: Object.keys(module.exports).sort() deepStrictEqual.
@@ -865,6 +1311,7 @@ module.exports = {
   _detectHardMatch,
   _detectStrongMatch,
   _detectWeakMatch,
+  _detectPlannedOverlap,
   _readPeerFilesModified,
   _writeCoordinationNote,
   _writeDeferredState,
@@ -626,6 +626,207 @@ test('D10: both peer and org fail → no exception, returns {blocking:false, mat
   );
 });
 
+// ─── Group SIM: text similarity over the planning corpus ──────────────────────
+
+function withSimilarityRepo(fn) {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-sim-'));
+  const objDir = path.join(tmp, '.planning', 'objectives', '07-dedupe-scanner');
+  fs.mkdirSync(objDir, { recursive: true });
+  fs.writeFileSync(path.join(tmp, '.planning', 'GLOSSARY.md'), '# Glossary\n\n- duplicate: dedupe, dupe\n');
+  fs.writeFileSync(path.join(objDir, 'OBJECTIVE.md'),
+    '---\nwork: feature\n---\n\n# Dedupe scanner\n\n## Goal\n\nFlag overlapping objectives before planning starts.\n');
+  fs.writeFileSync(path.join(objDir, '07-01-engine-TRD.md'), '---\ntitle: Dedupe scanner engine\n---\n');
+  fs.mkdirSync(path.join(tmp, '.planning', 'objectives', '01-billing'), { recursive: true });
+  fs.writeFileSync(path.join(tmp, '.planning', 'objectives', '01-billing', 'OBJECTIVE.md'),
+    '# Billing\n\n## Goal\n\nInvoices and payment retries.\n');
+  try {
+    return fn(tmp);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+test('D11: id-only objective reads its goal; glossary synonyms make a strong similarity match', () => {
+  const peers = [
+    fix.buildPeerBranch({ branch: 'feature/dup', objective: 'duplicate scanner engine', files_modified: ['a.cjs'] }),
+    fix.buildPeerBranch({ branch: 'feature/bill', objective: 'payment retries', files_modified: ['b.cjs'] }),
+  ];
+  withSimilarityRepo((cwd) => withMocks(
+    () => fix.buildPeerScanResult({ branches: peers }),
+    () => emptyOrgResult(),
+    () => {
+      const result = dd.detectDuplicates({
+        objective: { id: '07', title: '07' },
+        projectCtx: { sibling_repos: [] },
+        mode: 'plan',
+        cwd,
+      });
+      assert.strictEqual(result.blocking, true);
+      assert.strictEqual(result.matches.length, 1);
+      assert.strictEqual(result.matches[0].strength, 'strong');
+      assert.strictEqual(result.matches[0].peer_branch, 'feature/dup');
+      assert.match(result.matches[0].signal, /^similarity [\d.]+: .*duplicate/);
+      assert.deepStrictEqual(result.advisory, []);
+    }
+  ));
+});
+
+test('D12: current_keywords keeps the keyword-count thresholds (no similarity)', () => {
+  const peer = fix.buildPeerBranch({ branch: 'feature/dup', objective: 'duplicate scanner engine', files_modified: [] });
+  withSimilarityRepo((cwd) => withMocks(
+    () => fix.buildPeerScanResult({ branches: [peer] }),
+    () => emptyOrgResult(),
+    () => {
+      const result = dd.detectDuplicates({
+        objective: { id: '07' },
+        current_keywords: new Set(['dedupe', 'scanner', 'engine']),
+        mode: 'plan',
+        cwd,
+      });
+      // 'dedupe' only meets 'duplicate' through the glossary, so this is 2 shared keywords: weak
+      assert.strictEqual(result.blocking, false);
+      assert.strictEqual(result.advisory.length, 1);
+      assert.match(result.advisory[0].signal, /^keyword overlap \(2\)/);
+    }
+  ));
+});
+
+test('SIM-DD: _detectStrongMatch / _detectWeakMatch use the index when both sides have text', () => {
+  const sim = require('./similarity.cjs');
+  const index = sim.createIndex([]);
+  const current = { files: [], keywords: new Set(['duplicate', 'work', 'detection']), text: ['duplicate work detection'] };
+  const peer = { files: [], keywords: new Set(['duplicate', 'work', 'detection']), text: 'parser for detection rules' };
+  // Keyword counts alone would call this strong (3 shared); with text it is not.
+  assert.strictEqual(dd._detectStrongMatch(current, peer).matched, true);
+  assert.strictEqual(dd._detectStrongMatch(current, peer, index).matched, false);
+  const weak = dd._detectWeakMatch(current, peer, index);
+  assert.strictEqual(weak.matched, true);
+  assert.match(weak.signal, /^similarity [\d.]+: detection$/);
+});
+
+// ─── Group PL: planned-artifact overlap ──────────────────────────────────────
+
+const plannedOf = (paths, symbols = []) => ({ planned: { paths, symbols } });
+
+test('PL1: _detectPlannedOverlap — shared exported symbol wins over file and directory', () => {
+  const r = dd._detectPlannedOverlap(
+    plannedOf(['lib/a.cjs', 'lib/b.cjs'], [{ name: 'parseGlossary', path: 'lib/a.cjs' }]),
+    plannedOf(['lib/c.cjs'], [{ name: 'parseGlossary', path: 'lib/c.cjs' }]),
+  );
+  assert.deepStrictEqual(r, { matched: true, level: 'symbol', signal: 'planned export overlap (1): parseGlossary' });
+});
+
+test('PL2: _detectPlannedOverlap — same planned path without shared symbols → file', () => {
+  const r = dd._detectPlannedOverlap(
+    plannedOf(['lib/a.cjs'], [{ name: 'x', path: 'lib/a.cjs' }]),
+    plannedOf(['lib/a.cjs', 'docs/guide.md'], [{ name: 'y', path: 'lib/a.cjs' }]),
+  );
+  assert.strictEqual(r.level, 'file');
+  assert.strictEqual(r.signal, 'planned artifact overlap (1): lib/a.cjs');
+});
+
+test('PL3: _detectPlannedOverlap — same directory only → directory; root files and empty footprints never match', () => {
+  const dir = dd._detectPlannedOverlap(plannedOf(['lib/a.cjs', 'README.md']), plannedOf(['lib/b.cjs', 'CHANGELOG.md']));
+  assert.deepStrictEqual(dir, { matched: true, level: 'directory', signal: 'planned directory overlap (1): lib' });
+  assert.strictEqual(dd._detectPlannedOverlap(plannedOf(['README.md']), plannedOf(['CHANGELOG.md'])).matched, false);
+  assert.strictEqual(dd._detectPlannedOverlap(plannedOf([]), plannedOf(['lib/a.cjs'])).matched, false);
+  assert.strictEqual(dd._detectPlannedOverlap({}, plannedOf(['lib/a.cjs'])).matched, false);
+});
+
+test('PL4: detectDuplicates — peer planning the same module blocks as planned; same directory is advisory', () => {
+  const samePath = {
+    ...fix.buildPeerBranch({ branch: 'feature/rewrite', objective: 'unrelated title one', files_modified: ['x.md'] }),
+    planned_artifacts: [{ path: './lib/watch.cjs', exports: ['startWatch'] }],
+  };
+  const sameDir = {
+    ...fix.buildPeerBranch({ branch: 'feature/sibling', objective: 'unrelated title two', files_modified: ['y.md'] }),
+    planned_artifacts: [{ path: 'lib/other.cjs' }],
+  };
+  const viaLink = {
+    ...fix.buildPeerBranch({ branch: 'feature/wire', objective: 'unrelated title three', files_modified: ['z.md'] }),
+    planned_artifacts: [],
+    planned_key_links: [{ from: 'lib/watch.cjs', to: 'lib/x.cjs' }],
+  };
+  const run = (mode) => withMocks(
+    () => fix.buildPeerScanResult({ branches: [samePath, sameDir, viaLink] }),
+    () => emptyOrgResult(),
+    () => dd.detectDuplicates({
+      objective: { id: '99', title: 'watcher rework' },
+      current_artifacts: [{ path: 'lib/watch.cjs', exports: ['startWatch', 'stopWatch'] }],
+      current_keywords: new Set(['watcher', 'rework']),
+      mode,
+      cwd: process.cwd(),
+    }),
+  );
+
+  const plan = run('plan');
+  assert.strictEqual(plan.blocking, true);
+  assert.deepStrictEqual(plan.matches.map((m) => [m.strength, m.peer_branch, m.signal]), [
+    ['planned', 'feature/rewrite', 'planned export overlap (1): startWatch'],
+    ['planned', 'feature/wire', 'planned artifact overlap (1): lib/watch.cjs'],
+  ]);
+  assert.strictEqual(plan.matches[0].score, 0.6);
+  assert.deepStrictEqual(plan.advisory.map((m) => [m.strength, m.peer_branch, m.signal]), [
+    ['planned', 'feature/sibling', 'planned directory overlap (1): lib'],
+  ]);
+
+  const exec = run('execute');
+  assert.strictEqual(exec.blocking, true);
+  assert.strictEqual(exec.matches.length, 2);
+  assert.deepStrictEqual(exec.advisory, []);
+});
+
+test('PL5: detectDuplicates — current footprint comes from the local TRDs (artifacts + key_links)', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'dd-planned-'));
+  const objDir = path.join(tmp, '.planning', 'objectives', '12-watch-rework');
+  fs.mkdirSync(objDir, { recursive: true });
+  fs.writeFileSync(path.join(objDir, '12-01-core-TRD.md'), [
+    '---',
+    'objective: 12-watch-rework',
+    'trd: 12-01',
+    'must_haves:',
+    '  artifacts:',
+    '    - path: "lib/watch.cjs"',
+    '      provides: "watch loop"',
+    '      exports: ["startWatch"]',
+    '  key_links:',
+    '    - from: "lib/cli.cjs"',
+    '      to: "lib/watch.cjs"',
+    '      via: "require"',
+    '---',
+    '',
+  ].join('\n'));
+  const peer = {
+    ...fix.buildPeerBranch({ branch: 'feature/cli', objective: 'zzz', files_modified: ['q.md'] }),
+    planned_artifacts: [{ path: 'lib/cli.cjs' }],
+  };
+  try {
+    withMocks(
+      () => fix.buildPeerScanResult({ branches: [peer] }),
+      () => emptyOrgResult(),
+      () => {
+        const result = dd.detectDuplicates({
+          objective: { id: '12', title: 'watch rework' },
+          current_keywords: new Set(['watch', 'rework']),
+          mode: 'plan',
+          cwd: tmp,
+        });
+        assert.strictEqual(result.blocking, true);
+        assert.strictEqual(result.matches[0].strength, 'planned');
+        assert.strictEqual(result.matches[0].signal, 'planned artifact overlap (1): lib/cli.cjs');
+      }
+    );
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
 // ─── Module exports verification ──────────────────────────────────────────────
 
 test('Module exports: all required symbols present', () => {
@@ -976,6 +1177,89 @@ test('AR6 — coordinate path + recordResolution records coordinate in JSONL (in
   }
 });
 
+test('AR7 — defer / split publish a coordination record the peer scanPeer sees', () => {
+  const { spawnSync } = require('child_process');
+  const aw = require('./awareness.cjs');
+  const tmp = fsTest.mkdtempSync(pathTest.join(osTest.tmpdir(), 'dd-coord-'));
+  const git = (cwd, ...args) => spawnSync('git', args, { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], timeout: 10000 });
+  const origin = pathTest.join(tmp, 'origin.git');
+  const ours = pathTest.join(tmp, 'ours');
+  const theirs = pathTest.join(tmp, 'theirs');
+  try {
+    git(tmp, 'init', '--bare', '-b', 'main', origin);
+    for (const [dir, branch] of [[ours, 'feature/obj-07-billing'], [theirs, 'feature/obj-03-invoices']]) {
+      git(tmp, 'clone', '--quiet', origin, dir);
+      git(dir, 'config', 'user.email', 'test@example.com');
+      git(dir, 'config', 'user.name', dir === ours ? 'alice' : 'bob');
+      git(dir, 'checkout', '-q', '-b', branch);
+      git(dir, 'commit', '-q', '--allow-empty', '-m', 'init');
+    }
+    fsTest.mkdirSync(pathTest.join(ours, '.planning', 'objectives', '07-billing'), { recursive: true });
+    fsTest.writeFileSync(pathTest.join(ours, '.planning', 'PROJECT.md'), '---\ngithub_repo: acme/api\n---\n# API\n');
+    const objDir = pathTest.join(ours, '.planning', 'objectives', '07-billing');
+    const detection = {
+      timestamp: new Date().toISOString(),
+      matches: [{ strength: 'strong', source: 'peer', signal: 'similarity 0.73: invoice, billing', peer_branch: 'feature/obj-03-invoices', peer_objective: '03-invoices' }],
+    };
+
+    const r = dd.applyResolution({
+      resolution: 'defer', objective_id: '07',
+      peer_branch: 'feature/obj-03-invoices', peer_objective: '03-invoices',
+      cwd: ours, detection, objective_dir: objDir, padded_objective: '07',
+    });
+    assert.strictEqual(r.wrote_deferred, true);
+    assert.strictEqual(r.coordination.published, true);
+    assert.strictEqual(r.coordination.pushed, true, r.coordination.warnings.join('; '));
+    assert.strictEqual(r.coordination.ref, 'refs/devflow/coordination/feature%2Fobj-07-billing/feature%2Fobj-03-invoices/07');
+
+    let scan = aw.scanPeer({ cwd: theirs });
+    assert.strictEqual(scan.coordination.length, 1);
+    assert.strictEqual(require('./coordination.cjs').describeRecord(scan.coordination[0]),
+      'objective 07 in acme/api deferred to you (alice on feature/obj-07-billing)');
+    // Not addressed to the publisher's own branch.
+    assert.deepStrictEqual(aw.scanPeer({ cwd: ours }).coordination, []);
+
+    // A later split replaces the deferral and lands in CONTEXT.md too.
+    const s = dd.applyResolution({
+      resolution: 'coordinate', objective_id: '07',
+      peer_branch: 'feature/obj-03-invoices', peer_objective: '03-invoices',
+      cwd: ours, detection, objective_dir: objDir, padded_objective: '07',
+      split: { ours: ['lib/billing.cjs'], theirs: ['lib/invoice.cjs'] },
+    });
+    assert.strictEqual(s.coordination.pushed, true);
+    assert.match(fsTest.readFileSync(pathTest.join(objDir, '07-CONTEXT.md'), 'utf-8'),
+      /Coordinate \(split\)[\s\S]*\*\*We take:\*\* lib\/billing\.cjs\n- \*\*Peer takes:\*\* lib\/invoice\.cjs/);
+    scan = aw.scanPeer({ cwd: theirs });
+    assert.strictEqual(scan.coordination.length, 1);
+    assert.strictEqual(scan.coordination[0].kind, 'split');
+    assert.deepStrictEqual(scan.coordination[0].split, { from_files: ['lib/billing.cjs'], to_files: ['lib/invoice.cjs'] });
+  } finally {
+    fsTest.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('AR8 — publish:false skips the record; outside a git repo publishing only warns', () => {
+  const tmp = _mkTmpRepo();
+  const objDir = pathTest.join(tmp, '.planning', 'objectives', '04-test');
+  const args = {
+    resolution: 'coordinate', objective_id: '04',
+    peer_branch: 'feature/peer', peer_objective: '03',
+    cwd: tmp,
+    detection: { timestamp: new Date().toISOString(), matches: [] },
+    objective_dir: objDir, padded_objective: '04',
+  };
+  try {
+    const off = dd.applyResolution(Object.assign({ publish: false }, args));
+    assert.deepStrictEqual(off, { wrote_coordination_note: true });
+    const on = dd.applyResolution(args);
+    assert.strictEqual(on.wrote_coordination_note, true);
+    assert.strictEqual(on.coordination.published, false);
+    assert.ok(on.coordination.warnings.length > 0);
+  } finally {
+    fsTest.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
 // ─── Group CN: _writeCoordinationNote ────────────────────────────────────────
 
 test('CN1 — existing CONTEXT.md gets section appended; previous content preserved', () => {
@@ -1403,18 +1687,18 @@ const os = require('os');
 
 // ─── Group EX: export surface lock ────────────────────────────────────────────
 
-test('EX1 — export surface locked at 19 entries', () => {
+test('EX1 — export surface locked at 20 entries', () => {
   const expected = [
     'detectDuplicates', 'formatDetectionMarkdown', 'recordResolution', 'applyResolution',
     '_setRunPeer', '_setRunOrgOverlap', '_setRunFs', '_resetMocks',
-    '_detectHardMatch', '_detectStrongMatch', '_detectWeakMatch',
+    '_detectHardMatch', '_detectStrongMatch', '_detectWeakMatch', '_detectPlannedOverlap',
     '_readPeerFilesModified', '_writeCoordinationNote', '_writeDeferredState',
     'HARD_MATCH_THRESHOLD', 'STRONG_FILE_OVERLAP_THRESHOLD', 'STRONG_KEYWORD_OVERLAP_THRESHOLD',
     'DUP_DETECT_LOG_REL', 'DEFERRED_DIR_REL',
   ].sort();
   const actual = Object.keys(dd).sort();
   assert.deepStrictEqual(actual, expected);
-  assert.strictEqual(actual.length, 19);
+  assert.strictEqual(actual.length, 20);
 });
 
 test('EX2 — every export is non-undefined', () => {
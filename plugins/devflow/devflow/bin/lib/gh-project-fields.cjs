@@ -0,0 +1,418 @@
+'use strict';
+
+// gh-project-fields.cjs — declarative OBJECTIVE.md → Projects v2 field mapping.
+//
+// Without a mapping, `pm sync` pushes the fixed Status (from TRD progress) and
+// Quarter (from the milestone) fields. `.planning/config.json` can map
+// frontmatter keys and computed values onto any custom field instead:
+//
+//   "github": {
+//     "project_fields": {
+//       "Size":     { "from": "size", "type": "single_select", "map": { "s": "Small", "l": "Large" } },
+//       "Risk":     { "from": "risk", "type": "single_select" },
+//       "Sprint":   { "from": "iteration", "type": "iteration" },
+//       "Quarter":  { "computed": "quarter", "type": "single_select" },
+//       "Progress": { "computed": "progress", "type": "number" },
+//       "Estimate": { "computed": "estimated_duration", "type": "text" }
+//     }
+//   }
+//
+// `from` names an OBJECTIVE.md frontmatter key, `computed` one of COMPUTED.
+// `map` rewrites a source value before it is written. A mapped field replaces
+// the built-in Status / Quarter push of the same name.
+//
+// Every entry is validated against the live Project schema (gh.walkProject):
+// the field must exist with the same type, and select / iteration values must
+// name an existing option / iteration. `df-tools pm fields [<objective>...]`
+// prints that check plus a dry-run diff against the item's current values;
+// --apply writes the changed fields. `pm sync` applies them as step 8a.
+
+const fs = require('fs');
+const path = require('path');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+
+const FIELD_TYPES = ['single_select', 'text', 'number', 'date', 'iteration'];
+
+// Values derived from disk rather than read from frontmatter. `ctx` is
+// { state (gh.readObjectiveState), chain (gh.resolveChain), durations }.
+const COMPUTED = {
+  status: ({ state }) => {
+    if (state.trd_total > 0 && state.trd_done === state.trd_total) return 'Done';
+    return state.trd_done > 0 ? 'In Progress' : 'Todo';
+  },
+  progress: ({ state }) => (state.trd_total > 0 ? Math.round((100 * state.trd_done) / state.trd_total) : 0),
+  trd_count: ({ state }) => state.trd_total,
+  trd_done: ({ state }) => state.trd_done,
+  quarter: ({ chain }) => (chain && chain.milestone && chain.milestone.quarter) || null,
+  // Minutes: recorded SUMMARY durations plus their average for each TRD
+  // still open. null until at least one SUMMARY records a duration.
+  estimated_duration: ({ state, durations }) => {
+    if (durations.length === 0) return null;
+    const spent = durations.reduce((a, b) => a + b, 0);
+    const open = Math.max(state.trd_total - state.trd_done, 0);
+    return Math.round(spent + (spent / durations.length) * open);
+  },
+};
+
+function _readConfig(cwd) {
+  const p = path.join(cwd, '.planning', 'config.json');
+  if (!fs.existsSync(p)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf-8')) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * readFieldMapping(cwd) — `github.project_fields` from .planning/config.json.
+ * Returns { mapping: null } when unset or empty, else { mapping, errors } where errors
+ * are shape problems found without talking to GitHub.
+ */
+function readFieldMapping(cwd) {
+  const mapping = (_readConfig(cwd).github || {}).project_fields;
+  if (mapping == null || (typeof mapping === 'object' && Object.keys(mapping).length === 0)) {
+    return { mapping: null, errors: [] };
+  }
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { mapping: null, errors: ['github.project_fields must be an object of field name → mapping'] };
+  }
+  const errors = [];
+  for (const [name, def] of Object.entries(mapping)) {
+    if (!def || typeof def !== 'object') {
+      errors.push(`${name}: mapping must be an object`);
+      continue;
+    }
+    if (!!def.from === !!def.computed) errors.push(`${name}: set exactly one of "from" or "computed"`);
+    if (def.computed && !COMPUTED[def.computed]) {
+      errors.push(`${name}: unknown computed value "${def.computed}" (${Object.keys(COMPUTED).join(', ')})`);
+    }
+    if (!FIELD_TYPES.includes(def.type)) errors.push(`${name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    if (def.map != null && (typeof def.map !== 'object' || Array.isArray(def.map))) {
+      errors.push(`${name}: map must be an object of source value → field value`);
+    }
+  }
+  return { mapping, errors };
+}
+
+/**
+ * validateMapping(mapping, schema) — check each entry against the live
+ * Project schema ({ [name]: { id, type, options?, iterations? } }).
+ * Returns { errors: [{ field, error }], warnings: [string] }.
+ */
+function validateMapping(mapping, schema) {
+  const errors = [];
+  const warnings = [];
+  const names = Object.keys(schema);
+  for (const [name, def] of Object.entries(mapping)) {
+    const f = schema[name];
+    if (!f) {
+      errors.push({ field: name, error: `no field "${name}" in the project (fields: ${names.join(', ') || 'none'})` });
+      continue;
+    }
+    if (f.type !== def.type) {
+      errors.push({ field: name, error: `"${name}" is ${f.type} in the project, mapping says ${def.type}` });
+      continue;
+    }
+    const choices = f.options || f.iterations;
+    for (const target of Object.values(def.map || {})) {
+      if (choices && !(String(target) in choices)) {
+        warnings.push(`${name}: map value "${target}" is not ${f.options ? 'an option' : 'an iteration'} of the field`);
+      }
+    }
+  }
+  return { errors, warnings };
+}
+
+/** "45min", "45m", "1h 20m", "1.5h", "90" → minutes; null when unparseable. */
+function parseDuration(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const s = String(value).trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+  const re = /(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|min|mins|minutes?)\b/g;
+  let total = 0;
+  let matched = false;
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    matched = true;
+    total += m[2].startsWith('h') ? parseFloat(m[1]) * 60 : parseFloat(m[1]);
+  }
+  return matched ? total : null;
+}
+
+/** 150 → "2h 30m", 45 → "45m". */
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  if (h === 0) return `${m}m`;
+  return m === 0 ? `${h}h` : `${h}h ${m}m`;
+}
+
+// `duration` of every SUMMARY in the objective dir, in minutes.
+function _summaryDurations(cwd, objectiveId) {
+  const dir = path.join(cwd, '.planning', 'objectives', objectiveId);
+  if (!fs.existsSync(dir)) return [];
+  const out = [];
+  for (const f of fs.readdirSync(dir).filter((x) => x.endsWith('-SUMMARY.md')).sort()) {
+    const fm = extractFrontmatter(fs.readFileSync(path.join(dir, f), 'utf-8')) || {};
+    const mins = parseDuration(fm.duration);
+    if (mins != null) out.push(mins);
+  }
+  return out;
+}
+
+// Source value → what the field should hold, or { error }.
+function _fieldValue(def, raw, field) {
+  let v = raw;
+  if (def.map && v != null && Object.prototype.hasOwnProperty.call(def.map, String(v))) v = def.map[String(v)];
+  switch (def.type) {
+    case 'number': {
+      const n = typeof v === 'number' ? v : Number(v);
+      return Number.isFinite(n) ? { value: n } : { error: `"${v}" is not a number` };
+    }
+    case 'date': {
+      const s = String(v);
+      return /^\d{4}-\d{2}-\d{2}/.test(s) ? { value: s.slice(0, 10) } : { error: `"${v}" is not a YYYY-MM-DD date` };
+    }
+    case 'text':
+      if (def.computed === 'estimated_duration' && !def.map) return { value: formatDuration(v) };
+      if (def.computed === 'progress' && !def.map) return { value: `${v}%` };
+      return { value: String(v) };
+    default: {
+      // single_select / iteration: match the option or iteration by name,
+      // case-insensitively, and write its canonical spelling.
+      const choices = (field && (field.options || field.iterations)) || {};
+      const hit = Object.keys(choices).find((c) => c.toLowerCase() === String(v).toLowerCase());
+      if (hit) return { value: hit };
+      const what = def.type === 'iteration' ? 'iteration' : 'option';
+      return { error: `no ${what} "${v}" (have: ${Object.keys(choices).join(', ') || 'none'})` };
+    }
+  }
+}
+
+function _same(type, a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  return type === 'number' ? Number(a) === Number(b) : String(a) === String(b);
+}
+
+/**
+ * planFields({ mapping, schema, objFm, ctx, current }) — dry-run diff for one
+ * objective. `current` is the item's walkProject field_values (null when the
+ * issue is not in the project yet).
+ *
+ * Returns [{ field, type, source, want, current, change, error? }] with change
+ * set | unchanged | skipped (source value empty) | invalid.
+ */
+function planFields({ mapping, schema, objFm, ctx, current }) {
+  const invalid = new Map(validateMapping(mapping, schema).errors.map((e) => [e.field, e.error]));
+  return Object.entries(mapping).map(([field, def]) => {
+    const source = def.computed ? `computed:${def.computed}` : `from:${def.from}`;
+    const cur = current && current[field] != null ? current[field] : null;
+    const row = { field, type: def.type, source, want: null, current: cur };
+    if (invalid.has(field)) return { ...row, change: 'invalid', error: invalid.get(field) };
+    const raw = def.computed ? COMPUTED[def.computed](ctx) : objFm[def.from];
+    if (raw == null || raw === '') return { ...row, change: 'skipped' };
+    const r = _fieldValue(def, raw, schema[field]);
+    if (r.error) return { ...row, change: 'invalid', error: r.error };
+    return { ...row, want: r.value, change: _same(def.type, r.value, cur) ? 'unchanged' : 'set' };
+  });
+}
+
+/** { field: want } for the rows planFields marked `set`. */
+function changedValues(rows) {
+  return Object.fromEntries(rows.filter((r) => r.change === 'set').map((r) => [r.field, r.want]));
+}
+
+/**
+ * objectiveContext(cwd, objectiveId) — everything planFields needs for one
+ * objective: { objFm, chain, ctx } or { error }.
+ */
+function objectiveContext(cwd, objectiveId, { chain = null, state = null } = {}) {
+  const gh = require('./gh.cjs');
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) return { error: `objective not found: ${objectiveId}` };
+  const objFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  objFm._objectiveId = objectiveId;
+  if (!chain) {
+    const projectPath = path.join(cwd, '.planning', 'PROJECT.md');
+    const projectFm = fs.existsSync(projectPath) ? extractFrontmatter(fs.readFileSync(projectPath, 'utf-8')) || {} : {};
+    chain = gh.resolveChain(objFm, { github_repo: projectFm.github_repo || null, org_project: projectFm.org_project || null });
+  }
+  return {
+    objFm,
+    chain,
+    ctx: {
+      state: state || gh.readObjectiveState(objectiveId, cwd),
+      chain,
+      durations: _summaryDurations(cwd, objectiveId),
+    },
+  };
+}
+
+/**
+ * syncMappedFields(cwd, { objectiveId, issueRef, projectId, chain, state })
+ * — `pm sync` step 8a: walk the project for its schema and the item's
+ * current values, then write the mapped fields that changed.
+ * Returns { fields_updated, warnings }.
+ */
+function syncMappedFields(cwd, { objectiveId, issueRef, projectId, chain, state }) {
+  const gh = require('./gh.cjs');
+  const { mapping, errors } = readFieldMapping(cwd);
+  if (!mapping) return { fields_updated: [], warnings: errors };
+  if (errors.length > 0) return { fields_updated: [], warnings: errors.map((e) => `project_fields: ${e}`) };
+
+  const walk = gh.walkProject(projectId);
+  if (Object.keys(walk.fields || {}).length === 0) {
+    return { fields_updated: [], warnings: [...walk.warnings, 'project_fields: could not read the project schema; mapped fields skipped'] };
+  }
+  const oc = objectiveContext(cwd, objectiveId, { chain, state });
+  if (oc.error) return { fields_updated: [], warnings: [oc.error] };
+  const item = walk.items.find((i) => i.issue_ref === issueRef);
+  const rows = planFields({ mapping, schema: walk.fields, objFm: oc.objFm, ctx: oc.ctx, current: item ? item.field_values : null });
+  const warnings = [
+    ...walk.warnings,
+    ...validateMapping(mapping, walk.fields).warnings,
+    ...rows.filter((r) => r.change === 'invalid').map((r) => `project_fields: ${r.field}: ${r.error}`),
+  ];
+  const values = changedValues(rows);
+  if (Object.keys(values).length === 0) return { fields_updated: [], warnings };
+  const r = gh.updateProjectFields(issueRef, projectId, values, { schema: walk.fields });
+  for (const e of r.errors || []) warnings.push(`project_fields: ${e.field}: ${e.error}`);
+  if (r.error) warnings.push(`project_fields: ${r.error}`);
+  return { fields_updated: r.fields_updated || [], warnings: [...warnings, ...(r.warnings || [])] };
+}
+
+// Objectives with a github_issue, for `pm fields` without arguments.
+function _trackedObjectives(cwd) {
+  const dir = path.join(cwd, '.planning', 'objectives');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).sort().filter((id) => {
+    const p = path.join(dir, id, 'OBJECTIVE.md');
+    return fs.existsSync(p) && (extractFrontmatter(fs.readFileSync(p, 'utf-8')) || {}).github_issue;
+  });
+}
+
+const CHANGE_MARK = { set: '~', unchanged: '=', skipped: '-', invalid: '!' };
+const _show = (v) => (v == null ? '(empty)' : JSON.stringify(v));
+
+/** Prose diff for `pm fields`. */
+function formatFieldsPretty(result) {
+  const lines = [];
+  for (const e of result.schema_errors) lines.push(`! ${e.field}: ${e.error}`);
+  for (const w of result.warnings) lines.push(`warning: ${w}`);
+  if (lines.length > 0) lines.push('');
+  for (const o of result.objectives) {
+    if (o.error) {
+      lines.push(`${o.objective}: ${o.error}`, '');
+      continue;
+    }
+    lines.push(`${o.objective}  ${o.issue_ref}${o.in_project ? '' : '  (not in project yet)'}`);
+    for (const r of o.fields) {
+      const tail = r.change === 'set' ? `${_show(r.current)} → ${_show(r.want)}`
+        : r.change === 'unchanged' ? _show(r.current)
+          : r.change === 'skipped' ? `no value (${r.source})`
+            : r.error;
+      lines.push(`  ${CHANGE_MARK[r.change]} ${r.field}: ${tail}`);
+    }
+    if (o.applied) lines.push(`  applied: ${o.applied.join(', ') || 'nothing'}`);
+    lines.push('');
+  }
+  const pending = result.objectives.reduce((n, o) => n + (o.fields || []).filter((r) => r.change === 'set').length, 0);
+  if (!result.apply && pending > 0) lines.push(`${pending} field change(s) pending — re-run with --apply.`);
+  return lines.join('\n').replace(/\n+$/, '') + '\n';
+}
+
+/**
+ * cmdGhFields(cwd, args, raw) — `df-tools pm fields [<objective>...] [--apply]`.
+ * Validates github.project_fields against the live Project schema and prints
+ * the per-field diff for each objective (every objective with a github_issue
+ * when none is named). Dry run unless --apply. raw=true → JSON.
+ * Exit 1 on mapping / schema errors or failed writes.
+ */
+function cmdGhFields(cwd, args = [], raw) {
+  const gh = require('./gh.cjs');
+  const emit = (payload, prose, code) => {
+    process.stdout.write(raw ? JSON.stringify(payload, null, 2) : prose);
+    if (code !== 0) process.exit(code);
+  };
+  const apply = args.includes('--apply');
+  const { mapping, errors } = readFieldMapping(cwd);
+  if (!mapping && errors.length === 0) {
+    const reason = 'no github.project_fields mapping in .planning/config.json';
+    emit({ ok: false, skipped: true, reason }, `Nothing to do: ${reason}.\n`, 0);
+    return;
+  }
+  if (errors.length > 0) {
+    emit({ ok: false, errors }, errors.map((e) => `! ${e}`).join('\n') + '\n', 1);
+    return;
+  }
+
+  try {
+    gh.requireGhAuth(['project', 'read:project', 'repo']);
+  } catch (e) {
+    if (e.name !== 'GhAuthError') throw e;
+    emit({ ok: false, error: e.message, remediation: e.remediation }, `${e.message}\n${e.remediation || ''}\n`, 1);
+    return;
+  }
+
+  const named = args.filter((a) => !a.startsWith('--'));
+  const ids = named.length > 0 ? named : _trackedObjectives(cwd);
+  const walks = new Map();
+  const result = { ok: true, apply, project_id: null, schema_errors: [], warnings: [], objectives: [] };
+
+  for (const id of ids) {
+    const oc = objectiveContext(cwd, id);
+    if (oc.error) {
+      result.objectives.push({ objective: id, error: oc.error });
+      continue;
+    }
+    const issueRef = oc.chain.github_issue;
+    const projectId = oc.chain.org_project;
+    if (!issueRef || !projectId) {
+      result.objectives.push({ objective: id, error: issueRef ? 'no org_project to map fields onto' : 'objective has no github_issue' });
+      continue;
+    }
+    if (!walks.has(projectId)) {
+      const walk = gh.walkProject(projectId);
+      walks.set(projectId, walk);
+      const v = validateMapping(mapping, walk.fields || {});
+      result.schema_errors.push(...v.errors);
+      result.warnings.push(...walk.warnings, ...v.warnings);
+    }
+    const walk = walks.get(projectId);
+    result.project_id = result.project_id || projectId;
+    const item = walk.items.find((i) => i.issue_ref === issueRef);
+    const rows = planFields({ mapping, schema: walk.fields || {}, objFm: oc.objFm, ctx: oc.ctx, current: item ? item.field_values : null });
+    const entry = { objective: id, issue_ref: issueRef, in_project: !!item, fields: rows };
+    const values = changedValues(rows);
+    if (apply && Object.keys(values).length > 0) {
+      const r = gh.updateProjectFields(issueRef, projectId, values, { schema: walk.fields });
+      entry.applied = r.fields_updated || [];
+      if (!r.ok) {
+        entry.apply_errors = [...(r.errors || []).map((e) => `${e.field}: ${e.error}`), ...(r.error ? [r.error] : [])];
+        result.ok = false;
+      }
+      if (r.warnings) result.warnings.push(...r.warnings);
+    }
+    result.objectives.push(entry);
+  }
+
+  if (result.schema_errors.length > 0 || result.objectives.some((o) => o.error)) result.ok = false;
+  emit(result, formatFieldsPretty(result), result.ok ? 0 : 1);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  COMPUTED,
+  readFieldMapping,
+  validateMapping,
+  parseDuration,
+  formatDuration,
+  planFields,
+  changedValues,
+  objectiveContext,
+  syncMappedFields,
+  formatFieldsPretty,
+  cmdGhFields,
+};
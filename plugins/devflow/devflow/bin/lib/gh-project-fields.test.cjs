@@ -0,0 +1,244 @@
+'use strict';
+
+// gh-project-fields.test.cjs — github.project_fields → Projects v2 custom fields
+//
+//   PF1: readFieldMapping — unset / empty → null; shape errors reported
+//   PF2: walkProject returns the project schema and typed per-item field values
+//   PF3: validateMapping — missing field, type mismatch, unknown map target
+//   PF4: planFields — frontmatter + computed values diffed against current values
+//   PF5: estimated_duration from SUMMARY durations; text fields get "2h 30m"
+//   PF6: updateProjectFields with a schema writes typed values (number, text, iteration)
+//   PF7: pm fields — dry run prints the diff and writes nothing; --apply writes changed fields
+//   PF8: pm fields — schema mismatch exits 1
+//   PF9: pm sync — mapped fields replace the built-in Status push
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const pf = require('./gh-project-fields.cjs');
+const gh = require('./gh.cjs');
+const fx = require('./__fixtures__/gh-pull-fixtures.cjs');
+
+const REPO = 'AO-Cyber-Systems/devflow-claude';
+const PROJECT = 'PVT_test';
+const OBJ = '01-alpha';
+const AUTH_OK = { ok: true, status: 0, stdout: "  - Token scopes: 'project', 'read:project', 'repo'", stderr: '' };
+
+const SCHEMA_NODES = [
+  { id: 'F_title', name: 'Title', dataType: 'TITLE' },
+  { id: 'F_status', name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'o_todo', name: 'Todo' }, { id: 'o_prog', name: 'In Progress' }, { id: 'o_done', name: 'Done' }] },
+  { id: 'F_size', name: 'Size', dataType: 'SINGLE_SELECT', options: [{ id: 'o_s', name: 'Small' }, { id: 'o_l', name: 'Large' }] },
+  { id: 'F_progress', name: 'Progress', dataType: 'NUMBER' },
+  { id: 'F_estimate', name: 'Estimate', dataType: 'TEXT' },
+  { id: 'F_sprint', name: 'Sprint', dataType: 'ITERATION', configuration: { iterations: [{ id: 'it_12', title: 'Sprint 12', startDate: '2026-05-04' }], completedIterations: [] } },
+];
+
+const MAPPING = {
+  Size: { from: 'size', type: 'single_select', map: { s: 'Small', l: 'Large' } },
+  Progress: { computed: 'progress', type: 'number' },
+  Estimate: { computed: 'estimated_duration', type: 'text' },
+  Sprint: { from: 'sprint', type: 'iteration' },
+};
+
+// Project response with the schema and one item (#10) carrying `values`.
+function projectResponse(values = {}) {
+  const fieldValues = Object.entries(values).map(([name, v]) => {
+    if (typeof v === 'number') return { number: v, field: { name } };
+    if (name === 'Sprint') return { title: v, field: { name } };
+    if (name === 'Estimate') return { text: v, field: { name } };
+    return { name: v, field: { name } };
+  });
+  return {
+    ok: true, status: 0, stderr: '',
+    stdout: JSON.stringify({ data: { node: {
+      items: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [{
+        content: { __typename: 'Issue', number: 10, title: 'Alpha', body: '', repository: { nameWithOwner: REPO }, trackedIssues: { totalCount: 0, nodes: [] } },
+        fieldValues: { nodes: fieldValues },
+      }] },
+      fields: { nodes: SCHEMA_NODES },
+    } } }),
+  };
+}
+
+// gh mock: auth, project walk, add-to-project (item PVTI_10) and field mutations.
+function ghMock(values) {
+  const calls = [];
+  gh._setRunGh((args) => {
+    calls.push(args);
+    const ok = (stdout = '') => ({ ok: true, status: 0, stdout, stderr: '' });
+    if (args[0] === 'auth') return AUTH_OK;
+    const q = args[3] || '';
+    if (q.includes('items(first: 100')) return projectResponse(values);
+    if (q.includes('addProjectV2ItemById')) return ok(JSON.stringify({ data: { addProjectV2ItemById: { item: { id: 'PVTI_10' } } } }));
+    if (q.includes('updateProjectV2ItemFieldValue')) return ok(JSON.stringify({ data: {} }));
+    if (q.includes('repository(owner')) return ok(JSON.stringify({ data: { repository: { issue: { id: 'I_10' } } } }));
+    return { ok: true, status: 0, stdout: '', stderr: '' };
+  });
+  return calls;
+}
+const mutations = (calls) => calls.filter((a) => (a[3] || '').includes('updateProjectV2ItemFieldValue'));
+
+function buildProject({ mapping = MAPPING, objFm = { size: 's', sprint: 'sprint 12' } } = {}) {
+  const p = fx.buildTempProject({
+    objectiveId: OBJ,
+    frontmatter: { status: 'open', github_issue: `${REPO}#10`, org_project: PROJECT, ...objFm },
+    projectFm: { github_repo: REPO },
+  });
+  const dir = path.join(p.root, '.planning', 'objectives', OBJ);
+  for (const n of ['01', '02', '03', '04']) fs.writeFileSync(path.join(dir, `01-${n}-TRD.md`), `---\ntrd: ${n}\n---\n`);
+  fs.writeFileSync(path.join(dir, '01-01-SUMMARY.md'), '---\nduration: 30min\n---\n');
+  fs.writeFileSync(path.join(p.root, '.planning', 'config.json'), JSON.stringify({ github: { enabled: true, repo: REPO, project_fields: mapping } }));
+  return p;
+}
+
+function captureRun(fn) {
+  const origStdout = process.stdout.write.bind(process.stdout);
+  const origExit = process.exit;
+  let stdout = '', exitCode = null;
+  process.stdout.write = (chunk) => { stdout += chunk; return true; };
+  process.exit = (code) => { exitCode = code; throw new Error('__exit__'); };
+  try {
+    try { fn(); } catch (e) { if (e.message !== '__exit__') throw e; }
+  } finally {
+    process.stdout.write = origStdout;
+    process.exit = origExit;
+  }
+  return { stdout, exitCode };
+}
+
+let project;
+beforeEach(() => gh._setRunGh(null));
+afterEach(() => {
+  gh._setRunGh(null);
+  if (project) project.cleanup();
+  project = null;
+});
+
+describe('mapping + schema', () => {
+  test('PF1: readFieldMapping — unset / empty → null; shape errors reported', () => {
+    project = buildProject({ mapping: {} });
+    assert.strictEqual(pf.readFieldMapping(project.root).mapping, null);
+
+    fs.writeFileSync(path.join(project.root, '.planning', 'config.json'), JSON.stringify({ github: { project_fields: {
+      Size: { from: 'size', computed: 'progress', type: 'single_select' },
+      Risk: { computed: 'velocity', type: 'single_select' },
+      Due: { from: 'due', type: 'timestamp' },
+    } } }));
+    const { errors } = pf.readFieldMapping(project.root);
+    assert.strictEqual(errors.length, 3);
+    assert.match(errors[0], /Size: set exactly one of "from" or "computed"/);
+    assert.match(errors[1], /Risk: unknown computed value "velocity"/);
+    assert.match(errors[2], /Due: type must be one of/);
+  });
+
+  test('PF2: walkProject returns the project schema and typed per-item field values', () => {
+    ghMock({ Size: 'Small', Progress: 25, Sprint: 'Sprint 12' });
+    const r = gh.walkProject(PROJECT);
+    assert.deepStrictEqual(r.fields.Size, { id: 'F_size', type: 'single_select', options: { Small: 'o_s', Large: 'o_l' } });
+    assert.deepStrictEqual(r.fields.Sprint, { id: 'F_sprint', type: 'iteration', iterations: { 'Sprint 12': 'it_12' } });
+    assert.strictEqual(r.fields.Title.type, 'title');
+    assert.deepStrictEqual(r.items[0].field_values, { Size: 'Small', Progress: 25, Sprint: 'Sprint 12' });
+  });
+
+  test('PF3: validateMapping — missing field, type mismatch, unknown map target', () => {
+    ghMock();
+    const { fields } = gh.walkProject(PROJECT);
+    const v = pf.validateMapping({
+      ...MAPPING,
+      Risk: { from: 'risk', type: 'single_select' },
+      Progress: { computed: 'progress', type: 'text' },
+      Size: { from: 'size', type: 'single_select', map: { xl: 'Huge' } },
+    }, fields);
+    assert.deepStrictEqual(v.errors.map((e) => e.field), ['Progress', 'Risk']);
+    assert.match(v.errors[0].error, /"Progress" is number in the project, mapping says text/);
+    assert.match(v.errors[1].error, /no field "Risk" in the project/);
+    assert.deepStrictEqual(v.warnings, ['Size: map value "Huge" is not an option of the field']);
+  });
+});
+
+describe('planning', () => {
+  test('PF4: planFields — frontmatter + computed values diffed against current values', () => {
+    project = buildProject({ objFm: { size: 's' } });
+    ghMock({ Size: 'Small', Progress: 0 });
+    const walk = gh.walkProject(PROJECT);
+    const oc = pf.objectiveContext(project.root, OBJ);
+    const rows = pf.planFields({ mapping: MAPPING, schema: walk.fields, objFm: oc.objFm, ctx: oc.ctx, current: walk.items[0].field_values });
+    assert.deepStrictEqual(rows.map((r) => `${r.field}:${r.change}`), ['Size:unchanged', 'Progress:set', 'Estimate:set', 'Sprint:skipped']);
+    assert.strictEqual(rows[1].want, 25);
+    assert.strictEqual(rows[1].current, 0);
+    assert.deepStrictEqual(pf.changedValues(rows), { Progress: 25, Estimate: '2h' });
+
+    const bad = pf.planFields({ mapping: MAPPING, schema: walk.fields, objFm: { size: 'm' }, ctx: oc.ctx, current: null });
+    assert.strictEqual(bad[0].change, 'invalid');
+    assert.match(bad[0].error, /no option "m" \(have: Small, Large\)/);
+  });
+
+  test('PF5: estimated_duration from SUMMARY durations; text fields get "2h 30m"', () => {
+    assert.deepStrictEqual(['45min', '1h 20m', '1.5h', '90', 'soon'].map(pf.parseDuration), [45, 80, 90, 90, null]);
+    assert.deepStrictEqual([45, 120, 150].map(pf.formatDuration), ['45m', '2h', '2h 30m']);
+    const ctx = { state: { trd_total: 4, trd_done: 2 }, durations: [40, 60] };
+    assert.strictEqual(pf.COMPUTED.estimated_duration(ctx), 200);
+    assert.strictEqual(pf.COMPUTED.estimated_duration({ ...ctx, durations: [] }), null);
+    assert.strictEqual(pf.COMPUTED.progress(ctx), 50);
+  });
+
+  test('PF6: updateProjectFields with a schema writes typed values (number, text, iteration)', () => {
+    const calls = ghMock();
+    const { fields } = gh.walkProject(PROJECT);
+    const r = gh.updateProjectFields(`${REPO}#10`, PROJECT, { Progress: 25, Estimate: '2h', Sprint: 'Sprint 12', Size: 'Small' }, { schema: fields });
+    assert.deepStrictEqual(r.fields_updated, ['Progress', 'Estimate', 'Sprint', 'Size']);
+    const m = mutations(calls);
+    assert.match(m[0][3], /\$value: Float!.*number: \$value/);
+    assert.deepStrictEqual(m[0].slice(-2), ['-F', 'value=25']);
+    assert.match(m[1][3], /\$value: String!.*text: \$value/);
+    assert.deepStrictEqual(m[1].slice(-2), ['-f', 'value=2h']);
+    assert.match(m[2][3], /iterationId: \$value/);
+    assert.deepStrictEqual(m[2].slice(-2), ['-f', 'value=it_12']);
+    assert.deepStrictEqual(m[3].slice(-2), ['-F', 'optionId=o_s']);
+  });
+});
+
+describe('commands', () => {
+  test('PF7: pm fields — dry run prints the diff and writes nothing; --apply writes changed fields', () => {
+    project = buildProject();
+    let calls = ghMock({ Size: 'Small' });
+    const dry = captureRun(() => pf.cmdGhFields(project.root, [], false));
+    assert.strictEqual(dry.exitCode, null, dry.stdout);
+    assert.match(dry.stdout, /01-alpha {2}AO-Cyber-Systems\/devflow-claude#10/);
+    assert.match(dry.stdout, /= Size: "Small"/);
+    assert.match(dry.stdout, /~ Progress: \(empty\) → 25/);
+    assert.match(dry.stdout, /~ Sprint: \(empty\) → "Sprint 12"/);
+    assert.match(dry.stdout, /3 field change\(s\) pending/);
+    assert.strictEqual(mutations(calls).length, 0);
+
+    calls = ghMock({ Size: 'Small' });
+    const applied = captureRun(() => pf.cmdGhFields(project.root, [OBJ, '--apply'], true));
+    const parsed = JSON.parse(applied.stdout);
+    assert.strictEqual(parsed.ok, true);
+    assert.deepStrictEqual(parsed.objectives[0].applied, ['Progress', 'Estimate', 'Sprint']);
+    assert.strictEqual(mutations(calls).length, 3);
+  });
+
+  test('PF8: pm fields — schema mismatch exits 1', () => {
+    project = buildProject({ mapping: { ...MAPPING, Risk: { from: 'risk', type: 'single_select' } } });
+    ghMock();
+    const r = captureRun(() => pf.cmdGhFields(project.root, [], true));
+    assert.strictEqual(r.exitCode, 1);
+    const parsed = JSON.parse(r.stdout);
+    assert.deepStrictEqual(parsed.schema_errors.map((e) => e.field), ['Risk']);
+    assert.strictEqual(parsed.objectives[0].fields.find((f) => f.field === 'Risk').change, 'invalid');
+  });
+
+  test('PF9: pm sync — mapped fields replace the built-in Status push', () => {
+    project = buildProject({ mapping: { Status: { computed: 'status', type: 'single_select' }, Progress: MAPPING.Progress } });
+    const calls = ghMock({ Status: 'Todo' });
+    const r = gh.syncObjective(OBJ, project.root);
+    assert.strictEqual(r.ok, true, JSON.stringify(r));
+    assert.ok(r.project_fields_updated.includes('Status'));
+    assert.ok(r.project_fields_updated.includes('Progress'));
+    const statusWrites = mutations(calls).filter((a) => a.includes('fieldId=F_status'));
+    assert.strictEqual(statusWrites.length, 1, 'Status written once, from the live schema');
+  });
+});
@@ -1,6 +1,6 @@
 'use strict';
 
-// gh-pull.cjs (TRD 21-01) — `df-tools gh pull <objective>` inbound bidirectional sync.
+// gh-pull.cjs (TRD 21-01) — `df-tools pm pull <objective>` (alias: `gh pull`) inbound bidirectional sync.
 //
 // Reads GitHub issue state for a tracked objective, detects drift versus disk
 // frontmatter, and (with --apply) writes changed fields back to OBJECTIVE.md.
@@ -15,6 +15,24 @@
 //
 // Authoritative-from-disk fields (NOT pulled): kind, work, parent_issue,
 //   org_initiative, org_project, goal, requirements, success_criteria.
+//
+// `pull --all` (cmdGhPullAll) walks every objective in .gh-sync-state.json and
+// prints one combined report; --apply resolves drift and conflicts in one pass
+// using a per-field policy (conflict.parsePolicy) and/or --interactive prompts.
+//
+// Fetching is incremental: a single pull sends If-None-Match with the etag
+// stored alongside the baseline (304 → no drift), `pull --all` fetches every
+// issue in one GraphQL batch, and `--since[=<iso>]` first narrows that to the
+// issues GitHub lists as updated after the watermark (default: the oldest
+// gh_updated_at in sync state).
+//
+// `pull --inbox` walks only the objectives the webhook receiver queued in
+// .planning/.pm-inbox.jsonl (gh-webhook.cjs), using the delivered issue state
+// instead of fetching; a settled objective leaves the inbox after any pull.
+//
+// Non-GitHub backends reuse cmdGhPull by passing a pull adapter (see
+// _ghPullAdapter for the shape); their fetchIssue returns the fetchGhIssue
+// shape, so drift, conflict and sync-state handling are shared unchanged.
 
 const fs = require('fs');
 const path = require('path');
@@ -84,6 +102,192 @@ function fetchGhIssue(issueRef) {
   return parsed;
 }
 
+// ─── Incremental fetch (conditional, batch, since-watermark) ─────────────────
+
+const ISSUE_REF_RE = /^([^/]+)\/([^#]+)#(\d+)$/;
+
+// Issues per GraphQL query. Each aliased issue costs one node per connection,
+// so 50 × (labels + assignees) stays well under the 500k-node query limit.
+const BATCH_SIZE = 50;
+
+/** REST issue JSON → fetchGhIssue shape. */
+function _restIssueToGh(issue) {
+  return {
+    state: issue.state === 'closed' ? 'CLOSED' : 'OPEN',
+    labels: (issue.labels || []).map((l) => (typeof l === 'string' ? { name: l } : { name: l.name, color: l.color })),
+    assignees: (issue.assignees || []).map((a) => ({ login: a.login })),
+    milestone: issue.milestone ? { title: issue.milestone.title } : null,
+    updatedAt: issue.updated_at,
+  };
+}
+
+/**
+ * Split `gh api -i` output into { status, headers (lower-cased), body }.
+ * Returns null when stdout does not start with an HTTP status line.
+ */
+function _parseHttpResponse(stdout) {
+  const text = String(stdout || '');
+  const statusLine = text.match(/^HTTP\/[\d.]+ (\d{3})/);
+  if (!statusLine) return null;
+  const split = text.search(/\r?\n\r?\n/);
+  const head = split === -1 ? text : text.slice(0, split);
+  const headers = {};
+  for (const line of head.split(/\r?\n/).slice(1)) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return { status: Number(statusLine[1]), headers, body: split === -1 ? '' : text.slice(split).trim() };
+}
+
+/**
+ * fetchGhIssueConditional(issueRef, etag) — REST fetch with `If-None-Match`.
+ *
+ * Returns the fetchGhIssue contract, plus:
+ *   { ...issue, etag }       — 200; `etag` is the response ETag (null if absent)
+ *   { not_modified: true }   — 304; nothing changed since `etag` was recorded
+ *
+ * GitHub does not count 304s against the REST rate limit. Output that is not
+ * an HTTP response (older gh, a proxy eating headers) falls back to
+ * fetchGhIssue, so the conditional path is never less reliable than before.
+ */
+function fetchGhIssueConditional(issueRef, etag) {
+  const m = issueRef && issueRef.match(ISSUE_REF_RE);
+  if (!m) return null;
+  const [, owner, repo, num] = m;
+
+  const args = ['api', '-i', `repos/${owner}/${repo}/issues/${num}`];
+  if (etag) args.push('-H', `If-None-Match: ${etag}`);
+  // gh exits non-zero for anything above 299 (304 included); the status line
+  // on stdout is what we branch on.
+  const res = _parseHttpResponse(_runGh(args).stdout);
+
+  if (res && res.status === 304) return { not_modified: true };
+  if (res && (res.status === 404 || res.status === 410)) return null;
+  if (res && res.status === 200) {
+    try {
+      return { ..._restIssueToGh(JSON.parse(res.body)), etag: res.headers.etag || null };
+    } catch (_) {
+      // fall through to the unconditional fetch
+    }
+  }
+  return fetchGhIssue(issueRef);
+}
+
+/**
+ * fetchGhIssuesBatch(refs) — fetch many issues with one GraphQL query per
+ * BATCH_SIZE refs (aliased `repository { issue }` lookups).
+ *
+ * Returns { [ref]: issue | null | { error, _ok: false } } in the fetchGhIssue
+ * shape. GraphQL responses carry no ETag, so batch results never set `etag`.
+ */
+function fetchGhIssuesBatch(refs) {
+  const results = {};
+  const valid = [];
+  for (const ref of new Set(refs)) {
+    if (ISSUE_REF_RE.test(ref || '')) valid.push(ref);
+    else results[ref] = null;
+  }
+
+  for (let i = 0; i < valid.length; i += BATCH_SIZE) {
+    const chunk = valid.slice(i, i + BATCH_SIZE);
+    const byRepo = new Map();
+    for (const ref of chunk) {
+      const [, owner, repo, num] = ref.match(ISSUE_REF_RE);
+      const key = `${owner}/${repo}`;
+      if (!byRepo.has(key)) byRepo.set(key, { owner, repo, alias: `r${byRepo.size}`, issues: [] });
+      byRepo.get(key).issues.push({ ref, num, alias: `i${num}` });
+    }
+
+    const parts = [...byRepo.values()].map((r) =>
+      `  ${r.alias}: repository(owner: ${JSON.stringify(r.owner)}, name: ${JSON.stringify(r.repo)}) {\n` +
+      r.issues.map((x) => `    ${x.alias}: issue(number: ${x.num}) { ...DfIssue }\n`).join('') +
+      '  }\n');
+    const query = 'query {\n' + parts.join('') + '}\n' +
+      'fragment DfIssue on Issue {\n' +
+      '  state updatedAt milestone { title }\n' +
+      '  labels(first: 100) { nodes { name color } }\n' +
+      '  assignees(first: 100) { nodes { login } }\n' +
+      '}';
+
+    // Missing issues come back as null nodes plus NOT_FOUND errors, which makes
+    // gh exit 1 — parse stdout whenever there is any.
+    const r = _runGh(['api', 'graphql', '-f', `query=${query}`]);
+    let data = null;
+    try {
+      data = JSON.parse(r.stdout).data || null;
+    } catch (_) {
+      data = null;
+    }
+
+    for (const repo of byRepo.values()) {
+      for (const x of repo.issues) {
+        if (!data) {
+          results[x.ref] = { error: r.stderr || 'gh api graphql failed', _ok: false };
+          continue;
+        }
+        const node = data[repo.alias] ? data[repo.alias][x.alias] : null;
+        results[x.ref] = node ? {
+          state: node.state,
+          labels: ((node.labels && node.labels.nodes) || []).map((l) => ({ name: l.name, color: l.color })),
+          assignees: ((node.assignees && node.assignees.nodes) || []).map((a) => ({ login: a.login })),
+          milestone: node.milestone ? { title: node.milestone.title } : null,
+          updatedAt: node.updatedAt,
+        } : null;
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * listGhIssuesSince(refs, since) — issues among `refs` that changed at or
+ * after `since` (ISO), via one paginated `issues?since=` listing per repo.
+ *
+ * Returns { changed: { [ref]: issue }, unchanged: ref[], failed: ref[] }.
+ * `unchanged` refs are known not to have been updated since the watermark;
+ * refs in a repo whose listing failed land in `failed` for a full fetch.
+ */
+function listGhIssuesSince(refs, since) {
+  const out = { changed: {}, unchanged: [], failed: [] };
+  const byRepo = new Map();
+  for (const ref of refs) {
+    const m = (ref || '').match(ISSUE_REF_RE);
+    if (!m) { out.failed.push(ref); continue; }
+    const key = `${m[1]}/${m[2]}`;
+    if (!byRepo.has(key)) byRepo.set(key, new Map());
+    byRepo.get(key).set(Number(m[3]), ref);
+  }
+
+  for (const [repo, wanted] of byRepo) {
+    const r = _runGh([
+      'api', '--paginate',
+      `repos/${repo}/issues?state=all&since=${encodeURIComponent(since)}&per_page=100`,
+      '--jq', '.[] | {number, state, updated_at, labels, assignees, milestone}',
+    ]);
+    let listed = null;
+    if (r.ok) {
+      try {
+        listed = r.stdout.split('\n').filter((l) => l.trim()).map((l) => JSON.parse(l));
+      } catch (_) {
+        listed = null;
+      }
+    }
+    if (!listed) {
+      out.failed.push(...wanted.values());
+      continue;
+    }
+    const seen = new Set();
+    for (const issue of listed) {
+      const ref = wanted.get(issue.number);
+      if (!ref) continue;
+      out.changed[ref] = _restIssueToGh(issue);
+      seen.add(ref);
+    }
+    for (const ref of wanted.values()) if (!seen.has(ref)) out.unchanged.push(ref);
+  }
+  return out;
+}
+
 // ─── normalizeGhIssue ────────────────────────────────────────────────────────
 
 /**
@@ -209,34 +413,48 @@ function applyDrift({ projectRoot, objectiveId, drift, ghIssue, hasLastSync = tr
   if (!hasLastSync && !drift.first_sync) {
     return {
       ok: false,
-      error: 'No prior sync state. Run `df-tools gh sync <objective>` first to establish baseline.',
+      error: 'No prior sync state. Run `df-tools pm sync <objective>` first to establish baseline.',
     };
   }
 
-  const objPath = path.join(projectRoot, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  const ghNorm = normalizeGhIssue(ghIssue);
+  const values = {};
+  for (const field of Object.keys(drift.fields)) values[field] = ghNorm[field];
+  return writeFrontmatterFields({ projectRoot, objectiveId, values });
+}
+
+/**
+ * writeFrontmatterFields({ projectRoot, objectiveId, values, filePath })
+ *
+ * Line-based frontmatter rewrite shared by applyDrift and conflict.applyResolution:
+ * replaces each `<field>: ...` line in place, appends absent fields.
+ * `filePath` targets another document (a TRD/JOB plan) instead of OBJECTIVE.md.
+ *
+ * Returns { ok, applied?, error? }
+ */
+function writeFrontmatterFields({ projectRoot, objectiveId, values, filePath = null }) {
+  const objPath = filePath || path.join(projectRoot, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  const name = path.basename(objPath);
   if (!fs.existsSync(objPath)) {
-    return { ok: false, error: `OBJECTIVE.md not found: ${objPath}` };
+    return { ok: false, error: `${name} not found: ${objPath}` };
   }
 
   const content = fs.readFileSync(objPath, 'utf-8');
-  const ghNorm = normalizeGhIssue(ghIssue);
-
   const fmMatch = content.match(/^---\n([\s\S]*?)\n---\n?/);
-  if (!fmMatch) return { ok: false, error: 'OBJECTIVE.md missing frontmatter block' };
+  if (!fmMatch) return { ok: false, error: `${name} missing frontmatter block` };
 
   let yamlBlock = fmMatch[1];
   const applied = {};
 
-  for (const field of Object.keys(drift.fields)) {
-    const ghVal = ghNorm[field];
-    const serialized = serializeYamlValue(ghVal);
+  for (const [field, value] of Object.entries(values)) {
+    const serialized = serializeYamlValue(value);
     const lineRe = new RegExp(`^${field}:.*$`, 'm');
     if (lineRe.test(yamlBlock)) {
       yamlBlock = yamlBlock.replace(lineRe, `${field}: ${serialized}`);
     } else {
       yamlBlock = yamlBlock + `\n${field}: ${serialized}`;
     }
-    applied[field] = ghVal;
+    applied[field] = value;
   }
 
   const newContent = content.replace(fmMatch[0], `---\n${yamlBlock}\n---\n`);
@@ -251,13 +469,125 @@ function serializeYamlValue(v) {
   return String(v);
 }
 
+// ─── Pull adapter (GitHub) ───────────────────────────────────────────────────
+
+/**
+ * Backend hooks used by cmdGhPull. lib/linear.cjs and lib/jira.cjs export
+ * their own `pullAdapter` with the same shape:
+ *
+ *   label                            — display name for messages ("GitHub")
+ *   requireAuth()                    — throws <Backend>AuthError on failure
+ *   issueRef(cwd, objectiveId)       — { ok: true, ref } | { ok: false, error? }
+ *   fetchIssue(ref, { etag })        — fetchGhIssue contract; may return
+ *                                      { not_modified: true } when `etag` still matches
+ *   pushObjective(cwd, id, raw)|null — push for --resolve=disk (null → gh.cmdGhSyncObjective)
+ *
+ * Optional, used by `pull --all` when present (else one fetchIssue per ref):
+ *   fetchIssues(refs)                — fetchGhIssuesBatch contract
+ *   listChangedSince(refs, since)    — listGhIssuesSince contract (--since)
+ *
+ * Optional, used by every pull when present:
+ *   pullSubIssues(cwd, id, { apply }) — gh-subissues.pullSubIssues contract
+ *                                      (TRD/JOB sub-issue drift; null when none)
+ */
+function _ghPullAdapter() {
+  return {
+    label: 'GitHub',
+    requireAuth() {
+      // Reuse auth from lib/gh.cjs
+      const { requireGhAuth, _setRunGh: ghSetRunGh } = require('./gh.cjs');
+      // Bridge the test injection: when gh-pull's _runGh is mocked, route gh.cjs through it too
+      ghSetRunGh(_runGh);
+      requireGhAuth(['repo']);
+    },
+    issueRef(cwd, objectiveId) {
+      // Read mapping (lib/gh.cjs reuses readMappingV2 in production; we use it here too)
+      const { readMappingV2 } = require('./gh.cjs');
+      const entry = readMappingV2(cwd).objectives[objectiveId];
+      if (!entry || !entry.issue_id) return { ok: false };
+
+      // Resolve issue ref: <repo>#<issue_id>
+      const p = path.join(cwd, '.planning', 'PROJECT.md');
+      const projectFm = fs.existsSync(p) ? (extractFrontmatter(fs.readFileSync(p, 'utf-8')) || {}) : {};
+      if (!projectFm.github_repo) {
+        return { ok: false, error: 'PROJECT.md missing github_repo; cannot construct issue ref.' };
+      }
+      return { ok: true, ref: `${projectFm.github_repo}#${entry.issue_id}` };
+    },
+    fetchIssue: (ref, opts) => fetchGhIssueConditional(ref, opts && opts.etag),
+    fetchIssues: (refs) => fetchGhIssuesBatch(refs),
+    listChangedSince: (refs, since) => listGhIssuesSince(refs, since),
+    pullSubIssues: (cwd, objectiveId, opts) =>
+      require('./gh-subissues.cjs').pullSubIssues(cwd, objectiveId, { ...opts, fetchIssues: fetchGhIssuesBatch }),
+    pushObjective: null,
+  };
+}
+
+// ─── Shared pull steps ───────────────────────────────────────────────────────
+
+/**
+ * Run the backend auth check. On <Backend>AuthError, prints the remediation
+ * JSON and exits 1 (returns false so callers can bail when exit is stubbed).
+ */
+function _requireBackendAuth(backend) {
+  try {
+    backend.requireAuth();
+    return true;
+  } catch (e) {
+    if (/AuthError$/.test(e.name || '')) {
+      process.stderr.write(JSON.stringify({
+        error: e.message,
+        remediation: e.remediation,
+        scopes_missing: e.scopes_missing,
+      }, null, 2) + '\n');
+      process.exit(1);
+      return false;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Record GH state as the new baseline after applyDrift wrote it to disk.
+ * Hash MUST be computed AFTER applyDrift so disk_fm reflects the post-write state.
+ */
+function _recordPulled(cwd, objectiveId, issueRef, ghIssue) {
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  const ghNorm = normalizeGhIssue(ghIssue);
+  const updatedDiskFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  recordSync(cwd, objectiveId, {
+    issue_ref: issueRef,
+    // The etag must describe the same snapshot as gh_updated_at. Batch and
+    // --since pulls carry none, so the baseline gets null and the next single
+    // pull fetches unconditionally rather than sending a stale If-None-Match.
+    etag: ghIssue.etag || null,
+    gh_updated_at: ghIssue.updatedAt,
+    label_set: ghNorm.labels,
+    assignees: ghNorm.assignees,
+    milestone: ghNorm.milestone,
+    status: ghNorm.status,
+    last_synced_at: new Date().toISOString(),
+    last_synced_disk_hash: hashFrontmatter(updatedDiskFm),
+  });
+}
+
+/** Drop the objective's webhook inbox entry once a pull has settled it. */
+function _clearInbox(cwd, objectiveId) {
+  require('./gh-webhook.cjs').removeInboxEntries(cwd, [objectiveId]);
+}
+
 // ─── cmdGhPull (CLI orchestrator) ────────────────────────────────────────────
 
 /**
- * cmdGhPull(cwd, args, raw) — CLI entry point.
- * Usage: df-tools gh pull <objective> [--apply] [--raw]
+ * cmdGhPull(cwd, args, raw, adapter) — CLI entry point.
+ * Usage: df-tools pm pull <objective> [--apply] [--raw]
+ *
+ * `adapter` defaults to GitHub; `df-tools pm pull` passes the configured
+ * backend's pullAdapter.
  */
-function cmdGhPull(cwd, args, raw) {
+function cmdGhPull(cwd, args, raw, adapter) {
+  const backend = adapter || _ghPullAdapter();
+  const label = backend.label;
   const objectiveId = args.find((a) => !a.startsWith('--'));
   const apply = args.includes('--apply');
 
@@ -278,63 +608,52 @@ function cmdGhPull(cwd, args, raw) {
     return;
   }
 
+  if (args.includes('--all') || args.includes('--inbox')) {
+    cmdGhPullAll(cwd, args, raw, backend, resolveValue);
+    return;
+  }
+
   if (!objectiveId) {
-    process.stderr.write('Usage: df-tools gh pull <objective> [--apply] [--resolve=disk|gh|merge] [--resolved]\n');
+    process.stderr.write('Usage: df-tools pm pull <objective> [--apply] [--resolve=disk|gh|merge] [--resolved]\n' +
+      '       df-tools pm pull --all [--apply] [--policy=<file|spec>] [--interactive] [--resolve=disk|gh] [--since[=<iso>]]\n' +
+      '       df-tools pm pull --inbox [--apply]   (objectives queued by the webhook receiver)\n');
     process.exit(1);
     return;
   }
 
-  // Reuse auth from lib/gh.cjs
-  const { requireGhAuth, _setRunGh: ghSetRunGh } = require('./gh.cjs');
-  // Bridge the test injection: when gh-pull's _runGh is mocked, route gh.cjs through it too
-  const runGhBridge = _runGh;
-  ghSetRunGh(runGhBridge);
-  try {
-    requireGhAuth(['repo']);
-  } catch (e) {
-    if (e.name === 'GhAuthError') {
-      process.stderr.write(JSON.stringify({
-        error: e.message,
-        remediation: e.remediation,
-        scopes_missing: e.scopes_missing,
-      }, null, 2) + '\n');
-      process.exit(1);
-      return;
-    }
-    throw e;
-  }
+  if (!_requireBackendAuth(backend)) return;
 
-  // Read mapping (lib/gh.cjs reuses readMappingV2 in production; we use it here too)
-  const { readMappingV2 } = require('./gh.cjs');
-  const mapping = readMappingV2(cwd);
-  const entry = mapping.objectives[objectiveId];
-  if (!entry || !entry.issue_id) {
-    const msg = `Objective ${objectiveId} has no GitHub issue. Run \`df-tools gh sync-objectives\` to create one before pulling.`;
+  const refResult = backend.issueRef(cwd, objectiveId);
+  if (!refResult.ok) {
+    const msg = refResult.error ||
+      `Objective ${objectiveId} has no ${label} issue. Run \`df-tools pm sync-objectives\` to create one before pulling.`;
     _emit({ ok: false, error: msg }, msg + '\n', raw, 1);
     return;
   }
+  const issueRef = refResult.ref;
 
-  // Resolve issue ref: <repo>#<issue_id>
-  const projectFm = (() => {
-    const p = path.join(cwd, '.planning', 'PROJECT.md');
-    if (!fs.existsSync(p)) return {};
-    return extractFrontmatter(fs.readFileSync(p, 'utf-8')) || {};
-  })();
-  if (!projectFm.github_repo) {
-    const msg = 'PROJECT.md missing github_repo; cannot construct issue ref.';
-    _emit({ ok: false, error: msg }, msg + '\n', raw, 1);
-    return;
-  }
-  const issueRef = `${projectFm.github_repo}#${entry.issue_id}`;
+  // TRD/JOB sub-issues (gh-subissues.cjs) are issues of their own: they are
+  // compared on every pull, whatever the objective issue turns out to be.
+  const subIssues = backend.pullSubIssues ? backend.pullSubIssues(cwd, objectiveId, { apply }) : null;
+  const emit = (payload, prose, rawOut, exitCode) => {
+    if (!subIssues) return _emit(payload, prose, rawOut, exitCode);
+    const subProse = require('./gh-subissues.cjs').formatSubIssuesPretty(subIssues);
+    const head = prose && !prose.endsWith('\n') ? prose + '\n' : prose;
+    return _emit({ ...payload, sub_issues: subIssues }, head + subProse, rawOut, exitCode);
+  };
 
-  const ghIssue = fetchGhIssue(issueRef);
+  // Read last sync state via sync-state.cjs (TRD 21-02). Its etag belongs to
+  // the same GH snapshot as gh_updated_at, so a 304 means GH is unchanged.
+  const last_sync_state = getLastSync(cwd, objectiveId);
+
+  const ghIssue = backend.fetchIssue(issueRef, { etag: last_sync_state ? last_sync_state.etag : null });
   if (ghIssue === null) {
-    const msg = `Issue ${issueRef} not found on GitHub`;
-    _emit({ ok: false, error: msg }, msg + '\n', raw, 1);
+    const msg = `Issue ${issueRef} not found on ${label}`;
+    emit({ ok: false, error: msg }, msg + '\n', raw, 1);
     return;
   }
   if (ghIssue && ghIssue._ok === false) {
-    _emit({ ok: false, error: ghIssue.error }, ghIssue.error + '\n', raw, 1);
+    emit({ ok: false, error: ghIssue.error }, ghIssue.error + '\n', raw, 1);
     return;
   }
 
@@ -342,22 +661,20 @@ function cmdGhPull(cwd, args, raw) {
   const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
   if (!fs.existsSync(objPath)) {
     const msg = `OBJECTIVE.md not found: ${objPath}`;
-    _emit({ ok: false, error: msg }, msg + '\n', raw, 1);
+    emit({ ok: false, error: msg }, msg + '\n', raw, 1);
     return;
   }
   const disk_fm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
 
-  // Read last sync state via sync-state.cjs (TRD 21-02)
-  const last_sync_state = getLastSync(cwd, objectiveId);
-
   // ── TRD 21-03: --resolve=merge --resolved continuation path ──
   // When user is completing a previously-surfaced conflict via merge, dispatch BEFORE
   // the conflict detector runs (their edits may have removed the conflict; we still
   // honor their resolution intent based on pending_resolution.disk_hash_at_conflict).
   if (resolveValue === 'merge' && resolved && last_sync_state && last_sync_state.pending_resolution) {
     const r = conflictMod.resolveMerge({ cwd, objectiveId, currentDiskFm: disk_fm });
-    if (!r.ok) { _emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
-    _emit(
+    if (!r.ok) { emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
+    _clearInbox(cwd, objectiveId);
+    emit(
       { ok: true, action: 'merged', resolution: 'merge', message: r.message },
       r.message + '\n',
       raw,
@@ -366,6 +683,18 @@ function cmdGhPull(cwd, args, raw) {
     return;
   }
 
+  // 304: GH unchanged since the baseline — no conflict and no inbound drift.
+  if (ghIssue.not_modified) {
+    _clearInbox(cwd, objectiveId);
+    emit(
+      { ok: true, drift: false, not_modified: true, message: `No drift; planning state matches ${label}.` },
+      `No drift; planning state matches ${label}.\n`,
+      raw,
+      0
+    );
+    return;
+  }
+
   // ── TRD 21-03: conflict detection runs BEFORE drift logic ──
   if (last_sync_state) {
     const currentDiskHash = hashFrontmatter(disk_fm);
@@ -384,21 +713,26 @@ function cmdGhPull(cwd, args, raw) {
         // Real per-field conflict on at least one field. Dispatch on --resolve flag.
 
         if (resolveValue === 'disk') {
-          const r = conflictMod.resolveDisk({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm: disk_fm });
-          if (!r.ok) { _emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
-          _emit({ ok: true, action: 'pushed', resolution: 'disk' }, 'Pushed disk state to GitHub.\n', raw, 0);
+          const r = conflictMod.resolveDisk({
+            cwd, objectiveId, issueRef, ghIssue, currentDiskFm: disk_fm, pushObjective: backend.pushObjective,
+          });
+          if (!r.ok) { emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
+          _clearInbox(cwd, objectiveId);
+          emit({ ok: true, action: 'pushed', resolution: 'disk' }, `Pushed disk state to ${label}.\n`, raw, 0);
           return;
         }
         if (resolveValue === 'gh') {
           const r = conflictMod.resolveGh({ cwd, objectiveId, issueRef, ghIssue, currentDiskFm: disk_fm });
-          if (!r.ok) { _emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
-          _emit({ ok: true, action: 'pulled', resolution: 'gh', applied: r.applied }, 'Applied GitHub state to disk.\n', raw, 0);
+          if (!r.ok) { emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
+          _clearInbox(cwd, objectiveId);
+          emit({ ok: true, action: 'pulled', resolution: 'gh', applied: r.applied }, `Applied ${label} state to disk.\n`, raw, 0);
           return;
         }
         if (resolveValue === 'merge' && resolved) {
           const r = conflictMod.resolveMerge({ cwd, objectiveId, currentDiskFm: disk_fm });
-          if (!r.ok) { _emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
-          _emit(
+          if (!r.ok) { emit({ ok: false, error: r.error }, r.error + '\n', raw, 1); return; }
+          _clearInbox(cwd, objectiveId);
+          emit(
             { ok: true, action: 'merged', resolution: 'merge', message: r.message },
             r.message + '\n',
             raw,
@@ -427,7 +761,7 @@ function cmdGhPull(cwd, args, raw) {
           ? '\n\nNext: edit OBJECTIVE.md to merge changes, then re-run with --resolve=merge --resolved.\n'
           : '\n';
         process.stderr.write(diffStr + proseTail);
-        _emit(
+        emit(
           {
             ok: false,
             conflict: true,
@@ -449,9 +783,10 @@ function cmdGhPull(cwd, args, raw) {
   const drift = detectDrift({ disk_fm, gh_state: ghIssue, last_sync_state });
 
   if (!drift.drift) {
-    _emit(
-      { ok: true, drift: false, message: 'No drift; planning state matches GitHub.' },
-      'No drift; planning state matches GitHub.\n',
+    _clearInbox(cwd, objectiveId);
+    emit(
+      { ok: true, drift: false, message: `No drift; planning state matches ${label}.` },
+      `No drift; planning state matches ${label}.\n`,
       raw,
       0
     );
@@ -461,7 +796,7 @@ function cmdGhPull(cwd, args, raw) {
   if (apply) {
     if (drift.conflict_suspected) {
       const msg = 'Both sides changed. Re-run with --resolve=disk|gh|merge (TRD 21-03).';
-      _emit(
+      emit(
         { ok: false, drift: true, conflict_suspected: true, fields: drift.fields, hint: msg },
         msg + '\n',
         raw,
@@ -477,27 +812,15 @@ function cmdGhPull(cwd, args, raw) {
       hasLastSync: last_sync_state != null,
     });
     if (!applyResult.ok) {
-      _emit({ ok: false, error: applyResult.error }, applyResult.error + '\n', raw, 1);
+      emit({ ok: false, error: applyResult.error }, applyResult.error + '\n', raw, 1);
       return;
     }
 
     // After successful disk write, record the new sync state (TRD 21-02 wiring).
-    // Hash MUST be computed AFTER applyDrift so disk_fm reflects the post-write state.
-    const ghNorm = normalizeGhIssue(ghIssue);
-    const updatedDiskFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
-    recordSync(cwd, objectiveId, {
-      issue_ref: issueRef,
-      etag: null,
-      gh_updated_at: ghIssue.updatedAt,
-      label_set: ghNorm.labels,
-      assignees: ghNorm.assignees,
-      milestone: ghNorm.milestone,
-      status: ghNorm.status,
-      last_synced_at: new Date().toISOString(),
-      last_synced_disk_hash: hashFrontmatter(updatedDiskFm),
-    });
+    _recordPulled(cwd, objectiveId, issueRef, ghIssue);
+    _clearInbox(cwd, objectiveId);
 
-    _emit(
+    emit(
       { ok: true, drift: true, applied: applyResult.applied },
       `Applied ${Object.keys(applyResult.applied).length} field changes to OBJECTIVE.md.\n`,
       raw,
@@ -507,7 +830,7 @@ function cmdGhPull(cwd, args, raw) {
   }
 
   // Report-only mode
-  _emit(
+  emit(
     {
       ok: true,
       drift: true,
@@ -521,6 +844,414 @@ function cmdGhPull(cwd, args, raw) {
   );
 }
 
+// ─── pull --all (batch) ──────────────────────────────────────────────────────
+
+/**
+ * Read one line from stdin fd 0 synchronously (same approach as
+ * roadmap-reconcile-cli). Only used when process.stdin.isTTY is true.
+ */
+function _readlineSync() {
+  const buf = Buffer.alloc(1);
+  let out = '';
+  try {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const n = fs.readSync(0, buf, 0, 1);
+      if (n === 0) break;
+      if (buf[0] === 0x0a) break; // newline
+      out += String.fromCharCode(buf[0]);
+    }
+  } catch {
+    // stdin closed or not readable — return empty
+  }
+  return out.trim();
+}
+let _askLine = _readlineSync;
+function _setAskLine(fn) { _askLine = (fn != null) ? fn : _readlineSync; }
+
+const PROMPT_CHOICES = { d: 'disk-wins', g: 'gh-wins', u: 'union', s: 'manual' };
+
+/** Ask which side wins one conflicting field. Returns a policy strategy. */
+function _promptField(objectiveId, field, vals) {
+  const canUnion = Array.isArray(vals.disk) || Array.isArray(vals.gh);
+  process.stderr.write(`\n${objectiveId} — ${field}:\n`);
+  process.stderr.write(`  disk:  ${JSON.stringify(vals.disk)}\n`);
+  process.stderr.write(`  gh:    ${JSON.stringify(vals.gh)}\n`);
+  process.stderr.write(`  last:  ${JSON.stringify(vals.last)}\n`);
+  process.stderr.write(`Keep [d]isk, [g]h${canUnion ? ', [u]nion' : ''} or [s]kip? `);
+  const choice = PROMPT_CHOICES[String(_askLine() || '').trim().toLowerCase().charAt(0)];
+  if (choice === 'union' && !canUnion) return 'manual';
+  return choice || 'manual';
+}
+
+/**
+ * Resolve the batch policy: --policy=<file|inline spec>, else config.json
+ * pm.pull_policy, else all-manual. --resolve=disk|gh sets the default.
+ */
+function _loadPolicy(cwd, args, resolveValue) {
+  const flag = args.find((a) => a.startsWith('--policy='));
+  let spec = null;
+  if (flag) {
+    const value = flag.slice('--policy='.length);
+    const p = path.resolve(cwd, value);
+    if (fs.existsSync(p) && fs.statSync(p).isFile()) {
+      try {
+        spec = JSON.parse(fs.readFileSync(p, 'utf-8'));
+      } catch (e) {
+        return { ok: false, error: `Policy file ${value} is not valid JSON: ${e.message}` };
+      }
+    } else {
+      spec = value;
+    }
+  } else {
+    const cfgPath = path.join(cwd, '.planning', 'config.json');
+    try {
+      const cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf-8'));
+      spec = (cfg.pm && cfg.pm.pull_policy) || null;
+    } catch (_) {
+      spec = null;
+    }
+  }
+  const parsed = conflictMod.parsePolicy(spec);
+  if (!parsed.ok) return parsed;
+  if (resolveValue === 'disk') parsed.policy.default = 'disk-wins';
+  if (resolveValue === 'gh') parsed.policy.default = 'gh-wins';
+  return parsed;
+}
+
+/**
+ * Objectives to walk: every record in .gh-sync-state.json, keyed by objective
+ * directory. Records keyed by bare number (sync-objectives) map to their
+ * directory; a record keyed by the directory itself wins.
+ */
+function _batchTargets(cwd) {
+  const { _findObjectiveDir } = require('./gh.cjs');
+  const byDir = new Map();
+  for (const [key, record] of Object.entries(readSyncState(cwd).objectives)) {
+    const direct = fs.existsSync(path.join(cwd, '.planning', 'objectives', key, 'OBJECTIVE.md'));
+    const dir = direct ? key : (_findObjectiveDir(cwd, key) || key);
+    if (byDir.has(dir) && !direct) continue;
+    byDir.set(dir, { objectiveId: dir, record });
+  }
+  return [...byDir.values()]
+    .sort((a, b) => a.objectiveId.localeCompare(b.objectiveId, undefined, { numeric: true }));
+}
+
+/**
+ * --since default: the oldest gh_updated_at among the targets. Every issue
+ * still at its baseline was updated at or after it, so an issue the listing
+ * leaves out cannot have changed since its own baseline.
+ */
+function _defaultWatermark(targets) {
+  const stamps = targets
+    .map((t) => t.record.gh_updated_at)
+    .filter((v) => v && !Number.isNaN(Date.parse(v)))
+    .sort((a, b) => Date.parse(a) - Date.parse(b));
+  return stamps.length > 0 ? new Date(Date.parse(stamps[0])).toISOString() : null;
+}
+
+/**
+ * Fetch every target's issue up front so `pull --all` costs O(changed)
+ * requests rather than one per objective:
+ *   1. --since: one listing per repo; unlisted issues are skipped unfetched
+ *   2. fetchIssues: one batch query for whatever is left
+ * Refs the batch could not fetch are left out, and _pullOne falls back to a
+ * per-issue conditional fetch for them.
+ *
+ * Returns { fetched: { [ref]: issue|null }, unchanged: Set<ref> }.
+ */
+function _prefetchIssues(targets, backend, since) {
+  const refs = targets.map((t) => t.record.issue_ref).filter(Boolean);
+  const fetched = {};
+  const unchanged = new Set();
+  let pending = refs;
+
+  if (since && backend.listChangedSince) {
+    const listed = backend.listChangedSince(refs, since);
+    Object.assign(fetched, listed.changed);
+    for (const ref of listed.unchanged) unchanged.add(ref);
+    pending = listed.failed;
+  }
+  if (backend.fetchIssues && pending.length > 0) {
+    for (const [ref, issue] of Object.entries(backend.fetchIssues(pending))) {
+      if (issue && issue._ok === false) continue;
+      fetched[ref] = issue;
+    }
+  }
+  return { fetched, unchanged };
+}
+
+/**
+ * Pull one objective for --all. Same classification as the single-objective
+ * path (conflict check first, then drift), but conflicts are settled by the
+ * policy / prompt instead of --resolve. Never exits; returns a report entry.
+ */
+function _pullOne({ cwd, objectiveId, record, backend, policy, apply, prompt, prefetched, since }) {
+  const issueRef = record.issue_ref;
+  const entry = { objective: objectiveId, issue_ref: issueRef || null };
+  if (!issueRef) return { ...entry, state: 'error', error: 'sync state has no issue_ref' };
+
+  if (prefetched && prefetched.unchanged.has(issueRef)) {
+    return { ...entry, state: 'in_sync', action: 'none', unchanged_since: since };
+  }
+  const ghIssue = (prefetched && Object.prototype.hasOwnProperty.call(prefetched.fetched, issueRef))
+    ? prefetched.fetched[issueRef]
+    : backend.fetchIssue(issueRef, { etag: record.etag || null });
+  if (ghIssue === null) return { ...entry, state: 'error', error: `Issue ${issueRef} not found on ${backend.label}` };
+  if (ghIssue._ok === false) return { ...entry, state: 'error', error: ghIssue.error };
+  if (ghIssue.not_modified) return { ...entry, state: 'in_sync', action: 'none' };
+
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) return { ...entry, state: 'error', error: `OBJECTIVE.md not found: ${objPath}` };
+  const disk_fm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+
+  const currentDiskHash = hashFrontmatter(disk_fm);
+  const diskChanged = currentDiskHash !== record.last_synced_disk_hash;
+  const ghChanged = ghIssue.updatedAt !== record.gh_updated_at;
+
+  if (diskChanged && ghChanged) {
+    const plan = conflictMod.planResolution({
+      disk_fm,
+      gh_norm: normalizeGhIssue(ghIssue),
+      last_sync: record,
+      policy,
+    });
+    if (plan.conflict) {
+      if (prompt) {
+        for (const [field, vals] of Object.entries(plan.unresolved)) {
+          const strategy = prompt(objectiveId, field, vals);
+          const r = conflictMod.resolveField(field, vals, strategy);
+          if (!r.ok) continue;
+          plan.values[field] = r.value;
+          plan.decisions[field] = strategy;
+          delete plan.unresolved[field];
+        }
+      }
+      const conflictEntry = {
+        ...entry,
+        state: 'conflict',
+        conflicting_fields: plan.conflicting_fields,
+        decisions: plan.decisions,
+        values: plan.values,
+        unresolved: plan.unresolved,
+      };
+
+      if (Object.keys(plan.unresolved).length > 0) {
+        // Same bookkeeping as the single-objective path, so
+        // `pull <objective> --resolve=merge --resolved` works afterwards.
+        recordSync(cwd, objectiveId, {
+          ...record,
+          pending_resolution: {
+            disk_hash_at_conflict: currentDiskHash,
+            surfaced_at: new Date().toISOString(),
+          },
+        });
+        return { ...conflictEntry, action: 'unresolved' };
+      }
+      if (!apply) return { ...conflictEntry, action: 'planned' };
+
+      const r = conflictMod.applyResolution({
+        cwd, objectiveId, issueRef, ghIssue, currentDiskFm: disk_fm, values: plan.values,
+        pushObjective: backend.pushObjective,
+      });
+      if (!r.ok) return { ...conflictEntry, action: 'failed', error: r.error };
+      return { ...conflictEntry, action: r.action };
+    }
+  }
+
+  const drift = detectDrift({ disk_fm, gh_state: ghIssue, last_sync_state: record });
+  if (!drift.drift) return { ...entry, state: 'in_sync', action: 'none' };
+
+  const driftEntry = { ...entry, state: 'drift', fields: drift.fields };
+  if (!apply) return { ...driftEntry, action: 'planned' };
+  const applyResult = applyDrift({ projectRoot: cwd, objectiveId, drift, ghIssue, hasLastSync: true });
+  if (!applyResult.ok) return { ...driftEntry, action: 'failed', error: applyResult.error };
+  _recordPulled(cwd, objectiveId, issueRef, ghIssue);
+  return { ...driftEntry, action: 'applied' };
+}
+
+/**
+ * cmdGhPullAll — `pm pull --all`: walk every synced objective, print one
+ * combined drift/conflict report, and (with --apply or --interactive) resolve
+ * everything in one pass. Exits 1 when any objective errored or a conflict
+ * stayed unresolved.
+ */
+function cmdGhPullAll(cwd, args, raw, backend, resolveValue) {
+  if (resolveValue === 'merge') {
+    const msg = '--resolve=merge is per objective; run `df-tools pm pull <objective> --resolve=merge`.';
+    _emit({ ok: false, error: msg }, msg + '\n', raw, 1);
+    return;
+  }
+  const interactive = args.includes('--interactive');
+  const apply = args.includes('--apply') || interactive;
+
+  const sinceFlag = args.find((a) => a === '--since' || a.startsWith('--since='));
+  const sinceValue = sinceFlag && sinceFlag.includes('=') ? sinceFlag.slice('--since='.length) : null;
+  if (sinceValue !== null && Number.isNaN(Date.parse(sinceValue))) {
+    const msg = `Invalid --since value: ${sinceValue}. Use an ISO 8601 timestamp.`;
+    _emit({ ok: false, error: msg }, msg + '\n', raw, 1);
+    return;
+  }
+
+  const policyResult = _loadPolicy(cwd, args, resolveValue);
+  if (!policyResult.ok) {
+    _emit({ ok: false, error: policyResult.error }, policyResult.error + '\n', raw, 1);
+    return;
+  }
+
+  let prompt = null;
+  if (interactive) {
+    if (_askLine === _readlineSync && !process.stdin.isTTY) {
+      process.stderr.write('Warning: --interactive needs a TTY; conflicts the policy does not settle stay pending.\n');
+    } else {
+      prompt = _promptField;
+    }
+  }
+
+  if (!_requireBackendAuth(backend)) return;
+
+  const useInbox = args.includes('--inbox');
+  let targets = _batchTargets(cwd);
+  if (useInbox) {
+    const queued = new Set(require('./gh-webhook.cjs').readInbox(cwd).map((e) => e.objective));
+    targets = targets.filter((t) => queued.has(t.objectiveId));
+  }
+  let since = null;
+  if (sinceFlag) {
+    if (backend.listChangedSince) {
+      since = sinceValue ? new Date(Date.parse(sinceValue)).toISOString() : _defaultWatermark(targets);
+    } else {
+      process.stderr.write(`Warning: --since is not supported by the ${backend.label} backend; fetching every issue.\n`);
+    }
+  }
+
+  const { results, summary } = _runBatch({
+    cwd, targets, backend, policy: policyResult.policy, apply, prompt, since, useInbox,
+  });
+
+  for (const r of results.filter((x) => x.action === 'unresolved')) {
+    process.stderr.write(conflictMod.formatThreeWayDiff({
+      objectiveId: r.objective,
+      issueRef: r.issue_ref,
+      conflicting_fields: r.unresolved,
+    }) + '\n\n');
+  }
+
+  const failed = summary.errors > 0 || summary.unresolved > 0;
+  _emit(
+    { ok: !failed, all: !useInbox, inbox: useInbox, applied: apply, since, summary, objectives: results },
+    formatBatchPretty(results, summary, backend.label, useInbox),
+    raw,
+    failed ? 1 : 0
+  );
+}
+
+/**
+ * Pull every target and clear the webhook inbox (gh-webhook.cjs) for the
+ * objectives that ended settled. With `useInbox`, issue state delivered by the
+ * webhook stands in for a fetch (refetch-only entries are still fetched).
+ */
+function _runBatch({ cwd, targets, backend, policy, apply, prompt, since, useInbox }) {
+  const inbox = require('./gh-webhook.cjs');
+  const prefetched = _prefetchIssues(useInbox ? [] : targets, backend, since);
+  if (useInbox) {
+    const records = new Map(targets.map((t) => [t.objectiveId, t.record]));
+    for (const e of inbox.readInbox(cwd)) {
+      const record = records.get(e.objective);
+      if (!record || !e.gh_issue) continue;
+      // Older than the baseline (already pulled some other way) → refetch instead.
+      if (Date.parse(e.gh_issue.updatedAt) < Date.parse(record.gh_updated_at)) continue;
+      prefetched.fetched[record.issue_ref] = e.gh_issue;
+    }
+  }
+
+  const results = targets.map((t) => {
+    const r = _pullOne({ cwd, ...t, backend, policy, apply, prompt, prefetched, since });
+    const subIssues = backend.pullSubIssues ? backend.pullSubIssues(cwd, t.objectiveId, { apply }) : null;
+    return subIssues && subIssues.length > 0 ? { ...r, sub_issues: subIssues } : r;
+  });
+
+  const settled = results
+    .filter((r) => r.state === 'in_sync' || ['applied', 'pulled', 'pushed'].includes(r.action))
+    .map((r) => r.objective);
+  if (settled.length > 0) inbox.removeInboxEntries(cwd, settled);
+
+  const count = (fn) => results.filter(fn).length;
+  const summary = {
+    total: results.length,
+    in_sync: count((r) => r.state === 'in_sync'),
+    drift: count((r) => r.state === 'drift'),
+    conflict: count((r) => r.state === 'conflict'),
+    unresolved: count((r) => r.action === 'unresolved'),
+    errors: count((r) => r.state === 'error' || r.action === 'failed'),
+  };
+  return { results, summary };
+}
+
+/**
+ * pullInbox(cwd, { objectiveIds, apply, backend }) — `pull --inbox` without
+ * the CLI: used by the webhook receiver right after a delivery is queued.
+ * Conflicts are settled by config pm.pull_policy only (no prompts). The
+ * caller is responsible for auth.
+ *
+ * Returns { results, summary } (cmdGhPullAll entry shape).
+ */
+function pullInbox(cwd, { objectiveIds = null, apply = true, backend = _ghPullAdapter() } = {}) {
+  const policyResult = _loadPolicy(cwd, [], null);
+  const policy = policyResult.ok ? policyResult.policy : { default: 'manual', fields: {} };
+  const queued = new Set(require('./gh-webhook.cjs').readInbox(cwd).map((e) => e.objective));
+  const wanted = objectiveIds ? new Set(objectiveIds) : null;
+  const targets = _batchTargets(cwd).filter((t) => queued.has(t.objectiveId) && (!wanted || wanted.has(t.objectiveId)));
+  return _runBatch({ cwd, targets, backend, policy, apply, prompt: null, since: null, useInbox: true });
+}
+
+const BATCH_ACTION_TEXT = {
+  planned: 'planned (re-run with --apply)',
+  applied: 'applied to disk',
+  pulled: 'applied to disk',
+  pushed: 'pushed merged state',
+  unresolved: 'unresolved',
+};
+
+function formatBatchPretty(results, summary, label, inbox = false) {
+  const lines = [];
+  if (summary.total === 0) {
+    lines.push(inbox
+      ? 'Webhook inbox is empty; nothing to pull.'
+      : 'No synced objectives in .gh-sync-state.json. Run `df-tools pm sync-objectives` first.');
+    return lines.join('\n') + '\n';
+  }
+  lines.push(
+    `Pulled ${summary.total} objectives from ${label}: ${summary.in_sync} in sync, ${summary.drift} drift, ` +
+    `${summary.conflict} conflict (${summary.unresolved} unresolved), ${summary.errors} errors`
+  );
+  const width = Math.max(...results.map((r) => r.objective.length));
+  for (const r of results) {
+    const head = `  ${r.objective.padEnd(width)}  ${r.issue_ref || '-'}  `;
+    if (r.state === 'error') {
+      lines.push(`${head}error: ${r.error}`);
+    } else if (r.state === 'in_sync') {
+      lines.push(r.unchanged_since ? `${head}in sync (unchanged since ${r.unchanged_since})` : `${head}in sync`);
+    } else {
+      const fields = r.state === 'drift'
+        ? Object.keys(r.fields).join(', ')
+        : Object.keys(r.values).concat(Object.keys(r.unresolved))
+          .map((f) => (r.decisions[f] ? `${f}=${r.decisions[f]}` : f)).join(', ');
+      const tail = r.action === 'failed' ? `failed: ${r.error}` : BATCH_ACTION_TEXT[r.action];
+      lines.push(`${head}${r.state}: ${fields} → ${tail}`);
+    }
+    if (r.sub_issues) {
+      lines.push(require('./gh-subissues.cjs').formatSubIssuesPretty(r.sub_issues, '    ').trimEnd());
+    }
+  }
+  if (summary.unresolved > 0) {
+    lines.push('');
+    lines.push('Unresolved conflicts: add rules with --policy="<field>: disk-wins|gh-wins|union", use --interactive,');
+    lines.push('or resolve one objective with `df-tools pm pull <objective> --resolve=disk|gh|merge`.');
+  }
+  return lines.join('\n') + '\n';
+}
+
 function formatDriftPretty(drift) {
   const lines = [];
   if (drift.first_sync) lines.push('First-time pull (no prior sync state):');
@@ -537,11 +1268,20 @@ function formatDriftPretty(drift) {
 
 module.exports = {
   fetchGhIssue,
+  fetchGhIssueConditional,
+  fetchGhIssuesBatch,
+  listGhIssuesSince,
   detectDrift,
   applyDrift,
+  writeFrontmatterFields,
   cmdGhPull,
+  cmdGhPullAll,
+  pullInbox,
   normalizeGhIssue,
   shallowEqual,
   _setRunGh,
+  _setAskLine,
+  _restIssueToGh,
+  _batchTargets,
   TRACKED_FIELDS,
 };
@@ -28,6 +28,19 @@
 //   C5: GH changed, --apply, no conflict → writes OBJECTIVE.md, exits 0
 //   C6: GH issue not found (404) → exits 1
 //   C7: --raw flag emits JSON output
+//
+// Incremental fetch (conditional / batch / --since):
+//   I1: conditional fetch sends If-None-Match; 304 → { not_modified: true }
+//   I2: conditional 200 → fetchGhIssue shape plus the response etag
+//   I3: non-HTTP output falls back to `gh issue view`
+//   I4: batch fetch → one GraphQL query across repos; missing issue → null
+//   I5: listGhIssuesSince splits changed / unchanged; failed listing → failed
+//   I6: pull with a stored etag + 304 → no drift, no issue refetch
+//   I7: pull --apply records the response etag with the new baseline
+//   I8: pull --all → one GraphQL query for every objective
+//   I9: pull --all --since → unlisted issues skipped; watermark = oldest gh_updated_at
+//   I10: invalid --since value → exits 1
+//   I11: batch pull --apply clears the stored etag (new snapshot has none); the next single pull is unconditional
 
 const { test, describe, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
@@ -257,26 +270,26 @@ describe('applyDrift', () => {
   });
 });
 
-describe('cmdGhPull (CLI orchestrator)', () => {
-  // Capture stdout/stderr + process.exit for CLI tests
-  function captureRun(fn) {
-    const origStdout = process.stdout.write.bind(process.stdout);
-    const origStderr = process.stderr.write.bind(process.stderr);
-    const origExit = process.exit;
-    let stdout = '', stderr = '', exitCode = null;
-    process.stdout.write = (chunk) => { stdout += chunk; return true; };
-    process.stderr.write = (chunk) => { stderr += chunk; return true; };
-    process.exit = (code) => { exitCode = code; throw new Error('__exit__'); };
-    try {
-      try { fn(); } catch (e) { if (e.message !== '__exit__') throw e; }
-    } finally {
-      process.stdout.write = origStdout;
-      process.stderr.write = origStderr;
-      process.exit = origExit;
-    }
-    return { stdout, stderr, exitCode };
+// Capture stdout/stderr + process.exit for CLI tests
+function captureRun(fn) {
+  const origStdout = process.stdout.write.bind(process.stdout);
+  const origStderr = process.stderr.write.bind(process.stderr);
+  const origExit = process.exit;
+  let stdout = '', stderr = '', exitCode = null;
+  process.stdout.write = (chunk) => { stdout += chunk; return true; };
+  process.stderr.write = (chunk) => { stderr += chunk; return true; };
+  process.exit = (code) => { exitCode = code; throw new Error('__exit__'); };
+  try {
+    try { fn(); } catch (e) { if (e.message !== '__exit__') throw e; }
+  } finally {
+    process.stdout.write = origStdout;
+    process.stderr.write = origStderr;
+    process.exit = origExit;
   }
+  return { stdout, stderr, exitCode };
+}
 
+describe('cmdGhPull (CLI orchestrator)', () => {
   test('C1: no objective → exits 1 with usage message', () => {
     const project = fx.buildTempProject({ objectiveId: '01-foo' });
     try {
@@ -435,3 +448,284 @@ describe('cmdGhPull (CLI orchestrator)', () => {
     } finally { project.cleanup(); }
   });
 });
+
+describe('incremental fetch (conditional / batch / --since)', () => {
+  const REPO = 'AO-Cyber-Systems/devflow-claude';
+  const AUTH_OK = { ok: true, status: 0, stdout: "  - Token scopes: 'repo'", stderr: '' };
+
+  function restIssue({ number = 11, state = 'open', updated_at = '2026-05-05T12:00:00Z', labels = ['devflow:objective'] } = {}) {
+    return {
+      number,
+      state,
+      updated_at,
+      labels: labels.map((name) => ({ name, color: '0e8a16' })),
+      assignees: [],
+      milestone: null,
+    };
+  }
+
+  function httpResponse(status, body, etag) {
+    const head = [`HTTP/2.0 ${status} ${status === 200 ? 'OK' : 'Not Modified'}`, 'Content-Type: application/json'];
+    if (etag) head.push(`Etag: ${etag}`);
+    return { ok: status === 200, status: status === 200 ? 0 : 1, stdout: head.join('\r\n') + '\r\n\r\n' + (body ? JSON.stringify(body) : ''), stderr: '' };
+  }
+
+  function gqlIssue({ state = 'OPEN', updatedAt = '2026-05-01T00:00:00Z' } = {}) {
+    return {
+      state,
+      updatedAt,
+      milestone: null,
+      labels: { nodes: [{ name: 'devflow:objective', color: '0e8a16' }] },
+      assignees: { nodes: [] },
+    };
+  }
+
+  // Two synced objectives (issues #10 and #11) with baselines, for --all.
+  function buildBatchProject() {
+    const project = fx.buildTempProject({
+      objectiveId: '01-alpha',
+      frontmatter: { status: 'open', labels: ['devflow:objective'], assignees: [] },
+      projectFm: { github_repo: REPO },
+    });
+    const betaDir = path.join(project.root, '.planning', 'objectives', '02-beta');
+    fs.mkdirSync(betaDir, { recursive: true });
+    fs.writeFileSync(path.join(betaDir, 'OBJECTIVE.md'), '---\nstatus: open\nlabels: ["devflow:objective"]\nassignees: []\n---\n\n# Beta\n');
+    const { hashFrontmatter } = require('./sync-state.cjs');
+    const fm = { status: 'open', labels: ['devflow:objective'], assignees: [] };
+    const record = (num, at) => ({
+      issue_ref: `${REPO}#${num}`, etag: null, gh_updated_at: at, label_set: ['devflow:objective'],
+      assignees: [], milestone: null, status: 'open', last_synced_at: at, last_synced_disk_hash: hashFrontmatter(fm),
+    });
+    fs.writeFileSync(path.join(project.root, '.planning', '.gh-sync-state.json'), JSON.stringify({
+      version: 1,
+      objectives: { '01-alpha': record(10, '2026-05-01T00:00:00Z'), '02-beta': record(11, '2026-05-03T00:00:00Z') },
+    }));
+    return project;
+  }
+
+  test('I1: conditional fetch sends If-None-Match; 304 → { not_modified: true }', () => {
+    const calls = [];
+    ghPull._setRunGh((args) => { calls.push(args); return httpResponse(304); });
+    const r = ghPull.fetchGhIssueConditional(`${REPO}#11`, 'W/"abc"');
+    assert.deepStrictEqual(r, { not_modified: true });
+    assert.deepStrictEqual(calls, [['api', '-i', `repos/${REPO}/issues/11`, '-H', 'If-None-Match: W/"abc"']]);
+  });
+
+  test('I2: conditional 200 → fetchGhIssue shape plus the response etag', () => {
+    ghPull._setRunGh(() => httpResponse(200, restIssue({ state: 'closed' }), 'W/"def"'));
+    const r = ghPull.fetchGhIssueConditional(`${REPO}#11`, null);
+    assert.deepStrictEqual(r, {
+      state: 'CLOSED',
+      labels: [{ name: 'devflow:objective', color: '0e8a16' }],
+      assignees: [],
+      milestone: null,
+      updatedAt: '2026-05-05T12:00:00Z',
+      etag: 'W/"def"',
+    });
+  });
+
+  test('I3: non-HTTP output falls back to `gh issue view`', () => {
+    const cassette = fx.loadCassette('objective-closed-on-gh');
+    ghPull._setRunGh((args) => {
+      if (args[0] === 'issue' && args[1] === 'view') return cassette.response;
+      return { ok: false, status: 1, stdout: '', stderr: 'unknown flag: -i' };
+    });
+    const r = ghPull.fetchGhIssueConditional(`${REPO}#11`, 'W/"abc"');
+    assert.strictEqual(r.state, 'CLOSED');
+    assert.strictEqual(r.etag, undefined);
+  });
+
+  test('I4: batch fetch → one GraphQL query across repos; missing issue → null', () => {
+    const calls = [];
+    ghPull._setRunGh((args) => {
+      calls.push(args);
+      return {
+        ok: false,
+        status: 1,
+        stdout: JSON.stringify({
+          data: { r0: { i10: gqlIssue(), i99: null }, r1: { i3: gqlIssue({ state: 'CLOSED' }) } },
+          errors: [{ type: 'NOT_FOUND', path: ['r0', 'i99'] }],
+        }),
+        stderr: 'Could not resolve to an Issue with the number of 99.',
+      };
+    });
+    const r = ghPull.fetchGhIssuesBatch([`${REPO}#10`, `${REPO}#99`, 'acme/other#3']);
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0].slice(0, 2), ['api', 'graphql']);
+    assert.match(calls[0][3], /r1: repository\(owner: "acme", name: "other"\)/);
+    assert.strictEqual(r[`${REPO}#10`].state, 'OPEN');
+    assert.deepStrictEqual(r[`${REPO}#10`].labels, [{ name: 'devflow:objective', color: '0e8a16' }]);
+    assert.strictEqual(r[`${REPO}#99`], null);
+    assert.strictEqual(r['acme/other#3'].state, 'CLOSED');
+  });
+
+  test('I5: listGhIssuesSince splits changed / unchanged; failed listing → failed', () => {
+    ghPull._setRunGh((args) => {
+      if (args[2] === `repos/${REPO}/issues?state=all&since=2026-05-02T00%3A00%3A00.000Z&per_page=100`) {
+        return { ok: true, status: 0, stdout: [restIssue({ number: 11 }), restIssue({ number: 500 })].map((i) => JSON.stringify(i)).join('\n'), stderr: '' };
+      }
+      return { ok: false, status: 1, stdout: '', stderr: 'HTTP 403: rate limited' };
+    });
+    const r = ghPull.listGhIssuesSince([`${REPO}#10`, `${REPO}#11`, 'acme/other#3'], '2026-05-02T00:00:00.000Z');
+    assert.deepStrictEqual(Object.keys(r.changed), [`${REPO}#11`]);
+    assert.strictEqual(r.changed[`${REPO}#11`].updatedAt, '2026-05-05T12:00:00Z');
+    assert.deepStrictEqual(r.unchanged, [`${REPO}#10`]);
+    assert.deepStrictEqual(r.failed, ['acme/other#3']);
+  });
+
+  test('I6: pull with a stored etag + 304 → no drift, no issue refetch', () => {
+    const project = fx.buildTempProject({
+      frontmatter: { status: 'in_progress', labels: ['devflow:objective'] },
+      mapping: { milestone_id: 0, objectives: { '21-bidirectional-gh-sync': { issue_id: 11, state_comment_id: null } } },
+      projectFm: { github_repo: REPO },
+    });
+    try {
+      const syncState = { version: 1, objectives: { '21-bidirectional-gh-sync': fx.buildLastSyncState({ etag: 'W/"abc"' }) } };
+      fs.writeFileSync(path.join(project.root, '.planning', '.gh-sync-state.json'), JSON.stringify(syncState), 'utf-8');
+      const calls = [];
+      ghPull._setRunGh((args) => {
+        calls.push(args.slice(0, 2).join(' '));
+        if (args[0] === 'auth') return AUTH_OK;
+        if (args[0] === 'api' && args.includes('If-None-Match: W/"abc"')) return httpResponse(304);
+        return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+      });
+
+      const r = captureRun(() => ghPull.cmdGhPull(project.root, ['21-bidirectional-gh-sync'], true));
+      assert.strictEqual(r.exitCode, null);
+      const parsed = JSON.parse(r.stdout);
+      assert.strictEqual(parsed.drift, false);
+      assert.strictEqual(parsed.not_modified, true);
+      assert.ok(!calls.includes('issue view'), 'no unconditional refetch');
+    } finally { project.cleanup(); }
+  });
+
+  test('I7: pull --apply records the response etag with the new baseline', () => {
+    const project = fx.buildTempProject({
+      frontmatter: { status: 'open', labels: ['devflow:objective'] },
+      mapping: { milestone_id: 0, objectives: { '21-bidirectional-gh-sync': { issue_id: 11, state_comment_id: null } } },
+      projectFm: { github_repo: REPO },
+    });
+    try {
+      ghPull._setRunGh((args) => {
+        if (args[0] === 'auth') return AUTH_OK;
+        if (args[0] === 'api' && args[1] === '-i') return httpResponse(200, restIssue({ state: 'closed' }), 'W/"fresh"');
+        return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+      });
+
+      const r = captureRun(() => ghPull.cmdGhPull(project.root, ['21-bidirectional-gh-sync', '--apply'], true));
+      assert.strictEqual(r.exitCode, null, r.stdout);
+      const state = JSON.parse(fs.readFileSync(path.join(project.root, '.planning', '.gh-sync-state.json'), 'utf-8'));
+      const rec = state.objectives['21-bidirectional-gh-sync'];
+      assert.strictEqual(rec.etag, 'W/"fresh"');
+      assert.strictEqual(rec.gh_updated_at, '2026-05-05T12:00:00Z');
+    } finally { project.cleanup(); }
+  });
+
+  test('I8: pull --all → one GraphQL query for every objective', () => {
+    const project = buildBatchProject();
+    try {
+      const calls = [];
+      ghPull._setRunGh((args) => {
+        calls.push(args.slice(0, 2).join(' '));
+        if (args[0] === 'auth') return AUTH_OK;
+        if (args[0] === 'api' && args[1] === 'graphql') {
+          return {
+            ok: true, status: 0, stderr: '',
+            stdout: JSON.stringify({ data: { r0: {
+              i10: gqlIssue({ updatedAt: '2026-05-01T00:00:00Z' }),
+              i11: gqlIssue({ state: 'CLOSED', updatedAt: '2026-05-06T00:00:00Z' }),
+            } } }),
+          };
+        }
+        return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+      });
+
+      const r = captureRun(() => ghPull.cmdGhPull(project.root, ['--all'], true));
+      assert.strictEqual(r.exitCode, null, r.stdout);
+      const parsed = JSON.parse(r.stdout);
+      assert.deepStrictEqual(parsed.objectives.map((o) => o.state), ['in_sync', 'drift']);
+      assert.strictEqual(parsed.since, null);
+      assert.deepStrictEqual(calls.filter((c) => c !== 'auth status'), ['api graphql']);
+    } finally { project.cleanup(); }
+  });
+
+  test('I9: pull --all --since → unlisted issues skipped; watermark = oldest gh_updated_at', () => {
+    const project = buildBatchProject();
+    try {
+      const calls = [];
+      ghPull._setRunGh((args) => {
+        calls.push(args);
+        if (args[0] === 'auth') return AUTH_OK;
+        if (args[0] === 'api' && args[1] === '--paginate') {
+          return { ok: true, status: 0, stdout: JSON.stringify(restIssue({ number: 11, state: 'closed' })), stderr: '' };
+        }
+        return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+      });
+
+      const r = captureRun(() => ghPull.cmdGhPull(project.root, ['--all', '--since'], true));
+      assert.strictEqual(r.exitCode, null, r.stdout);
+      const parsed = JSON.parse(r.stdout);
+      assert.strictEqual(parsed.since, '2026-05-01T00:00:00.000Z');
+      assert.strictEqual(parsed.objectives[0].state, 'in_sync');
+      assert.strictEqual(parsed.objectives[0].unchanged_since, '2026-05-01T00:00:00.000Z');
+      assert.strictEqual(parsed.objectives[1].state, 'drift');
+      assert.match(calls.find((a) => a[1] === '--paginate')[2], /since=2026-05-01T00%3A00%3A00\.000Z/);
+      assert.ok(!calls.some((a) => a[1] === 'graphql'), 'listing covered every ref; no batch query');
+
+      const prose = captureRun(() => ghPull.cmdGhPull(project.root, ['--all', '--since=2026-05-01T00:00:00Z'], false));
+      assert.match(prose.stdout, /01-alpha .* in sync \(unchanged since 2026-05-01T00:00:00\.000Z\)/);
+    } finally { project.cleanup(); }
+  });
+
+  test('I10: invalid --since value → exits 1', () => {
+    const project = buildBatchProject();
+    try {
+      const r = captureRun(() => ghPull.cmdGhPull(project.root, ['--all', '--since=yesterday'], false));
+      assert.strictEqual(r.exitCode, 1);
+      assert.match(r.stdout, /Invalid --since value: yesterday/);
+    } finally { project.cleanup(); }
+  });
+
+  test('I11: batch pull --apply clears the stored etag (new snapshot has none); the next single pull is unconditional', () => {
+    const project = buildBatchProject();
+    try {
+      const statePath = path.join(project.root, '.planning', '.gh-sync-state.json');
+      const seeded = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+      seeded.objectives['02-beta'].etag = 'W/"beta"';
+      fs.writeFileSync(statePath, JSON.stringify(seeded));
+      fs.writeFileSync(path.join(project.root, '.planning', '.gh-mapping.json'), JSON.stringify({
+        milestone_id: 0, objectives: { '02-beta': { issue_id: 11, state_comment_id: null } },
+      }));
+
+      ghPull._setRunGh((args) => {
+        if (args[0] === 'auth') return AUTH_OK;
+        if (args[0] === 'api' && args[1] === 'graphql') {
+          return { ok: true, status: 0, stderr: '', stdout: JSON.stringify({ data: { r0: {
+            i10: gqlIssue({ updatedAt: '2026-05-01T00:00:00Z' }),
+            i11: gqlIssue({ state: 'CLOSED', updatedAt: '2026-05-06T00:00:00Z' }),
+          } } }) };
+        }
+        return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+      });
+      const batch = captureRun(() => ghPull.cmdGhPull(project.root, ['--all', '--apply'], true));
+      assert.strictEqual(batch.exitCode, null, batch.stdout);
+      const rec = JSON.parse(fs.readFileSync(statePath, 'utf-8')).objectives['02-beta'];
+      assert.strictEqual(rec.gh_updated_at, '2026-05-06T00:00:00Z', 'baseline advanced');
+      assert.strictEqual(rec.etag, null, 'W/"beta" described the old snapshot; not kept next to the new gh_updated_at');
+
+      const calls = [];
+      ghPull._setRunGh((args) => {
+        calls.push(args);
+        if (args[0] === 'auth') return AUTH_OK;
+        if (args[0] === 'api' && args[1] === '-i') {
+          return httpResponse(200, restIssue({ number: 11, state: 'closed', updated_at: '2026-05-06T00:00:00Z' }), 'W/"beta2"');
+        }
+        return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+      });
+      const single = captureRun(() => ghPull.cmdGhPull(project.root, ['02-beta', '--apply'], true));
+      assert.strictEqual(single.exitCode, null, single.stdout);
+      assert.strictEqual(JSON.parse(single.stdout).not_modified, undefined);
+      assert.ok(!calls.some((a) => a.some((x) => String(x).startsWith('If-None-Match'))), 'no stale conditional request');
+    } finally { project.cleanup(); }
+  });
+});
@@ -0,0 +1,302 @@
+'use strict';
+
+// gh-subissues.cjs — TRD/JOB plans as GitHub sub-issues of the objective issue.
+//
+// Opt-in via .planning/config.json `github.sub_issues: true`. Off by default:
+// only objectives become issues.
+//
+// Push (`pm sync <objective>`, from gh.syncObjective):
+//   - a plan without `github_issue` in its frontmatter gets an issue in the
+//     objective's repo; the ref is written back to the plan frontmatter and
+//     the baseline is marked `created`
+//   - only those created issues are managed: linked under the objective issue
+//     (linkSubIssue) and closed / reopened. A `github_issue` DevFlow did not
+//     create (a separately tracked spike, or the objective issue itself) is
+//     left alone and reported as skipped
+//   - wanted state: the plan's `github_state` frontmatter when set (pull writes
+//     it), else closed once <stem>-SUMMARY.md exists, else open. A SUMMARY.md
+//     written after the pull that set `github_state` wins: finishing a plan
+//     whose issue was reopened on GitHub closes it again. The issue is only
+//     closed / reopened when that differs from the baseline, so a change made
+//     on GitHub that has not been pulled yet is never overwritten.
+//
+// Pull (`pm pull`, via the GitHub pull adapter's pullSubIssues hook):
+//   - a created sub-issue whose GitHub state moved away from the baseline is drift on
+//     the plan's `github_state`; --apply writes it and advances the baseline
+//     (stamping `pulled_at`).
+//
+// Baselines live in .gh-sync-state.json `plans` ('<objectiveId>/<stem>').
+
+const fs = require('fs');
+const path = require('path');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+const { findPlanFiles, stripPlanSuffix } = require('./helpers.cjs');
+const { recordPlanSync, getPlanSyncs } = require('./sync-state.cjs');
+
+const ISSUE_REF_RE = /^([^/]+)\/([^#]+)#(\d+)$/;
+const PLAN_STATES = ['open', 'closed'];
+const DEFAULT_LABEL = 'devflow:trd';
+
+function _readConfig(cwd) {
+  const p = path.join(cwd, '.planning', 'config.json');
+  if (!fs.existsSync(p)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf-8')) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/** True when .planning/config.json opts in with `github.sub_issues: true`. */
+function subIssuesEnabled(cwd) {
+  const gh = _readConfig(cwd).github;
+  return !!(gh && gh.sub_issues === true);
+}
+
+/**
+ * Plans of one objective: [{ stem, file, path, content, fm, done, done_at }],
+ * sorted by file. `done` means <stem>-SUMMARY.md exists; `done_at` is its
+ * mtime in ms (null when not done).
+ */
+function listPlans(cwd, objectiveId) {
+  const dir = path.join(cwd, '.planning', 'objectives', objectiveId);
+  if (!fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir).sort();
+  const summaries = new Set(files.filter((f) => f.endsWith('-SUMMARY.md')));
+  return findPlanFiles(files)
+    .map((file) => ({ file, stem: stripPlanSuffix(file) }))
+    .filter((p) => p.stem)
+    .map(({ file, stem }) => {
+      const planPath = path.join(dir, file);
+      const content = fs.readFileSync(planPath, 'utf-8');
+      const done = summaries.has(`${stem}-SUMMARY.md`);
+      return {
+        stem,
+        file,
+        path: planPath,
+        content,
+        fm: extractFrontmatter(content) || {},
+        done,
+        done_at: done ? fs.statSync(path.join(dir, `${stem}-SUMMARY.md`)).mtimeMs : null,
+      };
+    });
+}
+
+/**
+ * State the plan's sub-issue should be in, judged from disk and the plan's
+ * baseline. A pulled `github_state` holds until a SUMMARY.md newer than the
+ * pull (baseline `pulled_at`) shows the plan finished since.
+ */
+function desiredState(plan, base = null) {
+  if (PLAN_STATES.includes(plan.fm.github_state)) {
+    const pulledAt = base && base.pulled_at ? Date.parse(base.pulled_at) : NaN;
+    if (plan.done && plan.done_at > pulledAt) return 'closed';
+    return plan.fm.github_state;
+  }
+  return plan.done ? 'closed' : 'open';
+}
+
+// `owner/repo#N`, `#N` or `N` (relative to the objective's repo) → full ref.
+function _planRef(value, repo) {
+  if (value == null || value === '') return null;
+  const s = String(value).trim();
+  if (ISSUE_REF_RE.test(s)) return s;
+  const m = s.match(/^#?(\d+)$/);
+  return m ? `${repo}#${m[1]}` : null;
+}
+
+function _planTitle(plan) {
+  if (plan.fm.title) return `[${plan.stem}] ${plan.fm.title}`;
+  const m = plan.content.match(/<objective>\s*\n?\s*([^\n<]+)/);
+  return m ? `[${plan.stem}] ${m[1].trim()}` : `[${plan.stem}] ${plan.file}`;
+}
+
+function _planBody(objectiveId, plan, parentRef) {
+  return [
+    `Plan \`${plan.file}\` of objective \`${objectiveId}\` (sub-issue of ${parentRef}).`,
+    '',
+    `Closed when \`${plan.stem}-SUMMARY.md\` lands. Closing or reopening it here comes back to the plan's \`github_state\` via \`df-tools pm pull\`.`,
+    '',
+    '---',
+    `_Tracked by [DevFlow](https://github.com/AO-Cyber-Systems/devflow-claude). Source of truth: \`.planning/objectives/${objectiveId}/${plan.file}\` in this repo._`,
+  ].join('\n');
+}
+
+/**
+ * syncSubIssues(cwd, objectiveId, parentRef) — push every plan of the
+ * objective as a sub-issue of `parentRef`. Best-effort per plan: failures
+ * become warnings and leave the baseline alone, so the next sync retries.
+ *
+ * Only issues this function created (baseline `created: true`) are linked,
+ * closed or reopened; a plan whose `github_issue` points anywhere else is
+ * skipped.
+ *
+ * Returns { plans: [{ plan, issue_ref, state, action, error? }], warnings }
+ * where action is created | linked | closed | reopened | none | skipped | failed.
+ */
+function syncSubIssues(cwd, objectiveId, parentRef) {
+  const gh = require('./gh.cjs');
+  const { writeFrontmatterFields } = require('./gh-pull.cjs');
+  const pm = parentRef && parentRef.match(ISSUE_REF_RE);
+  if (!pm) return { plans: [], warnings: [`sub-issues skipped: malformed parent issue ${parentRef}`] };
+  const repo = `${pm[1]}/${pm[2]}`;
+  const cfgLabels = (_readConfig(cwd).github || {}).labels || {};
+  const label = cfgLabels.trd || DEFAULT_LABEL;
+
+  const baselines = getPlanSyncs(cwd, objectiveId);
+  const plans = [];
+  const warnings = [];
+  let labelReady = false;
+
+  for (const plan of listPlans(cwd, objectiveId)) {
+    const prev = baselines[plan.stem];
+    const fmRef = _planRef(plan.fm.github_issue, repo);
+    let ref = prev && prev.created && prev.issue_ref !== parentRef ? prev.issue_ref : null;
+    let action = 'none';
+
+    if (fmRef && fmRef !== ref) {
+      plans.push({ plan: plan.stem, issue_ref: fmRef, state: null, action: 'skipped' });
+      continue;
+    }
+
+    if (!ref) {
+      if (!labelReady) {
+        gh._runGh(['label', 'create', label, '--repo', repo, '--color', '1d76db', '--description', 'DevFlow TRD/JOB sub-issue']);
+        labelReady = true;
+      }
+      const r = gh._runGh([
+        'issue', 'create', '--repo', repo,
+        '--title', _planTitle(plan),
+        '--body', _planBody(objectiveId, plan, parentRef),
+        '--label', label,
+      ]);
+      const m = r.ok && r.stdout.match(/\/issues\/(\d+)/);
+      if (!m) {
+        plans.push({ plan: plan.stem, issue_ref: null, state: null, action: 'failed', error: r.stderr || 'gh issue create printed no issue URL' });
+        continue;
+      }
+      ref = `${repo}#${m[1]}`;
+      const w = writeFrontmatterFields({ filePath: plan.path, values: { github_issue: ref } });
+      if (!w.ok) warnings.push(`created ${ref} for ${plan.file} but could not record it: ${w.error}`);
+      action = 'created';
+    }
+
+    const base = action === 'created'
+      ? { issue_ref: ref, state: 'open', gh_updated_at: null, linked: false, created: true }
+      : { ...prev };
+
+    if (!base.linked) {
+      const l = gh.linkSubIssue(parentRef, ref);
+      if (l.ok || /already/i.test(l.error || '')) {
+        base.linked = true;
+        if (action === 'none') action = 'linked';
+      } else {
+        warnings.push(`could not link ${ref} under ${parentRef}: ${l.error}`);
+      }
+    }
+
+    const want = desiredState(plan, base);
+    if (want !== base.state) {
+      const [, owner, name, num] = ref.match(ISSUE_REF_RE);
+      const r = gh._runGh(['issue', want === 'closed' ? 'close' : 'reopen', num, '--repo', `${owner}/${name}`]);
+      if (r.ok) {
+        base.state = want;
+        action = want === 'closed' ? 'closed' : 'reopened';
+        // A newer SUMMARY.md overrode the pulled state; keep the plan honest.
+        if (PLAN_STATES.includes(plan.fm.github_state) && plan.fm.github_state !== want) {
+          writeFrontmatterFields({ filePath: plan.path, values: { github_state: want } });
+        }
+      } else {
+        warnings.push(`could not ${want === 'closed' ? 'close' : 'reopen'} ${ref}: ${r.stderr}`);
+      }
+    }
+
+    recordPlanSync(cwd, `${objectiveId}/${plan.stem}`, { ...base, last_synced_at: new Date().toISOString() });
+    plans.push({ plan: plan.stem, issue_ref: ref, state: base.state, action });
+  }
+
+  return { plans, warnings };
+}
+
+/**
+ * pullSubIssues(cwd, objectiveId, { apply, fetchIssues }) — compare every
+ * sub-issue syncSubIssues created with its baseline. `fetchIssues` follows the
+ * gh-pull.fetchGhIssuesBatch contract.
+ *
+ * Returns null when the objective has no synced sub-issues, else the entries
+ * that need attention: [{ plan, issue_ref, state: 'drift' | 'error',
+ * fields?: { github_state: { disk, gh } }, action?: 'planned' | 'applied' | 'failed', error? }].
+ */
+function pullSubIssues(cwd, objectiveId, { apply = false, fetchIssues }) {
+  if (!subIssuesEnabled(cwd)) return null;
+  const { writeFrontmatterFields } = require('./gh-pull.cjs');
+  const baselines = getPlanSyncs(cwd, objectiveId);
+  const stems = Object.keys(baselines).filter((s) => baselines[s].created).sort();
+  if (stems.length === 0) return null;
+
+  const plans = new Map(listPlans(cwd, objectiveId).map((p) => [p.stem, p]));
+  const fetched = fetchIssues(stems.map((s) => baselines[s].issue_ref));
+  const out = [];
+
+  for (const stem of stems) {
+    const base = baselines[stem];
+    const entry = { plan: stem, issue_ref: base.issue_ref };
+    const plan = plans.get(stem);
+    if (!plan) {
+      out.push({ ...entry, state: 'error', error: `plan ${stem} no longer exists in ${objectiveId}` });
+      continue;
+    }
+    const issue = fetched[base.issue_ref];
+    if (!issue || issue._ok === false) {
+      out.push({ ...entry, state: 'error', error: issue ? issue.error : `Issue ${base.issue_ref} not found` });
+      continue;
+    }
+    const ghState = issue.state === 'CLOSED' ? 'closed' : 'open';
+    if (ghState === base.state) continue;
+
+    const driftEntry = { ...entry, state: 'drift', fields: { github_state: { disk: desiredState(plan, base), gh: ghState } } };
+    if (!apply) {
+      out.push({ ...driftEntry, action: 'planned' });
+      continue;
+    }
+    const w = writeFrontmatterFields({ filePath: plan.path, values: { github_state: ghState } });
+    if (!w.ok) {
+      out.push({ ...driftEntry, action: 'failed', error: w.error });
+      continue;
+    }
+    recordPlanSync(cwd, `${objectiveId}/${stem}`, {
+      ...base,
+      state: ghState,
+      gh_updated_at: issue.updatedAt || null,
+      pulled_at: new Date().toISOString(),
+      last_synced_at: new Date().toISOString(),
+    });
+    out.push({ ...driftEntry, action: 'applied' });
+  }
+  return out;
+}
+
+/** Prose lines for pull output ('' when nothing to report). */
+function formatSubIssuesPretty(entries, indent = '') {
+  if (!entries || entries.length === 0) return '';
+  const lines = [`${indent}Sub-issues:`];
+  for (const e of entries) {
+    if (e.state === 'error') {
+      lines.push(`${indent}  ${e.plan}  ${e.issue_ref}  error: ${e.error}`);
+      continue;
+    }
+    const f = e.fields.github_state;
+    const tail = e.action === 'applied' ? 'applied to plan' : e.action === 'failed' ? `failed: ${e.error}` : 're-run with --apply';
+    lines.push(`${indent}  ${e.plan}  ${e.issue_ref}  github_state: ${f.disk} → ${f.gh} (${tail})`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  subIssuesEnabled,
+  listPlans,
+  desiredState,
+  syncSubIssues,
+  pullSubIssues,
+  formatSubIssuesPretty,
+};
@@ -0,0 +1,277 @@
+'use strict';
+
+// gh-subissues.test.cjs — TRD/JOB plans as sub-issues (two-way)
+//
+// Push:
+//   SI1: off unless config github.sub_issues is true
+//   SI2: plan without github_issue → issue created, ref written to frontmatter, linked, baseline recorded
+//   SI3: plan with SUMMARY.md → sub-issue closed once; re-sync is a no-op
+//   SI4: github_state set by pull wins over SUMMARY.md; failed close leaves baseline for retry
+//   SI8: hand-set github_issue (separate issue or the objective itself) is skipped by push and pull
+//
+// Pull:
+//   SI5: sub-issue closed on GitHub → drift on github_state; --apply writes it + advances baseline
+//   SI6: pm pull <objective> reports sub-issue drift alongside the objective result
+//   SI7: pull --all attaches sub_issues per objective; recordSync keeps plan baselines
+//   SI9: reopened on GitHub → pull → plan completes again: the newer SUMMARY.md closes it
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const subIssues = require('./gh-subissues.cjs');
+const gh = require('./gh.cjs');
+const ghPull = require('./gh-pull.cjs');
+const ss = require('./sync-state.cjs');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+const fx = require('./__fixtures__/gh-pull-fixtures.cjs');
+
+const REPO = 'AO-Cyber-Systems/devflow-claude';
+const PARENT = `${REPO}#10`;
+const OBJ = '01-alpha';
+const AUTH_OK = { ok: true, status: 0, stdout: "  - Token scopes: 'repo'", stderr: '' };
+
+let project;
+beforeEach(() => {
+  gh._setRunGh(null);
+  ghPull._setRunGh(null);
+});
+afterEach(() => {
+  gh._setRunGh(null);
+  ghPull._setRunGh(null);
+  if (project) project.cleanup();
+  project = null;
+});
+
+// Objective 01-alpha (issue #10) with two TRDs; 01-01 has a SUMMARY.
+function buildProject({ enabled = true, trd2Fm = '' } = {}) {
+  const p = fx.buildTempProject({
+    objectiveId: OBJ,
+    frontmatter: { status: 'open', labels: ['devflow:objective'], assignees: [] },
+    projectFm: { github_repo: REPO },
+  });
+  const dir = path.join(p.root, '.planning', 'objectives', OBJ);
+  fs.writeFileSync(path.join(dir, '01-01-TRD.md'), '---\nobjective: 01-alpha\ntrd: 01\nwave: 1\n---\n\n<objective>\nScaffold the parser\n</objective>\n');
+  fs.writeFileSync(path.join(dir, '01-02-TRD.md'), `---\nobjective: 01-alpha\ntrd: 02\nwave: 2\n${trd2Fm}---\n\n<objective>\nWire the CLI\n</objective>\n`);
+  fs.writeFileSync(path.join(dir, '01-01-SUMMARY.md'), '# Summary\n');
+  fs.writeFileSync(path.join(p.root, '.planning', 'config.json'), JSON.stringify({ github: { enabled: true, repo: REPO, sub_issues: enabled } }));
+  return p;
+}
+
+const planFm = (name) => extractFrontmatter(fs.readFileSync(path.join(project.root, '.planning', 'objectives', OBJ, name), 'utf-8'));
+
+// gh mock for the push side: issue create numbers from 20, node lookups, addSubIssue, close/reopen.
+function pushMock({ failClose = false } = {}) {
+  const calls = [];
+  let next = 20;
+  gh._setRunGh((args) => {
+    calls.push(args);
+    const ok = (stdout = '') => ({ ok: true, status: 0, stdout, stderr: '' });
+    if (args[0] === 'label') return ok();
+    if (args[0] === 'issue' && args[1] === 'create') return ok(`https://github.com/${REPO}/issues/${next++}`);
+    if (args[0] === 'issue' && (args[1] === 'close' || args[1] === 'reopen')) {
+      return failClose ? { ok: false, status: 1, stdout: '', stderr: 'HTTP 502' } : ok();
+    }
+    if (args[0] === 'api' && args[1] === 'graphql') {
+      const q = args[3];
+      if (q.includes('addSubIssue')) return ok(JSON.stringify({ data: { addSubIssue: { issue: { id: 'I_parent' } } } }));
+      const num = args.find((a) => a.startsWith('number=')).split('=')[1];
+      return ok(JSON.stringify({ data: { repository: { issue: { id: `I_${num}` } } } }));
+    }
+    return { ok: false, status: 1, stdout: '', stderr: `unexpected: ${args.join(' ')}` };
+  });
+  return calls;
+}
+
+describe('push', () => {
+  test('SI1: off unless config github.sub_issues is true', () => {
+    project = buildProject({ enabled: false });
+    assert.strictEqual(subIssues.subIssuesEnabled(project.root), false);
+    fs.writeFileSync(path.join(project.root, '.planning', 'config.json'), JSON.stringify({ github: { enabled: true } }));
+    assert.strictEqual(subIssues.subIssuesEnabled(project.root), false);
+  });
+
+  test('SI2: plan without github_issue → issue created, ref written to frontmatter, linked, baseline recorded', () => {
+    project = buildProject();
+    const calls = pushMock();
+    const r = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+
+    assert.deepStrictEqual(r.warnings, []);
+    assert.deepStrictEqual(r.plans.map((p) => `${p.plan}:${p.issue_ref}:${p.state}:${p.action}`), [
+      `01-01:${REPO}#20:closed:closed`,
+      `01-02:${REPO}#21:open:created`,
+    ]);
+    const create = calls.find((a) => a[1] === 'create' && a[0] === 'issue');
+    assert.strictEqual(create[create.indexOf('--title') + 1], '[01-01] Scaffold the parser');
+    assert.strictEqual(create[create.indexOf('--label') + 1], 'devflow:trd');
+    assert.strictEqual(calls.filter((a) => a[0] === 'label').length, 1, 'label ensured once');
+    assert.strictEqual(calls.filter((a) => a[3] && a[3].includes('addSubIssue')).length, 2);
+
+    assert.strictEqual(planFm('01-02-TRD.md').github_issue, `${REPO}#21`);
+    const base = ss.getPlanSyncs(project.root, OBJ);
+    assert.deepStrictEqual(Object.keys(base), ['01-01', '01-02']);
+    assert.strictEqual(base['01-01'].state, 'closed');
+    assert.strictEqual(base['01-02'].linked, true);
+  });
+
+  test('SI3: plan with SUMMARY.md → sub-issue closed once; re-sync is a no-op', () => {
+    project = buildProject();
+    pushMock();
+    subIssues.syncSubIssues(project.root, OBJ, PARENT);
+
+    const calls = pushMock();
+    const again = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    assert.deepStrictEqual(again.plans.map((p) => p.action), ['none', 'none']);
+    assert.deepStrictEqual(calls, [], 'nothing to create, link, close or reopen');
+  });
+
+  test('SI4: github_state set by pull wins over SUMMARY.md; failed close leaves baseline for retry', () => {
+    project = buildProject();
+    pushMock({ failClose: true });
+    const r = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    assert.match(r.warnings.join('\n'), /could not close .*#20: HTTP 502/);
+    assert.strictEqual(ss.getPlanSyncs(project.root, OBJ)['01-01'].state, 'open');
+
+    // Reopened on GitHub and pulled back: the plan now says open despite its SUMMARY.
+    ghPull.writeFrontmatterFields({ filePath: path.join(project.root, '.planning', 'objectives', OBJ, '01-01-TRD.md'), values: { github_state: 'open' } });
+    const calls = pushMock();
+    const again = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    assert.deepStrictEqual(again.plans.map((p) => p.action), ['none', 'none']);
+    assert.ok(!calls.some((a) => a[1] === 'close'));
+  });
+
+  test('SI8: hand-set github_issue (separate issue or the objective itself) is skipped by push and pull', () => {
+    project = buildProject({ trd2Fm: `github_issue: ${REPO}#31\n` });
+    let calls = pushMock();
+    let r = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    assert.deepStrictEqual(r.plans[1], { plan: '01-02', issue_ref: `${REPO}#31`, state: null, action: 'skipped' });
+    assert.ok(!calls.some((a) => a.includes('number=31') || a.includes('31')), 'separately tracked issue is never linked, closed or reopened');
+    assert.deepStrictEqual(Object.keys(ss.getPlanSyncs(project.root, OBJ)), ['01-01']);
+    assert.deepStrictEqual(
+      subIssues.pullSubIssues(project.root, OBJ, { fetchIssues: () => ({ [`${REPO}#20`]: { state: 'CLOSED' } }) }),
+      [],
+    );
+
+    // The objective issue itself: never linked under itself, never closed.
+    ghPull.writeFrontmatterFields({ filePath: path.join(project.root, '.planning', 'objectives', OBJ, '01-02-TRD.md'), values: { github_issue: '#10' } });
+    calls = pushMock();
+    r = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    assert.deepStrictEqual(r.plans.map((p) => `${p.plan}:${p.issue_ref}:${p.action}`), [`01-01:${REPO}#20:none`, `01-02:${PARENT}:skipped`]);
+    assert.deepStrictEqual(calls, []);
+  });
+});
+
+describe('pull', () => {
+  // Plans already pushed: 01-01 closed (#20), 01-02 open (#21).
+  function pushed() {
+    project = buildProject();
+    pushMock();
+    subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    gh._setRunGh(null);
+  }
+  const issue = (state) => ({ state, labels: [], assignees: [], milestone: null, updatedAt: '2026-06-02T00:00:00Z' });
+
+  test('SI5: sub-issue closed on GitHub → drift on github_state; --apply writes it + advances baseline', () => {
+    pushed();
+    const fetchIssues = () => ({ [`${REPO}#20`]: issue('CLOSED'), [`${REPO}#21`]: issue('CLOSED') });
+
+    const planned = subIssues.pullSubIssues(project.root, OBJ, { fetchIssues });
+    assert.deepStrictEqual(planned, [{
+      plan: '01-02', issue_ref: `${REPO}#21`, state: 'drift',
+      fields: { github_state: { disk: 'open', gh: 'closed' } }, action: 'planned',
+    }]);
+    assert.strictEqual(planFm('01-02-TRD.md').github_state, undefined, 'report only');
+
+    const applied = subIssues.pullSubIssues(project.root, OBJ, { apply: true, fetchIssues });
+    assert.strictEqual(applied[0].action, 'applied');
+    assert.strictEqual(planFm('01-02-TRD.md').github_state, 'closed');
+    assert.strictEqual(ss.getPlanSyncs(project.root, OBJ)['01-02'].state, 'closed');
+    assert.deepStrictEqual(subIssues.pullSubIssues(project.root, OBJ, { fetchIssues }), []);
+    assert.match(subIssues.formatSubIssuesPretty(applied), /01-02 .*github_state: open → closed \(applied to plan\)/);
+  });
+
+  test('SI6: pm pull <objective> reports sub-issue drift alongside the objective result', () => {
+    pushed();
+    fs.writeFileSync(path.join(project.root, '.planning', '.gh-mapping.json'), JSON.stringify({ milestone_id: 0, objectives: { [OBJ]: 10 } }));
+    ss.recordSync(project.root, OBJ, fx.buildLastSyncState({ etag: 'W/"abc"' }));
+    ghPull._setRunGh((args) => {
+      if (args[0] === 'auth') return AUTH_OK;
+      if (args[0] === 'api' && args[1] === '-i') return { ok: false, status: 1, stdout: 'HTTP/2.0 304 Not Modified\r\n\r\n', stderr: '' };
+      if (args[0] === 'api' && args[1] === 'graphql') {
+        return { ok: true, status: 0, stderr: '', stdout: JSON.stringify({ data: { r0: {
+          i20: { state: 'OPEN', updatedAt: '2026-06-02T00:00:00Z', milestone: null, labels: { nodes: [] }, assignees: { nodes: [] } },
+          i21: { state: 'OPEN', updatedAt: '2026-06-01T00:00:00Z', milestone: null, labels: { nodes: [] }, assignees: { nodes: [] } },
+        } } }) };
+      }
+      return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+    });
+
+    const out = [];
+    const orig = process.stdout.write.bind(process.stdout);
+    process.stdout.write = (c) => { out.push(c); return true; };
+    try {
+      ghPull.cmdGhPull(project.root, [OBJ], true);
+      ghPull.cmdGhPull(project.root, [OBJ], false);
+    } finally {
+      process.stdout.write = orig;
+    }
+    const parsed = JSON.parse(out[0]);
+    assert.strictEqual(parsed.not_modified, true);
+    assert.deepStrictEqual(parsed.sub_issues.map((e) => `${e.plan}:${e.fields.github_state.disk}→${e.fields.github_state.gh}`), ['01-01:closed→open']);
+    assert.match(out[1], /No drift; planning state matches GitHub\.\nSub-issues:\n {2}01-01 /);
+  });
+
+  test('SI7: pull --all attaches sub_issues per objective; recordSync keeps plan baselines', () => {
+    pushed();
+    ss.recordSync(project.root, OBJ, { ...fx.buildLastSyncState(), issue_ref: PARENT });
+    assert.strictEqual(Object.keys(ss.getPlanSyncs(project.root, OBJ)).length, 2, 'objective record write kept plans');
+
+    ghPull._setRunGh((args) => {
+      if (args[0] === 'auth') return AUTH_OK;
+      if (args[0] === 'api' && args[1] === 'graphql') {
+        const node = (state) => ({ state, updatedAt: '2026-05-01T00:00:00Z', milestone: null, labels: { nodes: [{ name: 'devflow:objective', color: '0e8a16' }] }, assignees: { nodes: [] } });
+        return { ok: true, status: 0, stderr: '', stdout: JSON.stringify({ data: { r0: { i10: node('OPEN'), i20: node('CLOSED'), i21: node('CLOSED') } } }) };
+      }
+      return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+    });
+    const out = [];
+    const orig = process.stdout.write.bind(process.stdout);
+    process.stdout.write = (c) => { out.push(c); return true; };
+    try {
+      ghPull.cmdGhPull(project.root, ['--all', '--apply'], true);
+    } finally {
+      process.stdout.write = orig;
+    }
+    const parsed = JSON.parse(out[0]);
+    assert.deepStrictEqual(parsed.objectives[0].sub_issues.map((e) => `${e.plan}:${e.action}`), ['01-02:applied']);
+    assert.strictEqual(planFm('01-02-TRD.md').github_state, 'closed');
+  });
+
+  test('SI9: reopened on GitHub → pull → plan completes again: the newer SUMMARY.md closes it', () => {
+    pushed();
+    const fetchIssues = () => ({ [`${REPO}#20`]: issue('OPEN'), [`${REPO}#21`]: issue('OPEN') });
+    assert.strictEqual(subIssues.pullSubIssues(project.root, OBJ, { apply: true, fetchIssues })[0].action, 'applied');
+    assert.strictEqual(planFm('01-01-TRD.md').github_state, 'open');
+    assert.ok(ss.getPlanSyncs(project.root, OBJ)['01-01'].pulled_at);
+
+    // Still open: the SUMMARY.md predates the pull.
+    let calls = pushMock();
+    assert.deepStrictEqual(subIssues.syncSubIssues(project.root, OBJ, PARENT).plans.map((p) => p.action), ['none', 'none']);
+    assert.deepStrictEqual(calls, []);
+
+    // The follow-up work lands and SUMMARY.md is rewritten after the pull.
+    const summary = path.join(project.root, '.planning', 'objectives', OBJ, '01-01-SUMMARY.md');
+    fs.writeFileSync(summary, '# Summary\n\nReopened scope done.\n');
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(summary, later, later);
+
+    calls = pushMock();
+    const r = subIssues.syncSubIssues(project.root, OBJ, PARENT);
+    assert.deepStrictEqual(r.plans.map((p) => `${p.plan}:${p.state}:${p.action}`), ['01-01:closed:closed', '01-02:open:none']);
+    assert.deepStrictEqual(calls.map((a) => a.slice(0, 3).join(' ')), ['issue close 20']);
+    assert.strictEqual(planFm('01-01-TRD.md').github_state, 'closed');
+    assert.strictEqual(ss.getPlanSyncs(project.root, OBJ)['01-01'].state, 'closed');
+    assert.deepStrictEqual(subIssues.syncSubIssues(project.root, OBJ, PARENT).plans.map((p) => p.action), ['none', 'none']);
+  });
+});
@@ -0,0 +1,364 @@
+'use strict';
+
+// gh-webhook.cjs — local receiver for GitHub webhooks (push-based inbound sync).
+//
+// `pm pull` only polls. This receiver accepts GitHub deliveries so OBJECTIVE.md
+// can follow label / assignee / state changes within seconds:
+//
+//   issues, issue_comment — the payload carries the whole issue; it is run
+//                           through normalizeGhIssue + detectConflict/detectDrift
+//                           against disk and the sync-state baseline
+//   milestone             — edited / closed / deleted: every tracked objective
+//                           on that milestone is queued for a refetch
+//   projects_v2_item      — the item's content node is resolved to an issue; a
+//                           tracked issue is queued for a refetch
+//   ping                  — acknowledged
+//
+// Results land in .planning/.pm-inbox.jsonl, one entry per objective (the
+// newest issue state wins):
+//
+//   { objective, issue_ref, event, delivery, received_at,
+//     state: 'drift' | 'conflict' | 'refetch',
+//     fields?, conflicting_fields?, gh_issue: <fetchGhIssue shape> | null }
+//
+// `df-tools pm pull --inbox [--apply]` consumes the inbox (gh-pull.cjs);
+// `devflow-watch webhook --apply` applies drift as soon as it arrives.
+//
+// GitHub retries and redelivers, and does not promise order. The last
+// MAX_SEEN_DELIVERIES X-GitHub-Delivery ids are kept in
+// .planning/.pm-inbox-deliveries.json and a repeated id is ignored; an issue
+// payload whose updated_at is older than what the inbox or the sync baseline
+// already holds for that issue is dropped as stale.
+//
+// Every delivery must carry X-Hub-Signature-256 (HMAC-SHA256 of the raw body
+// with the webhook secret). Unsigned or mis-signed requests get 401 and are
+// never parsed.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+const { hashFrontmatter, atomicWrite } = require('./sync-state.cjs');
+const conflictMod = require('./conflict.cjs');
+const ghPull = require('./gh-pull.cjs');
+
+const INBOX_REL = path.join('.planning', '.pm-inbox.jsonl');
+const DELIVERIES_REL = path.join('.planning', '.pm-inbox-deliveries.json');
+const MAX_SEEN_DELIVERIES = 1000;
+const SUPPORTED_EVENTS = ['issues', 'issue_comment', 'milestone', 'projects_v2_item', 'ping'];
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// ─── Inbox storage ───────────────────────────────────────────────────────────
+
+function readInbox(cwd) {
+  const p = path.join(cwd, INBOX_REL);
+  if (!fs.existsSync(p)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(p, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      process.stderr.write('Warning: skipping malformed line in .pm-inbox.jsonl\n');
+    }
+  }
+  return entries;
+}
+
+function writeInbox(cwd, entries) {
+  const p = path.join(cwd, INBOX_REL);
+  if (entries.length === 0) {
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+    return;
+  }
+  atomicWrite(p, entries.map((e) => JSON.stringify(e)).join('\n') + '\n');
+}
+
+/** Insert or replace the entry for entry.objective. */
+function upsertInboxEntry(cwd, entry) {
+  const kept = readInbox(cwd).filter((e) => e.objective !== entry.objective);
+  writeInbox(cwd, [...kept, entry]);
+}
+
+/** Drop the entries for the given objective ids (after pull settled them). */
+function removeInboxEntries(cwd, objectiveIds) {
+  const drop = new Set(objectiveIds);
+  const entries = readInbox(cwd);
+  const kept = entries.filter((e) => !drop.has(e.objective));
+  if (kept.length !== entries.length) writeInbox(cwd, kept);
+}
+
+/** Delivery ids already handled, oldest first. Missing / unreadable file → []. */
+function readSeenDeliveries(cwd) {
+  try {
+    const ids = JSON.parse(fs.readFileSync(path.join(cwd, DELIVERIES_REL), 'utf-8'));
+    return Array.isArray(ids) ? ids : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function recordDelivery(cwd, delivery) {
+  const ids = [...readSeenDeliveries(cwd), delivery].slice(-MAX_SEEN_DELIVERIES);
+  atomicWrite(path.join(cwd, DELIVERIES_REL), JSON.stringify(ids) + '\n');
+}
+
+// ─── Signatures ──────────────────────────────────────────────────────────────
+
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/** Constant-time check of an X-Hub-Signature-256 header against `body`. */
+function verifySignature(secret, body, header) {
+  if (!secret || typeof header !== 'string') return false;
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(header);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ─── Event handling ──────────────────────────────────────────────────────────
+
+/** Same drift / conflict split as gh-pull's --all path, without resolving anything. */
+function classify(cwd, objectiveId, record, ghIssue) {
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) return { state: 'error', error: `OBJECTIVE.md not found: ${objPath}` };
+  const disk_fm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+
+  const diskChanged = hashFrontmatter(disk_fm) !== record.last_synced_disk_hash;
+  const ghChanged = ghIssue.updatedAt !== record.gh_updated_at;
+  if (diskChanged && ghChanged) {
+    const c = conflictMod.detectConflict({ disk_fm, gh_norm: ghPull.normalizeGhIssue(ghIssue), last_sync: record });
+    if (c.conflict) return { state: 'conflict', conflicting_fields: c.conflicting_fields };
+  }
+  const drift = ghPull.detectDrift({ disk_fm, gh_state: ghIssue, last_sync_state: record });
+  return drift.drift ? { state: 'drift', fields: drift.fields } : { state: 'in_sync' };
+}
+
+// Resolve a Projects v2 item's content node id to 'owner/repo#N' (null for
+// draft items, PRs and lookup failures).
+function _projectItemIssueRef(contentNodeId) {
+  const query = 'query($id: ID!) { node(id: $id) { ... on Issue { number repository { nameWithOwner } } } }';
+  const r = require('./gh.cjs')._runGh(['api', 'graphql', '-f', `query=${query}`, '-F', `id=${contentNodeId}`]);
+  if (!r.ok) return null;
+  try {
+    const node = JSON.parse(r.stdout).data.node;
+    return node && node.number ? `${node.repository.nameWithOwner}#${node.number}` : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * handleDelivery(cwd, { event, delivery, payload }) — classify one verified
+ * delivery and update the inbox. A delivery id seen before is ignored; the id
+ * is recorded once the delivery was handled (a throw leaves it unrecorded so
+ * GitHub's retry gets through).
+ *
+ * Returns { status, body } for the HTTP response; body.queued lists
+ * { objective, issue_ref, state } for every inbox entry written.
+ */
+function handleDelivery(cwd, { event, delivery = null, payload }, now = new Date()) {
+  if (event === 'ping') return { status: 200, body: { ok: true, event, pong: true } };
+  if (!SUPPORTED_EVENTS.includes(event)) {
+    return { status: 202, body: { ok: true, event, ignored: `unsupported event: ${event}` } };
+  }
+  if (delivery && readSeenDeliveries(cwd).includes(delivery)) {
+    return { status: 202, body: { ok: true, event, ignored: `duplicate delivery ${delivery}` } };
+  }
+  const result = _handleEvent(cwd, { event, delivery, payload }, now);
+  if (delivery) recordDelivery(cwd, delivery);
+  return result;
+}
+
+function _handleEvent(cwd, { event, delivery, payload }, now) {
+  const byRef = new Map();
+  for (const t of ghPull._batchTargets(cwd)) {
+    if (t.record.issue_ref) byRef.set(t.record.issue_ref, t);
+  }
+  const base = { event, delivery, received_at: now.toISOString() };
+  const queued = [];
+  const refetch = (t) => {
+    const entry = { ...base, objective: t.objectiveId, issue_ref: t.record.issue_ref, state: 'refetch', gh_issue: null };
+    upsertInboxEntry(cwd, entry);
+    queued.push({ objective: entry.objective, issue_ref: entry.issue_ref, state: entry.state });
+  };
+
+  if (event === 'issues' || event === 'issue_comment') {
+    const issue = payload.issue;
+    const repo = payload.repository && payload.repository.full_name;
+    if (!issue || !repo) return { status: 400, body: { ok: false, error: `${event} payload missing issue or repository` } };
+    const issueRef = `${repo}#${issue.number}`;
+    const t = byRef.get(issueRef);
+    if (!t) return { status: 202, body: { ok: true, event, ignored: `${issueRef} is not a tracked objective` } };
+
+    const ghIssue = ghPull._restIssueToGh(issue);
+    const pending = readInbox(cwd).find((e) => e.objective === t.objectiveId);
+    const known = [pending && pending.gh_issue && pending.gh_issue.updatedAt, t.record.gh_updated_at]
+      .map((at) => Date.parse(at)).filter((ms) => !Number.isNaN(ms));
+    if (known.length > 0 && Date.parse(ghIssue.updatedAt) < Math.max(...known)) {
+      return { status: 202, body: { ok: true, event, ignored: `stale: ${issueRef} updated_at ${ghIssue.updatedAt} is older than the inbox / baseline` } };
+    }
+    const c = classify(cwd, t.objectiveId, t.record, ghIssue);
+    if (c.state === 'in_sync') {
+      // A later delivery can undo an earlier one; drop anything stale.
+      removeInboxEntries(cwd, [t.objectiveId]);
+      return { status: 202, body: { ok: true, event, queued, in_sync: [t.objectiveId] } };
+    }
+    if (c.state === 'error') return { status: 202, body: { ok: false, event, error: c.error } };
+    const entry = { ...base, objective: t.objectiveId, issue_ref: issueRef, ...c, gh_issue: ghIssue };
+    upsertInboxEntry(cwd, entry);
+    queued.push({ objective: entry.objective, issue_ref: issueRef, state: c.state });
+    return { status: 202, body: { ok: true, event, queued } };
+  }
+
+  if (event === 'milestone') {
+    const m = payload.milestone || {};
+    const titles = new Set([m.title, payload.changes && payload.changes.title && payload.changes.title.from].filter(Boolean));
+    for (const t of byRef.values()) {
+      if (titles.has(t.record.milestone)) refetch(t);
+    }
+    return { status: 202, body: { ok: true, event, queued } };
+  }
+
+  // projects_v2_item
+  const item = payload.projects_v2_item || {};
+  if (item.content_type !== 'Issue' || !item.content_node_id) {
+    return { status: 202, body: { ok: true, event, ignored: `projects_v2_item content is ${item.content_type || 'unknown'}` } };
+  }
+  const ref = _projectItemIssueRef(item.content_node_id);
+  const t = ref && byRef.get(ref);
+  if (!t) return { status: 202, body: { ok: true, event, ignored: `${ref || item.content_node_id} is not a tracked objective` } };
+  refetch(t);
+  return { status: 202, body: { ok: true, event, queued } };
+}
+
+// ─── HTTP server ─────────────────────────────────────────────────────────────
+
+/**
+ * createServer({ cwd, secret, apply, log }) — http.Server that verifies and
+ * handles deliveries (POST, any path). With `apply`, every delivery that
+ * queued something is followed by gh-pull.pullInbox for those objectives.
+ */
+function createServer({ cwd, secret, apply = false, log = () => {} }) {
+  if (!secret) throw new Error('webhook secret is required');
+
+  return http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== 'POST') return reply(405, { ok: false, error: 'POST only' });
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        aborted = true;
+        reply(413, { ok: false, error: 'payload too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      if (aborted) return;
+      const body = Buffer.concat(chunks);
+      const event = req.headers['x-github-event'];
+      const delivery = req.headers['x-github-delivery'] || null;
+      if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+        log('warn', `rejected delivery ${delivery || '-'} (${event || 'no event'}): bad signature`);
+        return reply(401, { ok: false, error: 'invalid signature' });
+      }
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf-8'));
+      } catch (_) {
+        return reply(400, { ok: false, error: 'body is not JSON' });
+      }
+
+      let result;
+      try {
+        result = handleDelivery(cwd, { event, delivery, payload });
+        if (apply && result.body.queued && result.body.queued.length > 0) {
+          const pulled = ghPull.pullInbox(cwd, { objectiveIds: result.body.queued.map((q) => q.objective) });
+          result.body.applied = pulled.results.map((r) => ({ objective: r.objective, state: r.state, action: r.action }));
+        }
+      } catch (e) {
+        log('error', `delivery ${delivery || '-'} (${event}): ${e.message}`);
+        return reply(500, { ok: false, error: e.message });
+      }
+      const queued = (result.body.queued || []).map((q) => `${q.objective}:${q.state}`).join(', ');
+      log('info', `delivery ${delivery || '-'} ${event} → ${result.status}${queued ? ` queued ${queued}` : ''}${result.body.ignored ? ` (${result.body.ignored})` : ''}`);
+      reply(result.status, result.body);
+    });
+  });
+}
+
+// ─── Fixture replayer ────────────────────────────────────────────────────────
+
+/**
+ * Load replay fixtures from files or directories (*.json, sorted by name).
+ * Fixture shape: { event, delivery?, payload }.
+ */
+function loadFixtures(paths) {
+  const files = [];
+  for (const p of paths) {
+    if (fs.statSync(p).isDirectory()) {
+      for (const f of fs.readdirSync(p).filter((n) => n.endsWith('.json')).sort()) files.push(path.join(p, f));
+    } else {
+      files.push(p);
+    }
+  }
+  return files.map((file) => ({ file, ...JSON.parse(fs.readFileSync(file, 'utf-8')) }));
+}
+
+/**
+ * replay({ url, secret, fixtures }) — sign and POST each fixture in order.
+ * Resolves to [{ file, event, status, body }].
+ */
+async function replay({ url, secret, fixtures }) {
+  const results = [];
+  for (const fx of fixtures) {
+    const body = Buffer.from(JSON.stringify(fx.payload));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': fx.event,
+      'X-GitHub-Delivery': fx.delivery || crypto.randomUUID(),
+      'X-Hub-Signature-256': signPayload(secret, body),
+    };
+    const res = await new Promise((resolve, reject) => {
+      const req = http.request(url, { method: 'POST', headers }, (r) => {
+        let data = '';
+        r.setEncoding('utf-8');
+        r.on('data', (c) => { data += c; });
+        r.on('end', () => resolve({ status: r.statusCode, data }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+    let parsed = res.data;
+    try { parsed = JSON.parse(res.data); } catch (_) { /* keep text */ }
+    results.push({ file: fx.file || null, event: fx.event, status: res.status, body: parsed });
+  }
+  return results;
+}
+
+module.exports = {
+  INBOX_REL,
+  DELIVERIES_REL,
+  SUPPORTED_EVENTS,
+  readInbox,
+  writeInbox,
+  removeInboxEntries,
+  signPayload,
+  verifySignature,
+  classify,
+  handleDelivery,
+  createServer,
+  loadFixtures,
+  replay,
+};
@@ -0,0 +1,281 @@
+'use strict';
+
+// gh-webhook.test.cjs — GitHub webhook receiver + .pm-inbox.jsonl
+//
+// Deliveries come from __fixtures__/gh-webhook/ (recorded payload subsets) and
+// are replayed against an in-process receiver on an ephemeral port, the same
+// way `devflow-watch webhook replay` drives a running one.
+//
+//   WH1: signPayload / verifySignature round-trip; tampered body rejected
+//   WH2: unsigned or mis-signed delivery → 401, nothing queued
+//   WH3: ping → 200 pong
+//   WH4: issues delivery with drift → inbox entry carrying the delivered issue
+//   WH5: delivery that matches the baseline → in sync, stale entry dropped
+//   WH6: disk and GitHub both changed the same field → queued as conflict
+//   WH7: untracked issue → ignored
+//   WH8: milestone edited (renamed) → every objective on it queued for refetch
+//   WH9: projects_v2_item → content node resolved to a tracked issue → refetch
+//   WH10: pm pull --inbox --apply writes OBJECTIVE.md and clears the inbox
+//   WH11: receiver with apply → drift applied as it arrives
+//   WH12: a redelivered X-GitHub-Delivery id is ignored
+//   WH13: an issue payload older than the inbox entry or the baseline is dropped
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const webhook = require('./gh-webhook.cjs');
+const ghPull = require('./gh-pull.cjs');
+const gh = require('./gh.cjs');
+const { hashFrontmatter } = require('./sync-state.cjs');
+const fx = require('./__fixtures__/gh-pull-fixtures.cjs');
+
+const REPO = 'AO-Cyber-Systems/devflow-claude';
+const SECRET = 'test-webhook-secret';
+const FIXTURES = path.join(__dirname, '__fixtures__', 'gh-webhook');
+const fixture = (name) => webhook.loadFixtures([path.join(FIXTURES, `${name}.json`)]);
+
+// Two synced objectives (issues #10 and #11) with baselines.
+function buildProject({ milestone = null } = {}) {
+  const project = fx.buildTempProject({
+    objectiveId: '01-alpha',
+    frontmatter: { status: 'open', labels: ['devflow:objective'], assignees: [] },
+    projectFm: { github_repo: REPO },
+  });
+  const betaDir = path.join(project.root, '.planning', 'objectives', '02-beta');
+  fs.mkdirSync(betaDir, { recursive: true });
+  fs.writeFileSync(path.join(betaDir, 'OBJECTIVE.md'), '---\nstatus: open\nlabels: ["devflow:objective"]\nassignees: []\n---\n\n# Beta\n');
+  const fm = { status: 'open', labels: ['devflow:objective'], assignees: [] };
+  const record = (num, at) => ({
+    issue_ref: `${REPO}#${num}`, etag: null, gh_updated_at: at, label_set: ['devflow:objective'],
+    assignees: [], milestone, status: 'open', last_synced_at: at, last_synced_disk_hash: hashFrontmatter(fm),
+  });
+  fs.writeFileSync(path.join(project.root, '.planning', '.gh-sync-state.json'), JSON.stringify({
+    version: 1,
+    objectives: { '01-alpha': record(10, '2026-05-01T00:00:00Z'), '02-beta': record(11, '2026-05-03T00:00:00Z') },
+  }));
+  return project;
+}
+
+async function withServer(opts, fn) {
+  const server = webhook.createServer({ secret: SECRET, ...opts });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    return await fn(url);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+let project;
+beforeEach(() => {
+  gh._setRunGh(null);
+  ghPull._setRunGh(null);
+});
+afterEach(() => {
+  gh._setRunGh(null);
+  ghPull._setRunGh(null);
+  if (project) project.cleanup();
+  project = null;
+});
+
+describe('signatures', () => {
+  test('WH1: signPayload / verifySignature round-trip; tampered body rejected', () => {
+    const body = Buffer.from('{"zen":"hi"}');
+    const sig = webhook.signPayload(SECRET, body);
+    assert.match(sig, /^sha256=[0-9a-f]{64}$/);
+    assert.strictEqual(webhook.verifySignature(SECRET, body, sig), true);
+    assert.strictEqual(webhook.verifySignature(SECRET, Buffer.from('{"zen":"ho"}'), sig), false);
+    assert.strictEqual(webhook.verifySignature('other', body, sig), false);
+    assert.strictEqual(webhook.verifySignature(SECRET, body, undefined), false);
+  });
+
+  test('WH2: unsigned or mis-signed delivery → 401, nothing queued', async () => {
+    project = buildProject();
+    await withServer({ cwd: project.root }, async (url) => {
+      const [r] = await webhook.replay({ url, secret: 'wrong-secret', fixtures: fixture('issues-closed') });
+      assert.strictEqual(r.status, 401);
+      assert.strictEqual(r.body.error, 'invalid signature');
+    });
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+  });
+});
+
+describe('deliveries', () => {
+  test('WH3: ping → 200 pong', async () => {
+    project = buildProject();
+    await withServer({ cwd: project.root }, async (url) => {
+      const [r] = await webhook.replay({ url, secret: SECRET, fixtures: fixture('ping') });
+      assert.strictEqual(r.status, 200);
+      assert.strictEqual(r.body.pong, true);
+    });
+  });
+
+  test('WH4: issues delivery with drift → inbox entry carrying the delivered issue', async () => {
+    project = buildProject();
+    await withServer({ cwd: project.root }, async (url) => {
+      const [r] = await webhook.replay({ url, secret: SECRET, fixtures: fixture('issues-closed') });
+      assert.strictEqual(r.status, 202);
+      assert.deepStrictEqual(r.body.queued, [{ objective: '02-beta', issue_ref: `${REPO}#11`, state: 'drift' }]);
+    });
+    const [entry] = webhook.readInbox(project.root);
+    assert.strictEqual(entry.event, 'issues');
+    assert.strictEqual(entry.delivery, '00000000-0000-4000-8000-000000000002');
+    assert.deepStrictEqual(Object.keys(entry.fields), ['status']);
+    assert.strictEqual(entry.gh_issue.state, 'CLOSED');
+    assert.strictEqual(entry.gh_issue.updatedAt, '2026-05-06T00:00:00Z');
+  });
+
+  test('WH5: delivery that matches the baseline → in sync, stale entry dropped', () => {
+    project = buildProject();
+    webhook.writeInbox(project.root, [{ objective: '01-alpha', issue_ref: `${REPO}#10`, state: 'refetch', gh_issue: null }]);
+    const [fxd] = fixture('issue-comment-created');
+    const r = webhook.handleDelivery(project.root, fxd);
+    assert.deepStrictEqual(r.body.in_sync, ['01-alpha']);
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+  });
+
+  test('WH6: disk and GitHub both changed the same field → queued as conflict', () => {
+    project = buildProject();
+    const objPath = path.join(project.root, '.planning', 'objectives', '02-beta', 'OBJECTIVE.md');
+    fs.writeFileSync(objPath, '---\nstatus: in_progress\nlabels: ["devflow:objective"]\nassignees: []\n---\n\n# Beta\n');
+    const [fxd] = fixture('issues-closed');
+    const r = webhook.handleDelivery(project.root, fxd);
+    assert.strictEqual(r.body.queued[0].state, 'conflict');
+    assert.ok(webhook.readInbox(project.root)[0].conflicting_fields.status);
+  });
+
+  test('WH7: untracked issue → ignored', () => {
+    project = buildProject();
+    const [fxd] = fixture('issues-closed');
+    fxd.payload.issue.number = 500;
+    const r = webhook.handleDelivery(project.root, fxd);
+    assert.strictEqual(r.status, 202);
+    assert.match(r.body.ignored, /#500 is not a tracked objective/);
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+  });
+
+  test('WH8: milestone edited (renamed) → every objective on it queued for refetch', () => {
+    project = buildProject({ milestone: 'v1.2' });
+    const [fxd] = fixture('milestone-edited');
+    const r = webhook.handleDelivery(project.root, fxd);
+    assert.deepStrictEqual(r.body.queued.map((q) => `${q.objective}:${q.state}`), ['01-alpha:refetch', '02-beta:refetch']);
+
+    fxd.payload.milestone.title = 'v9';
+    fxd.payload.changes = {};
+    fxd.delivery = '00000000-0000-4000-8000-000000000014';
+    assert.deepStrictEqual(webhook.handleDelivery(project.root, fxd).body.queued, []);
+  });
+
+  test('WH9: projects_v2_item → content node resolved to a tracked issue → refetch', () => {
+    project = buildProject();
+    const calls = [];
+    gh._setRunGh((args) => {
+      calls.push(args);
+      return { ok: true, status: 0, stderr: '', stdout: JSON.stringify({ data: { node: { number: 11, repository: { nameWithOwner: REPO } } } }) };
+    });
+    const [fxd] = fixture('projects-v2-item-edited');
+    const r = webhook.handleDelivery(project.root, fxd);
+    assert.deepStrictEqual(r.body.queued, [{ objective: '02-beta', issue_ref: `${REPO}#11`, state: 'refetch' }]);
+    assert.ok(calls[0].includes('id=I_kwDOexample11'));
+
+    fxd.payload.projects_v2_item.content_type = 'DraftIssue';
+    fxd.delivery = '00000000-0000-4000-8000-000000000015';
+    assert.match(webhook.handleDelivery(project.root, fxd).body.ignored, /content is DraftIssue/);
+  });
+
+  test('WH12: a redelivered X-GitHub-Delivery id is ignored', async () => {
+    project = buildProject();
+    await withServer({ cwd: project.root }, async (url) => {
+      const [first] = await webhook.replay({ url, secret: SECRET, fixtures: fixture('issues-closed') });
+      assert.strictEqual(first.body.queued.length, 1);
+      webhook.writeInbox(project.root, []);
+      const [again] = await webhook.replay({ url, secret: SECRET, fixtures: fixture('issues-closed') });
+      assert.strictEqual(again.status, 202);
+      assert.match(again.body.ignored, /duplicate delivery 00000000-0000-4000-8000-000000000002/);
+    });
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+    const seen = JSON.parse(fs.readFileSync(path.join(project.root, webhook.DELIVERIES_REL), 'utf-8'));
+    assert.deepStrictEqual(seen, ['00000000-0000-4000-8000-000000000002']);
+  });
+
+  test('WH13: an issue payload older than the inbox entry or the baseline is dropped', () => {
+    project = buildProject();
+    const [closed] = fixture('issues-closed');
+    webhook.handleDelivery(project.root, closed);
+
+    const [older] = fixture('issues-closed');
+    older.delivery = '00000000-0000-4000-8000-000000000013';
+    older.payload.issue.state = 'open';
+    older.payload.issue.updated_at = '2026-05-05T00:00:00Z';
+    const r = webhook.handleDelivery(project.root, older);
+    assert.match(r.body.ignored, /stale: .*#11 updated_at 2026-05-05T00:00:00Z/);
+    const [entry] = webhook.readInbox(project.root);
+    assert.strictEqual(entry.gh_issue.state, 'CLOSED', 'the newer delivery stays queued');
+
+    webhook.writeInbox(project.root, []);
+    older.delivery = '00000000-0000-4000-8000-000000000023';
+    older.payload.issue.updated_at = '2026-05-02T00:00:00Z';
+    assert.match(webhook.handleDelivery(project.root, older).body.ignored, /older than the inbox \/ baseline/);
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+  });
+});
+
+describe('applying the inbox', () => {
+  function captureRun(fn) {
+    const origStdout = process.stdout.write.bind(process.stdout);
+    const origExit = process.exit;
+    let stdout = '', exitCode = null;
+    process.stdout.write = (chunk) => { stdout += chunk; return true; };
+    process.exit = (code) => { exitCode = code; throw new Error('__exit__'); };
+    try {
+      try { fn(); } catch (e) { if (e.message !== '__exit__') throw e; }
+    } finally {
+      process.stdout.write = origStdout;
+      process.exit = origExit;
+    }
+    return { stdout, exitCode };
+  }
+
+  test('WH10: pm pull --inbox --apply writes OBJECTIVE.md and clears the inbox', async () => {
+    project = buildProject();
+    await withServer({ cwd: project.root }, (url) =>
+      webhook.replay({ url, secret: SECRET, fixtures: webhook.loadFixtures([FIXTURES]) }));
+    assert.deepStrictEqual(webhook.readInbox(project.root).map((e) => e.objective), ['02-beta']);
+
+    const calls = [];
+    ghPull._setRunGh((args) => {
+      calls.push(args.slice(0, 2).join(' '));
+      if (args[0] === 'auth') return { ok: true, status: 0, stdout: "  - Token scopes: 'repo'", stderr: '' };
+      return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+    });
+    const r = captureRun(() => ghPull.cmdGhPull(project.root, ['--inbox', '--apply'], true));
+    assert.strictEqual(r.exitCode, null, r.stdout);
+    const parsed = JSON.parse(r.stdout);
+    assert.strictEqual(parsed.inbox, true);
+    assert.deepStrictEqual(parsed.objectives.map((o) => `${o.objective}:${o.state}:${o.action}`), ['02-beta:drift:applied']);
+    assert.deepStrictEqual(calls, ['auth status'], 'delivered issue state stands in for a fetch');
+
+    const md = fs.readFileSync(path.join(project.root, '.planning', 'objectives', '02-beta', 'OBJECTIVE.md'), 'utf-8');
+    assert.match(md, /status: done/);
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+
+    const empty = captureRun(() => ghPull.cmdGhPull(project.root, ['--inbox'], false));
+    assert.match(empty.stdout, /Webhook inbox is empty/);
+  });
+
+  test('WH11: receiver with apply → drift applied as it arrives', async () => {
+    project = buildProject();
+    const logs = [];
+    await withServer({ cwd: project.root, apply: true, log: (level, msg) => logs.push(`${level} ${msg}`) }, async (url) => {
+      const [r] = await webhook.replay({ url, secret: SECRET, fixtures: fixture('issues-closed') });
+      assert.deepStrictEqual(r.body.applied, [{ objective: '02-beta', state: 'drift', action: 'applied' }]);
+    });
+    const md = fs.readFileSync(path.join(project.root, '.planning', 'objectives', '02-beta', 'OBJECTIVE.md'), 'utf-8');
+    assert.match(md, /status: done/);
+    assert.deepStrictEqual(webhook.readInbox(project.root), []);
+    assert.match(logs.join('\n'), /issues → 202 queued 02-beta:drift/);
+  });
+});
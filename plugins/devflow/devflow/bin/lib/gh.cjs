@@ -18,6 +18,17 @@
  *   addToProject(issueRef, projectId) — adds issue to a Project v2.
  *   linkSubIssue(parentRef, childRef) — links child as sub-issue of parent.
  *   cmdGhResolve(cwd, objectiveId, raw) — CLI entry point for `gh resolve`.
+ *
+ * With `github.sub_issues: true`, syncObjective also pushes each TRD/JOB plan
+ * as a sub-issue of the objective issue (lib/gh-subissues.cjs).
+ *
+ * `github.project_fields` maps frontmatter keys and computed values onto custom
+ * Project fields, validated against the live schema from walkProject
+ * (lib/gh-project-fields.cjs, `pm fields`).
+ *
+ * Outbound writes that fail transiently (sticky comment, Project fields,
+ * comment, close) are queued in .planning/.pm-outbox.jsonl (lib/pm-outbox.cjs)
+ * and replayed by `df-tools pm flush` (cmdGhFlush).
  */
 
 const fs = require('fs');
@@ -26,6 +37,7 @@ const { spawnSync } = require('child_process');
 const { output } = require('./helpers.cjs');
 const { extractFrontmatter } = require('./frontmatter.cjs');
 const { recordSync, hashFrontmatter } = require('./sync-state.cjs');
+const outbox = require('./pm-outbox.cjs');
 
 const MAPPING_REL = path.join('.planning', '.gh-mapping.json');
 
@@ -708,7 +720,12 @@ function cmdGhStatus(cwd, raw) {
   output(status, raw, status.enabled ? 'enabled' : status.reason);
 }
 
-function cmdGhSyncObjectives(cwd, raw) {
+/**
+ * `pm sync-objectives` — create/update one issue per ROADMAP objective.
+ * `legacyKeys` (the `gh` alias) adds the pre-pm keys `repo` and
+ * `milestone.number` next to `target` and `milestone.id`.
+ */
+function cmdGhSyncObjectives(cwd, raw, { legacyKeys = false } = {}) {
   const status = ghStatus(cwd);
   if (!status.enabled) {
     output({ ok: false, skipped: true, reason: status.reason }, raw, '');
@@ -727,7 +744,7 @@ function cmdGhSyncObjectives(cwd, raw) {
   const milestoneTitle = `${status.milestone_prefix || 'v'}${milestoneVersion.replace(/^v/, '')}`;
   const repo = status.repo;
   const baseLabel = (status.labels && status.labels.objective) || 'devflow:objective';
-  const result = { ok: true, repo, milestone: null, objectives: [] };
+  const result = { ok: true, backend: 'github', target: repo, milestone: null, objectives: [], warnings: [] };
 
   // Ensure milestone exists (best-effort — gh has no `milestone create`, use API)
   if (!mapping.milestone_id) {
@@ -736,7 +753,7 @@ function cmdGhSyncObjectives(cwd, raw) {
       try {
         const json = JSON.parse(create.stdout);
         mapping.milestone_id = json.number;
-        result.milestone = { number: json.number, title: milestoneTitle, created: true };
+        result.milestone = { id: json.number, title: milestoneTitle, created: true };
       } catch {}
     } else if (/already_exists/i.test(create.stderr)) {
       // Look up existing milestone
@@ -747,13 +764,13 @@ function cmdGhSyncObjectives(cwd, raw) {
           const found = arr.find(m => m.title === milestoneTitle);
           if (found) {
             mapping.milestone_id = found.number;
-            result.milestone = { number: found.number, title: milestoneTitle, created: false };
+            result.milestone = { id: found.number, title: milestoneTitle, created: false };
           }
         } catch {}
       }
     }
   } else {
-    result.milestone = { number: mapping.milestone_id, title: milestoneTitle, created: false };
+    result.milestone = { id: mapping.milestone_id, title: milestoneTitle, created: false };
   }
 
   // Ensure label exists
@@ -774,6 +791,7 @@ function cmdGhSyncObjectives(cwd, raw) {
       result.objectives.push({
         number: obj.number,
         issue: existingIssue,
+        issue_ref: `${repo}#${existingIssue}`,
         action: edit.ok ? 'updated' : 'failed',
         error: edit.ok ? null : edit.stderr,
       });
@@ -787,8 +805,9 @@ function cmdGhSyncObjectives(cwd, raw) {
       if (create.ok) {
         const m = create.stdout.match(/\/issues\/(\d+)/);
         if (m) {
-          mapping.objectives[obj.number] = parseInt(m[1], 10);
-          result.objectives.push({ number: obj.number, issue: parseInt(m[1], 10), action: 'created' });
+          const issue = parseInt(m[1], 10);
+          mapping.objectives[obj.number] = issue;
+          result.objectives.push({ number: obj.number, issue, issue_ref: `${repo}#${issue}`, action: 'created' });
         }
       } else {
         result.objectives.push({ number: obj.number, action: 'failed', error: create.stderr });
@@ -812,11 +831,10 @@ function cmdGhSyncObjectives(cwd, raw) {
     } catch (_) {
       continue;
     }
-    const issueRef = `${repo}#${item.issue}`;
     const nowIso = new Date().toISOString();
     try {
       recordSync(cwd, item.number, {
-        issue_ref: issueRef,
+        issue_ref: item.issue_ref,
         etag: null,
         gh_updated_at: nowIso, // approximate; we just wrote
         label_set: [baseLabel], // we just applied this label
@@ -831,6 +849,10 @@ function cmdGhSyncObjectives(cwd, raw) {
     }
   }
 
+  if (legacyKeys) {
+    result.repo = repo;
+    if (result.milestone) result.milestone.number = result.milestone.id;
+  }
   output(result, raw, '');
 }
 
@@ -850,6 +872,15 @@ function _findObjectiveDir(cwd, objectiveNumber) {
   return null;
 }
 
+// Comment body argument: literal text, or @file:/path/to/file.md.
+// Returns { ok: true, body } or { ok: false, reason }.
+function readBodyArg(body) {
+  if (!body.startsWith('@file:')) return { ok: true, body };
+  const filePath = body.slice('@file:'.length);
+  if (!fs.existsSync(filePath)) return { ok: false, reason: `File not found: ${filePath}` };
+  return { ok: true, body: fs.readFileSync(filePath, 'utf-8') };
+}
+
 function cmdGhComment(cwd, issueOrObjective, body, raw) {
   const status = ghStatus(cwd);
   if (!status.enabled) {
@@ -873,20 +904,25 @@ function cmdGhComment(cwd, issueOrObjective, body, raw) {
     return;
   }
 
-  // Body may be @file:/path/to/file.md
-  let actualBody = body;
-  if (body.startsWith('@file:')) {
-    const filePath = body.slice('@file:'.length);
-    if (!fs.existsSync(filePath)) {
-      output({ ok: false, reason: `File not found: ${filePath}` }, raw, '');
-      return;
-    }
-    actualBody = fs.readFileSync(filePath, 'utf-8');
+  const bodyArg = readBodyArg(body);
+  if (!bodyArg.ok) {
+    output({ ok: false, reason: bodyArg.reason }, raw, '');
+    return;
   }
 
-  const r = runGh(['issue', 'comment', String(issue), '--repo', status.repo, '--body', actualBody]);
+  const issueRef = `${status.repo}#${issue}`;
+  const payload = { body: bodyArg.body };
+  // Marked up front: a post that times out after GitHub stored it is found on replay.
+  const marker = _outboxMarker(outbox.idempotencyKey({ backend: 'github', op: 'comment', target: issueRef, payload }));
+  const r = _runGh(['issue', 'comment', String(issue), '--repo', status.repo, '--body', `${bodyArg.body}\n\n${marker}`]);
+  const queued = r.ok ? null : _queueWrite(cwd, {
+    op: 'comment', target: issueRef, payload, error: r.stderr,
+  });
   output(
-    { ok: r.ok, issue, error: r.ok ? null : r.stderr, url: r.ok ? r.stdout : null },
+    {
+      ok: r.ok, issue, issue_ref: issueRef, error: r.ok ? null : r.stderr, url: r.ok ? r.stdout : null,
+      ...(queued ? { queued: queued.id } : {}),
+    },
     raw,
     ''
   );
@@ -904,13 +940,22 @@ function cmdGhCloseIssue(cwd, objectiveOrIssue, comment, raw) {
     output({ ok: false, reason: `No issue mapped for ${objectiveOrIssue}` }, raw, '');
     return;
   }
+  const issueRef = `${status.repo}#${issue}`;
   const args = ['issue', 'close', String(issue), '--repo', status.repo];
   if (comment) args.push('--comment', comment);
-  const r = runGh(args);
-  output({ ok: r.ok, issue, error: r.ok ? null : r.stderr }, raw, '');
+  const r = _runGh(args);
+  const queued = r.ok ? null : _queueWrite(cwd, {
+    op: 'close_issue', target: issueRef, payload: { comment: comment || null },
+    supersedeKey: `close_issue:${issueRef}`, error: r.stderr,
+  });
+  output(
+    { ok: r.ok, issue, issue_ref: issueRef, error: r.ok ? null : r.stderr, ...(queued ? { queued: queued.id } : {}) },
+    raw,
+    ''
+  );
 }
 
-function cmdGhSyncRelease(cwd, tag, raw) {
+function cmdGhSyncRelease(cwd, tag, raw, { objectives = false } = {}) {
   const status = ghStatus(cwd);
   if (!status.enabled) {
     output({ ok: false, skipped: true, reason: status.reason }, raw, '');
@@ -935,7 +980,7 @@ function cmdGhSyncRelease(cwd, tag, raw) {
     { encoding: 'utf-8', cwd }
   );
 
-  const lines = [`# Release ${tag}`, '', prev ? `Changes since ${prev}.` : 'Initial release.', ''];
+  let lines = [`# Release ${tag}`, '', prev ? `Changes since ${prev}.` : 'Initial release.', ''];
 
   // Group commits by type prefix (feat/fix/docs/etc)
   const groups = { feat: [], fix: [], perf: [], refactor: [], chore: [], docs: [], other: [] };
@@ -978,6 +1023,22 @@ function cmdGhSyncRelease(cwd, tag, raw) {
     }
   }
 
+  // --objectives: notes from the objectives the release completed (lib/release-notes.cjs);
+  // the commit listing above stays when none is complete.
+  let notesJson = null;
+  let source = 'commits';
+  if (objectives) {
+    const notes = require('./changelog.cjs').buildReleaseNotes(cwd, { version: tag, from: prev, to: tag });
+    if (notes.source === 'objectives') {
+      source = 'objectives';
+      // Drop the "## [x.y.z] - date" heading; the release title carries the tag.
+      lines = [`# Release ${tag}`, '', notes.markdown.split('\n').slice(2).join('\n').trim(), ''];
+    }
+    const { markdown, ...structured } = notes;
+    notesJson = path.join(require('os').tmpdir(), `df-release-${Date.now()}.json`);
+    fs.writeFileSync(notesJson, JSON.stringify(structured, null, 2) + '\n');
+  }
+
   const tmpNotes = path.join(require('os').tmpdir(), `df-release-${Date.now()}.md`);
   fs.writeFileSync(tmpNotes, lines.join('\n'));
 
@@ -991,7 +1052,7 @@ function cmdGhSyncRelease(cwd, tag, raw) {
   }
 
   output(
-    { ok: r.ok, tag, prev_tag: prev, range, notes_file: tmpNotes, action: existing.ok ? 'edited' : 'created', error: r.ok ? null : r.stderr, url: r.ok ? r.stdout : null },
+    { ok: r.ok, tag, prev_tag: prev, range, source, notes_file: tmpNotes, ...(notesJson ? { notes_json: notesJson } : {}), action: existing.ok ? 'edited' : 'created', error: r.ok ? null : r.stderr, url: r.ok ? r.stdout : null },
     raw,
     ''
   );
@@ -1203,20 +1264,32 @@ const PRODUCT_ROADMAP_FIELDS = (() => {
   return out;
 })();
 
+// Non-select field types → [ProjectV2FieldValue key, GraphQL scalar].
+const PROJECT_VALUE_INPUTS = {
+  text: ['text', 'String'],
+  number: ['number', 'Float'],
+  date: ['date', 'Date'],
+  iteration: ['iterationId', 'String'],
+};
+
 /**
- * updateProjectFields(issueRef, projectId, fields) — update Project v2 field values.
- * Uses PRODUCT_ROADMAP_FIELDS (populated from cassette at module load).
- * Stubs safely if PRODUCT_ROADMAP_FIELDS._captured is false.
+ * updateProjectFields(issueRef, projectId, fields, { schema }) — update Project v2 field values.
+ * Uses PRODUCT_ROADMAP_FIELDS (populated from cassette at module load) unless
+ * `schema` is given — the live schema from walkProject, which also carries
+ * text / number / date / iteration fields (github.project_fields mappings).
+ * Stubs safely if PRODUCT_ROADMAP_FIELDS._captured is false and no schema is given.
  * Returns { ok, fields_updated, warnings?, errors?, error? }.
  *
  * Field shape: PRODUCT_ROADMAP_FIELDS[fieldName] = { field_id, options: { optionName: optionId } }
+ *              schema[fieldName] = { id, type, options?, iterations? }
+ * Values are option names / iteration titles for select and iteration fields.
  */
-function updateProjectFields(issueRef, projectId, fields = {}) {
+function updateProjectFields(issueRef, projectId, fields = {}, { schema = null } = {}) {
   if (!projectId) {
     return { ok: false, error: 'no projectId; cannot update fields', fields_updated: [] };
   }
 
-  if (!PRODUCT_ROADMAP_FIELDS._captured) {
+  if (!schema && !PRODUCT_ROADMAP_FIELDS._captured) {
     return {
       ok: false,
       error: 'Project field IDs not yet captured (cassette missing)',
@@ -1259,25 +1332,47 @@ function updateProjectFields(issueRef, projectId, fields = {}) {
   const errors = [];
 
   for (const [fieldName, fieldValue] of Object.entries(fields)) {
-    const fieldDef = PRODUCT_ROADMAP_FIELDS[fieldName];
-    if (!fieldDef || !fieldDef.field_id) {
+    const fieldDef = schema ? schema[fieldName] : PRODUCT_ROADMAP_FIELDS[fieldName];
+    const fieldId = fieldDef && (fieldDef.field_id || fieldDef.id);
+    if (!fieldId) {
       warnings.push(`unknown field: ${fieldName}`);
       continue;
     }
-    const optionId = fieldDef.options && fieldDef.options[fieldValue];
-    if (!optionId) {
-      warnings.push(`unknown option for ${fieldName}: ${fieldValue}`);
+    const type = fieldDef.type || 'single_select';
+    let args;
+    if (type === 'single_select') {
+      const optionId = fieldDef.options && fieldDef.options[fieldValue];
+      if (!optionId) {
+        warnings.push(`unknown option for ${fieldName}: ${fieldValue}`);
+        continue;
+      }
+      const mutation = `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $optionId: String!) { updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { singleSelectOptionId: $optionId } }) { projectV2Item { id } } }`;
+      args = ['-f', `query=${mutation}`, '-F', `optionId=${optionId}`];
+    } else if (PROJECT_VALUE_INPUTS[type]) {
+      const [key, gqlType] = PROJECT_VALUE_INPUTS[type];
+      let value = fieldValue;
+      if (type === 'iteration') {
+        value = fieldDef.iterations && fieldDef.iterations[fieldValue];
+        if (!value) {
+          warnings.push(`unknown iteration for ${fieldName}: ${fieldValue}`);
+          continue;
+        }
+      }
+      const mutation = `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ${gqlType}!) { updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { ${key}: $value } }) { projectV2Item { id } } }`;
+      // -F types numbers; strings go through -f so "2026" stays a string.
+      args = ['-f', `query=${mutation}`, type === 'number' ? '-F' : '-f', `value=${value}`];
+    } else {
+      warnings.push(`unsupported field type for ${fieldName}: ${type}`);
       continue;
     }
 
-    const mutation = `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $optionId: String!) { updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { singleSelectOptionId: $optionId } }) { projectV2Item { id } } }`;
     const r = _runGh([
       'api', 'graphql',
-      '-f', `query=${mutation}`,
+      args[0], args[1],
       '-F', `projectId=${projectId}`,
       '-F', `itemId=${itemId}`,
-      '-F', `fieldId=${fieldDef.field_id}`,
-      '-F', `optionId=${optionId}`,
+      '-F', `fieldId=${fieldId}`,
+      ...args.slice(2),
     ]);
     if (r.ok) {
       fields_updated.push(fieldName);
@@ -1395,7 +1490,7 @@ function readObjectiveState(objectiveId, projectRoot) {
  * Steps: requireGhAuth → resolveChain → readObjectiveState → buildIssueBody →
  *   gh issue edit → buildStickyComment → upsertStickyComment → updateProjectFields → return result.
  *
- * Returns { ok, issue_updated, comment_action, comment_id, project_fields_updated, chain, state, warnings }
+ * Returns { ok, issue_updated, comment_action, comment_id, project_fields_updated, sub_issues, chain, state, warnings }
  * or { ok: false, error, warnings }.
  */
 function syncObjective(objectiveId, projectRoot) {
@@ -1475,17 +1570,65 @@ function syncObjective(objectiveId, projectRoot) {
     fieldUpdates.Quarter = chain.milestone.quarter;
   }
 
+  // A github.project_fields entry of the same name replaces the built-in push.
+  const projectFieldsMod = require('./gh-project-fields.cjs');
+  const fieldMapping = projectFieldsMod.readFieldMapping(projectRoot).mapping;
+  for (const name of Object.keys(fieldMapping || {})) delete fieldUpdates[name];
+
   const projectUpdate = updateProjectFields(issueRef, chain.org_project, fieldUpdates);
 
+  // 8a. Mapped fields (opt-in: github.project_fields), checked against the live schema
+  const mappedFields = fieldMapping && chain.org_project
+    ? projectFieldsMod.syncMappedFields(projectRoot, { objectiveId, issueRef, projectId: chain.org_project, chain, state })
+    : { fields_updated: [], warnings: [] };
+
+  // 8b. TRD/JOB plans as sub-issues (opt-in: github.sub_issues)
+  const subIssuesMod = require('./gh-subissues.cjs');
+  const subIssues = subIssuesMod.subIssuesEnabled(projectRoot)
+    ? subIssuesMod.syncSubIssues(projectRoot, objectiveId, issueRef)
+    : { plans: [], warnings: [] };
+
+  // 9. Queue failed writes for `pm flush` instead of dropping them. Only the
+  //    newest sticky body matters; queued Project fields merge per field.
+  const queued = [];
+  const queueWarnings = [];
+  if (upsert.action === 'failed') {
+    const q = _queueWrite(projectRoot, {
+      op: 'sticky_comment', target: issueRef, payload: { objective: String(state.number), body: stickyBody },
+      supersedeKey: `sticky_comment:${issueRef}`, error: upsert.error,
+    });
+    if (q) {
+      queued.push({ op: 'sticky_comment', id: q.id });
+      queueWarnings.push(`sticky comment update failed; queued as ${q.id} (run \`df-tools pm flush\`)`);
+    }
+  }
+  if (!projectUpdate.ok && chain.org_project && PRODUCT_ROADMAP_FIELDS._captured) {
+    const failed = projectUpdate.errors
+      ? Object.fromEntries(projectUpdate.errors.map((e) => [e.field, fieldUpdates[e.field]]))
+      : fieldUpdates;
+    const q = _queueWrite(projectRoot, {
+      op: 'project_fields', target: issueRef, payload: { project_id: chain.org_project, fields: failed },
+      supersedeKey: `project_fields:${issueRef}:${chain.org_project}`,
+      merge: (older, newer) => ({ ...newer, fields: { ...older.fields, ...newer.fields } }),
+      error: projectUpdate.error || (projectUpdate.errors || []).map((e) => e.error).join('; '),
+    });
+    if (q) {
+      queued.push({ op: 'project_fields', id: q.id });
+      queueWarnings.push(`Project field update failed; queued as ${q.id} (run \`df-tools pm flush\`)`);
+    }
+  }
+
   return {
     ok: true,
     issue_updated: editR.ok,
     comment_action: upsert.action,
     comment_id: upsert.comment_id,
-    project_fields_updated: projectUpdate.fields_updated || [],
+    project_fields_updated: [...(projectUpdate.fields_updated || []), ...mappedFields.fields_updated],
+    sub_issues: subIssues.plans,
+    queued,
     chain,
     state,
-    warnings: [...(chain.warnings || []), ...(projectUpdate.warnings || [])],
+    warnings: [...(chain.warnings || []), ...(projectUpdate.warnings || []), ...mappedFields.warnings, ...queueWarnings, ...subIssues.warnings],
   };
 }
 
@@ -1529,14 +1672,19 @@ function cmdGhSyncObjective(cwd, objectiveId, raw) {
  * Walk all items in a Project v2 (e.g., the org Product Roadmap).
  * Paginates via GraphQL pageInfo.endCursor until hasNextPage=false.
  *
- * Returns { items: [...], warnings: [...] }.
+ * Returns { items: [...], warnings: [...], fields: {...} }.
  *
  * Each item:
  *   { item_type: 'issue'|'draft',
  *     issue_ref: 'owner/repo#NN' | null,
  *     title, body,
  *     product, quarter, status,    // from Project custom fields
- *     sub_issues: [{ ref, title, state }] }
+ *     sub_issues: [{ ref, title, state }],
+ *     field_values: { [fieldName]: option name | text | number | date | iteration title } }
+ *
+ * fields is the Project schema: { [fieldName]: { id, type, options?, iterations? } }
+ * with type single_select | text | number | date | iteration (built-ins keep
+ * their lower-cased dataType). options / iterations map name → id.
  *
  * sub_issues comes from the GitHub-native trackedIssues field. When totalCount===0,
  * scanOrg (in awareness.cjs) falls back to parsing the issue body for task-list bullets.
@@ -1551,6 +1699,8 @@ function walkProject(projectId) {
 
   const items = [];
   const warnings = [];
+  const fields = {};
+  let schemaRead = false;
   let cursor = null;
   let pageCount = 0;
   const MAX_PAGES = 100;
@@ -1575,14 +1725,24 @@ function walkProject(projectId) {
               }
               ... on DraftIssue { title body }
             }
-            fieldValues(first: 10) {
+            fieldValues(first: 30) {
               nodes {
                 ... on ProjectV2ItemFieldSingleSelectValue { name field { ... on ProjectV2SingleSelectField { name } } }
                 ... on ProjectV2ItemFieldTextValue { text field { ... on ProjectV2Field { name } } }
+                ... on ProjectV2ItemFieldNumberValue { number field { ... on ProjectV2Field { name } } }
+                ... on ProjectV2ItemFieldDateValue { date field { ... on ProjectV2Field { name } } }
+                ... on ProjectV2ItemFieldIterationValue { title field { ... on ProjectV2IterationField { name } } }
               }
             }
           }
         }
+        fields(first: 50) {
+          nodes {
+            ... on ProjectV2Field { id name dataType }
+            ... on ProjectV2SingleSelectField { id name dataType options { id name } }
+            ... on ProjectV2IterationField { id name dataType configuration { iterations { id title startDate } completedIterations { id title startDate } } }
+          }
+        }
       }
     }
   }`;
@@ -1622,7 +1782,8 @@ function walkProject(projectId) {
       for (const fv of (itemNode.fieldValues && itemNode.fieldValues.nodes) || []) {
         const fName = fv.field && fv.field.name;
         if (!fName) continue;
-        fieldsByName[fName] = fv.name || fv.text || null;
+        const v = [fv.name, fv.text, fv.number, fv.date, fv.title].find((x) => x != null);
+        fieldsByName[fName] = v === undefined || v === '' ? null : v;
       }
 
       if (c.__typename === 'DraftIssue') {
@@ -1635,6 +1796,7 @@ function walkProject(projectId) {
           quarter: fieldsByName.Quarter || null,
           status: fieldsByName.Status || null,
           sub_issues: [],
+          field_values: fieldsByName,
         });
       } else if (c.__typename === 'Issue') {
         const repo = c.repository && c.repository.nameWithOwner;
@@ -1653,16 +1815,51 @@ function walkProject(projectId) {
           quarter: fieldsByName.Quarter || null,
           status: fieldsByName.Status || null,
           sub_issues,
+          field_values: fieldsByName,
         });
       }
     }
 
+    if (!schemaRead && node.fields && Array.isArray(node.fields.nodes)) {
+      Object.assign(fields, _projectSchema(node.fields.nodes));
+      schemaRead = true;
+    }
+
     if (!node.items.pageInfo || !node.items.pageInfo.hasNextPage) break;
     cursor = node.items.pageInfo.endCursor || null;
     if (!cursor) break;
   }
 
-  return { items, warnings };
+  return { items, warnings, fields };
+}
+
+// GraphQL dataType → the field types github.project_fields speaks.
+const PROJECT_FIELD_TYPES = {
+  SINGLE_SELECT: 'single_select',
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  ITERATION: 'iteration',
+};
+
+// ProjectV2 `fields.nodes` → { [name]: { id, type, options?, iterations? } }.
+// Built-in fields (Title, Assignees, Labels, ...) keep their lower-cased
+// dataType so a mapping that targets one fails validation by type.
+function _projectSchema(nodes) {
+  const schema = {};
+  for (const n of nodes) {
+    if (!n || !n.name || !n.id) continue;
+    const entry = { id: n.id, type: PROJECT_FIELD_TYPES[n.dataType] || String(n.dataType || '').toLowerCase() };
+    if (Array.isArray(n.options)) {
+      entry.options = Object.fromEntries(n.options.map((o) => [o.name, o.id]));
+    }
+    if (n.configuration) {
+      const its = [...(n.configuration.iterations || []), ...(n.configuration.completedIterations || [])];
+      entry.iterations = Object.fromEntries(its.map((i) => [i.title, i.id]));
+    }
+    schema[n.name] = entry;
+  }
+  return schema;
 }
 
 // ─── TRD 05-03: readIssueState ────────────────────────────────────────────────
@@ -1679,7 +1876,141 @@ function readIssueState(issueRef) {
   return _runGh(['issue', 'view', issueRef, '--json', 'state,closed']);
 }
 
+// ─── Outbox (queued writes) ──────────────────────────────────────────────────
+
+// Errors retrying cannot fix: the issue/comment is gone or the input is invalid.
+function _isPermanentGhError(stderr) {
+  return /HTTP (404|410|422)\b|Could not resolve to an? (Issue|Repository)/i.test(stderr || '');
+}
+
+/**
+ * Queue a failed GitHub write unless the failure is permanent. Best-effort:
+ * returns the enqueue result, or null when nothing was queued.
+ */
+function _queueWrite(cwd, { op, target, payload, supersedeKey = null, merge = null, error = null }) {
+  if (_isPermanentGhError(error)) return null;
+  try {
+    return outbox.enqueue(cwd, { backend: 'github', op, target, payload, supersedeKey, merge, error: error || null });
+  } catch (_) {
+    return null;
+  }
+}
+
+// Hidden marker appended to every comment cmdGhComment posts (first attempt
+// and replays) so a replay can tell whether an earlier attempt already landed
+// (the idempotency key survives on GitHub).
+function _outboxMarker(key) {
+  return `<!-- df:outbox:${key} -->`;
+}
+
+/**
+ * Replay handlers for pm-outbox.flushOutbox, keyed by op. Each returns
+ * { ok, error?, permanent? }.
+ */
+function _outboxHandlers(cwd) {
+  const fail = (stderr, fallback) => ({
+    ok: false,
+    error: stderr || fallback,
+    permanent: _isPermanentGhError(stderr),
+  });
+
+  return {
+    sticky_comment(entry) {
+      const mapping = readMappingV2(cwd);
+      const num = entry.payload.objective;
+      const mappingEntry = mapping.objectives[num] || { issue_id: parseInt(entry.target.split('#')[1], 10), state_comment_id: null };
+      const r = upsertStickyComment(entry.target, entry.payload.body, mappingEntry);
+      if (r.action === 'failed') return fail(r.error, 'sticky comment upsert failed');
+      if (r.comment_id && r.comment_id !== mappingEntry.state_comment_id) {
+        mapping.objectives[num] = { ...mappingEntry, state_comment_id: r.comment_id };
+        writeMappingV2(cwd, mapping);
+      }
+      return { ok: true };
+    },
+
+    project_fields(entry) {
+      const r = updateProjectFields(entry.target, entry.payload.project_id, entry.payload.fields);
+      if (r.ok) return { ok: true };
+      const msg = r.error || (r.errors || []).map((e) => `${e.field}: ${e.error}`).join('; ');
+      // Missing field IDs / project id will not appear on retry either.
+      if (/no projectId|not yet captured|malformed issueRef/.test(r.error || '')) return { ok: false, error: msg, permanent: true };
+      return fail(msg, 'Project field update failed');
+    },
+
+    close_issue(entry) {
+      const [repo, num] = entry.target.split('#');
+      const args = ['issue', 'close', num, '--repo', repo];
+      if (entry.payload.comment) args.push('--comment', entry.payload.comment);
+      const r = _runGh(args);
+      if (r.ok || /already closed/i.test(r.stderr)) return { ok: true };
+      return fail(r.stderr, 'gh issue close failed');
+    },
+
+    comment(entry) {
+      const [repo, num] = entry.target.split('#');
+      const marker = _outboxMarker(entry.key);
+      // Every page: on a busy issue the earlier attempt can sit past the first 30.
+      const list = _runGh([
+        'api', '--paginate',
+        `repos/${repo}/issues/${num}/comments?per_page=100`,
+        '--jq', `.[] | select((.body // "") | contains(${JSON.stringify(marker)})) | .id`,
+      ]);
+      if (list.ok && list.stdout.trim()) return { ok: true };
+      const r = _runGh(['issue', 'comment', num, '--repo', repo, '--body', `${entry.payload.body}\n\n${marker}`]);
+      return r.ok ? { ok: true } : fail(r.stderr, 'gh issue comment failed');
+    },
+  };
+}
+
+/**
+ * cmdGhFlush(cwd, args, raw) — `df-tools pm flush [--force] [--dry-run]`.
+ * Replays due GitHub entries from .planning/.pm-outbox.jsonl. --force ignores
+ * retry backoff; --dry-run lists what would be sent without sending.
+ */
+function cmdGhFlush(cwd, args = [], raw) {
+  const status = ghStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason, queued: outbox.readOutbox(cwd).length }, raw, '');
+    return;
+  }
+  const { results, summary } = outbox.flushOutbox(cwd, _outboxHandlers(cwd), {
+    backend: 'github',
+    force: args.includes('--force'),
+    dryRun: args.includes('--dry-run'),
+  });
+  output({
+    ok: summary.retrying === 0,
+    dry_run: args.includes('--dry-run'),
+    summary,
+    remaining: outbox.readOutbox(cwd).length,
+    entries: results,
+  }, raw, '');
+}
+
+// ─── `df-tools pm` verb table ────────────────────────────────────────────────
+
+// Entry points for lib/pm-cli.cjs. Every PM backend exports the same verbs with
+// the same (cwd, args, raw) signature; args excludes the verb itself. pm-cli
+// also passes the invoked command ('pm' or 'gh') as a fourth argument.
+const pmCommands = {
+  status: (cwd, args, raw) => cmdGhStatus(cwd, raw),
+  'sync-objectives': (cwd, args, raw, command) => cmdGhSyncObjectives(cwd, raw, { legacyKeys: command === 'gh' }),
+  sync: (cwd, args, raw) => cmdGhSyncObjective(cwd, args[0], raw),
+  resolve: (cwd, args, raw) => cmdGhResolve(cwd, args[0], raw),
+  pull: (cwd, args, raw) => require('./gh-pull.cjs').cmdGhPull(cwd, args, raw),
+  comment: (cwd, args, raw) => cmdGhComment(cwd, args[0], args[1], raw),
+  'close-issue': (cwd, args, raw) => cmdGhCloseIssue(cwd, args[0], args[1] || null, raw),
+  'sync-release': (cwd, args, raw) => cmdGhSyncRelease(cwd, args.find((a) => !a.startsWith('--')), raw, {
+    objectives: args.includes('--objectives'),
+  }),
+  flush: (cwd, args, raw) => cmdGhFlush(cwd, args, raw),
+  fields: (cwd, args, raw) => require('./gh-project-fields.cjs').cmdGhFields(cwd, args, raw),
+};
+
 module.exports = {
+  // `df-tools pm` verbs (lib/pm-cli.cjs):
+  pmCommands,
+
   // EXISTING (preserved unchanged — graceful-skip behavior):
   ghStatus,
   cmdGhStatus,
@@ -1688,6 +2019,9 @@ module.exports = {
   cmdGhCloseIssue,
   cmdGhSyncRelease,
 
+  // Offline outbox replay (`pm flush`):
+  cmdGhFlush,
+
   // NEW in TRD 01-02:
   resolveChain,
   findRoadmapIssue,
@@ -1718,6 +2052,14 @@ module.exports = {
   // NEW in TRD 05-03 — issue state reader for stale detection:
   readIssueState,
 
+  // Shared with non-GitHub PM backends (lib/linear.cjs, lib/jira.cjs) — ROADMAP/disk readers:
+  listObjectives,
+  getProjectName,
+  getMilestoneVersion,
+  formatIssueBody,
+  readBodyArg,
+  _findObjectiveDir,
+
   // Test hooks (TRD 01-02):
   _resetCache,
   _setRunGh,
@@ -2666,3 +2666,202 @@ test('GG2 (02-03): walkProject with no projectId returns empty items with warnin
   assert.deepStrictEqual(result.items, []);
   assert.ok(result.warnings.length > 0, 'GG2: should warn on missing projectId');
 });
+
+// ─── Group OB: outbox — queued writes + cmdGhFlush ───────────────────────────
+
+describe('outbox (queued writes, pm flush)', () => {
+  const outbox = require('./pm-outbox.cjs');
+  const REPO = 'acme/app';
+  let root;
+  let bin;
+  let savedPath;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-gh-outbox-'));
+    fs.mkdirSync(path.join(root, '.planning'));
+    fs.writeFileSync(path.join(root, '.planning', 'config.json'), JSON.stringify({ github: { enabled: true, repo: REPO } }));
+    // ghStatus() probes `which gh`; the mock handles every real call.
+    bin = fs.mkdtempSync(path.join(os.tmpdir(), 'df-gh-outbox-bin-'));
+    fs.writeFileSync(path.join(bin, 'gh'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+    savedPath = process.env.PATH;
+    process.env.PATH = `${bin}${path.delimiter}${savedPath}`;
+  });
+
+  afterEach(() => {
+    process.env.PATH = savedPath;
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(bin, { recursive: true, force: true });
+  });
+
+  function capture(fn) {
+    const orig = process.stdout.write.bind(process.stdout);
+    const origExit = process.exit;
+    let stdout = '';
+    process.stdout.write = (c) => { stdout += c; return true; };
+    process.exit = () => { throw new Error('__exit__'); };
+    try {
+      fn();
+    } catch (e) {
+      if (e.message !== '__exit__') throw e;
+    } finally {
+      process.stdout.write = orig;
+      process.exit = origExit;
+    }
+    return JSON.parse(stdout);
+  }
+
+  const AUTH = ['auth status', { ok: true, status: 0, stdout: AUTH_STDOUT_SYNC, stderr: '' }];
+
+  test('OB1: cmdGhComment transient failure → queued, id reported', () => {
+    gh._setRunGh(fx.buildMockRunGh(new Map([
+      AUTH,
+      ['issue comment', { ok: false, status: 1, stdout: '', stderr: 'error connecting to api.github.com' }],
+    ])));
+    const out = capture(() => gh.cmdGhComment(root, '7', 'Verified', false));
+    assert.strictEqual(out.ok, false);
+    const queued = outbox.readOutbox(root);
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(out.queued, queued[0].id);
+    assert.deepStrictEqual([queued[0].op, queued[0].target, queued[0].payload], ['comment', `${REPO}#7`, { body: 'Verified' }]);
+  });
+
+  test('OB2: permanent failures (404 / unresolvable issue) are not queued', () => {
+    gh._setRunGh(fx.buildMockRunGh(new Map([
+      AUTH,
+      ['issue close', { ok: false, status: 1, stdout: '', stderr: 'GraphQL: Could not resolve to an issue or pull request with the number of 7.' }],
+      ['issue comment', { ok: false, status: 1, stdout: '', stderr: 'HTTP 404: Not Found' }],
+    ])));
+    const closed = capture(() => gh.cmdGhCloseIssue(root, '7', null, false));
+    const commented = capture(() => gh.cmdGhComment(root, '7', 'x', false));
+    assert.strictEqual(closed.queued, undefined);
+    assert.strictEqual(commented.queued, undefined);
+    assert.deepStrictEqual(outbox.readOutbox(root), []);
+  });
+
+  test('OB3: flush posts queued comments with an idempotency marker; a retry that already landed is not reposted', () => {
+    const q = outbox.enqueue(root, { op: 'comment', target: `${REPO}#7`, payload: { body: 'Verified' } });
+
+    const first = fx.buildMockRunGh(new Map([AUTH, ['issue comment', { ok: false, status: 1, stdout: '', stderr: 'HTTP 502: Bad Gateway' }]]));
+    gh._setRunGh(first);
+    const out1 = capture(() => gh.cmdGhFlush(root, [], false));
+    assert.strictEqual(out1.ok, false);
+    assert.strictEqual(out1.summary.retrying, 1);
+    const posted = first.calls().find((c) => c.args[0] === 'issue' && c.args[1] === 'comment');
+    assert.ok(posted.args[posted.args.length - 1].endsWith(`<!-- df:outbox:${q.key} -->`));
+
+    // The 502 actually landed; the retry sees the marker and stops there.
+    const second = fx.buildMockRunGh(new Map([
+      AUTH,
+      // --jq selects the comments carrying the marker; gh prints their ids.
+      [`api --paginate repos/${REPO}/issues/7/comments?per_page=100 --jq .[] | select((.body // "") | contains("<!-- df:outbox:${q.key} -->")) | .id`, { ok: true, status: 0, stdout: '1\n', stderr: '' }],
+    ]));
+    gh._setRunGh(second);
+    const out2 = capture(() => gh.cmdGhFlush(root, ['--force'], false));
+    assert.strictEqual(out2.ok, true);
+    assert.strictEqual(out2.summary.sent, 1);
+    assert.strictEqual(out2.remaining, 0);
+    assert.ok(!second.calls().some((c) => c.args[0] === 'issue' && c.args[1] === 'comment'), 'no duplicate comment');
+  });
+
+  test('OB4: flush treats "already closed" as done and drops 404s', () => {
+    outbox.enqueue(root, { op: 'close_issue', target: `${REPO}#7`, payload: { comment: null } });
+    outbox.enqueue(root, { op: 'close_issue', target: `${REPO}#8`, payload: { comment: null } });
+    gh._setRunGh(fx.buildMockRunGh(new Map([
+      AUTH,
+      [`issue close 7 --repo ${REPO}`, { ok: false, status: 1, stdout: '', stderr: '! Issue acme/app#7 (x) is already closed' }],
+      [`issue close 8 --repo ${REPO}`, { ok: false, status: 1, stdout: '', stderr: 'HTTP 404: Not Found' }],
+    ])));
+    const out = capture(() => gh.cmdGhFlush(root, [], false));
+    assert.deepStrictEqual(out.entries.map((e) => e.status), ['sent', 'dropped']);
+    assert.strictEqual(out.remaining, 0);
+  });
+
+  test('OB5: syncObjective queues a failed sticky comment; flush sends it and persists the comment id', () => {
+    const proj = fx.buildSyncTargetProject({ objectiveId: '01-foo' });
+    try {
+      gh._setRunGh(fx.buildMockRunGh(new Map([
+        AUTH,
+        ['api graphql', fx.buildGhResponse_issueWithProjectItem()],
+        ['issue edit', fx.buildGhResponse_issueEdit()],
+        ['api repos/AO-Cyber-Systems/devflow-claude/issues/10/comments', { ok: false, status: 1, stdout: '', stderr: 'timeout' }],
+        ['issue comment', { ok: false, status: 1, stdout: '', stderr: 'error connecting to api.github.com' }],
+      ])));
+      const result = gh.syncObjective('01-foo', proj.root);
+      assert.strictEqual(result.comment_action, 'failed');
+      assert.strictEqual(result.queued[0].op, 'sticky_comment');
+      assert.ok(result.warnings.some((w) => /queued as ob_/.test(w)));
+
+      fs.writeFileSync(path.join(proj.root, '.planning', 'config.json'), JSON.stringify({ github: { enabled: true, repo: 'AO-Cyber-Systems/devflow-claude' } }));
+      gh._setRunGh(fx.buildMockRunGh(new Map([
+        AUTH,
+        ['api repos/AO-Cyber-Systems/devflow-claude/issues/10/comments', fx.buildGhResponse_commentsList({ comments: [] })],
+        ['issue comment', fx.buildGhResponse_commentCreated({ commentId: 4242 })],
+      ])));
+      const out = capture(() => gh.cmdGhFlush(proj.root, [], false));
+      assert.strictEqual(out.summary.sent, 1);
+      const mapping = JSON.parse(fs.readFileSync(path.join(proj.root, '.planning', '.gh-mapping.json'), 'utf-8'));
+      assert.strictEqual(mapping.objectives['1'].state_comment_id, 4242);
+    } finally { proj.cleanup(); }
+  });
+
+  test('OB6: --dry-run lists the queue without sending', () => {
+    outbox.enqueue(root, { op: 'comment', target: `${REPO}#7`, payload: { body: 'x' } });
+    const mock = fx.buildMockRunGh(new Map([AUTH]));
+    gh._setRunGh(mock);
+    const out = capture(() => gh.cmdGhFlush(root, ['--dry-run'], false));
+    assert.strictEqual(out.dry_run, true);
+    assert.strictEqual(out.summary.pending, 1);
+    assert.strictEqual(out.remaining, 1);
+    assert.deepStrictEqual(mock.calls().map((c) => c.key), ['auth status']);
+  });
+
+  test('OB7: the first post already carries the marker; a timed-out post that landed is not reposted by the first flush', () => {
+    const mock = fx.buildMockRunGh(new Map([
+      AUTH,
+      ['issue comment', { ok: false, status: 1, stdout: '', stderr: 'context deadline exceeded' }],
+    ]));
+    gh._setRunGh(mock);
+    capture(() => gh.cmdGhComment(root, '7', 'Verified', false));
+    const [entry] = outbox.readOutbox(root);
+    const posted = mock.calls().find((c) => c.args[0] === 'issue' && c.args[1] === 'comment');
+    assert.strictEqual(posted.args[posted.args.length - 1], `Verified\n\n<!-- df:outbox:${entry.key} -->`);
+    assert.strictEqual(entry.attempts, 0);
+
+    // GitHub stored it despite the timeout: the first replay finds the marker.
+    const replay = fx.buildMockRunGh(new Map([
+      AUTH,
+      [`api --paginate repos/${REPO}/issues/7/comments`, { ok: true, status: 0, stdout: '1\n', stderr: '' }],
+    ]));
+    gh._setRunGh(replay);
+    const out = capture(() => gh.cmdGhFlush(root, [], false));
+    assert.strictEqual(out.summary.sent, 1);
+    assert.strictEqual(out.remaining, 0);
+    assert.ok(!replay.calls().some((c) => c.args[0] === 'issue' && c.args[1] === 'comment'), 'no duplicate comment');
+  });
+
+  test('OB8: the marker check searches every page of comments, not just the first 30', () => {
+    const q = outbox.enqueue(root, { op: 'comment', target: `${REPO}#7`, payload: { body: 'Verified' } });
+    const marker = `<!-- df:outbox:${q.key} -->`;
+    const pages = [
+      Array.from({ length: 30 }, (_, i) => ({ id: i + 1, body: `chatter ${i}` })),
+      [{ id: 31, body: `Verified\n\n${marker}` }],
+    ];
+    const calls = [];
+    // gh api: one page unless --paginate; --jq applied as select(contains(<marker>)) | .id.
+    gh._setRunGh((args) => {
+      calls.push(args);
+      if (args[0] === 'auth') return AUTH[1];
+      if (args[0] === 'api' && args.some((a) => a.includes('/issues/7/comments'))) {
+        const seen = args.includes('--paginate') ? pages.flat() : pages[0];
+        const m = (args[args.indexOf('--jq') + 1] || '').match(/contains\((".*?")\)/);
+        const hits = m ? seen.filter((c) => c.body.includes(JSON.parse(m[1]))) : [];
+        return { ok: true, status: 0, stdout: hits.map((c) => `${c.id}\n`).join(''), stderr: '' };
+      }
+      if (args[0] === 'issue' && args[1] === 'comment') return { ok: true, status: 0, stdout: 'https://github.com/x/issues/7#c', stderr: '' };
+      return { ok: false, status: 1, stdout: '', stderr: 'unexpected' };
+    });
+    const out = capture(() => gh.cmdGhFlush(root, [], false));
+    assert.strictEqual(out.summary.sent, 1);
+    assert.ok(!calls.some((a) => a[0] === 'issue' && a[1] === 'comment'), 'found on page 2; not reposted');
+  });
+});
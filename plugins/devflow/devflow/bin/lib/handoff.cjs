@@ -4,13 +4,14 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
+const watcherState = require('./watcher-state.cjs');
+const keyring = require('./keyring.cjs');
+
 const HANDOFF_DIR = '.devflow-handoff';
 
-// TRD 19-02: token-passing schema constants.
-// `keyring` source rejected for v1.2; deferred to v1.3+ per locked decision 5.
-const VALID_INPUT_SOURCES = ['stash', 'env'];
-const KEYRING_REJECT_MSG =
-  'value_source "keyring" deferred to v1.3+ — use stash or env in v1.2';
+// TRD 19-02: token-passing schema constants. `keyring` reads the Secret
+// Service via secret-tool at dispatch time (keyring.cjs).
+const VALID_INPUT_SOURCES = ['stash', 'env', 'keyring'];
 
 /**
  * Validate the optional `inputs` field on a pending handoff record.
@@ -18,7 +19,7 @@ const KEYRING_REJECT_MSG =
  * Schema:
  *   inputs: {
  *     secrets?: [
- *       { prompt_match: string (regex), value_source: 'stash'|'env', value_ref: string }
+ *       { prompt_match: string (regex), value_source: 'stash'|'env'|'keyring', value_ref: string }
  *     ]
  *   }
  *
@@ -54,9 +55,6 @@ function validateInputsSchema(inputs) {
         reason: `inputs.secrets[${i}] invalid regex in prompt_match: ${e.message}`,
       };
     }
-    if (s.value_source === 'keyring') {
-      return { ok: false, reason: `inputs.secrets[${i}]: ${KEYRING_REJECT_MSG}` };
-    }
     if (!VALID_INPUT_SOURCES.includes(s.value_source)) {
       return {
         ok: false,
@@ -66,6 +64,13 @@ function validateInputsSchema(inputs) {
     if (typeof s.value_ref !== 'string' || !s.value_ref) {
       return { ok: false, reason: `inputs.secrets[${i}].value_ref required (non-empty string)` };
     }
+    if (s.value_source === 'keyring') {
+      try {
+        keyring.parseRef(s.value_ref);
+      } catch (e) {
+        return { ok: false, reason: `inputs.secrets[${i}]: ${e.message}` };
+      }
+    }
   }
   return { ok: true };
 }
@@ -76,6 +81,7 @@ function dirs(cwd) {
     root,
     pending: path.join(root, 'pending'),
     done: path.join(root, 'done'),
+    cancel: path.join(root, 'cancel'),
   };
 }
 
@@ -98,18 +104,35 @@ function writeJson(p, obj) {
   fs.writeFileSync(p, JSON.stringify(obj, null, 2) + '\n');
 }
 
-function listDir(dir) {
+function byCreatedAt(a, b) {
+  return (a.created_at || '').localeCompare(b.created_at || '');
+}
+
+/**
+ * Dispatch order for pending records: higher `priority` first (default 0),
+ * then oldest created_at. Shared with watcher-daemon.readPending.
+ */
+function compareQueue(a, b) {
+  return (Number(b.priority) || 0) - (Number(a.priority) || 0) || byCreatedAt(a, b);
+}
+
+function listDir(dir, compare = byCreatedAt) {
   try {
     return fs.readdirSync(dir)
       .filter(f => f.endsWith('.json'))
       .map(f => readJson(path.join(dir, f)))
       .filter(Boolean)
-      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+      .sort(compare);
   } catch {
     return [];
   }
 }
 
+function parsePriority(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
 function output(obj, raw) {
   if (raw) {
     process.stdout.write(typeof obj === 'string' ? obj : JSON.stringify(obj));
@@ -118,12 +141,81 @@ function output(obj, raw) {
   }
 }
 
+/**
+ * Prerequisite state of a record's `after: [id]` list, read from the same
+ * project's pending/ and done/ dirs. A prerequisite is satisfied once its
+ * done record has exit 0 (or status done with no exit code — `handoff
+ * complete` without --exit-code).
+ *
+ * Returns:
+ *   { ready: true }
+ *   { ready: false, waiting: [id] }             // still pending
+ *   { ready: false, failed: { id, status, exit_code } }  // cascade-cancel
+ *
+ * done/ is checked before pending/ — the daemon writes the done record
+ * before removing the pending one, so a finishing prerequisite is never
+ * seen as missing.
+ */
+function prerequisiteState(cwd, record) {
+  const after = Array.isArray(record && record.after) ? record.after : [];
+  const d = dirs(cwd);
+  const waiting = [];
+  for (const id of after) {
+    const done = readJson(path.join(d.done, `${id}.json`));
+    if (done) {
+      const ok = done.exit_code === 0 || (done.exit_code == null && done.status === 'done');
+      if (!ok) return { ready: false, failed: { id, status: done.status || null, exit_code: done.exit_code ?? null } };
+      continue;
+    }
+    if (fs.existsSync(path.join(d.pending, `${id}.json`))) {
+      waiting.push(id);
+      continue;
+    }
+    return { ready: false, failed: { id, status: 'missing', exit_code: null } };
+  }
+  return waiting.length > 0 ? { ready: false, waiting } : { ready: true };
+}
+
+/**
+ * Resolve `--after id[,id]` against the project's records. Every id must
+ * exist (pending or done). The new record joins the first prerequisite's
+ * chain; a chain is keyed by its root record's id.
+ */
+function resolveAfter(cwd, afterArg) {
+  const ids = String(afterArg).split(',').map((s) => s.trim()).filter(Boolean);
+  if (ids.length === 0) return { error: '--after requires at least one handoff id' };
+  const d = dirs(cwd);
+  let chain = null;
+  for (const id of ids) {
+    const rec = readJson(path.join(d.pending, `${id}.json`)) || readJson(path.join(d.done, `${id}.json`));
+    if (!rec) return { error: `--after: no handoff found for id: ${id}` };
+    if (!chain) chain = rec.chain || rec.id;
+  }
+  return { after: ids, chain };
+}
+
 function cmdHandoffCreate(cwd, cmd, raw, opts) {
   if (!cmd) {
     process.stderr.write('handoff create requires a command\n');
     process.exit(2);
   }
   const o = opts || {};
+  let priority = null;
+  if (o.priority != null) {
+    priority = parsePriority(o.priority);
+    if (priority === null) {
+      process.stderr.write(`handoff create: --priority must be an integer (got ${o.priority})\n`);
+      process.exit(2);
+    }
+  }
+  let deps = null;
+  if (o.after != null) {
+    deps = resolveAfter(cwd, o.after);
+    if (deps.error) {
+      process.stderr.write(`handoff create: ${deps.error}\n`);
+      process.exit(2);
+    }
+  }
   let inputs = null;
   if (o.inputsJson != null) {
     try {
@@ -146,6 +238,8 @@ function cmdHandoffCreate(cwd, cmd, raw, opts) {
     cwd,
     status: 'pending',
     created_at: new Date().toISOString(),
+    ...(priority ? { priority } : {}),
+    ...(deps ? { after: deps.after, chain: deps.chain } : {}),
     ...(inputs ? { inputs } : {}),
   };
   const filePath = path.join(d.pending, `${id}.json`);
@@ -153,6 +247,38 @@ function cmdHandoffCreate(cwd, cmd, raw, opts) {
   output({ id, path: path.relative(cwd, filePath), record }, raw);
 }
 
+/**
+ * `handoff chain <cmd> --then <cmd> ...` — one pending record per step,
+ * each `after` the previous one, all sharing `chain` = the first step's id.
+ * The daemon runs them in order and cancels the rest when a step fails.
+ */
+function cmdHandoffChain(cwd, cmds, raw) {
+  const steps = (cmds || []).map((c) => String(c).trim());
+  if (steps.length < 2 || steps.some((c) => !c)) {
+    process.stderr.write('handoff chain requires at least two commands: <cmd> --then <cmd> [--then <cmd>...]\n');
+    process.exit(2);
+  }
+  const d = ensureDirs(cwd);
+  const ids = steps.map(() => newId());
+  const createdAt = Date.now();
+  const records = steps.map((cmd, i) => ({
+    id: ids[i],
+    cmd,
+    cwd,
+    status: 'pending',
+    // Distinct timestamps keep created_at order == chain order.
+    created_at: new Date(createdAt + i).toISOString(),
+    chain: ids[0],
+    chain_index: i,
+    chain_length: steps.length,
+    ...(i > 0 ? { after: [ids[i - 1]] } : {}),
+  }));
+  // Head first: a dependent must never be visible before its prerequisite,
+  // or the daemon would cancel it as missing.
+  for (const rec of records) writeJson(path.join(d.pending, `${rec.id}.json`), rec);
+  output({ chain: ids[0], ids, records }, raw);
+}
+
 function cmdHandoffComplete(cwd, id, opts, raw) {
   if (!id) {
     process.stderr.write('handoff complete requires an id\n');
@@ -183,7 +309,7 @@ function cmdHandoffComplete(cwd, id, opts, raw) {
 
 function cmdHandoffList(cwd, raw) {
   const d = ensureDirs(cwd);
-  const pending = listDir(d.pending);
+  const pending = listDir(d.pending, compareQueue);
   const done = listDir(d.done);
   output({ pending, done, counts: { pending: pending.length, done: done.length } }, raw);
 }
@@ -204,10 +330,206 @@ function cmdHandoffGet(cwd, id, raw) {
   output(record, raw);
 }
 
+// ---------------------------------------------------------------------------
+// cancel / retry / priority
+// ---------------------------------------------------------------------------
+
+const CANCELLED_EXIT_CODE = -6;
+
+// True when a live devflow-watch daemon polls this project — cancellation
+// must then go through the daemon, which owns pending records it may be
+// about to dispatch (and the shell running the in-flight one).
+function watcherServes(cwd) {
+  if (!watcherState.isWatcherLive()) return false;
+  const info = watcherState.readPidFile();
+  const watching = info && Array.isArray(info.watching) ? info.watching : [];
+  return watching.includes(path.resolve(cwd));
+}
+
+/** Ids with an outstanding cancel request (.devflow-handoff/cancel/<id>.json). */
+function listCancelRequests(cwd) {
+  const dir = dirs(cwd).cancel;
+  try {
+    return fs.readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5));
+  } catch {
+    return [];
+  }
+}
+
+/** Queue cancel/<id>.json for the daemon to act on. */
+function requestCancel(cwd, id) {
+  const d = dirs(cwd);
+  fs.mkdirSync(d.cancel, { recursive: true });
+  writeJson(path.join(d.cancel, `${id}.json`), { id, requested_at: new Date().toISOString() });
+}
+
+function clearCancelRequest(cwd, id) {
+  try { fs.unlinkSync(path.join(dirs(cwd).cancel, `${id}.json`)); } catch { /* already gone */ }
+}
+
+/**
+ * Done record for a record cancelled before or during dispatch.
+ * `reason` is 'user' (handoff cancel) or 'prerequisite' (cascade).
+ */
+function cancelledRecord(record, reason, message, extra = {}) {
+  const now = new Date().toISOString();
+  const out = { ...record };
+  delete out._path;
+  return {
+    ...out,
+    started_at: extra.started_at || now,
+    completed_at: now,
+    status: 'cancelled',
+    cancel_reason: reason,
+    exit_code: CANCELLED_EXIT_CODE,
+    stdout: extra.stdout || '',
+    stderr: message,
+    consumed: false,
+  };
+}
+
+/**
+ * `handoff cancel <id>` — cancel a queued or in-flight record.
+ *
+ * With a live daemon watching this project the request is queued as
+ * cancel/<id>.json and the daemon acts on its next tick: a queued record
+ * moves to done/ as cancelled, an in-flight one has its command killed in
+ * the live shell session. Without one, the pending record is moved to
+ * done/ here. Records chained `after` it are cascade-cancelled by the
+ * daemon either way.
+ */
+function cmdHandoffCancel(cwd, id, raw) {
+  if (!id) {
+    process.stderr.write('handoff cancel requires an id\n');
+    process.exit(2);
+  }
+  const d = ensureDirs(cwd);
+  const pendingPath = path.join(d.pending, `${id}.json`);
+  const record = readJson(pendingPath);
+  if (!record) {
+    const done = readJson(path.join(d.done, `${id}.json`));
+    process.stderr.write(done
+      ? `handoff ${id} already finished (status: ${done.status})\n`
+      : `No pending handoff found for id: ${id}\n`);
+    process.exit(2);
+  }
+  if (watcherServes(cwd)) {
+    requestCancel(cwd, id);
+    output({ id, status: 'cancel_requested', via: 'daemon' }, raw);
+    return;
+  }
+  const done = cancelledRecord(record, 'user', '[handoff] cancelled by user');
+  const donePath = path.join(d.done, `${id}.json`);
+  writeJson(donePath, done);
+  try { fs.unlinkSync(pendingPath); } catch {}
+  output({ id, status: 'cancelled', path: path.relative(cwd, donePath), record: done }, raw);
+}
+
+// Latest attempt in `id`'s retry lineage (the id itself when never retried).
+function latestAttempt(d, id) {
+  const all = listDir(d.pending).concat(listDir(d.done));
+  let current = id;
+  for (;;) {
+    const next = all.filter((r) => r.retry_of === current).sort(byCreatedAt).pop();
+    if (!next) return current;
+    current = next.id;
+  }
+}
+
+const RETRYABLE = ['failed', 'timeout', 'error', 'cancelled', 'shell_died', 'killed'];
+
+/**
+ * `handoff retry <id>` — re-enqueue a finished record that did not succeed.
+ * The new record keeps cmd / inputs / priority / chain, counts `attempt`
+ * up and records its lineage (`retry_of` + every earlier attempt id).
+ * `after` prerequisites are pointed at their latest attempt, so retrying a
+ * chain step by step re-links it.
+ */
+function cmdHandoffRetry(cwd, id, raw) {
+  if (!id) {
+    process.stderr.write('handoff retry requires an id\n');
+    process.exit(2);
+  }
+  const d = ensureDirs(cwd);
+  const prev = readJson(path.join(d.done, `${id}.json`));
+  if (!prev) {
+    process.stderr.write(readJson(path.join(d.pending, `${id}.json`))
+      ? `handoff ${id} has not finished yet\n`
+      : `No finished handoff found for id: ${id}\n`);
+    process.exit(2);
+  }
+  if (!RETRYABLE.includes(prev.status)) {
+    process.stderr.write(`handoff ${id} is not retryable (status: ${prev.status}); retry applies to ${RETRYABLE.join(', ')}\n`);
+    process.exit(2);
+  }
+  const queued = listDir(d.pending).find((r) => r.retry_of === id);
+  if (queued) {
+    process.stderr.write(`handoff ${id} already re-queued as ${queued.id}\n`);
+    process.exit(2);
+  }
+  const newIdValue = newId();
+  const record = {
+    id: newIdValue,
+    cmd: prev.cmd,
+    cwd: prev.cwd || cwd,
+    status: 'pending',
+    created_at: new Date().toISOString(),
+    attempt: (Number(prev.attempt) || 1) + 1,
+    retry_of: prev.id,
+    lineage: [...(Array.isArray(prev.lineage) ? prev.lineage : []), prev.id],
+    ...(prev.priority ? { priority: prev.priority } : {}),
+    ...(prev.chain ? { chain: prev.chain } : {}),
+    ...(Array.isArray(prev.after) ? { after: prev.after.map((a) => latestAttempt(d, a)) } : {}),
+    ...(prev.inputs ? { inputs: prev.inputs } : {}),
+  };
+  for (const k of ['chain_index', 'chain_length']) if (prev[k] != null) record[k] = prev[k];
+  const filePath = path.join(d.pending, `${newIdValue}.json`);
+  writeJson(filePath, record);
+  output({ id: newIdValue, retry_of: prev.id, attempt: record.attempt, path: path.relative(cwd, filePath), record }, raw);
+}
+
+/** `handoff priority <id> <n>` — re-rank a queued record (higher runs first). */
+function cmdHandoffPriority(cwd, id, value, raw) {
+  if (!id || value === undefined) {
+    process.stderr.write('handoff priority requires an id and an integer priority\n');
+    process.exit(2);
+  }
+  const priority = parsePriority(value);
+  if (priority === null) {
+    process.stderr.write(`handoff priority: priority must be an integer (got ${value})\n`);
+    process.exit(2);
+  }
+  const d = ensureDirs(cwd);
+  const pendingPath = path.join(d.pending, `${id}.json`);
+  const record = readJson(pendingPath);
+  if (!record) {
+    process.stderr.write(`No pending handoff found for id: ${id}\n`);
+    process.exit(2);
+  }
+  record.priority = priority;
+  // tmp + rename: the daemon may read this file mid-write.
+  writeJson(pendingPath + '.tmp', record);
+  fs.renameSync(pendingPath + '.tmp', pendingPath);
+  const position = listDir(d.pending, compareQueue).findIndex((r) => r.id === id);
+  output({ id, priority, position, record }, raw);
+}
+
 module.exports = {
   cmdHandoffCreate,
+  cmdHandoffChain,
   cmdHandoffComplete,
   cmdHandoffList,
   cmdHandoffGet,
+  cmdHandoffCancel,
+  cmdHandoffRetry,
+  cmdHandoffPriority,
   validateInputsSchema,
+  prerequisiteState,
+  compareQueue,
+  listCancelRequests,
+  requestCancel,
+  clearCancelRequest,
+  newId,
+  cancelledRecord,
+  CANCELLED_EXIT_CODE,
 };
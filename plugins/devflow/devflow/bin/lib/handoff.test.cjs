@@ -14,7 +14,7 @@
  *
  *   Behavior list — validateInputsSchema(inputs):
  *     VS-1:  returns {ok:true} for empty/missing secrets ({}, {secrets:[]})
- *     VS-2:  rejects value_source='keyring' with v1.3+ deferral message
+ *     VS-2:  accepts value_source='keyring'; rejects a malformed keyring attr=value ref
  *     VS-3:  rejects non-object inputs (null, number, string, array)
  *     VS-4:  rejects malformed prompt_match regex (e.g. '[invalid')
  *     VS-5:  rejects entry missing prompt_match
@@ -25,12 +25,29 @@
  *     VS-10: accepts multiple valid entries (mix of stash + env)
  *     VS-11: rejects when ANY entry in array is invalid (fail-on-first)
  *     VS-12: rejects empty value_ref string
+ *     VS-13: rejects a keyring ref naming a service other than devflow
  *
  *   Behavior list — cmdHandoffCreate --inputs-json extension:
  *     HC-1:  without inputs writes record without `inputs` key (back-compat)
  *     HC-2:  with valid --inputs-json writes record WITH `inputs` field
  *     HC-3:  with malformed --inputs-json exits with code 2 + stderr message
  *     HC-4:  with inputs failing validation exits with code 2 + reason
+ *
+ * Dependencies + chains:
+ *     CH-1:  create --after <id> records after:[id] and joins the root's chain
+ *     CH-2:  create --after <unknown> exits 2
+ *     CH-3:  chain <a> --then <b> --then <c> links each step to the previous
+ *     CH-4:  chain with a single command exits 2
+ *     CH-5:  prerequisiteState: waiting / ready / failed / missing
+ *
+ * Cancel / retry / priority:
+ *     CR-1:  cancel with no daemon moves the pending record to done/ as cancelled
+ *     CR-2:  cancel with a live daemon watching the project queues a request
+ *     CR-3:  cancel of a finished / unknown record exits 2
+ *     CR-4:  retry re-enqueues with attempt + lineage; a second retry extends both
+ *     CR-5:  retry refuses successful records and duplicate re-queues
+ *     CR-6:  retry re-links `after` to the prerequisite's latest attempt
+ *     CR-7:  create --priority / priority <id> <n> reorder the list
  */
 
 const { test, describe, beforeEach, afterEach } = require('node:test');
@@ -52,10 +69,11 @@ function rmTmp(dir) {
   fs.rmSync(dir, { recursive: true, force: true });
 }
 
-function runTool(args, cwd) {
+function runTool(args, cwd, env) {
   try {
     const out = execFileSync('node', [TOOLS_PATH, ...args], {
       cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'],
+      ...(env ? { env: { ...process.env, ...env } } : {}),
     });
     return { ok: true, stdout: out, stderr: '' };
   } catch (e) {
@@ -321,13 +339,18 @@ describe('validateInputsSchema (TRD 19-02)', () => {
     assert.deepEqual(handoffLib.validateInputsSchema({ secrets: [] }), { ok: true });
   });
 
-  test('VS-2: rejects value_source="keyring" with v1.3+ deferral message', () => {
-    const r = handoffLib.validateInputsSchema({
+  test('VS-2: accepts value_source="keyring"; rejects a malformed keyring attr=value ref', () => {
+    assert.deepEqual(handoffLib.validateInputsSchema({
       secrets: [{ prompt_match: 'Token:', value_source: 'keyring', value_ref: 'gh-token' }],
+    }), { ok: true });
+    assert.deepEqual(handoffLib.validateInputsSchema({
+      secrets: [{ prompt_match: 'Token:', value_source: 'keyring', value_ref: 'account=gh host=github.com' }],
+    }), { ok: true });
+    const r = handoffLib.validateInputsSchema({
+      secrets: [{ prompt_match: 'Token:', value_source: 'keyring', value_ref: 'account=gh host' }],
     });
     assert.equal(r.ok, false);
-    assert.match(r.reason, /keyring/);
-    assert.match(r.reason, /v1\.3\+/);
+    assert.match(r.reason, /inputs\.secrets\[0\]: keyring value_ref/);
   });
 
   test('VS-3: rejects non-object inputs (null, number, string, array)', () => {
@@ -400,11 +423,11 @@ describe('validateInputsSchema (TRD 19-02)', () => {
     const r = handoffLib.validateInputsSchema({
       secrets: [
         { prompt_match: 'GH token:', value_source: 'env', value_ref: 'GH_TOKEN' },
-        { prompt_match: 'DO token:', value_source: 'keyring', value_ref: 'do-token' },
+        { prompt_match: 'DO token:', value_source: 'vault', value_ref: 'do-token' },
       ],
     });
     assert.equal(r.ok, false);
-    assert.match(r.reason, /keyring/);
+    assert.match(r.reason, /inputs\.secrets\[1\]\.value_source must be one of: stash, env, keyring/);
   });
 
   test('VS-12: rejects empty value_ref string', () => {
@@ -414,6 +437,14 @@ describe('validateInputsSchema (TRD 19-02)', () => {
     assert.equal(r.ok, false);
     assert.match(r.reason, /value_ref required/);
   });
+
+  test('VS-13: rejects a keyring ref naming a service other than devflow', () => {
+    const r = handoffLib.validateInputsSchema({
+      secrets: [{ prompt_match: 'Token:', value_source: 'keyring', value_ref: 'service=login-keychain account=me' }],
+    });
+    assert.equal(r.ok, false);
+    assert.match(r.reason, /inputs\.secrets\[0\]: .*only service=devflow entries can be read/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -462,12 +493,186 @@ describe('df-tools handoff create --inputs-json (TRD 19-02)', () => {
 
   test('HC-4: create with inputs failing validation exits with code 2 + reason from validation', () => {
     const inputsJson = JSON.stringify({
-      secrets: [{ prompt_match: 'Token:', value_source: 'keyring', value_ref: 'gh-token' }],
+      secrets: [{ prompt_match: 'Token:', value_source: 'vault', value_ref: 'gh-token' }],
     });
     const r = runTool(['handoff', 'create', 'gh', 'auth', 'login', '--inputs-json', inputsJson], tmp);
     assert.equal(r.ok, false);
     assert.equal(r.code, 2);
     assert.match(r.stderr, /inputs schema invalid/);
-    assert.match(r.stderr, /keyring/);
+    assert.match(r.stderr, /value_source must be one of/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Dependencies + chains
+// ---------------------------------------------------------------------------
+
+describe('df-tools handoff --after / chain', () => {
+  let tmp;
+  beforeEach(() => { tmp = mkTmp(); });
+  afterEach(() => { rmTmp(tmp); });
+
+  test('CH-1: create --after <id> records after:[id] and joins the root\'s chain', () => {
+    const root = JSON.parse(runTool(['handoff', 'create', 'gh', 'auth', 'login'], tmp).stdout);
+    const r = runTool(['handoff', 'create', 'gh', 'auth', 'setup-git', '--after', root.id], tmp);
+    assert.ok(r.ok, r.stderr);
+    const out = JSON.parse(r.stdout);
+    assert.equal(out.record.cmd, 'gh auth setup-git');
+    assert.deepEqual(out.record.after, [root.id]);
+    assert.equal(out.record.chain, root.id);
+    const third = JSON.parse(runTool(['handoff', 'create', 'git', 'push', '--after', out.id], tmp).stdout);
+    assert.equal(third.record.chain, root.id, 'chain id propagates from the root');
+  });
+
+  test('CH-2: create --after <unknown> exits 2', () => {
+    const r = runTool(['handoff', 'create', 'git', 'push', '--after', 'h-nope'], tmp);
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /no handoff found for id: h-nope/);
+  });
+
+  test('CH-3: chain <a> --then <b> --then <c> links each step to the previous', () => {
+    const r = runTool(['handoff', 'chain', 'gh', 'auth', 'login', '--then', 'gh', 'auth', 'setup-git', '--then', 'git', 'push'], tmp);
+    assert.ok(r.ok, r.stderr);
+    const out = JSON.parse(r.stdout);
+    assert.equal(out.ids.length, 3);
+    assert.deepEqual(out.records.map((x) => x.cmd), ['gh auth login', 'gh auth setup-git', 'git push']);
+    assert.ok(out.records.every((x) => x.chain === out.ids[0] && x.chain_length === 3));
+    assert.equal(out.records[0].after, undefined);
+    assert.deepEqual(out.records[2].after, [out.ids[1]]);
+    const sorted = [...out.records].sort((x, y) => x.created_at.localeCompare(y.created_at));
+    assert.deepEqual(sorted.map((x) => x.id), out.ids, 'created_at order matches chain order');
+  });
+
+  test('CH-4: chain with a single command exits 2', () => {
+    const r = runTool(['handoff', 'chain', 'gh', 'auth', 'login'], tmp);
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /at least two commands/);
+  });
+
+  test('CH-5: prerequisiteState: waiting / ready / failed / missing', () => {
+    const d = path.join(tmp, '.devflow-handoff');
+    fs.mkdirSync(path.join(d, 'pending'), { recursive: true });
+    fs.mkdirSync(path.join(d, 'done'), { recursive: true });
+    const put = (dir, rec) => fs.writeFileSync(path.join(d, dir, `${rec.id}.json`), JSON.stringify(rec));
+    put('pending', { id: 'h-p' });
+    put('done', { id: 'h-ok', status: 'done', exit_code: 0 });
+    put('done', { id: 'h-manual', status: 'done' });
+    put('done', { id: 'h-bad', status: 'failed', exit_code: 1 });
+    const st = (after) => handoffLib.prerequisiteState(tmp, { id: 'h-x', after });
+    assert.deepEqual(st(undefined), { ready: true });
+    assert.deepEqual(st(['h-ok', 'h-manual']), { ready: true });
+    assert.deepEqual(st(['h-ok', 'h-p']), { ready: false, waiting: ['h-p'] });
+    assert.deepEqual(st(['h-p', 'h-bad']), { ready: false, failed: { id: 'h-bad', status: 'failed', exit_code: 1 } });
+    assert.deepEqual(st(['h-gone']), { ready: false, failed: { id: 'h-gone', status: 'missing', exit_code: null } });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Cancel / retry / priority
+// ---------------------------------------------------------------------------
+
+describe('df-tools handoff cancel / retry / priority', () => {
+  let tmp;
+  let home;
+  beforeEach(() => { tmp = mkTmp(); home = mkTmp(); });
+  afterEach(() => { rmTmp(tmp); rmTmp(home); });
+
+  const env = () => ({ HOME: home });
+  const create = (...args) => JSON.parse(runTool(['handoff', 'create', ...args], tmp, env()).stdout);
+  const done = (id) => JSON.parse(fs.readFileSync(path.join(tmp, '.devflow-handoff', 'done', `${id}.json`), 'utf-8'));
+  function finish(id, extra) {
+    const p = path.join(tmp, '.devflow-handoff', 'pending', `${id}.json`);
+    const rec = JSON.parse(fs.readFileSync(p, 'utf-8'));
+    fs.writeFileSync(path.join(tmp, '.devflow-handoff', 'done', `${id}.json`), JSON.stringify({ ...rec, ...extra }));
+    fs.unlinkSync(p);
+  }
+
+  test('CR-1: cancel with no daemon moves the pending record to done/ as cancelled', () => {
+    const { id } = create('gh', 'auth', 'login');
+    const r = runTool(['handoff', 'cancel', id], tmp, env());
+    assert.ok(r.ok, r.stderr);
+    assert.equal(JSON.parse(r.stdout).status, 'cancelled');
+    assert.equal(done(id).status, 'cancelled');
+    assert.equal(done(id).cancel_reason, 'user');
+    assert.ok(!fs.existsSync(path.join(tmp, '.devflow-handoff', 'pending', `${id}.json`)));
+  });
+
+  test('CR-2: cancel with a live daemon watching the project queues a request', () => {
+    fs.mkdirSync(path.join(home, '.devflow'), { recursive: true });
+    fs.writeFileSync(path.join(home, '.devflow', 'devflow-watch.pid'),
+      JSON.stringify({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: [fs.realpathSync(tmp), tmp] }));
+    const { id } = create('gh', 'auth', 'login');
+    const r = runTool(['handoff', 'cancel', id], tmp, env());
+    assert.ok(r.ok, r.stderr);
+    assert.deepEqual(JSON.parse(r.stdout), { id, status: 'cancel_requested', via: 'daemon' });
+    assert.ok(fs.existsSync(path.join(tmp, '.devflow-handoff', 'cancel', `${id}.json`)));
+    assert.ok(fs.existsSync(path.join(tmp, '.devflow-handoff', 'pending', `${id}.json`)), 'daemon owns the record');
+  });
+
+  test('CR-3: cancel of a finished / unknown record exits 2', () => {
+    const { id } = create('gh', 'auth', 'login');
+    finish(id, { status: 'done', exit_code: 0 });
+    const r = runTool(['handoff', 'cancel', id], tmp, env());
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /already finished \(status: done\)/);
+    assert.equal(runTool(['handoff', 'cancel', 'h-nope'], tmp, env()).code, 2);
+  });
+
+  test('CR-4: retry re-enqueues with attempt + lineage; a second retry extends both', () => {
+    const { id } = create('gcloud', 'auth', 'login', '--priority', '3');
+    finish(id, { status: 'timeout', exit_code: -1 });
+    const r1 = runTool(['handoff', 'retry', id], tmp, env());
+    assert.ok(r1.ok, r1.stderr);
+    const a2 = JSON.parse(r1.stdout);
+    assert.equal(a2.attempt, 2);
+    assert.equal(a2.record.cmd, 'gcloud auth login');
+    assert.equal(a2.record.retry_of, id);
+    assert.deepEqual(a2.record.lineage, [id]);
+    assert.equal(a2.record.priority, 3);
+
+    finish(a2.id, { status: 'failed', exit_code: 1 });
+    const a3 = JSON.parse(runTool(['handoff', 'retry', a2.id], tmp, env()).stdout);
+    assert.equal(a3.attempt, 3);
+    assert.deepEqual(a3.record.lineage, [id, a2.id]);
+  });
+
+  test('CR-5: retry refuses successful records and duplicate re-queues', () => {
+    const ok = create('gh', 'auth', 'login');
+    finish(ok.id, { status: 'done', exit_code: 0 });
+    const r = runTool(['handoff', 'retry', ok.id], tmp, env());
+    assert.equal(r.code, 2);
+    assert.match(r.stderr, /not retryable \(status: done\)/);
+
+    const bad = create('gh', 'auth', 'login');
+    finish(bad.id, { status: 'failed', exit_code: 1 });
+    assert.ok(runTool(['handoff', 'retry', bad.id], tmp, env()).ok);
+    const dup = runTool(['handoff', 'retry', bad.id], tmp, env());
+    assert.equal(dup.code, 2);
+    assert.match(dup.stderr, /already re-queued/);
+  });
+
+  test('CR-6: retry re-links `after` to the prerequisite\'s latest attempt', () => {
+    const chain = JSON.parse(runTool(['handoff', 'chain', 'gh', 'auth', 'login', '--then', 'git', 'push'], tmp, env()).stdout);
+    const [first, second] = chain.ids;
+    finish(first, { status: 'failed', exit_code: 1 });
+    finish(second, { status: 'cancelled', exit_code: -6, cancel_reason: 'prerequisite' });
+    const firstRetry = JSON.parse(runTool(['handoff', 'retry', first], tmp, env()).stdout);
+    const secondRetry = JSON.parse(runTool(['handoff', 'retry', second], tmp, env()).stdout);
+    assert.deepEqual(secondRetry.record.after, [firstRetry.id]);
+    assert.equal(secondRetry.record.chain, first);
+  });
+
+  test('CR-7: create --priority / priority <id> <n> reorder the list', () => {
+    const a = create('echo', 'a');
+    const b = create('echo', 'b', '--priority', '2');
+    const c = create('echo', 'c');
+    const list = () => JSON.parse(runTool(['handoff', 'list'], tmp, env()).stdout).pending.map((r) => r.id);
+    assert.deepEqual(list(), [b.id, a.id, c.id]);
+    const r = runTool(['handoff', 'priority', c.id, '9'], tmp, env());
+    assert.ok(r.ok, r.stderr);
+    assert.equal(JSON.parse(r.stdout).position, 0);
+    assert.deepEqual(list(), [c.id, b.id, a.id]);
+    assert.equal(runTool(['handoff', 'priority', c.id, 'high'], tmp, env()).code, 2);
+    assert.equal(runTool(['handoff', 'create', 'echo', '--priority', 'x'], tmp, env()).code, 2);
   });
 });
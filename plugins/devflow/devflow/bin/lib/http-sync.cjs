@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Synchronous HTTP transport for PM backends that talk to a web API instead of
+ * a CLI (Linear GraphQL, Jira REST).
+ *
+ * lib/gh.cjs is synchronous end-to-end because `gh` is driven via spawnSync.
+ * Backends behind the same pm-backend seam must keep that call shape, so the
+ * request runs in a short-lived child `node` process and we block on it with
+ * spawnSync. Only built-in http/https are used (engines: node >=16.7, so no
+ * global fetch).
+ *
+ * Result shape mirrors gh.cjs runGh so backends can share handling code:
+ *
+ *   { ok, status, stdout, stderr }
+ *
+ *   ok     — true for a 2xx response
+ *   status — HTTP status code, or null when the request never got a response
+ *   stdout — response body (trimmed)
+ *   stderr — transport error message, or "HTTP <status>" for non-2xx
+ *
+ * Because the parent blocks, a stub server used in tests must live in another
+ * process (see __fixtures__/pm-stub-server.cjs).
+ */
+
+const { spawnSync } = require('child_process');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Runs inside the child process. Reads the request spec from stdin, writes the
+// response body to stdout and the status code on the last stderr line.
+const CHILD_SCRIPT = `
+const spec = JSON.parse(require('fs').readFileSync(0, 'utf-8'));
+const u = new URL(spec.url);
+const mod = require(u.protocol === 'http:' ? 'http' : 'https');
+const req = mod.request(u, { method: spec.method, headers: spec.headers }, (res) => {
+  let data = '';
+  res.setEncoding('utf-8');
+  res.on('data', (c) => { data += c; });
+  res.on('end', () => {
+    process.stdout.write(data);
+    process.stderr.write('\\n__status__=' + res.statusCode);
+  });
+});
+req.setTimeout(spec.timeout, () => { req.destroy(new Error('request timed out')); });
+req.on('error', (e) => { process.stderr.write(e.message); process.exitCode = 2; });
+if (spec.body != null) req.write(spec.body);
+req.end();
+`;
+
+/**
+ * Perform one HTTP request synchronously.
+ *
+ * @param {object} req
+ * @param {string} req.url
+ * @param {string} [req.method='GET']
+ * @param {object} [req.headers]
+ * @param {string|object|null} [req.body]  Objects are JSON-encoded (Content-Type set if absent)
+ * @param {number} [req.timeout]           Milliseconds; default 30s (matches runGh)
+ * @returns {{ ok: boolean, status: number|null, stdout: string, stderr: string }}
+ */
+function requestSync({ url, method = 'GET', headers = {}, body = null, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!url) return { ok: false, status: null, stdout: '', stderr: 'requestSync: url is required' };
+
+  const outHeaders = { ...headers };
+  let payload = body;
+  if (payload != null && typeof payload !== 'string') {
+    payload = JSON.stringify(payload);
+    if (!Object.keys(outHeaders).some(h => h.toLowerCase() === 'content-type')) {
+      outHeaders['Content-Type'] = 'application/json';
+    }
+  }
+
+  const r = spawnSync(process.execPath, ['-e', CHILD_SCRIPT], {
+    input: JSON.stringify({ url, method, headers: outHeaders, body: payload, timeout }),
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: timeout + 5000,
+  });
+
+  const rawErr = r.stderr || '';
+  const statusMatch = rawErr.match(/__status__=(\d+)\s*$/);
+  const status = statusMatch ? parseInt(statusMatch[1], 10) : null;
+  const errText = rawErr.replace(/\n?__status__=\d+\s*$/, '').trim();
+  const stdout = (r.stdout || '').trim();
+
+  if (status === null) {
+    const reason = errText || (r.error && r.error.message) || 'no response';
+    return { ok: false, status: null, stdout, stderr: reason };
+  }
+  const ok = status >= 200 && status < 300;
+  return { ok, status, stdout, stderr: ok ? errText : (errText || `HTTP ${status}`) };
+}
+
+module.exports = { requestSync, DEFAULT_TIMEOUT_MS };
@@ -0,0 +1,64 @@
+'use strict';
+
+// Unit tests for lib/http-sync.cjs — synchronous HTTP transport.
+// The stub server runs in a child process (requestSync blocks this one).
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { requestSync } = require('./http-sync.cjs');
+const { startStubServer } = require('./__fixtures__/pm-stub-server.cjs');
+
+describe('requestSync', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer([
+      { method: 'GET', path: '^/ok$', body: { hello: 'world' } },
+      { method: 'POST', path: '^/echo$', status: 201, body: 'created' },
+      { method: 'GET', path: '^/denied$', status: 403, body: { error: 'nope' } },
+    ]);
+  });
+
+  after(async () => {
+    if (stub) await stub.close();
+  });
+
+  test('R1: 2xx → ok:true with body on stdout', () => {
+    const r = requestSync({ url: `${stub.url}/ok` });
+    assert.strictEqual(r.ok, true);
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(JSON.parse(r.stdout), { hello: 'world' });
+    assert.strictEqual(r.stderr, '');
+  });
+
+  test('R2: object body is JSON-encoded with Content-Type; caller headers forwarded', () => {
+    const r = requestSync({ url: `${stub.url}/echo`, method: 'POST', headers: { Authorization: 'k' }, body: { a: 1 } });
+    assert.strictEqual(r.status, 201);
+    const logged = stub.requests().find(q => q.url === '/echo');
+    assert.strictEqual(logged.body, '{"a":1}');
+    assert.strictEqual(logged.headers['content-type'], 'application/json');
+    assert.strictEqual(logged.headers.authorization, 'k');
+  });
+
+  test('R3: non-2xx → ok:false, status kept, stderr "HTTP <status>"', () => {
+    const r = requestSync({ url: `${stub.url}/denied` });
+    assert.strictEqual(r.ok, false);
+    assert.strictEqual(r.status, 403);
+    assert.strictEqual(r.stderr, 'HTTP 403');
+    assert.match(r.stdout, /nope/);
+  });
+
+  test('R4: connection refused → status null with transport error', () => {
+    const r = requestSync({ url: 'http://127.0.0.1:1/', timeout: 2000 });
+    assert.strictEqual(r.ok, false);
+    assert.strictEqual(r.status, null);
+    assert.match(r.stderr, /ECONNREFUSED/);
+  });
+
+  test('R5: missing url → error result without spawning', () => {
+    const r = requestSync({});
+    assert.strictEqual(r.ok, false);
+    assert.match(r.stderr, /url is required/);
+  });
+});
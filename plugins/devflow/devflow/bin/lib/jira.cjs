@@ -0,0 +1,1107 @@
+'use strict';
+
+/**
+ * Jira integration for DevFlow (`pm.backend: "jira"`), Cloud and Server/Data Center.
+ *
+ * Implements the lib/gh.cjs surface that pm-backend.getBackend() callers use —
+ * resolveChain, syncObjective, the sync-objectives push, sticky comment upsert,
+ * project field updates and readIssueState — over the Jira REST API.
+ * Planning files remain authoritative, exactly as with GitHub.
+ *
+ * Objective → issue keys are persisted to .planning/.jira-mapping.json
+ * (milestone_id holds the fixVersion id):
+ *
+ *   { "milestone_id": "10010",
+ *     "objectives": { "1": { "issue_id": "ENG-42", "state_comment_id": "10201" } } }
+ *
+ * Config (.planning/config.json):
+ *
+ *   { "pm": { "backend": "jira",
+ *             "jira": { "project": "ENG", "issue_type": "Task",
+ *                       "epic_link_field": "customfield_10014",
+ *                       "labels": { "objective": "devflow:objective" } } } }
+ *
+ * Connection and credentials come from the environment only (never config.json):
+ *   JIRA_BASE_URL     — site root, e.g. https://acme.atlassian.net
+ *   JIRA_API_TOKEN    — API token (Cloud) or personal access token (Server/DC)
+ *   JIRA_EMAIL        — Cloud account email; when set, Basic auth is used,
+ *                       otherwise the token is sent as a Bearer PAT
+ *   JIRA_API_VERSION  — "3" (Cloud, default) or "2" (Server/DC)
+ *
+ * epic_link_field is only needed on Server/DC instances that still link epics
+ * through the "Epic Link" custom field; Cloud uses the standard `parent` field.
+ *
+ * Concept mapping:
+ *   GitHub issue          → Jira issue (key, e.g. ENG-42)
+ *   [Roadmap] parent      → Jira epic (parent_issue)
+ *   org Project v2        → Jira project (org_project / pm.jira.project)
+ *   milestone             → fixVersion
+ *   Project Status field  → workflow transition (Todo/In Progress/Done by status category)
+ *   labels / assignees    → labels / assignee (Jira has a single assignee)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { output } = require('./helpers.cjs');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+const { recordSync, hashFrontmatter } = require('./sync-state.cjs');
+const { requestSync } = require('./http-sync.cjs');
+const gh = require('./gh.cjs');
+
+const MAPPING_REL = path.join('.planning', '.jira-mapping.json');
+const ISSUE_REF_RE = /^[A-Z][A-Z0-9_]*-\d+$/;
+const PROJECT_KEY_RE = /^[A-Z][A-Z0-9_]*$/;
+const STICKY_MARKER = '<!-- df:state -->';
+
+// Project "Status" values (shared with gh.cjs syncObjective) → Jira status categories.
+const STATUS_CATEGORIES = {
+  Todo: 'new',
+  'In Progress': 'indeterminate',
+  Done: 'done',
+};
+
+// ─── Transport + test injection ──────────────────────────────────────────────
+
+function _apiVersion() {
+  return process.env.JIRA_API_VERSION === '2' ? '2' : '3';
+}
+
+function _authHeader() {
+  const token = process.env.JIRA_API_TOKEN || '';
+  if (process.env.JIRA_EMAIL) {
+    return 'Basic ' + Buffer.from(`${process.env.JIRA_EMAIL}:${token}`).toString('base64');
+  }
+  return `Bearer ${token}`;
+}
+
+/**
+ * apiPath is relative to /rest/api/<version>, e.g. '/issue/ENG-42?fields=status'.
+ */
+function runJira(method, apiPath, body = null) {
+  const base = (process.env.JIRA_BASE_URL || '').replace(/\/+$/, '');
+  return requestSync({
+    url: `${base}/rest/api/${_apiVersion()}${apiPath}`,
+    method,
+    headers: { Authorization: _authHeader(), Accept: 'application/json' },
+    body,
+  });
+}
+
+// Test injection hook — mirrors gh._setRunGh. Mock signature: (method, apiPath, body) → runGh-shaped result.
+let _runJira = runJira;
+function _setRunJira(fn) { _runJira = (fn != null) ? fn : runJira; }
+
+/**
+ * Run one REST call. Returns { ok: true, data } or { ok: false, error, status }.
+ * 204 No Content yields data = null. Jira error bodies
+ * ({ errorMessages: [], errors: { field: msg } }) are flattened into `error`.
+ */
+function _rest(method, apiPath, body) {
+  const r = _runJira(method, apiPath, body);
+  let parsed = null;
+  try { parsed = r.stdout ? JSON.parse(r.stdout) : null; } catch {}
+
+  if (!r.ok) {
+    const msgs = [];
+    if (parsed && Array.isArray(parsed.errorMessages)) msgs.push(...parsed.errorMessages);
+    if (parsed && parsed.errors && typeof parsed.errors === 'object') {
+      for (const [k, v] of Object.entries(parsed.errors)) msgs.push(`${k}: ${v}`);
+    }
+    return { ok: false, error: msgs.join('; ') || r.stderr || 'Jira request failed', status: r.status };
+  }
+  if (r.stdout && parsed === null) {
+    return { ok: false, error: `Jira response not valid JSON: ${String(r.stdout).slice(0, 100)}`, status: r.status };
+  }
+  return { ok: true, data: parsed };
+}
+
+// ─── Text bodies (ADF on v3, plain/wiki text on v2) ──────────────────────────
+
+/**
+ * Convert markdown-ish text into the body format the API version expects.
+ * v3 takes Atlassian Document Format: one paragraph per blank-line block,
+ * hardBreaks between lines. v2 takes the string as-is.
+ */
+function _toBody(text) {
+  if (_apiVersion() === '2') return text;
+  const content = String(text).split(/\n{2,}/).map((block) => {
+    const nodes = [];
+    block.split('\n').forEach((line, i) => {
+      if (i > 0) nodes.push({ type: 'hardBreak' });
+      if (line) nodes.push({ type: 'text', text: line });
+    });
+    return { type: 'paragraph', content: nodes };
+  });
+  return { type: 'doc', version: 1, content };
+}
+
+/** Flatten a comment/description body (ADF or string) back to text. */
+function _bodyText(body) {
+  if (typeof body === 'string') return body;
+  if (!body || !Array.isArray(body.content)) return '';
+  return body.content.map((block) => (block.content || []).map((n) => {
+    if (n.type === 'hardBreak') return '\n';
+    return n.text || '';
+  }).join('')).join('\n\n');
+}
+
+// ─── Auth ────────────────────────────────────────────────────────────────────
+
+/**
+ * Structured error thrown by requireJiraAuth. Same shape as gh.GhAuthError so
+ * CLI entry points can render both identically.
+ */
+class JiraAuthError extends Error {
+  constructor({ message, remediation, scopes_missing = [] }) {
+    super(message);
+    this.name = 'JiraAuthError';
+    this.remediation = remediation;
+    this.scopes_missing = scopes_missing;
+  }
+}
+
+/**
+ * Hard-fail auth check. Throws JiraAuthError when JIRA_BASE_URL / JIRA_API_TOKEN
+ * are unset or the API rejects the credentials. Returns silently when
+ * GET /myself succeeds.
+ */
+function requireJiraAuth() {
+  if (!process.env.JIRA_BASE_URL) {
+    throw new JiraAuthError({
+      message: 'JIRA_BASE_URL is not set.',
+      remediation: 'Export JIRA_BASE_URL as your site root, e.g. https://acme.atlassian.net',
+    });
+  }
+  if (!process.env.JIRA_API_TOKEN) {
+    throw new JiraAuthError({
+      message: 'JIRA_API_TOKEN is not set.',
+      remediation: 'Create an API token at https://id.atlassian.com/manage-profile/security/api-tokens and export it as JIRA_API_TOKEN (plus JIRA_EMAIL on Cloud)',
+    });
+  }
+  const r = _rest('GET', '/myself');
+  if (!r.ok) {
+    if (r.status === 401 || r.status === 403) {
+      throw new JiraAuthError({
+        message: 'Jira rejected the credentials in JIRA_EMAIL / JIRA_API_TOKEN.',
+        remediation: 'Regenerate the token and re-export JIRA_API_TOKEN; Cloud also needs JIRA_EMAIL',
+      });
+    }
+    throw new JiraAuthError({
+      message: `Jira API unreachable: ${r.error}`,
+      remediation: 'Check network access to JIRA_BASE_URL and retry',
+    });
+  }
+}
+
+// ─── Config + mapping ────────────────────────────────────────────────────────
+
+function readConfig(cwd) {
+  const cfgPath = path.join(cwd, '.planning', 'config.json');
+  if (!fs.existsSync(cfgPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(cfgPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function _jiraConfig(cwd) {
+  const cfg = readConfig(cwd);
+  return (cfg && cfg.pm && cfg.pm.jira) || {};
+}
+
+function readMapping(cwd) {
+  const p = path.join(cwd, MAPPING_REL);
+  if (!fs.existsSync(p)) return { milestone_id: null, objectives: {} };
+  try {
+    const m = JSON.parse(fs.readFileSync(p, 'utf-8'));
+    const objectives = {};
+    for (const [k, v] of Object.entries(m.objectives || {})) {
+      if (typeof v === 'string') objectives[k] = { issue_id: v, state_comment_id: null };
+      else if (v && typeof v === 'object') objectives[k] = { issue_id: v.issue_id, state_comment_id: v.state_comment_id || null };
+    }
+    return { milestone_id: m.milestone_id || null, objectives };
+  } catch {
+    return { milestone_id: null, objectives: {} };
+  }
+}
+
+function writeMapping(cwd, mapping) {
+  const planningDir = path.join(cwd, '.planning');
+  if (!fs.existsSync(planningDir)) fs.mkdirSync(planningDir, { recursive: true });
+  fs.writeFileSync(path.join(cwd, MAPPING_REL), JSON.stringify(mapping, null, 2) + '\n');
+}
+
+/**
+ * Graceful-skip status check (mirrors gh.ghStatus). Never throws.
+ * Returns { enabled: false, reason } or
+ * { enabled: true, project, issue_type, epic_link_field, labels, milestone_prefix }.
+ */
+function jiraStatus(cwd) {
+  const cfg = readConfig(cwd);
+  const backend = cfg && cfg.pm && cfg.pm.backend;
+  if (backend !== 'jira') {
+    return { enabled: false, reason: 'pm.backend is not "jira" in .planning/config.json' };
+  }
+  const jira = cfg.pm.jira || {};
+  if (!jira.project || !PROJECT_KEY_RE.test(jira.project)) {
+    return { enabled: false, reason: 'pm.jira.project must be set to a Jira project key (e.g. "ENG")' };
+  }
+  if (!process.env.JIRA_BASE_URL) {
+    return { enabled: false, reason: 'JIRA_BASE_URL is not set' };
+  }
+  if (!process.env.JIRA_API_TOKEN) {
+    return { enabled: false, reason: 'JIRA_API_TOKEN is not set' };
+  }
+  const me = _rest('GET', '/myself');
+  if (!me.ok) {
+    return { enabled: false, reason: `Jira API check failed: ${me.error}` };
+  }
+  return {
+    enabled: true,
+    project: jira.project,
+    issue_type: jira.issue_type || 'Task',
+    epic_link_field: jira.epic_link_field || null,
+    labels: jira.labels || {},
+    milestone_prefix: jira.milestone_prefix || 'v',
+  };
+}
+
+// ─── Per-process caches ──────────────────────────────────────────────────────
+
+// Module-scope Maps; die with the process. NEVER persisted (same rule as gh.cjs SC-3).
+let _cachedChains = new Map();
+let _cachedProjects = new Map();
+function _resetCache() {
+  _cachedChains = new Map();
+  _cachedProjects = new Map();
+}
+
+/**
+ * Look up a project by key. Returns { id, key } or null.
+ */
+function _projectInfo(projectKey) {
+  if (_cachedProjects.has(projectKey)) return _cachedProjects.get(projectKey);
+  const r = _rest('GET', `/project/${encodeURIComponent(projectKey)}`);
+  if (!r.ok || !r.data) return null;
+  const project = { id: String(r.data.id), key: r.data.key };
+  _cachedProjects.set(projectKey, project);
+  return project;
+}
+
+// ─── Resolver (chain walk) ───────────────────────────────────────────────────
+
+function _resolveRef(fmValue, fieldName) {
+  if (!fmValue) return { value: null, provenance: 'absent' };
+  if (typeof fmValue === 'string' && ISSUE_REF_RE.test(fmValue)) {
+    return { value: fmValue, provenance: 'frontmatter' };
+  }
+  return {
+    value: fmValue,
+    provenance: 'frontmatter',
+    warning: `Unrecognized ${fieldName} format: ${fmValue} (expected a Jira issue key like ENG-42)`,
+  };
+}
+
+function _isRoadmapIssue(fields) {
+  const type = fields.issuetype && fields.issuetype.name;
+  const summary = typeof fields.summary === 'string' ? fields.summary : '';
+  return type === 'Epic' || summary.includes('[Roadmap]');
+}
+
+/**
+ * Walk a parent issue to find roadmap_issue (an epic or [Roadmap] issue) +
+ * milestone (its first fixVersion). Returns the same shape as gh.cjs _walkParent.
+ */
+function _walkParent(parentRef) {
+  const empty = {
+    roadmap_issue: null,
+    milestone: null,
+    provenance: { roadmap_issue: 'absent', milestone: 'absent' },
+    warnings: [],
+  };
+  if (!parentRef || !ISSUE_REF_RE.test(parentRef)) return empty;
+
+  const r = _rest('GET', `/issue/${parentRef}?fields=summary,issuetype,fixVersions`);
+  if (!r.ok) return { ...empty, warnings: [`Walk to ${parentRef} failed: ${r.error}`] };
+
+  const fields = (r.data && r.data.fields) || null;
+  if (!fields) return { ...empty, warnings: [`Issue ${parentRef} not found in walk response`] };
+
+  const isRoadmap = _isRoadmapIssue(fields);
+  const version = (fields.fixVersions || [])[0];
+  const milestone = version ? {
+    draft_or_issue_ref: parentRef,
+    title: version.name || null,
+    product: null,
+    quarter: null,
+    status: version.released ? 'released' : 'unreleased',
+  } : null;
+
+  return {
+    roadmap_issue: isRoadmap ? parentRef : null,
+    milestone,
+    provenance: {
+      roadmap_issue: isRoadmap ? 'walked_from_parent' : 'absent',
+      milestone: milestone ? 'walked_from_parent' : 'absent',
+    },
+    warnings: [],
+  };
+}
+
+function _searchPath() {
+  // Cloud retired POST /search in favour of /search/jql; Server/DC only has /search.
+  return _apiVersion() === '3' ? '/search/jql' : '/search';
+}
+
+/**
+ * Find the open [Roadmap] epic for a project. Returns its key or null.
+ * Oldest issue wins (deterministic, same rule as gh.findRoadmapIssue).
+ */
+function findRoadmapIssue(projectKey) {
+  if (!projectKey || !PROJECT_KEY_RE.test(projectKey)) return null;
+  const r = _rest('POST', _searchPath(), {
+    jql: `project = ${projectKey} AND summary ~ "\\\\[Roadmap\\\\]" AND statusCategory != Done ORDER BY created ASC`,
+    fields: ['summary', 'issuetype'],
+    maxResults: 5,
+  });
+  if (!r.ok || !r.data) return null;
+  const issues = r.data.issues || [];
+  // JQL `~` is a fuzzy text match — confirm the literal tag.
+  const roadmap = issues.find(i => i.fields && String(i.fields.summary || '').includes('[Roadmap]'));
+  return roadmap ? roadmap.key : null;
+}
+
+/**
+ * Walk an objective's frontmatter through the Jira chain.
+ * Returns { objective, jira_issue, parent_issue, roadmap_issue, org_initiative,
+ *           org_project, milestone, provenance, warnings } — the gh.resolveChain
+ * shape with `jira_issue` in place of `github_issue`.
+ *
+ * projectCtx: { jira_project, org_project } (from pm.jira config).
+ */
+function resolveChain(frontmatter, projectCtx) {
+  frontmatter = frontmatter || {};
+  projectCtx = projectCtx || {};
+
+  const cacheKey = `${projectCtx.jira_project || 'no-project'}#${frontmatter.jira_issue || frontmatter._objectiveId || 'no-id'}`;
+  if (_cachedChains.has(cacheKey)) {
+    const cached = _cachedChains.get(cacheKey);
+    const cachedProvenance = {};
+    for (const [k, v] of Object.entries(cached.provenance)) {
+      cachedProvenance[k] = (v === 'walked_from_parent' || v === 'inherited_from_project') ? 'cached' : v;
+    }
+    return Object.assign({}, cached, { provenance: cachedProvenance });
+  }
+
+  const warnings = [];
+  const result = {
+    objective: frontmatter._objectiveId || null,
+    jira_issue: null,
+    parent_issue: null,
+    roadmap_issue: null,
+    org_initiative: null,
+    org_project: null,
+    milestone: null,
+    provenance: {},
+    warnings,
+  };
+
+  const ji = _resolveRef(frontmatter.jira_issue, 'jira_issue');
+  result.jira_issue = ji.value;
+  result.provenance.jira_issue = ji.provenance;
+  if (ji.warning) warnings.push(ji.warning);
+
+  const pi = _resolveRef(frontmatter.parent_issue, 'parent_issue');
+  result.parent_issue = pi.value;
+  result.provenance.parent_issue = pi.provenance;
+  if (pi.warning) warnings.push(pi.warning);
+
+  if (frontmatter.org_initiative) {
+    result.org_initiative = frontmatter.org_initiative;
+    result.provenance.org_initiative = 'frontmatter';
+  } else {
+    result.provenance.org_initiative = 'absent';
+  }
+
+  if (frontmatter.org_project) {
+    result.org_project = frontmatter.org_project;
+    result.provenance.org_project = 'frontmatter';
+  } else if (projectCtx.org_project) {
+    result.org_project = projectCtx.org_project;
+    result.provenance.org_project = 'inherited_from_project';
+  } else {
+    result.provenance.org_project = 'absent';
+  }
+
+  let walkFrom = null;
+  if (result.parent_issue && ISSUE_REF_RE.test(result.parent_issue)) {
+    walkFrom = result.parent_issue;
+  } else if (projectCtx.jira_project) {
+    walkFrom = findRoadmapIssue(projectCtx.jira_project);
+  }
+
+  if (walkFrom) {
+    const walk = _walkParent(walkFrom);
+    // A [Roadmap] epic found by search is the roadmap even if the walk failed.
+    result.roadmap_issue = walk.roadmap_issue || (walkFrom !== result.parent_issue ? walkFrom : null);
+    result.provenance.roadmap_issue = result.roadmap_issue ? 'walked_from_parent' : 'absent';
+    result.milestone = walk.milestone;
+    result.provenance.milestone = walk.provenance.milestone;
+    for (const w of walk.warnings) warnings.push(w);
+  } else {
+    result.provenance.roadmap_issue = 'absent';
+    result.provenance.milestone = 'absent';
+  }
+
+  _cachedChains.set(cacheKey, result);
+  return result;
+}
+
+// ─── Issue primitives ────────────────────────────────────────────────────────
+
+function _issueUpdate(issueRef, fields) {
+  const r = _rest('PUT', `/issue/${issueRef}`, { fields });
+  if (!r.ok) return { ok: false, error: r.error };
+  return { ok: true };
+}
+
+/**
+ * Jira issues are created inside exactly one project and cannot be attached to
+ * another, so this only confirms the issue already belongs to projectKey.
+ * Returns { ok, item_id } like gh.addToProject (item_id is the issue key).
+ */
+function addToProject(issueRef, projectKey) {
+  if (!issueRef || !projectKey) {
+    return { ok: false, error: 'issueRef and projectKey are required' };
+  }
+  if (!ISSUE_REF_RE.test(issueRef)) return { ok: false, error: `malformed issueRef: ${issueRef}` };
+  if (issueRef.slice(0, issueRef.lastIndexOf('-')) !== projectKey) {
+    return { ok: false, error: `${issueRef} is not in Jira project ${projectKey}; Jira issues cannot be moved via the API` };
+  }
+  return { ok: true, item_id: issueRef };
+}
+
+/**
+ * Make childRef a child of the epic parentRef. Cloud sets the standard `parent`
+ * field; pass { epic_link_field } for Server/DC instances that still use the
+ * "Epic Link" custom field. Returns { ok: true } or { ok: false, error }.
+ */
+function linkSubIssue(parentRef, childRef, opts = {}) {
+  if (!parentRef || !childRef) {
+    return { ok: false, error: 'parentRef and childRef are required' };
+  }
+  const fields = opts.epic_link_field
+    ? { [opts.epic_link_field]: parentRef }
+    : { parent: { key: parentRef } };
+  const r = _issueUpdate(childRef, fields);
+  if (!r.ok) return { ok: false, error: r.error };
+  return { ok: true };
+}
+
+/**
+ * Fetch an issue in the gh-pull.fetchGhIssue shape so normalizeGhIssue,
+ * detectDrift and conflict.detectConflict work unchanged:
+ *
+ *   { state: 'OPEN'|'CLOSED', labels: [{name}], assignees: [{login}],
+ *     milestone: {title}|null, updatedAt }
+ *   null                  — issue does not exist
+ *   { error, _ok: false } — request failed for another reason
+ *
+ * Statuses in the "done" category count as CLOSED. The first fixVersion is the
+ * milestone; the assignee login is the Server username or the Cloud display name.
+ */
+function fetchIssue(issueRef) {
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) return null;
+  const r = _rest('GET', `/issue/${issueRef}?fields=status,labels,assignee,fixVersions,updated`);
+  if (!r.ok) {
+    if (r.status === 404) return null;
+    return { error: r.error, _ok: false };
+  }
+  const fields = r.data && r.data.fields;
+  if (!fields) return null;
+  const category = fields.status && fields.status.statusCategory && fields.status.statusCategory.key;
+  const version = (fields.fixVersions || [])[0];
+  return {
+    state: category === 'done' ? 'CLOSED' : 'OPEN',
+    labels: (fields.labels || []).map(name => ({ name })),
+    assignees: fields.assignee ? [{ login: fields.assignee.name || fields.assignee.displayName }] : [],
+    milestone: version ? { title: version.name } : null,
+    updatedAt: fields.updated ? new Date(fields.updated).toISOString() : null,
+  };
+}
+
+/**
+ * Read open/closed state for stale detection. Same contract as gh.readIssueState:
+ * { ok, status, stdout, stderr } where stdout is JSON { state: 'OPEN'|'CLOSED', closed }.
+ */
+function readIssueState(issueRef) {
+  const issue = fetchIssue(issueRef);
+  if (issue === null) {
+    return { ok: false, status: 1, stdout: '', stderr: `Could not resolve to an Issue: ${issueRef}` };
+  }
+  if (issue._ok === false) {
+    return { ok: false, status: 1, stdout: '', stderr: issue.error };
+  }
+  return {
+    ok: true,
+    status: 0,
+    stdout: JSON.stringify({ state: issue.state, closed: issue.state === 'CLOSED' }),
+    stderr: '',
+  };
+}
+
+// ─── Sticky comment ──────────────────────────────────────────────────────────
+
+/**
+ * Find an existing <!-- df:state --> comment on an issue. Returns its id or null.
+ * Jira renders the marker as literal text; it is still what identifies the comment.
+ */
+function findStickyComment(issueRef) {
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) return null;
+  const r = _rest('GET', `/issue/${issueRef}/comment?maxResults=100`);
+  if (!r.ok || !r.data) return null;
+  for (const c of r.data.comments || []) {
+    if (_bodyText(c.body).startsWith(STICKY_MARKER + '\n')) return String(c.id);
+  }
+  return null;
+}
+
+/**
+ * Add a comment to an issue. Returns { ok: true, comment_id, url } or { ok: false, error }.
+ */
+function _commentCreate(issueRef, body) {
+  const r = _rest('POST', `/issue/${issueRef}/comment`, { body: _toBody(body) });
+  if (!r.ok || !r.data || !r.data.id) {
+    return { ok: false, error: r.error || 'comment create returned no id' };
+  }
+  const id = String(r.data.id);
+  const base = (process.env.JIRA_BASE_URL || '').replace(/\/+$/, '');
+  return { ok: true, comment_id: id, url: `${base}/browse/${issueRef}?focusedCommentId=${id}` };
+}
+
+function _commentUpdate(issueRef, commentId, body) {
+  const r = _rest('PUT', `/issue/${issueRef}/comment/${commentId}`, { body: _toBody(body) });
+  return r.ok;
+}
+
+/**
+ * Create or edit the sticky state comment. Same priority order and return
+ * shape as gh.upsertStickyComment:
+ *   1. mappingState.state_comment_id set → edit in place
+ *   2. otherwise scan by marker → edited_via_marker
+ *   3. otherwise create
+ *
+ * Returns { action: 'created' | 'edited' | 'edited_via_marker' | 'failed', comment_id }
+ */
+function upsertStickyComment(issueRef, body, mappingState = {}) {
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) {
+    return { action: 'failed', error: `malformed issueRef: ${issueRef}` };
+  }
+
+  if (mappingState.state_comment_id && _commentUpdate(issueRef, mappingState.state_comment_id, body)) {
+    return { action: 'edited', comment_id: mappingState.state_comment_id };
+  }
+
+  const found = findStickyComment(issueRef);
+  if (found && _commentUpdate(issueRef, found, body)) {
+    return { action: 'edited_via_marker', comment_id: found };
+  }
+
+  const created = _commentCreate(issueRef, body);
+  if (!created.ok) return { action: 'failed', error: created.error };
+  return { action: 'created', comment_id: created.comment_id };
+}
+
+// ─── Project fields ──────────────────────────────────────────────────────────
+
+/**
+ * Move an issue to the workflow status for `value`. Matches an exact status or
+ * transition name first, then Todo/In Progress/Done → status category. Already
+ * being in a matching status is a no-op success.
+ * Returns { ok: true } | { ok: false, error } | { ok: false, unknown: true }.
+ */
+function _transitionTo(issueRef, value) {
+  const wanted = STATUS_CATEGORIES[value];
+  const matches = (status) => !!status && (
+    status.name === value || (wanted && status.statusCategory && status.statusCategory.key === wanted)
+  );
+
+  const cur = _rest('GET', `/issue/${issueRef}?fields=status`);
+  if (cur.ok && cur.data && cur.data.fields && matches(cur.data.fields.status)) return { ok: true };
+
+  const list = _rest('GET', `/issue/${issueRef}/transitions`);
+  if (!list.ok) return { ok: false, error: list.error };
+  const transitions = (list.data && list.data.transitions) || [];
+  const t = transitions.find(tr => tr.name === value || (tr.to && tr.to.name === value)) ||
+    transitions.find(tr => matches(tr.to));
+  if (!t) return { ok: false, unknown: true };
+
+  const r = _rest('POST', `/issue/${issueRef}/transitions`, { transition: { id: t.id } });
+  if (!r.ok) return { ok: false, error: r.error };
+  return { ok: true };
+}
+
+/**
+ * Apply project-level fields to an issue. Same contract as gh.updateProjectFields:
+ * returns { ok, fields_updated, warnings?, errors?, error? }.
+ *
+ * `Status` is applied as a workflow transition. Other fields (Quarter,
+ * Product, ...) have no portable Jira equivalent and are reported as warnings.
+ */
+function updateProjectFields(issueRef, projectKey, fields = {}) {
+  if (!projectKey) {
+    return { ok: false, error: 'no projectKey; cannot update fields', fields_updated: [] };
+  }
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) {
+    return { ok: false, error: `malformed issueRef: ${issueRef}`, fields_updated: [] };
+  }
+
+  const add = addToProject(issueRef, projectKey);
+  if (!add.ok) {
+    return { ok: false, error: add.error, fields_updated: [] };
+  }
+
+  const fields_updated = [];
+  const warnings = [];
+  const errors = [];
+
+  for (const [fieldName, fieldValue] of Object.entries(fields)) {
+    if (fieldName !== 'Status') {
+      warnings.push(`unsupported field on Jira: ${fieldName}`);
+      continue;
+    }
+    const r = _transitionTo(issueRef, fieldValue);
+    if (r.ok) fields_updated.push(fieldName);
+    else if (r.unknown) warnings.push(`no transition to ${fieldName}: ${fieldValue}`);
+    else errors.push({ field: fieldName, error: r.error });
+  }
+
+  return {
+    ok: errors.length === 0,
+    fields_updated,
+    ...(warnings.length > 0 ? { warnings } : {}),
+    ...(errors.length > 0 ? { errors } : {}),
+  };
+}
+
+// ─── Context readers ─────────────────────────────────────────────────────────
+
+function _readProjectCtx(projectRoot) {
+  const jira = _jiraConfig(projectRoot);
+  return {
+    jira_project: jira.project || null,
+    org_project: jira.project || null,
+  };
+}
+
+function _emitAuthError(e) {
+  process.stderr.write(JSON.stringify({
+    error: e.message,
+    remediation: e.remediation,
+    scopes_missing: e.scopes_missing,
+  }, null, 2) + '\n');
+  process.exit(1);
+}
+
+// ─── syncObjective ───────────────────────────────────────────────────────────
+
+/**
+ * syncObjective(objectiveId, projectRoot) — push one objective's disk state to Jira.
+ * Steps mirror gh.syncObjective: requireJiraAuth → resolveChain →
+ *   readObjectiveState → issue description → sticky comment → status transition.
+ *
+ * Returns { ok, issue_updated, comment_action, comment_id, project_fields_updated, chain, state, warnings }
+ * or { ok: false, error, warnings }.
+ */
+function syncObjective(objectiveId, projectRoot) {
+  requireJiraAuth();
+
+  const objPath = path.join(projectRoot, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) {
+    return { ok: false, error: `objective not found: ${objectiveId}`, warnings: [] };
+  }
+  const objFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  objFm._objectiveId = objectiveId;
+
+  const state = gh.readObjectiveState(objectiveId, projectRoot);
+  const mapping = readMapping(projectRoot);
+
+  // jira_issue frontmatter wins; else fall back to the push mapping.
+  if (!objFm.jira_issue && mapping.objectives[state.number]) {
+    objFm.jira_issue = mapping.objectives[state.number].issue_id;
+  }
+  if (!objFm.jira_issue) {
+    return {
+      ok: false,
+      error: 'objective has no jira_issue; run sync-objectives to create it',
+      warnings: [],
+    };
+  }
+
+  const chain = resolveChain(objFm, _readProjectCtx(projectRoot));
+  const issueRef = chain.jira_issue;
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) {
+    return { ok: false, error: `malformed jira_issue: ${issueRef}`, warnings: chain.warnings || [] };
+  }
+
+  const editR = _issueUpdate(issueRef, { description: _toBody(gh.buildIssueBody(state)) });
+
+  const mappingEntry = mapping.objectives[state.number] || { issue_id: issueRef, state_comment_id: null };
+  const upsert = upsertStickyComment(issueRef, gh.buildStickyComment(state, new Date().toISOString()), mappingEntry);
+  if (upsert.comment_id && upsert.comment_id !== mappingEntry.state_comment_id) {
+    mappingEntry.state_comment_id = upsert.comment_id;
+    mapping.objectives[state.number] = mappingEntry;
+    writeMapping(projectRoot, mapping);
+  }
+
+  const fieldUpdates = {};
+  if (state.trd_done === state.trd_total && state.trd_total > 0) {
+    fieldUpdates.Status = 'Done';
+  } else if (state.trd_done > 0) {
+    fieldUpdates.Status = 'In Progress';
+  } else {
+    fieldUpdates.Status = 'Todo';
+  }
+  const projectUpdate = updateProjectFields(issueRef, chain.org_project, fieldUpdates);
+
+  return {
+    ok: true,
+    issue_updated: editR.ok,
+    comment_action: upsert.action,
+    comment_id: upsert.comment_id,
+    project_fields_updated: projectUpdate.fields_updated || [],
+    chain,
+    state,
+    warnings: [...(chain.warnings || []), ...(projectUpdate.warnings || [])],
+  };
+}
+
+// ─── Push helpers (sync-objectives) ──────────────────────────────────────────
+
+function _ensureFixVersion(projectKey, title) {
+  const list = _rest('GET', `/project/${encodeURIComponent(projectKey)}/versions`);
+  const versions = (list.ok && Array.isArray(list.data)) ? list.data : [];
+  const existing = versions.find(v => v.name === title);
+  if (existing) return { id: String(existing.id), created: false };
+  const project = _projectInfo(projectKey);
+  if (!project) return null;
+  const created = _rest('POST', '/version', { name: title, projectId: Number(project.id) });
+  if (created.ok && created.data && created.data.id) {
+    return { id: String(created.data.id), created: true };
+  }
+  return null;
+}
+
+// ─── Commands ────────────────────────────────────────────────────────────────
+
+function cmdJiraStatus(cwd, raw) {
+  const status = jiraStatus(cwd);
+  output(status, raw, status.enabled ? 'enabled' : status.reason);
+}
+
+/**
+ * Create/update one Jira issue per ROADMAP objective (gh.cmdGhSyncObjectives
+ * equivalent). New issues get the objective label, the milestone fixVersion and,
+ * when an open [Roadmap] epic exists, that epic as parent. Graceful-skip when
+ * Jira is not configured. Records sync state per synced objective so later
+ * pulls have a baseline.
+ */
+function cmdJiraSyncObjectives(cwd, raw) {
+  const status = jiraStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason }, raw, '');
+    return;
+  }
+
+  const objectives = gh.listObjectives(cwd);
+  if (objectives.length === 0) {
+    output({ ok: false, reason: 'No objectives found in ROADMAP.md' }, raw, '');
+    return;
+  }
+
+  if (!_projectInfo(status.project)) {
+    output({ ok: false, reason: `Jira project not found: ${status.project}` }, raw, '');
+    return;
+  }
+
+  const mapping = readMapping(cwd);
+  const projectName = gh.getProjectName(cwd);
+  const milestoneVersion = gh.getMilestoneVersion(cwd) || 'v1.0';
+  const milestoneTitle = `${status.milestone_prefix}${milestoneVersion.replace(/^v/, '')}`;
+  const baseLabel = status.labels.objective || 'devflow:objective';
+  const result = { ok: true, backend: 'jira', target: status.project, milestone: null, objectives: [], warnings: [] };
+
+  const version = mapping.milestone_id
+    ? { id: mapping.milestone_id, created: false }
+    : _ensureFixVersion(status.project, milestoneTitle);
+  if (version) {
+    mapping.milestone_id = version.id;
+    result.milestone = { id: version.id, title: milestoneTitle, created: version.created };
+  }
+
+  const epic = findRoadmapIssue(status.project);
+
+  for (const obj of objectives) {
+    const existing = mapping.objectives[obj.number];
+    const summary = `[Objective ${obj.number}] ${obj.name}`;
+    const description = _toBody(gh.formatIssueBody(obj, projectName));
+
+    if (existing) {
+      const edit = _issueUpdate(existing.issue_id, { summary, description });
+      result.objectives.push({
+        number: obj.number,
+        issue: existing.issue_id,
+        issue_ref: existing.issue_id,
+        action: edit.ok ? 'updated' : 'failed',
+        error: edit.ok ? null : edit.error,
+      });
+      continue;
+    }
+
+    const fields = {
+      project: { key: status.project },
+      issuetype: { name: status.issue_type },
+      summary,
+      description,
+      labels: [baseLabel],
+    };
+    if (mapping.milestone_id) fields.fixVersions = [{ id: mapping.milestone_id }];
+    const create = _rest('POST', '/issue', { fields });
+    if (!create.ok || !create.data || !create.data.key) {
+      result.objectives.push({ number: obj.number, action: 'failed', error: create.error || 'issue create returned no key' });
+      continue;
+    }
+    const key = create.data.key;
+    mapping.objectives[obj.number] = { issue_id: key, state_comment_id: null };
+    result.objectives.push({ number: obj.number, issue: key, issue_ref: key, action: 'created' });
+    if (epic) {
+      const link = linkSubIssue(epic, key, { epic_link_field: status.epic_link_field });
+      if (!link.ok) result.warnings.push(`could not link ${key} to epic ${epic}: ${link.error}`);
+    }
+  }
+
+  writeMapping(cwd, mapping);
+
+  // Record sync baseline (same record shape as gh.cmdGhSyncObjectives — TRD 21-02).
+  for (const item of result.objectives) {
+    if (item.action !== 'created' && item.action !== 'updated') continue;
+    const objDir = gh._findObjectiveDir(cwd, item.number);
+    if (!objDir) continue;
+    const objPath = path.join(cwd, '.planning', 'objectives', objDir, 'OBJECTIVE.md');
+    if (!fs.existsSync(objPath)) continue;
+    let diskFm;
+    try {
+      diskFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+    } catch (_) {
+      continue;
+    }
+    const nowIso = new Date().toISOString();
+    try {
+      recordSync(cwd, item.number, {
+        issue_ref: item.issue_ref,
+        etag: null,
+        gh_updated_at: nowIso,
+        label_set: [baseLabel],
+        assignees: [],
+        milestone: result.milestone ? milestoneTitle : null,
+        status: 'open',
+        last_synced_at: nowIso,
+        last_synced_disk_hash: hashFrontmatter(diskFm),
+      });
+    } catch (_) {
+      // best-effort: do not fail the push if sync state can't be written
+    }
+  }
+
+  output(result, raw, '');
+}
+
+// Objective number (via the push mapping) or a literal issue key → issue key.
+function _issueForArg(cwd, arg) {
+  const entry = readMapping(cwd).objectives[arg];
+  if (entry && entry.issue_id) return entry.issue_id;
+  return ISSUE_REF_RE.test(arg || '') ? arg : null;
+}
+
+/**
+ * `comment <issue|objective> <body|@file:path>` — same output as gh.cmdGhComment:
+ * { ok, issue, issue_ref, error, url }.
+ */
+function cmdJiraComment(cwd, issueOrObjective, body, raw) {
+  const status = jiraStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason }, raw, '');
+    return;
+  }
+  if (!issueOrObjective || body === undefined) {
+    output({ ok: false, reason: 'Usage: pm comment <issue|objective#> <body|@file:path>' }, raw, '');
+    return;
+  }
+  const issue = _issueForArg(cwd, issueOrObjective);
+  if (!issue) {
+    output({ ok: false, reason: `No issue mapped for ${issueOrObjective}` }, raw, '');
+    return;
+  }
+  const bodyArg = gh.readBodyArg(body);
+  if (!bodyArg.ok) {
+    output({ ok: false, reason: bodyArg.reason }, raw, '');
+    return;
+  }
+  const r = _commentCreate(issue, bodyArg.body);
+  output({ ok: r.ok, issue, issue_ref: issue, error: r.ok ? null : r.error, url: r.ok ? r.url : null }, raw, '');
+}
+
+/**
+ * `close-issue <issue|objective> [comment]` — transitions the issue into the
+ * "done" status category. Same output as gh.cmdGhCloseIssue: { ok, issue, issue_ref, error }.
+ */
+function cmdJiraCloseIssue(cwd, objectiveOrIssue, comment, raw) {
+  const status = jiraStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason }, raw, '');
+    return;
+  }
+  const issue = _issueForArg(cwd, objectiveOrIssue);
+  if (!issue) {
+    output({ ok: false, reason: `No issue mapped for ${objectiveOrIssue}` }, raw, '');
+    return;
+  }
+  if (comment) {
+    const c = _commentCreate(issue, comment);
+    if (!c.ok) {
+      output({ ok: false, issue, issue_ref: issue, error: c.error }, raw, '');
+      return;
+    }
+  }
+  const r = _transitionTo(issue, 'Done');
+  const error = r.ok ? null : (r.error || 'no transition into a done status');
+  output({ ok: r.ok, issue, issue_ref: issue, error }, raw, '');
+}
+
+/**
+ * CLI entry point for single-objective sync. Hard-fails on auth (structured
+ * JSON to stderr + exit 1), mirroring gh.cmdGhSyncObjective.
+ */
+function cmdJiraSyncObjective(cwd, objectiveId, raw) {
+  if (!objectiveId) {
+    process.stderr.write(JSON.stringify({ error: 'Usage: sync <objectiveId>' }, null, 2) + '\n');
+    process.exit(1);
+    return;
+  }
+  try {
+    const result = syncObjective(objectiveId, cwd);
+    if (!result.ok) {
+      process.stderr.write(JSON.stringify(result, null, 2) + '\n');
+      process.exit(1);
+      return;
+    }
+    output(result, raw, JSON.stringify(result, null, 2));
+  } catch (e) {
+    if (e.name === 'JiraAuthError') {
+      _emitAuthError(e);
+      return;
+    }
+    throw e;
+  }
+}
+
+/**
+ * CLI entry point for `resolve <objectiveId>` — prints the resolved chain.
+ */
+function cmdJiraResolve(cwd, objectiveId, raw) {
+  if (!objectiveId) {
+    process.stderr.write('Usage: resolve <objectiveId> [--raw]\n');
+    process.exit(1);
+    return;
+  }
+  try {
+    requireJiraAuth();
+  } catch (e) {
+    if (e.name === 'JiraAuthError') {
+      _emitAuthError(e);
+      return;
+    }
+    throw e;
+  }
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) {
+    process.stderr.write(`Error: objective not found: ${objectiveId}\n`);
+    process.exit(1);
+    return;
+  }
+  const objFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  objFm._objectiveId = objectiveId;
+  const result = resolveChain(objFm, _readProjectCtx(cwd));
+  output(result, raw, JSON.stringify(result, null, 2));
+}
+
+// ─── `df-tools pm` integration ───────────────────────────────────────────────
+
+// Pull hooks for gh-pull.cmdGhPull (shape documented at gh-pull._ghPullAdapter).
+const pullAdapter = {
+  label: 'Jira',
+  requireAuth: () => requireJiraAuth(),
+  issueRef(cwd, objectiveId) {
+    const entry = readMapping(cwd).objectives[objectiveId];
+    return entry && entry.issue_id ? { ok: true, ref: entry.issue_id } : { ok: false };
+  },
+  fetchIssue: (ref) => fetchIssue(ref),
+  pushObjective: (cwd, objectiveId, raw) => cmdJiraSyncObjective(cwd, objectiveId, raw),
+};
+
+// Verb table for lib/pm-cli.cjs (same verbs and signature as gh.pmCommands).
+// No sync-release yet: release notes are published to GitHub Releases only.
+const pmCommands = {
+  status: (cwd, args, raw) => cmdJiraStatus(cwd, raw),
+  'sync-objectives': (cwd, args, raw) => cmdJiraSyncObjectives(cwd, raw),
+  sync: (cwd, args, raw) => cmdJiraSyncObjective(cwd, args[0], raw),
+  resolve: (cwd, args, raw) => cmdJiraResolve(cwd, args[0], raw),
+  pull: (cwd, args, raw) => require('./gh-pull.cjs').cmdGhPull(cwd, args, raw, pullAdapter),
+  comment: (cwd, args, raw) => cmdJiraComment(cwd, args[0], args[1], raw),
+  'close-issue': (cwd, args, raw) => cmdJiraCloseIssue(cwd, args[0], args[1] || null, raw),
+};
+
+module.exports = {
+  // `df-tools pm` verbs + pull hooks:
+  pmCommands,
+  pullAdapter,
+
+  // Status + push (gh.cjs ghStatus / cmdGhSyncObjectives equivalents):
+  jiraStatus,
+  cmdJiraStatus,
+  cmdJiraSyncObjectives,
+  cmdJiraComment,
+  cmdJiraCloseIssue,
+
+  // Resolver:
+  resolveChain,
+  findRoadmapIssue,
+  addToProject,
+  linkSubIssue,
+  cmdJiraResolve,
+
+  // Auth:
+  requireJiraAuth,
+  JiraAuthError,
+
+  // Sync orchestrator + helpers:
+  findStickyComment,
+  upsertStickyComment,
+  updateProjectFields,
+  syncObjective,
+  cmdJiraSyncObjective,
+  readMapping,
+  writeMapping,
+
+  // Pull-side readers (gh-pull.fetchGhIssue / gh.readIssueState shapes):
+  fetchIssue,
+  readIssueState,
+
+  STATUS_CATEGORIES,
+
+  // Test hooks:
+  _resetCache,
+  _setRunJira,
+  _runJira: (...args) => _runJira(...args),
+};
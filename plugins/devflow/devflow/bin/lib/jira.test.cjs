@@ -0,0 +1,468 @@
+'use strict';
+
+// Unit tests for lib/jira.cjs — Jira PM backend.
+//
+// Unit groups mock the transport via jira._setRunJira(mockFn).
+// Group H drives the real transport (lib/http-sync.cjs) against the local
+// stub server in __fixtures__/pm-stub-server.cjs — no live Jira calls.
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const jira = require('./jira.cjs');
+const fx = require('./__fixtures__/jira-fixtures.cjs');
+const { startStubServer } = require('./__fixtures__/pm-stub-server.cjs');
+
+const ENV_KEYS = ['JIRA_BASE_URL', 'JIRA_API_TOKEN', 'JIRA_EMAIL', 'JIRA_API_VERSION'];
+const MYSELF_OK = fx.jsonOk({ accountId: 'acc-1', displayName: 'alice' });
+
+let savedEnv;
+
+beforeEach(() => {
+  jira._resetCache();
+  jira._setRunJira(null);
+  savedEnv = {};
+  for (const k of ENV_KEYS) savedEnv[k] = process.env[k];
+  process.env.JIRA_BASE_URL = 'https://acme.atlassian.net';
+  process.env.JIRA_API_TOKEN = 'tok';
+  process.env.JIRA_EMAIL = 'alice@acme.test';
+  delete process.env.JIRA_API_VERSION;
+});
+
+afterEach(() => {
+  jira._setRunJira(null);
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+});
+
+function captureCmd(fn) {
+  let stdout = '';
+  let stderr = '';
+  let exitCode = null;
+  const origOut = process.stdout.write.bind(process.stdout);
+  const origErr = process.stderr.write.bind(process.stderr);
+  const origExit = process.exit;
+  process.stdout.write = (c) => { stdout += c; return true; };
+  process.stderr.write = (c) => { stderr += c; return true; };
+  process.exit = (code) => { exitCode = code; };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = origOut;
+    process.stderr.write = origErr;
+    process.exit = origExit;
+  }
+  return { stdout, stderr, exitCode };
+}
+
+function makeProject({ config, roadmap, objectives = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-jira-test-'));
+  fs.mkdirSync(path.join(dir, '.planning', 'objectives'), { recursive: true });
+  if (config) fs.writeFileSync(path.join(dir, '.planning', 'config.json'), JSON.stringify(config));
+  if (roadmap) fs.writeFileSync(path.join(dir, '.planning', 'ROADMAP.md'), roadmap);
+  for (const [objDir, fm] of Object.entries(objectives)) {
+    fs.mkdirSync(path.join(dir, '.planning', 'objectives', objDir), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.planning', 'objectives', objDir, 'OBJECTIVE.md'), `---\n${fm}\n---\n\n# Objective\n`);
+  }
+  return dir;
+}
+
+const JIRA_CONFIG = { pm: { backend: 'jira', jira: { project: 'ENG' } } };
+const ROADMAP = [
+  '# Roadmap v1.2',
+  '',
+  '## Objective 1: Linear backend',
+  '',
+  '**Goal:** Mirror objectives into Linear',
+  '',
+  '## Objective 2: Jira backend',
+  '',
+  '**Goal:** Mirror objectives into Jira',
+  '',
+].join('\n');
+
+// ─── Group A: requireJiraAuth + transport ────────────────────────────────────
+
+describe('requireJiraAuth', () => {
+  test('A1: missing JIRA_API_TOKEN throws JiraAuthError with remediation', () => {
+    delete process.env.JIRA_API_TOKEN;
+    assert.throws(() => jira.requireJiraAuth(), (e) => {
+      assert.strictEqual(e.name, 'JiraAuthError');
+      assert.match(e.remediation, /JIRA_API_TOKEN/);
+      assert.deepStrictEqual(e.scopes_missing, []);
+      return true;
+    });
+  });
+
+  test('A2: HTTP 401 → "rejected" JiraAuthError', () => {
+    jira._setRunJira(fx.buildMockRunJira({ 'GET /myself': fx.jsonError(401) }));
+    assert.throws(() => jira.requireJiraAuth(), /rejected/);
+  });
+
+  test('A3: GET /myself succeeds → returns silently', () => {
+    jira._setRunJira(fx.buildMockRunJira({ 'GET /myself': MYSELF_OK }));
+    assert.doesNotThrow(() => jira.requireJiraAuth());
+  });
+
+  test('A4: Jira error bodies are flattened into the error message', () => {
+    jira._setRunJira(fx.buildMockRunJira({
+      'GET /issue/ENG-42': fx.jsonError(400, ['Field is bad'], { labels: 'must be strings' }),
+    }));
+    const r = jira.fetchIssue('ENG-42');
+    assert.strictEqual(r._ok, false);
+    assert.strictEqual(r.error, 'Field is bad; labels: must be strings');
+  });
+});
+
+// ─── Group B: resolveChain ───────────────────────────────────────────────────
+
+describe('resolveChain', () => {
+  test('B1: parent epic walk yields roadmap_issue + fixVersion milestone', () => {
+    jira._setRunJira(fx.buildMockRunJira({
+      'GET /issue/ENG-1': fx.jsonOk(fx.buildJiraIssue({ key: 'ENG-1', summary: 'devflow-claude', issueType: 'Epic', fixVersion: 'v1.2' })),
+    }));
+
+    const r = jira.resolveChain(
+      { jira_issue: 'ENG-42', parent_issue: 'ENG-1', _objectiveId: '02-jira' },
+      { jira_project: 'ENG', org_project: 'ENG' }
+    );
+
+    assert.strictEqual(r.jira_issue, 'ENG-42');
+    assert.strictEqual(r.provenance.jira_issue, 'frontmatter');
+    assert.strictEqual(r.roadmap_issue, 'ENG-1');
+    assert.strictEqual(r.provenance.roadmap_issue, 'walked_from_parent');
+    assert.strictEqual(r.milestone.title, 'v1.2');
+    assert.strictEqual(r.milestone.status, 'unreleased');
+    assert.strictEqual(r.org_project, 'ENG');
+    assert.deepStrictEqual(r.warnings, []);
+  });
+
+  test('B2: no parent_issue → JQL search for the [Roadmap] epic (v3 /search/jql)', () => {
+    const mock = fx.buildMockRunJira({
+      'POST /search/jql': fx.jsonOk({ issues: [
+        { key: 'ENG-5', fields: { summary: 'Roadmap cleanup', issuetype: { name: 'Task' } } },
+        { key: 'ENG-1', fields: { summary: '[Roadmap] devflow', issuetype: { name: 'Epic' } } },
+      ] }),
+      'GET /issue/ENG-1': fx.jsonOk(fx.buildJiraIssue({ key: 'ENG-1', summary: '[Roadmap] devflow', issueType: 'Epic', fixVersion: null })),
+    });
+    jira._setRunJira(mock);
+
+    const r = jira.resolveChain({ jira_issue: 'ENG-42' }, { jira_project: 'ENG' });
+
+    assert.strictEqual(r.roadmap_issue, 'ENG-1');
+    assert.strictEqual(r.provenance.milestone, 'absent');
+    assert.match(mock.callsFor('POST /search/jql')[0].body.jql, /^project = ENG AND summary ~/);
+  });
+
+  test('B3: JIRA_API_VERSION=2 searches via /search', () => {
+    process.env.JIRA_API_VERSION = '2';
+    const mock = fx.buildMockRunJira({ 'POST /search': fx.jsonOk({ issues: [] }) });
+    jira._setRunJira(mock);
+    assert.strictEqual(jira.findRoadmapIssue('ENG'), null);
+    assert.strictEqual(mock.callsFor('POST /search').length, 1);
+  });
+
+  test('B4: malformed jira_issue → warning, value passed through', () => {
+    jira._setRunJira(fx.buildMockRunJira({}));
+    const r = jira.resolveChain({ jira_issue: 'eng 42' }, {});
+    assert.strictEqual(r.jira_issue, 'eng 42');
+    assert.ok(r.warnings.some(w => /Unrecognized jira_issue/.test(w)));
+  });
+});
+
+// ─── Group C: fetchIssue / readIssueState ────────────────────────────────────
+
+describe('fetchIssue / readIssueState', () => {
+  test('C1: fetchIssue returns gh-pull shape consumable by normalizeGhIssue', () => {
+    jira._setRunJira(fx.buildMockRunJira({
+      'GET /issue/ENG-42': fx.jsonOk(fx.buildJiraIssue({ labels: ['a', 'b'], assignee: 'bob', fixVersion: 'v1.2' })),
+    }));
+    const issue = jira.fetchIssue('ENG-42');
+    const norm = require('./gh-pull.cjs').normalizeGhIssue(issue);
+    assert.deepStrictEqual(norm, {
+      status: 'open',
+      labels: ['a', 'b'],
+      assignees: ['bob'],
+      milestone: 'v1.2',
+      updatedAt: '2026-05-01T00:00:00.000Z',
+    });
+  });
+
+  test('C2: "done" status category maps to CLOSED; Server username preferred for login', () => {
+    const issue = fx.buildJiraIssue({ statusName: 'Resolved', statusCategory: 'done' });
+    issue.fields.assignee = { name: 'bsmith', displayName: 'Bob Smith' };
+    jira._setRunJira(fx.buildMockRunJira({ 'GET /issue/ENG-42': fx.jsonOk(issue) }));
+    const r = jira.fetchIssue('ENG-42');
+    assert.strictEqual(r.state, 'CLOSED');
+    assert.deepStrictEqual(r.assignees, [{ login: 'bsmith' }]);
+  });
+
+  test('C3: 404 → null; other errors → { _ok: false }', () => {
+    jira._setRunJira(fx.buildMockRunJira({ 'GET /issue/ENG-404': fx.jsonError(404, ['Issue does not exist']) }));
+    assert.strictEqual(jira.fetchIssue('ENG-404'), null);
+    jira._setRunJira(fx.buildMockRunJira({ 'GET /issue/ENG-42': fx.jsonError(429) }));
+    const r = jira.fetchIssue('ENG-42');
+    assert.strictEqual(r._ok, false);
+    assert.match(r.error, /429/);
+  });
+
+  test('C4: readIssueState matches gh.readIssueState contract', () => {
+    jira._setRunJira(fx.buildMockRunJira({
+      'GET /issue/ENG-42': fx.jsonOk(fx.buildJiraIssue({ statusCategory: 'done' })),
+    }));
+    const r = jira.readIssueState('ENG-42');
+    assert.strictEqual(r.ok, true);
+    assert.deepStrictEqual(JSON.parse(r.stdout), { state: 'CLOSED', closed: true });
+  });
+});
+
+// ─── Group D: upsertStickyComment ────────────────────────────────────────────
+
+describe('upsertStickyComment', () => {
+  const BODY = '<!-- df:state -->\n**DevFlow state**\n\nTRDs: 1/2';
+
+  test('D1: known state_comment_id → PUT comment in place (edited)', () => {
+    const mock = fx.buildMockRunJira({ 'PUT /issue/ENG-42/comment/10201': fx.jsonOk({ id: '10201' }) });
+    jira._setRunJira(mock);
+    const r = jira.upsertStickyComment('ENG-42', BODY, { state_comment_id: '10201' });
+    assert.deepStrictEqual(r, { action: 'edited', comment_id: '10201' });
+    assert.strictEqual(mock.callsFor('GET /issue/ENG-42/comment').length, 0, 'no marker scan when id known');
+  });
+
+  test('D2: no id → marker scan over ADF comment bodies (edited_via_marker)', () => {
+    const mock = fx.buildMockRunJira({
+      'GET /issue/ENG-42/comment': fx.jsonOk({ comments: [
+        { id: '1', body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'hi' }] }] } },
+        { id: 7, body: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [
+          { type: 'text', text: '<!-- df:state -->' }, { type: 'hardBreak' }, { type: 'text', text: 'old' },
+        ] }] } },
+      ] }),
+      'PUT /issue/ENG-42/comment/7': fx.jsonOk({ id: '7' }),
+    });
+    jira._setRunJira(mock);
+    const r = jira.upsertStickyComment('ENG-42', BODY, {});
+    assert.deepStrictEqual(r, { action: 'edited_via_marker', comment_id: '7' });
+  });
+
+  test('D3: no existing comment → POST with an ADF body on v3 (created)', () => {
+    const mock = fx.buildMockRunJira({
+      'GET /issue/ENG-42/comment': fx.jsonOk({ comments: [] }),
+      'POST /issue/ENG-42/comment': fx.jsonOk({ id: '10300' }, 201),
+    });
+    jira._setRunJira(mock);
+    const r = jira.upsertStickyComment('ENG-42', BODY, {});
+    assert.deepStrictEqual(r, { action: 'created', comment_id: '10300' });
+    const doc = mock.callsFor('POST /issue/ENG-42/comment')[0].body.body;
+    assert.strictEqual(doc.type, 'doc');
+    assert.strictEqual(doc.content.length, 2, 'blank line splits paragraphs');
+    assert.deepStrictEqual(doc.content[0].content[0], { type: 'text', text: '<!-- df:state -->' });
+    assert.deepStrictEqual(doc.content[0].content[1], { type: 'hardBreak' });
+  });
+
+  test('D4: JIRA_API_VERSION=2 sends the body as a plain string', () => {
+    process.env.JIRA_API_VERSION = '2';
+    const mock = fx.buildMockRunJira({
+      'GET /issue/ENG-42/comment': fx.jsonOk({ comments: [] }),
+      'POST /issue/ENG-42/comment': fx.jsonOk({ id: 5 }, 201),
+    });
+    jira._setRunJira(mock);
+    const r = jira.upsertStickyComment('ENG-42', BODY, {});
+    assert.strictEqual(r.comment_id, '5');
+    assert.strictEqual(mock.callsFor('POST /issue/ENG-42/comment')[0].body.body, BODY);
+  });
+});
+
+// ─── Group E: updateProjectFields / addToProject / linkSubIssue ──────────────
+
+describe('updateProjectFields / addToProject / linkSubIssue', () => {
+  test('E1: Status becomes a transition by status category; Quarter becomes a warning', () => {
+    const mock = fx.buildMockRunJira({
+      'GET /issue/ENG-42': fx.jsonOk(fx.buildJiraIssue({ statusName: 'To Do', statusCategory: 'new' })),
+      'GET /issue/ENG-42/transitions': fx.jsonOk(fx.buildTransitions()),
+      'POST /issue/ENG-42/transitions': fx.noContent(),
+    });
+    jira._setRunJira(mock);
+
+    const r = jira.updateProjectFields('ENG-42', 'ENG', { Status: 'In Progress', Quarter: 'Q2 2026' });
+
+    assert.strictEqual(r.ok, true);
+    assert.deepStrictEqual(r.fields_updated, ['Status']);
+    assert.deepStrictEqual(r.warnings, ['unsupported field on Jira: Quarter']);
+    assert.deepStrictEqual(mock.callsFor('POST /issue/ENG-42/transitions')[0].body, { transition: { id: '21' } });
+  });
+
+  test('E2: already in the target category → no transition request', () => {
+    const mock = fx.buildMockRunJira({
+      'GET /issue/ENG-42': fx.jsonOk(fx.buildJiraIssue({ statusName: 'Closed', statusCategory: 'done' })),
+    });
+    jira._setRunJira(mock);
+    const r = jira.updateProjectFields('ENG-42', 'ENG', { Status: 'Done' });
+    assert.deepStrictEqual(r.fields_updated, ['Status']);
+    assert.strictEqual(mock.callsFor('GET /issue/ENG-42/transitions').length, 0);
+  });
+
+  test('E3: issue outside the project → { ok: false } without any request', () => {
+    const mock = fx.buildMockRunJira({});
+    jira._setRunJira(mock);
+    const r = jira.updateProjectFields('OPS-7', 'ENG', { Status: 'Done' });
+    assert.strictEqual(r.ok, false);
+    assert.match(r.error, /not in Jira project ENG/);
+    assert.strictEqual(mock.calls().length, 0);
+  });
+
+  test('E4: linkSubIssue sets parent on Cloud, the Epic Link field when configured', () => {
+    const mock = fx.buildMockRunJira({ 'PUT /issue/ENG-42': fx.noContent() });
+    jira._setRunJira(mock);
+    assert.deepStrictEqual(jira.linkSubIssue('ENG-1', 'ENG-42'), { ok: true });
+    assert.deepStrictEqual(jira.linkSubIssue('ENG-1', 'ENG-42', { epic_link_field: 'customfield_10014' }), { ok: true });
+    const bodies = mock.callsFor('PUT /issue/ENG-42').map(c => c.body);
+    assert.deepStrictEqual(bodies, [
+      { fields: { parent: { key: 'ENG-1' } } },
+      { fields: { customfield_10014: 'ENG-1' } },
+    ]);
+  });
+});
+
+// ─── Group F: jiraStatus / cmdJiraSyncObjectives graceful skip ───────────────
+
+describe('jiraStatus', () => {
+  let dir;
+  afterEach(() => { if (dir) fs.rmSync(dir, { recursive: true, force: true }); dir = null; });
+
+  test('F1: pm.backend not jira → disabled with reason', () => {
+    dir = makeProject({ config: { pm: { backend: 'linear' } } });
+    const s = jira.jiraStatus(dir);
+    assert.strictEqual(s.enabled, false);
+    assert.match(s.reason, /pm\.backend/);
+  });
+
+  test('F2: missing project key → disabled', () => {
+    dir = makeProject({ config: { pm: { backend: 'jira', jira: {} } } });
+    assert.match(jira.jiraStatus(dir).reason, /pm\.jira\.project/);
+  });
+
+  test('F3: cmdJiraSyncObjectives skips (ok:false, skipped:true) without JIRA_BASE_URL', () => {
+    dir = makeProject({ config: JIRA_CONFIG, roadmap: ROADMAP });
+    delete process.env.JIRA_BASE_URL;
+    const out = captureCmd(() => jira.cmdJiraSyncObjectives(dir, false));
+    const parsed = JSON.parse(out.stdout);
+    assert.strictEqual(parsed.skipped, true);
+    assert.match(parsed.reason, /JIRA_BASE_URL/);
+  });
+});
+
+// ─── Group G: syncObjective ──────────────────────────────────────────────────
+
+describe('syncObjective', () => {
+  let dir;
+  afterEach(() => { if (dir) fs.rmSync(dir, { recursive: true, force: true }); dir = null; });
+
+  test('G1: missing jira_issue and no mapping → ok:false with hint', () => {
+    dir = makeProject({ config: JIRA_CONFIG, roadmap: ROADMAP, objectives: { '02-jira': 'work: feature' } });
+    jira._setRunJira(fx.buildMockRunJira({ 'GET /myself': MYSELF_OK }));
+    const r = jira.syncObjective('02-jira', dir);
+    assert.strictEqual(r.ok, false);
+    assert.match(r.error, /no jira_issue/);
+  });
+
+  test('G2: pushes description, creates sticky comment, persists comment id', () => {
+    dir = makeProject({
+      config: JIRA_CONFIG,
+      roadmap: ROADMAP,
+      objectives: { '02-jira': 'work: feature\njira_issue: ENG-42' },
+    });
+    const mock = fx.buildMockRunJira({
+      'GET /myself': MYSELF_OK,
+      'POST /search/jql': fx.jsonOk({ issues: [] }),
+      'PUT /issue/ENG-42': fx.noContent(),
+      'GET /issue/ENG-42/comment': fx.jsonOk({ comments: [] }),
+      'POST /issue/ENG-42/comment': fx.jsonOk({ id: '10300' }, 201),
+      'GET /issue/ENG-42': fx.jsonOk(fx.buildJiraIssue({ statusName: 'To Do', statusCategory: 'new' })),
+    });
+    jira._setRunJira(mock);
+
+    const r = jira.syncObjective('02-jira', dir);
+
+    assert.strictEqual(r.ok, true, JSON.stringify(r));
+    assert.strictEqual(r.issue_updated, true);
+    assert.strictEqual(r.comment_action, 'created');
+    assert.deepStrictEqual(r.project_fields_updated, ['Status']);
+    const description = mock.callsFor('PUT /issue/ENG-42')[0].body.fields.description;
+    assert.strictEqual(description.type, 'doc');
+    const mapping = jira.readMapping(dir);
+    assert.deepStrictEqual(mapping.objectives['2'], { issue_id: 'ENG-42', state_comment_id: '10300' });
+  });
+});
+
+// ─── Group H: end-to-end push against the local stub server ──────────────────
+
+describe('cmdJiraSyncObjectives — stub server', () => {
+  let dir;
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  test('H1: creates fixVersion + one issue per objective under the [Roadmap] epic', async () => {
+    const api = '^/rest/api/3';
+    stub = await startStubServer([
+      { method: 'GET', path: `${api}/myself$`, body: { accountId: 'acc-1' } },
+      { method: 'GET', path: `${api}/project/ENG$`, body: { id: '10000', key: 'ENG' } },
+      { method: 'GET', path: `${api}/project/ENG/versions$`, body: [] },
+      { method: 'POST', path: `${api}/version$`, status: 201, body: { id: '10010', name: 'v1.2' } },
+      { method: 'POST', path: `${api}/search/jql$`, body: { issues: [{ key: 'ENG-1', fields: { summary: '[Roadmap] devflow', issuetype: { name: 'Epic' } } }] } },
+      { method: 'POST', path: `${api}/issue$`, match: 'Objective 1\\]', status: 201, body: { id: '1', key: 'ENG-101' } },
+      { method: 'POST', path: `${api}/issue$`, match: 'Objective 2\\]', status: 201, body: { id: '2', key: 'ENG-102' } },
+      { method: 'PUT', path: `${api}/issue/ENG-10[12]$`, status: 204, body: '' },
+    ]);
+    process.env.JIRA_BASE_URL = stub.url;
+    dir = makeProject({
+      config: JIRA_CONFIG,
+      roadmap: ROADMAP,
+      objectives: { '01-linear': 'work: feature', '02-jira': 'work: feature' },
+    });
+
+    const out = captureCmd(() => jira.cmdJiraSyncObjectives(dir, false));
+    const parsed = JSON.parse(out.stdout);
+
+    assert.strictEqual(parsed.ok, true, out.stdout);
+    assert.strictEqual(parsed.backend, 'jira');
+    assert.strictEqual(parsed.target, 'ENG');
+    assert.deepStrictEqual(parsed.warnings, []);
+    assert.deepStrictEqual(parsed.milestone, { id: '10010', title: 'v1.2', created: true });
+    assert.deepStrictEqual(parsed.objectives.map(o => [o.number, o.issue, o.action]), [
+      ['1', 'ENG-101', 'created'],
+      ['2', 'ENG-102', 'created'],
+    ]);
+
+    const creates = stub.requests().filter(r => r.method === 'POST' && /\/issue$/.test(r.url));
+    assert.strictEqual(creates.length, 2);
+    assert.strictEqual(creates[0].headers.authorization, 'Basic ' + Buffer.from('alice@acme.test:tok').toString('base64'));
+    const fields = JSON.parse(creates[0].body).fields;
+    assert.deepStrictEqual(fields.project, { key: 'ENG' });
+    assert.deepStrictEqual(fields.issuetype, { name: 'Task' });
+    assert.deepStrictEqual(fields.labels, ['devflow:objective']);
+    assert.deepStrictEqual(fields.fixVersions, [{ id: '10010' }]);
+    const links = stub.requests().filter(r => r.method === 'PUT');
+    assert.deepStrictEqual(links.map(r => JSON.parse(r.body)), [
+      { fields: { parent: { key: 'ENG-1' } } },
+      { fields: { parent: { key: 'ENG-1' } } },
+    ]);
+
+    const mapping = jira.readMapping(dir);
+    assert.strictEqual(mapping.milestone_id, '10010');
+    assert.strictEqual(mapping.objectives['2'].issue_id, 'ENG-102');
+    const syncState = JSON.parse(fs.readFileSync(path.join(dir, '.planning', '.gh-sync-state.json'), 'utf-8'));
+    assert.strictEqual(syncState.objectives['1'].issue_ref, 'ENG-101');
+    assert.strictEqual(syncState.objectives['2'].milestone, 'v1.2');
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * keyring — `value_source: "keyring"` secret lookup for handoff token
+ * passing.
+ *
+ * Linux only, via the Secret Service API (`secret-tool`, libsecret-tools).
+ * The value is read at dispatch time and held in memory only, so tokens
+ * never have to sit in the daemon's environment.
+ *
+ * value_ref forms:
+ *   "gh-token"                         → service=devflow account=gh-token
+ *   "account=gh host=github.com"       → service=devflow account=gh host=github.com
+ *
+ * Lookups are confined to service=devflow: a handoff record is written by
+ * whoever can write the project tree, so it must not be able to read the
+ * user's other Secret Service items. A ref naming another service is
+ * rejected.
+ *
+ * Store a value for the short form with:
+ *   secret-tool store --label="devflow gh-token" service devflow account gh-token
+ *
+ * Subprocess invocation goes through async `execFile` (NOT a shell string)
+ * so value_ref content never lands in `/bin/sh -c`, and a slow or locked
+ * keyring never blocks the daemon's event loop while other projects
+ * dispatch. Test seam: `_setRunExec(fn)` swaps the subprocess call (fn may
+ * return the output or a promise of it); `KEYRING_PLATFORM_OVERRIDE` forces
+ * the platform branch.
+ */
+
+const { execFile } = require('child_process');
+
+const DEFAULT_SERVICE = 'devflow';
+const LOOKUP_TIMEOUT_MS = 5000;
+
+const realRunExec = (cmd, args) => new Promise((resolve, reject) => {
+  const child = execFile(cmd, args, { encoding: 'utf8', timeout: LOOKUP_TIMEOUT_MS }, (err, stdout) => {
+    if (err) reject(err);
+    else resolve(stdout);
+  });
+  if (child.stdin) child.stdin.end();
+});
+
+let _runExec = realRunExec;
+
+function _setRunExec(fn) {
+  _runExec = (fn != null) ? fn : realRunExec;
+}
+
+/**
+ * Parse a keyring value_ref into `secret-tool` attribute pairs, always
+ * scoped to service=devflow. Throws on a malformed `attr=value` list, a
+ * repeated attribute, or a service other than devflow.
+ *
+ * @param {string} ref
+ * @returns {Array<[string, string]>}
+ */
+function parseRef(ref) {
+  const s = String(ref == null ? '' : ref).trim();
+  if (!s) throw new Error('keyring value_ref is empty');
+  if (!s.includes('=')) return [['service', DEFAULT_SERVICE], ['account', s]];
+  const pairs = s.split(/[\s,]+/).filter(Boolean).map((pair) => {
+    const i = pair.indexOf('=');
+    if (i <= 0 || i === pair.length - 1) {
+      throw new Error(`keyring value_ref "${s}": expected attr=value pairs, got "${pair}"`);
+    }
+    return [pair.slice(0, i), pair.slice(i + 1)];
+  });
+  const seen = new Set();
+  for (const [attr] of pairs) {
+    if (seen.has(attr)) throw new Error(`keyring value_ref "${s}": attribute "${attr}" given twice`);
+    seen.add(attr);
+  }
+  const service = pairs.find(([attr]) => attr === 'service');
+  if (!service) return [['service', DEFAULT_SERVICE], ...pairs];
+  if (service[1] !== DEFAULT_SERVICE) {
+    throw new Error(`keyring value_ref "${s}": only service=${DEFAULT_SERVICE} entries can be read`);
+  }
+  return pairs;
+}
+
+/**
+ * Look up a secret. Resolves to the value (one trailing newline stripped);
+ * rejects with an Error whose message is safe to persist — it names the
+ * ref, never a value.
+ *
+ * @param {string} ref — value_ref from inputs.secrets
+ * @returns {Promise<string>}
+ */
+async function lookup(ref) {
+  const plat = process.env.KEYRING_PLATFORM_OVERRIDE || process.platform;
+  if (plat !== 'linux') {
+    throw new Error(`keyring value_source needs the Secret Service (secret-tool) — not available on ${plat}`);
+  }
+  const pairs = parseRef(ref);
+  let out;
+  try {
+    out = await _runExec('secret-tool', ['lookup', ...pairs.flat()]);
+  } catch (e) {
+    if (e && e.code === 'ENOENT') {
+      throw new Error('secret-tool not found on PATH (install libsecret-tools)');
+    }
+    // execFile kills the child on timeout (killed + signal set).
+    if (e && (e.code === 'ETIMEDOUT' || (e.killed && e.signal))) {
+      throw new Error(`secret-tool lookup timed out for "${ref}" (keyring locked?)`);
+    }
+    // secret-tool exits 1 with no output when nothing matches.
+    throw new Error(`no keyring entry for "${ref}"`);
+  }
+  const value = String(out == null ? '' : out).replace(/\r?\n$/, '');
+  if (!value) throw new Error(`no keyring entry for "${ref}"`);
+  return value;
+}
+
+module.exports = { lookup, parseRef, DEFAULT_SERVICE, _setRunExec };
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Tests for lib/keyring.cjs — `value_source: "keyring"` lookup.
+ *
+ *   KR-1: parseRef — bare name → service=devflow account=<name>; attr=value pairs scoped to service=devflow
+ *   KR-2: parseRef rejects malformed pairs, repeated attributes and other services
+ *   KR-3: lookup runs `secret-tool lookup <pairs>` and strips one trailing newline
+ *   KR-4: lookup errors — ENOENT, no entry (exit 1 / empty), timeout; never echo a value
+ *   KR-5: lookup refuses non-linux platforms
+ *   KR-6: end-to-end against a secret-tool shim on PATH
+ *   KR-7: a slow secret-tool does not block the event loop
+ */
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const keyring = require('./keyring.cjs');
+const { buildSecretToolShimEnv } = require('./__fixtures__/daemon-polish-fixtures.cjs');
+
+function execError(code) {
+  const e = new Error(`exec failed: ${code}`);
+  e.code = code;
+  return e;
+}
+
+describe('keyring', () => {
+  const prevPlatform = process.env.KEYRING_PLATFORM_OVERRIDE;
+  afterEach(() => {
+    keyring._setRunExec(null);
+    if (prevPlatform === undefined) delete process.env.KEYRING_PLATFORM_OVERRIDE;
+    else process.env.KEYRING_PLATFORM_OVERRIDE = prevPlatform;
+  });
+
+  test('KR-1: parseRef — bare name → service=devflow account=<name>; attr=value pairs scoped to service=devflow', () => {
+    assert.deepStrictEqual(keyring.parseRef('gh-token'), [['service', 'devflow'], ['account', 'gh-token']]);
+    assert.deepStrictEqual(keyring.parseRef('account=gh host=github.com'), [['service', 'devflow'], ['account', 'gh'], ['host', 'github.com']]);
+    assert.deepStrictEqual(keyring.parseRef('service=devflow,user=a=b'), [['service', 'devflow'], ['user', 'a=b']]);
+  });
+
+  test('KR-2: parseRef rejects malformed pairs, repeated attributes and other services', () => {
+    assert.throws(() => keyring.parseRef('account=gh host'), /expected attr=value pairs, got "host"/);
+    assert.throws(() => keyring.parseRef('service=gh host=github.com'), /only service=devflow entries can be read/);
+    assert.throws(() => keyring.parseRef('service=devflow service=gh'), /attribute "service" given twice/);
+    assert.throws(() => keyring.parseRef('=x'), /attr=value/);
+    assert.throws(() => keyring.parseRef('service='), /attr=value/);
+    assert.throws(() => keyring.parseRef('  '), /empty/);
+  });
+
+  test('KR-3: lookup runs `secret-tool lookup <pairs>` and strips one trailing newline', async () => {
+    process.env.KEYRING_PLATFORM_OVERRIDE = 'linux';
+    const calls = [];
+    keyring._setRunExec((cmd, args) => { calls.push([cmd, args]); return 'tok-value\n'; });
+    assert.equal(await keyring.lookup('gh-token'), 'tok-value');
+    assert.deepStrictEqual(calls, [['secret-tool', ['lookup', 'service', 'devflow', 'account', 'gh-token']]]);
+  });
+
+  test('KR-4: lookup errors — ENOENT, no entry (exit 1 / empty), timeout; never echo a value', async () => {
+    process.env.KEYRING_PLATFORM_OVERRIDE = 'linux';
+    keyring._setRunExec(() => { throw execError('ENOENT'); });
+    await assert.rejects(keyring.lookup('gh-token'), /secret-tool not found on PATH/);
+    keyring._setRunExec(() => { const e = new Error('Command failed'); e.code = 1; return Promise.reject(e); });
+    await assert.rejects(keyring.lookup('gh-token'), /no keyring entry for "gh-token"/);
+    keyring._setRunExec(() => '');
+    await assert.rejects(keyring.lookup('gh-token'), /no keyring entry/);
+    keyring._setRunExec(() => { throw execError('ETIMEDOUT'); });
+    await assert.rejects(keyring.lookup('gh-token'), /timed out .*keyring locked/);
+    // execFile's timeout kills the child instead of reporting ETIMEDOUT.
+    keyring._setRunExec(() => Promise.reject(Object.assign(new Error('Command failed'), { killed: true, signal: 'SIGTERM', code: null })));
+    await assert.rejects(keyring.lookup('gh-token'), /timed out .*keyring locked/);
+  });
+
+  test('KR-5: lookup refuses non-linux platforms', async () => {
+    process.env.KEYRING_PLATFORM_OVERRIDE = 'darwin';
+    let called = false;
+    keyring._setRunExec(() => { called = true; return 'x'; });
+    await assert.rejects(keyring.lookup('gh-token'), /not available on darwin/);
+    assert.equal(called, false);
+  });
+
+  test('KR-6: end-to-end against a secret-tool shim on PATH', async () => {
+    process.env.KEYRING_PLATFORM_OVERRIDE = 'linux';
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'df-keyring-'));
+    const shim = buildSecretToolShimEnv(tmp, {
+      'service=devflow account=gh-token': 'ghp_shimvalue123',
+      'service=devflow account=gh host=github.com': 'second-value-456',
+    });
+    try {
+      assert.equal(await keyring.lookup('gh-token'), 'ghp_shimvalue123');
+      assert.equal(await keyring.lookup('account=gh host=github.com'), 'second-value-456');
+      await assert.rejects(keyring.lookup('missing'), /no keyring entry for "missing"/);
+      const calls = fs.readFileSync(shim.markerFile, 'utf8').trim().split('\n').map((l) => JSON.parse(l).argv);
+      assert.deepStrictEqual(calls[1], ['lookup', 'service', 'devflow', 'account', 'gh', 'host', 'github.com']);
+    } finally {
+      shim.cleanup();
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  test('KR-7: a slow secret-tool does not block the event loop', async () => {
+    process.env.KEYRING_PLATFORM_OVERRIDE = 'linux';
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'df-keyring-'));
+    const prevPath = process.env.PATH;
+    fs.writeFileSync(path.join(tmp, 'secret-tool'), '#!/bin/sh\nsleep 0.4\necho slow-value\n', { mode: 0o755 });
+    process.env.PATH = `${tmp}${path.delimiter}${prevPath}`;
+    let ticks = 0;
+    const timer = setInterval(() => { ticks++; }, 20);
+    try {
+      assert.equal(await keyring.lookup('gh-token'), 'slow-value');
+      assert.ok(ticks >= 5, `timers kept firing during the lookup (ticks=${ticks})`);
+    } finally {
+      clearInterval(timer);
+      process.env.PATH = prevPath;
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
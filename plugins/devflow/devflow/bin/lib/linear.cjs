@@ -0,0 +1,1057 @@
+'use strict';
+
+/**
+ * Linear integration for DevFlow (`pm.backend: "linear"`).
+ *
+ * Implements the lib/gh.cjs surface that pm-backend.getBackend() callers use —
+ * resolveChain, syncObjective, the sync-objectives push, sticky comment upsert,
+ * project field updates and readIssueState — over Linear's GraphQL API.
+ * Planning files remain authoritative, exactly as with GitHub.
+ *
+ * Objective → issue identifiers are persisted to .planning/.linear-mapping.json:
+ *
+ *   { "milestone_id": "<projectMilestone id>",
+ *     "objectives": { "1": { "issue_id": "ENG-42", "state_comment_id": "<comment id>" } } }
+ *
+ * Config (.planning/config.json):
+ *
+ *   { "pm": { "backend": "linear",
+ *             "linear": { "team": "ENG", "project_id": "<project id>", "labels": { "objective": "devflow:objective" } } } }
+ *
+ * Credentials come from LINEAR_API_KEY only (never config.json). LINEAR_API_URL
+ * overrides the endpoint — tests point it at __fixtures__/pm-stub-server.cjs.
+ *
+ * Concept mapping:
+ *   GitHub issue          → Linear issue (identifier, e.g. ENG-42)
+ *   [Roadmap] parent      → Linear issue titled [Roadmap] (parent_issue)
+ *   org Project v2        → Linear project (org_project / pm.linear.project_id)
+ *   milestone             → Linear project milestone
+ *   Project Status field  → workflow state (Todo/In Progress/Done by state type)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { output } = require('./helpers.cjs');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+const { recordSync, hashFrontmatter } = require('./sync-state.cjs');
+const { requestSync } = require('./http-sync.cjs');
+const gh = require('./gh.cjs');
+
+const MAPPING_REL = path.join('.planning', '.linear-mapping.json');
+const DEFAULT_API_URL = 'https://api.linear.app/graphql';
+const ISSUE_REF_RE = /^[A-Z][A-Z0-9]*-\d+$/;
+const STICKY_MARKER = '<!-- df:state -->';
+
+// Project "Status" values (shared with gh.cjs syncObjective) → Linear state types.
+const STATUS_STATE_TYPES = {
+  Todo: 'unstarted',
+  'In Progress': 'started',
+  Done: 'completed',
+};
+
+// ─── Transport + test injection ──────────────────────────────────────────────
+
+function runLinear(query, variables = {}) {
+  return requestSync({
+    url: process.env.LINEAR_API_URL || DEFAULT_API_URL,
+    method: 'POST',
+    headers: { Authorization: process.env.LINEAR_API_KEY || '' },
+    body: { query, variables },
+  });
+}
+
+// Test injection hook — mirrors gh._setRunGh. Mock signature: (query, variables) → runGh-shaped result.
+let _runLinear = runLinear;
+function _setRunLinear(fn) { _runLinear = (fn != null) ? fn : runLinear; }
+
+/**
+ * Run one GraphQL operation. Returns { ok: true, data } or { ok: false, error, status }.
+ * GraphQL-level `errors` are failures even when the HTTP status is 200.
+ */
+function _graphql(query, variables) {
+  const r = _runLinear(query, variables);
+  let parsed = null;
+  try { parsed = r.stdout ? JSON.parse(r.stdout) : null; } catch {}
+
+  if (parsed && Array.isArray(parsed.errors) && parsed.errors.length > 0) {
+    const msg = parsed.errors.map(e => e && e.message).filter(Boolean).join('; ');
+    return { ok: false, error: msg || 'Linear GraphQL error', status: r.status };
+  }
+  if (!r.ok) return { ok: false, error: r.stderr || 'Linear request failed', status: r.status };
+  if (!parsed || !parsed.data) {
+    return { ok: false, error: `Linear response not valid JSON: ${String(r.stdout).slice(0, 100)}`, status: r.status };
+  }
+  return { ok: true, data: parsed.data };
+}
+
+// ─── Auth ────────────────────────────────────────────────────────────────────
+
+/**
+ * Structured error thrown by requireLinearAuth. Same shape as gh.GhAuthError so
+ * CLI entry points can render both identically.
+ */
+class LinearAuthError extends Error {
+  constructor({ message, remediation, scopes_missing = [] }) {
+    super(message);
+    this.name = 'LinearAuthError';
+    this.remediation = remediation;
+    this.scopes_missing = scopes_missing;
+  }
+}
+
+/**
+ * Hard-fail auth check. Throws LinearAuthError when LINEAR_API_KEY is unset or
+ * the API rejects it. Returns silently when the viewer query succeeds.
+ */
+function requireLinearAuth() {
+  if (!process.env.LINEAR_API_KEY) {
+    throw new LinearAuthError({
+      message: 'LINEAR_API_KEY is not set.',
+      remediation: 'Create a personal API key at https://linear.app/settings/api and export it as LINEAR_API_KEY',
+    });
+  }
+  const r = _graphql('query { viewer { id name } }', {});
+  if (!r.ok) {
+    if (r.status === 401 || r.status === 403 || /auth/i.test(r.error || '')) {
+      throw new LinearAuthError({
+        message: 'Linear rejected LINEAR_API_KEY.',
+        remediation: 'Regenerate the key at https://linear.app/settings/api and re-export LINEAR_API_KEY',
+      });
+    }
+    throw new LinearAuthError({
+      message: `Linear API unreachable: ${r.error}`,
+      remediation: 'Check network access to api.linear.app (or LINEAR_API_URL) and retry',
+    });
+  }
+}
+
+// ─── Config + mapping ────────────────────────────────────────────────────────
+
+function readConfig(cwd) {
+  const cfgPath = path.join(cwd, '.planning', 'config.json');
+  if (!fs.existsSync(cfgPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(cfgPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function _linearConfig(cwd) {
+  const cfg = readConfig(cwd);
+  return (cfg && cfg.pm && cfg.pm.linear) || {};
+}
+
+function readMapping(cwd) {
+  const p = path.join(cwd, MAPPING_REL);
+  if (!fs.existsSync(p)) return { milestone_id: null, objectives: {} };
+  try {
+    const m = JSON.parse(fs.readFileSync(p, 'utf-8'));
+    const objectives = {};
+    for (const [k, v] of Object.entries(m.objectives || {})) {
+      if (typeof v === 'string') objectives[k] = { issue_id: v, state_comment_id: null };
+      else if (v && typeof v === 'object') objectives[k] = { issue_id: v.issue_id, state_comment_id: v.state_comment_id || null };
+    }
+    return { milestone_id: m.milestone_id || null, objectives };
+  } catch {
+    return { milestone_id: null, objectives: {} };
+  }
+}
+
+function writeMapping(cwd, mapping) {
+  const planningDir = path.join(cwd, '.planning');
+  if (!fs.existsSync(planningDir)) fs.mkdirSync(planningDir, { recursive: true });
+  fs.writeFileSync(path.join(cwd, MAPPING_REL), JSON.stringify(mapping, null, 2) + '\n');
+}
+
+/**
+ * Graceful-skip status check (mirrors gh.ghStatus). Never throws.
+ * Returns { enabled: false, reason } or { enabled: true, team, project_id, labels, milestone_prefix }.
+ */
+function linearStatus(cwd) {
+  const cfg = readConfig(cwd);
+  const backend = cfg && cfg.pm && cfg.pm.backend;
+  if (backend !== 'linear') {
+    return { enabled: false, reason: 'pm.backend is not "linear" in .planning/config.json' };
+  }
+  const lin = cfg.pm.linear || {};
+  if (!lin.team || !/^[A-Z][A-Z0-9]*$/.test(lin.team)) {
+    return { enabled: false, reason: 'pm.linear.team must be set to a Linear team key (e.g. "ENG")' };
+  }
+  if (!process.env.LINEAR_API_KEY) {
+    return { enabled: false, reason: 'LINEAR_API_KEY is not set' };
+  }
+  const viewer = _graphql('query { viewer { id name } }', {});
+  if (!viewer.ok) {
+    return { enabled: false, reason: `Linear API check failed: ${viewer.error}` };
+  }
+  return {
+    enabled: true,
+    team: lin.team,
+    project_id: lin.project_id || null,
+    labels: lin.labels || {},
+    milestone_prefix: lin.milestone_prefix || 'v',
+  };
+}
+
+// ─── Per-process caches ──────────────────────────────────────────────────────
+
+// Module-scope Maps; die with the process. NEVER persisted (same rule as gh.cjs SC-3).
+let _cachedChains = new Map();
+let _cachedTeams = new Map();
+function _resetCache() {
+  _cachedChains = new Map();
+  _cachedTeams = new Map();
+}
+
+/**
+ * Look up a team by key. Returns { id, key, states: [{ id, name, type }] } or null.
+ */
+function _teamInfo(teamKey) {
+  if (_cachedTeams.has(teamKey)) return _cachedTeams.get(teamKey);
+  const r = _graphql(
+    'query($key: String!) { teams(filter: { key: { eq: $key } }) { nodes { id key states { nodes { id name type } } } } }',
+    { key: teamKey }
+  );
+  if (!r.ok) return null;
+  const node = r.data.teams && r.data.teams.nodes && r.data.teams.nodes[0];
+  if (!node) return null;
+  const team = { id: node.id, key: node.key, states: (node.states && node.states.nodes) || [] };
+  _cachedTeams.set(teamKey, team);
+  return team;
+}
+
+// ─── Resolver (chain walk) ───────────────────────────────────────────────────
+
+function _resolveRef(fmValue, fieldName) {
+  if (!fmValue) return { value: null, provenance: 'absent' };
+  if (typeof fmValue === 'string' && ISSUE_REF_RE.test(fmValue)) {
+    return { value: fmValue, provenance: 'frontmatter' };
+  }
+  return {
+    value: fmValue,
+    provenance: 'frontmatter',
+    warning: `Unrecognized ${fieldName} format: ${fmValue} (expected a Linear identifier like ENG-42)`,
+  };
+}
+
+/**
+ * Walk a parent issue to find roadmap_issue + milestone (its Linear project).
+ * Returns the same shape as gh.cjs _walkParent.
+ */
+function _walkParent(parentRef) {
+  const empty = {
+    roadmap_issue: null,
+    milestone: null,
+    provenance: { roadmap_issue: 'absent', milestone: 'absent' },
+    warnings: [],
+  };
+  if (!parentRef || !ISSUE_REF_RE.test(parentRef)) return empty;
+
+  const r = _graphql(
+    'query($id: String!) { issue(id: $id) { identifier title project { id name state } projectMilestone { id name } } }',
+    { id: parentRef }
+  );
+  if (!r.ok) return { ...empty, warnings: [`Walk to ${parentRef} failed: ${r.error}`] };
+
+  const issue = r.data.issue;
+  if (!issue) return { ...empty, warnings: [`Issue ${parentRef} not found in walk response`] };
+
+  const isRoadmap = typeof issue.title === 'string' && issue.title.includes('[Roadmap]');
+  const milestone = issue.project ? {
+    draft_or_issue_ref: parentRef,
+    title: issue.project.name || null,
+    product: null,
+    quarter: null,
+    status: issue.project.state || null,
+  } : null;
+
+  return {
+    roadmap_issue: isRoadmap ? parentRef : null,
+    milestone,
+    provenance: {
+      roadmap_issue: isRoadmap ? 'walked_from_parent' : 'absent',
+      milestone: milestone ? 'walked_from_parent' : 'absent',
+    },
+    warnings: [],
+  };
+}
+
+/**
+ * Find the open [Roadmap] issue for a team. Returns its identifier or null.
+ * Lowest issue number wins (deterministic, same rule as gh.findRoadmapIssue).
+ */
+function findRoadmapIssue(teamKey) {
+  if (!teamKey) return null;
+  const r = _graphql(
+    'query($team: String!) { issues(first: 5, filter: { team: { key: { eq: $team } }, title: { contains: "[Roadmap]" }, state: { type: { nin: ["completed", "canceled"] } } }) { nodes { identifier number } } }',
+    { team: teamKey }
+  );
+  if (!r.ok) return null;
+  const nodes = (r.data.issues && r.data.issues.nodes) || [];
+  if (nodes.length === 0) return null;
+  const sorted = [...nodes].sort((a, b) => a.number - b.number);
+  return sorted[0].identifier;
+}
+
+/**
+ * Walk an objective's frontmatter through the Linear chain.
+ * Returns { objective, linear_issue, parent_issue, roadmap_issue, org_initiative,
+ *           org_project, milestone, provenance, warnings } — the gh.resolveChain
+ * shape with `linear_issue` in place of `github_issue`.
+ *
+ * projectCtx: { linear_team, org_project } (from pm.linear config).
+ */
+function resolveChain(frontmatter, projectCtx) {
+  frontmatter = frontmatter || {};
+  projectCtx = projectCtx || {};
+
+  const cacheKey = `${projectCtx.linear_team || 'no-team'}#${frontmatter.linear_issue || frontmatter._objectiveId || 'no-id'}`;
+  if (_cachedChains.has(cacheKey)) {
+    const cached = _cachedChains.get(cacheKey);
+    const cachedProvenance = {};
+    for (const [k, v] of Object.entries(cached.provenance)) {
+      cachedProvenance[k] = (v === 'walked_from_parent' || v === 'inherited_from_project') ? 'cached' : v;
+    }
+    return Object.assign({}, cached, { provenance: cachedProvenance });
+  }
+
+  const warnings = [];
+  const result = {
+    objective: frontmatter._objectiveId || null,
+    linear_issue: null,
+    parent_issue: null,
+    roadmap_issue: null,
+    org_initiative: null,
+    org_project: null,
+    milestone: null,
+    provenance: {},
+    warnings,
+  };
+
+  const li = _resolveRef(frontmatter.linear_issue, 'linear_issue');
+  result.linear_issue = li.value;
+  result.provenance.linear_issue = li.provenance;
+  if (li.warning) warnings.push(li.warning);
+
+  const pi = _resolveRef(frontmatter.parent_issue, 'parent_issue');
+  result.parent_issue = pi.value;
+  result.provenance.parent_issue = pi.provenance;
+  if (pi.warning) warnings.push(pi.warning);
+
+  if (frontmatter.org_initiative) {
+    result.org_initiative = frontmatter.org_initiative;
+    result.provenance.org_initiative = 'frontmatter';
+  } else {
+    result.provenance.org_initiative = 'absent';
+  }
+
+  if (frontmatter.org_project) {
+    result.org_project = frontmatter.org_project;
+    result.provenance.org_project = 'frontmatter';
+  } else if (projectCtx.org_project) {
+    result.org_project = projectCtx.org_project;
+    result.provenance.org_project = 'inherited_from_project';
+  } else {
+    result.provenance.org_project = 'absent';
+  }
+
+  let walkFrom = null;
+  if (result.parent_issue && ISSUE_REF_RE.test(result.parent_issue)) {
+    walkFrom = result.parent_issue;
+  } else if (projectCtx.linear_team) {
+    walkFrom = findRoadmapIssue(projectCtx.linear_team);
+  }
+
+  if (walkFrom) {
+    const walk = _walkParent(walkFrom);
+    // A [Roadmap] issue found by search is the roadmap even if the walk failed.
+    result.roadmap_issue = walk.roadmap_issue || (walkFrom !== result.parent_issue ? walkFrom : null);
+    result.provenance.roadmap_issue = result.roadmap_issue ? 'walked_from_parent' : 'absent';
+    result.milestone = walk.milestone;
+    result.provenance.milestone = walk.provenance.milestone;
+    for (const w of walk.warnings) warnings.push(w);
+  } else {
+    result.provenance.roadmap_issue = 'absent';
+    result.provenance.milestone = 'absent';
+  }
+
+  _cachedChains.set(cacheKey, result);
+  return result;
+}
+
+// ─── Issue primitives ────────────────────────────────────────────────────────
+
+function _issueUpdate(issueRef, input) {
+  const r = _graphql(
+    'mutation($id: String!, $input: IssueUpdateInput!) { issueUpdate(id: $id, input: $input) { success issue { id identifier } } }',
+    { id: issueRef, input }
+  );
+  if (!r.ok) return { ok: false, error: r.error };
+  if (!r.data.issueUpdate || !r.data.issueUpdate.success) return { ok: false, error: 'issueUpdate returned success=false' };
+  return { ok: true, issue: r.data.issueUpdate.issue };
+}
+
+/**
+ * Add an issue to a Linear project. Linear issues belong to at most one
+ * project, so this sets issue.projectId. Returns { ok, item_id } like gh.addToProject
+ * (item_id is the issue identifier — Linear has no separate project-item node).
+ */
+function addToProject(issueRef, projectId) {
+  if (!issueRef || !projectId) {
+    return { ok: false, error: 'issueRef and projectId are required' };
+  }
+  if (!ISSUE_REF_RE.test(issueRef)) return { ok: false, error: `malformed issueRef: ${issueRef}` };
+  const r = _issueUpdate(issueRef, { projectId });
+  if (!r.ok) return { ok: false, error: r.error };
+  return { ok: true, item_id: issueRef };
+}
+
+/**
+ * Make childRef a sub-issue of parentRef (sets the child's parentId).
+ * Returns { ok: true } or { ok: false, error }.
+ */
+function linkSubIssue(parentRef, childRef) {
+  if (!parentRef || !childRef) {
+    return { ok: false, error: 'parentRef and childRef are required' };
+  }
+  const lookup = _graphql('query($id: String!) { issue(id: $id) { id } }', { id: parentRef });
+  const parentId = lookup.ok && lookup.data.issue ? lookup.data.issue.id : null;
+  if (!parentId) {
+    return { ok: false, error: `failed to look up parent issue ${parentRef}: ${lookup.error || 'not found'}` };
+  }
+  const r = _issueUpdate(childRef, { parentId });
+  if (!r.ok) return { ok: false, error: r.error };
+  return { ok: true };
+}
+
+/**
+ * Fetch an issue in the gh-pull.fetchGhIssue shape so normalizeGhIssue,
+ * detectDrift and conflict.detectConflict work unchanged:
+ *
+ *   { state: 'OPEN'|'CLOSED', labels: [{name,color}], assignees: [{login}],
+ *     milestone: {title}|null, updatedAt }
+ *   null                  — issue does not exist
+ *   { error, _ok: false } — request failed for another reason
+ *
+ * Completed and canceled workflow states count as CLOSED.
+ */
+function fetchIssue(issueRef) {
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) return null;
+  const r = _graphql(
+    'query($id: String!) { issue(id: $id) { identifier updatedAt state { name type } labels { nodes { name color } } assignee { name displayName } projectMilestone { name } } }',
+    { id: issueRef }
+  );
+  if (!r.ok) {
+    if (/not found/i.test(r.error || '')) return null;
+    return { error: r.error, _ok: false };
+  }
+  const issue = r.data.issue;
+  if (!issue) return null;
+  const type = issue.state && issue.state.type;
+  return {
+    state: (type === 'completed' || type === 'canceled') ? 'CLOSED' : 'OPEN',
+    labels: ((issue.labels && issue.labels.nodes) || []).map(l => ({ name: l.name, color: l.color })),
+    assignees: issue.assignee ? [{ login: issue.assignee.displayName || issue.assignee.name }] : [],
+    milestone: issue.projectMilestone ? { title: issue.projectMilestone.name } : null,
+    updatedAt: issue.updatedAt,
+  };
+}
+
+/**
+ * Read open/closed state for stale detection. Same contract as gh.readIssueState:
+ * { ok, status, stdout, stderr } where stdout is JSON { state: 'OPEN'|'CLOSED', closed }.
+ */
+function readIssueState(issueRef) {
+  const issue = fetchIssue(issueRef);
+  if (issue === null) {
+    return { ok: false, status: 1, stdout: '', stderr: `Could not resolve to an Issue: ${issueRef}` };
+  }
+  if (issue._ok === false) {
+    return { ok: false, status: 1, stdout: '', stderr: issue.error };
+  }
+  return {
+    ok: true,
+    status: 0,
+    stdout: JSON.stringify({ state: issue.state, closed: issue.state === 'CLOSED' }),
+    stderr: '',
+  };
+}
+
+// ─── Sticky comment ──────────────────────────────────────────────────────────
+
+/**
+ * Find an existing <!-- df:state --> comment on an issue. Returns its id or null.
+ */
+function findStickyComment(issueRef) {
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) return null;
+  const r = _graphql(
+    'query($id: String!) { issue(id: $id) { comments(first: 50) { nodes { id body } } } }',
+    { id: issueRef }
+  );
+  if (!r.ok || !r.data.issue) return null;
+  for (const c of (r.data.issue.comments && r.data.issue.comments.nodes) || []) {
+    if (typeof c.body === 'string' && c.body.startsWith(STICKY_MARKER + '\n')) return c.id;
+  }
+  return null;
+}
+
+/**
+ * Add a comment to an issue. Returns { ok: true, comment_id, url } or { ok: false, error }.
+ */
+function _commentCreate(issueRef, body) {
+  const lookup = _graphql('query($id: String!) { issue(id: $id) { id } }', { id: issueRef });
+  if (!lookup.ok || !lookup.data.issue) {
+    return { ok: false, error: lookup.error || `issue not found: ${issueRef}` };
+  }
+  const r = _graphql(
+    'mutation($input: CommentCreateInput!) { commentCreate(input: $input) { success comment { id url } } }',
+    { input: { issueId: lookup.data.issue.id, body } }
+  );
+  if (!r.ok || !r.data.commentCreate || !r.data.commentCreate.success) {
+    return { ok: false, error: r.error || 'commentCreate returned success=false' };
+  }
+  const comment = r.data.commentCreate.comment;
+  return { ok: true, comment_id: comment.id, url: comment.url || null };
+}
+
+function _commentUpdate(commentId, body) {
+  const r = _graphql(
+    'mutation($id: String!, $input: CommentUpdateInput!) { commentUpdate(id: $id, input: $input) { success comment { id } } }',
+    { id: commentId, input: { body } }
+  );
+  return r.ok && r.data.commentUpdate && r.data.commentUpdate.success;
+}
+
+/**
+ * Create or edit the sticky state comment. Same priority order and return
+ * shape as gh.upsertStickyComment:
+ *   1. mappingState.state_comment_id set → edit in place
+ *   2. otherwise scan by marker → edited_via_marker
+ *   3. otherwise create
+ *
+ * Returns { action: 'created' | 'edited' | 'edited_via_marker' | 'failed', comment_id }
+ */
+function upsertStickyComment(issueRef, body, mappingState = {}) {
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) {
+    return { action: 'failed', error: `malformed issueRef: ${issueRef}` };
+  }
+
+  if (mappingState.state_comment_id && _commentUpdate(mappingState.state_comment_id, body)) {
+    return { action: 'edited', comment_id: mappingState.state_comment_id };
+  }
+
+  const found = findStickyComment(issueRef);
+  if (found && _commentUpdate(found, body)) {
+    return { action: 'edited_via_marker', comment_id: found };
+  }
+
+  const created = _commentCreate(issueRef, body);
+  if (!created.ok) return { action: 'failed', error: created.error };
+  return { action: 'created', comment_id: created.comment_id };
+}
+
+// ─── Project fields ──────────────────────────────────────────────────────────
+
+/**
+ * Move an issue to the workflow state for `value` (exact state name first, then
+ * Todo/In Progress/Done → unstarted/started/completed).
+ * Returns { ok: true } | { ok: false, error } | { ok: false, unknown: true }.
+ */
+function _moveToState(issueRef, value) {
+  const st = _graphql(
+    'query($id: String!) { issue(id: $id) { team { states { nodes { id name type } } } } }',
+    { id: issueRef }
+  );
+  const states = (st.ok && st.data.issue && st.data.issue.team && st.data.issue.team.states.nodes) || [];
+  const wantedType = STATUS_STATE_TYPES[value];
+  const state = states.find(s => s.name === value) || (wantedType && states.find(s => s.type === wantedType));
+  if (!state) return { ok: false, unknown: true };
+  const r = _issueUpdate(issueRef, { stateId: state.id });
+  if (!r.ok) return { ok: false, error: r.error };
+  return { ok: true };
+}
+
+/**
+ * Apply project-level fields to an issue. Same contract as gh.updateProjectFields:
+ * returns { ok, fields_updated, warnings?, errors?, error? }.
+ *
+ * Linear has no Project v2 custom fields. The issue is attached to projectId and
+ * `Status` is mapped onto the team's workflow states (exact state name first,
+ * then Todo/In Progress/Done → unstarted/started/completed). Other fields
+ * (Quarter, Product, ...) are reported as warnings.
+ */
+function updateProjectFields(issueRef, projectId, fields = {}) {
+  if (!projectId) {
+    return { ok: false, error: 'no projectId; cannot update fields', fields_updated: [] };
+  }
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) {
+    return { ok: false, error: `malformed issueRef: ${issueRef}`, fields_updated: [] };
+  }
+
+  const add = addToProject(issueRef, projectId);
+  if (!add.ok) {
+    return { ok: false, error: `could not attach issue to project: ${add.error}`, fields_updated: [] };
+  }
+
+  const fields_updated = [];
+  const warnings = [];
+  const errors = [];
+
+  for (const [fieldName, fieldValue] of Object.entries(fields)) {
+    if (fieldName !== 'Status') {
+      warnings.push(`unsupported field on Linear: ${fieldName}`);
+      continue;
+    }
+    const r = _moveToState(issueRef, fieldValue);
+    if (r.ok) fields_updated.push(fieldName);
+    else if (r.unknown) warnings.push(`unknown option for ${fieldName}: ${fieldValue}`);
+    else errors.push({ field: fieldName, error: r.error });
+  }
+
+  return {
+    ok: errors.length === 0,
+    fields_updated,
+    ...(warnings.length > 0 ? { warnings } : {}),
+    ...(errors.length > 0 ? { errors } : {}),
+  };
+}
+
+// ─── Context readers ─────────────────────────────────────────────────────────
+
+function _readProjectCtx(projectRoot) {
+  const lin = _linearConfig(projectRoot);
+  return {
+    linear_team: lin.team || null,
+    org_project: lin.project_id || null,
+  };
+}
+
+function _emitAuthError(e) {
+  process.stderr.write(JSON.stringify({
+    error: e.message,
+    remediation: e.remediation,
+    scopes_missing: e.scopes_missing,
+  }, null, 2) + '\n');
+  process.exit(1);
+}
+
+// ─── syncObjective ───────────────────────────────────────────────────────────
+
+/**
+ * syncObjective(objectiveId, projectRoot) — push one objective's disk state to Linear.
+ * Steps mirror gh.syncObjective: requireLinearAuth → resolveChain →
+ *   readObjectiveState → issue description → sticky comment → project fields.
+ *
+ * Returns { ok, issue_updated, comment_action, comment_id, project_fields_updated, chain, state, warnings }
+ * or { ok: false, error, warnings }.
+ */
+function syncObjective(objectiveId, projectRoot) {
+  requireLinearAuth();
+
+  const objPath = path.join(projectRoot, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) {
+    return { ok: false, error: `objective not found: ${objectiveId}`, warnings: [] };
+  }
+  const objFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  objFm._objectiveId = objectiveId;
+
+  const state = gh.readObjectiveState(objectiveId, projectRoot);
+  const mapping = readMapping(projectRoot);
+
+  // linear_issue frontmatter wins; else fall back to the push mapping.
+  if (!objFm.linear_issue && mapping.objectives[state.number]) {
+    objFm.linear_issue = mapping.objectives[state.number].issue_id;
+  }
+  if (!objFm.linear_issue) {
+    return {
+      ok: false,
+      error: 'objective has no linear_issue; run sync-objectives to create it',
+      warnings: [],
+    };
+  }
+
+  const chain = resolveChain(objFm, _readProjectCtx(projectRoot));
+  const issueRef = chain.linear_issue;
+  if (!issueRef || !ISSUE_REF_RE.test(issueRef)) {
+    return { ok: false, error: `malformed linear_issue: ${issueRef}`, warnings: chain.warnings || [] };
+  }
+
+  const editR = _issueUpdate(issueRef, { description: gh.buildIssueBody(state) });
+
+  const mappingEntry = mapping.objectives[state.number] || { issue_id: issueRef, state_comment_id: null };
+  const upsert = upsertStickyComment(issueRef, gh.buildStickyComment(state, new Date().toISOString()), mappingEntry);
+  if (upsert.comment_id && upsert.comment_id !== mappingEntry.state_comment_id) {
+    mappingEntry.state_comment_id = upsert.comment_id;
+    mapping.objectives[state.number] = mappingEntry;
+    writeMapping(projectRoot, mapping);
+  }
+
+  const fieldUpdates = {};
+  if (state.trd_done === state.trd_total && state.trd_total > 0) {
+    fieldUpdates.Status = 'Done';
+  } else if (state.trd_done > 0) {
+    fieldUpdates.Status = 'In Progress';
+  } else {
+    fieldUpdates.Status = 'Todo';
+  }
+  const projectUpdate = updateProjectFields(issueRef, chain.org_project, fieldUpdates);
+
+  return {
+    ok: true,
+    issue_updated: editR.ok,
+    comment_action: upsert.action,
+    comment_id: upsert.comment_id,
+    project_fields_updated: projectUpdate.fields_updated || [],
+    chain,
+    state,
+    warnings: [...(chain.warnings || []), ...(projectUpdate.warnings || [])],
+  };
+}
+
+// ─── Push helpers (sync-objectives) ──────────────────────────────────────────
+
+function _ensureLabel(teamId, name) {
+  const found = _graphql(
+    'query($name: String!) { issueLabels(filter: { name: { eq: $name } }) { nodes { id name } } }',
+    { name }
+  );
+  const node = found.ok && found.data.issueLabels && found.data.issueLabels.nodes[0];
+  if (node) return node.id;
+  const created = _graphql(
+    'mutation($input: IssueLabelCreateInput!) { issueLabelCreate(input: $input) { success issueLabel { id } } }',
+    { input: { name, teamId, color: '#0e8a16', description: 'DevFlow objective tracking' } }
+  );
+  if (created.ok && created.data.issueLabelCreate && created.data.issueLabelCreate.success) {
+    return created.data.issueLabelCreate.issueLabel.id;
+  }
+  return null;
+}
+
+function _ensureProjectMilestone(projectId, title) {
+  const list = _graphql(
+    'query($id: String!) { project(id: $id) { projectMilestones { nodes { id name } } } }',
+    { id: projectId }
+  );
+  const nodes = (list.ok && list.data.project && list.data.project.projectMilestones.nodes) || [];
+  const existing = nodes.find(m => m.name === title);
+  if (existing) return { id: existing.id, created: false };
+  const created = _graphql(
+    'mutation($input: ProjectMilestoneCreateInput!) { projectMilestoneCreate(input: $input) { success projectMilestone { id name } } }',
+    { input: { projectId, name: title } }
+  );
+  if (created.ok && created.data.projectMilestoneCreate && created.data.projectMilestoneCreate.success) {
+    return { id: created.data.projectMilestoneCreate.projectMilestone.id, created: true };
+  }
+  return null;
+}
+
+// ─── Commands ────────────────────────────────────────────────────────────────
+
+function cmdLinearStatus(cwd, raw) {
+  const status = linearStatus(cwd);
+  output(status, raw, status.enabled ? 'enabled' : status.reason);
+}
+
+/**
+ * Create/update one Linear issue per ROADMAP objective (gh.cmdGhSyncObjectives
+ * equivalent). Graceful-skip when Linear is not configured. Records sync state
+ * per synced objective so later pulls have a baseline.
+ */
+function cmdLinearSyncObjectives(cwd, raw) {
+  const status = linearStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason }, raw, '');
+    return;
+  }
+
+  const objectives = gh.listObjectives(cwd);
+  if (objectives.length === 0) {
+    output({ ok: false, reason: 'No objectives found in ROADMAP.md' }, raw, '');
+    return;
+  }
+
+  const team = _teamInfo(status.team);
+  if (!team) {
+    output({ ok: false, reason: `Linear team not found: ${status.team}` }, raw, '');
+    return;
+  }
+
+  const mapping = readMapping(cwd);
+  const projectName = gh.getProjectName(cwd);
+  const milestoneVersion = gh.getMilestoneVersion(cwd) || 'v1.0';
+  const milestoneTitle = `${status.milestone_prefix}${milestoneVersion.replace(/^v/, '')}`;
+  const baseLabel = status.labels.objective || 'devflow:objective';
+  const result = { ok: true, backend: 'linear', target: status.team, milestone: null, objectives: [], warnings: [] };
+
+  // Milestones live on a project in Linear — only possible when project_id is set.
+  if (status.project_id) {
+    const ms = mapping.milestone_id
+      ? { id: mapping.milestone_id, created: false }
+      : _ensureProjectMilestone(status.project_id, milestoneTitle);
+    if (ms) {
+      mapping.milestone_id = ms.id;
+      result.milestone = { id: ms.id, title: milestoneTitle, created: ms.created };
+    }
+  }
+
+  const labelId = _ensureLabel(team.id, baseLabel);
+
+  for (const obj of objectives) {
+    const existing = mapping.objectives[obj.number];
+    const title = `[Objective ${obj.number}] ${obj.name}`;
+    const description = gh.formatIssueBody(obj, projectName);
+
+    if (existing) {
+      const edit = _issueUpdate(existing.issue_id, { title, description });
+      result.objectives.push({
+        number: obj.number,
+        issue: existing.issue_id,
+        issue_ref: existing.issue_id,
+        action: edit.ok ? 'updated' : 'failed',
+        error: edit.ok ? null : edit.error,
+      });
+      continue;
+    }
+
+    const input = { teamId: team.id, title, description };
+    if (labelId) input.labelIds = [labelId];
+    if (status.project_id) input.projectId = status.project_id;
+    if (mapping.milestone_id) input.projectMilestoneId = mapping.milestone_id;
+    const create = _graphql(
+      'mutation($input: IssueCreateInput!) { issueCreate(input: $input) { success issue { id identifier url } } }',
+      { input }
+    );
+    if (create.ok && create.data.issueCreate && create.data.issueCreate.success) {
+      const identifier = create.data.issueCreate.issue.identifier;
+      mapping.objectives[obj.number] = { issue_id: identifier, state_comment_id: null };
+      result.objectives.push({ number: obj.number, issue: identifier, issue_ref: identifier, action: 'created' });
+    } else {
+      result.objectives.push({ number: obj.number, action: 'failed', error: create.error || 'issueCreate returned success=false' });
+    }
+  }
+
+  writeMapping(cwd, mapping);
+
+  // Record sync baseline (same record shape as gh.cmdGhSyncObjectives — TRD 21-02).
+  for (const item of result.objectives) {
+    if (item.action !== 'created' && item.action !== 'updated') continue;
+    const objDir = gh._findObjectiveDir(cwd, item.number);
+    if (!objDir) continue;
+    const objPath = path.join(cwd, '.planning', 'objectives', objDir, 'OBJECTIVE.md');
+    if (!fs.existsSync(objPath)) continue;
+    let diskFm;
+    try {
+      diskFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+    } catch (_) {
+      continue;
+    }
+    const nowIso = new Date().toISOString();
+    try {
+      recordSync(cwd, item.number, {
+        issue_ref: item.issue_ref,
+        etag: null,
+        gh_updated_at: nowIso,
+        label_set: [baseLabel],
+        assignees: [],
+        milestone: result.milestone ? milestoneTitle : null,
+        status: 'open',
+        last_synced_at: nowIso,
+        last_synced_disk_hash: hashFrontmatter(diskFm),
+      });
+    } catch (_) {
+      // best-effort: do not fail the push if sync state can't be written
+    }
+  }
+
+  output(result, raw, '');
+}
+
+// Objective number (via the push mapping) or a literal identifier → identifier.
+function _issueForArg(cwd, arg) {
+  const entry = readMapping(cwd).objectives[arg];
+  if (entry && entry.issue_id) return entry.issue_id;
+  return ISSUE_REF_RE.test(arg || '') ? arg : null;
+}
+
+/**
+ * `comment <issue|objective> <body|@file:path>` — same output as gh.cmdGhComment:
+ * { ok, issue, issue_ref, error, url }.
+ */
+function cmdLinearComment(cwd, issueOrObjective, body, raw) {
+  const status = linearStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason }, raw, '');
+    return;
+  }
+  if (!issueOrObjective || body === undefined) {
+    output({ ok: false, reason: 'Usage: pm comment <issue|objective#> <body|@file:path>' }, raw, '');
+    return;
+  }
+  const issue = _issueForArg(cwd, issueOrObjective);
+  if (!issue) {
+    output({ ok: false, reason: `No issue mapped for ${issueOrObjective}` }, raw, '');
+    return;
+  }
+  const bodyArg = gh.readBodyArg(body);
+  if (!bodyArg.ok) {
+    output({ ok: false, reason: bodyArg.reason }, raw, '');
+    return;
+  }
+  const r = _commentCreate(issue, bodyArg.body);
+  output({ ok: r.ok, issue, issue_ref: issue, error: r.ok ? null : r.error, url: r.ok ? r.url : null }, raw, '');
+}
+
+/**
+ * `close-issue <issue|objective> [comment]` — moves the issue to the team's
+ * completed state. Same output as gh.cmdGhCloseIssue: { ok, issue, issue_ref, error }.
+ */
+function cmdLinearCloseIssue(cwd, objectiveOrIssue, comment, raw) {
+  const status = linearStatus(cwd);
+  if (!status.enabled) {
+    output({ ok: false, skipped: true, reason: status.reason }, raw, '');
+    return;
+  }
+  const issue = _issueForArg(cwd, objectiveOrIssue);
+  if (!issue) {
+    output({ ok: false, reason: `No issue mapped for ${objectiveOrIssue}` }, raw, '');
+    return;
+  }
+  if (comment) {
+    const c = _commentCreate(issue, comment);
+    if (!c.ok) {
+      output({ ok: false, issue, issue_ref: issue, error: c.error }, raw, '');
+      return;
+    }
+  }
+  const r = _moveToState(issue, 'Done');
+  const error = r.ok ? null : (r.error || 'team has no completed workflow state');
+  output({ ok: r.ok, issue, issue_ref: issue, error }, raw, '');
+}
+
+/**
+ * CLI entry point for single-objective sync. Hard-fails on auth (structured
+ * JSON to stderr + exit 1), mirroring gh.cmdGhSyncObjective.
+ */
+function cmdLinearSyncObjective(cwd, objectiveId, raw) {
+  if (!objectiveId) {
+    process.stderr.write(JSON.stringify({ error: 'Usage: sync <objectiveId>' }, null, 2) + '\n');
+    process.exit(1);
+    return;
+  }
+  try {
+    const result = syncObjective(objectiveId, cwd);
+    if (!result.ok) {
+      process.stderr.write(JSON.stringify(result, null, 2) + '\n');
+      process.exit(1);
+      return;
+    }
+    output(result, raw, JSON.stringify(result, null, 2));
+  } catch (e) {
+    if (e.name === 'LinearAuthError') {
+      _emitAuthError(e);
+      return;
+    }
+    throw e;
+  }
+}
+
+/**
+ * CLI entry point for `resolve <objectiveId>` — prints the resolved chain.
+ */
+function cmdLinearResolve(cwd, objectiveId, raw) {
+  if (!objectiveId) {
+    process.stderr.write('Usage: resolve <objectiveId> [--raw]\n');
+    process.exit(1);
+    return;
+  }
+  try {
+    requireLinearAuth();
+  } catch (e) {
+    if (e.name === 'LinearAuthError') {
+      _emitAuthError(e);
+      return;
+    }
+    throw e;
+  }
+  const objPath = path.join(cwd, '.planning', 'objectives', objectiveId, 'OBJECTIVE.md');
+  if (!fs.existsSync(objPath)) {
+    process.stderr.write(`Error: objective not found: ${objectiveId}\n`);
+    process.exit(1);
+    return;
+  }
+  const objFm = extractFrontmatter(fs.readFileSync(objPath, 'utf-8')) || {};
+  objFm._objectiveId = objectiveId;
+  const result = resolveChain(objFm, _readProjectCtx(cwd));
+  output(result, raw, JSON.stringify(result, null, 2));
+}
+
+// ─── `df-tools pm` integration ───────────────────────────────────────────────
+
+// Pull hooks for gh-pull.cmdGhPull (shape documented at gh-pull._ghPullAdapter).
+const pullAdapter = {
+  label: 'Linear',
+  requireAuth: () => requireLinearAuth(),
+  issueRef(cwd, objectiveId) {
+    const entry = readMapping(cwd).objectives[objectiveId];
+    return entry && entry.issue_id ? { ok: true, ref: entry.issue_id } : { ok: false };
+  },
+  fetchIssue: (ref) => fetchIssue(ref),
+  pushObjective: (cwd, objectiveId, raw) => cmdLinearSyncObjective(cwd, objectiveId, raw),
+};
+
+// Verb table for lib/pm-cli.cjs (same verbs and signature as gh.pmCommands).
+// No sync-release: Linear has no release object to publish notes to.
+const pmCommands = {
+  status: (cwd, args, raw) => cmdLinearStatus(cwd, raw),
+  'sync-objectives': (cwd, args, raw) => cmdLinearSyncObjectives(cwd, raw),
+  sync: (cwd, args, raw) => cmdLinearSyncObjective(cwd, args[0], raw),
+  resolve: (cwd, args, raw) => cmdLinearResolve(cwd, args[0], raw),
+  pull: (cwd, args, raw) => require('./gh-pull.cjs').cmdGhPull(cwd, args, raw, pullAdapter),
+  comment: (cwd, args, raw) => cmdLinearComment(cwd, args[0], args[1], raw),
+  'close-issue': (cwd, args, raw) => cmdLinearCloseIssue(cwd, args[0], args[1] || null, raw),
+};
+
+module.exports = {
+  // `df-tools pm` verbs + pull hooks:
+  pmCommands,
+  pullAdapter,
+
+  // Status + push (gh.cjs ghStatus / cmdGhSyncObjectives equivalents):
+  linearStatus,
+  cmdLinearStatus,
+  cmdLinearSyncObjectives,
+  cmdLinearComment,
+  cmdLinearCloseIssue,
+
+  // Resolver:
+  resolveChain,
+  findRoadmapIssue,
+  addToProject,
+  linkSubIssue,
+  cmdLinearResolve,
+
+  // Auth:
+  requireLinearAuth,
+  LinearAuthError,
+
+  // Sync orchestrator + helpers:
+  findStickyComment,
+  upsertStickyComment,
+  updateProjectFields,
+  syncObjective,
+  cmdLinearSyncObjective,
+  readMapping,
+  writeMapping,
+
+  // Pull-side readers (gh-pull.fetchGhIssue / gh.readIssueState shapes):
+  fetchIssue,
+  readIssueState,
+
+  STATUS_STATE_TYPES,
+
+  // Test hooks:
+  _resetCache,
+  _setRunLinear,
+  _runLinear: (...args) => _runLinear(...args),
+};
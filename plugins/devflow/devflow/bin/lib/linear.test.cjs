@@ -0,0 +1,421 @@
+'use strict';
+
+// Unit tests for lib/linear.cjs — Linear PM backend.
+//
+// Unit groups mock the transport via linear._setRunLinear(mockFn).
+// Group H drives the real transport (lib/http-sync.cjs) against the local
+// stub server in __fixtures__/pm-stub-server.cjs — no live Linear calls.
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const linear = require('./linear.cjs');
+const fx = require('./__fixtures__/linear-fixtures.cjs');
+const { startStubServer } = require('./__fixtures__/pm-stub-server.cjs');
+
+const VIEWER_OK = fx.gqlData({ viewer: { id: 'u1', name: 'alice' } });
+
+let savedKey;
+let savedUrl;
+
+beforeEach(() => {
+  linear._resetCache();
+  linear._setRunLinear(null);
+  savedKey = process.env.LINEAR_API_KEY;
+  savedUrl = process.env.LINEAR_API_URL;
+  process.env.LINEAR_API_KEY = 'lin_api_test';
+});
+
+afterEach(() => {
+  linear._setRunLinear(null);
+  if (savedKey === undefined) delete process.env.LINEAR_API_KEY;
+  else process.env.LINEAR_API_KEY = savedKey;
+  if (savedUrl === undefined) delete process.env.LINEAR_API_URL;
+  else process.env.LINEAR_API_URL = savedUrl;
+});
+
+function captureCmd(fn) {
+  let stdout = '';
+  let stderr = '';
+  let exitCode = null;
+  const origOut = process.stdout.write.bind(process.stdout);
+  const origErr = process.stderr.write.bind(process.stderr);
+  const origExit = process.exit;
+  process.stdout.write = (c) => { stdout += c; return true; };
+  process.stderr.write = (c) => { stderr += c; return true; };
+  process.exit = (code) => { exitCode = code; };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = origOut;
+    process.stderr.write = origErr;
+    process.exit = origExit;
+  }
+  return { stdout, stderr, exitCode };
+}
+
+function makeProject({ config, roadmap, objectives = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-linear-test-'));
+  fs.mkdirSync(path.join(dir, '.planning', 'objectives'), { recursive: true });
+  if (config) fs.writeFileSync(path.join(dir, '.planning', 'config.json'), JSON.stringify(config));
+  if (roadmap) fs.writeFileSync(path.join(dir, '.planning', 'ROADMAP.md'), roadmap);
+  for (const [objDir, fm] of Object.entries(objectives)) {
+    fs.mkdirSync(path.join(dir, '.planning', 'objectives', objDir), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.planning', 'objectives', objDir, 'OBJECTIVE.md'), `---\n${fm}\n---\n\n# Objective\n`);
+  }
+  return dir;
+}
+
+const LINEAR_CONFIG = { pm: { backend: 'linear', linear: { team: 'ENG' } } };
+const ROADMAP = [
+  '# Roadmap v1.2',
+  '',
+  '## Objective 1: Linear backend',
+  '',
+  '**Goal:** Mirror objectives into Linear',
+  '',
+  '## Objective 2: Jira backend',
+  '',
+  '**Goal:** Mirror objectives into Jira',
+  '',
+].join('\n');
+
+// ─── Group A: requireLinearAuth ──────────────────────────────────────────────
+
+describe('requireLinearAuth', () => {
+  test('A1: missing LINEAR_API_KEY throws LinearAuthError with remediation', () => {
+    delete process.env.LINEAR_API_KEY;
+    assert.throws(() => linear.requireLinearAuth(), (e) => {
+      assert.strictEqual(e.name, 'LinearAuthError');
+      assert.match(e.remediation, /LINEAR_API_KEY/);
+      assert.deepStrictEqual(e.scopes_missing, []);
+      return true;
+    });
+  });
+
+  test('A2: HTTP 401 → "rejected" LinearAuthError', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({
+      viewer: { ok: false, status: 401, stdout: '', stderr: 'HTTP 401' },
+    }));
+    assert.throws(() => linear.requireLinearAuth(), /rejected/);
+  });
+
+  test('A3: viewer query succeeds → returns silently', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({ viewer: VIEWER_OK }));
+    assert.doesNotThrow(() => linear.requireLinearAuth());
+  });
+});
+
+// ─── Group B: resolveChain ───────────────────────────────────────────────────
+
+describe('resolveChain', () => {
+  test('B1: linear_issue + parent_issue from frontmatter; walk finds [Roadmap] + project milestone', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({
+      issue: fx.gqlData({
+        issue: {
+          identifier: 'ENG-9',
+          title: '[Roadmap] devflow-claude',
+          project: { id: 'proj-1', name: 'DevFlow', state: 'started' },
+          projectMilestone: null,
+        },
+      }),
+    }));
+
+    const r = linear.resolveChain(
+      { linear_issue: 'ENG-42', parent_issue: 'ENG-9', _objectiveId: '01-x' },
+      { linear_team: 'ENG', org_project: 'proj-1' }
+    );
+
+    assert.strictEqual(r.linear_issue, 'ENG-42');
+    assert.strictEqual(r.provenance.linear_issue, 'frontmatter');
+    assert.strictEqual(r.roadmap_issue, 'ENG-9');
+    assert.strictEqual(r.provenance.roadmap_issue, 'walked_from_parent');
+    assert.strictEqual(r.milestone.title, 'DevFlow');
+    assert.strictEqual(r.org_project, 'proj-1');
+    assert.strictEqual(r.provenance.org_project, 'inherited_from_project');
+    assert.deepStrictEqual(r.warnings, []);
+  });
+
+  test('B2: no parent_issue → falls back to [Roadmap] search, lowest number wins', () => {
+    const mock = fx.buildMockRunLinear({
+      issues: fx.gqlData({ issues: { nodes: [{ identifier: 'ENG-30', number: 30 }, { identifier: 'ENG-3', number: 3 }] } }),
+      issue: fx.gqlData({ issue: { identifier: 'ENG-3', title: '[Roadmap] x', project: null, projectMilestone: null } }),
+    });
+    linear._setRunLinear(mock);
+
+    const r = linear.resolveChain({ linear_issue: 'ENG-42' }, { linear_team: 'ENG' });
+
+    assert.strictEqual(r.roadmap_issue, 'ENG-3');
+    assert.strictEqual(r.provenance.milestone, 'absent');
+    assert.strictEqual(mock.callsFor('issues')[0].variables.team, 'ENG');
+  });
+
+  test('B3: malformed linear_issue → warning, value passed through', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({}));
+    const r = linear.resolveChain({ linear_issue: 'eng 42' }, {});
+    assert.strictEqual(r.linear_issue, 'eng 42');
+    assert.ok(r.warnings.some(w => /Unrecognized linear_issue/.test(w)));
+  });
+
+  test('B4: second call is served from cache with walked fields marked cached', () => {
+    const mock = fx.buildMockRunLinear({
+      issue: fx.gqlData({ issue: { identifier: 'ENG-9', title: '[Roadmap] x', project: { id: 'p', name: 'P', state: 'started' }, projectMilestone: null } }),
+    });
+    linear._setRunLinear(mock);
+    const fm = { linear_issue: 'ENG-42', parent_issue: 'ENG-9' };
+    linear.resolveChain(fm, { linear_team: 'ENG' });
+    const before = mock.calls().length;
+    const r2 = linear.resolveChain(fm, { linear_team: 'ENG' });
+    assert.strictEqual(mock.calls().length, before);
+    assert.strictEqual(r2.provenance.roadmap_issue, 'cached');
+    assert.strictEqual(r2.provenance.linear_issue, 'frontmatter');
+  });
+});
+
+// ─── Group C: fetchIssue / readIssueState ────────────────────────────────────
+
+describe('fetchIssue / readIssueState', () => {
+  test('C1: fetchIssue returns gh-pull shape consumable by normalizeGhIssue', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({
+      issue: fx.gqlData({ issue: fx.buildLinearIssue({ labels: ['a', 'b'], assignee: 'bob', milestone: 'v1.2' }) }),
+    }));
+    const issue = linear.fetchIssue('ENG-42');
+    const norm = require('./gh-pull.cjs').normalizeGhIssue(issue);
+    assert.deepStrictEqual(norm, {
+      status: 'open',
+      labels: ['a', 'b'],
+      assignees: ['bob'],
+      milestone: 'v1.2',
+      updatedAt: '2026-05-01T00:00:00.000Z',
+    });
+  });
+
+  test('C2: completed and canceled state types map to CLOSED', () => {
+    for (const stateType of ['completed', 'canceled']) {
+      linear._setRunLinear(fx.buildMockRunLinear({
+        issue: fx.gqlData({ issue: fx.buildLinearIssue({ stateType }) }),
+      }));
+      assert.strictEqual(linear.fetchIssue('ENG-42').state, 'CLOSED', stateType);
+    }
+  });
+
+  test('C3: "Entity not found" → null; other errors → { _ok: false }', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({ issue: fx.gqlError('Entity not found: Issue') }));
+    assert.strictEqual(linear.fetchIssue('ENG-404'), null);
+    linear._setRunLinear(fx.buildMockRunLinear({ issue: { ok: false, status: 429, stdout: '', stderr: 'HTTP 429' } }));
+    const r = linear.fetchIssue('ENG-42');
+    assert.strictEqual(r._ok, false);
+    assert.match(r.error, /429/);
+  });
+
+  test('C4: readIssueState matches gh.readIssueState contract', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({
+      issue: fx.gqlData({ issue: fx.buildLinearIssue({ stateType: 'completed' }) }),
+    }));
+    const r = linear.readIssueState('ENG-42');
+    assert.strictEqual(r.ok, true);
+    assert.deepStrictEqual(JSON.parse(r.stdout), { state: 'CLOSED', closed: true });
+  });
+});
+
+// ─── Group D: upsertStickyComment ────────────────────────────────────────────
+
+describe('upsertStickyComment', () => {
+  const BODY = '<!-- df:state -->\n**DevFlow state**';
+
+  test('D1: known state_comment_id → commentUpdate in place (edited)', () => {
+    const mock = fx.buildMockRunLinear({
+      commentUpdate: fx.gqlData({ commentUpdate: { success: true, comment: { id: 'c-1' } } }),
+    });
+    linear._setRunLinear(mock);
+    const r = linear.upsertStickyComment('ENG-42', BODY, { state_comment_id: 'c-1' });
+    assert.deepStrictEqual(r, { action: 'edited', comment_id: 'c-1' });
+    assert.strictEqual(mock.callsFor('issue').length, 0, 'no marker scan when id known');
+  });
+
+  test('D2: no id → marker scan finds existing comment (edited_via_marker)', () => {
+    linear._setRunLinear(fx.buildMockRunLinear({
+      issue: fx.gqlData({ issue: { comments: { nodes: [{ id: 'c-0', body: 'hello' }, { id: 'c-7', body: BODY }] } } }),
+      commentUpdate: fx.gqlData({ commentUpdate: { success: true, comment: { id: 'c-7' } } }),
+    }));
+    const r = linear.upsertStickyComment('ENG-42', BODY, {});
+    assert.deepStrictEqual(r, { action: 'edited_via_marker', comment_id: 'c-7' });
+  });
+
+  test('D3: no existing comment → commentCreate on the issue UUID (created)', () => {
+    const mock = fx.buildMockRunLinear({
+      issue: [
+        fx.gqlData({ issue: { comments: { nodes: [] } } }),
+        fx.gqlData({ issue: { id: 'uuid-42' } }),
+      ],
+      commentCreate: fx.gqlData({ commentCreate: { success: true, comment: { id: 'c-new' } } }),
+    });
+    linear._setRunLinear(mock);
+    const r = linear.upsertStickyComment('ENG-42', BODY, {});
+    assert.deepStrictEqual(r, { action: 'created', comment_id: 'c-new' });
+    assert.strictEqual(mock.callsFor('commentCreate')[0].variables.input.issueId, 'uuid-42');
+  });
+});
+
+// ─── Group E: updateProjectFields / addToProject / linkSubIssue ──────────────
+
+describe('updateProjectFields / addToProject / linkSubIssue', () => {
+  test('E1: Status maps to workflow state by type; Quarter becomes a warning', () => {
+    const mock = fx.buildMockRunLinear({
+      issueUpdate: fx.gqlData({ issueUpdate: { success: true, issue: { id: 'uuid-42', identifier: 'ENG-42' } } }),
+      issue: fx.gqlData({ issue: { team: fx.buildTeam() } }),
+    });
+    linear._setRunLinear(mock);
+
+    const r = linear.updateProjectFields('ENG-42', 'proj-1', { Status: 'In Progress', Quarter: 'Q2 2026' });
+
+    assert.strictEqual(r.ok, true);
+    assert.deepStrictEqual(r.fields_updated, ['Status']);
+    assert.deepStrictEqual(r.warnings, ['unsupported field on Linear: Quarter']);
+    const updates = mock.callsFor('issueUpdate').map(c => c.variables.input);
+    assert.deepStrictEqual(updates, [{ projectId: 'proj-1' }, { stateId: 'st-doing' }]);
+  });
+
+  test('E2: no projectId → { ok: false } without any request', () => {
+    const mock = fx.buildMockRunLinear({});
+    linear._setRunLinear(mock);
+    const r = linear.updateProjectFields('ENG-42', null, { Status: 'Done' });
+    assert.strictEqual(r.ok, false);
+    assert.strictEqual(mock.calls().length, 0);
+  });
+
+  test('E3: linkSubIssue sets the child parentId to the parent UUID', () => {
+    const mock = fx.buildMockRunLinear({
+      issue: fx.gqlData({ issue: { id: 'uuid-9' } }),
+      issueUpdate: fx.gqlData({ issueUpdate: { success: true, issue: { id: 'uuid-42', identifier: 'ENG-42' } } }),
+    });
+    linear._setRunLinear(mock);
+    assert.deepStrictEqual(linear.linkSubIssue('ENG-9', 'ENG-42'), { ok: true });
+    const call = mock.callsFor('issueUpdate')[0];
+    assert.strictEqual(call.variables.id, 'ENG-42');
+    assert.deepStrictEqual(call.variables.input, { parentId: 'uuid-9' });
+  });
+});
+
+// ─── Group F: linearStatus / cmdLinearSyncObjectives graceful skip ───────────
+
+describe('linearStatus', () => {
+  let dir;
+  afterEach(() => { if (dir) fs.rmSync(dir, { recursive: true, force: true }); dir = null; });
+
+  test('F1: pm.backend not linear → disabled with reason', () => {
+    dir = makeProject({ config: { pm: { backend: 'github' } } });
+    const s = linear.linearStatus(dir);
+    assert.strictEqual(s.enabled, false);
+    assert.match(s.reason, /pm\.backend/);
+  });
+
+  test('F2: missing team key → disabled', () => {
+    dir = makeProject({ config: { pm: { backend: 'linear', linear: {} } } });
+    assert.match(linear.linearStatus(dir).reason, /pm\.linear\.team/);
+  });
+
+  test('F3: cmdLinearSyncObjectives skips (ok:false, skipped:true) without LINEAR_API_KEY', () => {
+    dir = makeProject({ config: LINEAR_CONFIG, roadmap: ROADMAP });
+    delete process.env.LINEAR_API_KEY;
+    const out = captureCmd(() => linear.cmdLinearSyncObjectives(dir, false));
+    const parsed = JSON.parse(out.stdout);
+    assert.strictEqual(parsed.skipped, true);
+    assert.match(parsed.reason, /LINEAR_API_KEY/);
+  });
+});
+
+// ─── Group G: syncObjective ──────────────────────────────────────────────────
+
+describe('syncObjective', () => {
+  let dir;
+  afterEach(() => { if (dir) fs.rmSync(dir, { recursive: true, force: true }); dir = null; });
+
+  test('G1: missing linear_issue and no mapping → ok:false with hint', () => {
+    dir = makeProject({ config: LINEAR_CONFIG, roadmap: ROADMAP, objectives: { '01-linear': 'work: feature' } });
+    linear._setRunLinear(fx.buildMockRunLinear({ viewer: VIEWER_OK }));
+    const r = linear.syncObjective('01-linear', dir);
+    assert.strictEqual(r.ok, false);
+    assert.match(r.error, /no linear_issue/);
+  });
+
+  test('G2: pushes description, creates sticky comment, persists comment id', () => {
+    dir = makeProject({
+      config: { pm: { backend: 'linear', linear: { team: 'ENG', project_id: 'proj-1' } } },
+      roadmap: ROADMAP,
+      objectives: { '01-linear': 'work: feature\nlinear_issue: ENG-42' },
+    });
+    const mock = fx.buildMockRunLinear({
+      viewer: VIEWER_OK,
+      issues: fx.gqlData({ issues: { nodes: [] } }),
+      issueUpdate: fx.gqlData({ issueUpdate: { success: true, issue: { id: 'uuid-42', identifier: 'ENG-42' } } }),
+      issue: () => fx.gqlData({ issue: { id: 'uuid-42', comments: { nodes: [] }, team: fx.buildTeam() } }),
+      commentCreate: fx.gqlData({ commentCreate: { success: true, comment: { id: 'c-new' } } }),
+    });
+    linear._setRunLinear(mock);
+
+    const r = linear.syncObjective('01-linear', dir);
+
+    assert.strictEqual(r.ok, true, JSON.stringify(r));
+    assert.strictEqual(r.issue_updated, true);
+    assert.strictEqual(r.comment_action, 'created');
+    assert.deepStrictEqual(r.project_fields_updated, ['Status']);
+    const description = mock.callsFor('issueUpdate')[0].variables.input.description;
+    assert.match(description, /\*\*Objective 1: Linear backend\*\*/);
+    const mapping = linear.readMapping(dir);
+    assert.deepStrictEqual(mapping.objectives['1'], { issue_id: 'ENG-42', state_comment_id: 'c-new' });
+  });
+});
+
+// ─── Group H: end-to-end push against the local stub server ──────────────────
+
+describe('cmdLinearSyncObjectives — stub server', () => {
+  let dir;
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  test('H1: creates one issue per objective, writes mapping + sync state', async () => {
+    stub = await startStubServer([
+      { method: 'POST', path: '^/graphql', match: 'viewer', body: { data: { viewer: { id: 'u1', name: 'alice' } } } },
+      { method: 'POST', path: '^/graphql', match: 'teams\\(', body: { data: { teams: { nodes: [fx.buildTeam()] } } } },
+      { method: 'POST', path: '^/graphql', match: 'issueLabels\\(', body: { data: { issueLabels: { nodes: [{ id: 'lbl-1', name: 'devflow:objective' }] } } } },
+      { method: 'POST', path: '^/graphql', match: 'Objective 1\\]', body: { data: { issueCreate: { success: true, issue: { id: 'u-1', identifier: 'ENG-101', url: 'x' } } } } },
+      { method: 'POST', path: '^/graphql', match: 'Objective 2\\]', body: { data: { issueCreate: { success: true, issue: { id: 'u-2', identifier: 'ENG-102', url: 'x' } } } } },
+    ]);
+    process.env.LINEAR_API_URL = `${stub.url}/graphql`;
+    dir = makeProject({
+      config: LINEAR_CONFIG,
+      roadmap: ROADMAP,
+      objectives: { '01-linear': 'work: feature', '02-jira': 'work: feature' },
+    });
+
+    const out = captureCmd(() => linear.cmdLinearSyncObjectives(dir, false));
+    const parsed = JSON.parse(out.stdout);
+
+    assert.strictEqual(parsed.ok, true, out.stdout);
+    assert.deepStrictEqual(parsed.objectives.map(o => [o.number, o.issue, o.action]), [
+      ['1', 'ENG-101', 'created'],
+      ['2', 'ENG-102', 'created'],
+    ]);
+    const created = stub.requests().filter(r => /issueCreate/.test(r.body)).length;
+    assert.strictEqual(created, 2);
+    const req = stub.requests().find(r => /issueCreate/.test(r.body));
+    assert.strictEqual(req.headers.authorization, 'lin_api_test');
+    assert.deepStrictEqual(JSON.parse(req.body).variables.input.labelIds, ['lbl-1']);
+
+    const mapping = linear.readMapping(dir);
+    assert.strictEqual(mapping.objectives['1'].issue_id, 'ENG-101');
+    const syncState = JSON.parse(fs.readFileSync(path.join(dir, '.planning', '.gh-sync-state.json'), 'utf-8'));
+    assert.strictEqual(syncState.objectives['1'].issue_ref, 'ENG-101');
+    assert.deepStrictEqual(syncState.objectives['2'].label_set, ['devflow:objective']);
+  });
+});
@@ -0,0 +1,388 @@
+'use strict';
+
+/**
+ * notify-router — route devflow notifications to pluggable sinks.
+ *
+ * Events come from the watcher daemon (`start`, `complete`) and the
+ * decision queue (`decision`):
+ *
+ *   { event, title, body, project?, id?, cmd?, status?, exit_code?, urgency? }
+ *
+ * Configuration lives in .planning/config.json under `daemon.notify`:
+ *
+ *   {
+ *     "sinks": {
+ *       "desk": { "type": "desktop" },
+ *       "bell": { "type": "terminal", "tty": "/dev/pts/3", "osc9": true },
+ *       "hook": { "type": "webhook", "url": "http://127.0.0.1:9000/notify" },
+ *       "log":  { "type": "file", "path": "/tmp/devflow-notify.jsonl" }
+ *     },
+ *     "routes": [
+ *       { "events": ["complete"], "status": ["failed", "timeout"], "sinks": ["desk", "bell"] },
+ *       { "events": ["complete"], "sinks": ["hook"], "group_ms": 30000 },
+ *       { "events": ["decision"], "sinks": ["desk"], "during_quiet_hours": true }
+ *     ],
+ *     "quiet_hours": { "start": "22:00", "end": "07:00" },
+ *     "idle_minutes": 5,
+ *     "tty": "/dev/pts/3"
+ *   }
+ *
+ * Every matching route delivers, unless:
+ *   - quiet hours are on and the route doesn't set `during_quiet_hours`
+ *   - `idle_minutes` (top level, or per route) is set and the terminal was
+ *     used more recently than that. Idle time is the atime of `tty` (or
+ *     $DEVFLOW_NOTIFY_TTY), which the kernel bumps on every keystroke. With
+ *     no readable tty the policy is skipped and the event is delivered.
+ * A route with `group_ms` collects matching events for that long and sends
+ * one summary, so a burst of completions is one notification. Grouping
+ * only spans one process (the daemon); short-lived callers flush on close().
+ *
+ * Without a `daemon.notify` block the old flags still apply:
+ * `daemon.notifications` + `notify_on_start` / `notify_on_complete` route
+ * daemon events to the desktop, and decisions always go to the desktop.
+ *
+ * A sink failure is logged and never reaches the caller. Webhook URLs must
+ * point at a loopback host.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const EVENTS = ['start', 'complete', 'decision'];
+const WEBHOOK_TIMEOUT_MS = 3000;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '::1']);
+const HHMM_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ---------------------------------------------------------------------------
+// Sinks
+// ---------------------------------------------------------------------------
+
+// Keep control characters out of terminal escapes and one-line summaries.
+function oneLine(s) {
+  return String(s == null ? '' : s).replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+}
+
+function desktopSink() {
+  return {
+    send(msg, log) {
+      return require('./notifier.cjs').notify({ title: msg.title, body: msg.body, urgency: msg.urgency, log });
+    },
+  };
+}
+
+// BEL, or OSC 9 (iTerm2, kitty, WezTerm, Windows Terminal) which shows the
+// text as a desktop notification from the terminal itself.
+function terminalSink(spec, defaults) {
+  const tty = spec.tty || defaults.tty;
+  if (!tty) throw new Error('terminal sink needs a tty (sink "tty", daemon.notify.tty or $DEVFLOW_NOTIFY_TTY)');
+  return {
+    async send(msg) {
+      const text = spec.osc9 ? `\x1b]9;${oneLine(`${msg.title}: ${msg.body}`)}\x07` : '\x07';
+      fs.appendFileSync(tty, text);
+    },
+  };
+}
+
+function webhookSink(spec) {
+  let url;
+  try { url = new URL(String(spec.url)); } catch { throw new Error(`webhook sink url is not a URL: ${spec.url}`); }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`webhook sink url must be http(s): ${spec.url}`);
+  }
+  if (!LOOPBACK_HOSTS.has(url.hostname)) {
+    throw new Error(`webhook sink url must point at a loopback host: ${spec.url}`);
+  }
+  const mod = url.protocol === 'http:' ? http : https;
+  return {
+    send(msg) {
+      const payload = JSON.stringify(msg);
+      return new Promise((resolve, reject) => {
+        const req = mod.request(url, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) },
+          timeout: WEBHOOK_TIMEOUT_MS,
+        }, (res) => {
+          res.resume();
+          res.on('end', () => (res.statusCode < 300 ? resolve() : reject(new Error(`webhook answered ${res.statusCode}`))));
+        });
+        req.on('timeout', () => req.destroy(new Error(`webhook timed out after ${WEBHOOK_TIMEOUT_MS}ms`)));
+        req.on('error', reject);
+        req.end(payload);
+      });
+    },
+  };
+}
+
+function fileSink(spec) {
+  if (!spec.path) throw new Error('file sink needs a path');
+  return {
+    async send(msg) {
+      fs.appendFileSync(spec.path, JSON.stringify({ ts: new Date().toISOString(), ...msg }) + '\n');
+    },
+  };
+}
+
+const SINK_TYPES = {
+  desktop: desktopSink,
+  terminal: terminalSink,
+  webhook: webhookSink,
+  file: fileSink,
+};
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+function legacyConfig(daemon) {
+  const routes = [{ events: ['decision'], sinks: ['desktop'] }];
+  if (daemon && daemon.notifications === true) {
+    const events = [];
+    if (daemon.notify_on_start !== false) events.push('start');
+    if (daemon.notify_on_complete !== false) events.push('complete');
+    if (events.length > 0) routes.push({ events, sinks: ['desktop'] });
+  }
+  return { sinks: { desktop: { type: 'desktop' } }, routes };
+}
+
+function minutesOfDay(hhmm) {
+  const m = HHMM_RE.exec(String(hhmm));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Normalise the `daemon` block of .planning/config.json into
+ * { sinks, routes, quiet_hours, idle_minutes, tty, errors }. Invalid sinks
+ * and routes are dropped and reported in `errors` ({ where, message }).
+ *
+ * @param {object} [daemon] — cfg.daemon
+ * @returns {object}
+ */
+function loadNotifyConfig(daemon) {
+  const raw = daemon && daemon.notify && typeof daemon.notify === 'object'
+    ? daemon.notify
+    : legacyConfig(daemon);
+  const errors = [];
+  const out = {
+    sinks: {},
+    routes: [],
+    quiet_hours: null,
+    idle_minutes: 0,
+    tty: typeof raw.tty === 'string' ? raw.tty : (process.env.DEVFLOW_NOTIFY_TTY || null),
+    errors,
+  };
+
+  for (const [name, spec] of Object.entries(raw.sinks || {})) {
+    if (!spec || !SINK_TYPES[spec.type]) {
+      errors.push({ where: `sinks.${name}`, message: `unknown sink type: ${spec && spec.type}` });
+      continue;
+    }
+    out.sinks[name] = spec;
+  }
+
+  (Array.isArray(raw.routes) ? raw.routes : []).forEach((r, i) => {
+    const where = `routes[${i}]`;
+    const events = Array.isArray(r && r.events) ? r.events : [];
+    const bad = events.filter((e) => !EVENTS.includes(e));
+    if (events.length === 0 || bad.length > 0) {
+      errors.push({ where, message: `events must be a non-empty list of ${EVENTS.join(' / ')}${bad.length ? ` (got ${bad.join(', ')})` : ''}` });
+      return;
+    }
+    const sinks = Array.isArray(r.sinks) ? r.sinks : [];
+    const missing = sinks.filter((s) => !out.sinks[s]);
+    if (sinks.length === 0 || missing.length > 0) {
+      errors.push({ where, message: `sinks must name configured sinks${missing.length ? ` (unknown: ${missing.join(', ')})` : ''}` });
+      return;
+    }
+    out.routes.push({
+      events,
+      status: Array.isArray(r.status) ? r.status : null,
+      projects: Array.isArray(r.projects) ? r.projects : null,
+      sinks,
+      during_quiet_hours: r.during_quiet_hours === true,
+      idle_minutes: Number.isFinite(r.idle_minutes) ? r.idle_minutes : null,
+      group_ms: Number.isInteger(r.group_ms) && r.group_ms > 0 ? r.group_ms : 0,
+    });
+  });
+
+  if (raw.quiet_hours) {
+    const start = minutesOfDay(raw.quiet_hours.start);
+    const end = minutesOfDay(raw.quiet_hours.end);
+    if (start === null || end === null) {
+      errors.push({ where: 'quiet_hours', message: 'start and end must be HH:MM' });
+    } else {
+      out.quiet_hours = { start, end };
+    }
+  }
+  if (Number.isFinite(raw.idle_minutes) && raw.idle_minutes > 0) out.idle_minutes = raw.idle_minutes;
+  return out;
+}
+
+/**
+ * Read `daemon` from <projectRoot>/.planning/config.json and normalise it.
+ * A missing or unreadable file gives the legacy defaults.
+ */
+function loadProjectNotifyConfig(projectRoot) {
+  let daemon = null;
+  try {
+    const cfg = JSON.parse(fs.readFileSync(path.join(projectRoot, '.planning', 'config.json'), 'utf8'));
+    daemon = cfg && cfg.daemon ? cfg.daemon : null;
+  } catch { /* defaults */ }
+  return loadNotifyConfig(daemon);
+}
+
+// ---------------------------------------------------------------------------
+// Router
+// ---------------------------------------------------------------------------
+
+function inQuietHours(quiet, date) {
+  if (!quiet) return false;
+  const m = date.getHours() * 60 + date.getMinutes();
+  return quiet.start <= quiet.end
+    ? m >= quiet.start && m < quiet.end
+    : m >= quiet.start || m < quiet.end; // wraps midnight
+}
+
+/** Milliseconds since the tty last saw input, or null when unknown. */
+function ttyIdleMs(tty, now = Date.now()) {
+  if (!tty) return null;
+  try {
+    return Math.max(0, now - fs.statSync(tty).atimeMs);
+  } catch {
+    return null;
+  }
+}
+
+function summarize(events) {
+  if (events.length === 1) return events[0];
+  const kind = events[0].event;
+  const noun = kind === 'decision' ? 'decisions waiting' : kind === 'start' ? 'handoffs started' : 'handoffs finished';
+  const items = events.map((e) => (e.status ? `${e.id} (${e.status})` : e.id || e.title));
+  return {
+    event: kind,
+    title: events[0].title,
+    body: `${events.length} ${noun}: ${items.join(', ')}`,
+    grouped: events.length,
+    ids: events.map((e) => e.id).filter(Boolean),
+  };
+}
+
+/**
+ * Build a router from a loadNotifyConfig() result.
+ *
+ * route(event) resolves { delivered: [sink], queued: [sink], suppressed:
+ * [{ sinks, reason }] }. It never rejects. notify(event) starts a route()
+ * and returns at once, so it can replace a notifier without holding up
+ * dispatch on a slow sink. close() sends any grouped events now.
+ *
+ * @param {object} config
+ * @param {object} [opts]
+ * @param {function} [opts.log] — (level, msg) => void
+ * @param {function} [opts.now] — () => Date
+ * @param {function} [opts.idleMs] — () => ms since last terminal input, or null
+ * @param {object} [opts.sinkTypes] — override/extra sink factories by type
+ */
+function createRouter(config, opts = {}) {
+  const log = opts.log || (() => {});
+  const now = opts.now || (() => new Date());
+  const idleMs = opts.idleMs || (() => ttyIdleMs(config.tty, now().getTime()));
+  const types = { ...SINK_TYPES, ...(opts.sinkTypes || {}) };
+
+  const sinks = {};
+  for (const [name, spec] of Object.entries(config.sinks)) {
+    try {
+      sinks[name] = types[spec.type](spec, { tty: config.tty });
+    } catch (e) {
+      log('warn', `notify: sink ${name} disabled: ${e.message}`);
+    }
+  }
+
+  const groups = new Map(); // route index → { events, timer }
+
+  async function deliver(names, msg) {
+    const delivered = [];
+    await Promise.all(names.map(async (name) => {
+      const sink = sinks[name];
+      if (!sink) return;
+      try {
+        await sink.send(msg, log);
+        delivered.push(name);
+      } catch (e) {
+        log('warn', `notify: sink ${name} failed: ${e && e.message ? e.message : e}`);
+      }
+    }));
+    return delivered;
+  }
+
+  function flushGroup(index) {
+    const g = groups.get(index);
+    if (!g) return Promise.resolve([]);
+    groups.delete(index);
+    clearTimeout(g.timer);
+    return deliver(config.routes[index].sinks, summarize(g.events));
+  }
+
+  function matches(route, event) {
+    if (!route.events.includes(event.event)) return false;
+    if (route.status && !route.status.includes(event.status)) return false;
+    if (route.projects && !route.projects.includes(event.project)) return false;
+    return true;
+  }
+
+  const api = {
+    async route(event) {
+      const result = { delivered: [], queued: [], suppressed: [] };
+      const quiet = inQuietHours(config.quiet_hours, now());
+      const sends = [];
+      config.routes.forEach((route, index) => {
+        if (!matches(route, event)) return;
+        if (quiet && !route.during_quiet_hours) {
+          result.suppressed.push({ sinks: route.sinks, reason: 'quiet-hours' });
+          return;
+        }
+        const idleMin = route.idle_minutes !== null ? route.idle_minutes : config.idle_minutes;
+        if (idleMin > 0) {
+          const idle = idleMs();
+          if (idle !== null && idle < idleMin * 60000) {
+            result.suppressed.push({ sinks: route.sinks, reason: 'terminal-active' });
+            return;
+          }
+        }
+        if (route.group_ms > 0) {
+          let g = groups.get(index);
+          if (!g) {
+            g = { events: [], timer: setTimeout(() => { flushGroup(index); }, route.group_ms) };
+            if (g.timer.unref) g.timer.unref();
+            groups.set(index, g);
+          }
+          g.events.push(event);
+          result.queued.push(...route.sinks);
+          return;
+        }
+        sends.push(deliver(route.sinks, event));
+      });
+      for (const delivered of await Promise.all(sends)) result.delivered.push(...delivered);
+      return result;
+    },
+
+    notify(event) {
+      api.route(event).catch(() => {});
+    },
+
+    async close() {
+      await Promise.all([...groups.keys()].map((index) => flushGroup(index)));
+    },
+  };
+  return api;
+}
+
+module.exports = {
+  loadNotifyConfig,
+  loadProjectNotifyConfig,
+  createRouter,
+  inQuietHours,
+  ttyIdleMs,
+  SINK_TYPES,
+  EVENTS,
+};
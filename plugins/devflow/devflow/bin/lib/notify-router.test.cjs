@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Tests for lib/notify-router.cjs — notification sinks + routing.
+ *
+ *   NR-1: no daemon.notify block → legacy desktop routes from the 20-01 flags
+ *   NR-2: invalid sinks / routes / quiet hours are dropped and reported
+ *   NR-3: routes match on event, status and project; each sink gets the event
+ *   NR-4: quiet hours (wrapping midnight) suppress unless during_quiet_hours
+ *   NR-5: idle policy — an active terminal suppresses; unknown idle delivers
+ *   NR-6: group_ms sends one summary per window; close() flushes early
+ *   NR-7: terminal sink writes BEL or a sanitised OSC 9 to the tty
+ *   NR-8: webhook sink POSTs JSON to loopback only; a failing sink doesn't
+ *         stop the others
+ *   NR-9: desktop sink goes through notifier.cjs; notify() returns at once
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const router = require('./notify-router.cjs');
+const notifier = require('./notifier.cjs');
+
+let dir;
+let sinkFile;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-notify-'));
+  sinkFile = path.join(dir, 'notify.jsonl');
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function readSink(file = sinkFile) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+}
+
+function config(notify) {
+  return router.loadNotifyConfig({ notify: { sinks: { log: { type: 'file', path: sinkFile } }, ...notify } });
+}
+
+function at(hh, mm) {
+  return () => new Date(2026, 9, 19, hh, mm);
+}
+
+const complete = (id, status = 'done', extra = {}) => ({
+  event: 'complete', title: 'DevFlow Watch', body: `completed ${id}`, id, status, project: '/p', ...extra,
+});
+
+describe('notify-router', () => {
+  test('NR-1: no daemon.notify block → legacy desktop routes from the 20-01 flags', () => {
+    assert.deepStrictEqual(router.loadNotifyConfig(null).routes.map((r) => r.events), [['decision']]);
+    const on = router.loadNotifyConfig({ notifications: true, notify_on_start: false });
+    assert.deepStrictEqual(on.sinks, { desktop: { type: 'desktop' } });
+    assert.deepStrictEqual(on.routes.map((r) => [r.events, r.sinks]), [[['decision'], ['desktop']], [['complete'], ['desktop']]]);
+    assert.deepStrictEqual(on.errors, []);
+  });
+
+  test('NR-2: invalid sinks / routes / quiet hours are dropped and reported', () => {
+    const c = router.loadNotifyConfig({
+      notify: {
+        sinks: { log: { type: 'file', path: sinkFile }, pager: { type: 'sms' } },
+        routes: [
+          { events: ['complete'], sinks: ['log'] },
+          { events: ['finish'], sinks: ['log'] },
+          { events: ['start'], sinks: ['pager'] },
+          { events: ['start'] },
+        ],
+        quiet_hours: { start: '25:00', end: '07:00' },
+      },
+    });
+    assert.deepStrictEqual(Object.keys(c.sinks), ['log']);
+    assert.equal(c.routes.length, 1);
+    assert.equal(c.quiet_hours, null);
+    assert.deepStrictEqual(c.errors.map((e) => e.where), ['sinks.pager', 'routes[1]', 'routes[2]', 'routes[3]', 'quiet_hours']);
+    assert.match(c.errors[1].message, /got finish/);
+    assert.match(c.errors[2].message, /unknown: pager/);
+  });
+
+  test('NR-3: routes match on event, status and project; each sink gets the event', async () => {
+    const other = path.join(dir, 'other.jsonl');
+    const r = router.createRouter(router.loadNotifyConfig({
+      notify: {
+        sinks: { log: { type: 'file', path: sinkFile }, fail: { type: 'file', path: other } },
+        routes: [
+          { events: ['complete'], sinks: ['log'] },
+          { events: ['complete'], status: ['failed', 'timeout'], projects: ['/p'], sinks: ['fail'] },
+        ],
+      },
+    }));
+    assert.deepStrictEqual(await r.route(complete('h-1')), { delivered: ['log'], queued: [], suppressed: [] });
+    assert.deepStrictEqual((await r.route(complete('h-2', 'failed'))).delivered.sort(), ['fail', 'log']);
+    await r.route(complete('h-3', 'failed', { project: '/q' }));
+    assert.deepStrictEqual((await r.route({ event: 'start', id: 'h-4' })).delivered, []);
+    assert.deepStrictEqual(readSink().map((e) => e.id), ['h-1', 'h-2', 'h-3']);
+    assert.deepStrictEqual(readSink(other).map((e) => [e.id, e.status]), [['h-2', 'failed']]);
+  });
+
+  test('NR-4: quiet hours (wrapping midnight) suppress unless during_quiet_hours', async () => {
+    const c = config({
+      routes: [
+        { events: ['complete'], sinks: ['log'] },
+        { events: ['decision'], sinks: ['log'], during_quiet_hours: true },
+      ],
+      quiet_hours: { start: '22:00', end: '07:00' },
+    });
+    assert.equal(router.inQuietHours(c.quiet_hours, at(23, 30)()), true);
+    assert.equal(router.inQuietHours(c.quiet_hours, at(6, 59)()), true);
+    assert.equal(router.inQuietHours(c.quiet_hours, at(7, 0)()), false);
+    assert.equal(router.inQuietHours({ start: 60, end: 120 }, at(1, 30)()), true);
+
+    const night = router.createRouter(c, { now: at(23, 30) });
+    assert.deepStrictEqual((await night.route(complete('h-1'))).suppressed, [{ sinks: ['log'], reason: 'quiet-hours' }]);
+    assert.deepStrictEqual((await night.route({ event: 'decision', id: 'DECISION-001' })).delivered, ['log']);
+    const day = router.createRouter(c, { now: at(12, 0) });
+    assert.deepStrictEqual((await day.route(complete('h-2'))).delivered, ['log']);
+    assert.deepStrictEqual(readSink().map((e) => e.id), ['DECISION-001', 'h-2']);
+  });
+
+  test('NR-5: idle policy — an active terminal suppresses; unknown idle delivers', async () => {
+    const c = config({
+      routes: [
+        { events: ['complete'], sinks: ['log'] },
+        { events: ['decision'], sinks: ['log'], idle_minutes: 0 },
+      ],
+      idle_minutes: 5,
+    });
+    let idle = 60000;
+    const r = router.createRouter(c, { idleMs: () => idle });
+    assert.deepStrictEqual((await r.route(complete('h-1'))).suppressed, [{ sinks: ['log'], reason: 'terminal-active' }]);
+    assert.deepStrictEqual((await r.route({ event: 'decision', id: 'DECISION-001' })).delivered, ['log'], 'route opts out');
+    idle = 6 * 60000;
+    assert.deepStrictEqual((await r.route(complete('h-2'))).delivered, ['log']);
+    idle = null;
+    assert.deepStrictEqual((await r.route(complete('h-3'))).delivered, ['log']);
+
+    const tty = path.join(dir, 'tty');
+    fs.writeFileSync(tty, '');
+    const tenMinAgo = (Date.now() - 10 * 60000) / 1000;
+    fs.utimesSync(tty, tenMinAgo, tenMinAgo);
+    assert.ok(Math.abs(router.ttyIdleMs(tty) - 10 * 60000) < 5000);
+    assert.equal(router.ttyIdleMs(path.join(dir, 'no-tty')), null);
+  });
+
+  test('NR-6: group_ms sends one summary per window; close() flushes early', async () => {
+    const r = router.createRouter(config({ routes: [{ events: ['complete'], sinks: ['log'], group_ms: 40 }] }));
+    assert.deepStrictEqual(await r.route(complete('h-1')), { delivered: [], queued: ['log'], suppressed: [] });
+    await r.route(complete('h-2', 'failed'));
+    await new Promise((res) => setTimeout(res, 100));
+    const [summary] = readSink();
+    assert.equal(readSink().length, 1);
+    assert.equal(summary.body, '2 handoffs finished: h-1 (done), h-2 (failed)');
+    assert.deepStrictEqual(summary.ids, ['h-1', 'h-2']);
+
+    await r.route(complete('h-3'));
+    await r.close();
+    assert.deepStrictEqual(readSink().map((e) => e.id || e.ids), [['h-1', 'h-2'], 'h-3'], 'a lone event is sent as-is');
+  });
+
+  test('NR-7: terminal sink writes BEL or a sanitised OSC 9 to the tty', async () => {
+    const tty = path.join(dir, 'tty');
+    fs.writeFileSync(tty, '');
+    const r = router.createRouter(router.loadNotifyConfig({
+      notify: {
+        sinks: { bell: { type: 'terminal' }, osc: { type: 'terminal', osc9: true } },
+        routes: [{ events: ['complete'], sinks: ['bell'] }, { events: ['decision'], sinks: ['osc'] }],
+        tty,
+      },
+    }));
+    await r.route(complete('h-1'));
+    await r.route({ event: 'decision', title: 'DevFlow', body: 'pick\x1b]0;pwned\x07 one' });
+    assert.equal(fs.readFileSync(tty, 'utf8'), '\x07\x1b]9;DevFlow: pick ]0;pwned  one\x07');
+
+    const logs = [];
+    router.createRouter(router.loadNotifyConfig({
+      notify: { sinks: { bell: { type: 'terminal' } }, routes: [{ events: ['complete'], sinks: ['bell'] }], tty: '' },
+    }), { log: (level, msg) => logs.push(msg) });
+    assert.match(logs[0], /sink bell disabled: terminal sink needs a tty/);
+  });
+
+  test('NR-8: webhook sink POSTs JSON to loopback only; a failing sink doesn\'t stop the others', async () => {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+      let b = '';
+      req.on('data', (d) => { b += d; });
+      req.on('end', () => { bodies.push(JSON.parse(b)); res.writeHead(req.url === '/fail' ? 500 : 204); res.end(); });
+    });
+    await new Promise((res) => server.listen(0, '127.0.0.1', res));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const logs = [];
+    try {
+      const r = router.createRouter(router.loadNotifyConfig({
+        notify: {
+          sinks: {
+            hook: { type: 'webhook', url: `${base}/notify` },
+            broken: { type: 'webhook', url: `${base}/fail` },
+            remote: { type: 'webhook', url: 'https://example.com/notify' },
+            log: { type: 'file', path: sinkFile },
+          },
+          routes: [{ events: ['complete'], sinks: ['hook', 'broken', 'remote', 'log'] }],
+        },
+      }), { log: (level, msg) => logs.push(msg) });
+      const res = await r.route(complete('h-1'));
+      assert.deepStrictEqual(res.delivered.sort(), ['hook', 'log']);
+      assert.equal(bodies.length, 2);
+      assert.equal(bodies[0].id, 'h-1');
+      assert.equal(bodies[0].event, 'complete');
+      assert.ok(logs.some((m) => /sink remote disabled: .*loopback/.test(m)));
+      assert.ok(logs.some((m) => /sink broken failed: webhook answered 500/.test(m)));
+    } finally {
+      server.close();
+    }
+  });
+
+  test('NR-9: desktop sink goes through notifier.cjs; notify() returns at once', async () => {
+    const calls = [];
+    const prevDisable = process.env.NOTIFIER_DISABLE;
+    const prevPlat = process.env.NOTIFIER_PLATFORM_OVERRIDE;
+    delete process.env.NOTIFIER_DISABLE;
+    process.env.NOTIFIER_PLATFORM_OVERRIDE = 'linux';
+    notifier._setRunExec(async (cmd, args) => { calls.push([cmd, args]); return { stdout: '', stderr: '' }; });
+    try {
+      const r = router.createRouter(router.loadNotifyConfig({ notifications: true }));
+      assert.equal(r.notify({ event: 'start', title: 'DevFlow Watch', body: 'dispatching h-1: gh auth login' }), undefined);
+      await new Promise((res) => setTimeout(res, 20));
+      assert.deepStrictEqual(calls, [['notify-send', ['DevFlow Watch', 'dispatching h-1: gh auth login']]]);
+    } finally {
+      notifier._resetMocks();
+      if (prevDisable !== undefined) process.env.NOTIFIER_DISABLE = prevDisable;
+      if (prevPlat === undefined) delete process.env.NOTIFIER_PLATFORM_OVERRIDE;
+      else process.env.NOTIFIER_PLATFORM_OVERRIDE = prevPlat;
+    }
+  });
+});
@@ -4,7 +4,7 @@
  * Planning-time org-awareness scanner.
  *
  * Surfaces three signals into CONTEXT.md's `## Cross-Repo Considerations` section:
- *   1. Sibling repos in ~/Source/    (this TRD: scanSiblings)
+ *   1. Sibling repos under the source roots, default ~/Source/ (scanSiblings)
  *   2. eden-libs reuse candidates    (TRD 03-02: scanLibs)
  *   3. Org Project overlap           (TRD 03-03: scanOrgOverlap)
  * Markdown rendering: TRD 03-04 (formatConsiderations).
@@ -25,12 +25,14 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { extractFrontmatter } = require('./frontmatter.cjs');
+const sim = require('./similarity.cjs');
 
 // ─── TRD 03-01: Constants ─────────────────────────────────────────────────────
 
 const TOP_N = 3;
 const SUMMARY_RECENCY_DAYS = 90;
 const DEFAULT_SIBLING_GLOB = '~/Source/*/';
+const DEFAULT_SOURCE_ROOTS = ['~/Source'];
 const DEFAULT_EDEN_LIBS_PATH = '~/Source/eden-libs';
 
 const STOP_WORDS = new Set([
@@ -87,6 +89,7 @@ function _tokenize(text) {
  *
  * Formula: |a ∩ b| / max(|a|, |b|) → [0, 1]
  * Avoids divide-by-zero when either set is empty (returns 0).
+ * scanSiblings now scores with similarity.cjs; kept for callers with token sets.
  *
  * @param {Set<string>} a
  * @param {Set<string>} b
@@ -137,26 +140,90 @@ function _normalizeObjNum(s) {
 
 // ─── TRD 03-01: Sibling repo discovery ───────────────────────────────────────
 
+/**
+ * Compile an include/exclude glob. `*` and `?` stay inside one path segment,
+ * `**` crosses segments. Globs without a slash match the directory name;
+ * globs with one match the full (home-expanded) path.
+ *
+ * @param {string} glob
+ * @returns {{ re: RegExp, full: boolean }}
+ */
+function _globToRegExp(glob) {
+  const g = _expandHome(String(glob));
+  let src = '';
+  for (let i = 0; i < g.length; i++) {
+    const c = g[i];
+    if (c === '*' && g[i + 1] === '*') { src += '.*'; i++; }
+    else if (c === '*') src += '[^/]*';
+    else if (c === '?') src += '[^/]';
+    else src += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return { re: new RegExp(`^${src}$`), full: g.includes('/') };
+}
+
+function _globMatches(compiled, p) {
+  return compiled.some(({ re, full }) => re.test(full ? p : path.basename(p)));
+}
+
+/**
+ * Sibling discovery settings from .planning/config.json (awareness block).
+ * Missing or malformed config yields {}.
+ *
+ * @param {string} cwd
+ * @returns {{ source_roots?: string[], include?: string[], exclude?: string[] }}
+ */
+function _readSiblingConfig(cwd) {
+  const configPath = path.join(cwd, '.planning', 'config.json');
+  if (!_runFs.existsSync(configPath)) return {};
+  try {
+    const cfg = JSON.parse(_runFs.readFileSync(configPath, 'utf-8'));
+    const aw = (cfg && cfg.awareness) || {};
+    const out = {};
+    if (Array.isArray(aw.source_roots) && aw.source_roots.length > 0) out.source_roots = aw.source_roots;
+    if (Array.isArray(aw.sibling_include)) out.include = aw.sibling_include;
+    if (Array.isArray(aw.sibling_exclude)) out.exclude = aw.sibling_exclude;
+    return out;
+  } catch {
+    return {};
+  }
+}
+
 /**
  * Discover candidate sibling repo paths.
  *
  * Returns { paths: string[], warnings: string[] }.
  *
- * Default: walks ~/Source/ (glob: star-slash) for dirs with both .git and .planning.
- * Configured: awareness.sibling_repos in config.json replaces default entirely.
+ * Default: walks every source root one level deep (default ~/Source) for dirs
+ * with both .git and .planning, keeping names that match an include glob (if
+ * any) and no exclude glob. Roots and globs come from opts, else from
+ * awareness.source_roots / sibling_include / sibling_exclude in config.json.
+ * Configured: awareness.sibling_repos in config.json replaces the walk
+ * entirely (globs do not apply to explicitly listed repos).
  *
- * The current repo (cwd) is always excluded.
+ * The current repo (cwd) is always excluded, as is a repo reachable from two
+ * roots more than once.
  *
  * @param {object} opts
  * @param {string}   opts.cwd             - current repo path (excluded from results)
- * @param {string[]|null} opts.config_paths - configured sibling paths (null = use default)
+ * @param {string[]|null} opts.config_paths - configured sibling paths (null = walk source roots)
+ * @param {string[]|null} [opts.source_roots] - roots to walk (null = config, then DEFAULT_SOURCE_ROOTS)
+ * @param {string[]|null} [opts.include]  - keep only matching repos (null = config; empty = all)
+ * @param {string[]|null} [opts.exclude]  - drop matching repos (null = config; empty = none)
  * @returns {{ paths: string[], warnings: string[] }}
  */
-function _discoverSiblings({ cwd = process.cwd(), config_paths = null } = {}) {
+function _discoverSiblings({
+  cwd = process.cwd(),
+  config_paths = null,
+  source_roots = null,
+  include = null,
+  exclude = null,
+} = {}) {
   const out = { paths: [], warnings: [] };
   const currentRepoAbs = path.resolve(cwd);
 
   let candidatePaths = [];
+  let includeGlobs = [];
+  let excludeGlobs = [];
 
   if (Array.isArray(config_paths) && config_paths.length > 0) {
     // Configured paths REPLACE default (no merge) — per locked decision #5
@@ -169,27 +236,40 @@ function _discoverSiblings({ cwd = process.cwd(), config_paths = null } = {}) {
       candidatePaths.push(expanded);
     }
   } else {
-    // Default: walk ~/Source/*/ — readdir the parent
-    const sourceRoot = _expandHome('~/Source');
-    if (!_runFs.existsSync(sourceRoot)) {
-      out.warnings.push(`default sibling root not found: ${sourceRoot}`);
-      return out;
-    }
-    let entries;
-    try {
-      entries = _runFs.readdirSync(sourceRoot);
-    } catch (e) {
-      out.warnings.push(`readdir failed for ${sourceRoot}: ${e.message}`);
-      return out;
-    }
-    for (const name of entries) {
-      candidatePaths.push(path.join(sourceRoot, name));
+    const cfg = _readSiblingConfig(cwd);
+    const roots = source_roots || cfg.source_roots || null;
+    includeGlobs = (include || cfg.include || []).map(_globToRegExp);
+    excludeGlobs = (exclude || cfg.exclude || []).map(_globToRegExp);
+
+    // Walk each <root>/*/ — readdir the parent
+    for (const root of (roots || DEFAULT_SOURCE_ROOTS)) {
+      const sourceRoot = _expandHome(root);
+      if (!_runFs.existsSync(sourceRoot)) {
+        out.warnings.push(`${roots ? 'sibling source root' : 'default sibling root'} not found: ${sourceRoot}`);
+        continue;
+      }
+      let entries;
+      try {
+        entries = _runFs.readdirSync(sourceRoot);
+      } catch (e) {
+        out.warnings.push(`readdir failed for ${sourceRoot}: ${e.message}`);
+        continue;
+      }
+      for (const name of entries) {
+        candidatePaths.push(path.join(sourceRoot, name));
+      }
     }
   }
 
+  const seen = new Set();
   for (const p of candidatePaths) {
-    // Exclude current repo
-    if (path.resolve(p) === currentRepoAbs) continue;
+    const abs = path.resolve(p);
+    // Exclude current repo, and repos already reached through another root
+    if (abs === currentRepoAbs || seen.has(abs)) continue;
+
+    // Include / exclude globs (source-root walk only)
+    if (includeGlobs.length > 0 && !_globMatches(includeGlobs, p)) continue;
+    if (excludeGlobs.length > 0 && _globMatches(excludeGlobs, p)) continue;
 
     // Must be a directory
     try {
@@ -204,6 +284,7 @@ function _discoverSiblings({ cwd = process.cwd(), config_paths = null } = {}) {
     // Must have .planning (is a DevFlow project)
     if (!_runFs.existsSync(path.join(p, '.planning'))) continue;
 
+    seen.add(abs);
     out.paths.push(p);
   }
 
@@ -302,63 +383,57 @@ function _readRecentSummaries(repoPath, recencyMs = SUMMARY_RECENCY_DAYS * 86400
 // ─── TRD 03-01: Current objective token extraction ───────────────────────────
 
 /**
- * Extract tokens for the current objective being planned.
+ * Extract the text of the current objective being planned.
  *
  * Tries:
  *   1. OBJECTIVE.md frontmatter title + body (first 2000 chars)
- *   2. Falls back to objective_id slug tokens
+ *   2. Falls back to the objective_id slug
  *
  * Per CONTEXT.md §"Gotchas": if OBJECTIVE.md absent, uses slug — does not throw.
  *
  * @param {string} objective_id
  * @param {string} cwd
- * @returns {Set<string>}
+ * @returns {string}
  */
-function _readCurrentObjectiveTokens(objective_id, cwd) {
-  const tokens = new Set();
-
-  // Always include tokens from the objective_id slug
-  for (const t of _tokenize(objective_id)) tokens.add(t);
+function _readCurrentObjectiveText(objective_id, cwd) {
+  // Always include the objective_id slug
+  const parts = [String(objective_id)];
 
   // Try to find the objective's directory
   const objsDir = path.join(cwd, '.planning', 'objectives');
-  if (!_runFs.existsSync(objsDir)) return tokens;
+  if (!_runFs.existsSync(objsDir)) return parts.join('\n');
 
   let objs;
   try {
     objs = _runFs.readdirSync(objsDir);
   } catch {
-    return tokens;
+    return parts.join('\n');
   }
 
   // Find the matching objective directory
   const matching = objs.find(
     (n) => n.startsWith(`${objective_id}-`) || n === objective_id,
   );
-  if (!matching) return tokens;
+  if (!matching) return parts.join('\n');
 
   // Try to read OBJECTIVE.md
   const objMdPath = path.join(objsDir, matching, 'OBJECTIVE.md');
-  if (!_runFs.existsSync(objMdPath)) return tokens;
+  if (!_runFs.existsSync(objMdPath)) return parts.join('\n');
 
   try {
     const content = _runFs.readFileSync(objMdPath, 'utf-8');
     // extractFrontmatter returns the parsed frontmatter object directly
     const frontmatter = extractFrontmatter(content);
-    if (frontmatter && frontmatter.title) {
-      for (const t of _tokenize(frontmatter.title)) tokens.add(t);
-    }
+    if (frontmatter && frontmatter.title) parts.push(String(frontmatter.title));
     // Extract body text: everything after the closing --- of frontmatter
     const bodyMatch = content.match(/^---\n[\s\S]*?\n---\n([\s\S]*)$/);
     const body = bodyMatch ? bodyMatch[1] : content;
-    if (body) {
-      for (const t of _tokenize(body.slice(0, 2000))) tokens.add(t);
-    }
+    if (body) parts.push(body.slice(0, 2000));
   } catch {
-    // swallow — fallback tokens from slug are sufficient
+    // swallow — the slug is sufficient
   }
 
-  return tokens;
+  return parts.join('\n');
 }
 
 // ─── TRD 03-01: scanSiblings ─────────────────────────────────────────────────
@@ -380,6 +455,12 @@ function _readCurrentObjectiveTokens(objective_id, cwd) {
  *     scanned_repos: number,
  *   }
  *
+ * Score is the best similarity.cjs BM25 cosine between the current
+ * objective's text and any of the sibling's recent SUMMARY.md files or its
+ * PROJECT.md. The index is built over every scanned sibling's documents, so
+ * words common to all of them weigh little; synonyms come from the current
+ * repo's .planning/GLOSSARY.md.
+ *
  * Top-N by score desc, tie-break by best_summary_mtime desc.
  * Results truncated to TOP_N (3).
  *
@@ -394,8 +475,8 @@ function scanSiblings({ objective_id, cwd = process.cwd(), config_paths = null }
 
   const out = { matches: [], warnings: [], scanned_repos: 0 };
 
-  // Get current objective tokens (for scoring against siblings)
-  const currentTokens = _readCurrentObjectiveTokens(objective_id, cwd);
+  // Get current objective text (for scoring against siblings)
+  const currentText = _readCurrentObjectiveText(objective_id, cwd);
 
   // Get current repo's org (for filtering)
   const currentProject = _readProjectMd(cwd);
@@ -409,6 +490,7 @@ function scanSiblings({ objective_id, cwd = process.cwd(), config_paths = null }
     out.warnings.push('no sibling repos discovered');
   }
 
+  const scanned = [];
   for (const siblingPath of disc.paths) {
     const sibProj = _readProjectMd(siblingPath);
 
@@ -430,20 +512,38 @@ function scanSiblings({ objective_id, cwd = process.cwd(), config_paths = null }
     const recents = _readRecentSummaries(siblingPath);
     out.warnings.push(...recents.warnings);
 
-    // Score: best token overlap across all recent summaries
+    let projectText = '';
+    try {
+      projectText = _runFs.readFileSync(path.join(siblingPath, '.planning', 'PROJECT.md'), 'utf-8');
+    } catch {
+      projectText = '';
+    }
+    scanned.push({ siblingPath, recents, projectText });
+  }
+
+  const docs = [];
+  for (const s of scanned) {
+    docs.push({ id: `project:${s.siblingPath}`, text: s.projectText });
+    for (const item of s.recents.items) docs.push({ id: item.path, text: item.body });
+  }
+  const index = sim.createIndex(docs, { glossary: sim.loadGlossary(cwd, _runFs) });
+  const similarity = (text) => index.compare(currentText, text).score;
+
+  for (const { siblingPath, recents, projectText } of scanned) {
+    // Score: best similarity across all recent summaries (and PROJECT.md)
     let bestScore = 0;
     let bestObj = null;
     let bestMtime = 0;
 
     for (const item of recents.items) {
-      const tokens = _tokenize(item.body);
-      const score = _score(currentTokens, tokens);
+      const score = similarity(item.body);
       if (score > bestScore || (score === bestScore && item.mtime > bestMtime)) {
         bestScore = score;
         bestObj = item.obj;
         bestMtime = item.mtime;
       }
     }
+    bestScore = Math.max(bestScore, similarity(projectText));
 
     out.matches.push({
       repo: path.basename(siblingPath),
@@ -1291,6 +1391,7 @@ module.exports = {
   // Internal helpers (exposed for tests):
   _tokenize,
   _score,
+  _discoverSiblings,
   _camelSplit,
   _parseExports,
   _resolveEdenLibsPath,
@@ -1308,5 +1409,6 @@ module.exports = {
   TOP_N,
   SUMMARY_RECENCY_DAYS,
   DEFAULT_SIBLING_GLOB,
+  DEFAULT_SOURCE_ROOTS,
   DEFAULT_EDEN_LIBS_PATH,
 };
@@ -437,6 +437,62 @@ test('D8 — sibling without org, current HAS org → EXCLUDED', () => {
   }
 });
 
+test('D9 — several source roots walked; include/exclude globs filter by name or full path', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'disc-d9-'));
+  const mkRepo = (p) => {
+    fs.mkdirSync(path.join(p, '.git'), { recursive: true });
+    fs.mkdirSync(path.join(p, '.planning'), { recursive: true });
+  };
+  try {
+    const source = path.join(tmp, 'Source');
+    const code = path.join(tmp, 'code');
+    for (const name of ['svc-api', 'svc-web', 'legacy-x']) mkRepo(path.join(source, name));
+    mkRepo(path.join(code, 'svc-billing'));
+    mkRepo(path.join(code, 'svc-api-old'));
+    const missing = path.join(tmp, 'nope');
+
+    const r = oa._discoverSiblings({
+      cwd: path.join(source, 'svc-api'),
+      source_roots: [source, code, missing],
+      include: ['svc-*'],
+      exclude: ['*-web', `${code}/*-old`],
+    });
+    assert.deepStrictEqual(r.paths.map(p => path.relative(tmp, p)).sort(), ['code/svc-billing']);
+    assert.deepStrictEqual(r.warnings, [`sibling source root not found: ${missing}`]);
+
+    // ** crosses path segments; empty globs keep everything
+    const all = oa._discoverSiblings({ cwd: tmp, source_roots: [source, code], include: [], exclude: [`${tmp}/**/legacy-?`] });
+    assert.strictEqual(all.paths.length, 4);
+    assert.ok(!all.paths.some(p => p.endsWith('legacy-x')));
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('D10 — source_roots / sibling_include / sibling_exclude read from config.json; sibling_repos still wins', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'disc-d10-'));
+  try {
+    const code = path.join(tmp, 'code');
+    for (const name of ['alpha', 'beta', 'scratch-1']) {
+      fs.mkdirSync(path.join(code, name, '.git'), { recursive: true });
+      fs.mkdirSync(path.join(code, name, '.planning'), { recursive: true });
+    }
+    const cwd = path.join(code, 'alpha');
+    fs.writeFileSync(path.join(cwd, '.planning', 'config.json'), JSON.stringify({
+      awareness: { source_roots: [code], sibling_exclude: ['scratch-*'] },
+    }));
+    assert.deepStrictEqual(oa._discoverSiblings({ cwd }).paths, [path.join(code, 'beta')]);
+
+    // Explicit opts override config; configured sibling_repos skip the walk and the globs
+    assert.deepStrictEqual(oa._discoverSiblings({ cwd, exclude: [] }).paths.map(p => path.basename(p)).sort(),
+      ['beta', 'scratch-1']);
+    assert.deepStrictEqual(oa._discoverSiblings({ cwd, config_paths: [path.join(code, 'scratch-1')] }).paths,
+      [path.join(code, 'scratch-1')]);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
 // ─── Group S — scanSiblings end-to-end ────────────────────────────────────────
 
 test('S1 — happy path: 2 siblings sorted by score descending', () => {
@@ -767,6 +823,47 @@ test('S8 — current OBJECTIVE.md absent: uses objective slug as token source, d
   }
 });
 
+test('S9 — similarity scoring: glossary synonyms and PROJECT.md count; shared boilerplate does not', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-s9-'));
+  try {
+    // sibling-notify: says "alert", the current objective says "notification"
+    const sibNotify = fix.buildSiblingRepoTree({
+      tmpdir: tmp,
+      name: 'sibling-notify',
+      objectives: [{ id: '01-alerts', summary_content: 'devflow plugin desktop alert routing shipped' }],
+    });
+    // sibling-project: no recent summaries, but its PROJECT.md describes the same work
+    const sibProject = fix.buildSiblingRepoTree({ tmpdir: tmp, name: 'sibling-project', objectives: [] });
+    fs.appendFileSync(path.join(sibProject.root, '.planning', 'PROJECT.md'), '\nDesktop notification routing for every repo.\n');
+    // sibling-boiler: shares only the words every summary has
+    const sibBoiler = fix.buildSiblingRepoTree({
+      tmpdir: tmp,
+      name: 'sibling-boiler',
+      objectives: [{ id: '01-billing', summary_content: 'devflow plugin billing invoices shipped' }],
+    });
+
+    const currentCwd = path.join(tmp, 'current');
+    fs.mkdirSync(path.join(currentCwd, '.planning'), { recursive: true });
+    fs.writeFileSync(path.join(currentCwd, '.planning', 'PROJECT.md'), `---\norg: AO-Cyber-Systems\nkind: api\n---\n# current\n`, 'utf-8');
+    fs.writeFileSync(path.join(currentCwd, '.planning', 'GLOSSARY.md'), '- notification: alert\n', 'utf-8');
+
+    const result = oa.scanSiblings({
+      objective_id: 'desktop-notification-routing',
+      cwd: currentCwd,
+      config_paths: [sibBoiler.root, sibNotify.root, sibProject.root],
+    });
+
+    const byRepo = Object.fromEntries(result.matches.map((m) => [m.repo, m]));
+    assert.deepStrictEqual(result.matches.map((m) => m.repo).slice(0, 2).sort(), ['sibling-notify', 'sibling-project']);
+    assert.strictEqual(byRepo['sibling-notify'].best_objective, '01-alerts');
+    assert.strictEqual(byRepo['sibling-project'].best_objective, null);
+    assert.ok(byRepo['sibling-project'].score > 0, 'PROJECT.md text should score');
+    assert.ok(byRepo['sibling-boiler'].score < byRepo['sibling-notify'].score);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
 // ─── Group F — fixture builder sanity ────────────────────────────────────────
 
 test('F1 — buildSiblingRepoTree creates expected directory layout', () => {
@@ -2067,10 +2164,10 @@ test('CLI4-4 — under mocked GhAuthError on scanOrg, considerations CLI returns
 // ─── TRD 03-07 tests ──────────────────────────────────────────────────────────
 
 // Group EX — export lock
-test('EX1 — module.exports surface is locked at 23 entries', () => {
+test('EX1 — module.exports surface is locked at 25 entries', () => {
   const expected = [
-    'DEFAULT_EDEN_LIBS_PATH', 'DEFAULT_SIBLING_GLOB', 'SUMMARY_RECENCY_DAYS', 'TOP_N',
-    '_camelSplit', '_detectMisfiling', '_extractRepoFromRef', '_normalizeObjNum',
+    'DEFAULT_EDEN_LIBS_PATH', 'DEFAULT_SIBLING_GLOB', 'DEFAULT_SOURCE_ROOTS', 'SUMMARY_RECENCY_DAYS', 'TOP_N',
+    '_camelSplit', '_detectMisfiling', '_discoverSiblings', '_extractRepoFromRef', '_normalizeObjNum',
     '_parseExports',
     '_renderLibsSection', '_renderOrgSection', '_renderSiblingsSection',
     '_resetFsMock', '_resolveEdenLibsPath', '_score', '_scoreOrgItem',
@@ -2,8 +2,9 @@
 
 // PM (Project Management) backend dispatcher.
 //
-// v1.1 ships GitHub as the single implementation. The seam exists so v1.2+
-// can add Linear / Jira / etc. backends without rewriting call sites:
+// GitHub (lib/gh.cjs), Linear (lib/linear.cjs) and Jira (lib/jira.cjs) are
+// implemented. The seam exists so backends can be added without rewriting
+// call sites:
 //
 //   const pm = require('./pm-backend.cjs');
 //   const backend = pm.getBackend(config);
@@ -12,18 +13,19 @@
 // In v1.1, call sites continue to require('./gh.cjs') directly (back-compat).
 // The seam is available for v1.2 to wire in.
 //
-// Future config field (v1.2+): .planning/config.json
+// Config field: .planning/config.json
 //   { "pm": { "backend": "github" | "linear" | "jira" } }
 //
-// Unset → defaults to 'github'.
+// Unset → defaults to 'github'. Backend-specific settings live under
+// pm.<backend> (e.g. pm.linear.team) — see the backend module header.
 
-const VALID_BACKENDS = ['github']; // v1.2+ extends: 'linear', 'jira'
+const VALID_BACKENDS = ['github', 'linear', 'jira'];
 
 /**
  * Return the PM backend module for the given project config.
  *
  * @param {object|null} projectConfig  Parsed .planning/config.json (or null / {})
- * @returns {object}  The backend module (currently always lib/gh.cjs)
+ * @returns {object}  The backend module (lib/gh.cjs, lib/linear.cjs or lib/jira.cjs)
  * @throws {Error}    When projectConfig.pm.backend names an unsupported backend
  */
 function getBackend(projectConfig) {
@@ -32,14 +34,12 @@ function getBackend(projectConfig) {
     case 'github':
       return require('./gh.cjs');
     case 'linear':
+      return require('./linear.cjs');
     case 'jira':
-      throw new Error(
-        `PM backend '${pm}' is not implemented in v1.1 (devflow-claude). ` +
-          `Linear/Jira support is v1.2+ work — see ROADMAP.md §"Milestone v1.2".`
-      );
+      return require('./jira.cjs');
     default:
       throw new Error(
-        `Unknown pm.backend: '${pm}'. Valid: ${VALID_BACKENDS.join(', ')} (more in v1.2+).`
+        `Unknown pm.backend: '${pm}'. Valid: ${VALID_BACKENDS.join(', ')}.`
       );
   }
 }
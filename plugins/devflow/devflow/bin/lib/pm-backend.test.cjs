@@ -24,18 +24,28 @@ test('getBackend — explicit github returns gh.cjs module', () => {
   assert.strictEqual(typeof b.cmdGhResolve, 'function');
 });
 
-test('getBackend — linear throws with v1.2+ message', () => {
-  assert.throws(() => pm.getBackend({ pm: { backend: 'linear' } }), /v1\.2/);
+test('getBackend — linear returns linear.cjs module with the gh.cjs call surface', () => {
+  const b = pm.getBackend({ pm: { backend: 'linear' } });
+  assert.strictEqual(b, require('./linear.cjs'));
+  for (const fn of ['resolveChain', 'syncObjective', 'addToProject', 'linkSubIssue',
+    'upsertStickyComment', 'updateProjectFields', 'readIssueState']) {
+    assert.strictEqual(typeof b[fn], 'function', `linear backend exports ${fn}`);
+  }
 });
 
-test('getBackend — jira throws with v1.2+ message', () => {
-  assert.throws(() => pm.getBackend({ pm: { backend: 'jira' } }), /v1\.2/);
+test('getBackend — jira returns jira.cjs module with the gh.cjs call surface', () => {
+  const b = pm.getBackend({ pm: { backend: 'jira' } });
+  assert.strictEqual(b, require('./jira.cjs'));
+  for (const fn of ['resolveChain', 'syncObjective', 'addToProject', 'linkSubIssue',
+    'upsertStickyComment', 'updateProjectFields', 'readIssueState']) {
+    assert.strictEqual(typeof b[fn], 'function', `jira backend exports ${fn}`);
+  }
 });
 
 test('getBackend — unknown backend throws with name in message', () => {
   assert.throws(() => pm.getBackend({ pm: { backend: 'gitlab' } }), /gitlab/);
 });
 
-test('VALID_BACKENDS — v1.1 has only github', () => {
-  assert.deepStrictEqual(pm.VALID_BACKENDS, ['github']);
+test('VALID_BACKENDS — github, linear and jira', () => {
+  assert.deepStrictEqual(pm.VALID_BACKENDS, ['github', 'linear', 'jira']);
 });
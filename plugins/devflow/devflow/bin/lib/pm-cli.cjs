@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * PM sync CLI handlers (df-tools pm <subcommand>).
+ *
+ * Dispatches each verb to the active backend's `pmCommands` table, picked by
+ * pm-backend.getBackend() from .planning/config.json `pm.backend`. Every
+ * backend emits the same JSON shape per verb, so conflict.cjs and
+ * sync-state.cjs consume the results without knowing which tracker ran.
+ *
+ * `df-tools gh <subcommand>` is kept as an alias and routes through here too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { output, error } = require('./helpers.cjs');
+const { getBackend } = require('./pm-backend.cjs');
+
+const PM_VERBS = [
+  'status', 'sync', 'pull', 'sync-objectives', 'resolve', 'comment', 'close-issue', 'sync-release', 'flush', 'fields',
+];
+
+function readConfig(cwd) {
+  const cfgPath = path.join(cwd, '.planning', 'config.json');
+  if (!fs.existsSync(cfgPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(cfgPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Name of the configured backend ('github' when unset).
+ *
+ * @param {object|null} config
+ * @returns {string}
+ */
+function backendName(config) {
+  return (config && config.pm && config.pm.backend) || 'github';
+}
+
+/**
+ * Route `df-tools pm <verb> [args]` (or the `gh` alias) to the active backend.
+ *
+ * Verbs a backend does not implement (e.g. sync-release on Linear) emit
+ * `{ ok: false, skipped: true, reason }` rather than failing, matching the
+ * graceful-skip behaviour of the GitHub-disabled path.
+ *
+ * @param {string}   cwd
+ * @param {string[]} args       args after `pm` (args[0] is the verb)
+ * @param {boolean}  raw
+ * @param {string}   [command]  'pm' or 'gh' — used in error text and passed to
+ *                              the handler (gh sync-objectives keeps its old keys)
+ */
+function cmdPmRoute(cwd, args, raw, command = 'pm') {
+  const sub = args[0];
+  const rest = args.slice(1);
+
+  if (!sub || sub === '--help' || sub === '-h') {
+    process.stderr.write([
+      `Usage: df-tools ${command} <subcommand> [args]`,
+      '',
+      'Subcommands:',
+      '  status                              Backend auth + target summary',
+      '  sync [objectiveId]                  Push one objective (all when omitted)',
+      '  sync-objectives                     Push every ROADMAP objective',
+      '  pull <objectiveId> [--apply]        Compare tracker state with disk',
+      '  pull --all [--apply] [--policy=<file|spec>] [--interactive]',
+      '           [--since[=<iso>]]          Every synced objective in one report/pass',
+      '  pull --inbox [--apply]              Objectives queued by `devflow-watch webhook`',
+      '  resolve <objectiveId>               Resolve the objective\'s issue chain',
+      '  comment <issue|objective> <body|@file:path>',
+      '  close-issue <issue|objective> [comment]',
+      '  sync-release <tag> [--objectives]   GitHub only; --objectives builds notes from completed objectives',
+      '  flush [--force] [--dry-run]         Replay writes queued in .planning/.pm-outbox.jsonl',
+      '  fields [objectiveId...] [--apply]   Diff github.project_fields against the Project (GitHub only)',
+      '',
+      'Backend: .planning/config.json pm.backend (github | linear | jira; default github)',
+      '',
+    ].join('\n'));
+    process.exit(sub ? 0 : 1);
+    return;
+  }
+
+  if (!PM_VERBS.includes(sub)) {
+    error(`Unknown ${command} subcommand: ${sub}. Available: ${PM_VERBS.join(', ')}`);
+    return;
+  }
+
+  const config = readConfig(cwd);
+  let backend;
+  try {
+    backend = getBackend(config);
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+
+  // `sync` with no objective falls back to sync-objectives (all objectives).
+  const verb = sub === 'sync' && !rest[0] ? 'sync-objectives' : sub;
+  const handler = backend.pmCommands && backend.pmCommands[verb];
+  if (!handler) {
+    output({
+      ok: false,
+      skipped: true,
+      reason: `${verb} is not supported by the ${backendName(config)} backend`,
+    }, raw, '');
+    return;
+  }
+  return handler(cwd, rest, raw, command);
+}
+
+module.exports = {
+  cmdPmRoute,
+  PM_VERBS,
+};
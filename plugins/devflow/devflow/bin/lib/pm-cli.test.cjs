@@ -0,0 +1,259 @@
+'use strict';
+
+// Unit tests for lib/pm-cli.cjs — `df-tools pm` backend dispatch.
+//
+// Backends are driven in-process with their transport mocks (_setRunGh,
+// _setRunLinear, _setRunJira). GitHub's ghStatus() also probes `which gh`, so
+// the cross-backend shape test puts a no-op `gh` shim on PATH.
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { cmdPmRoute, PM_VERBS } = require('./pm-cli.cjs');
+const gh = require('./gh.cjs');
+const linear = require('./linear.cjs');
+const jira = require('./jira.cjs');
+const lfx = require('./__fixtures__/linear-fixtures.cjs');
+const jfx = require('./__fixtures__/jira-fixtures.cjs');
+
+const ENV_KEYS = ['LINEAR_API_KEY', 'JIRA_BASE_URL', 'JIRA_API_TOKEN', 'JIRA_EMAIL', 'PATH'];
+let savedEnv;
+let dir;
+
+beforeEach(() => {
+  savedEnv = {};
+  for (const k of ENV_KEYS) savedEnv[k] = process.env[k];
+  linear._resetCache();
+  jira._resetCache();
+});
+
+afterEach(() => {
+  gh._setRunGh(null);
+  linear._setRunLinear(null);
+  jira._setRunJira(null);
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+// process.exit throws so error() stops the route the way a real exit would.
+function captureCmd(fn) {
+  let stdout = '';
+  let stderr = '';
+  let exitCode = null;
+  const origOut = process.stdout.write.bind(process.stdout);
+  const origErr = process.stderr.write.bind(process.stderr);
+  const origExit = process.exit;
+  process.stdout.write = (c) => { stdout += c; return true; };
+  process.stderr.write = (c) => { stderr += c; return true; };
+  process.exit = (code) => { exitCode = code; throw new Error('__exit__'); };
+  try {
+    fn();
+  } catch (e) {
+    if (e.message !== '__exit__') throw e;
+  } finally {
+    process.stdout.write = origOut;
+    process.stderr.write = origErr;
+    process.exit = origExit;
+  }
+  return { stdout, stderr, exitCode };
+}
+
+const ROADMAP = [
+  '# Roadmap v1.2',
+  '',
+  '## Objective 1: PM command family',
+  '',
+  '**Goal:** One verb set for every tracker',
+  '',
+].join('\n');
+
+function makeProject(config, { roadmap = ROADMAP, mappings = {} } = {}) {
+  const d = fs.mkdtempSync(path.join(os.tmpdir(), 'df-pm-cli-test-'));
+  fs.mkdirSync(path.join(d, '.planning', 'objectives', '01-pm'), { recursive: true });
+  if (config) fs.writeFileSync(path.join(d, '.planning', 'config.json'), JSON.stringify(config));
+  fs.writeFileSync(path.join(d, '.planning', 'ROADMAP.md'), roadmap);
+  fs.writeFileSync(path.join(d, '.planning', 'objectives', '01-pm', 'OBJECTIVE.md'), '---\nwork: feature\n---\n\n# Objective\n');
+  for (const [name, data] of Object.entries(mappings)) {
+    fs.writeFileSync(path.join(d, '.planning', name), JSON.stringify(data));
+  }
+  return d;
+}
+
+function run(args, cwd, command) {
+  const out = captureCmd(() => cmdPmRoute(cwd, args, false, command));
+  return { ...out, json: out.stdout ? JSON.parse(out.stdout) : null };
+}
+
+const GITHUB_CONFIG = { github: { enabled: true, repo: 'acme/app' } };
+const LINEAR_CONFIG = { pm: { backend: 'linear', linear: { team: 'ENG' } } };
+const JIRA_CONFIG = { pm: { backend: 'jira', jira: { project: 'ENG' } } };
+
+function useLinearMock() {
+  process.env.LINEAR_API_KEY = 'lin_api_test';
+  const mock = lfx.buildMockRunLinear({
+    viewer: lfx.gqlData({ viewer: { id: 'u1', name: 'alice' } }),
+    teams: lfx.gqlData({ teams: { nodes: [lfx.buildTeam()] } }),
+    issueLabels: lfx.gqlData({ issueLabels: { nodes: [{ id: 'lbl-1', name: 'devflow:objective' }] } }),
+    issueCreate: lfx.gqlData({ issueCreate: { success: true, issue: { id: 'u-1', identifier: 'ENG-101', url: 'x' } } }),
+    issue: lfx.gqlData({ issue: { id: 'u-1' } }),
+    commentCreate: lfx.gqlData({ commentCreate: { success: true, comment: { id: 'c-1', url: 'https://linear.app/c-1' } } }),
+  });
+  linear._setRunLinear(mock);
+  return mock;
+}
+
+function useJiraMock() {
+  process.env.JIRA_BASE_URL = 'https://acme.atlassian.net';
+  process.env.JIRA_API_TOKEN = 'tok';
+  const mock = jfx.buildMockRunJira({
+    'GET /myself': jfx.jsonOk({ accountId: 'a1', displayName: 'alice' }),
+    'GET /project/ENG': jfx.jsonOk({ id: '10000', key: 'ENG' }),
+    'POST /issue': jfx.jsonOk({ id: '10101', key: 'ENG-101' }, 201),
+    'POST /issue/ENG-101/comment': jfx.jsonOk({ id: '9001' }, 201),
+  });
+  jira._setRunJira(mock);
+  return mock;
+}
+
+function useGhMock() {
+  // ghStatus() requires a `gh` binary on PATH; the mock handles every call.
+  const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'df-pm-cli-bin-'));
+  fs.writeFileSync(path.join(bin, 'gh'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+  process.env.PATH = `${bin}${path.delimiter}${process.env.PATH}`;
+  gh._setRunGh((args) => {
+    const cmd = args.slice(0, 2).join(' ');
+    if (cmd === 'issue create') return { ok: true, stdout: 'https://github.com/acme/app/issues/11\n', stderr: '' };
+    if (args[0] === 'api' && /milestones$/.test(args[1])) return { ok: true, stdout: JSON.stringify({ number: 3 }), stderr: '' };
+    return { ok: true, stdout: '', stderr: '' };
+  });
+  return bin;
+}
+
+describe('cmdPmRoute — usage and dispatch errors', () => {
+  test('P1: --help prints every verb and exits 0; no verb exits 1', () => {
+    const help = captureCmd(() => cmdPmRoute('/nonexistent', ['--help'], false));
+    assert.strictEqual(help.exitCode, 0);
+    for (const verb of PM_VERBS) assert.ok(help.stderr.includes(verb), `usage lists ${verb}`);
+    const bare = captureCmd(() => cmdPmRoute('/nonexistent', [], false));
+    assert.strictEqual(bare.exitCode, 1);
+  });
+
+  test('P2: unknown verb errors, naming the invoked command (pm or gh alias)', () => {
+    dir = makeProject(LINEAR_CONFIG);
+    const pm = run(['nonexistent'], dir);
+    assert.strictEqual(pm.exitCode, 1);
+    assert.match(pm.stderr, /Unknown pm subcommand: nonexistent/);
+    const alias = run(['nonexistent'], dir, 'gh');
+    assert.match(alias.stderr, /Unknown gh subcommand/);
+  });
+
+  test('P3: unsupported pm.backend → error listing valid backends', () => {
+    dir = makeProject({ pm: { backend: 'trello' } });
+    const r = run(['status'], dir);
+    assert.strictEqual(r.exitCode, 1);
+    assert.match(r.stderr, /Unknown pm\.backend: 'trello'.*github, linear, jira/);
+  });
+
+  test('P4: verb missing from the backend table → skipped, not an error', () => {
+    dir = makeProject(LINEAR_CONFIG);
+    const r = run(['sync-release', 'v1.2.0'], dir);
+    assert.strictEqual(r.exitCode, 0);
+    assert.deepStrictEqual(r.json, {
+      ok: false,
+      skipped: true,
+      reason: 'sync-release is not supported by the linear backend',
+    });
+  });
+
+  test('P5: `sync` without an objective falls back to sync-objectives', () => {
+    dir = makeProject(JIRA_CONFIG);
+    delete process.env.JIRA_BASE_URL;
+    const r = run(['sync'], dir);
+    // jiraStatus gate of cmdJiraSyncObjectives (singular sync would demand an id)
+    assert.deepStrictEqual(r.json, { ok: false, skipped: true, reason: 'JIRA_BASE_URL is not set' });
+  });
+});
+
+describe('cmdPmRoute — identical output across backends', () => {
+  let bin;
+
+  afterEach(() => {
+    if (bin) fs.rmSync(bin, { recursive: true, force: true });
+    bin = null;
+  });
+
+  test('P6: sync-objectives result and item keys match for github, linear and jira', () => {
+    const shapes = {};
+    for (const [name, config, setup] of [
+      ['github', GITHUB_CONFIG, () => { bin = useGhMock(); }],
+      ['linear', LINEAR_CONFIG, useLinearMock],
+      ['jira', JIRA_CONFIG, useJiraMock],
+    ]) {
+      setup();
+      dir = makeProject(config);
+      const r = run(['sync-objectives'], dir);
+      assert.strictEqual(r.json.ok, true, `${name}: ${r.stdout}`);
+      assert.strictEqual(r.json.backend, name);
+      assert.strictEqual(r.json.objectives[0].action, 'created');
+      shapes[name] = {
+        result: Object.keys(r.json).sort(),
+        item: Object.keys(r.json.objectives[0]).sort(),
+      };
+      // sync-state records the backend's issue_ref so conflict.cjs can read it back
+      const state = JSON.parse(fs.readFileSync(path.join(dir, '.planning', '.gh-sync-state.json'), 'utf-8'));
+      assert.strictEqual(state.objectives['1'].issue_ref, r.json.objectives[0].issue_ref);
+      fs.rmSync(dir, { recursive: true, force: true });
+      dir = null;
+    }
+    assert.deepStrictEqual(shapes.linear, shapes.github);
+    assert.deepStrictEqual(shapes.jira, shapes.github);
+    assert.deepStrictEqual(shapes.github.result, ['backend', 'milestone', 'objectives', 'ok', 'target', 'warnings']);
+  });
+
+  test('P9: gh alias sync-objectives keeps the pre-pm repo and milestone.number keys', () => {
+    bin = useGhMock();
+    dir = makeProject(GITHUB_CONFIG);
+    const alias = run(['sync-objectives'], dir, 'gh').json;
+    assert.strictEqual(alias.repo, 'acme/app');
+    assert.strictEqual(alias.target, 'acme/app');
+    assert.deepStrictEqual(alias.milestone, { id: 3, title: 'v1.2', created: true, number: 3 });
+
+    const pm = run(['sync-objectives'], dir).json;
+    assert.strictEqual(pm.repo, undefined, 'pm keeps the backend-neutral shape');
+    assert.strictEqual(pm.milestone.number, undefined);
+  });
+
+  test('P7: comment resolves the objective through the backend mapping; linear and jira agree', () => {
+    useLinearMock();
+    dir = makeProject(LINEAR_CONFIG, {
+      mappings: { '.linear-mapping.json': { milestone_id: null, objectives: { 1: { issue_id: 'ENG-101', state_comment_id: null } } } },
+    });
+    const lin = run(['comment', '1', 'Verified'], dir).json;
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    useJiraMock();
+    dir = makeProject(JIRA_CONFIG, {
+      mappings: { '.jira-mapping.json': { milestone_id: null, objectives: { 1: { issue_id: 'ENG-101', state_comment_id: null } } } },
+    });
+    const jir = run(['comment', '1', 'Verified'], dir).json;
+
+    assert.deepStrictEqual(lin, { ok: true, issue: 'ENG-101', issue_ref: 'ENG-101', error: null, url: 'https://linear.app/c-1' });
+    assert.deepStrictEqual(Object.keys(jir).sort(), Object.keys(lin).sort());
+    assert.strictEqual(jir.url, 'https://acme.atlassian.net/browse/ENG-101?focusedCommentId=9001');
+  });
+
+  test('P8: pull goes through the backend pullAdapter (label + mapping)', () => {
+    useLinearMock();
+    dir = makeProject(LINEAR_CONFIG);
+    const r = captureCmd(() => cmdPmRoute(dir, ['pull', '01-pm'], false));
+    assert.strictEqual(r.exitCode, 1);
+    assert.match(r.stdout + r.stderr, /has no Linear issue\. Run `df-tools pm sync-objectives`/);
+  });
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+// pm-outbox.cjs — durable queue of outbound PM writes that failed.
+//
+// lib/gh.cjs treats GitHub as best-effort: a failed write must not block the
+// caller. Without a queue those writes were simply lost (offline, outage,
+// rate limit). Failed writes are appended to .planning/.pm-outbox.jsonl and
+// replayed later by `df-tools pm flush` (alias: `gh flush`).
+//
+// One JSON object per line:
+//
+//   {
+//     "id":              "ob_<ms>_<rand>",
+//     "key":             "<sha256 of backend+op+target+payload, 16 hex>",  // idempotency key
+//     "backend":         "github",
+//     "op":              "sticky_comment" | "project_fields" | "close_issue" | "comment",
+//     "target":          "owner/repo#NN",
+//     "payload":         { ... op-specific ... },
+//     "supersede_key":   "<string>" | null,
+//     "enqueued_at":     "ISO8601",
+//     "attempts":        0,
+//     "next_attempt_at": "ISO8601",
+//     "last_error":      "<stderr>" | null
+//   }
+//
+// Dedupe:
+//   - an entry whose `key` is already queued is not queued twice
+//   - an entry with a `supersede_key` replaces older entries with the same key
+//     (e.g. only the newest sticky-comment body is worth sending); `merge`
+//     lets the caller fold the older payload in (Project fields per field)
+//
+// Every read-modify-write of the file (enqueue, the end of a flush) runs under
+// .planning/.pm-outbox.lock, created with O_EXCL, so two processes never write
+// the queue from stale snapshots.
+//
+// This module owns storage, dedupe and backoff only. What each op does is
+// supplied by the backend as a handlers table (see gh.cjs _outboxHandlers).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { atomicWrite } = require('./sync-state.cjs');
+
+const OUTBOX_REL = path.join('.planning', '.pm-outbox.jsonl');
+const LOCK_REL = path.join('.planning', '.pm-outbox.lock');
+
+// A lock older than this belongs to a crashed process and is broken.
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+
+// Retry backoff: 30s, 1m, 2m, 4m … capped at 1h.
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+function outboxPath(cwd) {
+  return path.join(cwd, OUTBOX_REL);
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run `fn` holding the outbox lock. Waits up to LOCK_WAIT_MS for another
+ * holder, breaking a lock left behind for longer than LOCK_STALE_MS.
+ */
+function withOutboxLock(cwd, fn) {
+  const lock = path.join(cwd, LOCK_REL);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  let fd;
+  for (;;) {
+    try {
+      fd = fs.openSync(lock, 'wx');
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      let age = 0;
+      try { age = Date.now() - fs.statSync(lock).mtimeMs; } catch (_) { continue; }
+      if (age > LOCK_STALE_MS) {
+        try { fs.unlinkSync(lock); } catch (_) { /* another waiter broke it */ }
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`outbox is locked (${LOCK_REL})`);
+      sleepSync(20);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try { fs.unlinkSync(lock); } catch (_) { /* already gone */ }
+  }
+}
+
+/**
+ * Read every queued entry. Missing file → []. Unparseable lines are skipped
+ * with a warning (a torn append must not wedge the whole queue).
+ */
+function readOutbox(cwd) {
+  const p = outboxPath(cwd);
+  if (!fs.existsSync(p)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(p, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      process.stderr.write('Warning: skipping malformed line in .pm-outbox.jsonl\n');
+    }
+  }
+  return entries;
+}
+
+/** Rewrite the queue atomically; an empty queue removes the file. */
+function writeOutbox(cwd, entries) {
+  const p = outboxPath(cwd);
+  if (entries.length === 0) {
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+    return;
+  }
+  atomicWrite(p, entries.map((e) => JSON.stringify(e)).join('\n') + '\n');
+}
+
+/** Deterministic idempotency key for one write. */
+function idempotencyKey({ backend, op, target, payload }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([backend, op, target, payload]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/** Delay before retry number `attempts` (1-based). */
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * enqueue(cwd, { backend, op, target, payload, supersedeKey, merge, error }, now)
+ *
+ * Returns { ok: true, id, key, duplicate, superseded } — `duplicate` when an
+ * identical write was already queued (its id is returned), `superseded` the
+ * number of older entries this one replaced.
+ */
+function enqueue(cwd, fields, now = new Date()) {
+  return withOutboxLock(cwd, () => _enqueueLocked(cwd, fields, now));
+}
+
+function _enqueueLocked(cwd, { backend = 'github', op, target, payload, supersedeKey = null, merge = null, error = null }, now) {
+  const entries = readOutbox(cwd);
+
+  let merged = payload;
+  const kept = [];
+  let superseded = 0;
+  for (const e of entries) {
+    if (supersedeKey && e.backend === backend && e.supersede_key === supersedeKey) {
+      if (merge) merged = merge(e.payload, merged);
+      superseded++;
+      continue;
+    }
+    kept.push(e);
+  }
+
+  const key = idempotencyKey({ backend, op, target, payload: merged });
+  const existing = kept.find((e) => e.key === key);
+  if (existing) {
+    if (superseded > 0) writeOutbox(cwd, kept);
+    return { ok: true, id: existing.id, key, duplicate: true, superseded };
+  }
+
+  const entry = {
+    id: `ob_${now.getTime()}_${crypto.randomBytes(3).toString('hex')}`,
+    key,
+    backend,
+    op,
+    target,
+    payload: merged,
+    supersede_key: supersedeKey,
+    enqueued_at: now.toISOString(),
+    attempts: 0,
+    next_attempt_at: now.toISOString(),
+    last_error: error,
+  };
+  writeOutbox(cwd, [...kept, entry]);
+  return { ok: true, id: entry.id, key, duplicate: false, superseded };
+}
+
+/**
+ * flushOutbox(cwd, handlers, { backend, force, dryRun, now })
+ *
+ * Replays due entries for `backend` in queue order. Each handler is
+ * `(entry) => { ok, error?, permanent? }`:
+ *   ok         → entry removed                  (status 'sent')
+ *   permanent  → entry removed, not retried     (status 'dropped')
+ *   otherwise  → attempts+1, next_attempt_at pushed out by backoffMs ('retrying')
+ * Entries not yet due are left alone ('deferred') unless `force`.
+ * Entries whose op has no handler stay queued ('deferred').
+ *
+ * Handlers run without the lock (they may enqueue). The final write re-reads
+ * the queue under the lock and reconciles with what changed meanwhile:
+ * entries appended while flushing are kept, and snapshot entries that a
+ * concurrent enqueue superseded (no longer in the file) are not written back,
+ * so an older payload is never replayed after its replacement.
+ *
+ * Returns { results: [{ id, op, target, status, error? }], summary }.
+ */
+function flushOutbox(cwd, handlers, { backend = 'github', force = false, dryRun = false, now = new Date() } = {}) {
+  const snapshot = readOutbox(cwd);
+  const results = [];
+  const remaining = [];
+
+  for (const entry of snapshot) {
+    if (entry.backend !== backend) {
+      remaining.push(entry);
+      continue;
+    }
+    const base = { id: entry.id, op: entry.op, target: entry.target };
+    const due = force || Date.parse(entry.next_attempt_at) <= now.getTime();
+    const handler = handlers[entry.op];
+    if (!due || !handler || dryRun) {
+      remaining.push(entry);
+      results.push({
+        ...base,
+        status: dryRun && due && handler ? 'pending' : 'deferred',
+        next_attempt_at: entry.next_attempt_at,
+        ...(handler ? {} : { error: `no ${backend} handler for ${entry.op}` }),
+      });
+      continue;
+    }
+
+    let r;
+    try {
+      r = handler(entry) || { ok: false, error: 'handler returned nothing' };
+    } catch (e) {
+      r = { ok: false, error: e.message };
+    }
+    if (r.ok) {
+      results.push({ ...base, status: 'sent' });
+    } else if (r.permanent) {
+      results.push({ ...base, status: 'dropped', error: r.error || null });
+    } else {
+      const attempts = (entry.attempts || 0) + 1;
+      const next = new Date(now.getTime() + backoffMs(attempts)).toISOString();
+      remaining.push({ ...entry, attempts, next_attempt_at: next, last_error: r.error || null });
+      results.push({ ...base, status: 'retrying', attempts, next_attempt_at: next, error: r.error || null });
+    }
+  }
+
+  if (!dryRun) {
+    withOutboxLock(cwd, () => {
+      const current = readOutbox(cwd);
+      const live = new Set(current.map((e) => e.id));
+      const seen = new Set(snapshot.map((e) => e.id));
+      const appended = current.filter((e) => !seen.has(e.id));
+      const newer = new Set(appended.filter((e) => e.supersede_key).map((e) => `${e.backend}\0${e.supersede_key}`));
+      const kept = remaining.filter((e) =>
+        live.has(e.id) && !(e.supersede_key && newer.has(`${e.backend}\0${e.supersede_key}`)));
+      writeOutbox(cwd, [...kept, ...appended]);
+    });
+  }
+
+  const count = (s) => results.filter((r) => r.status === s).length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      sent: count('sent'),
+      retrying: count('retrying'),
+      dropped: count('dropped'),
+      deferred: count('deferred'),
+      pending: count('pending'),
+    },
+  };
+}
+
+module.exports = {
+  OUTBOX_REL,
+  readOutbox,
+  writeOutbox,
+  enqueue,
+  flushOutbox,
+  idempotencyKey,
+  backoffMs,
+};
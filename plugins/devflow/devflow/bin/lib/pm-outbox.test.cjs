@@ -0,0 +1,200 @@
+'use strict';
+
+// Unit tests for lib/pm-outbox.cjs — .planning/.pm-outbox.jsonl queue.
+//
+// Storage, dedupe and backoff only; GitHub replay handlers are covered in
+// gh.test.cjs (Group OB). Time is injected via `now`.
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const outbox = require('./pm-outbox.cjs');
+
+const T0 = new Date('2026-06-01T12:00:00.000Z');
+const at = (ms) => new Date(T0.getTime() + ms);
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-outbox-test-'));
+  fs.mkdirSync(path.join(dir, '.planning'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const comment = (body, target = 'acme/app#7') => ({ op: 'comment', target, payload: { body } });
+
+describe('enqueue', () => {
+  test('O1: appends one JSON line with idempotency key and immediate next attempt', () => {
+    const r = outbox.enqueue(dir, { ...comment('hello'), error: 'HTTP 502' }, T0);
+    assert.strictEqual(r.ok, true);
+    assert.strictEqual(r.duplicate, false);
+
+    const lines = fs.readFileSync(path.join(dir, outbox.OUTBOX_REL), 'utf-8').trim().split('\n');
+    assert.strictEqual(lines.length, 1);
+    const e = JSON.parse(lines[0]);
+    assert.strictEqual(e.id, r.id);
+    assert.match(e.key, /^[0-9a-f]{16}$/);
+    assert.strictEqual(e.backend, 'github');
+    assert.strictEqual(e.attempts, 0);
+    assert.strictEqual(e.next_attempt_at, T0.toISOString());
+    assert.strictEqual(e.last_error, 'HTTP 502');
+  });
+
+  test('O2: the same write is not queued twice', () => {
+    const a = outbox.enqueue(dir, comment('hello'), T0);
+    const b = outbox.enqueue(dir, comment('hello'), at(1000));
+    const c = outbox.enqueue(dir, comment('different'), at(2000));
+    assert.strictEqual(b.duplicate, true);
+    assert.strictEqual(b.id, a.id);
+    assert.strictEqual(c.duplicate, false);
+    assert.strictEqual(outbox.readOutbox(dir).length, 2);
+  });
+
+  test('O3: supersede_key replaces older entries; merge folds the older payload in', () => {
+    const spec = (fields) => ({
+      op: 'project_fields',
+      target: 'acme/app#7',
+      payload: { project_id: 'PVT_1', fields },
+      supersedeKey: 'project_fields:acme/app#7:PVT_1',
+      merge: (older, newer) => ({ ...newer, fields: { ...older.fields, ...newer.fields } }),
+    });
+    outbox.enqueue(dir, spec({ Status: 'Todo', Quarter: 'Q3 2026' }), T0);
+    const r = outbox.enqueue(dir, spec({ Status: 'In Progress' }), at(1000));
+    assert.strictEqual(r.superseded, 1);
+
+    const queued = outbox.readOutbox(dir);
+    assert.strictEqual(queued.length, 1);
+    assert.deepStrictEqual(queued[0].payload.fields, { Status: 'In Progress', Quarter: 'Q3 2026' });
+  });
+
+  test('O4: malformed lines are skipped with a warning', () => {
+    outbox.enqueue(dir, comment('ok'), T0);
+    fs.appendFileSync(path.join(dir, outbox.OUTBOX_REL), '{"torn":\n');
+    const orig = process.stderr.write.bind(process.stderr);
+    let stderr = '';
+    process.stderr.write = (c) => { stderr += c; return true; };
+    try {
+      assert.strictEqual(outbox.readOutbox(dir).length, 1);
+    } finally {
+      process.stderr.write = orig;
+    }
+    assert.match(stderr, /malformed line/);
+  });
+});
+
+describe('backoffMs', () => {
+  test('O5: doubles from 30s and caps at 1h', () => {
+    assert.deepStrictEqual([1, 2, 3, 4].map(outbox.backoffMs), [30000, 60000, 120000, 240000]);
+    assert.strictEqual(outbox.backoffMs(20), 60 * 60 * 1000);
+  });
+});
+
+describe('flushOutbox', () => {
+  function seed() {
+    outbox.enqueue(dir, comment('sent'), T0);
+    outbox.enqueue(dir, comment('gone', 'acme/app#404'), T0);
+    outbox.enqueue(dir, comment('flaky'), T0);
+  }
+  const handlers = {
+    comment(entry) {
+      if (entry.payload.body === 'sent') return { ok: true };
+      if (entry.payload.body === 'gone') return { ok: false, error: 'HTTP 404', permanent: true };
+      return { ok: false, error: 'HTTP 502' };
+    },
+  };
+
+  test('O6: sent and permanent entries leave the queue; transient ones back off', () => {
+    seed();
+    const r = outbox.flushOutbox(dir, handlers, { now: T0 });
+    assert.deepStrictEqual(r.results.map((x) => x.status), ['sent', 'dropped', 'retrying']);
+    assert.deepStrictEqual(
+      { sent: r.summary.sent, dropped: r.summary.dropped, retrying: r.summary.retrying },
+      { sent: 1, dropped: 1, retrying: 1 },
+    );
+
+    const left = outbox.readOutbox(dir);
+    assert.strictEqual(left.length, 1);
+    assert.strictEqual(left[0].attempts, 1);
+    assert.strictEqual(left[0].last_error, 'HTTP 502');
+    assert.strictEqual(left[0].next_attempt_at, at(30000).toISOString());
+  });
+
+  test('O7: entries not yet due are deferred unless --force', () => {
+    seed();
+    outbox.flushOutbox(dir, handlers, { now: T0 });
+
+    const early = outbox.flushOutbox(dir, handlers, { now: at(10000) });
+    assert.deepStrictEqual(early.results.map((x) => x.status), ['deferred']);
+    assert.strictEqual(outbox.readOutbox(dir)[0].attempts, 1);
+
+    const forced = outbox.flushOutbox(dir, handlers, { now: at(10000), force: true });
+    assert.deepStrictEqual(forced.results.map((x) => x.status), ['retrying']);
+    const e = outbox.readOutbox(dir)[0];
+    assert.strictEqual(e.attempts, 2);
+    assert.strictEqual(e.next_attempt_at, at(10000 + 60000).toISOString());
+  });
+
+  test('O8: dry run reports pending entries and writes nothing', () => {
+    seed();
+    const before = fs.readFileSync(path.join(dir, outbox.OUTBOX_REL), 'utf-8');
+    let called = 0;
+    const r = outbox.flushOutbox(dir, { comment: () => { called++; return { ok: true }; } }, { now: T0, dryRun: true });
+    assert.strictEqual(called, 0);
+    assert.strictEqual(r.summary.pending, 3);
+    assert.strictEqual(fs.readFileSync(path.join(dir, outbox.OUTBOX_REL), 'utf-8'), before);
+  });
+
+  test('O9: ops without a handler and other backends stay queued', () => {
+    outbox.enqueue(dir, { op: 'mystery', target: 'acme/app#1', payload: {} }, T0);
+    outbox.enqueue(dir, { backend: 'linear', op: 'comment', target: 'ENG-1', payload: { body: 'x' } }, T0);
+    const r = outbox.flushOutbox(dir, handlers, { now: T0 });
+    assert.deepStrictEqual(r.results.map((x) => x.status), ['deferred']);
+    assert.match(r.results[0].error, /no github handler for mystery/);
+    assert.strictEqual(outbox.readOutbox(dir).length, 2);
+  });
+
+  test('O10: writes queued while flushing are kept; an emptied queue removes the file', () => {
+    outbox.enqueue(dir, comment('sent'), T0);
+    outbox.flushOutbox(dir, {
+      comment(entry) {
+        outbox.enqueue(dir, comment('queued mid-flush'), T0);
+        return { ok: true, entry };
+      },
+    }, { now: T0 });
+    const left = outbox.readOutbox(dir);
+    assert.deepStrictEqual(left.map((e) => e.payload.body), ['queued mid-flush']);
+
+    outbox.flushOutbox(dir, { comment: () => ({ ok: true }) }, { now: T0 });
+    assert.strictEqual(fs.existsSync(path.join(dir, outbox.OUTBOX_REL)), false);
+  });
+
+  test('O11: an entry superseded while flushing is not written back after its replacement', () => {
+    const sticky = (body) => ({ op: 'sticky_comment', target: 'acme/app#7', payload: { body }, supersedeKey: 'sticky:acme/app#7' });
+    outbox.enqueue(dir, sticky('old'), T0);
+    const r = outbox.flushOutbox(dir, {
+      sticky_comment(entry) {
+        if (entry.payload.body === 'old') outbox.enqueue(dir, sticky('new'), T0);
+        return { ok: false, error: 'HTTP 502' };
+      },
+    }, { now: T0 });
+    assert.deepStrictEqual(r.results.map((x) => x.status), ['retrying']);
+    const left = outbox.readOutbox(dir);
+    assert.deepStrictEqual(left.map((e) => e.payload.body), ['new']);
+    assert.strictEqual(left[0].attempts, 0);
+    assert.strictEqual(fs.existsSync(path.join(dir, '.planning', '.pm-outbox.lock')), false);
+  });
+
+  test('O12: a stale lock left by a crashed process is broken', () => {
+    const lock = path.join(dir, '.planning', '.pm-outbox.lock');
+    fs.writeFileSync(lock, '');
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lock, old, old);
+    outbox.enqueue(dir, comment('after crash'), T0);
+    assert.deepStrictEqual(outbox.readOutbox(dir).map((e) => e.payload.body), ['after crash']);
+    assert.strictEqual(fs.existsSync(lock), false);
+  });
+});
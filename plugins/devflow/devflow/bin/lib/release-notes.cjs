@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Objective-based release notes.
+ *
+ * Builds a release entry from the objectives a milestone completed instead of
+ * raw commit subjects: ROADMAP goal, SUMMARY.md one-liners, requirement IDs
+ * marked complete in REQUIREMENTS.md (`requirements mark-complete`) and the
+ * linked GitHub issues. Rendered as a Keep-a-Changelog entry plus a JSON
+ * document for downstream tooling. changelog.cjs falls back to commits when
+ * no objective is complete.
+ *
+ * An objective is complete when it has at least one TRD/JOB and every one has
+ * a SUMMARY.md. Its section comes from the objective's `work` (OBJECTIVE.md →
+ * PROJECT.md default_work → feature); spikes ship no change and are left out
+ * of the markdown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractFrontmatter } = require('./frontmatter.cjs');
+const { findPlanFiles, stripPlanSuffix } = require('./helpers.cjs');
+
+const WORK_SECTIONS = {
+  feature: 'Added',
+  prototype: 'Added',
+  port: 'Changed',
+  refactor: 'Changed',
+  foundation: 'Changed',
+  bugfix: 'Fixed',
+  spike: null,
+};
+const SECTION_ORDER = ['Added', 'Changed', 'Fixed'];
+
+function readFm(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  return extractFrontmatter(fs.readFileSync(filePath, 'utf-8')) || {};
+}
+
+function asList(value) {
+  if (value == null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return String(value).replace(/[[\]]/g, '').split(/[,\s]+/).filter(Boolean);
+}
+
+/**
+ * Directory holding the release's objectives: the milestone archive written by
+ * `milestone complete --archive-objectives` when one matches the version
+ * (v1.2.0 → milestones/v1.2.0-objectives or milestones/v1.2-objectives),
+ * else the live .planning/objectives.
+ */
+function objectivesDirFor(cwd, version) {
+  const planning = path.join(cwd, '.planning');
+  if (version) {
+    const bare = String(version).replace(/^v/, '');
+    const minor = bare.split('.').slice(0, 2).join('.');
+    for (const v of [`v${bare}`, `v${minor}`]) {
+      const dir = path.join(planning, 'milestones', `${v}-objectives`);
+      if (fs.existsSync(dir)) return { dir, archived: true };
+    }
+  }
+  return { dir: path.join(planning, 'objectives'), archived: false };
+}
+
+/**
+ * Requirement IDs marked complete in REQUIREMENTS.md — `- [x] **ID**: text`
+ * checkboxes or `| ID | ... | Complete |` traceability rows.
+ * Returns null when the file is missing, else Map(id → text|null).
+ */
+function readCompletedRequirements(cwd) {
+  const reqPath = path.join(cwd, '.planning', 'REQUIREMENTS.md');
+  if (!fs.existsSync(reqPath)) return null;
+  const content = fs.readFileSync(reqPath, 'utf-8');
+  const done = new Map();
+  const texts = new Map();
+  for (const m of content.matchAll(/^\s*-\s*\[([ xX])\]\s*\*\*([^*]+)\*\*:?\s*(.*)$/gm)) {
+    texts.set(m[2].trim(), m[3].trim() || null);
+    if (m[1] !== ' ') done.set(m[2].trim(), m[3].trim() || null);
+  }
+  for (const m of content.matchAll(/^\|\s*([A-Z][\w-]*)\s*\|[^|\n]+\|\s*Complete\s*\|/gm)) {
+    if (!done.has(m[1])) done.set(m[1], texts.get(m[1]) || null);
+  }
+  return done;
+}
+
+// OBJECTIVE.md github_issue (full ref or #N shorthand against PROJECT.md github_repo).
+function issueRef(value, repo) {
+  if (!value) return null;
+  const s = String(value).trim();
+  if (/^[^/]+\/[^#]+#\d+$/.test(s)) return s;
+  const m = s.match(/^#?(\d+)$/);
+  return m && repo ? `${repo}#${m[1]}` : null;
+}
+
+function issueLink(ref) {
+  const m = ref.match(/^([^/]+)\/([^#]+)#(\d+)$/);
+  return m ? `[${ref}](https://github.com/${m[1]}/${m[2]}/issues/${m[3]})` : ref;
+}
+
+// SUMMARY highlight: `one-liner` frontmatter, else the bold line under the title.
+function summaryHighlight(content, fm) {
+  if (fm['one-liner']) return String(fm['one-liner']).trim();
+  const body = content.replace(/^---\n[\s\S]*?\n---\n?/, '');
+  const m = body.match(/^\*\*([^*\n]+)\*\*\s*$/m);
+  return m ? m[1].trim() : null;
+}
+
+// Name + goal from ROADMAP.md, falling back to OBJECTIVE.md's heading and ## Goal.
+function objectiveHeading(roadmap, number, objContent) {
+  const entry = roadmap.find((o) => o.number === number || String(parseFloat(o.number)) === String(parseFloat(number)));
+  const title = objContent && objContent.match(/^#\s+([^\n]+)/m);
+  const goal = objContent && objContent.match(/^##\s+Goal\s*\n+([^\n#][^\n]*)/m);
+  return {
+    name: (entry && entry.name) || (title ? title[1].trim() : null),
+    goal: (entry && entry.goal) || (goal ? goal[1].trim() : null),
+  };
+}
+
+/**
+ * collectObjectiveNotes(cwd, { version }) — structured notes for the
+ * objectives the release completed.
+ *
+ * Returns {
+ *   objectives_dir, archived,
+ *   objectives: [{ id, number, name, goal, work, section, issue_ref, plan_issues,
+ *                  highlights, requirements: [{ id, text }], plans }],
+ *   requirements: [{ id, text, objective }],    // marked complete, release-wide
+ *   unmarked_requirements: [{ id, objective }],  // in a SUMMARY, not marked complete
+ *   incomplete: [objectiveId],
+ * }
+ */
+function collectObjectiveNotes(cwd, { version = null } = {}) {
+  const { listObjectives } = require('./gh.cjs');
+  const { dir, archived } = objectivesDirFor(cwd, version);
+  const projectFm = readFm(path.join(cwd, '.planning', 'PROJECT.md'));
+  const repo = projectFm.github_repo || null;
+  const roadmap = listObjectives(cwd);
+  const completedReqs = readCompletedRequirements(cwd);
+
+  const out = { objectives_dir: path.relative(cwd, dir), archived, objectives: [], requirements: [], unmarked_requirements: [], incomplete: [] };
+  if (!fs.existsSync(dir)) return out;
+
+  const ids = fs.readdirSync(dir, { withFileTypes: true }).filter((e) => e.isDirectory()).map((e) => e.name).sort();
+  for (const id of ids) {
+    const objDir = path.join(dir, id);
+    const files = fs.readdirSync(objDir).sort();
+    const plans = findPlanFiles(files).map((file) => ({ file, stem: stripPlanSuffix(file) })).filter((p) => p.stem);
+    const summaries = new Set(files.filter((f) => f.endsWith('-SUMMARY.md')));
+    if (plans.length === 0 || !plans.every((p) => summaries.has(`${p.stem}-SUMMARY.md`))) {
+      out.incomplete.push(id);
+      continue;
+    }
+
+    const objPath = path.join(objDir, 'OBJECTIVE.md');
+    const objContent = fs.existsSync(objPath) ? fs.readFileSync(objPath, 'utf-8') : null;
+    const objFm = objContent ? extractFrontmatter(objContent) || {} : {};
+    const numMatch = id.match(/^(\d+(?:\.\d+)?)/);
+    const number = numMatch ? String(parseFloat(numMatch[1])) : id;
+    const { name, goal } = objectiveHeading(roadmap, number, objContent);
+    const work = objFm.work || projectFm.default_work || 'feature';
+
+    const highlights = [];
+    const reqIds = [];
+    const planIssues = [];
+    for (const { file, stem } of plans) {
+      const content = fs.readFileSync(path.join(objDir, `${stem}-SUMMARY.md`), 'utf-8');
+      const fm = extractFrontmatter(content) || {};
+      const h = summaryHighlight(content, fm);
+      if (h) highlights.push(h);
+      for (const r of asList(fm['requirements-completed'])) if (!reqIds.includes(r)) reqIds.push(r);
+      const ref = issueRef(readFm(path.join(objDir, file)).github_issue, repo);
+      if (ref) planIssues.push(ref);
+    }
+
+    const requirements = [];
+    for (const r of reqIds) {
+      if (completedReqs && !completedReqs.has(r)) {
+        out.unmarked_requirements.push({ id: r, objective: id });
+        continue;
+      }
+      const text = completedReqs ? completedReqs.get(r) : null;
+      requirements.push({ id: r, text });
+      out.requirements.push({ id: r, text, objective: id });
+    }
+
+    out.objectives.push({
+      id,
+      number,
+      name: name || id,
+      goal,
+      work,
+      section: Object.prototype.hasOwnProperty.call(WORK_SECTIONS, work) ? WORK_SECTIONS[work] : 'Added',
+      issue_ref: issueRef(objFm.github_issue, repo),
+      plan_issues: planIssues,
+      highlights,
+      requirements,
+      plans: plans.length,
+    });
+  }
+  return out;
+}
+
+/**
+ * renderObjectiveEntry(version, dateISO, notes) — Keep-a-Changelog entry:
+ * one bullet per objective under Added / Changed / Fixed, with its goal,
+ * issue link, SUMMARY highlights and completed requirement IDs.
+ */
+function renderObjectiveEntry(version, dateISO, notes) {
+  const lines = [`## [${version}] - ${dateISO}`, ''];
+  for (const section of SECTION_ORDER) {
+    const objs = notes.objectives.filter((o) => o.section === section);
+    if (objs.length === 0) continue;
+    lines.push(`### ${section}`);
+    for (const o of objs) {
+      const goal = o.goal ? ` — ${o.goal}` : '';
+      const issue = o.issue_ref ? ` (${issueLink(o.issue_ref)})` : '';
+      lines.push(`- **${o.name}**${goal}${issue}`);
+      for (const h of o.highlights) lines.push(`  - ${h}`);
+      if (o.requirements.length > 0) lines.push(`  - Requirements: ${o.requirements.map((r) => r.id).join(', ')}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  WORK_SECTIONS,
+  objectivesDirFor,
+  readCompletedRequirements,
+  collectObjectiveNotes,
+  renderObjectiveEntry,
+};
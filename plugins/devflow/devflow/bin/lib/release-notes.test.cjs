@@ -0,0 +1,144 @@
+'use strict';
+
+// release-notes.test.cjs — objective-based release notes
+//
+//   RN1: only complete objectives are collected; goal + name from ROADMAP.md
+//   RN2: highlights from SUMMARY one-liner / bold line; plan + objective issue refs
+//   RN3: requirements kept only when marked complete in REQUIREMENTS.md
+//   RN4: work → Keep-a-Changelog section; spikes left out of the markdown
+//   RN5: archived milestone objectives are used when the version matches
+//   RN6: buildReleaseNotes falls back to commits when nothing is complete
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+const rn = require('./release-notes.cjs');
+const { buildReleaseNotes } = require('./changelog.cjs');
+
+let root;
+afterEach(() => {
+  if (root) fs.rmSync(root, { recursive: true, force: true });
+  root = null;
+});
+
+function write(rel, content) {
+  const p = path.join(root, rel);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, content);
+}
+
+// 01-auth (feature, done), 02-cleanup (refactor, done), 03-research (spike, done),
+// 04-billing (feature, one TRD without SUMMARY).
+function buildProject({ objectivesDir = '.planning/objectives' } = {}) {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-release-notes-'));
+  write('.planning/PROJECT.md', '---\ngithub_repo: acme/app\ndefault_work: feature\n---\n# App\n');
+  write('.planning/ROADMAP.md', [
+    '# Roadmap v1.2', '',
+    '### Objective 1: Authentication', '**Goal:** Users can sign in with email', '',
+    '### Objective 2: Cleanup', '**Goal:** Split the monolith config loader', '',
+  ].join('\n'));
+  write('.planning/REQUIREMENTS.md', [
+    '# Requirements', '',
+    '- [x] **AUTH-01**: User can sign up with email and password',
+    '- [ ] **AUTH-02**: User receives email verification',
+    '', '| Requirement | Objective | Status |', '|---|---|---|',
+    '| CFG-01 | Objective 2 | Complete |', '',
+  ].join('\n'));
+  const d = objectivesDir;
+  write(`${d}/01-auth/OBJECTIVE.md`, '---\ngithub_issue: "#12"\n---\n# Auth\n');
+  write(`${d}/01-auth/01-01-TRD.md`, '---\ngithub_issue: acme/app#31\n---\n');
+  write(`${d}/01-auth/01-01-SUMMARY.md`, '---\none-liner: Email/password sign-up with bcrypt hashing\nrequirements-completed: [AUTH-01, AUTH-02]\n---\n# Summary\n');
+  write(`${d}/01-auth/01-02-TRD.md`, '---\n---\n');
+  write(`${d}/01-auth/01-02-SUMMARY.md`, '---\nrequirements-completed: []\n---\n# Objective 1: Auth Summary\n\n**Session cookies survive refresh**\n');
+  write(`${d}/02-cleanup/OBJECTIVE.md`, '---\nwork: refactor\n---\n# Cleanup\n');
+  write(`${d}/02-cleanup/02-01-TRD.md`, '---\n---\n');
+  write(`${d}/02-cleanup/02-01-SUMMARY.md`, '---\none-liner: Config loader split into per-source readers\nrequirements-completed: CFG-01\n---\n');
+  write(`${d}/03-research/OBJECTIVE.md`, '---\nwork: spike\n---\n# Research\n\n## Goal\n\nEvaluate queue backends\n');
+  write(`${d}/03-research/03-01-TRD.md`, '---\n---\n');
+  write(`${d}/03-research/03-01-SUMMARY.md`, '---\none-liner: Picked SQS\n---\n');
+  write(`${d}/04-billing/04-01-TRD.md`, '---\n---\n');
+  return root;
+}
+
+describe('collectObjectiveNotes', () => {
+  test('RN1: only complete objectives are collected; goal + name from ROADMAP.md', () => {
+    buildProject();
+    const notes = rn.collectObjectiveNotes(root);
+    assert.deepStrictEqual(notes.objectives.map((o) => o.id), ['01-auth', '02-cleanup', '03-research']);
+    assert.deepStrictEqual(notes.incomplete, ['04-billing']);
+    assert.strictEqual(notes.objectives[0].name, 'Authentication');
+    assert.strictEqual(notes.objectives[0].goal, 'Users can sign in with email');
+    assert.strictEqual(notes.objectives[0].plans, 2);
+    // Not in ROADMAP.md → OBJECTIVE.md heading and ## Goal
+    assert.strictEqual(notes.objectives[2].name, 'Research');
+    assert.strictEqual(notes.objectives[2].goal, 'Evaluate queue backends');
+  });
+
+  test('RN2: highlights from SUMMARY one-liner / bold line; plan + objective issue refs', () => {
+    buildProject();
+    const [auth] = rn.collectObjectiveNotes(root).objectives;
+    assert.deepStrictEqual(auth.highlights, ['Email/password sign-up with bcrypt hashing', 'Session cookies survive refresh']);
+    assert.strictEqual(auth.issue_ref, 'acme/app#12');
+    assert.deepStrictEqual(auth.plan_issues, ['acme/app#31']);
+  });
+
+  test('RN3: requirements kept only when marked complete in REQUIREMENTS.md', () => {
+    buildProject();
+    const notes = rn.collectObjectiveNotes(root);
+    assert.deepStrictEqual(notes.objectives[0].requirements, [{ id: 'AUTH-01', text: 'User can sign up with email and password' }]);
+    assert.deepStrictEqual(notes.objectives[1].requirements, [{ id: 'CFG-01', text: null }]);
+    assert.deepStrictEqual(notes.unmarked_requirements, [{ id: 'AUTH-02', objective: '01-auth' }]);
+    assert.deepStrictEqual(notes.requirements.map((r) => r.id), ['AUTH-01', 'CFG-01']);
+  });
+
+  test('RN4: work → Keep-a-Changelog section; spikes left out of the markdown', () => {
+    buildProject();
+    const notes = rn.collectObjectiveNotes(root);
+    assert.deepStrictEqual(notes.objectives.map((o) => o.section), ['Added', 'Changed', null]);
+    const md = rn.renderObjectiveEntry('1.2.0', '2026-10-19', notes);
+    assert.strictEqual(md, [
+      '## [1.2.0] - 2026-10-19', '',
+      '### Added',
+      '- **Authentication** — Users can sign in with email ([acme/app#12](https://github.com/acme/app/issues/12))',
+      '  - Email/password sign-up with bcrypt hashing',
+      '  - Session cookies survive refresh',
+      '  - Requirements: AUTH-01',
+      '',
+      '### Changed',
+      '- **Cleanup** — Split the monolith config loader',
+      '  - Config loader split into per-source readers',
+      '  - Requirements: CFG-01',
+      '',
+    ].join('\n'));
+    assert.doesNotMatch(md, /Research/);
+  });
+
+  test('RN5: archived milestone objectives are used when the version matches', () => {
+    buildProject({ objectivesDir: '.planning/milestones/v1.2-objectives' });
+    assert.deepStrictEqual(rn.collectObjectiveNotes(root, { version: '1.3.0' }).objectives, []);
+    const notes = rn.collectObjectiveNotes(root, { version: '1.2.0' });
+    assert.strictEqual(notes.archived, true);
+    assert.strictEqual(notes.objectives_dir, path.join('.planning', 'milestones', 'v1.2-objectives'));
+    assert.strictEqual(notes.objectives.length, 3);
+  });
+});
+
+describe('buildReleaseNotes', () => {
+  test('RN6: buildReleaseNotes falls back to commits when nothing is complete', () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-release-notes-'));
+    write('.planning/objectives/01-a/01-01-TRD.md', '---\n---\n');
+    execSync('git init -q && git config user.email t@e.com && git config user.name T && git config commit.gpgsign false', { cwd: root });
+    execSync('git add . && git commit -q -m "feat: first"', { cwd: root });
+
+    const notes = buildReleaseNotes(root, { version: 'v0.1.0' });
+    assert.strictEqual(notes.source, 'commits');
+    assert.strictEqual(notes.version, '0.1.0');
+    assert.deepStrictEqual(notes.incomplete, ['01-a']);
+    assert.strictEqual(notes.commits.length, 1);
+    assert.match(notes.markdown, /### Added\n- first \([0-9a-f]+\)/);
+  });
+});
@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * Offline lexical similarity for duplicate-work and sibling scoring.
+ *
+ * A small BM25 index over planning text (objective goals, TRD titles,
+ * SUMMARY.md bodies, sibling PROJECT.md files). Two texts are compared as
+ * the cosine of their BM25-weighted term vectors, so words that appear in
+ * every objective ("devflow", "plugin") count for little and rare shared
+ * words count for a lot.
+ *
+ * Synonyms come from the project glossary (.planning/GLOSSARY.md): every
+ * listed phrase collapses onto its canonical term before weighting, so
+ * "dedupe" and "duplicate detection" can meet on one concept.
+ *
+ * No network, no embeddings, no randomness: the same corpus and inputs
+ * always produce the same score. Callers own all filesystem access except
+ * loadGlossary, which takes the caller's fs implementation.
+ */
+
+const path = require('path');
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+// Calibrated against __fixtures__/similarity-fixtures.cjs (labelled pairs).
+const STRONG_SIMILARITY_THRESHOLD = 0.5;
+const WEAK_SIMILARITY_THRESHOLD = 0.2;
+// Strong also needs this many shared terms, so two one-word titles never block.
+const STRONG_MIN_SHARED_TERMS = 2;
+const GLOSSARY_REL = '.planning/GLOSSARY.md';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// org-awareness STOP_WORDS plus common function words that survive the
+// length >= 3 filter.
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'in', 'on', 'with', 'to', 'from', 'by', 'at',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had',
+  'and', 'not', 'but', 'all', 'any', 'can', 'will', 'into', 'onto', 'than',
+  'then', 'that', 'this', 'these', 'those', 'its', 'our', 'you', 'your',
+  'via', 'per', 'each', 'also', 'only', 'when', 'where', 'which', 'who',
+  'what', 'how', 'does', 'did', 'should', 'would', 'could', 'must', 'may',
+  'new', 'use', 'used', 'uses', 'using', 'add', 'adds', 'added',
+]);
+
+// ─── Terms ────────────────────────────────────────────────────────────────────
+
+/**
+ * Light suffix stemmer: enough to join plurals and simple verb forms
+ * ("scanners" / "scanner", "branches" / "branch", "checked" / "check").
+ *
+ * @param {string} t
+ * @returns {string}
+ */
+function _stem(t) {
+  if (t.length > 4 && t.endsWith('ies')) return t.slice(0, -3) + 'y';
+  if (t.length > 5 && t.endsWith('ing')) return t.slice(0, -3);
+  if (t.length > 4 && t.endsWith('ed')) return t.slice(0, -2);
+  if (t.length > 4 && /(ch|sh|x|ss)es$/.test(t)) return t.slice(0, -2);
+  if (t.length > 3 && t.endsWith('s') && !/(ss|us|is)$/.test(t)) return t.slice(0, -1);
+  return t;
+}
+
+/**
+ * Split text into stemmed terms, keeping repeats (term frequency matters).
+ * Normalisation follows org-awareness _tokenize: lowercase, split on
+ * whitespace / - / _ / /, drop tokens shorter than 3 and stop words.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function _rawTerms(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s\-_/]/g, ' ')
+    .split(/[\s\-_/]+/)
+    .filter((t) => t.length >= 3 && !STOP_WORDS.has(t))
+    .map(_stem);
+}
+
+/**
+ * Terms of a text with glossary phrases collapsed onto their canonical
+ * concept (longest phrase wins at each position).
+ *
+ * @param {string} text
+ * @param {{ phrases: Map<string, string>, maxLen: number }|null} [glossary]
+ * @returns {string[]}
+ */
+function terms(text, glossary = null) {
+  const raw = _rawTerms(text);
+  if (!glossary || glossary.phrases.size === 0) return raw;
+  const out = [];
+  for (let i = 0; i < raw.length;) {
+    let matched = false;
+    for (let n = Math.min(glossary.maxLen, raw.length - i); n >= 1; n--) {
+      const canonical = glossary.phrases.get(raw.slice(i, i + n).join(' '));
+      if (canonical) {
+        out.push(canonical);
+        i += n;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) out.push(raw[i++]);
+  }
+  return out;
+}
+
+// ─── Glossary ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a glossary file. Each bullet line names a canonical term and its
+ * synonyms; anything else (headings, prose) is ignored:
+ *
+ *   - duplicate: dup, dupe, dedupe, overlapping work
+ *   - **worktree**: checkout, working copy
+ *
+ * @param {string} text
+ * @returns {{ phrases: Map<string, string>, maxLen: number }}
+ */
+function parseGlossary(text) {
+  const phrases = new Map();
+  let maxLen = 0;
+  for (const line of String(text || '').split('\n')) {
+    const m = line.match(/^\s*[-*]\s+\**([^:*]+?)\**\s*:\s*(.+)$/);
+    if (!m) continue;
+    const head = _rawTerms(m[1]);
+    if (head.length === 0) continue;
+    const canonical = head.join('_');
+    for (const phrase of [m[1], ...m[2].split(',')]) {
+      const key = _rawTerms(phrase);
+      if (key.length === 0) continue;
+      phrases.set(key.join(' '), canonical);
+      maxLen = Math.max(maxLen, key.length);
+    }
+  }
+  return { phrases, maxLen };
+}
+
+/**
+ * Read <root>/.planning/GLOSSARY.md. A missing or unreadable file yields
+ * an empty glossary.
+ *
+ * @param {string} root
+ * @param {{ existsSync: Function, readFileSync: Function }} fsImpl
+ * @returns {{ phrases: Map<string, string>, maxLen: number }}
+ */
+function loadGlossary(root, fsImpl) {
+  const p = path.join(root, GLOSSARY_REL);
+  try {
+    if (!fsImpl.existsSync(p)) return parseGlossary('');
+    return parseGlossary(fsImpl.readFileSync(p, 'utf-8'));
+  } catch {
+    return parseGlossary('');
+  }
+}
+
+// ─── Index ────────────────────────────────────────────────────────────────────
+
+function _counts(list) {
+  const tf = new Map();
+  for (const t of list) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+/**
+ * Build a BM25 index over a corpus.
+ *
+ * The corpus supplies document frequencies and the average length; texts
+ * passed to compare() or search() do not need to be in it. Terms the corpus
+ * has never seen get the highest idf.
+ *
+ * @param {Array<{ id: string, text: string }>} docs
+ * @param {object} [opts]
+ * @param {{ phrases: Map<string, string>, maxLen: number }} [opts.glossary]
+ * @returns {{
+ *   size: number,
+ *   vector: (text: string) => Map<string, number>,
+ *   compare: (a: string, b: string) => { score: number, shared: string[] },
+ *   search: (text: string, opts?: { limit?: number, min_score?: number }) => Array<{ id: string, score: number, shared: string[] }>,
+ * }}
+ */
+function createIndex(docs = [], { glossary = null } = {}) {
+  const entries = docs
+    .filter((d) => d && typeof d.text === 'string')
+    .map((d) => ({ id: String(d.id), terms: terms(d.text, glossary) }));
+  const df = new Map();
+  let totalLen = 0;
+  for (const e of entries) {
+    totalLen += e.terms.length;
+    for (const t of new Set(e.terms)) df.set(t, (df.get(t) || 0) + 1);
+  }
+  const n = entries.length;
+  const avgLen = n > 0 && totalLen > 0 ? totalLen / n : 0;
+
+  const idf = (t) => {
+    const f = df.get(t) || 0;
+    return Math.log(1 + (n - f + 0.5) / (f + 0.5));
+  };
+
+  function weigh(list) {
+    const tf = _counts(list);
+    const norm = avgLen > 0 ? 1 - BM25_B + BM25_B * (list.length / avgLen) : 1;
+    const vec = new Map();
+    for (const [t, f] of tf) {
+      vec.set(t, idf(t) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * norm));
+    }
+    return vec;
+  }
+
+  function cosine(va, vb) {
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    const shared = [];
+    for (const [t, w] of va) {
+      na += w * w;
+      const o = vb.get(t);
+      if (o !== undefined) {
+        dot += w * o;
+        shared.push([t, w * o]);
+      }
+    }
+    for (const w of vb.values()) nb += w * w;
+    if (dot === 0) return { score: 0, shared: [] };
+    shared.sort((x, y) => y[1] - x[1] || (x[0] < y[0] ? -1 : 1));
+    return {
+      score: Math.round((dot / Math.sqrt(na * nb)) * 1000) / 1000,
+      shared: shared.map(([t]) => t),
+    };
+  }
+
+  const vectors = entries.map((e) => ({ id: e.id, vec: weigh(e.terms) }));
+
+  return {
+    size: n,
+    vector: (text) => weigh(terms(text, glossary)),
+    compare: (a, b) => cosine(weigh(terms(a, glossary)), weigh(terms(b, glossary))),
+    search(text, { limit = 5, min_score = 0 } = {}) {
+      const q = weigh(terms(text, glossary));
+      return vectors
+        .map((d) => ({ id: d.id, ...cosine(q, d.vec) }))
+        .filter((r) => r.score > min_score)
+        .sort((x, y) => y.score - x.score || (x.id < y.id ? -1 : 1))
+        .slice(0, limit);
+    },
+  };
+}
+
+/**
+ * Classify a compare() result on the dup-detect scale.
+ *
+ * @param {{ score: number, shared: string[] }} r
+ * @returns {'strong'|'weak'|null}
+ */
+function classify(r) {
+  if (!r) return null;
+  if (r.score >= STRONG_SIMILARITY_THRESHOLD && r.shared.length >= STRONG_MIN_SHARED_TERMS) return 'strong';
+  if (r.score >= WEAK_SIMILARITY_THRESHOLD) return 'weak';
+  return null;
+}
+
+module.exports = {
+  STRONG_SIMILARITY_THRESHOLD,
+  WEAK_SIMILARITY_THRESHOLD,
+  STRONG_MIN_SHARED_TERMS,
+  GLOSSARY_REL,
+  terms,
+  parseGlossary,
+  loadGlossary,
+  createIndex,
+  classify,
+};
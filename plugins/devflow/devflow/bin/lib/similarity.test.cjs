@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Tests for lib/similarity.cjs — offline BM25 similarity.
+ *
+ *   SIM-1: terms lowercase, split, drop stop words and stem plurals / verb forms
+ *   SIM-2: parseGlossary collapses synonym phrases onto the canonical term;
+ *          loadGlossary reads through the given fs and tolerates a missing file
+ *   SIM-3: corpus-wide words weigh less than rare ones
+ *   SIM-4: compare is symmetric and deterministic; search ranks the corpus
+ *   SIM-5: every labelled calibration pair classifies as expected
+ *   SIM-6: classify needs STRONG_MIN_SHARED_TERMS for strong
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const sim = require('./similarity.cjs');
+const fix = require('./__fixtures__/similarity-fixtures.cjs');
+
+test('SIM-1: terms lowercase, split, drop stop words and stem plurals / verb forms', () => {
+  assert.deepStrictEqual(
+    sim.terms('Scanners checked the peer-branches and RETRIES for dup_detect/queue'),
+    ['scanner', 'check', 'peer', 'branch', 'retry', 'dup', 'detect', 'queue'],
+  );
+  assert.deepStrictEqual(sim.terms('status class is ok'), ['status', 'class']);
+  assert.deepStrictEqual(sim.terms(''), []);
+  assert.deepStrictEqual(sim.terms(null), []);
+});
+
+test('SIM-2: parseGlossary collapses synonym phrases; loadGlossary reads through the given fs', () => {
+  const g = sim.parseGlossary(fix.buildSimilarityGlossary());
+  assert.deepStrictEqual(sim.terms('dedupe the overlapping work', g), ['duplicate', 'duplicate', 'work']);
+  assert.deepStrictEqual(sim.terms('a desktop toast from devflow-watch', g), ['notification', 'handoff_watcher']);
+  assert.deepStrictEqual(sim.terms('watch daemon alerts', g), ['handoff_watcher', 'notification']);
+  assert.strictEqual(sim.parseGlossary('# Heading\n\nprose: not a bullet\n').phrases.size, 0);
+
+  const root = '/repo';
+  const glossaryPath = path.join(root, sim.GLOSSARY_REL);
+  const fakeFs = {
+    existsSync: (p) => p === glossaryPath,
+    readFileSync: (p) => { if (p !== glossaryPath) throw new Error('ENOENT'); return '- duplicate: dupe\n'; },
+  };
+  assert.strictEqual(sim.loadGlossary(root, fakeFs).phrases.get('dupe'), 'duplicate');
+  assert.strictEqual(sim.loadGlossary('/elsewhere', fakeFs).phrases.size, 0);
+  const brokenFs = { existsSync: () => true, readFileSync: () => { throw new Error('EACCES'); } };
+  assert.strictEqual(sim.loadGlossary(root, brokenFs).phrases.size, 0);
+});
+
+test('SIM-3: corpus-wide words weigh less than rare ones', () => {
+  const index = sim.createIndex(fix.buildSimilarityCorpus());
+  const v = index.vector('devflow invoices');
+  assert.ok(v.get('invoice') > v.get('devflow'), `invoice ${v.get('invoice')} should outweigh devflow ${v.get('devflow')}`);
+  // A term the corpus has never seen gets the highest idf.
+  assert.ok(index.vector('zeppelin').get('zeppelin') > v.get('invoice'));
+  assert.strictEqual(index.size, fix.buildSimilarityCorpus().length);
+});
+
+test('SIM-4: compare is symmetric and deterministic; search ranks the corpus', () => {
+  const index = sim.createIndex(fix.buildSimilarityCorpus());
+  const a = 'watcher daemon cancellation';
+  const b = 'cancel queued handoffs in the watcher daemon';
+  const ab = index.compare(a, b);
+  assert.deepStrictEqual(index.compare(b, a).score, ab.score);
+  assert.deepStrictEqual(sim.createIndex(fix.buildSimilarityCorpus()).compare(a, b), ab);
+  assert.deepStrictEqual(index.compare('payment retries', 'peer branch cache'), { score: 0, shared: [] });
+  assert.strictEqual(index.compare(a, a).score, 1);
+
+  const hits = index.search('duplicate work detection', { limit: 2 });
+  assert.strictEqual(hits.length, 2);
+  assert.strictEqual(hits[0].id, 'objective:04-duplicate-work-detection');
+  assert.ok(hits[0].score >= hits[1].score);
+  assert.deepStrictEqual(index.search('zeppelin'), []);
+});
+
+test('SIM-5: every labelled calibration pair classifies as expected', () => {
+  const glossary = sim.parseGlossary(fix.buildSimilarityGlossary());
+  const plain = sim.createIndex(fix.buildSimilarityCorpus());
+  const withGlossary = sim.createIndex(fix.buildSimilarityCorpus(), { glossary });
+  for (const pair of fix.buildLabelledPairs()) {
+    const r = (pair.glossary ? withGlossary : plain).compare(pair.a, pair.b);
+    assert.strictEqual(sim.classify(r), pair.expect,
+      `"${pair.a}" vs "${pair.b}": score ${r.score} (${r.shared.join(', ')})`);
+  }
+  // The glossary pairs only meet through the glossary.
+  const synonymPair = fix.buildLabelledPairs().find((p) => p.a.startsWith('desktop toast'));
+  assert.notStrictEqual(sim.classify(plain.compare(synonymPair.a, synonymPair.b)), 'strong');
+});
+
+test('SIM-6: classify needs STRONG_MIN_SHARED_TERMS for strong', () => {
+  assert.strictEqual(sim.classify({ score: 0.9, shared: ['one'] }), 'weak');
+  assert.strictEqual(sim.classify({ score: 0.9, shared: ['one', 'two'] }), 'strong');
+  assert.strictEqual(sim.classify({ score: sim.WEAK_SIMILARITY_THRESHOLD, shared: ['one'] }), 'weak');
+  assert.strictEqual(sim.classify({ score: 0.1, shared: ['one'] }), null);
+  assert.strictEqual(sim.classify(null), null);
+});
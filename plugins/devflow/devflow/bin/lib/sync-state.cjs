@@ -24,6 +24,15 @@
 //       "last_synced_at":        "ISO8601",
 //       "last_synced_disk_hash": "sha256:..."
 //     }
+//   },
+//   "plans": {                       // optional — TRD/JOB sub-issues (gh-subissues.cjs)
+//     "<objectiveId>/<plan stem>": {
+//       "issue_ref":     "owner/repo#NN",
+//       "state":         "open" | "closed",
+//       "gh_updated_at": "ISO8601" | null,
+//       "linked":        true | false,
+//       "last_synced_at": "ISO8601"
+//     }
 //   }
 // }
 
@@ -54,7 +63,9 @@ function readSyncState(cwd) {
   }
 
   if (!parsed.version || parsed.version === 1) {
-    return { version: 1, objectives: parsed.objectives || {} };
+    const state = { version: 1, objectives: parsed.objectives || {} };
+    if (parsed.plans && Object.keys(parsed.plans).length > 0) state.plans = parsed.plans;
+    return state;
   }
 
   // Unknown version — defensive
@@ -74,6 +85,7 @@ function writeSyncState(cwd, state) {
 
   const filePath = path.join(planningDir, '.gh-sync-state.json');
   const payload = { version: 1, objectives: (state && state.objectives) || {} };
+  if (state && state.plans && Object.keys(state.plans).length > 0) payload.plans = state.plans;
   const content = JSON.stringify(payload, null, 2) + '\n';
   atomicWrite(filePath, content);
 }
@@ -163,6 +175,21 @@ function recordSync(cwd, objectiveId, record) {
     version: 1,
     objectives: { ...current.objectives, [objectiveId]: clonedRecord },
   };
+  if (current.plans) next.plans = current.plans;
+  writeSyncState(cwd, next);
+  return next;
+}
+
+/**
+ * Upsert the sub-issue baseline for one plan (key: '<objectiveId>/<plan stem>').
+ * Objective records are preserved. Returns the updated state object.
+ */
+function recordPlanSync(cwd, planKey, record) {
+  const current = readSyncState(cwd);
+  const next = {
+    ...current,
+    plans: { ...(current.plans || {}), [planKey]: JSON.parse(JSON.stringify(record)) },
+  };
   writeSyncState(cwd, next);
   return next;
 }
@@ -178,12 +205,25 @@ function getLastSync(cwd, objectiveId) {
   return state.objectives[objectiveId] || null;
 }
 
+/** Sub-issue baselines for one objective: { '<plan stem>': record }. */
+function getPlanSyncs(cwd, objectiveId) {
+  const plans = readSyncState(cwd).plans || {};
+  const prefix = `${objectiveId}/`;
+  const out = {};
+  for (const [key, record] of Object.entries(plans)) {
+    if (key.startsWith(prefix)) out[key.slice(prefix.length)] = record;
+  }
+  return out;
+}
+
 module.exports = {
   readSyncState,
   writeSyncState,
   recordSync,
   hashFrontmatter,
   getLastSync,
+  recordPlanSync,
+  getPlanSyncs,
   // Internal helpers exposed for unit tests
   atomicWrite,
 };
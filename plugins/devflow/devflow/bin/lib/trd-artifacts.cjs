@@ -8,7 +8,14 @@
 // api-contract.cjs.
 //
 // Returns Array<{path, provides?, contains?, contains_also?[], states?[],
-//                tests?: {widget?, integration?, maestro?}}>
+//                exports?[], tests?: {widget?, integration?, maestro?}}>
+// Scalar values and inline-array items are unquoted ("a" / 'a' → a).
+
+function _unquote(v) {
+  const m = v.match(/^(["'])(.*)\1$/);
+  return m ? m[2] : v;
+}
+
 function parseMustHavesArtifacts(rawContent) {
   const fmMatch = rawContent.match(/^---\n([\s\S]*?)\n---/);
   if (!fmMatch) return [];
@@ -52,7 +59,7 @@ function parseMustHavesArtifacts(rawContent) {
     const itemStart = line.match(/^(\s+)-\s+path:\s*(.+)$/);
     if (itemStart) {
       if (current) entries.push(current);
-      current = { path: itemStart[2].trim() };
+      current = { path: _unquote(itemStart[2].trim()) };
       artifactBaseIndent = itemStart[1].length;
       inTests = false;
       continue;
@@ -79,21 +86,21 @@ function parseMustHavesArtifacts(rawContent) {
     }
 
     // Simple artifact sub-fields
-    const subField = line.match(/^\s+(provides|contains|contains_also|states):\s*(.*)$/);
+    const subField = line.match(/^\s+(provides|contains|contains_also|states|exports):\s*(.*)$/);
     if (subField) {
       const key = subField[1];
       const rawVal = subField[2].trim();
-      if (key === 'states' || key === 'contains_also') {
+      if (key === 'states' || key === 'contains_also' || key === 'exports') {
         const inlineArr = rawVal.match(/^\[(.*)\]$/);
         if (inlineArr) {
-          current[key] = inlineArr[1].split(',').map(s => s.trim()).filter(Boolean);
+          current[key] = inlineArr[1].split(',').map(s => _unquote(s.trim())).filter(Boolean);
         } else if (rawVal) {
-          current[key] = [rawVal];
+          current[key] = [_unquote(rawVal)];
         } else {
           current[key] = [];
         }
       } else {
-        current[key] = rawVal;
+        current[key] = _unquote(rawVal);
       }
     }
   }
@@ -101,4 +108,50 @@ function parseMustHavesArtifacts(rawContent) {
   return entries.filter(e => e.path);
 }
 
-module.exports = { parseMustHavesArtifacts };
+// parseMustHavesKeyLinks(rawContent) — same raw-FM scan for must_haves.key_links.
+//
+// Returns Array<{from, to?, via?, pattern?}>
+function parseMustHavesKeyLinks(rawContent) {
+  const fmMatch = rawContent.match(/^---\n([\s\S]*?)\n---/);
+  if (!fmMatch) return [];
+  const lines = fmMatch[1].split('\n');
+
+  let inMustHaves = false;
+  let inLinks = false;
+  const entries = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (/^must_haves:\s*$/.test(line)) {
+      inMustHaves = true; inLinks = false;
+      continue;
+    }
+    if (!inMustHaves) continue;
+    if (/^\S/.test(line)) break;
+
+    if (/^\s{2}key_links:\s*$/.test(line)) {
+      inLinks = true;
+      continue;
+    }
+    if (/^\s{2}\S/.test(line)) {
+      inLinks = false;
+      continue;
+    }
+    if (!inLinks) continue;
+
+    // Link list item: "    - from: X" (any field may come first)
+    const itemStart = line.match(/^\s+-\s+(from|to|via|pattern):\s*(.*)$/);
+    if (itemStart) {
+      if (current) entries.push(current);
+      current = { [itemStart[1]]: _unquote(itemStart[2].trim()) };
+      continue;
+    }
+    if (!current) continue;
+    const subField = line.match(/^\s+(from|to|via|pattern):\s*(.*)$/);
+    if (subField) current[subField[1]] = _unquote(subField[2].trim());
+  }
+  if (current) entries.push(current);
+  return entries.filter(e => e.from);
+}
+
+module.exports = { parseMustHavesArtifacts, parseMustHavesKeyLinks };
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Tests for lib/trd-artifacts.cjs — raw-FM scanners for must_haves.
+ *
+ *   TA-1: parseMustHavesArtifacts unquotes paths and reads exports lists
+ *   TA-2: parseMustHavesKeyLinks reads from / to / via / pattern and stops at
+ *         the next must_haves key or top-level key
+ *   TA-3: no frontmatter or no must_haves → []
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseMustHavesArtifacts, parseMustHavesKeyLinks } = require('./trd-artifacts.cjs');
+
+const TRD = [
+  '---',
+  'objective: 12-watch-rework',
+  'must_haves:',
+  '  truths:',
+  '    - "watch loop restarts cleanly"',
+  '  artifacts:',
+  '    - path: "lib/watch.cjs"',
+  '      provides: "watch loop"',
+  '      exports: ["startWatch", "stopWatch"]',
+  '    - path: lib/watch.test.cjs',
+  '      exports: startWatch',
+  '  key_links:',
+  '    - from: "lib/cli.cjs"',
+  '      to: "lib/watch.cjs"',
+  '      via: "require + startWatch"',
+  "      pattern: 'require.*watch'",
+  '    - to: lib/orphan.cjs',
+  '      from: lib/hooks.cjs',
+  'files_modified: [lib/watch.cjs]',
+  '---',
+  '',
+  'Body with must_haves: text that is not frontmatter.',
+].join('\n');
+
+test('TA-1: parseMustHavesArtifacts unquotes paths and reads exports lists', () => {
+  assert.deepStrictEqual(parseMustHavesArtifacts(TRD), [
+    { path: 'lib/watch.cjs', provides: 'watch loop', exports: ['startWatch', 'stopWatch'] },
+    { path: 'lib/watch.test.cjs', exports: ['startWatch'] },
+  ]);
+});
+
+test('TA-2: parseMustHavesKeyLinks reads from / to / via / pattern', () => {
+  assert.deepStrictEqual(parseMustHavesKeyLinks(TRD), [
+    { from: 'lib/cli.cjs', to: 'lib/watch.cjs', via: 'require + startWatch', pattern: 'require.*watch' },
+    { to: 'lib/orphan.cjs', from: 'lib/hooks.cjs' },
+  ]);
+});
+
+test('TA-3: no frontmatter or no must_haves → []', () => {
+  assert.deepStrictEqual(parseMustHavesArtifacts('# just a heading\n'), []);
+  assert.deepStrictEqual(parseMustHavesKeyLinks('# just a heading\n'), []);
+  assert.deepStrictEqual(parseMustHavesKeyLinks('---\nobjective: x\n---\n'), []);
+});
@@ -8,6 +8,15 @@
  * $DEVFLOW_WATCH_ALLOW_FILE). The daemon NEVER runs anything outside the
  * combined allowlist; the deny-list is a belt-and-braces sanity check.
  *
+ * A repo may ship <root>/.devflow/watch-allow.json:
+ *   remove:   ["<label>", ...]              — drop inherited entries
+ *   deny:     [{ label, pattern }, ...]     — reject even if allowed
+ *   commands: [{ label, pattern, skipIf }]  — additions
+ * `remove` and `deny` only narrow and always apply. `commands` apply only
+ * once the user approves them (`devflow-watch allowlist approve`), which
+ * records their hash in ~/.devflow/watch-allow-approvals.json (override:
+ * $DEVFLOW_WATCH_APPROVALS_FILE); editing them withdraws the approval.
+ *
  * NOTE: regex semantics here mirror gate-interactive.js (CMD_POS prefix so
  * we only match at command position). The same skipIf-style guards apply
  * (e.g. `gh auth login --with-token` is rejected because it doesn't need
@@ -17,8 +26,10 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 const MAX_CMD_LEN = 4096;
+const PROJECT_ALLOW_FILE = path.join('.devflow', 'watch-allow.json');
 
 // CMD_POS: same shape as gate-interactive.js so the allowlist agrees with
 // what the hook detects.
@@ -78,8 +89,8 @@ const DENY_PATTERNS = [
 ];
 
 function defaultAllowlist() {
-  // Return a shallow copy so callers can extend without mutating the module.
-  return DEFAULT_PATTERNS.slice();
+  // Return copies so callers can extend without mutating the module.
+  return DEFAULT_PATTERNS.map((p) => ({ ...p, source: 'default' }));
 }
 
 function denyHit(cmd) {
@@ -89,35 +100,71 @@ function denyHit(cmd) {
   return null;
 }
 
+function toRegExp(match) {
+  return match instanceof RegExp ? match : new RegExp(match);
+}
+
+function describeRule(p, kind) {
+  const rule = { kind, label: p.label, source: p.source || 'default', pattern: toRegExp(p.match).source };
+  if (kind === 'skipIf') rule.skipIf = p.skipIf.source;
+  return rule;
+}
+
 /**
- * Validate a command against an allowlist.
+ * Explain how `cmd` is decided against an allowlist — the entry that
+ * matched, or the guard / project deny / skipIf rule that rejected it.
+ * Order: built-in guards, project deny entries, then allow entries (first
+ * match wins; later matches are listed in `also_matched`).
  *
- * @returns {{ ok: true, matched: string } | { ok: false, reason: string }}
+ * @returns {{ ok: boolean, reason: string|null, matched: string|null,
+ *             rule: { kind: 'allow'|'skipIf'|'deny'|'guard', label, source,
+ *                     pattern, skipIf? }|null,
+ *             also_matched: string[] }}
  */
-function validateCommand(cmd, allowlist) {
+function explainCommand(cmd, allowlist) {
+  const result = (ok, reason, rule = null, also = []) => ({
+    ok, reason, matched: ok ? rule.label : null, rule, also_matched: also,
+  });
   if (!cmd || !cmd.trim()) {
-    return { ok: false, reason: 'empty command' };
+    return result(false, 'empty command');
   }
   if (cmd.length > MAX_CMD_LEN) {
-    return { ok: false, reason: `command too long (length ${cmd.length} > ${MAX_CMD_LEN})` };
+    return result(false, `command too long (length ${cmd.length} > ${MAX_CMD_LEN})`);
   }
   const denied = denyHit(cmd);
   if (denied) {
-    return { ok: false, reason: `denied by guard: ${denied.label}` };
-  }
-  if (!Array.isArray(allowlist) || allowlist.length === 0) {
-    return { ok: false, reason: 'allowlist empty' };
+    return result(false, `denied by guard: ${denied.label}`, { ...describeRule(denied, 'guard'), source: 'builtin' });
   }
-  // Check curated patterns first — they may have skipIf semantics.
-  for (const p of allowlist) {
-    const m = p.match instanceof RegExp ? p.match : new RegExp(p.match);
-    if (!m.test(cmd)) continue;
-    if (p.skipIf && p.skipIf.test(cmd)) {
-      return { ok: false, reason: `non-interactive form not needed for handoff (matched skipIf for "${p.label}")` };
+  const list = Array.isArray(allowlist) ? allowlist : [];
+  for (const p of list) {
+    if (p.deny && toRegExp(p.match).test(cmd)) {
+      return result(false, `denied by project rule: ${p.label}`, describeRule(p, 'deny'));
     }
-    return { ok: true, matched: p.label };
   }
-  return { ok: false, reason: 'command does not match the daemon allowlist' };
+  const allow = list.filter((p) => !p.deny);
+  if (allow.length === 0) {
+    return result(false, 'allowlist empty');
+  }
+  const hits = allow.filter((p) => toRegExp(p.match).test(cmd));
+  if (hits.length === 0) {
+    return result(false, 'command does not match the daemon allowlist');
+  }
+  const [p, ...rest] = hits;
+  const also = rest.map((r) => r.label);
+  if (p.skipIf && p.skipIf.test(cmd)) {
+    return result(false, `non-interactive form not needed for handoff (matched skipIf for "${p.label}")`, describeRule(p, 'skipIf'), also);
+  }
+  return result(true, null, describeRule(p, 'allow'), also);
+}
+
+/**
+ * Validate a command against an allowlist.
+ *
+ * @returns {{ ok: true, matched: string } | { ok: false, reason: string }}
+ */
+function validateCommand(cmd, allowlist) {
+  const r = explainCommand(cmd, allowlist);
+  return r.ok ? { ok: true, matched: r.matched } : { ok: false, reason: r.reason };
 }
 
 function userAllowFilePath() {
@@ -128,44 +175,335 @@ function userAllowFilePath() {
   return path.join(home, '.devflow', 'devflow-watch-allow.json');
 }
 
+// Approvals live under HOME, not in the repo, so a checkout can't approve
+// its own additions.
+function approvalsFilePath() {
+  if (process.env.DEVFLOW_WATCH_APPROVALS_FILE) {
+    return process.env.DEVFLOW_WATCH_APPROVALS_FILE;
+  }
+  const home = process.env.HOME || os.homedir();
+  return path.join(home, '.devflow', 'watch-allow-approvals.json');
+}
+
+function projectAllowFilePath(projectRoot) {
+  return path.join(path.resolve(projectRoot), PROJECT_ALLOW_FILE);
+}
+
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) return { exists: false, data: null, error: null };
+  try {
+    return { exists: true, data: JSON.parse(fs.readFileSync(file, 'utf8')), error: null };
+  } catch (e) {
+    return { exists: true, data: null, error: e.message };
+  }
+}
+
+function asArray(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+// Compile one `commands` / `deny` entry of an allow file. Returns { entry }
+// or { error } — a bad regex is reported, not silently dropped.
+function compileEntry(raw, source, where) {
+  const label = raw && typeof raw.label === 'string' && raw.label
+    ? raw.label
+    : (raw && typeof raw.pattern === 'string' ? raw.pattern : null);
+  const fail = (message) => ({ error: { source, where, label, message } });
+  if (!raw || typeof raw.pattern !== 'string' || !raw.pattern) {
+    return fail('pattern must be a non-empty string');
+  }
+  let match;
+  try { match = new RegExp(raw.pattern); } catch (e) { return fail(`invalid pattern: ${e.message}`); }
+  let skipIf = null;
+  if (raw.skipIf != null && raw.skipIf !== '') {
+    if (typeof raw.skipIf !== 'string') return fail('skipIf must be a string');
+    try { skipIf = new RegExp(raw.skipIf); } catch (e) { return fail(`invalid skipIf: ${e.message}`); }
+  }
+  return { entry: { label, match, skipIf, source } };
+}
+
+/**
+ * Hash of a project file's `commands` (label / pattern / skipIf only), as
+ * recorded by `devflow-watch allowlist approve`. Any edit to the additions
+ * changes the hash and withdraws the approval.
+ */
+function additionsHash(commands) {
+  const canonical = asArray(commands).map((c) => (c && typeof c === 'object'
+    ? { label: c.label ?? null, pattern: c.pattern ?? null, skipIf: c.skipIf ?? null }
+    : c));
+  return 'sha256:' + crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+function readApprovals() {
+  const { data } = readJsonFile(approvalsFilePath());
+  return data && data.projects && typeof data.projects === 'object' ? data.projects : {};
+}
+
+// Apply <root>/.devflow/watch-allow.json to a loadAllowlist result. `remove`
+// and `deny` only narrow and always apply; `commands` are added only when
+// their hash matches the recorded approval (or `includeUnapproved`, for lint).
+function applyProjectFile(result, root, { includeUnapproved = false } = {}) {
+  const project = {
+    root,
+    file: projectAllowFilePath(root),
+    exists: false,
+    degraded: false,
+    hash: null,
+    approved: false,
+    approved_at: null,
+    pending_approval: false,
+    additions: 0,
+    denied: 0,
+    removed: [],
+    unknown_removals: [],
+  };
+  result.project = project;
+  const { exists, data, error } = readJsonFile(project.file);
+  if (!exists) return;
+  project.exists = true;
+  if (error || !data || typeof data !== 'object') {
+    project.degraded = true;
+    return;
+  }
+
+  for (const label of asArray(data.remove).map(String)) {
+    const before = result.allowlist.length;
+    result.allowlist = result.allowlist.filter((p) => p.label !== label);
+    (result.allowlist.length < before ? project.removed : project.unknown_removals).push(label);
+  }
+  for (const [i, raw] of asArray(data.deny).entries()) {
+    const c = compileEntry(raw, 'project', `deny[${i}]`);
+    if (c.error) { result.errors.push(c.error); continue; }
+    result.allowlist.push({ label: c.entry.label, match: c.entry.match, source: 'project', deny: true });
+    project.denied += 1;
+  }
+
+  const commands = asArray(data.commands);
+  if (commands.length === 0) return;
+  project.hash = additionsHash(commands);
+  const approval = readApprovals()[root];
+  project.approved = !!approval && approval.hash === project.hash;
+  project.approved_at = project.approved ? approval.approved_at || null : null;
+  project.pending_approval = !project.approved;
+  if (!project.approved && !includeUnapproved) return;
+  for (const [i, raw] of commands.entries()) {
+    const c = compileEntry(raw, 'project', `commands[${i}]`);
+    if (c.error) { result.errors.push(c.error); continue; }
+    if (!project.approved) c.entry.pending = true;
+    result.allowlist.push(c.entry);
+    project.additions += 1;
+    result.projectPatterns += 1;
+  }
+}
+
+/**
+ * Load the combined allowlist: default + user file, then — when a project
+ * root is given — its .devflow/watch-allow.json. Invalid entries are skipped
+ * and listed in `errors` ({ source, where, label, message }).
+ *
+ * @param {string} [projectRoot]
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeUnapproved] — add unapproved project
+ *   commands too (marked `pending`); lint only, never for dispatch
+ * @returns {{ allowlist, userPatterns, degraded, projectPatterns, errors,
+ *             project: object|null }}
+ */
+function loadAllowlist(projectRoot, opts = {}) {
+  const result = {
+    allowlist: defaultAllowlist(),
+    userPatterns: 0,
+    degraded: false,
+    projectPatterns: 0,
+    errors: [],
+    project: null,
+  };
+  const user = readJsonFile(userAllowFilePath());
+  if (user.error) {
+    result.degraded = true;
+  } else if (user.data) {
+    for (const [i, raw] of asArray(user.data.commands).entries()) {
+      const c = compileEntry(raw, 'user', `commands[${i}]`);
+      if (c.error) { result.errors.push(c.error); continue; }
+      result.allowlist.push(c.entry);
+      result.userPatterns += 1;
+    }
+  }
+  if (projectRoot) applyProjectFile(result, path.resolve(projectRoot), opts);
+  return result;
+}
+
 /**
- * Load the combined allowlist (default + user).
+ * Record approval of a project's additions: stores the hash of its
+ * `commands` in the approvals file. Throws when there is nothing valid to
+ * approve.
  *
- * @returns {{ allowlist, userPatterns, degraded }}
+ * @param {string} projectRoot
+ * @returns {{ project, file, approvals_file, hash, approved_at, commands }}
  */
-function loadAllowlist() {
-  const allowlist = defaultAllowlist();
-  const userFile = userAllowFilePath();
-  if (!fs.existsSync(userFile)) {
-    return { allowlist, userPatterns: 0, degraded: false };
+function approveProjectAllowlist(projectRoot) {
+  const root = path.resolve(projectRoot);
+  const file = projectAllowFilePath(root);
+  const read = readJsonFile(file);
+  if (!read.exists) throw new Error(`no project allow file at ${file}`);
+  if (read.error || !read.data || typeof read.data !== 'object') throw new Error(`${file} is not valid JSON`);
+  const commands = asArray(read.data.commands);
+  if (commands.length === 0) throw new Error(`${file} adds no commands — nothing to approve`);
+  for (const [i, raw] of commands.entries()) {
+    const c = compileEntry(raw, 'project', `commands[${i}]`);
+    if (c.error) throw new Error(`${file} ${c.error.where}: ${c.error.message}`);
   }
-  let parsed;
+
+  const approvalsFile = approvalsFilePath();
+  const current = readJsonFile(approvalsFile);
+  if (current.error) throw new Error(`${approvalsFile} is not valid JSON; fix or remove it first`);
+  const data = current.data && current.data.projects && typeof current.data.projects === 'object'
+    ? current.data
+    : { projects: {} };
+  const record = {
+    hash: additionsHash(commands),
+    approved_at: new Date().toISOString(),
+    commands: commands.map((c) => c.label || c.pattern),
+  };
+  data.projects[root] = record;
+  fs.mkdirSync(path.dirname(approvalsFile), { recursive: true });
+  const tmp = `${approvalsFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, approvalsFile);
+  return { project: root, file, approvals_file: approvalsFile, ...record };
+}
+
+// Commands no added entry should accept — one matching marks the entry as
+// overly broad.
+const BROAD_PROBES = [
+  'ls -la',
+  'cat ~/.ssh/id_rsa',
+  'rm -rf build',
+  'git push --force',
+  'node -e "process.exit(0)"',
+  'python3 -c "print(1)"',
+  'bash -c "id"',
+];
+
+/**
+ * Lint the user + project allow files. Findings ({ level, code, source,
+ * label, message }):
+ *   error  invalid         — malformed file or bad pattern / skipIf regex
+ *   warn   broad           — matches unrelated probe commands
+ *   warn   unanchored      — no ^ / command-position anchor
+ *   warn   shadowed        — an earlier entry matches first
+ *   warn   denied          — always rejected by a guard or project deny
+ *   warn   unknown-remove  — `remove` names no inherited entry
+ *   warn   unapproved      — project additions await approval
+ * Default entries are not linted but do shadow later ones.
+ *
+ * @param {string} [projectRoot]
+ * @returns {{ ok: boolean, project: string|null, entries: number, denied: number, findings: Array }}
+ */
+function lintAllowlist(projectRoot) {
+  const loaded = loadAllowlist(projectRoot, { includeUnapproved: true });
+  const { project } = loaded;
+  const findings = [];
+  const add = (level, code, source, label, message) => findings.push({ level, code, source, label, message });
+
+  if (loaded.degraded) add('error', 'invalid', 'user', null, `${userAllowFilePath()} is not valid JSON — user patterns ignored`);
+  if (project && project.degraded) add('error', 'invalid', 'project', null, `${project.file} is not valid JSON — project rules ignored`);
+  for (const e of loaded.errors) add('error', 'invalid', e.source, e.label, `${e.where}: ${e.message}`);
+  if (project) {
+    for (const label of project.unknown_removals) {
+      add('warn', 'unknown-remove', 'project', label, `remove: no inherited entry labelled "${label}"`);
+    }
+    if (project.pending_approval) {
+      add('warn', 'unapproved', 'project', null, `project commands (${project.hash}) are not approved — run \`devflow-watch allowlist approve\``);
+    }
+  }
+
+  const allow = loaded.allowlist.filter((p) => !p.deny);
+  const denies = loaded.allowlist.filter((p) => p.deny);
+  allow.forEach((p, i) => {
+    if (p.source === 'default') return;
+    const src = p.match.source;
+    const broad = BROAD_PROBES.filter((cmd) => p.match.test(cmd));
+    if (broad.length > 0) {
+      add('warn', 'broad', p.source, p.label, `matches unrelated commands: ${broad.join(', ')}`);
+    } else if (!src.startsWith('^') && !src.startsWith(CMD_POS)) {
+      add('warn', 'unanchored', p.source, p.label, 'not anchored with ^ — matches anywhere in the command line');
+    }
+    // The label is the best sample of what the entry is for.
+    const sample = p.match.test(p.label) ? p.label : null;
+    const earlier = allow.slice(0, i).find((q) => q.match.source === src || (sample && q.match.test(sample)));
+    if (earlier) {
+      add('warn', 'shadowed', p.source, p.label, `shadowed by "${earlier.label}" (${earlier.source || 'default'}), which matches first`);
+    }
+    const blocker = sample && (denyHit(sample) || denies.find((d) => d.match.test(sample)));
+    if (blocker) {
+      add('warn', 'denied', p.source, p.label, `always rejected by ${blocker.deny ? 'project deny' : 'guard'} "${blocker.label}"`);
+    }
+  });
+
+  return {
+    ok: !findings.some((f) => f.level === 'error'),
+    project: project ? project.file : null,
+    entries: allow.length,
+    denied: denies.length,
+    findings,
+  };
+}
+
+function fileSig(file) {
   try {
-    parsed = JSON.parse(fs.readFileSync(userFile, 'utf8'));
+    const st = fs.statSync(file);
+    return `${st.mtimeMs}:${st.size}`;
   } catch {
-    return { allowlist, userPatterns: 0, degraded: true };
+    return '-';
   }
-  const commands = (parsed && Array.isArray(parsed.commands)) ? parsed.commands : [];
-  let added = 0;
-  for (const entry of commands) {
-    if (!entry || typeof entry.pattern !== 'string') continue;
-    let re;
-    try { re = new RegExp(entry.pattern); } catch { continue; }
-    allowlist.push({
-      label: entry.label || entry.pattern,
-      match: re,
-      skipIf: entry.skipIf ? new RegExp(entry.skipIf) : null,
-    });
-    added += 1;
-  }
-  return { allowlist, userPatterns: added, degraded: false };
+}
+
+/**
+ * Per-project allowlist cache for the daemon. A project's allowlist is
+ * reloaded when the user file, the approvals file or its project file
+ * changes, so edits and approvals apply without a restart.
+ *
+ * @param {function} [log] — (level, msg)
+ * @returns {function(string): Array} projectRoot → allowlist
+ */
+function createAllowlistLoader(log = () => {}) {
+  const cache = new Map(); // root → { sig, allowlist }
+  return function allowlistFor(projectRoot) {
+    const root = path.resolve(projectRoot);
+    const sig = [userAllowFilePath(), approvalsFilePath(), projectAllowFilePath(root)].map(fileSig).join('|');
+    const hit = cache.get(root);
+    if (hit && hit.sig === sig) return hit.allowlist;
+
+    const loaded = loadAllowlist(root);
+    const { project } = loaded;
+    if (project.degraded) log('warn', `${project.file} malformed; project rules ignored`);
+    for (const e of loaded.errors.filter((x) => x.source === 'project')) {
+      log('warn', `${project.file} ${e.where}: ${e.message}; entry ignored`);
+    }
+    if (project.pending_approval) {
+      log('warn', `${project.file} adds commands that are not approved; run \`devflow-watch allowlist approve --project ${root}\``);
+    }
+    if (project.exists) {
+      log('info', `allowlist for ${root}: size=${loaded.allowlist.length} (${project.additions} added, ${project.denied} denied, ${project.removed.length} removed by project)`);
+    }
+    cache.set(root, { sig, allowlist: loaded.allowlist });
+    return loaded.allowlist;
+  };
 }
 
 module.exports = {
   defaultAllowlist,
   loadAllowlist,
   validateCommand,
+  explainCommand,
+  lintAllowlist,
+  approveProjectAllowlist,
+  createAllowlistLoader,
+  additionsHash,
+  projectAllowFilePath,
+  approvalsFilePath,
   CMD_POS,
   MAX_CMD_LEN,
   DENY_PATTERNS,
+  PROJECT_ALLOW_FILE,
 };
@@ -12,6 +12,14 @@
  *  10. shell-flow patterns pass
  *  11. interactive patterns pass
  *  12. skipIf semantics for `gh auth login --with-token`
+ *
+ * Project allow files (.devflow/watch-allow.json):
+ *   PA-1: remove / deny narrow without approval
+ *   PA-2: commands apply only once approved; editing them withdraws approval
+ *   PA-3: explainCommand names the matched entry, skipIf, deny and guard rules
+ *   PA-4: invalid regexes (pattern or skipIf) are reported, not fatal
+ *   PA-5: lint — invalid, broad, unanchored, shadowed, denied, unknown remove
+ *   PA-6: createAllowlistLoader reloads when the project file changes
  */
 
 const { test, describe, beforeEach, afterEach } = require('node:test');
@@ -30,14 +38,18 @@ function tmpHome() {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-allow-'));
   const prevHome = process.env.HOME;
   const prevAllow = process.env.DEVFLOW_WATCH_ALLOW_FILE;
+  const prevApprovals = process.env.DEVFLOW_WATCH_APPROVALS_FILE;
   process.env.HOME = dir;
   delete process.env.DEVFLOW_WATCH_ALLOW_FILE;
+  delete process.env.DEVFLOW_WATCH_APPROVALS_FILE;
   return {
     dir,
     cleanup() {
       if (prevHome === undefined) delete process.env.HOME; else process.env.HOME = prevHome;
       if (prevAllow === undefined) delete process.env.DEVFLOW_WATCH_ALLOW_FILE;
       else process.env.DEVFLOW_WATCH_ALLOW_FILE = prevAllow;
+      if (prevApprovals === undefined) delete process.env.DEVFLOW_WATCH_APPROVALS_FILE;
+      else process.env.DEVFLOW_WATCH_APPROVALS_FILE = prevApprovals;
       fs.rmSync(dir, { recursive: true, force: true });
     },
   };
@@ -204,3 +216,167 @@ describe('watcher-allowlist — user allowlist file', () => {
     assert.equal(r.userPatterns, 1, 'one valid, one dropped');
   });
 });
+
+// ---------------------------------------------------------------------------
+// PA. Project allow files
+// ---------------------------------------------------------------------------
+
+describe('watcher-allowlist — project allow file', () => {
+  let h;
+  let root;
+  beforeEach(() => {
+    h = tmpHome();
+    root = path.join(h.dir, 'repo');
+    fs.mkdirSync(path.join(root, '.devflow'), { recursive: true });
+  });
+  afterEach(() => { h.cleanup(); });
+
+  function writeProject(obj) {
+    fs.writeFileSync(path.join(root, '.devflow', 'watch-allow.json'), typeof obj === 'string' ? obj : JSON.stringify(obj));
+  }
+
+  function writeUser(obj) {
+    const userFile = path.join(h.dir, '.devflow', 'devflow-watch-allow.json');
+    fs.mkdirSync(path.dirname(userFile), { recursive: true });
+    fs.writeFileSync(userFile, JSON.stringify(obj));
+  }
+
+  test('PA-1: remove / deny narrow without approval', () => {
+    writeProject({
+      remove: ['npm login', 'no such entry'],
+      deny: [{ label: 'mise in prod', pattern: 'mise\\s+install\\s+.*prod' }],
+    });
+    const r = lib.loadAllowlist(root);
+    assert.deepStrictEqual(r.project.removed, ['npm login']);
+    assert.deepStrictEqual(r.project.unknown_removals, ['no such entry']);
+    assert.equal(r.project.pending_approval, false);
+    assert.equal(lib.validateCommand('npm login', r.allowlist).ok, false);
+    assert.equal(lib.validateCommand('mise install', r.allowlist).ok, true);
+    const v = lib.validateCommand('mise install node@prod', r.allowlist);
+    assert.deepStrictEqual(v, { ok: false, reason: 'denied by project rule: mise in prod' });
+    // Without a project root the file is not consulted.
+    assert.equal(lib.validateCommand('npm login', lib.loadAllowlist().allowlist).ok, true);
+  });
+
+  test('PA-2: commands apply only once approved; editing them withdraws approval', () => {
+    const commands = [{ label: 'make deploy', pattern: '^make deploy$' }];
+    writeProject({ commands });
+    let r = lib.loadAllowlist(root);
+    assert.equal(r.project.pending_approval, true);
+    assert.equal(r.projectPatterns, 0);
+    assert.equal(lib.validateCommand('make deploy', r.allowlist).ok, false);
+
+    const approved = lib.approveProjectAllowlist(root);
+    assert.equal(approved.hash, lib.additionsHash(commands));
+    assert.deepStrictEqual(approved.commands, ['make deploy']);
+    assert.equal(approved.approvals_file, path.join(h.dir, '.devflow', 'watch-allow-approvals.json'));
+    r = lib.loadAllowlist(root);
+    assert.equal(r.project.approved, true);
+    assert.equal(r.projectPatterns, 1);
+    assert.deepStrictEqual(lib.validateCommand('make deploy', r.allowlist), { ok: true, matched: 'make deploy' });
+
+    writeProject({ commands: [{ label: 'make deploy', pattern: '^make' }] });
+    r = lib.loadAllowlist(root);
+    assert.equal(r.project.approved, false);
+    assert.equal(r.project.pending_approval, true);
+    assert.equal(lib.validateCommand('make deploy', r.allowlist).ok, false);
+  });
+
+  test('PA-3: explainCommand names the matched entry, skipIf, deny and guard rules', () => {
+    writeUser({ commands: [{ label: 'mise everything', pattern: '^mise ' }] });
+    writeProject({ deny: [{ label: 'no vault', pattern: '^vault ' }] });
+    const { allowlist } = lib.loadAllowlist(root);
+
+    const ok = lib.explainCommand('mise install', allowlist);
+    assert.equal(ok.ok, true);
+    assert.equal(ok.matched, 'mise install');
+    assert.equal(ok.rule.kind, 'allow');
+    assert.equal(ok.rule.source, 'default');
+    assert.deepStrictEqual(ok.also_matched, ['mise everything']);
+
+    const skip = lib.explainCommand('gh auth login --with-token', allowlist);
+    assert.equal(skip.rule.kind, 'skipIf');
+    assert.equal(skip.rule.label, 'gh auth login');
+    assert.equal(skip.rule.skipIf, '--with-token\\b');
+
+    const deny = lib.explainCommand('vault login', allowlist);
+    assert.deepStrictEqual(deny.rule, { kind: 'deny', label: 'no vault', source: 'project', pattern: '^vault ' });
+
+    const guard = lib.explainCommand('sudo mise install', allowlist);
+    assert.equal(guard.rule.kind, 'guard');
+    assert.equal(guard.rule.source, 'builtin');
+    assert.equal(guard.reason, 'denied by guard: sudo');
+
+    const none = lib.explainCommand('ls', allowlist);
+    assert.equal(none.rule, null);
+    assert.equal(none.reason, 'command does not match the daemon allowlist');
+  });
+
+  test('PA-4: invalid regexes (pattern or skipIf) are reported, not fatal', () => {
+    writeUser({ commands: [
+      { label: 'bad skip', pattern: '^cargo build$', skipIf: '(' },
+      { label: 'bad pattern', pattern: '[' },
+      { label: 'cargo test', pattern: '^cargo test$' },
+    ] });
+    const r = lib.loadAllowlist();
+    assert.equal(r.userPatterns, 1);
+    assert.deepStrictEqual(r.errors.map((e) => [e.source, e.where, e.label]), [
+      ['user', 'commands[0]', 'bad skip'],
+      ['user', 'commands[1]', 'bad pattern'],
+    ]);
+    assert.match(r.errors[0].message, /^invalid skipIf:/);
+    assert.match(r.errors[1].message, /^invalid pattern:/);
+  });
+
+  test('PA-5: lint — invalid, broad, unanchored, shadowed, denied, unknown remove', () => {
+    writeUser({ commands: [
+      { label: 'anything', pattern: '.*' },
+      { label: 'terraform apply', pattern: 'terraform apply' },
+      { label: 'mise install', pattern: '^mise install' },
+      { label: 'sudo mise', pattern: '^sudo mise' },
+    ] });
+    writeProject({
+      remove: ['nope'],
+      commands: [{ label: 'broken', pattern: '(' }],
+    });
+    const r = lib.lintAllowlist(root);
+    assert.equal(r.ok, false);
+    const codes = r.findings.map((f) => `${f.level}:${f.code}:${f.label}`);
+    assert.deepStrictEqual(codes.sort(), [
+      'error:invalid:broken',
+      'warn:broad:anything',
+      'warn:denied:sudo mise',
+      'warn:shadowed:mise install',
+      'warn:shadowed:sudo mise',
+      'warn:shadowed:terraform apply',
+      'warn:unanchored:terraform apply',
+      'warn:unapproved:null',
+      'warn:unknown-remove:nope',
+    ]);
+    const shadow = r.findings.find((f) => f.code === 'shadowed' && f.label === 'mise install');
+    assert.match(shadow.message, /shadowed by "mise install" \(default\)/);
+
+    writeUser({ commands: [{ label: 'make deploy', pattern: '^make deploy$' }] });
+    fs.rmSync(path.join(root, '.devflow', 'watch-allow.json'));
+    assert.deepStrictEqual(lib.lintAllowlist(root), {
+      ok: true, project: path.join(root, '.devflow', 'watch-allow.json'),
+      entries: lib.defaultAllowlist().length + 1, denied: 0, findings: [],
+    });
+  });
+
+  test('PA-6: createAllowlistLoader reloads when the project file changes', () => {
+    const logs = [];
+    const allowlistFor = lib.createAllowlistLoader((level, msg) => logs.push(`${level} ${msg}`));
+    const first = allowlistFor(root);
+    assert.equal(allowlistFor(root), first, 'cached while nothing changed');
+    assert.equal(lib.validateCommand('npm login', first).ok, true);
+
+    writeProject({ remove: ['npm login'], commands: [{ label: 'x', pattern: '^x$' }] });
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(root, '.devflow', 'watch-allow.json'), future, future);
+    const second = allowlistFor(root);
+    assert.notEqual(second, first);
+    assert.equal(lib.validateCommand('npm login', second).ok, false);
+    assert.ok(logs.some((l) => /^warn .*not approved/.test(l)), logs.join('\n'));
+  });
+});
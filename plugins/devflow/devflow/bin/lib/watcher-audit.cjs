@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * watcher-audit — tamper-evident audit trail of what the devflow-watch
+ * daemon ran in the user's shell.
+ *
+ * One JSONL record per handoff that reaches a terminal state (ran, rejected,
+ * cancelled, failed to spawn) in
+ * ~/.devflow/devflow-watch-audit.jsonl (override: $DEVFLOW_WATCH_AUDIT_FILE):
+ *
+ *   { v, seq, ts, id, project, cmd, allowlist_label, status, exit_code,
+ *     duration_ms, redactions, prev_hash, hash }
+ *
+ * `hash` is HMAC-SHA256 over the record's JSON without `hash`, keyed with a
+ * random secret in ~/.devflow/devflow-watch-audit.key (override:
+ * $DEVFLOW_WATCH_AUDIT_KEY_FILE; created 0600 on first append). `prev_hash`
+ * is the previous record's hash (GENESIS_HASH for the first). Editing a
+ * record breaks its hash, and deleting one leaves a seq gap plus a prev_hash
+ * mismatch. `<file>.head` keeps the last { seq, hash } plus its own MAC so
+ * that cutting records off the end is caught too. verifyAuditLog reports all
+ * three.
+ *
+ * Without the key nobody can produce a chain that verifies, so the log is
+ * tamper-evident against anyone who can write it but not read the key.
+ * Whoever can read the key (by default the daemon's own user) can rewrite
+ * the whole chain; ship the log off the machine when that matters.
+ *
+ * Records hold the command and a count of redacted secret occurrences,
+ * never output or secret values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const AUDIT_VERSION = 2;
+const GENESIS_HASH = '0'.repeat(64);
+
+function auditLogPath() {
+  if (process.env.DEVFLOW_WATCH_AUDIT_FILE) {
+    return process.env.DEVFLOW_WATCH_AUDIT_FILE;
+  }
+  const home = process.env.HOME || os.homedir();
+  return path.join(home, '.devflow', 'devflow-watch-audit.jsonl');
+}
+
+function auditKeyPath() {
+  if (process.env.DEVFLOW_WATCH_AUDIT_KEY_FILE) {
+    return process.env.DEVFLOW_WATCH_AUDIT_KEY_FILE;
+  }
+  const home = process.env.HOME || os.homedir();
+  return path.join(home, '.devflow', 'devflow-watch-audit.key');
+}
+
+function headPath(file) {
+  return `${file}.head`;
+}
+
+/**
+ * Read the chain key, or null when there is none. With `create`, a missing
+ * key is generated (32 random bytes, hex, mode 0600); 'wx' makes a racing
+ * writer read the winner's key instead of replacing it.
+ */
+function loadKey(keyFile, { create = false } = {}) {
+  try {
+    const key = fs.readFileSync(keyFile, 'utf8').trim();
+    if (key) return key;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (!create) return null;
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  try {
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600, flag: 'wx' });
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+  return loadKey(keyFile);
+}
+
+function hmac(key, text) {
+  return crypto.createHmac('sha256', key).update(text).digest('hex');
+}
+
+/** HMAC-SHA256 of a record's JSON with its `hash` field left out. */
+function hashRecord(rec, key) {
+  const rest = { ...rec };
+  delete rest.hash;
+  return hmac(key, JSON.stringify(rest));
+}
+
+function headMac(head, key) {
+  return hmac(key, `head:${head.seq}:${head.hash}`);
+}
+
+// A head whose MAC does not check out is treated as absent.
+function readHead(file, key) {
+  try {
+    const head = JSON.parse(fs.readFileSync(headPath(file), 'utf8'));
+    if (!Number.isInteger(head.seq) || typeof head.hash !== 'string') return null;
+    return head.mac === headMac(head, key) ? { seq: head.seq, hash: head.hash } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Fallback when the head file is missing: the last parseable record.
+function lastRecord(file) {
+  let lines;
+  try { lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean); } catch { return null; }
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try {
+      const rec = JSON.parse(lines[i]);
+      if (Number.isInteger(rec.seq) && typeof rec.hash === 'string') return { seq: rec.seq, hash: rec.hash };
+    } catch { /* keep looking */ }
+  }
+  return null;
+}
+
+/**
+ * Open the audit log for appending. `append(entry)` chains `entry` onto the
+ * last record and returns the written record. The caller decides how to
+ * handle a throw; the daemon logs it and carries on.
+ *
+ * @param {string} [file]
+ * @param {object} [opts]
+ * @param {string} [opts.keyFile] — chain key (default auditKeyPath())
+ * @returns {{ path: string, append(entry: object): object }}
+ */
+function openAuditLog(file = auditLogPath(), { keyFile = auditKeyPath() } = {}) {
+  return {
+    path: file,
+    append(entry) {
+      const key = loadKey(keyFile, { create: true });
+      // The head wins over the file's last line, so a truncated log keeps
+      // chaining from the true tip and verify reports the gap.
+      const prev = readHead(file, key) || lastRecord(file) || { seq: 0, hash: GENESIS_HASH };
+      const rec = {
+        v: AUDIT_VERSION,
+        seq: prev.seq + 1,
+        ts: new Date().toISOString(),
+        ...entry,
+        prev_hash: prev.hash,
+      };
+      rec.hash = hashRecord(rec, key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(rec) + '\n', { mode: 0o600 });
+      const tmp = `${headPath(file)}.${process.pid}.tmp`;
+      const head = { seq: rec.seq, hash: rec.hash };
+      fs.writeFileSync(tmp, JSON.stringify({ ...head, mac: headMac(head, key) }) + '\n', { mode: 0o600 });
+      fs.renameSync(tmp, headPath(file));
+      return rec;
+    },
+  };
+}
+
+/**
+ * Verify the hash chain. Problems ({ line, seq, id, kind, message }):
+ *   unparseable   — line is not a JSON record
+ *   edited        — record content does not match its hash
+ *   gap           — seq jumps (records deleted)
+ *   chain-break   — prev_hash is not the previous record's hash
+ *   truncated     — head file is ahead of the log (records cut off the end)
+ *   head-mismatch — head file disagrees with the last record, or its MAC
+ *                   does not verify
+ *   no-key        — the log has records but the chain key is missing
+ *
+ * @param {string} [file]
+ * @param {object} [opts]
+ * @param {string} [opts.keyFile] — chain key (default auditKeyPath())
+ * @returns {{ ok: boolean, file: string, records: number, last_seq: number|null,
+ *             last_hash: string|null, problems: Array }}
+ */
+function verifyAuditLog(file = auditLogPath(), { keyFile = auditKeyPath() } = {}) {
+  const out = { ok: true, file, records: 0, last_seq: null, last_hash: null, problems: [] };
+  const problem = (line, rec, kind, message) => {
+    out.problems.push({ line, seq: rec ? rec.seq ?? null : null, id: rec ? rec.id ?? null : null, kind, message });
+  };
+  let text = '';
+  try { text = fs.readFileSync(file, 'utf8'); } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const key = loadKey(keyFile);
+  if (!key) {
+    if (lines.length > 0) problem(null, null, 'no-key', `audit key ${keyFile} not found; the chain cannot be checked`);
+    out.ok = out.problems.length === 0;
+    return out;
+  }
+
+  let prev = { seq: 0, hash: GENESIS_HASH };
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+    let rec;
+    try { rec = JSON.parse(line); } catch { rec = null; }
+    if (!rec || typeof rec !== 'object' || !Number.isInteger(rec.seq) || typeof rec.hash !== 'string') {
+      problem(lineNo, null, 'unparseable', 'not an audit record');
+      return;
+    }
+    out.records += 1;
+    if (hashRecord(rec, key) !== rec.hash) {
+      problem(lineNo, rec, 'edited', 'record content does not match its hash');
+    }
+    if (rec.seq !== prev.seq + 1) {
+      problem(lineNo, rec, 'gap', `expected seq ${prev.seq + 1}, found ${rec.seq}`);
+    } else if (rec.prev_hash !== prev.hash) {
+      problem(lineNo, rec, 'chain-break', `prev_hash does not match the hash of seq ${prev.seq}`);
+    }
+    prev = { seq: rec.seq, hash: rec.hash };
+  });
+  if (out.records > 0) {
+    out.last_seq = prev.seq;
+    out.last_hash = prev.hash;
+  }
+
+  const head = readHead(file, key);
+  if (!head && fs.existsSync(headPath(file))) {
+    problem(null, null, 'head-mismatch', 'head file is not signed with the audit key');
+  } else if (head && head.seq > prev.seq) {
+    problem(null, null, 'truncated', `head is at seq ${head.seq} but the log ends at seq ${prev.seq}`);
+  } else if (head && (head.seq !== prev.seq || head.hash !== prev.hash)) {
+    problem(null, null, 'head-mismatch', `head (seq ${head.seq}) does not match the last record`);
+  }
+  out.ok = out.problems.length === 0;
+  return out;
+}
+
+module.exports = {
+  auditLogPath,
+  auditKeyPath,
+  openAuditLog,
+  verifyAuditLog,
+  hashRecord,
+  GENESIS_HASH,
+  AUDIT_VERSION,
+};
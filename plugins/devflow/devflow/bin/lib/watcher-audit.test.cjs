@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Tests for lib/watcher-audit.cjs — hash-chained daemon audit log.
+ *
+ *   AU-1: append chains seq / prev_hash / hash; head tracks the tip
+ *   AU-2: verify passes an untouched log (and an absent one)
+ *   AU-3: an edited record is reported as `edited`
+ *   AU-4: a deleted record is reported as a `gap`; a re-hashed edit as `chain-break`
+ *   AU-5: records cut off the end are reported as `truncated`, and appends
+ *         keep chaining from the head
+ *   AU-6: garbage lines are `unparseable`; append falls back to the last
+ *         record when the head file is gone
+ *   AU-7: the chain is keyed — a record re-hashed without the key is `edited`,
+ *         a forged head is a `head-mismatch`, a missing key is `no-key`
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const audit = require('./watcher-audit.cjs');
+
+let dir;
+let file;
+let keyFile;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-audit-'));
+  file = path.join(dir, 'audit.jsonl');
+  keyFile = path.join(dir, 'audit.key');
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function entry(id, extra = {}) {
+  return { id, project: '/p', cmd: 'gh auth login', allowlist_label: 'gh auth login', status: 'done', exit_code: 0, duration_ms: 12, redactions: 0, ...extra };
+}
+
+function readLines() {
+  return fs.readFileSync(file, 'utf8').trim().split('\n');
+}
+
+const key = () => fs.readFileSync(keyFile, 'utf8').trim();
+
+function writeLines(lines) {
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+describe('watcher-audit', () => {
+  test('AU-1: append chains seq / prev_hash / hash; head tracks the tip', () => {
+    const log = audit.openAuditLog(file, { keyFile });
+    const a = log.append(entry('h-1'));
+    const b = log.append(entry('h-2', { status: 'rejected', exit_code: -2, allowlist_label: null }));
+    assert.equal(a.seq, 1);
+    assert.equal(a.prev_hash, audit.GENESIS_HASH);
+    assert.equal(b.seq, 2);
+    assert.equal(b.prev_hash, a.hash);
+    assert.equal(b.hash, audit.hashRecord(b, key()));
+    assert.deepStrictEqual(JSON.parse(readLines()[1]), b);
+    const head = JSON.parse(fs.readFileSync(`${file}.head`, 'utf8'));
+    assert.deepStrictEqual({ seq: head.seq, hash: head.hash }, { seq: 2, hash: b.hash });
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.equal(fs.statSync(keyFile).mode & 0o777, 0o600);
+    assert.match(key(), /^[0-9a-f]{64}$/);
+  });
+
+  test('AU-2: verify passes an untouched log (and an absent one)', () => {
+    assert.deepStrictEqual(audit.verifyAuditLog(file, { keyFile }), {
+      ok: true, file, records: 0, last_seq: null, last_hash: null, problems: [],
+    });
+    const log = audit.openAuditLog(file, { keyFile });
+    for (const id of ['h-1', 'h-2', 'h-3']) log.append(entry(id));
+    const r = audit.verifyAuditLog(file, { keyFile });
+    assert.equal(r.ok, true);
+    assert.equal(r.records, 3);
+    assert.equal(r.last_seq, 3);
+  });
+
+  test('AU-3: an edited record is reported as `edited`', () => {
+    const log = audit.openAuditLog(file, { keyFile });
+    for (const id of ['h-1', 'h-2', 'h-3']) log.append(entry(id));
+    const lines = readLines();
+    lines[1] = lines[1].replace('"exit_code":0', '"exit_code":1');
+    writeLines(lines);
+    const r = audit.verifyAuditLog(file, { keyFile });
+    assert.equal(r.ok, false);
+    assert.deepStrictEqual(r.problems.map((p) => [p.line, p.seq, p.id, p.kind]), [[2, 2, 'h-2', 'edited']]);
+  });
+
+  test('AU-4: a deleted record is reported as a `gap`; a re-hashed edit as `chain-break`', () => {
+    const log = audit.openAuditLog(file, { keyFile });
+    for (const id of ['h-1', 'h-2', 'h-3']) log.append(entry(id));
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+    let r = audit.verifyAuditLog(file, { keyFile });
+    assert.deepStrictEqual(r.problems.map((p) => [p.seq, p.kind]), [[3, 'gap']]);
+
+    const rec = JSON.parse(lines[1]);
+    rec.cmd = 'mise install';
+    rec.hash = audit.hashRecord(rec, key());
+    writeLines([lines[0], JSON.stringify(rec), lines[2]]);
+    r = audit.verifyAuditLog(file, { keyFile });
+    assert.deepStrictEqual(r.problems.map((p) => [p.seq, p.kind]), [[3, 'chain-break']]);
+  });
+
+  test('AU-5: records cut off the end are reported as `truncated`, and appends keep chaining from the head', () => {
+    const log = audit.openAuditLog(file, { keyFile });
+    for (const id of ['h-1', 'h-2', 'h-3']) log.append(entry(id));
+    writeLines(readLines().slice(0, 2));
+    let r = audit.verifyAuditLog(file, { keyFile });
+    assert.deepStrictEqual(r.problems.map((p) => p.kind), ['truncated']);
+
+    const next = log.append(entry('h-4'));
+    assert.equal(next.seq, 4);
+    r = audit.verifyAuditLog(file, { keyFile });
+    assert.deepStrictEqual(r.problems.map((p) => [p.seq, p.kind]), [[4, 'gap']]);
+  });
+
+  test('AU-6: garbage lines are `unparseable`; append falls back to the last record when the head file is gone', () => {
+    const log = audit.openAuditLog(file, { keyFile });
+    log.append(entry('h-1'));
+    fs.rmSync(`${file}.head`);
+    const second = log.append(entry('h-2'));
+    assert.equal(second.seq, 2);
+    assert.equal(audit.verifyAuditLog(file, { keyFile }).ok, true);
+
+    fs.appendFileSync(file, 'not json\n');
+    const r = audit.verifyAuditLog(file, { keyFile });
+    assert.deepStrictEqual(r.problems.map((p) => [p.line, p.kind]), [[3, 'unparseable']]);
+  });
+
+  test('AU-7: the chain is keyed — unkeyed re-hashes, forged heads and a missing key are reported', () => {
+    const crypto = require('crypto');
+    const log = audit.openAuditLog(file, { keyFile });
+    for (const id of ['h-1', 'h-2']) log.append(entry(id));
+    const lines = readLines();
+
+    const rec = JSON.parse(lines[1]);
+    rec.cmd = 'mise install';
+    const rest = { ...rec };
+    delete rest.hash;
+    rec.hash = crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+    writeLines([lines[0], JSON.stringify(rec)]);
+    fs.writeFileSync(`${file}.head`, JSON.stringify({ seq: 2, hash: rec.hash }) + '\n');
+    let r = audit.verifyAuditLog(file, { keyFile });
+    assert.deepStrictEqual(r.problems.map((p) => [p.seq, p.kind]), [[2, 'edited'], [null, 'head-mismatch']]);
+    assert.match(r.problems[1].message, /not signed/);
+
+    r = audit.verifyAuditLog(file, { keyFile: path.join(dir, 'missing.key') });
+    assert.equal(r.ok, false);
+    assert.deepStrictEqual(r.problems.map((p) => p.kind), ['no-key']);
+  });
+});
@@ -5,7 +5,15 @@
  *
  * Pulls pending handoff records from .devflow-handoff/pending/, validates
  * each command against the allowlist, dispatches via a long-lived
- * ShellSession, and writes a done record to .devflow-handoff/done/.
+ * ShellSession (one per watched project), and writes a done record to
+ * .devflow-handoff/done/. Projects dispatch concurrently up to a global cap;
+ * each project's own queue stays FIFO. Records with `after: [id]` wait for
+ * their prerequisites to exit 0 and are cancelled when one fails. While a
+ * command runs, its (redacted) output is appended to
+ * .devflow-handoff/running/<id>.log for the route-results progress note.
+ * Every record that reaches a terminal state (run, rejected, cancelled,
+ * spawn failure) is also appended to the keyed audit log (watcher-audit.cjs)
+ * when one is injected.
  *
  * Module is split from devflow-watch.cjs so the loop logic is unit-testable
  * without spawning a real CLI subprocess.
@@ -16,10 +24,12 @@ const path = require('path');
 
 const allowlist = require('./watcher-allowlist.cjs');
 const handoff = require('./handoff.cjs');
+const keyring = require('./keyring.cjs');
 const state = require('./watcher-state.cjs');
 
 const POLL_INTERVAL_MS = 500;
 const DEFAULT_DISPATCH_TIMEOUT_MS = 600000; // 10 minutes per command
+const DEFAULT_MAX_CONCURRENT = 4; // dispatches across all projects (per-project sessions)
 
 // TRD 19-02: redaction settings for token-passing.
 //   REDACT_PLACEHOLDER — what resolved secrets get replaced with in done.stdout/stderr.
@@ -36,6 +46,10 @@ function doneDir(projectRoot) {
   return path.join(projectRoot, '.devflow-handoff', 'done');
 }
 
+function runningDir(projectRoot) {
+  return path.join(projectRoot, '.devflow-handoff', 'running');
+}
+
 function readPending(projectRoot) {
   const dir = pendingDir(projectRoot);
   if (!fs.existsSync(dir)) return [];
@@ -55,7 +69,8 @@ function readPending(projectRoot) {
       // skip malformed
     }
   }
-  recs.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  // Highest priority first, then FIFO by created_at.
+  recs.sort(handoff.compareQueue);
   return recs;
 }
 
@@ -75,6 +90,24 @@ function removePendingRecord(record) {
   try { fs.unlinkSync(record._path); } catch {}
 }
 
+/**
+ * Secret resolvers by value_source: (ref, { handoffId }) => string, or a
+ * promise of one (keyring shells out asynchronously so a locked keyring
+ * never stalls other projects' dispatch). A resolver throws / rejects (or
+ * returns null/empty) when it has no value; the message
+ * lands in the done record, so it must name the ref and never a value.
+ * Callers add or replace sources via processOnce's `deps.resolvers` (tests
+ * pass fakes here instead of touching env or the real keyring).
+ */
+const DEFAULT_RESOLVERS = {
+  env: (ref) => {
+    const v = process.env[ref];
+    if (!v) throw new Error(`env var "${ref}" unset or empty`);
+    return v;
+  },
+  keyring: (ref) => keyring.lookup(ref),
+};
+
 /**
  * Resolve secrets at dispatch time (TRD 19-02). Each entry is annotated
  * with the resolved value (or null + err message if resolution failed),
@@ -82,30 +115,44 @@ function removePendingRecord(record) {
  * when it has written the value to the shell.
  *
  * Resolution sources:
- *   - 'env'   → process.env[value_ref]; missing/empty → resolution error
- *   - 'stash' → stashGetter(handoff_id, value_ref); null/undefined → error
+ *   - 'env'     → process.env[value_ref]; missing/empty → resolution error
+ *   - 'stash'   → stashGetter(handoff_id, value_ref); null/undefined → error
+ *   - 'keyring' → Secret Service via secret-tool (keyring.cjs)
+ * plus whatever `resolvers` adds or overrides.
  *
  * @param {Array} secrets — pending.inputs.secrets entries
  * @param {string} handoffId
  * @param {function|null} stashGetter — (id, ref) => string|null
+ * @param {object} [resolvers] — { [value_source]: (ref, ctx) => string|Promise<string> }
+ * @returns {Promise<Array>}
  */
-function _resolveSecrets(secrets, handoffId, stashGetter) {
+async function _resolveSecrets(secrets, handoffId, stashGetter, resolvers) {
+  const table = {
+    ...DEFAULT_RESOLVERS,
+    stash: (ref) => {
+      const v = stashGetter ? stashGetter(handoffId, ref) : null;
+      if (v == null) throw new Error(`stash empty for ref "${ref}" (handoff ${handoffId})`);
+      return v;
+    },
+    ...(resolvers || {}),
+  };
   const out = [];
   for (const s of secrets) {
     let value = null;
     let err = null;
-    if (s.value_source === 'env') {
-      const v = process.env[s.value_ref];
-      if (!v) err = `env var "${s.value_ref}" unset or empty`;
-      else value = v;
-    } else if (s.value_source === 'stash') {
-      const v = stashGetter ? stashGetter(handoffId, s.value_ref) : null;
-      if (v == null) err = `stash empty for ref "${s.value_ref}" (handoff ${handoffId})`;
-      else value = v;
-    } else {
+    const resolve = table[s.value_source];
+    if (typeof resolve !== 'function') {
       // Should never reach here — validateInputsSchema rejects unknown sources
       // before processOnce calls _resolveSecrets. Defensive: mark error.
       err = `unknown value_source "${s.value_source}"`;
+    } else {
+      try {
+        const v = await resolve(s.value_ref, { handoffId });
+        if (v == null || v === '') err = `${s.value_source} has no value for ref "${s.value_ref}"`;
+        else value = String(v);
+      } catch (e) {
+        err = e && e.message ? e.message : String(e);
+      }
     }
     out.push({
       regex: new RegExp(s.prompt_match),
@@ -176,20 +223,95 @@ function _makePromptDetector(resolvedSecrets, sessionInjector, onError) {
  *
  * Done-record redaction runs once at end-of-dispatch against the full
  * captured buffers — NOT chunk-by-chunk during streaming. This avoids
- * the "secret split across two chunks" problem.
+ * the "secret split across two chunks" problem. (The running/<id>.log
+ * progress stream is redacted per chunk; openRunningLog holds back a tail
+ * for the same reason.)
+ *
+ * `counter.n`, when given, is incremented per replaced occurrence (the
+ * audit log records the count, never the values).
  */
-function _redactSecrets(text, resolvedSecrets) {
+function _redactSecrets(text, resolvedSecrets, counter) {
   if (!text) return text;
   let out = text;
   for (const sec of resolvedSecrets) {
     if (!sec.value || sec.value.length < MIN_REDACT_LEN) continue;
     // Escape regex special chars in the literal value.
     const esc = sec.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    out = out.replace(new RegExp(esc, 'g'), REDACT_PLACEHOLDER);
+    out = out.replace(new RegExp(esc, 'g'), () => {
+      if (counter) counter.n += 1;
+      return REDACT_PLACEHOLDER;
+    });
   }
   return out;
 }
 
+/**
+ * Append a processed record to the audit log (deps.audit, see
+ * watcher-audit.cjs). Failures are logged, never thrown — the done record
+ * is already written.
+ */
+function _auditDone(audit, done, projectRoot, extra, logFn) {
+  if (!audit) return;
+  const started = Date.parse(done.started_at);
+  const completed = Date.parse(done.completed_at);
+  try {
+    audit.append({
+      id: done.id,
+      project: projectRoot,
+      cmd: done.cmd,
+      allowlist_label: extra.allowlist_label || null,
+      status: done.status,
+      exit_code: done.exit_code,
+      duration_ms: Number.isNaN(started) || Number.isNaN(completed) ? null : completed - started,
+      redactions: extra.redactions || 0,
+    });
+  } catch (e) {
+    logFn('error', `audit append failed for ${done.id}: ${e.message}`);
+  }
+}
+
+/**
+ * Open .devflow-handoff/running/<id>.log for an in-flight dispatch. The file
+ * is created empty up front so route-results can tell the command is running
+ * before it prints anything.
+ *
+ * Chunks are redacted with _redactSecrets as they arrive. Each stream holds
+ * back its last (longest secret - 1) chars until more text follows, so a
+ * value split across two chunks is still caught; the held tail is dropped —
+ * the done record has the full output.
+ *
+ * Returns { path, write(stream, text), remove() }. Write errors are
+ * swallowed: the progress log must never fail a dispatch.
+ */
+function openRunningLog(projectRoot, id, resolvedSecrets) {
+  const dir = runningDir(projectRoot);
+  const logPath = path.join(dir, `${id}.log`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(logPath, '', { mode: 0o600 });
+  } catch { /* best effort */ }
+  const hold = resolvedSecrets.reduce((n, sec) => (
+    sec.value && sec.value.length >= MIN_REDACT_LEN ? Math.max(n, sec.value.length - 1) : n
+  ), 0);
+  const held = { stdout: '', stderr: '' };
+  return {
+    path: logPath,
+    write(stream, text) {
+      const buf = _redactSecrets((held[stream] || '') + text, resolvedSecrets);
+      const cut = Math.max(0, buf.length - hold);
+      held[stream] = buf.slice(cut);
+      if (cut === 0) return;
+      try { fs.appendFileSync(logPath, buf.slice(0, cut)); } catch { /* ignore */ }
+    },
+    remove() {
+      // `.seen` is route-results' marker of how much it already reported.
+      for (const f of [logPath, path.join(dir, `${id}.seen`)]) {
+        try { fs.unlinkSync(f); } catch {}
+      }
+    },
+  };
+}
+
 /**
  * Process a single pending record. Returns the done record written.
  *
@@ -203,9 +325,14 @@ function _redactSecrets(text, resolvedSecrets) {
  * @param {string} deps.projectRoot
  * @param {function} [deps.log] — optional logger(level, msg)
  * @param {number} [deps.timeoutMs]
+ * @param {function} [deps.stashGetter] — (id, ref) => string|null
+ * @param {object} [deps.resolvers] — extra/override secret resolvers by value_source
+ * @param {object} [deps.audit] — audit log from watcher-audit openAuditLog;
+ *   every record processed here (run, rejected or invalid) is appended
  */
 async function processOnce(pending, deps) {
-  const { session, allowlist: allow, projectRoot, log, timeoutMs, stashGetter } = deps;
+  const { session, allowlist: allow, projectRoot, log, timeoutMs, stashGetter, resolvers } = deps;
+  const audit = deps.audit || null;
   const startedAt = new Date().toISOString();
   const logFn = log || (() => {});
   // TRD 20-01: optional notifier hook. Both flags default ON (caller opts
@@ -228,6 +355,7 @@ async function processOnce(pending, deps) {
     });
     writeDoneRecord(projectRoot, done);
     removePendingRecord(pending);
+    _auditDone(audit, done, projectRoot, {}, logFn);
     return done;
   }
 
@@ -247,6 +375,7 @@ async function processOnce(pending, deps) {
       });
       writeDoneRecord(projectRoot, done);
       removePendingRecord(pending);
+      _auditDone(audit, done, projectRoot, { allowlist_label: validation.matched }, logFn);
       return done;
     }
   }
@@ -258,7 +387,7 @@ async function processOnce(pending, deps) {
     ? pending.inputs.secrets
     : [];
   const resolvedSecrets = secrets.length > 0
-    ? _resolveSecrets(secrets, pending.id, stashGetter || null)
+    ? await _resolveSecrets(secrets, pending.id, stashGetter || null, resolvers)
     : [];
 
   // Wire prompt detector if we have any secrets to answer. The detector's
@@ -285,6 +414,11 @@ async function processOnce(pending, deps) {
         title: 'DevFlow Watch',
         body: `dispatching ${pending.id}: ${pending.cmd}`,
         log: logFn,
+        // Routing fields for notify-router; the desktop notifier ignores them.
+        event: 'start',
+        project: projectRoot,
+        id: pending.id,
+        cmd: pending.cmd,
       });
     } catch { /* notifier errors must not block dispatch */ }
   }
@@ -292,10 +426,12 @@ async function processOnce(pending, deps) {
   // Log the COMMAND, never the resolved secret values. Audit-grep for
   // "dispatching " in ~/.devflow/devflow-watch.log should show only cmd lines.
   logFn('info', `dispatching ${pending.id}: ${pending.cmd}`);
+  const runningLog = openRunningLog(projectRoot, pending.id, resolvedSecrets);
   let result;
   try {
     result = await session.dispatch(pending.id, pending.cmd, {
       timeout_ms: timeoutMs || DEFAULT_DISPATCH_TIMEOUT_MS,
+      onOutput: runningLog.write,
     });
   } catch (e) {
     result = {
@@ -326,13 +462,26 @@ async function processOnce(pending, deps) {
   // Redact resolved secret values from stdout/stderr before persisting.
   // Run AFTER dispatch resolution against the full buffers, NOT during
   // streaming — avoids the secret-split-across-chunks problem.
-  result.stdout = _redactSecrets(result.stdout, resolvedSecrets);
-  result.stderr = _redactSecrets(result.stderr, resolvedSecrets);
+  const redactions = { n: 0 };
+  result.stdout = _redactSecrets(result.stdout, resolvedSecrets, redactions);
+  result.stderr = _redactSecrets(result.stderr, resolvedSecrets, redactions);
+
+  // `handoff cancel` on an in-flight record: the session interrupted the
+  // command (partial output is kept).
+  if (result.status === 'cancelled') {
+    result.exit_code = handoff.CANCELLED_EXIT_CODE;
+    result.stderr = result.stderr
+      ? `${result.stderr}\n[devflow-watch] cancelled by user`
+      : '[devflow-watch] cancelled by user';
+  }
 
   const done = state.makeDoneRecord(pending, { ...result, started_at: startedAt });
+  if (done.status === 'cancelled') done.cancel_reason = 'user';
   writeDoneRecord(projectRoot, done);
   removePendingRecord(pending);
+  runningLog.remove();
   logFn('info', `completed ${pending.id} status=${done.status} exit=${done.exit_code}`);
+  _auditDone(audit, done, projectRoot, { allowlist_label: validation.matched, redactions: redactions.n }, logFn);
 
   // TRD 20-01: dispatch-complete notification (if notifier injected).
   // Same guard: notifier errors must not propagate (done record is
@@ -343,29 +492,239 @@ async function processOnce(pending, deps) {
         title: 'DevFlow Watch',
         body: `completed ${pending.id} status=${done.status} exit=${done.exit_code}`,
         log: logFn,
+        event: 'complete',
+        project: projectRoot,
+        id: pending.id,
+        cmd: pending.cmd,
+        status: done.status,
+        exit_code: done.exit_code,
       });
     } catch { /* notifier errors must not block done record */ }
   }
   return done;
 }
 
+/**
+ * Cascade-cancel a record whose prerequisite did not finish with exit 0.
+ * The cancelled done record itself counts as a failure, so records chained
+ * after this one are cancelled on the next pass.
+ */
+function cancelDependent(projectRoot, pending, failed, log) {
+  const why = failed.status === 'missing'
+    ? `prerequisite ${failed.id} not found`
+    : `prerequisite ${failed.id} did not succeed (status=${failed.status} exit=${failed.exit_code})`;
+  (log || (() => {}))('info', `cancelled ${pending.id}: ${why}`);
+  const done = handoff.cancelledRecord(pending, 'prerequisite', `[devflow-watch] cancelled: ${why}`);
+  writeDoneRecord(projectRoot, done);
+  removePendingRecord(pending);
+  return done;
+}
+
+/**
+ * Oldest pending record whose `after` prerequisites all finished with exit 0,
+ * or null. A pending record whose id already has a done record is removed
+ * unrun. Records behind a failed prerequisite are cancelled on the way
+ * (repeatedly, so a whole chain collapses in one call); records still waiting
+ * on a pending prerequisite are skipped. `onDone(done)` sees each cancelled
+ * record.
+ */
+function nextDispatchable(projectRoot, log, onDone) {
+  for (;;) {
+    let cancelled = false;
+    for (const rec of readPending(projectRoot)) {
+      if (fs.existsSync(path.join(doneDir(projectRoot), `${rec.id}.json`))) {
+        // A second writer re-queued a finished id — never run it twice.
+        if (log) log('warn', `dropping pending ${rec.id}: already done`);
+        removePendingRecord(rec);
+        continue;
+      }
+      const deps = handoff.prerequisiteState(projectRoot, rec);
+      if (deps.ready) return rec;
+      if (deps.failed) {
+        const done = cancelDependent(projectRoot, rec, deps.failed, log);
+        if (onDone) onDone(done);
+        cancelled = true;
+        break;
+      }
+    }
+    if (!cancelled) return null;
+  }
+}
+
+/**
+ * One long-lived session per watched project, created lazily on first
+ * dispatch. `factory(projectRoot)` returns an unspawned session; `spawn()`
+ * (when present) runs once and a failed spawn is dropped so the next record
+ * retries with a fresh session. A session that has since died (timeout or
+ * cancel killed its shell) is replaced on the next get(); restart() replaces
+ * one right away (watchdog). Either way the new session starts in the
+ * project root, and the replacement is counted in stats().
+ *
+ * @param {function} factory — (projectRoot) => session
+ * @returns {{ get, current, has, restart, release, killAll, projects, stats }}
+ */
+function createSessionPool(factory) {
+  const sessions = new Map(); // projectRoot → { ready: Promise<session>, session }
+  const restarts = new Map(); // projectRoot → { restarts, last_restart_at, last_restart_reason }
+
+  function countRestart(projectRoot, reason) {
+    const prev = restarts.get(projectRoot) || { restarts: 0 };
+    restarts.set(projectRoot, {
+      restarts: prev.restarts + 1,
+      last_restart_at: new Date().toISOString(),
+      last_restart_reason: reason,
+    });
+  }
+
+  function get(projectRoot) {
+    const existing = sessions.get(projectRoot);
+    if (existing && existing.session && typeof existing.session.isAlive === 'function'
+        && !existing.session.isAlive()) {
+      sessions.delete(projectRoot);
+      countRestart(projectRoot, existing.session.closeReason || 'shell exited');
+    }
+    if (!sessions.has(projectRoot)) {
+      const session = factory(projectRoot);
+      const entry = { ready: null, session: null };
+      entry.ready = Promise.resolve(typeof session.spawn === 'function' ? session.spawn() : null)
+        .then(() => { entry.session = session; return session; });
+      entry.ready.catch(() => {
+        if (sessions.get(projectRoot) === entry) sessions.delete(projectRoot);
+      });
+      sessions.set(projectRoot, entry);
+    }
+    return sessions.get(projectRoot).ready;
+  }
+
+  async function kill(entry) {
+    try {
+      const session = await entry.ready;
+      if (typeof session.kill === 'function') await session.kill();
+    } catch { /* spawn failed or already dead */ }
+  }
+
+  async function release(projectRoot) {
+    const entry = sessions.get(projectRoot);
+    if (!entry) return;
+    sessions.delete(projectRoot);
+    restarts.delete(projectRoot);
+    await kill(entry);
+  }
+
+  /** Kill the project's session (if any) and spawn its replacement. */
+  async function restart(projectRoot, reason) {
+    const entry = sessions.get(projectRoot);
+    if (entry) {
+      sessions.delete(projectRoot);
+      await kill(entry);
+    }
+    countRestart(projectRoot, reason);
+    return get(projectRoot);
+  }
+
+  return {
+    get,
+    /** The spawned session, or null while spawning / when there is none. */
+    current: (projectRoot) => (sessions.has(projectRoot) ? sessions.get(projectRoot).session : null),
+    has: (projectRoot) => sessions.has(projectRoot),
+    restart,
+    release,
+    async killAll() { await Promise.all([...sessions.keys()].map(release)); },
+    projects: () => [...sessions.keys()],
+    stats() {
+      const out = {};
+      for (const projectRoot of sessions.keys()) {
+        out[projectRoot] = restarts.get(projectRoot)
+          || { restarts: 0, last_restart_at: null, last_restart_reason: null };
+      }
+      return out;
+    },
+  };
+}
+
+const DEFAULT_WATCHDOG = {
+  interval_ms: 30000, // how often sessions are checked
+  probe_timeout_ms: 5000, // an idle shell must answer the no-op probe this fast
+  // A running command silent this long is wedged (0 = never). Opt-in: browser
+  // auth flows (gh / gcloud auth login, aws sso login) sit silent for minutes
+  // while the user finishes in the browser; the dispatch timeout covers them.
+  hang_after_ms: 0,
+};
+
+/**
+ * Watchdog settings from `daemon.watchdog` in .planning/config.json:
+ * `false` turns it off (null), an object overrides DEFAULT_WATCHDOG per key.
+ * Keys that aren't non-negative integers keep their defaults.
+ *
+ * @param {object|boolean|undefined} raw
+ * @returns {object|null}
+ */
+function watchdogOptions(raw) {
+  if (raw === false) return null;
+  const out = { ...DEFAULT_WATCHDOG };
+  if (raw && typeof raw === 'object') {
+    for (const key of Object.keys(DEFAULT_WATCHDOG)) {
+      if (Number.isInteger(raw[key]) && raw[key] >= 0) out[key] = raw[key];
+    }
+  }
+  if (out.interval_ms === 0 || out.probe_timeout_ms === 0) return null;
+  return out;
+}
+
 /**
  * Build the long-running poll loop. Returns { stop } that can be invoked to
  * exit cleanly. Loop uses setInterval — no aggressive busy-wait.
  *
+ * Scheduling: at most one dispatch in flight per project (so each project's
+ * queue stays FIFO by created_at) and at most `maxConcurrent` across all
+ * projects. Projects are scanned round-robin so a busy project cannot starve
+ * the others when the cap is reached. With a single shared `session` (no
+ * `sessions` pool) dispatch stays serial — one shell runs one command.
+ *
+ * Cancel requests (.devflow-handoff/cancel/<id>.json from `handoff cancel`)
+ * are handled every tick, cap or not: a queued record is moved to done/ as
+ * cancelled; an in-flight one is interrupted via session.cancel(id), and the
+ * request is retried each tick until the dispatch is actually running.
+ *
+ * Watchdog (pool only, `opts.watchdog`): every `interval_ms` an idle session
+ * must answer session.probe(); a dead one, or one that fails the probe, is
+ * respawned. A busy session whose command has been silent for
+ * `hang_after_ms` is aborted — the in-flight record is written as `error`
+ * with the diagnostic — and respawned. Nothing is dispatched to a project
+ * while its session is being probed or respawned.
+ *
  * @param {object} opts
  * @param {string} opts.projectRoot
- * @param {object} opts.session
+ * @param {object} [opts.session] — shared session (serial dispatch)
+ * @param {object} [opts.sessions] — per-project pool from createSessionPool
+ * @param {number} [opts.maxConcurrent] — global cap (pool only)
+ * @param {function} [opts.onSchedule] — called with { max_concurrent, in_flight }
+ *   whenever a dispatch starts or finishes
  * @param {Array}  opts.allowlist
+ * @param {function} [opts.allowlistFor] — projectRoot → allowlist; wins over
+ *   opts.allowlist (per-project allow files, see createAllowlistLoader)
  * @param {function} [opts.log]
  * @param {number} [opts.pollIntervalMs]
  * @param {number} [opts.timeoutMs]
+ * @param {object} [opts.resolvers] — secret resolvers, passed to processOnce
+ * @param {object} [opts.audit] — audit log, passed to processOnce
+ * @param {function} [opts.onEvent] — called with { event: 'dispatch' | 'done',
+ *   project, id, ... } as records start and finish (socket RPC subscribers)
+ * @param {object} [opts.watchdog] — { interval_ms, probe_timeout_ms,
+ *   hang_after_ms } (see watchdogOptions); off when omitted
+ *
+ * Returns { stop(), wake(), snapshot() }: wake() runs a tick right away
+ * (a record was just enqueued); snapshot() lists what is in flight.
  */
 function runLoop(opts) {
   const {
     projectRoot,
     session,
+    sessions = null,
+    maxConcurrent = DEFAULT_MAX_CONCURRENT,
+    onSchedule = null,
     allowlist: allow,
+    allowlistFor = null,
     log = () => {},
     pollIntervalMs = POLL_INTERVAL_MS,
     timeoutMs,
@@ -374,14 +733,128 @@ function runLoop(opts) {
     notifier,
     notify_on_start,
     notify_on_complete,
+    resolvers,
+    audit,
+    onEvent = null,
+    watchdog = null,
   } = opts;
 
+  const cap = sessions ? Math.max(1, Number(maxConcurrent) || 1) : 1;
   let stopped = false;
-  let inFlight = null;
+  let cursor = 0;
+  const inFlight = new Map(); // projectRoot → { id, promise, session, cancelling }
+  const checking = new Set(); // projects whose session the watchdog is probing / respawning
+
+  function emit(event) {
+    if (!onEvent) return;
+    try { onEvent(event); } catch (e) { log('warn', `onEvent: ${e.message}`); }
+  }
 
-  async function tick() {
+  function emitDone(projRoot, done) {
+    if (!done || !done.id) return;
+    emit({
+      event: 'done',
+      project: projRoot,
+      id: done.id,
+      cmd: done.cmd,
+      status: done.status,
+      exit_code: done.exit_code,
+      completed_at: done.completed_at,
+      path: path.join(doneDir(projRoot), `${done.id}.json`),
+    });
+  }
+
+  // Cancels the loop writes itself never pass through processOnce, so they
+  // are audited here (spawnFailed audits its own record).
+  function recordDone(projRoot, done) {
+    _auditDone(audit, done, projRoot, {}, log);
+    emitDone(projRoot, done);
+  }
+
+  function publish() {
+    if (!onSchedule) return;
+    const snapshot = { max_concurrent: cap, in_flight: {} };
+    for (const [projRoot, entry] of inFlight) snapshot.in_flight[projRoot] = entry.id;
+    if (sessions) snapshot.sessions = sessions.stats();
+    try { onSchedule(snapshot); } catch (e) { log('warn', `onSchedule: ${e.message}`); }
+  }
+
+  // Spawn failure is reported like a dispatch error so the caller isn't left
+  // waiting on a record the daemon can never run.
+  function spawnFailed(next, projRoot, e) {
+    const msg = e && e.message ? e.message : String(e);
+    log('error', `shell spawn failed for ${projRoot}: ${msg}`);
+    const done = state.makeDoneRecord(next, {
+      stdout: '',
+      stderr: `[devflow-watch] shell spawn error: ${msg}`,
+      exit_code: -3,
+      status: 'error',
+      started_at: new Date().toISOString(),
+    });
+    writeDoneRecord(projRoot, done);
+    removePendingRecord(next);
+    _auditDone(audit, done, projRoot, {}, log);
+    return done;
+  }
+
+  function start(projRoot, next) {
+    const deps = {
+      allowlist: allowlistFor ? allowlistFor(projRoot) : allow,
+      projectRoot: projRoot, log, timeoutMs, resolvers, audit,
+    };
+    if (notifier) {
+      deps.notifier = notifier;
+      deps.notify_on_start = notify_on_start;
+      deps.notify_on_complete = notify_on_complete;
+    }
+    const entry = {
+      id: next.id, cmd: next.cmd, started_at: new Date().toISOString(),
+      promise: null, session: sessions ? null : session, cancelling: false,
+    };
+    const run = sessions
+      ? sessions.get(projRoot).then(
+        (s) => { entry.session = s; return processOnce(next, { ...deps, session: s }); },
+        (e) => spawnFailed(next, projRoot, e),
+      )
+      : processOnce(next, { ...deps, session });
+    entry.promise = run.then((done) => emitDone(projRoot, done)).catch((e) => {
+      log('error', `processOnce threw: ${e && e.message ? e.message : String(e)}`);
+    }).finally(() => {
+      inFlight.delete(projRoot);
+      handoff.clearCancelRequest(projRoot, next.id);
+      publish();
+    });
+    inFlight.set(projRoot, entry);
+    publish();
+    emit({ event: 'dispatch', project: projRoot, id: next.id, cmd: next.cmd, started_at: entry.started_at });
+  }
+
+  function handleCancels(projRoot) {
+    for (const id of handoff.listCancelRequests(projRoot)) {
+      const entry = inFlight.get(projRoot);
+      if (entry && entry.id === id) {
+        // session.cancel returns false until the command is actually running
+        // (spawn / notifier still pending) — keep the request for next tick.
+        if (!entry.cancelling && entry.session && typeof entry.session.cancel === 'function') {
+          entry.cancelling = entry.session.cancel(id) === true;
+          if (entry.cancelling) log('info', `cancelling in-flight ${id}`);
+        }
+        continue;
+      }
+      const rec = readPending(projRoot).find((r) => r.id === id);
+      if (rec) {
+        log('info', `cancelled ${id}: requested by user`);
+        const done = handoff.cancelledRecord(rec, 'user', '[devflow-watch] cancelled by user');
+        writeDoneRecord(projRoot, done);
+        removePendingRecord(rec);
+        recordDone(projRoot, done);
+      }
+      handoff.clearCancelRequest(projRoot, id);
+    }
+  }
+
+  function tick() {
     if (stopped) return;
-    if (inFlight) return; // serial dispatch — one command at a time
     // TRD 20-03: re-read watching:[] from PID file each tick. Empty / missing
     // PID file falls back to opts.projectRoot (back-compat for unit tests
     // that construct runLoop directly without a PID file).
@@ -389,40 +862,103 @@ function runLoop(opts) {
     const watching = (pidInfo && Array.isArray(pidInfo.watching) && pidInfo.watching.length > 0)
       ? pidInfo.watching
       : [projectRoot];
-    for (const projRoot of watching) {
-      const pending = readPending(projRoot);
-      if (pending.length === 0) continue;
-      const next = pending[0];
-      const deps = {
-        session, allowlist: allow, projectRoot: projRoot, log, timeoutMs,
-      };
-      if (notifier) {
-        deps.notifier = notifier;
-        deps.notify_on_start = notify_on_start;
-        deps.notify_on_complete = notify_on_complete;
+
+    // Sessions of projects dropped via remove-project are killed once idle.
+    if (sessions) {
+      for (const projRoot of sessions.projects()) {
+        if (!watching.includes(projRoot) && !inFlight.has(projRoot) && !checking.has(projRoot)) {
+          log('info', `releasing shell session for ${projRoot}`);
+          sessions.release(projRoot);
+        }
       }
-      inFlight = processOnce(next, deps).catch((e) => {
-        log('error', `processOnce threw: ${e && e.message ? e.message : String(e)}`);
-      }).finally(() => {
-        inFlight = null;
+    }
+
+    for (const projRoot of watching) handleCancels(projRoot);
+    if (inFlight.size >= cap) return;
+
+    const n = watching.length;
+    for (let i = 0; i < n && inFlight.size < cap; i++) {
+      const idx = (cursor + i) % n;
+      const projRoot = watching[idx];
+      if (inFlight.has(projRoot)) continue; // per-project FIFO
+      if (checking.has(projRoot)) continue; // watchdog owns the session
+      const next = nextDispatchable(projRoot, log, (done) => recordDone(projRoot, done));
+      if (!next) continue;
+      start(projRoot, next);
+      cursor = (idx + 1) % n;
+    }
+  }
+
+  function respawn(projRoot, reason) {
+    log('warn', `restarting shell session for ${projRoot}: ${reason}`);
+    checking.add(projRoot);
+    sessions.restart(projRoot, reason)
+      .catch((e) => log('error', `shell respawn failed for ${projRoot}: ${e && e.message ? e.message : String(e)}`))
+      .finally(() => { checking.delete(projRoot); publish(); });
+  }
+
+  function watchdogTick() {
+    if (stopped) return;
+    for (const projRoot of sessions.projects()) {
+      if (checking.has(projRoot)) continue;
+      const s = sessions.current(projRoot);
+      if (!s) continue; // still spawning
+      const entry = inFlight.get(projRoot);
+      if (entry) {
+        // A shell that dies mid-command settles the dispatch itself; only a
+        // live one that has gone quiet needs help.
+        if (!watchdog.hang_after_ms || typeof s.health !== 'function' || typeof s.abort !== 'function') continue;
+        const h = s.health();
+        if (!h.busy || h.quiet_ms === null || h.quiet_ms < watchdog.hang_after_ms) continue;
+        const why = `watchdog: no output from ${entry.id} for ${Math.round(h.quiet_ms / 1000)}s `
+          + '(waiting on input no prompt rule answers?); shell session restarted';
+        if (s.abort(why)) respawn(projRoot, `${entry.id} silent for ${Math.round(h.quiet_ms / 1000)}s`);
+        continue;
+      }
+      if (typeof s.isAlive === 'function' && !s.isAlive()) {
+        respawn(projRoot, s.closeReason || 'shell exited');
+        continue;
+      }
+      if (typeof s.probe !== 'function') continue;
+      checking.add(projRoot);
+      s.probe({ timeout_ms: watchdog.probe_timeout_ms }).then(
+        (r) => r,
+        (e) => ({ ok: false, reason: e && e.message ? e.message : String(e) }),
+      ).then((r) => {
+        checking.delete(projRoot);
+        if (!r.ok && !stopped) respawn(projRoot, `probe failed: ${r.reason}`);
       });
-      return; // serial: only one project's command per tick
     }
   }
 
   const interval = setInterval(tick, pollIntervalMs);
+  const watchdogInterval = sessions && watchdog ? setInterval(watchdogTick, watchdog.interval_ms) : null;
   // Fire one immediately so the first record doesn't wait the full interval.
   tick();
 
+  let wakePending = false;
   return {
+    wake() {
+      if (stopped || wakePending) return;
+      wakePending = true;
+      setImmediate(() => { wakePending = false; tick(); });
+    },
+    snapshot() {
+      const in_flight = {};
+      for (const [projRoot, entry] of inFlight) {
+        in_flight[projRoot] = { id: entry.id, cmd: entry.cmd, started_at: entry.started_at };
+      }
+      const snap = { max_concurrent: cap, in_flight };
+      if (sessions) snap.sessions = sessions.stats();
+      return snap;
+    },
     async stop() {
       if (stopped) return;
       stopped = true;
       clearInterval(interval);
-      // Drain in-flight
-      if (inFlight) {
-        try { await inFlight; } catch {}
-      }
+      if (watchdogInterval) clearInterval(watchdogInterval);
+      // Drain every in-flight dispatch
+      await Promise.all([...inFlight.values()].map((e) => e.promise.catch(() => {})));
     },
   };
 }
@@ -430,11 +966,18 @@ function runLoop(opts) {
 module.exports = {
   pendingDir,
   doneDir,
+  runningDir,
+  openRunningLog,
   readPending,
   writeDoneRecord,
   removePendingRecord,
   processOnce,
+  nextDispatchable,
   runLoop,
+  createSessionPool,
+  watchdogOptions,
+  DEFAULT_WATCHDOG,
   POLL_INTERVAL_MS,
   DEFAULT_DISPATCH_TIMEOUT_MS,
+  DEFAULT_MAX_CONCURRENT,
 };
@@ -14,6 +14,7 @@ const os = require('os');
 
 const daemon = require('./watcher-daemon.cjs');
 const allowlistLib = require('./watcher-allowlist.cjs');
+const { buildSecretToolShimEnv } = require('./__fixtures__/daemon-polish-fixtures.cjs');
 
 function mkTmpProject() {
   const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-daemon-'));
@@ -265,9 +266,11 @@ describe('runLoop', () => {
 //   TP-5:  stdout containing the resolved secret value gets redacted in done record
 //   TP-6:  pending without inputs field dispatches byte-identical to v1.1 (back-compat)
 //   TP-7:  pending with inputs.secrets:[] dispatches like TP-6 (empty array OK)
-//   TP-8:  pending with inputs.secrets[keyring] → status:'failed' before dispatch
+//   TP-8:  inputs.secrets[keyring] resolves through deps.resolvers (fake keyring)
 //   TP-9:  redaction skips values shorter than MIN_REDACT_LEN
 //   TP-10: stderr containing resolved secret also gets redacted
+//   TP-11: keyring via a secret-tool shim on PATH — injected, redacted in done + running log
+//   TP-12: keyring lookup failure → status:'failed', reason names the ref, no dispatch input
 // =============================================================================
 
 /**
@@ -519,7 +522,7 @@ describe('processOnce — token passing (TRD 19-02)', () => {
       'empty secrets array should NOT attach a data listener');
   });
 
-  test('TP-8: inputs.secrets[keyring] → status:failed before dispatch (validation rejects)', async () => {
+  test('TP-8: inputs.secrets[keyring] resolves through deps.resolvers (fake keyring)', async () => {
     writePending(root, 'h-tp8', 'doctl auth init', {
       inputs: {
         secrets: [{
@@ -529,25 +532,22 @@ describe('processOnce — token passing (TRD 19-02)', () => {
         }],
       },
     });
-    const allow = allowlistLib.defaultAllowlist();
-    let dispatched = false;
-    const session = {
-      attachDataListener() {},
-      detachDataListener() {},
-      injectInput() {},
-      async dispatch() {
-        dispatched = true;
-        return { stdout: '', stderr: '', exit_code: 0, status: 'done' };
-      },
-    };
+    const lookups = [];
+    const session = makeTokenSession({
+      stream: ['Token: '],
+      result: { stdout: 'using dop_v1_fakekeyringvalue\n', stderr: '', exit_code: 0, status: 'done' },
+    });
     const pending = daemon.readPending(root);
     const done = await daemon.processOnce(pending[0], {
-      session, allowlist: allow, projectRoot: root,
+      session,
+      allowlist: allowlistLib.defaultAllowlist(),
+      projectRoot: root,
+      resolvers: { keyring: (ref, ctx) => { lookups.push([ref, ctx.handoffId]); return 'dop_v1_fakekeyringvalue'; } },
     });
-    assert.equal(done.status, 'failed');
-    assert.equal(dispatched, false, 'must not dispatch when validation fails');
-    assert.match(done.stderr, /inputs invalid/);
-    assert.match(done.stderr, /keyring/);
+    assert.equal(done.status, 'done');
+    assert.deepEqual(lookups, [['do-token', 'h-tp8']]);
+    assert.deepEqual(session._injectedInputs, ['dop_v1_fakekeyringvalue\r']);
+    assert.equal(done.stdout, 'using ***REDACTED***\n');
   });
 
   test('TP-9: redaction skips values shorter than MIN_REDACT_LEN', async () => {
@@ -621,6 +621,66 @@ describe('processOnce — token passing (TRD 19-02)', () => {
       delete process.env.TP10_TOKEN;
     }
   });
+
+  test('TP-11: keyring via a secret-tool shim on PATH — injected, redacted in done + running log', async () => {
+    const prevPlatform = process.env.KEYRING_PLATFORM_OVERRIDE;
+    process.env.KEYRING_PLATFORM_OVERRIDE = 'linux';
+    const shim = buildSecretToolShimEnv(root, { 'service=devflow account=gh-token': 'ghp_fromkeyring0001' });
+    try {
+      writePending(root, 'h-tp11', 'gh auth login', {
+        inputs: { secrets: [{ prompt_match: 'Paste your token:', value_source: 'keyring', value_ref: 'gh-token' }] },
+      });
+      let logged = null;
+      const session = makeTokenSession({
+        stream: ['Paste your token: '],
+        result: (self) => {
+          // Echo the value back the way a careless tool might.
+          self._onOutput('stdout', `token ${self._injectedInputs[0].trim()} accepted\n`);
+          logged = fs.readFileSync(path.join(root, '.devflow-handoff', 'running', 'h-tp11.log'), 'utf8');
+          return { stdout: 'token ghp_fromkeyring0001 accepted\n', stderr: '', exit_code: 0, status: 'done' };
+        },
+      });
+      const origDispatch = session.dispatch;
+      session.dispatch = function dispatch(id, cmd, opts) {
+        this._onOutput = opts.onOutput;
+        return origDispatch.call(this, id, cmd, opts);
+      };
+      const pending = daemon.readPending(root);
+      const done = await daemon.processOnce(pending[0], {
+        session, allowlist: allowlistLib.defaultAllowlist(), projectRoot: root,
+      });
+      assert.equal(done.status, 'done');
+      assert.deepEqual(session._injectedInputs, ['ghp_fromkeyring0001\r']);
+      assert.equal(done.stdout, 'token ***REDACTED*** accepted\n');
+      assert.ok(!logged.includes('ghp_fromkeyring0001'), 'running log must be redacted too');
+      assert.ok(!('ghp_fromkeyring0001' in process.env) && !Object.values(process.env).includes('ghp_fromkeyring0001'),
+        'value never lands in the daemon env');
+    } finally {
+      shim.cleanup();
+      if (prevPlatform === undefined) delete process.env.KEYRING_PLATFORM_OVERRIDE;
+      else process.env.KEYRING_PLATFORM_OVERRIDE = prevPlatform;
+    }
+  });
+
+  test('TP-12: keyring lookup failure → status:failed, reason names the ref, no dispatch input', async () => {
+    writePending(root, 'h-tp12', 'gh auth login', {
+      inputs: { secrets: [{ prompt_match: 'Paste your token:', value_source: 'keyring', value_ref: 'gh-token' }] },
+    });
+    const session = makeTokenSession({
+      stream: ['Paste your token: '],
+      result: { stdout: '', stderr: '', exit_code: 0, status: 'done' },
+    });
+    const pending = daemon.readPending(root);
+    const done = await daemon.processOnce(pending[0], {
+      session,
+      allowlist: allowlistLib.defaultAllowlist(),
+      projectRoot: root,
+      resolvers: { keyring: () => { throw new Error('no keyring entry for "gh-token"'); } },
+    });
+    assert.equal(done.status, 'failed');
+    assert.match(done.stderr, /secret resolution failed for "gh-token" \(no keyring entry for "gh-token"\)/);
+    assert.deepEqual(session._injectedInputs, ['\x03'], 'aborts the prompt instead of answering it');
+  });
 });
 
 // ===========================================================================
@@ -969,3 +1029,713 @@ describe('runLoop — Group D: multi-project iteration (TRD 20-03)', () => {
     assert.ok(dispatchCompleted, 'dispatch completed despite mid-dispatch removal');
   });
 });
+
+// ---------------------------------------------------------------------------
+// Group S: per-project sessions + concurrency cap
+// ---------------------------------------------------------------------------
+
+describe('runLoop — Group S: per-project sessions + concurrency cap', () => {
+  let home;
+  let prevHOME;
+  let projects;
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-sched-home-'));
+    prevHOME = process.env.HOME;
+    process.env.HOME = home;
+    projects = [0, 1, 2].map(() => mkTmpProject());
+  });
+  afterEach(() => {
+    if (prevHOME === undefined) delete process.env.HOME;
+    else process.env.HOME = prevHOME;
+    rmTmp(home);
+    for (const p of projects) rmTmp(p);
+  });
+
+  // Pool whose sessions record dispatches and take `delayMs` per command.
+  function recordingPool(calls, delayMs, live = { now: 0, max: 0 }) {
+    const spawned = [];
+    const killed = [];
+    const pool = daemon.createSessionPool((cwd) => ({
+      async spawn() { spawned.push(cwd); },
+      async kill() { killed.push(cwd); },
+      async dispatch(id) {
+        calls.push({ cwd, id });
+        live.now++;
+        if (live.now > live.max) live.max = live.now;
+        await new Promise((r) => setTimeout(r, delayMs));
+        live.now--;
+        return { stdout: '', stderr: '', exit_code: 0, status: 'done' };
+      },
+    }));
+    return { pool, spawned, killed, live };
+  }
+
+  test('S-1 slow command in one project does not block another project', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: projects.slice(0, 2) });
+    writePending(projects[0], 'h-s1-slow', 'gcloud auth login');
+    writePending(projects[1], 'h-s1-fast', 'gh auth login');
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    const pool = daemon.createSessionPool((cwd) => ({
+      async dispatch() {
+        if (cwd === projects[0]) await gate; // p1's command waits on the user
+        return { stdout: '', stderr: '', exit_code: 0, status: 'done' };
+      },
+    }));
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool, maxConcurrent: 2,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 20,
+    });
+    await new Promise((r) => setTimeout(r, 200));
+    const doneFile = (p, id) => path.join(p, '.devflow-handoff', 'done', `${id}.json`);
+    assert.ok(fs.existsSync(doneFile(projects[1], 'h-s1-fast')), 'p2 finished while p1 still running');
+    assert.ok(!fs.existsSync(doneFile(projects[0], 'h-s1-slow')));
+    release();
+    await loop.stop();
+    assert.ok(fs.existsSync(doneFile(projects[0], 'h-s1-slow')), 'stop drained p1');
+  });
+
+  test('S-2 global cap bounds concurrent dispatches across projects', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: projects });
+    projects.forEach((p, i) => writePending(p, `h-s2-${i}`, 'gh auth login'));
+    const calls = [];
+    const { pool, live } = recordingPool(calls, 60);
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool, maxConcurrent: 2,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 400));
+    await loop.stop();
+    assert.equal(calls.length, 3, 'every project dispatched');
+    assert.equal(live.max, 2, 'never more than maxConcurrent in flight');
+  });
+
+  test('S-3 each project stays FIFO — one in flight per project', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: [projects[0]] });
+    writePending(projects[0], 'h-s3-b', 'doctl auth init', { created_at: '2026-04-29T10:01:00Z' });
+    writePending(projects[0], 'h-s3-a', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(projects[0], 'h-s3-c', 'mise use', { created_at: '2026-04-29T10:02:00Z' });
+    const calls = [];
+    const { pool, live } = recordingPool(calls, 30);
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool, maxConcurrent: 4,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 10,
+    });
+    await new Promise((r) => setTimeout(r, 400));
+    await loop.stop();
+    assert.deepEqual(calls.map((c) => c.id), ['h-s3-a', 'h-s3-b', 'h-s3-c']);
+    assert.equal(live.max, 1);
+  });
+
+  test('S-4 onSchedule publishes in-flight ids per project', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: projects.slice(0, 2) });
+    writePending(projects[0], 'h-s4-a', 'gh auth login');
+    writePending(projects[1], 'h-s4-b', 'gh auth login');
+    const snapshots = [];
+    const { pool } = recordingPool([], 40);
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool, maxConcurrent: 3,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+      onSchedule: (snap) => snapshots.push(JSON.parse(JSON.stringify(snap))),
+    });
+    await new Promise((r) => setTimeout(r, 250));
+    await loop.stop();
+    assert.ok(snapshots.some((s) => s.in_flight[projects[0]] === 'h-s4-a' && s.in_flight[projects[1]] === 'h-s4-b'));
+    const fresh = { restarts: 0, last_restart_at: null, last_restart_reason: null };
+    assert.deepEqual(snapshots[snapshots.length - 1], {
+      max_concurrent: 3, in_flight: {}, sessions: { [projects[0]]: fresh, [projects[1]]: fresh },
+    });
+  });
+
+  test('S-5 shell spawn failure writes an error done record and retries next time', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: [projects[0]] });
+    writePending(projects[0], 'h-s5-a', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(projects[0], 'h-s5-b', 'gh auth login', { created_at: '2026-04-29T10:01:00Z' });
+    let attempts = 0;
+    const pool = daemon.createSessionPool(() => ({
+      async spawn() { attempts++; if (attempts === 1) throw new Error('no such shell'); },
+      async dispatch() { return { stdout: 'ok', stderr: '', exit_code: 0, status: 'done' }; },
+    }));
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 250));
+    await loop.stop();
+    const doneDir = path.join(projects[0], '.devflow-handoff', 'done');
+    const a = JSON.parse(fs.readFileSync(path.join(doneDir, 'h-s5-a.json'), 'utf8'));
+    const b = JSON.parse(fs.readFileSync(path.join(doneDir, 'h-s5-b.json'), 'utf8'));
+    assert.equal(a.status, 'error');
+    assert.match(a.stderr, /shell spawn error: no such shell/);
+    assert.equal(b.status, 'done', 'fresh session after failed spawn');
+    assert.equal(attempts, 2);
+  });
+
+  test('S-6 session of a removed project is killed once idle', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: projects.slice(0, 2) });
+    writePending(projects[1], 'h-s6', 'gh auth login');
+    const { pool, spawned, killed } = recordingPool([], 10);
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 120));
+    assert.deepEqual(spawned, [projects[1]]);
+    stateLib.removeWatchedProject(projects[1]);
+    await new Promise((r) => setTimeout(r, 120));
+    await loop.stop();
+    assert.deepEqual(killed, [projects[1]]);
+    assert.equal(pool.has(projects[1]), false);
+  });
+
+  test('S-7 allowlistFor applies each project\'s own allow file', async () => {
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: projects.slice(0, 2) });
+    fs.mkdirSync(path.join(projects[1], '.devflow'), { recursive: true });
+    fs.writeFileSync(path.join(projects[1], '.devflow', 'watch-allow.json'), JSON.stringify({ remove: ['gh auth login'] }));
+    writePending(projects[0], 'h-s7-a', 'gh auth login');
+    writePending(projects[1], 'h-s7-b', 'gh auth login');
+    const calls = [];
+    const { pool } = recordingPool(calls, 5);
+    const loop = daemon.runLoop({
+      projectRoot: projects[0], sessions: pool, maxConcurrent: 2,
+      allowlist: [], allowlistFor: allowlistLib.createAllowlistLoader(), pollIntervalMs: 10,
+    });
+    await new Promise((r) => setTimeout(r, 200));
+    await loop.stop();
+    assert.deepEqual(calls.map((c) => c.id), ['h-s7-a']);
+    const done = JSON.parse(fs.readFileSync(path.join(projects[1], '.devflow-handoff', 'done', 'h-s7-b.json'), 'utf8'));
+    assert.equal(done.status, 'rejected');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Group C: `after` dependencies + cascade-cancel
+// ---------------------------------------------------------------------------
+
+describe('runLoop — Group C: after-dependencies + cascade-cancel', () => {
+  let root;
+  beforeEach(() => { root = mkTmpProject(); });
+  afterEach(() => rmTmp(root));
+
+  const doneRec = (id) => JSON.parse(fs.readFileSync(path.join(root, '.devflow-handoff', 'done', `${id}.json`), 'utf8'));
+
+  test('C-1 dependent waits for its prerequisite and runs after it exits 0', async () => {
+    // Dependent is older, so plain FIFO would pick it first.
+    writePending(root, 'h-c1-b', 'doctl auth init', { created_at: '2026-04-29T10:00:00Z', after: ['h-c1-a'], chain: 'h-c1-a' });
+    writePending(root, 'h-c1-a', 'gh auth login', { created_at: '2026-04-29T10:01:00Z' });
+    const order = [];
+    const loop = daemon.runLoop({
+      projectRoot: root, session: fakeSession((id) => { order.push(id); return { stdout: '', stderr: '', exit_code: 0, status: 'done' }; }),
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 200));
+    await loop.stop();
+    assert.deepEqual(order, ['h-c1-a', 'h-c1-b']);
+  });
+
+  test('C-2 failure cascade-cancels every downstream record without dispatching it', async () => {
+    writePending(root, 'h-c2-a', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(root, 'h-c2-b', 'gh auth setup-git', { created_at: '2026-04-29T10:01:00Z', after: ['h-c2-a'], chain: 'h-c2-a' });
+    writePending(root, 'h-c2-c', 'gh auth status', { created_at: '2026-04-29T10:02:00Z', after: ['h-c2-b'], chain: 'h-c2-a' });
+    writePending(root, 'h-c2-x', 'mise use', { created_at: '2026-04-29T10:03:00Z' });
+    const order = [];
+    const loop = daemon.runLoop({
+      projectRoot: root,
+      session: fakeSession((id) => { order.push(id); return { stdout: '', stderr: 'nope', exit_code: id === 'h-c2-a' ? 1 : 0 }; }),
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 250));
+    await loop.stop();
+    assert.deepEqual(order, ['h-c2-a', 'h-c2-x'], 'cancelled records never dispatched; unrelated record still runs');
+    assert.equal(doneRec('h-c2-b').status, 'cancelled');
+    assert.equal(doneRec('h-c2-b').exit_code, -6);
+    assert.match(doneRec('h-c2-b').stderr, /prerequisite h-c2-a did not succeed \(status=failed exit=1\)/);
+    assert.equal(doneRec('h-c2-c').status, 'cancelled');
+    assert.match(doneRec('h-c2-c').stderr, /prerequisite h-c2-b/);
+    assert.deepEqual(daemon.readPending(root), []);
+  });
+
+  test('C-3 nextDispatchable skips records still waiting on a pending prerequisite', () => {
+    writePending(root, 'h-c3-b', 'git push', { created_at: '2026-04-29T10:00:00Z', after: ['h-c3-a'] });
+    writePending(root, 'h-c3-a', 'gh auth login', { created_at: '2026-04-29T10:01:00Z' });
+    assert.equal(daemon.nextDispatchable(root).id, 'h-c3-a');
+  });
+
+  test('C-4 nextDispatchable drops a pending record whose id already has a done record', () => {
+    writePending(root, 'h-c4-a', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(root, 'h-c4-b', 'mise install', { created_at: '2026-04-29T10:01:00Z' });
+    const doneDir = daemon.doneDir(root);
+    fs.mkdirSync(doneDir, { recursive: true });
+    fs.writeFileSync(path.join(doneDir, 'h-c4-a.json'), JSON.stringify({ id: 'h-c4-a', status: 'success', exit_code: 0 }));
+    const logs = [];
+    assert.equal(daemon.nextDispatchable(root, (lvl, msg) => logs.push(msg)).id, 'h-c4-b');
+    assert.deepEqual(daemon.readPending(root).map((r) => r.id), ['h-c4-b']);
+    assert.match(logs[0], /dropping pending h-c4-a: already done/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Group E: onEvent, wake() and snapshot() — the socket RPC's view
+// ---------------------------------------------------------------------------
+
+describe('runLoop — Group E: events, wake + snapshot', () => {
+  let root;
+  beforeEach(() => { root = mkTmpProject(); });
+  afterEach(() => rmTmp(root));
+
+  test('E-1 dispatch and done events carry id, cmd and the done path; cascade-cancels emit done too', async () => {
+    writePending(root, 'h-e1-a', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(root, 'h-e1-b', 'gh auth setup-git', { created_at: '2026-04-29T10:01:00Z', after: ['h-e1-a'], chain: 'h-e1-a' });
+    const events = [];
+    const loop = daemon.runLoop({
+      projectRoot: root,
+      session: fakeSession(() => ({ stdout: '', stderr: 'nope', exit_code: 1 })),
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+      onEvent: (e) => events.push(e),
+    });
+    await new Promise((r) => setTimeout(r, 200));
+    await loop.stop();
+    assert.deepEqual(events.map((e) => [e.event, e.id]), [['dispatch', 'h-e1-a'], ['done', 'h-e1-a'], ['done', 'h-e1-b']]);
+    assert.equal(events[0].project, root);
+    assert.equal(events[0].cmd, 'gh auth login');
+    assert.ok(events[0].started_at);
+    assert.equal(events[1].status, 'failed');
+    assert.equal(events[1].exit_code, 1);
+    assert.equal(events[2].status, 'cancelled');
+    assert.equal(events[2].path, path.join(root, '.devflow-handoff', 'done', 'h-e1-b.json'));
+    assert.ok(fs.existsSync(events[2].path));
+  });
+
+  test('E-2 wake() dispatches a new record without waiting for the poll; snapshot() lists it in flight', async () => {
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    const loop = daemon.runLoop({
+      projectRoot: root,
+      session: { dispatch: () => gate.then(() => ({ stdout: '', stderr: '', exit_code: 0, status: 'done' })) },
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 60000,
+    });
+    await new Promise((r) => setTimeout(r, 30));
+    writePending(root, 'h-e2', 'mise install');
+    loop.wake();
+    loop.wake(); // coalesced
+    await new Promise((r) => setTimeout(r, 50));
+    const snap = loop.snapshot();
+    assert.equal(snap.in_flight[root].id, 'h-e2');
+    assert.equal(snap.in_flight[root].cmd, 'mise install');
+    release();
+    await loop.stop();
+    assert.deepEqual(loop.snapshot().in_flight, {});
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Group X: priority + cancel requests
+// ---------------------------------------------------------------------------
+
+describe('runLoop — Group X: priority + cancel requests', () => {
+  let root;
+  beforeEach(() => { root = mkTmpProject(); });
+  afterEach(() => rmTmp(root));
+
+  const doneRec = (id) => JSON.parse(fs.readFileSync(path.join(root, '.devflow-handoff', 'done', `${id}.json`), 'utf8'));
+  function requestCancel(id) {
+    const dir = path.join(root, '.devflow-handoff', 'cancel');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id }));
+  }
+
+  test('X-1 readPending puts higher priority first, FIFO within a priority', () => {
+    writePending(root, 'h-x1-a', 'echo a', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(root, 'h-x1-b', 'echo b', { created_at: '2026-04-29T10:01:00Z', priority: 5 });
+    writePending(root, 'h-x1-c', 'echo c', { created_at: '2026-04-29T10:02:00Z', priority: 5 });
+    writePending(root, 'h-x1-d', 'echo d', { created_at: '2026-04-29T09:00:00Z', priority: -1 });
+    assert.deepEqual(daemon.readPending(root).map((r) => r.id), ['h-x1-b', 'h-x1-c', 'h-x1-a', 'h-x1-d']);
+  });
+
+  test('X-2 cancel request for a queued record writes a cancelled done record without dispatching', async () => {
+    writePending(root, 'h-x2', 'gh auth login');
+    requestCancel('h-x2');
+    const calls = [];
+    const loop = daemon.runLoop({
+      projectRoot: root, session: fakeSession((id) => { calls.push(id); return { stdout: '', stderr: '', exit_code: 0, status: 'done' }; }),
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 100));
+    await loop.stop();
+    assert.deepEqual(calls, []);
+    const done = doneRec('h-x2');
+    assert.equal(done.status, 'cancelled');
+    assert.equal(done.cancel_reason, 'user');
+    assert.equal(done.exit_code, -6);
+    assert.equal(done._path, undefined);
+    assert.ok(!fs.existsSync(path.join(root, '.devflow-handoff', 'cancel', 'h-x2.json')), 'request consumed');
+  });
+
+  test('X-3 cancel request for the in-flight record calls session.cancel and records the result', async () => {
+    writePending(root, 'h-x3', 'gcloud auth login');
+    let resolveDispatch;
+    const cancelled = [];
+    const session = {
+      dispatch: () => new Promise((r) => { resolveDispatch = r; }),
+      cancel(id) {
+        cancelled.push(id);
+        resolveDispatch({ stdout: 'partial', stderr: '', exit_code: 130, status: 'cancelled' });
+        return true;
+      },
+    };
+    const loop = daemon.runLoop({
+      projectRoot: root, session, allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+    });
+    await new Promise((r) => setTimeout(r, 60));
+    requestCancel('h-x3');
+    await new Promise((r) => setTimeout(r, 100));
+    await loop.stop();
+    assert.deepEqual(cancelled, ['h-x3']);
+    const done = doneRec('h-x3');
+    assert.equal(done.status, 'cancelled');
+    assert.equal(done.cancel_reason, 'user');
+    assert.equal(done.exit_code, -6);
+    assert.equal(done.stdout, 'partial');
+    assert.match(done.stderr, /cancelled by user/);
+    assert.ok(!fs.existsSync(path.join(root, '.devflow-handoff', 'cancel', 'h-x3.json')));
+  });
+
+  test('X-4 session pool replaces a session that died (cancel / timeout killed its shell)', async () => {
+    let made = 0;
+    const pool = daemon.createSessionPool(() => {
+      made++;
+      let alive = true;
+      return { isAlive: () => alive, kill: async () => { alive = false; } };
+    });
+    const first = await pool.get(root);
+    assert.equal(await pool.get(root), first);
+    await first.kill();
+    const second = await pool.get(root);
+    assert.notEqual(second, first);
+    assert.equal(made, 2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Group L: running/<id>.log progress stream
+// ---------------------------------------------------------------------------
+
+describe('processOnce — Group L: running log', () => {
+  let root;
+  beforeEach(() => { root = mkTmpProject(); });
+  afterEach(() => rmTmp(root));
+
+  const logPath = (id) => path.join(root, '.devflow-handoff', 'running', `${id}.log`);
+
+  test('L-1 output is appended to running/<id>.log while the command runs, then removed', async () => {
+    writePending(root, 'h-l1', 'mise install');
+    let seenDuringRun = null;
+    const session = {
+      async dispatch(id, cmd, opts) {
+        assert.ok(fs.existsSync(logPath(id)), 'log exists before any output');
+        opts.onOutput('stdout', 'downloading 1/3\n');
+        opts.onOutput('stderr', 'warn: slow mirror\n');
+        seenDuringRun = fs.readFileSync(logPath(id), 'utf8');
+        return { stdout: 'downloading 1/3\n', stderr: 'warn: slow mirror\n', exit_code: 0, status: 'done' };
+      },
+    };
+    const [pending] = daemon.readPending(root);
+    const done = await daemon.processOnce(pending, { session, allowlist: allowlistLib.defaultAllowlist(), projectRoot: root });
+    assert.equal(done.status, 'done');
+    assert.equal(seenDuringRun, 'downloading 1/3\nwarn: slow mirror\n');
+    assert.ok(!fs.existsSync(logPath('h-l1')), 'log removed once the done record exists');
+  });
+
+  test('L-2 secrets are redacted even when a value is split across chunks', () => {
+    const secrets = [{ value: 'tok-abcdef-123456' }];
+    const log = daemon.openRunningLog(root, 'h-l2', secrets);
+    log.write('stdout', 'using tok-abc');
+    log.write('stdout', 'def-123456 now\n');
+    log.write('stdout', 'next line padding long enough\n');
+    const text = fs.readFileSync(log.path, 'utf8');
+    assert.doesNotMatch(text, /tok-abc/);
+    assert.match(text, /using \*\*\*REDACTED\*\*\* now\n/);
+    log.remove();
+    assert.ok(!fs.existsSync(log.path));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Group AU: audit log
+// ---------------------------------------------------------------------------
+
+describe('processOnce — Group AU: audit log', () => {
+  let root;
+  let auditFile;
+  let keyFile;
+  beforeEach(() => {
+    root = mkTmpProject();
+    auditFile = path.join(root, 'audit.jsonl');
+    keyFile = path.join(root, 'audit.key');
+  });
+  afterEach(() => rmTmp(root));
+
+  const auditLib = require('./watcher-audit.cjs');
+  const records = () => fs.readFileSync(auditFile, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+
+  test('AU-1 run and rejected records are chained with label, exit code, duration and redaction count', async () => {
+    writePending(root, 'h-au1', 'doctl auth init', {
+      created_at: '2026-04-29T10:00:00Z',
+      inputs: { secrets: [{ prompt_match: 'Token:', value_source: 'keyring', value_ref: 'do-token' }] },
+    });
+    writePending(root, 'h-au2', 'cat /etc/passwd', { created_at: '2026-04-29T10:01:00Z' });
+    const session = makeTokenSession({
+      stream: ['Token: '],
+      result: { stdout: 'dop_v1_auditvalue ok\n', stderr: 'using dop_v1_auditvalue\n', exit_code: 0, status: 'done' },
+    });
+    const audit = auditLib.openAuditLog(auditFile, { keyFile });
+    const deps = {
+      session,
+      allowlist: allowlistLib.defaultAllowlist(),
+      projectRoot: root,
+      resolvers: { keyring: () => 'dop_v1_auditvalue' },
+      audit,
+    };
+    for (const pending of daemon.readPending(root)) await daemon.processOnce(pending, deps);
+
+    const [run, rejected] = records();
+    assert.equal(run.id, 'h-au1');
+    assert.equal(run.project, root);
+    assert.equal(run.cmd, 'doctl auth init');
+    assert.equal(run.allowlist_label, 'doctl auth init');
+    assert.equal(run.exit_code, 0);
+    assert.equal(run.redactions, 2);
+    assert.ok(Number.isInteger(run.duration_ms) && run.duration_ms >= 0);
+    assert.equal(rejected.status, 'rejected');
+    assert.equal(rejected.allowlist_label, null);
+    assert.equal(rejected.prev_hash, run.hash);
+    assert.doesNotMatch(fs.readFileSync(auditFile, 'utf8'), /dop_v1_auditvalue/);
+    assert.equal(auditLib.verifyAuditLog(auditFile, { keyFile }).ok, true);
+  });
+
+  test('AU-2 an audit append failure is logged and does not fail the dispatch', async () => {
+    writePending(root, 'h-au3', 'gh auth login');
+    const logs = [];
+    const [pending] = daemon.readPending(root);
+    const done = await daemon.processOnce(pending, {
+      session: fakeSession(() => ({ stdout: '', stderr: '', exit_code: 0, status: 'done' })),
+      allowlist: allowlistLib.defaultAllowlist(),
+      projectRoot: root,
+      log: (level, msg) => logs.push(`${level} ${msg}`),
+      audit: { append() { throw new Error('disk full'); } },
+    });
+    assert.equal(done.status, 'done');
+    assert.ok(logs.includes('error audit append failed for h-au3: disk full'));
+  });
+
+  test('AU-3 user cancels, spawn failures and cascade cancels are audited too', async () => {
+    writePending(root, 'h-au6', 'mise install', { created_at: '2026-04-29T09:00:00Z' });
+    writePending(root, 'h-au4', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(root, 'h-au5', 'gh auth setup-git', { created_at: '2026-04-29T10:01:00Z', after: ['h-au4'], chain: 'h-au4' });
+    const cancelDir = path.join(root, '.devflow-handoff', 'cancel');
+    fs.mkdirSync(cancelDir, { recursive: true });
+    fs.writeFileSync(path.join(cancelDir, 'h-au6.json'), JSON.stringify({ id: 'h-au6' }));
+    const pool = daemon.createSessionPool(() => ({
+      async spawn() { throw new Error('no such shell'); },
+      async dispatch() { throw new Error('never dispatched'); },
+    }));
+    const loop = daemon.runLoop({
+      projectRoot: root, sessions: pool,
+      allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15,
+      audit: auditLib.openAuditLog(auditFile, { keyFile }),
+    });
+    await new Promise((r) => setTimeout(r, 250));
+    await loop.stop();
+    assert.deepEqual(records().map((r) => [r.id, r.status]), [
+      ['h-au6', 'cancelled'], ['h-au4', 'error'], ['h-au5', 'cancelled'],
+    ]);
+    assert.equal(auditLib.verifyAuditLog(auditFile, { keyFile }).ok, true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Group WD: watchdog — probe, hang detection (opt-in), respawn + restart counts
+// ---------------------------------------------------------------------------
+
+describe('runLoop — Group WD: session watchdog', () => {
+  let home;
+  let prevHOME;
+  let root;
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-wd-home-'));
+    prevHOME = process.env.HOME;
+    process.env.HOME = home;
+    root = mkTmpProject();
+    stateLib.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: [root] });
+  });
+  afterEach(() => {
+    if (prevHOME === undefined) delete process.env.HOME;
+    else process.env.HOME = prevHOME;
+    rmTmp(home);
+    rmTmp(root);
+  });
+
+  const doneRec = (id) => JSON.parse(fs.readFileSync(path.join(root, '.devflow-handoff', 'done', `${id}.json`), 'utf8'));
+  const WATCHDOG = { interval_ms: 20, probe_timeout_ms: 50, hang_after_ms: 0 };
+
+  // Pool of fake sessions; `make(n, cwd)` customises the n-th session.
+  function watchedPool(make) {
+    const made = [];
+    const pool = daemon.createSessionPool((cwd) => {
+      let alive = true;
+      const s = {
+        cwd,
+        closeReason: null,
+        probes: 0,
+        isAlive: () => alive,
+        async kill() { alive = false; },
+        async probe() { s.probes++; return { ok: true, latency_ms: 1 }; },
+        async dispatch() { return { stdout: '', stderr: '', exit_code: 0, status: 'done' }; },
+        die(reason) { alive = false; s.closeReason = reason; },
+      };
+      made.push(s);
+      return make ? make(made.length, s) : s;
+    });
+    return { pool, made };
+  }
+
+  test('WD-1 watchdogOptions: defaults, per-key overrides, false disables', () => {
+    assert.deepEqual(daemon.watchdogOptions(undefined), daemon.DEFAULT_WATCHDOG);
+    assert.deepEqual(daemon.watchdogOptions({ hang_after_ms: 0, interval_ms: 'soon', probe_timeout_ms: -1 }),
+      { ...daemon.DEFAULT_WATCHDOG, hang_after_ms: 0 });
+    assert.equal(daemon.watchdogOptions(false), null);
+    assert.equal(daemon.watchdogOptions({ interval_ms: 0 }), null);
+  });
+
+  test('WD-2 an idle session that fails its probe is respawned in the project root and counted', async () => {
+    const { pool, made } = watchedPool((n, s) => {
+      if (n === 1) s.probe = async () => ({ ok: false, latency_ms: 50, reason: 'no answer within 50ms' });
+      return s;
+    });
+    await pool.get(root);
+    const snapshots = [];
+    const loop = daemon.runLoop({
+      projectRoot: root, sessions: pool, allowlist: allowlistLib.defaultAllowlist(),
+      pollIntervalMs: 15, watchdog: WATCHDOG, onSchedule: (snap) => snapshots.push(snap),
+    });
+    await new Promise((r) => setTimeout(r, 150));
+    await loop.stop();
+    assert.equal(made.length, 2);
+    assert.deepEqual(made.map((s) => s.cwd), [root, root]);
+    assert.equal(made[0].isAlive(), false, 'wedged session killed');
+    assert.ok(made[1].probes > 0, 'replacement is probed too');
+    const stats = pool.stats()[root];
+    assert.equal(stats.restarts, 1);
+    assert.equal(stats.last_restart_reason, 'probe failed: no answer within 50ms');
+    assert.deepEqual(snapshots[snapshots.length - 1].sessions[root], stats);
+    assert.deepEqual(loop.snapshot().sessions, pool.stats());
+  });
+
+  test('WD-3 a dead idle session is respawned without waiting for the next record', async () => {
+    const { pool, made } = watchedPool();
+    const first = await pool.get(root);
+    first.die('shell exited (code 1)');
+    const loop = daemon.runLoop({
+      projectRoot: root, sessions: pool, allowlist: allowlistLib.defaultAllowlist(),
+      pollIntervalMs: 15, watchdog: WATCHDOG,
+    });
+    await new Promise((r) => setTimeout(r, 100));
+    await loop.stop();
+    assert.equal(made.length, 2);
+    assert.equal(pool.current(root), made[1]);
+    assert.deepEqual(
+      (({ restarts, last_restart_reason }) => ({ restarts, last_restart_reason }))(pool.stats()[root]),
+      { restarts: 1, last_restart_reason: 'shell exited (code 1)' },
+    );
+  });
+
+  test('WD-4 a silent in-flight command is aborted as error and the next record runs on a fresh session', async () => {
+    writePending(root, 'h-wd4-a', 'gh auth login', { created_at: '2026-04-29T10:00:00Z' });
+    writePending(root, 'h-wd4-b', 'mise install', { created_at: '2026-04-29T10:01:00Z' });
+    const dispatched = [];
+    const { pool, made } = watchedPool((n, s) => {
+      let pending = null;
+      s.dispatch = (id) => {
+        dispatched.push([n, id]);
+        if (n > 1) return Promise.resolve({ stdout: 'ok', stderr: '', exit_code: 0, status: 'done' });
+        return new Promise((resolve) => { pending = { id, resolve }; });
+      };
+      s.health = () => ({ alive: s.isAlive(), busy: !!pending, dispatch_id: pending && pending.id, quiet_ms: 600000 });
+      s.abort = (reason) => {
+        if (!pending) return false;
+        pending.resolve({ stdout: '', stderr: `[devflow-watch] ${reason}`, exit_code: -3, status: 'error' });
+        pending = null;
+        s.die(reason);
+        return true;
+      };
+      return s;
+    });
+    const loop = daemon.runLoop({
+      projectRoot: root, sessions: pool, allowlist: allowlistLib.defaultAllowlist(),
+      pollIntervalMs: 15, watchdog: { ...WATCHDOG, hang_after_ms: 1000 },
+    });
+    await new Promise((r) => setTimeout(r, 250));
+    await loop.stop();
+    const hung = doneRec('h-wd4-a');
+    assert.equal(hung.status, 'error');
+    assert.equal(hung.exit_code, -3);
+    assert.match(hung.stderr, /watchdog: no output from h-wd4-a for 600s .*shell session restarted/);
+    assert.equal(doneRec('h-wd4-b').status, 'done');
+    assert.deepEqual(dispatched, [[1, 'h-wd4-a'], [2, 'h-wd4-b']]);
+    assert.equal(made.length, 2);
+    assert.equal(pool.stats()[root].restarts, 1);
+    assert.equal(pool.stats()[root].last_restart_reason, 'h-wd4-a silent for 600s');
+  });
+
+  test('WD-5 hang_after_ms: 0 leaves a quiet command alone; no watchdog → no probes', async () => {
+    writePending(root, 'h-wd5', 'gh auth login');
+    let release;
+    const { pool, made } = watchedPool((n, s) => {
+      s.dispatch = () => new Promise((resolve) => {
+        release = () => resolve({ stdout: '', stderr: '', exit_code: 0, status: 'done' });
+      });
+      s.health = () => ({ alive: true, busy: true, dispatch_id: 'h-wd5', quiet_ms: 600000 });
+      s.abort = () => assert.fail('must not abort');
+      return s;
+    });
+    let loop = daemon.runLoop({
+      projectRoot: root, sessions: pool, allowlist: allowlistLib.defaultAllowlist(),
+      pollIntervalMs: 15, watchdog: WATCHDOG,
+    });
+    await new Promise((r) => setTimeout(r, 100));
+    release();
+    await loop.stop();
+    assert.equal(doneRec('h-wd5').status, 'done');
+
+    loop = daemon.runLoop({ projectRoot: root, sessions: pool, allowlist: allowlistLib.defaultAllowlist(), pollIntervalMs: 15 });
+    await new Promise((r) => setTimeout(r, 80));
+    await loop.stop();
+    assert.equal(made.length, 1);
+    assert.equal(made[0].probes, 0);
+  });
+
+  test('WD-6 default watchdog: a quiet dispatch under its timeout (browser auth) is not aborted', async () => {
+    assert.equal(daemon.DEFAULT_WATCHDOG.hang_after_ms, 0, 'hang detection is opt-in');
+    writePending(root, 'h-wd6', 'gcloud auth login');
+    let release;
+    const { pool, made } = watchedPool((n, s) => {
+      s.dispatch = () => new Promise((resolve) => {
+        release = () => resolve({ stdout: 'logged in', stderr: '', exit_code: 0, status: 'done' });
+      });
+      // Silent for 8 minutes: past the old 5-minute hang default, under the 10-minute dispatch timeout.
+      s.health = () => ({ alive: true, busy: true, dispatch_id: 'h-wd6', quiet_ms: 480000 });
+      s.abort = () => assert.fail('must not abort');
+      return s;
+    });
+    const loop = daemon.runLoop({
+      projectRoot: root, sessions: pool, allowlist: allowlistLib.defaultAllowlist(),
+      pollIntervalMs: 15, watchdog: { ...daemon.watchdogOptions(undefined), interval_ms: 20 },
+    });
+    await new Promise((r) => setTimeout(r, 100));
+    release();
+    await loop.stop();
+    assert.equal(doneRec('h-wd6').status, 'done');
+    assert.equal(made.length, 1, 'session never respawned');
+    assert.equal(pool.stats()[root].restarts, 0);
+  });
+});
@@ -0,0 +1,421 @@
+'use strict';
+
+/**
+ * watcher-rpc — optional Unix domain socket RPC for the devflow-watch daemon.
+ *
+ * Files stay the source of truth: the pending / done / cancel records are
+ * written exactly as before. The socket gives clients a faster path. Records
+ * enqueued over it are dispatched at once rather than on the next poll,
+ * hooks learn about done records without walking done/, and `subscribe`
+ * streams activity as it happens.
+ *
+ * Wire format: newline-delimited JSON.
+ *   request   { "id": 1, "method": "status", "params": {} }
+ *   response  { "id": 1, "ok": true, "result": ... }
+ *             { "id": 1, "ok": false, "error": "message" }
+ *   event     { "event": "dispatch" | "done", "project": ..., ... }
+ *             (only on connections that called `subscribe`)
+ *
+ * The socket lives at ~/.devflow/devflow-watch.sock (override:
+ * $DEVFLOW_WATCH_SOCKET) with mode 0600, and the daemon records its path
+ * in the PID file as `socket`. Clients only use it when that field is set
+ * and fall back to files on any error. Not available on Windows.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const MAX_LINE_BYTES = 256 * 1024;
+const DEFAULT_REQUEST_TIMEOUT_MS = 1000;
+
+function socketPath() {
+  if (process.env.DEVFLOW_WATCH_SOCKET) {
+    return process.env.DEVFLOW_WATCH_SOCKET;
+  }
+  const home = process.env.HOME || os.homedir();
+  return path.join(home, '.devflow', 'devflow-watch.sock');
+}
+
+function rpcError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Split a stream into JSON lines; `onLine(obj|null, raw)` gets null for a
+// line that is not valid JSON. Oversized lines end the connection.
+function lineReader(socket, onLine) {
+  let buf = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buf += chunk;
+    if (buf.length > MAX_LINE_BYTES && !buf.includes('\n')) {
+      socket.destroy();
+      return;
+    }
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const raw = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      if (!raw.trim()) continue;
+      let obj = null;
+      try { obj = JSON.parse(raw); } catch { /* reported by caller */ }
+      onLine(obj, raw);
+    }
+  });
+}
+
+function send(socket, obj) {
+  if (socket.destroyed || !socket.writable) return;
+  try { socket.write(JSON.stringify(obj) + '\n'); } catch { /* peer gone */ }
+}
+
+// Resolves true when something is accepting connections at `file`.
+function probe(file, timeoutMs = 200) {
+  return new Promise((resolve) => {
+    const c = net.createConnection(file);
+    const done = (live) => { clearTimeout(t); c.destroy(); resolve(live); };
+    const t = setTimeout(() => done(false), timeoutMs);
+    c.once('connect', () => done(true));
+    c.once('error', () => done(false));
+  });
+}
+
+/**
+ * Build the daemon side. `methods` maps method name → (params, ctx) =>
+ * result (or a Promise of one); a throw becomes an error response. The
+ * built-in `subscribe` method ({ project? }) marks the connection as a
+ * subscriber: it then receives every published event for that project
+ * (or all projects) until it disconnects.
+ *
+ * @param {object} opts
+ * @param {object} opts.methods
+ * @param {function} [opts.log]
+ * @returns {{ listen(file?): Promise<string>, publish(event): void,
+ *             close(): Promise<void>, path: string|null }}
+ */
+function createRpcServer({ methods, log = () => {} }) {
+  const conns = new Set();
+  const subscribers = new Map(); // socket → { project }
+  let server = null;
+  let listening = null;
+
+  async function handle(socket, msg) {
+    const id = msg && msg.id !== undefined ? msg.id : null;
+    if (!msg || typeof msg !== 'object' || typeof msg.method !== 'string') {
+      send(socket, { id, ok: false, error: 'invalid request' });
+      return;
+    }
+    const params = msg.params && typeof msg.params === 'object' ? msg.params : {};
+    if (msg.method === 'subscribe') {
+      const project = typeof params.project === 'string' ? path.resolve(params.project) : null;
+      subscribers.set(socket, { project });
+      send(socket, { id, ok: true, result: { subscribed: true, project } });
+      return;
+    }
+    const fn = Object.prototype.hasOwnProperty.call(methods, msg.method) ? methods[msg.method] : null;
+    if (typeof fn !== 'function') {
+      send(socket, { id, ok: false, error: `unknown method: ${msg.method}` });
+      return;
+    }
+    try {
+      const result = await fn(params, { socket });
+      send(socket, { id, ok: true, result: result === undefined ? null : result });
+    } catch (e) {
+      send(socket, { id, ok: false, error: e && e.message ? e.message : String(e) });
+    }
+  }
+
+  const api = {
+    path: null,
+
+    async listen(file = socketPath()) {
+      if (process.platform === 'win32') throw rpcError('ENOTSUP', 'socket RPC is not supported on Windows');
+      fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+      if (fs.existsSync(file)) {
+        if (await probe(file)) throw rpcError('EADDRINUSE', `socket already in use: ${file}`);
+        fs.unlinkSync(file); // stale — left by a daemon that did not exit cleanly
+      }
+      server = net.createServer((socket) => {
+        conns.add(socket);
+        socket.on('error', () => {});
+        socket.on('close', () => { conns.delete(socket); subscribers.delete(socket); });
+        lineReader(socket, (msg, raw) => {
+          if (msg === null) {
+            send(socket, { id: null, ok: false, error: `invalid JSON: ${raw.slice(0, 80)}` });
+            return;
+          }
+          handle(socket, msg).catch((e) => log('warn', `rpc: ${e.message}`));
+        });
+      });
+      listening = file;
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(file, () => { server.off('error', reject); resolve(); });
+      });
+      fs.chmodSync(file, 0o600);
+      api.path = file;
+      return file;
+    },
+
+    publish(event) {
+      for (const [socket, sub] of subscribers) {
+        if (sub.project && event.project && sub.project !== event.project) continue;
+        send(socket, event);
+      }
+    },
+
+    async close() {
+      if (!server) return;
+      for (const socket of conns) socket.destroy();
+      await new Promise((resolve) => server.close(() => resolve()));
+      server = null;
+      try { fs.unlinkSync(listening); } catch { /* already gone */ }
+      api.path = null;
+    },
+  };
+  return api;
+}
+
+/**
+ * One request over a fresh connection. Rejects with e.code ENOENT /
+ * ECONNREFUSED (no daemon), ETIMEDOUT, or ERPC (the method failed).
+ *
+ * @param {string} file
+ * @param {string} method
+ * @param {object} [params]
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<*>}
+ */
+function request(file, method, params = {}, { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(file);
+    let settled = false;
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (err) reject(err); else resolve(result);
+    };
+    const timer = setTimeout(() => finish(rpcError('ETIMEDOUT', `${method} timed out after ${timeoutMs}ms`)), timeoutMs);
+    socket.once('error', (e) => finish(e));
+    socket.once('close', () => finish(rpcError('ECONNRESET', 'connection closed before a response')));
+    socket.once('connect', () => send(socket, { id: 1, method, params }));
+    lineReader(socket, (msg) => {
+      if (!msg || msg.id !== 1) return;
+      if (msg.ok) finish(null, msg.result);
+      else finish(rpcError('ERPC', msg.error || 'request failed'));
+    });
+  });
+}
+
+/**
+ * Subscribe to daemon events. `onEvent(event)` is called for each event;
+ * `onClose(err?)` once the connection ends.
+ *
+ * @returns {{ ready: Promise<object>, close(): void }}
+ */
+function subscribe(file, params, onEvent, onClose = () => {}) {
+  const socket = net.createConnection(file);
+  let closed = false;
+  const end = (err) => {
+    if (closed) return;
+    closed = true;
+    onClose(err || null);
+  };
+  const ready = new Promise((resolve, reject) => {
+    socket.once('error', (e) => { reject(e); end(e); });
+    socket.once('connect', () => send(socket, { id: 1, method: 'subscribe', params: params || {} }));
+    lineReader(socket, (msg) => {
+      if (!msg) return;
+      if (msg.id === 1) {
+        if (msg.ok) resolve(msg.result); else reject(rpcError('ERPC', msg.error));
+        return;
+      }
+      if (msg.event) onEvent(msg);
+    });
+  });
+  ready.catch(() => {});
+  socket.on('close', () => end());
+  return {
+    ready,
+    close() { socket.destroy(); },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Daemon methods
+// ---------------------------------------------------------------------------
+
+const ID_RE = /^h-[0-9A-Za-z_-]{1,64}$/;
+
+/**
+ * The daemon's method table plus `onEvent`, which must receive every runLoop
+ * event: it keeps a per-project index of unconsumed done records, so
+ * `results` answers without walking done/. The index is seeded from done/
+ * once per project, on the first `results` call.
+ *
+ * Methods:
+ *   status   {}                         → { pid, version, projects, max_concurrent,
+ *                                            in_flight, pending_counts, sessions }
+ *   enqueue  { cmd, cwd, id?, reason?, source?, shell?, timeout_ms?, after?, priority? }
+ *                                       → { id, path, watched }
+ *   cancel   { id, cwd }                → { id, status: 'cancel_requested' }
+ *   results  { project }                → { watched, done: [{ id, path, completed_at }],
+ *                                            in_flight: { id, cmd, started_at }|null }
+ *   ack      { project, ids }           → { removed }
+ *
+ * @param {object} opts
+ * @param {function} opts.getLoop — () => runLoop handle (null before start)
+ * @param {string} opts.version
+ * @returns {{ methods: object, onEvent(event): void }}
+ */
+function daemonMethods({ getLoop, version }) {
+  const daemon = require('./watcher-daemon.cjs');
+  const handoff = require('./handoff.cjs');
+  const state = require('./watcher-state.cjs');
+  const index = new Map(); // project → Map(id → { id, path, completed_at })
+
+  const watching = () => {
+    const info = state.readPidFile();
+    return info && Array.isArray(info.watching) ? info.watching : [];
+  };
+  const snapshot = () => {
+    const loop = getLoop();
+    return loop ? loop.snapshot() : { max_concurrent: null, in_flight: {} };
+  };
+  const wake = () => {
+    const loop = getLoop();
+    if (loop) loop.wake();
+  };
+
+  function projectIndex(project) {
+    if (index.has(project)) return index.get(project);
+    const entries = new Map();
+    const dir = daemon.doneDir(project);
+    let names = [];
+    try { names = fs.readdirSync(dir).filter((f) => f.endsWith('.json')); } catch { /* none yet */ }
+    for (const name of names) {
+      const file = path.join(dir, name);
+      let rec;
+      try { rec = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { continue; }
+      if (!rec || !rec.id || rec.consumed === true) continue;
+      entries.set(rec.id, { id: rec.id, path: file, completed_at: rec.completed_at || null });
+    }
+    index.set(project, entries);
+    return entries;
+  }
+
+  const methods = {
+    status() {
+      const projects = watching();
+      const snap = snapshot();
+      const pending_counts = {};
+      for (const p of projects) pending_counts[p] = daemon.readPending(p).length;
+      return {
+        pid: process.pid,
+        version,
+        projects,
+        max_concurrent: snap.max_concurrent,
+        in_flight: snap.in_flight,
+        pending_counts,
+        sessions: snap.sessions || {},
+      };
+    },
+
+    enqueue(params) {
+      const cmd = typeof params.cmd === 'string' ? params.cmd : '';
+      if (!cmd.trim()) throw new Error('enqueue needs a cmd');
+      if (typeof params.cwd !== 'string' || !path.isAbsolute(params.cwd)) {
+        throw new Error('enqueue needs an absolute cwd');
+      }
+      const cwd = path.resolve(params.cwd);
+      if (params.id !== undefined && !(typeof params.id === 'string' && ID_RE.test(params.id))) {
+        throw new Error(`invalid id: ${params.id}`);
+      }
+      const id = params.id || handoff.newId();
+      const dir = daemon.pendingDir(cwd);
+      const file = path.join(dir, `${id}.json`);
+      if (fs.existsSync(file) || fs.existsSync(path.join(daemon.doneDir(cwd), `${id}.json`))) {
+        throw new Error(`handoff ${id} already exists`);
+      }
+      const record = {
+        id,
+        cmd,
+        cwd,
+        reason: typeof params.reason === 'string' ? params.reason : null,
+        source: typeof params.source === 'string' ? params.source : 'rpc',
+        shell: typeof params.shell === 'string' ? params.shell : null,
+        timeout_ms: Number.isInteger(params.timeout_ms) && params.timeout_ms > 0
+          ? params.timeout_ms
+          : daemon.DEFAULT_DISPATCH_TIMEOUT_MS,
+        created_at: new Date().toISOString(),
+        status: 'pending',
+      };
+      if (Array.isArray(params.after) && params.after.length > 0) record.after = params.after.map(String);
+      if (Number.isInteger(params.priority) && params.priority !== 0) record.priority = params.priority;
+      fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(record, null, 2) + '\n');
+      fs.renameSync(tmp, file);
+      wake();
+      return { id, path: file, watched: watching().includes(cwd) };
+    },
+
+    cancel(params) {
+      if (typeof params.id !== 'string' || !ID_RE.test(params.id)) throw new Error('cancel needs an id');
+      if (typeof params.cwd !== 'string' || !path.isAbsolute(params.cwd)) {
+        throw new Error('cancel needs an absolute cwd');
+      }
+      const cwd = path.resolve(params.cwd);
+      if (!fs.existsSync(path.join(daemon.pendingDir(cwd), `${params.id}.json`))) {
+        throw new Error(`No pending handoff found for id: ${params.id}`);
+      }
+      handoff.requestCancel(cwd, params.id);
+      wake();
+      return { id: params.id, status: 'cancel_requested' };
+    },
+
+    results(params) {
+      const project = typeof params.project === 'string' ? path.resolve(params.project) : null;
+      if (!project || !watching().includes(project)) return { watched: false, done: [], in_flight: null };
+      const entries = projectIndex(project);
+      for (const [id, e] of entries) {
+        if (!fs.existsSync(e.path)) entries.delete(id);
+      }
+      const done = [...entries.values()].sort((a, b) => (a.completed_at || '').localeCompare(b.completed_at || ''));
+      return { watched: true, done, in_flight: snapshot().in_flight[project] || null };
+    },
+
+    ack(params) {
+      const project = typeof params.project === 'string' ? path.resolve(params.project) : null;
+      const entries = project ? index.get(project) : null;
+      let removed = 0;
+      if (entries && Array.isArray(params.ids)) {
+        for (const id of params.ids) if (entries.delete(String(id))) removed += 1;
+      }
+      return { removed };
+    },
+  };
+
+  function onEvent(event) {
+    // Projects not yet indexed pick the record up from done/ when seeded.
+    if (event.event !== 'done' || !index.has(event.project)) return;
+    index.get(event.project).set(event.id, { id: event.id, path: event.path, completed_at: event.completed_at || null });
+  }
+
+  return { methods, onEvent };
+}
+
+module.exports = {
+  socketPath,
+  createRpcServer,
+  request,
+  subscribe,
+  daemonMethods,
+  MAX_LINE_BYTES,
+};
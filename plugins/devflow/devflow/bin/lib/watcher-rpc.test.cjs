@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Tests for lib/watcher-rpc.cjs — the daemon's optional socket RPC.
+ *
+ *   RPC-1: request round-trips; unknown methods and throws come back as ERPC
+ *   RPC-2: subscribers get published events, filtered by project
+ *   RPC-3: listen replaces a stale socket, refuses a live one, chmods 0600
+ *          and unlinks on close
+ *   RPC-4: no socket → ENOENT; a bad JSON line gets an error response
+ *   RPC-5: daemonMethods enqueue / cancel write the same records as the
+ *          file protocol and wake the loop
+ *   RPC-6: daemonMethods results seeds from done/, follows done events,
+ *          forgets acked ids; status reports the loop snapshot
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const rpc = require('./watcher-rpc.cjs');
+const state = require('./watcher-state.cjs');
+
+let dir;
+let sock;
+let servers;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-rpc-'));
+  sock = path.join(dir, 'w.sock');
+  servers = [];
+});
+afterEach(async () => {
+  for (const s of servers) await s.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function serve(methods) {
+  const server = rpc.createRpcServer({ methods });
+  servers.push(server);
+  await server.listen(sock);
+  return server;
+}
+
+function rawExchange(file, line) {
+  return new Promise((resolve, reject) => {
+    const c = net.createConnection(file);
+    let buf = '';
+    c.setEncoding('utf8');
+    c.on('error', reject);
+    c.on('connect', () => c.write(line));
+    c.on('data', (d) => {
+      buf += d;
+      if (buf.includes('\n')) { c.destroy(); resolve(JSON.parse(buf.split('\n')[0])); }
+    });
+  });
+}
+
+describe('watcher-rpc', () => {
+  test('RPC-1: request round-trips; unknown methods and throws come back as ERPC', async () => {
+    await serve({
+      echo: (params) => ({ got: params }),
+      later: async () => 42,
+      boom: () => { throw new Error('nope'); },
+    });
+    assert.deepStrictEqual(await rpc.request(sock, 'echo', { a: 1 }), { got: { a: 1 } });
+    assert.equal(await rpc.request(sock, 'later'), 42);
+    await assert.rejects(rpc.request(sock, 'boom'), (e) => e.code === 'ERPC' && e.message === 'nope');
+    await assert.rejects(rpc.request(sock, 'toString'), (e) => e.code === 'ERPC' && /unknown method: toString/.test(e.message));
+  });
+
+  test('RPC-2: subscribers get published events, filtered by project', async () => {
+    const server = await serve({});
+    const all = [];
+    const only = [];
+    const a = rpc.subscribe(sock, {}, (e) => all.push(e));
+    const b = rpc.subscribe(sock, { project: '/p1' }, (e) => only.push(e));
+    assert.deepStrictEqual(await a.ready, { subscribed: true, project: null });
+    assert.deepStrictEqual(await b.ready, { subscribed: true, project: '/p1' });
+    server.publish({ event: 'dispatch', project: '/p1', id: 'h-1' });
+    server.publish({ event: 'done', project: '/p2', id: 'h-2' });
+    await new Promise((r) => setTimeout(r, 50));
+    a.close();
+    b.close();
+    assert.deepStrictEqual(all.map((e) => e.id), ['h-1', 'h-2']);
+    assert.deepStrictEqual(only.map((e) => e.id), ['h-1']);
+  });
+
+  test('RPC-3: listen replaces a stale socket, refuses a live one, chmods 0600 and unlinks on close', async () => {
+    fs.writeFileSync(sock, ''); // left behind by a crashed daemon
+    const server = await serve({ ping: () => 'pong' });
+    assert.equal(server.path, sock);
+    assert.equal(fs.statSync(sock).mode & 0o777, 0o600);
+    assert.equal(await rpc.request(sock, 'ping'), 'pong');
+
+    const second = rpc.createRpcServer({ methods: {} });
+    await assert.rejects(second.listen(sock), (e) => e.code === 'EADDRINUSE');
+    assert.equal(await rpc.request(sock, 'ping'), 'pong', 'live server untouched');
+
+    await server.close();
+    assert.equal(fs.existsSync(sock), false);
+  });
+
+  test('RPC-4: no socket → ENOENT; a bad JSON line gets an error response', async () => {
+    await assert.rejects(rpc.request(sock, 'status'), (e) => e.code === 'ENOENT');
+    await serve({ status: () => ({}) });
+    const bad = await rawExchange(sock, '{nope\n');
+    assert.equal(bad.ok, false);
+    assert.match(bad.error, /invalid JSON/);
+    const noMethod = await rawExchange(sock, '{"id":3}\n');
+    assert.deepStrictEqual(noMethod, { id: 3, ok: false, error: 'invalid request' });
+  });
+});
+
+describe('watcher-rpc — daemonMethods', () => {
+  let project;
+  let prevPid;
+  let wakes;
+  let snapshot;
+  let dm;
+  beforeEach(() => {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), 'dfw-rpc-proj-'));
+    prevPid = process.env.DEVFLOW_HANDOFF_PID_FILE;
+    process.env.DEVFLOW_HANDOFF_PID_FILE = path.join(dir, 'w.pid');
+    state.writePidFile({ pid: process.pid, version: '0.1.0', shell: 'bash', watching: [project] });
+    wakes = 0;
+    snapshot = { max_concurrent: 4, in_flight: {} };
+    const loop = { wake: () => { wakes++; }, snapshot: () => snapshot };
+    dm = rpc.daemonMethods({ getLoop: () => loop, version: '0.1.0' });
+  });
+  afterEach(() => {
+    if (prevPid === undefined) delete process.env.DEVFLOW_HANDOFF_PID_FILE;
+    else process.env.DEVFLOW_HANDOFF_PID_FILE = prevPid;
+    fs.rmSync(project, { recursive: true, force: true });
+  });
+
+  const handoff = (...p) => path.join(project, '.devflow-handoff', ...p);
+  const writeDone = (id, extra = {}) => {
+    fs.mkdirSync(handoff('done'), { recursive: true });
+    fs.writeFileSync(handoff('done', `${id}.json`), JSON.stringify({ id, status: 'done', completed_at: '2026-10-19T10:00:00Z', ...extra }));
+  };
+
+  test('RPC-5: daemonMethods enqueue / cancel write the same records as the file protocol and wake the loop', () => {
+    const res = dm.methods.enqueue({ id: 'h-rpc5', cmd: 'gh auth login', cwd: project, reason: 'TTY', source: 'hook', shell: 'zsh' });
+    assert.deepStrictEqual(res, { id: 'h-rpc5', path: handoff('pending', 'h-rpc5.json'), watched: true });
+    const rec = JSON.parse(fs.readFileSync(res.path, 'utf8'));
+    assert.equal(rec.cmd, 'gh auth login');
+    assert.equal(rec.cwd, project);
+    assert.equal(rec.source, 'hook');
+    assert.equal(rec.shell, 'zsh');
+    assert.equal(rec.status, 'pending');
+    assert.equal(rec.timeout_ms, 600000);
+    assert.equal(wakes, 1);
+
+    const gen = dm.methods.enqueue({ cmd: 'mise install', cwd: project, after: ['h-rpc5'], priority: 2 });
+    assert.match(gen.id, /^h-/);
+    const genRec = JSON.parse(fs.readFileSync(gen.path, 'utf8'));
+    assert.equal(genRec.source, 'rpc');
+    assert.deepStrictEqual(genRec.after, ['h-rpc5']);
+    assert.equal(genRec.priority, 2);
+
+    assert.throws(() => dm.methods.enqueue({ id: 'h-rpc5', cmd: 'gh auth login', cwd: project }), /already exists/);
+    assert.throws(() => dm.methods.enqueue({ id: '../x', cmd: 'gh auth login', cwd: project }), /invalid id/);
+    assert.throws(() => dm.methods.enqueue({ cmd: 'gh auth login', cwd: 'rel' }), /absolute cwd/);
+    assert.throws(() => dm.methods.enqueue({ cmd: ' ', cwd: project }), /needs a cmd/);
+
+    assert.deepStrictEqual(dm.methods.cancel({ id: 'h-rpc5', cwd: project }), { id: 'h-rpc5', status: 'cancel_requested' });
+    assert.equal(JSON.parse(fs.readFileSync(handoff('cancel', 'h-rpc5.json'), 'utf8')).id, 'h-rpc5');
+    assert.throws(() => dm.methods.cancel({ id: 'h-gone', cwd: project }), /No pending handoff found/);
+    assert.equal(wakes, 3);
+  });
+
+  test('RPC-6: daemonMethods results seeds from done/, follows done events, forgets acked ids; status reports the loop snapshot', () => {
+    writeDone('h-old');
+    writeDone('h-seen', { consumed: true });
+    dm.onEvent({ event: 'done', project, id: 'h-early', path: handoff('done', 'h-early.json') }); // before seeding: ignored
+
+    let res = dm.methods.results({ project });
+    assert.equal(res.watched, true);
+    assert.deepStrictEqual(res.done.map((d) => d.id), ['h-old']);
+    assert.equal(res.in_flight, null);
+
+    writeDone('h-new', { completed_at: '2026-10-19T11:00:00Z' });
+    dm.onEvent({ event: 'done', project, id: 'h-new', path: handoff('done', 'h-new.json'), completed_at: '2026-10-19T11:00:00Z' });
+    snapshot = { max_concurrent: 4, in_flight: { [project]: { id: 'h-run', cmd: 'gh auth login', started_at: 'x' } } };
+    res = dm.methods.results({ project });
+    assert.deepStrictEqual(res.done.map((d) => d.id), ['h-old', 'h-new']);
+    assert.equal(res.in_flight.id, 'h-run');
+
+    assert.deepStrictEqual(dm.methods.ack({ project, ids: ['h-old', 'h-nope'] }), { removed: 1 });
+    assert.deepStrictEqual(dm.methods.results({ project }).done.map((d) => d.id), ['h-new']);
+    assert.deepStrictEqual(dm.methods.results({ project: dir }), { watched: false, done: [], in_flight: null });
+
+    fs.mkdirSync(handoff('pending'), { recursive: true });
+    fs.writeFileSync(handoff('pending', 'h-run.json'), JSON.stringify({ id: 'h-run', cmd: 'gh auth login', created_at: 'x' }));
+    const st = dm.methods.status({});
+    assert.equal(st.pid, process.pid);
+    assert.equal(st.version, '0.1.0');
+    assert.deepStrictEqual(st.projects, [project]);
+    assert.equal(st.max_concurrent, 4);
+    assert.deepStrictEqual(st.pending_counts, { [project]: 1 });
+    assert.equal(st.in_flight[project].cmd, 'gh auth login');
+  });
+});
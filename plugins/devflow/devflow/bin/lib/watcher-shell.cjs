@@ -50,14 +50,34 @@
  *
  * See 19-RESEARCH.md §2 "Sentinel protocol compatibility" for the full
  * design rationale.
+ *
+ * Streaming: the temp files hold output until END, so a long command shows
+ * nothing on the data stream while it runs. With `dispatch(..., { onOutput })`
+ * the session picks the capture paths itself (wrapper `files` argument) and
+ * tails them every `output_poll_ms`, handing new text to the callback. The
+ * final result is still recovered from the sentinels.
+ *
+ * Health: the daemon's watchdog calls `probe()` on idle sessions (a no-op
+ * run through the same sentinel protocol) and `health()` on busy ones (how
+ * long since the shell or the capture files last produced output), and
+ * `abort(reason)` to end a wedged dispatch as `error`. A shell that dies
+ * mid-command also resolves the dispatch as `error`, with how it exited.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { spawn } = require('child_process');
 const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
 
 const { getWrapper, UnsupportedShell } = require('./wrappers/index.cjs');
 
 let _ptyModule = null;
+
+const DEFAULT_OUTPUT_POLL_MS = 250;
+const DEFAULT_PROBE_TIMEOUT_MS = 5000;
+const PROBE_MARK = '__DFW_PROBE_OK__';
 function _loadPTY() {
   if (_ptyModule) return _ptyModule;
   try {
@@ -98,6 +118,11 @@ class ShellSession extends EventEmitter {
     this._stdoutBuf = '';
     this._stderrBuf = '';
     this._activeDispatch = null; // { id, beginRx, endRx, resolve, timeout }
+    this._lastActivityAt = 0; // last output from the shell or capture files
+    this._probeSeq = 0;
+    // Why the session closed ('killed', 'dispatch h-1 timed out', ...); set
+    // before the shell exits when the close was deliberate.
+    this.closeReason = null;
     // TRD 19-02: external data listeners for token-passing prompt detection.
     // Daemon attaches a detector that scans the data stream for prompt
     // regexes and writes resolved secrets back to the shell. Both PTY mode
@@ -175,6 +200,7 @@ class ShellSession extends EventEmitter {
       // PTYs merge stdout+stderr at the OS layer; the sentinel protocol's
       // temp-file redirection inside the wrapped command separates them again.
       this.proc.onData((chunk) => {
+        this._lastActivityAt = Date.now();
         this._stdoutBuf += chunk;
         // TRD 19-02: feed external listeners (e.g. prompt detector) BEFORE
         // _tryComplete so the detector can inject a secret in time for the
@@ -182,7 +208,7 @@ class ShellSession extends EventEmitter {
         this._emitExtData(chunk);
         this._tryComplete();
       });
-      this.proc.onExit(() => this._onExit());
+      this.proc.onExit((e) => this._onExit(e && e.exitCode, e && e.signal));
       // Quiet PS1 / job-control / PROMPT_COMMAND noise. PTY input terminator
       // is \r (carriage return), NOT \n.
       //
@@ -210,6 +236,7 @@ class ShellSession extends EventEmitter {
       this.proc.stdout.setEncoding('utf8');
       this.proc.stderr.setEncoding('utf8');
       this.proc.stdout.on('data', (chunk) => {
+        this._lastActivityAt = Date.now();
         this._stdoutBuf += chunk;
         // TRD 19-02: feed external listeners (e.g. prompt detector) BEFORE
         // _tryComplete. Pipe-mode emits both streams; prompts CAN come on
@@ -219,12 +246,13 @@ class ShellSession extends EventEmitter {
         this._tryComplete();
       });
       this.proc.stderr.on('data', (chunk) => {
+        this._lastActivityAt = Date.now();
         this._stderrBuf += chunk;
         this._emitExtData(chunk);
         this._tryComplete();
       });
-      this.proc.on('exit', () => this._onExit());
-      this.proc.on('error', () => this._onExit());
+      this.proc.on('exit', (code, signal) => this._onExit(code, signal));
+      this.proc.on('error', (e) => this._onExit(null, null, e));
       // Quiet job-control noise on `bash -i` without a TTY (or equivalent
       // for fish/pwsh), AND clear the interactive prompt so PS1 doesn't
       // pollute captured stderr. Wrappers ship per-shell init lines.
@@ -244,18 +272,43 @@ class ShellSession extends EventEmitter {
     else this.proc.stdin.write(s);
   }
 
-  _onExit() {
+  /**
+   * Kill the shell now (SIGTERM, no wait) and mark the session closed.
+   */
+  _destroyProc() {
+    try { this.proc.kill('SIGTERM'); } catch {}
+    // PTY procs need destroy() to release the underlying socket FD;
+    // otherwise the host event loop stays alive. SIGTERM alone is not
+    // enough — see node-pty UnixTerminal.destroy() upstream.
+    if (this._isPTY) {
+      try { this.proc.destroy(); } catch {}
+    }
     this._closed = true;
-    if (this._activeDispatch && !this._activeDispatch.settled) {
-      this._activeDispatch.settled = true;
-      clearTimeout(this._activeDispatch.timer);
-      this._activeDispatch.resolve({
-        stdout: '',
-        stderr: '',
-        exit_code: -1,
-        status: 'shell_died',
-      });
+  }
+
+  _onExit(code, signal, err) {
+    const deliberate = this.closeReason !== null;
+    if (!deliberate) {
+      this.closeReason = err ? `shell failed: ${err.message}`
+        : signal ? `shell exited (signal ${signal})`
+          : `shell exited (code ${code == null ? '?' : code})`;
+    }
+    this._closed = true;
+    const d = this._activeDispatch;
+    if (d && !d.settled) {
+      d.settled = true;
+      clearTimeout(d.timer);
+      clearTimeout(d.cancelTimer);
+      this._stopOutputStream(d);
       this._activeDispatch = null;
+      d.resolve(deliberate
+        ? { stdout: '', stderr: '', exit_code: -1, status: 'killed' }
+        : {
+          stdout: '',
+          stderr: `[devflow-watch] ${this.closeReason} while ${d.id} was running; the next record gets a fresh session`,
+          exit_code: -3,
+          status: 'error',
+        });
     }
     this.emit('closed');
   }
@@ -264,6 +317,70 @@ class ShellSession extends EventEmitter {
     return !!(this.proc && !this._closed);
   }
 
+  /**
+   * Snapshot for the watchdog. `quiet_ms` is the time since the shell (or,
+   * while streaming, the capture files) last produced output — a busy
+   * session that stays quiet is likely waiting on input nobody will type.
+   *
+   * @returns {{ alive, pid, busy, dispatch_id, quiet_ms, close_reason }}
+   */
+  health() {
+    const d = this._activeDispatch && !this._activeDispatch.settled ? this._activeDispatch : null;
+    return {
+      alive: this.isAlive(),
+      pid: this.proc ? this.proc.pid : null,
+      busy: !!d,
+      dispatch_id: d ? d.id : null,
+      quiet_ms: this._lastActivityAt ? Date.now() - this._lastActivityAt : null,
+      close_reason: this.closeReason,
+    };
+  }
+
+  /**
+   * Check that an idle shell still answers: run a no-op through the
+   * sentinel protocol and wait up to `timeout_ms` (default 5000) for its
+   * END marker. A probe that times out kills the shell like any dispatch
+   * timeout. Rejects like dispatch() while a dispatch is in progress.
+   *
+   * @param {object} [opts] — { timeout_ms }
+   * @returns {Promise<{ ok: boolean, latency_ms: number, reason?: string }>}
+   */
+  async probe(opts = {}) {
+    const timeoutMs = typeof opts.timeout_ms === 'number' ? opts.timeout_ms : DEFAULT_PROBE_TIMEOUT_MS;
+    if (!this.isAlive()) {
+      return { ok: false, latency_ms: 0, reason: this.closeReason || 'shell not running' };
+    }
+    const started = Date.now();
+    const r = await this.dispatch(`probe-${++this._probeSeq}`, `echo ${PROBE_MARK}`, { timeout_ms: timeoutMs });
+    const latency_ms = Date.now() - started;
+    if (r.status === 'done' && r.stdout.includes(PROBE_MARK)) return { ok: true, latency_ms };
+    const reason = r.status === 'timeout'
+      ? `no answer within ${timeoutMs}ms`
+      : (this.closeReason || `probe ended ${r.status} (exit ${r.exit_code})`);
+    return { ok: false, latency_ms, reason };
+  }
+
+  /**
+   * End the active dispatch as `error` with `reason` in its stderr and
+   * kill the shell (the caller respawns it). Returns false when nothing is
+   * running.
+   *
+   * @param {string} reason — diagnostic for the done record
+   */
+  abort(reason) {
+    const d = this._activeDispatch;
+    if (!d || d.settled) return false;
+    d.settled = true;
+    clearTimeout(d.timer);
+    clearTimeout(d.cancelTimer);
+    this._stopOutputStream(d);
+    this._activeDispatch = null;
+    this.closeReason = reason;
+    this._destroyProc();
+    d.resolve({ stdout: '', stderr: `[devflow-watch] ${reason}`, exit_code: -3, status: 'error' });
+    return true;
+  }
+
   _tryComplete() {
     const d = this._activeDispatch;
     if (!d || d.settled) return;
@@ -284,21 +401,126 @@ class ShellSession extends EventEmitter {
     this._stdoutBuf = trimAfter(this._stdoutBuf, d.end);
     d.settled = true;
     clearTimeout(d.timer);
+    clearTimeout(d.cancelTimer);
+    // Last chunk written between the previous poll and END.
+    this._pollOutput(d);
+    this._stopOutputStream(d);
     this._activeDispatch = null;
     d.resolve({
       stdout,
       stderr,
       exit_code: rc,
-      status: rc === 0 ? 'done' : 'failed',
+      // An interrupted command still reaches END (rc 130); report the intent.
+      status: d.cancelled ? 'cancelled' : (rc === 0 ? 'done' : 'failed'),
     });
   }
 
+  /**
+   * Create the capture files for `d` and start tailing them. Files are
+   * created here (empty, 0600) so the first poll has something to open;
+   * the wrapper's own `rm -f` removes them after END.
+   */
+  _startOutputStream(d, onOutput, pollMs) {
+    const base = path.join(os.tmpdir(), `dfw-${d.id}-${process.pid}-${Date.now()}`);
+    const files = { out: `${base}.out`, err: `${base}.err` };
+    try {
+      fs.writeFileSync(files.out, '', { mode: 0o600 });
+      fs.writeFileSync(files.err, '', { mode: 0o600 });
+    } catch {
+      return; // fall back to mktemp capture, no streaming
+    }
+    d.stream = {
+      files,
+      onOutput,
+      tails: {
+        stdout: { file: files.out, offset: 0, decoder: new StringDecoder('utf8') },
+        stderr: { file: files.err, offset: 0, decoder: new StringDecoder('utf8') },
+      },
+      timer: setInterval(() => this._pollOutput(d), pollMs || DEFAULT_OUTPUT_POLL_MS),
+    };
+  }
+
+  _pollOutput(d) {
+    if (!d.stream) return;
+    for (const [name, tail] of Object.entries(d.stream.tails)) {
+      let text = '';
+      let fd;
+      try {
+        fd = fs.openSync(tail.file, 'r');
+        const size = fs.fstatSync(fd).size;
+        if (size > tail.offset) {
+          const buf = Buffer.alloc(size - tail.offset);
+          const n = fs.readSync(fd, buf, 0, buf.length, tail.offset);
+          tail.offset += n;
+          text = tail.decoder.write(buf.subarray(0, n));
+        }
+      } catch {
+        // Removed by the wrapper after END — nothing more to read.
+      } finally {
+        if (fd !== undefined) try { fs.closeSync(fd); } catch {}
+      }
+      if (!text) continue;
+      this._lastActivityAt = Date.now();
+      // The capture files are plain files, not the PTY — no \r\n to normalise.
+      try { d.stream.onOutput(name, text); } catch { /* callback errors must not break dispatch */ }
+    }
+  }
+
+  _stopOutputStream(d) {
+    if (!d || !d.stream) return;
+    clearInterval(d.stream.timer);
+    // Timeout / cancel / shell death never reach the wrapper's rm -f.
+    for (const f of Object.values(d.stream.files)) {
+      try { fs.unlinkSync(f); } catch {}
+    }
+    d.stream = null;
+  }
+
+  /**
+   * Cancel the in-flight dispatch `id`. Returns false when `id` isn't the
+   * active dispatch.
+   *
+   * PTY mode sends Ctrl+C to the foreground command so the shell (and the
+   * environment it has built up) survives; the dispatch resolves through
+   * the normal END sentinel with status 'cancelled'. If the command ignores
+   * SIGINT for `grace_ms`, or in pipe mode (no job control — the byte would
+   * just land on the command's stdin), the shell is killed like a timeout
+   * and the caller respawns it.
+   *
+   * @param {string} id
+   * @param {object} [opts] — { grace_ms } (default 2000)
+   */
+  cancel(id, opts = {}) {
+    const d = this._activeDispatch;
+    if (!d || d.settled || d.id !== id) return false;
+    d.cancelled = true;
+    const abort = () => {
+      if (d.settled) return;
+      d.settled = true;
+      clearTimeout(d.timer);
+      this._stopOutputStream(d);
+      this._activeDispatch = null;
+      this.closeReason = `dispatch ${id} cancelled`;
+      this._destroyProc();
+      d.resolve({ stdout: '', stderr: '', exit_code: -1, status: 'cancelled' });
+    };
+    if (!this._isPTY) {
+      abort();
+      return true;
+    }
+    this._writeRaw('\x03');
+    d.cancelTimer = setTimeout(abort, typeof opts.grace_ms === 'number' ? opts.grace_ms : 2000);
+    return true;
+  }
+
   /**
    * Dispatch a command. Returns { stdout, stderr, exit_code, status }.
    *
    * @param {string} id — handoff id (used as sentinel; must be /[A-Za-z0-9-]+/)
    * @param {string} cmd — the command
-   * @param {object} opts — { timeout_ms }
+   * @param {object} opts — { timeout_ms, onOutput, output_poll_ms }
+   *   onOutput(stream, text) — called with new 'stdout' / 'stderr' text
+   *   while the command runs (tailed from the capture files)
    */
   dispatch(id, cmd, opts = {}) {
     if (!this.isAlive()) {
@@ -323,28 +545,31 @@ class ShellSession extends EventEmitter {
         resolve,
         settled: false,
         timer: null,
+        cancelled: false,
+        cancelTimer: null,
+        stream: null,
       };
       d.timer = setTimeout(() => {
         if (d.settled) return;
         d.settled = true;
+        clearTimeout(d.cancelTimer);
+        this._stopOutputStream(d);
         this._activeDispatch = null;
         // Kill the shell — the daemon will respawn for the next command.
-        try { this.proc.kill('SIGTERM'); } catch {}
-        // PTY procs need destroy() to release the underlying socket FD;
-        // otherwise the host event loop stays alive. SIGTERM alone is not
-        // enough — see node-pty UnixTerminal.destroy() upstream.
-        if (this._isPTY) {
-          try { this.proc.destroy(); } catch {}
-        }
-        this._closed = true;
+        this.closeReason = `dispatch ${id} timed out`;
+        this._destroyProc();
         resolve({ stdout: '', stderr: '', exit_code: -1, status: 'timeout' });
       }, timeoutMs);
       this._activeDispatch = d;
+      this._lastActivityAt = Date.now();
 
       // TRD 20-05: per-shell wrapper generates wrappedLines (sentinel-fenced
       // protocol; output shape is shell-agnostic). PTY input separator is
       // always \r (PTY input convention); pipe mode uses wrapper.lineSep.
-      const wrappedLines = this._wrapper.wrapCommand(cmd, id);
+      if (typeof opts.onOutput === 'function') {
+        this._startOutputStream(d, opts.onOutput, opts.output_poll_ms);
+      }
+      const wrappedLines = this._wrapper.wrapCommand(cmd, id, d.stream ? d.stream.files : undefined);
       const sep = this._isPTY ? '\r' : this._wrapper.lineSep;
       this._writeRaw(wrappedLines.join(sep));
       // In case markers already arrived (race-free).
@@ -356,6 +581,7 @@ class ShellSession extends EventEmitter {
     if (!this.proc) return;
     if (this._closed) return;
     this._closed = true;
+    if (this.closeReason === null) this.closeReason = 'killed';
     if (this._isPTY) {
       // node-pty: kill signal + destroy() which closes the read stream and
       // releases the file descriptor. Without destroy() the socket holds
@@ -409,6 +635,8 @@ class ShellSession extends EventEmitter {
     if (this._activeDispatch && !this._activeDispatch.settled) {
       this._activeDispatch.settled = true;
       clearTimeout(this._activeDispatch.timer);
+      clearTimeout(this._activeDispatch.cancelTimer);
+      this._stopOutputStream(this._activeDispatch);
       this._activeDispatch.resolve({
         stdout: '',
         stderr: '',
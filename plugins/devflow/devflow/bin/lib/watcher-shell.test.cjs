@@ -14,6 +14,8 @@
  *   9. kill() sends SIGTERM
  *  10. dispatch after kill rejects
  *  11. crash recovery
+ *  12. onOutput streams capture-file output before END; files cleaned up
+ *  13. health / probe / abort for the daemon watchdog (HL-1..HL-4)
  */
 
 const { test, describe, beforeEach, afterEach } = require('node:test');
@@ -91,6 +93,62 @@ describe('watcher-shell — timeout', () => {
   });
 });
 
+describe('watcher-shell — cancel', () => {
+  test('cancel(id) of the active dispatch resolves status: cancelled (pipe mode kills the shell)', async () => {
+    await withSession({}, async (s) => {
+      const p = s.dispatch('h-c1', 'sleep 5', { timeout_ms: 10000 });
+      await new Promise((r) => setTimeout(r, 50));
+      assert.equal(s.cancel('h-other'), false, 'only the active id can be cancelled');
+      assert.equal(s.cancel('h-c1'), true);
+      const r = await p;
+      assert.equal(r.status, 'cancelled');
+      assert.equal(s.isAlive(), false, 'pipe mode has no job control — shell is replaced');
+    });
+  });
+
+  test('cancel with no active dispatch returns false', async () => {
+    await withSession({}, async (s) => {
+      assert.equal(s.cancel('h-none'), false);
+    });
+  });
+});
+
+describe('watcher-shell — streaming output', () => {
+  test('onOutput receives stdout/stderr while the command is still running', async () => {
+    await withSession({}, async (s) => {
+      const chunks = [];
+      let settled = false;
+      let firstSeenBeforeEnd = false;
+      const r = await s.dispatch('h-st1', 'echo first; echo warn 1>&2; sleep 0.6; echo second', {
+        output_poll_ms: 50,
+        onOutput: (stream, text) => {
+          chunks.push([stream, text]);
+          if (text.includes('first') && !settled) firstSeenBeforeEnd = true;
+        },
+      }).finally(() => { settled = true; });
+      assert.ok(firstSeenBeforeEnd, 'first line streamed before END');
+      assert.equal(chunks.filter(([n]) => n === 'stdout').map(([, t]) => t).join(''), 'first\nsecond\n');
+      assert.equal(chunks.filter(([n]) => n === 'stderr').map(([, t]) => t).join(''), 'warn\n');
+      assert.equal(r.stdout, 'first\nsecond\n', 'result still comes from the sentinels');
+    });
+  });
+
+  test('capture files are removed when the dispatch is cut short', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const before = new Set(fs.readdirSync(os.tmpdir()).filter((f) => f.startsWith('dfw-h-st2-')));
+    await withSession({}, async (s) => {
+      const r = await s.dispatch('h-st2', 'sleep 5', { timeout_ms: 200, onOutput: () => {} });
+      assert.equal(r.status, 'timeout');
+    });
+    const left = fs.readdirSync(os.tmpdir())
+      .filter((f) => f.startsWith('dfw-h-st2-') && !before.has(f))
+      .map((f) => path.join(os.tmpdir(), f));
+    assert.deepEqual(left, []);
+  });
+});
+
 describe('watcher-shell — lifecycle', () => {
   // Force interactive:false so these tests stay pipe-mode (matching pre-PTY
   // behavior). The class default flipped to PTY for the production daemon;
@@ -114,6 +172,69 @@ describe('watcher-shell — lifecycle', () => {
   });
 });
 
+describe('watcher-shell — health (watchdog)', () => {
+  test('HL-1: probe answers on an idle shell and rejects while a dispatch runs', async () => {
+    await withSession({}, async (s) => {
+      const r = await s.probe({ timeout_ms: 2000 });
+      assert.equal(r.ok, true);
+      assert.equal(typeof r.latency_ms, 'number');
+      const running = s.dispatch('h-hl1', 'sleep 0.3');
+      await assert.rejects(() => s.probe(), /dispatch in progress/);
+      assert.equal((await running).status, 'done');
+      assert.equal((await s.probe()).ok, true, 'probe output does not leak into the next dispatch');
+      assert.equal((await s.dispatch('h-hl1b', 'echo after')).stdout, 'after\n');
+    });
+  });
+
+  test('HL-2: probe on a shell that stopped answering times out and closes the session', async () => {
+    await withSession({}, async (s) => {
+      const pid = s.proc.pid;
+      process.kill(pid, 'SIGSTOP');
+      try {
+        const r = await s.probe({ timeout_ms: 150 });
+        assert.deepEqual([r.ok, r.reason], [false, 'no answer within 150ms']);
+        assert.equal(s.isAlive(), false);
+        assert.equal(s.health().close_reason, 'dispatch probe-1 timed out');
+      } finally {
+        try { process.kill(pid, 'SIGKILL'); } catch {}
+        try { process.kill(pid, 'SIGCONT'); } catch {}
+      }
+    });
+  });
+
+  test('HL-3: health reports a busy, quiet dispatch; abort ends it as error', async () => {
+    await withSession({}, async (s) => {
+      assert.deepEqual(
+        (({ alive, busy, dispatch_id }) => ({ alive, busy, dispatch_id }))(s.health()),
+        { alive: true, busy: false, dispatch_id: null },
+      );
+      const p = s.dispatch('h-hl3', 'read -r answer; echo "$answer"', { timeout_ms: 10000 });
+      await new Promise((r) => setTimeout(r, 150));
+      const h = s.health();
+      assert.equal(h.busy, true);
+      assert.equal(h.dispatch_id, 'h-hl3');
+      assert.ok(h.quiet_ms >= 100, `quiet_ms=${h.quiet_ms}`);
+      assert.equal(s.abort('watchdog: stuck'), true);
+      const r = await p;
+      assert.deepEqual(r, { stdout: '', stderr: '[devflow-watch] watchdog: stuck', exit_code: -3, status: 'error' });
+      assert.equal(s.isAlive(), false);
+      assert.equal(s.closeReason, 'watchdog: stuck');
+      assert.equal(s.abort('again'), false, 'nothing left to abort');
+    });
+  });
+
+  test('HL-4: a shell that exits mid-command resolves the dispatch as error with how it exited', async () => {
+    await withSession({}, async (s) => {
+      const r = await s.dispatch('h-hl4', 'exit 3', { timeout_ms: 5000 });
+      assert.equal(r.status, 'error');
+      assert.equal(r.exit_code, -3);
+      assert.match(r.stderr, /shell exited \(code 3\) while h-hl4 was running/);
+      assert.equal(s.closeReason, 'shell exited (code 3)');
+      assert.equal((await s.probe()).ok, false);
+    });
+  });
+});
+
 // =============================================================================
 // PTY-mode test list (TRD 19-01) — gated on node-pty availability
 // =============================================================================
@@ -281,6 +402,20 @@ describe('watcher-shell — PTY mode (interactive:true)', () => {
   });
 });
 
+describe('watcher-shell — PTY cancel', () => {
+  test('PTY-13: cancel interrupts the command within the grace period', ptySkip, async () => {
+    await withPTYSession({}, async (s) => {
+      const p = s.dispatch('p-c1', 'sleep 30', { timeout_ms: 60000 });
+      await new Promise((r) => setTimeout(r, 200));
+      const t0 = Date.now();
+      assert.equal(s.cancel('p-c1', { grace_ms: 1000 }), true);
+      const r = await p;
+      assert.equal(r.status, 'cancelled');
+      assert.ok(Date.now() - t0 < 5000, 'Ctrl+C or the grace-period kill ends it well before sleep 30');
+    });
+  });
+});
+
 describe('watcher-shell — PTY mode gating (PTY-12)', () => {
   test('PTY-12: when node-pty unavailable, PTY-mode tests skip cleanly', () => {
     // This test always runs. If PTY_AVAILABLE is true, this is a no-op pass.
@@ -16,6 +16,7 @@ const os = require('os');
 
 const PID_FILE_NAME = 'devflow-watch.pid';
 const PID_DIR_NAME = '.devflow';
+const QUEUE_FILE_NAME = 'devflow-watch.queue.json';
 
 function homeDir() {
   // Use process.env.HOME first so tests can override it. os.homedir() reads
@@ -58,6 +59,21 @@ function readPidFile() {
   }
 }
 
+/**
+ * Merge `patch` into the PID file (atomic tmp + rename). Returns the new
+ * payload, or null when there is no PID file to update.
+ */
+function updatePidFile(patch) {
+  const current = readPidFile();
+  if (!current) return null;
+  const file = pidFilePath();
+  const next = { ...current, ...patch };
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(next, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return next;
+}
+
 function removePidFile() {
   const file = pidFilePath();
   try {
@@ -67,6 +83,48 @@ function removePidFile() {
   }
 }
 
+/**
+ * Scheduler snapshot written by the daemon whenever a dispatch starts or
+ * finishes: { max_concurrent, in_flight: { [projectRoot]: handoffId },
+ * sessions: { [projectRoot]: { restarts, last_restart_at,
+ * last_restart_reason } }, updated_at }. Lives next to the PID file (so DEVFLOW_HANDOFF_PID_FILE
+ * overrides move it too) and is kept separate from it so add-project /
+ * remove-project read-modify-writes never race the daemon.
+ */
+function queueFilePath() {
+  return path.join(path.dirname(pidFilePath()), QUEUE_FILE_NAME);
+}
+
+function writeQueueFile({ max_concurrent, in_flight, sessions }) {
+  const file = queueFilePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const payload = {
+    max_concurrent: max_concurrent || 1,
+    in_flight: in_flight || {},
+    sessions: sessions || {},
+    updated_at: new Date().toISOString(),
+  };
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(payload, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return payload;
+}
+
+function readQueueFile() {
+  const file = queueFilePath();
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function removeQueueFile() {
+  try { fs.unlinkSync(queueFilePath()); } catch { /* already gone */ }
+}
+
 function isWatcherLive() {
   const info = readPidFile();
   if (!info || typeof info.pid !== 'number') return false;
@@ -201,8 +259,13 @@ module.exports = {
   pidFilePath,
   writePidFile,
   readPidFile,
+  updatePidFile,
   removePidFile,
   isWatcherLive,
+  queueFilePath,
+  writeQueueFile,
+  readQueueFile,
+  removeQueueFile,
   makeDoneRecord,
   markConsumed,
   listUnconsumed,
@@ -106,6 +106,14 @@ describe('watcher-state — pidFilePath / writePidFile / readPidFile / removePid
     assert.ok(!fs.existsSync(lib.pidFilePath()));
     assert.doesNotThrow(() => lib.removePidFile());
   });
+
+  test('updatePidFile merges fields and keeps started_at; null without a PID file', () => {
+    assert.equal(lib.updatePidFile({ socket: '/s' }), null);
+    const first = lib.writePidFile({ pid: 7, version: '0.1.0', shell: 'zsh', watching: ['/p'] });
+    const next = lib.updatePidFile({ socket: '/tmp/dfw.sock' });
+    assert.equal(next.socket, '/tmp/dfw.sock');
+    assert.deepStrictEqual(lib.readPidFile(), { ...first, socket: '/tmp/dfw.sock' });
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -299,8 +307,31 @@ describe('watcher-state — Group W: multi-project mutations (TRD 20-03)', () =>
 // TRD 20-03 Group EX — Export surface
 // ===========================================================================
 
+describe('watcher-state — queue file', () => {
+  let h;
+  beforeEach(() => { h = tmpHome(); });
+  afterEach(() => h.cleanup());
+
+  test('Q-1 queue file sits next to the PID file and round-trips', () => {
+    assert.equal(path.dirname(lib.queueFilePath()), path.dirname(lib.pidFilePath()));
+    assert.equal(lib.readQueueFile(), null);
+    lib.writeQueueFile({ max_concurrent: 2, in_flight: { '/p1': 'h-1' } });
+    const q = lib.readQueueFile();
+    assert.equal(q.max_concurrent, 2);
+    assert.deepEqual(q.in_flight, { '/p1': 'h-1' });
+    assert.deepEqual(q.sessions, {});
+    assert.ok(q.updated_at);
+    const restarted = { restarts: 2, last_restart_at: '2026-10-19T10:00:00Z', last_restart_reason: 'shell exited (code 1)' };
+    lib.writeQueueFile({ max_concurrent: 2, in_flight: {}, sessions: { '/p1': restarted } });
+    assert.deepEqual(lib.readQueueFile().sessions, { '/p1': restarted });
+    lib.removeQueueFile();
+    lib.removeQueueFile(); // idempotent
+    assert.equal(lib.readQueueFile(), null);
+  });
+});
+
 describe('watcher-state — Group EX: export surface (TRD 20-03)', () => {
-  test('EX-1 module.exports adds addWatchedProject + removeWatchedProject (10-entry surface)', () => {
+  test('EX-1 module.exports adds watched-project + queue-file helpers (15-entry surface)', () => {
     const keys = Object.keys(lib).sort();
     assert.deepStrictEqual(keys, [
       'addWatchedProject',
@@ -309,10 +340,15 @@ describe('watcher-state — Group EX: export surface (TRD 20-03)', () => {
       'makeDoneRecord',
       'markConsumed',
       'pidFilePath',
+      'queueFilePath',
       'readPidFile',
+      'readQueueFile',
       'removePidFile',
+      'removeQueueFile',
       'removeWatchedProject',
+      'updatePidFile',
       'writePidFile',
+      'writeQueueFile',
     ]);
   });
 });
@@ -9,8 +9,17 @@
  * set +o monitor, PS1).
  *
  * Interface: { shellName, shellArgs, wrapCommand, lineSep, initLines }
+ *
+ * wrapCommand(cmd, id, files) — when `files` ({ out, err }) is passed the
+ * capture goes to those paths instead of mktemp, so the caller can tail
+ * them while the command runs (streaming progress).
  */
 
+// Single-quote a path for the shell.
+function quote(p) {
+  return `'${String(p).replace(/'/g, "'\\''")}'`;
+}
+
 module.exports = {
   shellName: 'bash',
 
@@ -31,12 +40,14 @@ module.exports = {
     return mode === 'pty' ? ['stty -echo 2>/dev/null', ...base] : base;
   },
 
-  wrapCommand: (cmd, id) => {
+  wrapCommand: (cmd, id, files) => {
     const begin = `__DFW_BEGIN_${id}__`;
     const delim = `__DFW_DELIM_${id}__`;
     const end = `__DFW_END_${id}__`;
     return [
-      '__DFW_OUT=$(mktemp 2>/dev/null) __DFW_ERR=$(mktemp 2>/dev/null)',
+      files
+        ? `__DFW_OUT=${quote(files.out)} __DFW_ERR=${quote(files.err)}`
+        : '__DFW_OUT=$(mktemp 2>/dev/null) __DFW_ERR=$(mktemp 2>/dev/null)',
       `{ ${cmd} ; } > $__DFW_OUT 2> $__DFW_ERR`,
       '__DFW_RC=$?',
       `echo ${begin}`,
@@ -79,6 +79,12 @@ describe('wrappers/bash.cjs — Group BW', () => {
     const actual = bash.wrapCommand(cmd, id);
     assert.deepStrictEqual(actual, expected, 'byte-identical to v1.1+obj19 wrappedLines');
   });
+
+  test('BW-10 wrapCommand with files captures to the given (quoted) paths', () => {
+    const lines = bash.wrapCommand('echo x', 'h-1', { out: "/tmp/a b.out", err: "/tmp/it's.err" });
+    assert.equal(lines[0], "__DFW_OUT='/tmp/a b.out' __DFW_ERR='/tmp/it'\\''s.err'");
+    assert.deepStrictEqual(lines.slice(1), bash.wrapCommand('echo x', 'h-1').slice(1));
+  });
 });
 
 describe('wrappers/bash.cjs — Group EX', () => {
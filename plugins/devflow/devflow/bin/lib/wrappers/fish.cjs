@@ -20,8 +20,16 @@
  * sentinel stderr region.
  *
  * Interface: { shellName, shellArgs, wrapCommand, lineSep, initLines }
+ *
+ * wrapCommand(cmd, id, files) — optional { out, err } capture paths, as in
+ * wrappers/bash.cjs.
  */
 
+// Single-quote a path for fish (only backslash and ' are special inside quotes).
+function quote(p) {
+  return `'${String(p).replace(/[\\']/g, '\\$&')}'`;
+}
+
 module.exports = {
   shellName: 'fish',
 
@@ -37,12 +45,14 @@ module.exports = {
     return mode === 'pty' ? ['stty -echo 2>/dev/null', ...base] : base;
   },
 
-  wrapCommand: (cmd, id) => {
+  wrapCommand: (cmd, id, files) => {
     const begin = `__DFW_BEGIN_${id}__`;
     const delim = `__DFW_DELIM_${id}__`;
     const end = `__DFW_END_${id}__`;
     return [
-      'set __DFW_OUT (mktemp 2>/dev/null); set __DFW_ERR (mktemp 2>/dev/null)',
+      files
+        ? `set __DFW_OUT ${quote(files.out)}; set __DFW_ERR ${quote(files.err)}`
+        : 'set __DFW_OUT (mktemp 2>/dev/null); set __DFW_ERR (mktemp 2>/dev/null)',
       `begin; ${cmd}; end > $__DFW_OUT 2> $__DFW_ERR`,
       'set __DFW_RC $status',
       `echo ${begin}`,
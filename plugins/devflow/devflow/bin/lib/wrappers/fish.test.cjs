@@ -45,6 +45,11 @@ describe('wrappers/fish.cjs — Group FW unit', () => {
     assert.ok(lines.some((l) => l === 'echo __DFW_END_h-1__:$__DFW_RC'));
   });
 
+  test('FW-4b wrapCommand with files sets the given (quoted) capture paths', () => {
+    const lines = fish.wrapCommand('echo x', 'h-1', { out: '/tmp/a.out', err: "/tmp/it's.err" });
+    assert.equal(lines[0], "set __DFW_OUT '/tmp/a.out'; set __DFW_ERR '/tmp/it\\'s.err'");
+  });
+
   test('FW-5 initLines includes function fish_prompt; end and set fish_greeting ""', () => {
     const init = fish.initLines('pipe');
     assert.ok(init.some((l) => l.includes('function fish_prompt')));
@@ -19,8 +19,16 @@
  * documented as best-effort.
  *
  * Interface: { shellName, shellArgs, wrapCommand, lineSep, initLines }
+ *
+ * wrapCommand(cmd, id, files) — optional { out, err } capture paths, as in
+ * wrappers/bash.cjs.
  */
 
+// Single-quoted PowerShell string literal ('' escapes a quote).
+function quote(p) {
+  return `'${String(p).replace(/'/g, "''")}'`;
+}
+
 module.exports = {
   shellName: 'powershell',
 
@@ -38,13 +46,13 @@ module.exports = {
     ];
   },
 
-  wrapCommand: (cmd, id) => {
+  wrapCommand: (cmd, id, files) => {
     const begin = `__DFW_BEGIN_${id}__`;
     const delim = `__DFW_DELIM_${id}__`;
     const end = `__DFW_END_${id}__`;
     return [
-      '$dfwOut = [System.IO.Path]::GetTempFileName()',
-      '$dfwErr = [System.IO.Path]::GetTempFileName()',
+      files ? `$dfwOut = ${quote(files.out)}` : '$dfwOut = [System.IO.Path]::GetTempFileName()',
+      files ? `$dfwErr = ${quote(files.err)}` : '$dfwErr = [System.IO.Path]::GetTempFileName()',
       `& { ${cmd} } *> $dfwOut 2> $dfwErr`,
       '$dfwRc = $LASTEXITCODE; if ($null -eq $dfwRc) { $dfwRc = 0 }',
       `Write-Output "${begin}"`,
@@ -46,6 +46,12 @@ describe('wrappers/powershell.cjs — Group PW unit', () => {
     assert.ok(lines.some((l) => /\$null -eq \$dfwRc.*\$dfwRc = 0|\$dfwRc = 0/.test(l)));
   });
 
+  test('PW-5b wrapCommand with files uses the given (quoted) capture paths', () => {
+    const lines = pwsh.wrapCommand('echo x', 'h-1', { out: 'C:\\t\\a.out', err: "C:\\t\\it's.err" });
+    assert.equal(lines[0], "$dfwOut = 'C:\\t\\a.out'");
+    assert.equal(lines[1], "$dfwErr = 'C:\\t\\it''s.err'");
+  });
+
   test('PW-6 initLines includes prompt + ProgressPreference setup', () => {
     const init = pwsh.initLines('pipe');
     assert.ok(init.some((l) => l.includes("$Function:prompt = { '' }")));
@@ -20,6 +20,13 @@
  * - Both stale (or no cache) → spawns `df-tools awareness show --refresh --raw`
  *   (single process, covers both sections)
  *
+ * Coordination records: when the cached peer scan holds records a peer
+ * published for this branch (dup-detect defer / coordinate / split /
+ * proceed-anyway), they are injected as SessionStart additionalContext so the
+ * session opens knowing what the other side decided. This reads the cache
+ * only — records published since the last scan show up next session (or in
+ * check-todos, which scans fresh).
+ *
  * Escape hatches:
  * - DEVFLOW_SKIP_AWARENESS_POPULATE=1  → bypass entirely
  * - .planning/ absent in cwd          → not a DevFlow project, no-op
@@ -31,6 +38,7 @@ const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
 const { spawn } = require('child_process');
+const { describeRecord } = require('../devflow/bin/lib/coordination.cjs');
 
 const DEFAULT_TTL_MINUTES = 10;
 const CACHE_REL = path.join('.planning', '.awareness-cache.json');
@@ -96,6 +104,24 @@ function _isStale(fetched_at, ttl_minutes) {
   return age_ms > (ttl_minutes * 60_000);
 }
 
+/**
+ * Render the cached coordination records addressed to this branch as a
+ * markdown preamble. Returns null when there is nothing to say.
+ *
+ * @param {{ peer?: object } | null} cache
+ * @returns {string|null}
+ */
+function _coordinationNotice(cache) {
+  const peer = cache && cache.peer;
+  const records = (peer && Array.isArray(peer.coordination)) ? peer.coordination : [];
+  const mine = records.filter(r => r && r.to && r.to.branch === peer.current_branch);
+  if (mine.length === 0) return null;
+  const lines = ['## DevFlow coordination', ''];
+  for (const r of mine) lines.push(`- ${describeRecord(r)}`);
+  lines.push('', 'Peers published these after resolving duplicate-work overlaps with your branch.');
+  return lines.join('\n');
+}
+
 // ─── Main entry point ─────────────────────────────────────────────────────────
 
 /**
@@ -105,8 +131,14 @@ function _isStale(fetched_at, ttl_minutes) {
  * @param {string}   [opts.cwd]    - working directory (defaults to process.cwd())
  * @param {object}   [opts.env]    - environment object (defaults to process.env)
  * @param {function} [opts._spawn] - child_process.spawn replacement for testing
+ * @param {function} [opts._write] - stdout writer replacement for testing
  */
-function _main({ cwd = process.cwd(), env = process.env, _spawn = spawn } = {}) {
+function _main({
+  cwd = process.cwd(),
+  env = process.env,
+  _spawn = spawn,
+  _write = (s) => process.stdout.write(s),
+} = {}) {
   // Escape hatch: allow bypassing entirely for CI or testing environments
   if (env.DEVFLOW_SKIP_AWARENESS_POPULATE === '1') return;
 
@@ -114,6 +146,14 @@ function _main({ cwd = process.cwd(), env = process.env, _spawn = spawn } = {})
   if (!fs.existsSync(path.join(cwd, '.planning'))) return;
 
   const cache  = _readCache(cwd) || {};
+
+  const notice = _coordinationNotice(cache);
+  if (notice) {
+    _write(JSON.stringify({
+      hookSpecificOutput: { hookEventName: 'SessionStart', additionalContext: notice },
+    }));
+  }
+
   const ttl    = DEFAULT_TTL_MINUTES;
   const peerStale = _isStale(cache.peer && cache.peer.fetched_at, ttl);
   const orgStale  = _isStale(cache.org  && cache.org.fetched_at,  ttl);
@@ -156,4 +196,4 @@ if (require.main === module) {
   _main();
 }
 
-module.exports = { _main, _isStale, _readCache, _findDfTools };
+module.exports = { _main, _isStale, _readCache, _findDfTools, _coordinationNotice };
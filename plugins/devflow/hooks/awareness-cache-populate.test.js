@@ -12,6 +12,7 @@
  * H6: peer stale + org fresh → spawns scan-peer --no-fetch only
  * H7: both stale → spawns show --refresh --raw
  * H8: missing CLAUDE_PLUGIN_ROOT falls back to ~/.claude path
+ * H9: cached coordination records for this branch → SessionStart additionalContext
  * R1: hooks.json registers awareness-cache-populate as SessionStart hook
  * R2: hooks.json sync-runtime entry preserved
  * R3: hooks.json is valid JSON
@@ -194,6 +195,44 @@ test('H8: missing CLAUDE_PLUGIN_ROOT falls back to ~/.claude/devflow/bin path',
   } finally { t.cleanup(); }
 });
 
+test('H9: cached coordination records for this branch → SessionStart additionalContext', () => {
+  const { buildRecord } = require('../devflow/bin/lib/coordination.cjs');
+  const t = tempCwd();
+  fs.mkdirSync(path.join(t.cwd, '.planning'), { recursive: true });
+  const rec = (to_branch) => buildRecord({
+    kind: 'defer', objective_id: '07', repo: 'acme/api', from_branch: 'feature/obj-07', to_branch,
+  });
+  const writeCache = (coordination) => fs.writeFileSync(
+    path.join(t.cwd, '.planning', '.awareness-cache.json'),
+    JSON.stringify({
+      peer: { fetched_at: new Date().toISOString(), branches: [], current_branch: 'feature/mine', coordination },
+      org:  { fetched_at: new Date().toISOString(), items: [] },
+    }, null, 2)
+  );
+  try {
+    const writes = [];
+    const run = () => hookModule._main({
+      cwd: t.cwd,
+      env: { CLAUDE_PLUGIN_ROOT: '/fake' },
+      _spawn: () => { throw new Error('fresh cache must not spawn'); },
+      _write: (s) => writes.push(s),
+    });
+
+    writeCache([rec('feature/mine'), rec('feature/someone-else')]);
+    run();
+    assert.strictEqual(writes.length, 1);
+    const out = JSON.parse(writes[0]);
+    assert.strictEqual(out.hookSpecificOutput.hookEventName, 'SessionStart');
+    assert.match(out.hookSpecificOutput.additionalContext,
+      /## DevFlow coordination\n\n- objective 07 in acme\/api deferred to you \(feature\/obj-07\)\n\n/);
+    assert.doesNotMatch(out.hookSpecificOutput.additionalContext, /someone-else/);
+
+    writeCache([rec('feature/someone-else')]);
+    run();
+    assert.strictEqual(writes.length, 1, 'nothing addressed to this branch → no output');
+  } finally { t.cleanup(); }
+});
+
 // ─── Group R: hooks.json registration ────────────────────────────────────────
 
 test('R1: hooks.json registers awareness-cache-populate as SessionStart hook', () => {
@@ -13,6 +13,10 @@
  *     injects the result into Claude's next turn. Claude never instructs
  *     the user to paste anything.
  *
+ *     When the daemon serves its socket RPC (lib/watch-socket.js), the record
+ *     is enqueued over the socket so the daemon dispatches it at once; the
+ *     file write is the fallback.
+ *
  *   Daemon ABSENT (Approach A — fallback):
  *     Same detection + pending record, but the deny reason instructs Claude
  *     to surface `! cmd` for the user to paste. Original behaviour preserved
@@ -35,6 +39,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
+const watchSocket = require('./lib/watch-socket.js');
 
 // Patterns for commands that require a TTY. Each `match` regex requires
 // `${CMD_POS}` at the front so we only fire when the interactive command sits
@@ -219,10 +224,29 @@ function readWatcherInfo() {
   }
 }
 
+function newHandoffId() {
+  return 'h-' + crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * True when the daemon already holds `id`: queued (pending/), dispatched
+ * (running/<id>.log) or finished (done/). A socket enqueue that timed out
+ * may still have been accepted.
+ */
+function handoffExists(cwd, id) {
+  const root = path.join(cwd, '.devflow-handoff');
+  return [
+    path.join(root, 'pending', `${id}.json`),
+    path.join(root, 'running', `${id}.log`),
+    path.join(root, 'done', `${id}.json`),
+  ].some((f) => fs.existsSync(f));
+}
+
 function writePendingRecord(cmd, cwd, reason, opts = {}) {
-  const id = 'h-' + crypto.randomBytes(4).toString('hex');
+  const id = opts.id || newHandoffId();
   const dir = path.join(cwd, '.devflow-handoff', 'pending');
   try {
+    if (handoffExists(cwd, id)) return id;
     fs.mkdirSync(dir, { recursive: true });
     const record = {
       id,
@@ -235,7 +259,8 @@ function writePendingRecord(cmd, cwd, reason, opts = {}) {
       created_at: new Date().toISOString(),
       status: 'pending',
     };
-    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+    // 'wx': never overwrite a record the daemon wrote after the check above.
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2), { flag: 'wx' });
     return id;
   } catch {
     return id;
@@ -275,7 +300,22 @@ function buildDenyReason({ id, cmd, hit, watcherLive, watcherInfo }) {
   ].join(' ');
 }
 
-function main() {
+/**
+ * Enqueue through the daemon's socket. Resolves the id, or null when there
+ * is no socket or the daemon refused (the caller writes the file instead).
+ * A timeout also resolves null even though the daemon may have accepted the
+ * record, so the fallback write skips ids the daemon already holds.
+ */
+async function enqueueViaSocket(id, cmd, cwd, reason, opts = {}) {
+  const sock = watchSocket.liveSocket();
+  if (!sock) return null;
+  const res = await watchSocket.call(sock, 'enqueue', {
+    id, cmd, cwd, reason, source: 'hook', shell: opts.shell || null,
+  });
+  return res && res.id === id ? id : null;
+}
+
+async function main() {
   if (process.env.DEVFLOW_SKIP_INTERACTIVE_GATE === '1') return;
 
   let input;
@@ -290,15 +330,17 @@ function main() {
 
   const watcherInfo = readWatcherInfo();
   const watcherLive = isWatcherLive();
-  const id = writePendingRecord(cmd, process.cwd(), hit.reason, {
-    shell: watcherInfo && watcherInfo.shell,
-  });
+  const shell = watcherInfo && watcherInfo.shell;
+  const id = newHandoffId();
+  if (!(watcherLive && await enqueueViaSocket(id, cmd, process.cwd(), hit.reason, { shell }))) {
+    writePendingRecord(cmd, process.cwd(), hit.reason, { id, shell });
+  }
 
   deny(buildDenyReason({ id, cmd, hit, watcherLive, watcherInfo }));
 }
 
 if (require.main === module) {
-  main();
+  main().catch(() => {});
 }
 
 module.exports = {
@@ -308,5 +350,7 @@ module.exports = {
   isWatcherLive,
   readWatcherInfo,
   pidFilePath,
+  handoffExists,
+  writePendingRecord,
   buildDenyReason,
 };
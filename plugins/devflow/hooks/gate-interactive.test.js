@@ -15,7 +15,7 @@ const assert = require('node:assert');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { execFileSync, spawnSync } = require('child_process');
+const { execFileSync, spawn, spawnSync } = require('child_process');
 
 const HOOK_PATH = path.join(__dirname, 'gate-interactive.js');
 const { detectInteractive, INTERACTIVE_PATTERNS } = require('./gate-interactive.js');
@@ -476,3 +476,100 @@ describe('buildDenyReason — PTY messaging (post-TRD-19-03)', () => {
     assert.equal(INTERACTIVE_PATTERNS.filter(p => p.category === 'shell-flow').length, 13);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Socket RPC: a daemon started with --socket gets the record over the socket
+// ---------------------------------------------------------------------------
+
+// Async spawn: the fake daemon below serves from this process's event loop.
+function runHookAsync(payload, env, cwd) {
+  return new Promise((resolve) => {
+    const child = spawn('node', [HOOK_PATH], { cwd, env: { ...process.env, ...env } });
+    let stdout = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.on('close', (status) => resolve({ status, stdout }));
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+describe('hook subprocess — socket RPC enqueue', () => {
+  const { createRpcServer } = require('../devflow/bin/lib/watcher-rpc.cjs');
+
+  async function withSocketDaemon(enqueue, fn) {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gate-sock-'));
+    const server = createRpcServer({ methods: { enqueue } });
+    const sock = await server.listen(path.join(tmp, 'w.sock'));
+    const pidFile = path.join(tmp, 'devflow-watch.pid');
+    fs.writeFileSync(pidFile, JSON.stringify({ pid: process.pid, shell: 'zsh', watching: [], socket: sock }));
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'gate-sock-proj-'));
+    try {
+      await fn({ pidFile, project });
+    } finally {
+      await server.close();
+      fs.rmSync(tmp, { recursive: true, force: true });
+      fs.rmSync(project, { recursive: true, force: true });
+    }
+  }
+
+  test('SK-1: live daemon with a socket receives the record over the socket; no file is written', async () => {
+    const calls = [];
+    await withSocketDaemon((params) => { calls.push(params); return { id: params.id, path: '/x', watched: true }; }, async ({ pidFile, project }) => {
+      const r = await runHookAsync({ tool_name: 'Bash', tool_input: { command: 'gh auth login' } }, { DEVFLOW_HANDOFF_PID_FILE: pidFile }, project);
+      assert.equal(r.status, 0);
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].cmd, 'gh auth login');
+      assert.equal(calls[0].cwd, fs.realpathSync(project));
+      assert.equal(calls[0].source, 'hook');
+      assert.equal(calls[0].shell, 'zsh');
+      assert.match(calls[0].id, /^h-[0-9a-f]{8}$/);
+      const reason = JSON.parse(r.stdout).hookSpecificOutput.permissionDecisionReason;
+      assert.ok(reason.includes(`handoff id: ${calls[0].id}`));
+      assert.equal(fs.existsSync(path.join(project, '.devflow-handoff')), false);
+    });
+  });
+
+  test('SK-2: a failed socket enqueue falls back to the pending file with the same id', async () => {
+    await withSocketDaemon(() => { throw new Error('disk full'); }, async ({ pidFile, project }) => {
+      const r = await runHookAsync({ tool_name: 'Bash', tool_input: { command: 'mise install' } }, { DEVFLOW_HANDOFF_PID_FILE: pidFile }, project);
+      const reason = JSON.parse(r.stdout).hookSpecificOutput.permissionDecisionReason;
+      const id = reason.match(/handoff id: (h-[0-9a-f]+)/)[1];
+      const rec = JSON.parse(fs.readFileSync(path.join(project, '.devflow-handoff', 'pending', `${id}.json`), 'utf8'));
+      assert.equal(rec.cmd, 'mise install');
+      assert.equal(rec.shell, 'zsh');
+    });
+  });
+
+  test('SK-3: a socket timeout after the daemon accepted the record does not queue it twice', async () => {
+    let accepted = null;
+    await withSocketDaemon((params) => {
+      // The daemon writes the record, then answers after the hook gave up.
+      const dir = path.join(params.cwd, '.devflow-handoff', 'pending');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${params.id}.json`), JSON.stringify({ id: params.id, cmd: params.cmd, source: 'daemon' }));
+      accepted = params.id;
+      return new Promise((resolve) => setTimeout(() => resolve({ id: params.id }), 600));
+    }, async ({ pidFile, project }) => {
+      await runHookAsync({ tool_name: 'Bash', tool_input: { command: 'gh auth login' } }, { DEVFLOW_HANDOFF_PID_FILE: pidFile }, project);
+      const rec = JSON.parse(fs.readFileSync(path.join(project, '.devflow-handoff', 'pending', `${accepted}.json`), 'utf8'));
+      assert.equal(rec.source, 'daemon', 'the daemon\'s record is not overwritten');
+    });
+  });
+
+  test('SK-4: the fallback skips ids already running or done', () => {
+    const { writePendingRecord } = require('./gate-interactive.js');
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'gate-sock-proj-'));
+    try {
+      const root = path.join(project, '.devflow-handoff');
+      fs.mkdirSync(path.join(root, 'running'), { recursive: true });
+      fs.mkdirSync(path.join(root, 'done'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'running', 'h-0000000a.log'), '');
+      fs.writeFileSync(path.join(root, 'done', 'h-0000000b.json'), '{}');
+      writePendingRecord('gh auth login', project, 'r', { id: 'h-0000000a' });
+      writePendingRecord('gh auth login', project, 'r', { id: 'h-0000000b' });
+      writePendingRecord('gh auth login', project, 'r', { id: 'h-0000000c' });
+      assert.deepEqual(fs.readdirSync(path.join(root, 'pending')), ['h-0000000c.json']);
+    } finally {
+      fs.rmSync(project, { recursive: true, force: true });
+    }
+  });
+});
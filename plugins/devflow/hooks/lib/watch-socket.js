@@ -0,0 +1,102 @@
+/**
+ * hooks/lib/watch-socket.js — Client for the devflow-watch socket RPC
+ *
+ * When the daemon runs with --socket it records the socket path in its PID
+ * file. Hooks use it to enqueue handoffs and read done records without
+ * scanning .devflow-handoff/. The wire format is newline-delimited JSON,
+ * as in devflow/bin/lib/watcher-rpc.cjs.
+ *
+ * Design contract:
+ *   - Self-contained (hooks may run before the runtime is synced)
+ *   - Every failure (no socket, dead daemon, timeout, method error)
+ *     resolves null, and callers fall back to the file protocol
+ *   - Short timeouts: a hook never waits long on a wedged daemon
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 300;
+
+function pidFilePath() {
+  if (process.env.DEVFLOW_HANDOFF_PID_FILE) {
+    return process.env.DEVFLOW_HANDOFF_PID_FILE;
+  }
+  const home = process.env.HOME || os.homedir();
+  return path.join(home, '.devflow', 'devflow-watch.pid');
+}
+
+/**
+ * Socket path of the live daemon, or null when the daemon is not running
+ * or was started without --socket.
+ *
+ * @returns {string|null}
+ */
+function liveSocket() {
+  if (process.platform === 'win32') return null;
+  let info;
+  try {
+    info = JSON.parse(fs.readFileSync(pidFilePath(), 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!info || typeof info.pid !== 'number' || typeof info.socket !== 'string') return null;
+  try {
+    process.kill(info.pid, 0);
+  } catch {
+    return null;
+  }
+  return info.socket;
+}
+
+/**
+ * One request over a fresh connection. Resolves the method's result, or
+ * null on any failure.
+ *
+ * @param {string} socketFile
+ * @param {string} method
+ * @param {object} [params]
+ * @param {number} [timeoutMs]
+ * @returns {Promise<*|null>}
+ */
+function call(socketFile, method, params = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    if (!socketFile) { resolve(null); return; }
+    let settled = false;
+    let buf = '';
+    const socket = net.createConnection(socketFile);
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(value);
+    };
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    socket.setEncoding('utf8');
+    socket.on('error', () => finish(null));
+    socket.on('close', () => finish(null));
+    socket.on('connect', () => {
+      socket.write(JSON.stringify({ id: 1, method, params }) + '\n');
+    });
+    socket.on('data', (chunk) => {
+      buf += chunk;
+      const nl = buf.indexOf('\n');
+      if (nl === -1) return;
+      let msg;
+      try { msg = JSON.parse(buf.slice(0, nl)); } catch { finish(null); return; }
+      finish(msg && msg.id === 1 && msg.ok ? msg.result : null);
+    });
+  });
+}
+
+module.exports = {
+  pidFilePath,
+  liveSocket,
+  call,
+  DEFAULT_TIMEOUT_MS,
+};
@@ -0,0 +1,85 @@
+/**
+ * Tests for hooks/lib/watch-socket.js
+ *
+ * Covers:
+ *   1. liveSocket — null without a PID file, for a dead pid, or without `socket`
+ *   2. liveSocket — the recorded path for a live pid
+ *   3. call — resolves the result of a daemon method
+ *   4. call — null on a method error, a missing socket, or a silent daemon
+ */
+
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const os = require('os');
+
+const { liveSocket, call } = require('./watch-socket.js');
+const { createRpcServer } = require('../../devflow/bin/lib/watcher-rpc.cjs');
+
+describe('watch-socket', () => {
+  let tmp;
+  let prevPid;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-socket-'));
+    prevPid = process.env.DEVFLOW_HANDOFF_PID_FILE;
+    process.env.DEVFLOW_HANDOFF_PID_FILE = path.join(tmp, 'w.pid');
+  });
+  afterEach(() => {
+    if (prevPid === undefined) delete process.env.DEVFLOW_HANDOFF_PID_FILE;
+    else process.env.DEVFLOW_HANDOFF_PID_FILE = prevPid;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  const writePid = (info) => fs.writeFileSync(process.env.DEVFLOW_HANDOFF_PID_FILE, JSON.stringify(info));
+
+  test('1. liveSocket — null without a PID file, for a dead pid, or without socket', () => {
+    assert.equal(liveSocket(), null);
+    writePid({ pid: 999999, socket: '/tmp/x.sock' });
+    assert.equal(liveSocket(), null);
+    writePid({ pid: process.pid });
+    assert.equal(liveSocket(), null);
+  });
+
+  test('2. liveSocket — the recorded path for a live pid', () => {
+    writePid({ pid: process.pid, socket: '/tmp/x.sock' });
+    assert.equal(liveSocket(), '/tmp/x.sock');
+  });
+
+  test('3. call — resolves the result of a daemon method', async () => {
+    const server = createRpcServer({ methods: { status: (params) => ({ echoed: params }) } });
+    const sock = await server.listen(path.join(tmp, 'w.sock'));
+    try {
+      assert.deepEqual(await call(sock, 'status', { a: 1 }), { echoed: { a: 1 } });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('4. call — null on a method error, a missing socket, or a silent daemon', async () => {
+    const server = createRpcServer({ methods: { boom: () => { throw new Error('nope'); } } });
+    const sock = await server.listen(path.join(tmp, 'w.sock'));
+    try {
+      assert.equal(await call(sock, 'boom'), null);
+      assert.equal(await call(sock, 'unknown'), null);
+    } finally {
+      await server.close();
+    }
+    assert.equal(await call(path.join(tmp, 'missing.sock'), 'status'), null);
+    assert.equal(await call(null, 'status'), null);
+
+    const silentPath = path.join(tmp, 'silent.sock');
+    const silent = net.createServer(() => {});
+    await new Promise((r) => silent.listen(silentPath, r));
+    try {
+      const start = Date.now();
+      assert.equal(await call(silentPath, 'status', {}, 50), null);
+      assert.ok(Date.now() - start < 1000);
+    } finally {
+      silent.close();
+    }
+  });
+});
@@ -21,13 +21,24 @@
  *   - Mark each emitted record consumed:true so they don't re-inject
  *   - Special-case rejected/timeout/error statuses with phrasing that
  *     tells Claude NOT to retry the rejected/timed-out command
+ *   - Report a chain (records sharing `chain`, linked by `after: [id]`) as
+ *     one result once none of its steps is still pending; steps cancelled
+ *     behind a failure are listed as skipped
+ *   - For commands still running, inject a progress note with the last
+ *     DEVFLOW_HANDOFF_PROGRESS_LINES lines (default 20) of
+ *     running/<id>.log — the daemon's redacted output stream. A note is
+ *     only repeated once the log has grown (size kept in running/<id>.seen)
+ *   - When the daemon serves its socket RPC (lib/watch-socket.js), ask it
+ *     for the done paths and the in-flight id instead of walking done/ and
+ *     running/, and ack the ids once consumed. Any socket failure falls
+ *     back to the directory scan
  *
  * Truncation: each record's stdout+stderr capped at MAX_OUTPUT_CHARS
  * to bound additionalContext size.
  *
  * Skipped entirely when:
  *   - No .devflow-handoff/done/ directory in cwd or any parent
- *   - All records consumed or stale
+ *   - All records consumed or stale, and no running command has new output
  *   - DEVFLOW_SKIP_HANDOFF_RESULTS=1 (escape hatch)
  *
  * Defensive: never throws, never blocks the user prompt. Malformed JSON
@@ -38,10 +49,13 @@
 
 const fs = require('fs');
 const path = require('path');
+const watchSocket = require('./lib/watch-socket.js');
 
 const HANDOFF_DIR = '.devflow-handoff';
 const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
 const MAX_OUTPUT_CHARS = 4000;
+const DEFAULT_PROGRESS_LINES = 20;
+const PROGRESS_TAIL_BYTES = 64 * 1024;
 
 function findHandoffDir(start) {
   let dir = start;
@@ -57,6 +71,11 @@ function ttlMs() {
   return Number.isFinite(env) && env > 0 ? env : DEFAULT_TTL_MS;
 }
 
+function progressLineCount() {
+  const env = parseInt(process.env.DEVFLOW_HANDOFF_PROGRESS_LINES, 10);
+  return Number.isFinite(env) && env > 0 ? env : DEFAULT_PROGRESS_LINES;
+}
+
 function listDoneFiles(doneDir) {
   if (!fs.existsSync(doneDir)) return [];
   try {
@@ -79,11 +98,12 @@ function isStale(record, now, ttl) {
   return (now - t) > ttl;
 }
 
-function selectUnconsumed(doneDir) {
+// `files` (from the daemon's `results` RPC) replaces the done/ listing.
+function selectUnconsumed(doneDir, files) {
   const now = Date.now();
   const ttl = ttlMs();
   const records = [];
-  for (const filePath of listDoneFiles(doneDir)) {
+  for (const filePath of files || listDoneFiles(doneDir)) {
     const rec = readRecord(filePath);
     if (!rec) continue;
     if (rec.consumed === true) continue;
@@ -95,6 +115,148 @@ function selectUnconsumed(doneDir) {
   return records;
 }
 
+// Chain key: records created with --after / `handoff chain` carry `chain`
+// (the root record's id); the root of an --after chain has none.
+function chainKey(rec) {
+  return rec.chain || rec.id;
+}
+
+// Chains with a step still in pending/ are held back until the last step
+// lands, so the whole chain is reported (and consumed) together.
+function pendingChains(pendingDir) {
+  const keys = new Set();
+  for (const filePath of listDoneFiles(pendingDir)) {
+    const rec = readRecord(filePath);
+    if (rec && rec.id) keys.add(chainKey(rec));
+  }
+  return keys;
+}
+
+/**
+ * Group records into results: [{ key, records }], one per chain, ordered
+ * by each chain's first completed step. Chains with a pending step are
+ * dropped (reported on a later turn).
+ */
+function groupChains(records, pendingDir) {
+  const held = pendingDir ? pendingChains(pendingDir) : new Set();
+  const groups = new Map();
+  for (const rec of records) {
+    const key = chainKey(rec);
+    if (held.has(key)) continue;
+    if (!groups.has(key)) groups.set(key, { key, records: [] });
+    groups.get(key).records.push(rec);
+  }
+  for (const g of groups.values()) {
+    g.records.sort((a, b) => (a.chain_index ?? -1) - (b.chain_index ?? -1)
+      || (a.created_at || '').localeCompare(b.created_at || ''));
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Last `n` lines of a running log. Reads at most PROGRESS_TAIL_BYTES from
+ * the end; ANSI colour codes are stripped and `\r`-redrawn progress bars
+ * collapse to their final state.
+ */
+function tailLines(filePath, n) {
+  let text = '';
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      const len = Math.min(size, PROGRESS_TAIL_BYTES);
+      const buf = Buffer.alloc(len);
+      fs.readSync(fd, buf, 0, len, size - len);
+      text = buf.toString('utf8');
+      if (len < size) text = text.slice(text.indexOf('\n') + 1); // drop the partial first line
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return '';
+  }
+  const lines = text
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+    .split('\n')
+    .map((l) => l.split('\r').filter(Boolean).pop() || '');
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  return lines.slice(-n).join('\n');
+}
+
+/**
+ * Running commands with output the user's session hasn't seen yet:
+ * running/<id>.log whose pending record still exists (a leftover log from
+ * a crashed daemon is ignored) and whose size differs from running/<id>.seen.
+ * `ids` (the daemon's in-flight id) replaces the running/ listing.
+ */
+function selectRunning(handoffDir, ids) {
+  const runningDir = path.join(handoffDir, 'running');
+  if (!fs.existsSync(runningDir)) return [];
+  let names;
+  if (ids) {
+    names = ids.map((id) => `${id}.log`).filter((name) => fs.existsSync(path.join(runningDir, name)));
+  } else {
+    try { names = fs.readdirSync(runningDir); } catch { return []; }
+  }
+  const n = progressLineCount();
+  const out = [];
+  for (const name of names.filter((f) => f.endsWith('.log')).sort()) {
+    const id = name.slice(0, -'.log'.length);
+    const pending = readRecord(path.join(handoffDir, 'pending', `${id}.json`));
+    if (!pending) continue;
+    const logPath = path.join(runningDir, name);
+    let st;
+    try { st = fs.statSync(logPath); } catch { continue; }
+    const seenPath = path.join(runningDir, `${id}.seen`);
+    const seen = readRecord(seenPath);
+    if (seen && seen.size === st.size) continue;
+    out.push({
+      id,
+      cmd: pending.cmd,
+      size: st.size,
+      updated_at: st.mtime.toISOString(),
+      tail: st.size > 0 ? tailLines(logPath, n) : '',
+      _seenPath: seenPath,
+    });
+  }
+  return out;
+}
+
+function renderProgress(running) {
+  const lines = [
+    '## Commands still running',
+    '',
+    `${running.length} handed-off command${running.length === 1 ? ' is' : 's are'} still running in the watcher. ` +
+      'The result arrives on a later turn — do NOT re-run it; cancel with `df-tools handoff cancel <id>` only if the user asks.',
+    '',
+  ];
+  for (const r of running) {
+    lines.push(`### ${r.id} — \`${r.cmd}\` — ⋯ still running`);
+    if (!r.tail) {
+      lines.push('*(no output yet)*');
+    } else {
+      const count = r.tail.split('\n').length;
+      lines.push(`*last output ${r.updated_at}* — last ${count} line${count === 1 ? '' : 's'}:`);
+      lines.push('```');
+      lines.push(truncate(r.tail, MAX_OUTPUT_CHARS));
+      lines.push('```');
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function markReported(running) {
+  const now = new Date().toISOString();
+  for (const r of running) {
+    try {
+      fs.writeFileSync(r._seenPath, JSON.stringify({ size: r.size, reported_at: now }) + '\n');
+    } catch {
+      // non-fatal — the note repeats next turn
+    }
+  }
+}
+
 function truncate(s, max) {
   if (typeof s !== 'string') return '';
   if (s.length <= max) return s;
@@ -110,6 +272,8 @@ function renderRecord(rec) {
     header = `### ${rec.id} — \`${rec.cmd}\` — ✗ timeout`;
   } else if (rec.status === 'error') {
     header = `### ${rec.id} — \`${rec.cmd}\` — ✗ daemon error`;
+  } else if (rec.status === 'cancelled') {
+    header = `### ${rec.id} — \`${rec.cmd}\` — ✗ cancelled`;
   } else if (rec.exit_code === 0) {
     header = `### ${rec.id} — \`${rec.cmd}\` — ✓ exit 0`;
   } else {
@@ -131,10 +295,28 @@ function renderRecord(rec) {
     return lines.join('\n');
   }
 
+  if (rec.status === 'cancelled' && rec.cancel_reason === 'user') {
+    lines.push('');
+    lines.push('**Cancelled by the user** (`handoff cancel`). Do NOT re-run it unless they ask; ' +
+      'any output captured before the cancel is below.');
+  } else if (rec.status === 'cancelled') {
+    lines.push('');
+    lines.push('**Not run — a prerequisite did not succeed.** Resolve the failing step first; ' +
+      'then re-queue this command if it is still needed.');
+    if (rec.stderr) {
+      lines.push('');
+      lines.push('```');
+      lines.push(truncate(rec.stderr, MAX_OUTPUT_CHARS));
+      lines.push('```');
+    }
+    return lines.join('\n');
+  }
+
   if (rec.status === 'timeout') {
     lines.push('');
-    lines.push('**Command exceeded the daemon timeout.** Consider whether to retry, increase ' +
-      `\`timeout_ms\` on the next handoff, or surface the slow operation to the user.`);
+    lines.push('**Command exceeded the daemon timeout.** Consider whether to retry ' +
+      `(\`df-tools handoff retry ${rec.id}\`), increase \`timeout_ms\` on the next handoff, ` +
+      'or surface the slow operation to the user.');
     return lines.join('\n');
   }
 
@@ -162,7 +344,38 @@ function renderRecord(rec) {
   return lines.join('\n');
 }
 
-function renderResults(records) {
+function stepOk(rec) {
+  return rec.exit_code === 0 || (rec.exit_code == null && rec.status === 'done');
+}
+
+/**
+ * Render a chain as one result: a summary header (all steps ok, or the
+ * step that failed and how many were skipped after it) followed by each
+ * step at one heading level down.
+ */
+function renderChain(group) {
+  const steps = group.records;
+  const failed = steps.find((r) => !stepOk(r) && r.status !== 'cancelled');
+  const skipped = steps.filter((r) => r.status === 'cancelled');
+  let summary;
+  if (!failed && skipped.length === 0) {
+    summary = `✓ all ${steps.length} steps exit 0`;
+  } else if (failed) {
+    summary = `✗ failed at step ${steps.indexOf(failed) + 1} of ${steps.length} (${failed.id})` +
+      (skipped.length ? `, ${skipped.length} skipped` : '');
+  } else {
+    summary = `✗ ${skipped.length} of ${steps.length} steps skipped`;
+  }
+  const lines = [`### Chain ${group.key} — ${steps.length} steps — ${summary}`];
+  for (const rec of steps) {
+    lines.push('');
+    lines.push(renderRecord(rec).replace(/^### /, '#### '));
+  }
+  return lines.join('\n');
+}
+
+function renderResults(records, groups) {
+  const results = groups || records.map((r) => ({ key: r.id, records: [r] }));
   const lines = [
     '## Deferred command results',
     '',
@@ -170,8 +383,8 @@ function renderResults(records) {
       'since your last turn. Use these to continue any work that was deferred.',
     '',
   ];
-  for (const r of records) {
-    lines.push(renderRecord(r));
+  for (const g of results) {
+    lines.push(g.records.length > 1 ? renderChain(g) : renderRecord(g.records[0]));
     lines.push('');
   }
   return lines.join('\n');
@@ -204,32 +417,71 @@ function emit(additionalContext) {
   process.stdout.write(JSON.stringify(output));
 }
 
-function main() {
+/**
+ * Ask the daemon's socket for this project's done paths and in-flight id.
+ * Null when there is no socket, the call fails, or the project isn't
+ * watched — the caller then scans the directories.
+ */
+async function socketResults(handoffDir) {
+  const sock = watchSocket.liveSocket();
+  if (!sock) return null;
+  const project = path.dirname(handoffDir);
+  const res = await watchSocket.call(sock, 'results', { project });
+  if (!res || res.watched !== true || !Array.isArray(res.done)) return null;
+  return {
+    sock,
+    project,
+    files: res.done.map((d) => d.path),
+    ids: res.in_flight ? [res.in_flight.id] : [],
+  };
+}
+
+async function main() {
   if (process.env.DEVFLOW_SKIP_HANDOFF_RESULTS === '1') return;
 
   const handoffDir = findHandoffDir(process.cwd());
   if (!handoffDir) return;
   const doneDir = path.join(handoffDir, 'done');
 
-  const unconsumed = selectUnconsumed(doneDir);
-  if (unconsumed.length === 0) return;
+  const viaSocket = await socketResults(handoffDir);
+  const groups = groupChains(
+    selectUnconsumed(doneDir, viaSocket && viaSocket.files),
+    path.join(handoffDir, 'pending'),
+  );
+  const ready = groups.flatMap((g) => g.records);
+  const running = selectRunning(handoffDir, viaSocket && viaSocket.ids);
+  if (ready.length === 0 && running.length === 0) return;
 
-  emit(renderResults(unconsumed));
-  markConsumed(unconsumed);
+  const sections = [];
+  if (ready.length > 0) sections.push(renderResults(ready, groups));
+  if (running.length > 0) sections.push(renderProgress(running));
+  emit(sections.join('\n'));
+  markConsumed(ready);
+  markReported(running);
+  if (viaSocket && ready.length > 0) {
+    await watchSocket.call(viaSocket.sock, 'ack', { project: viaSocket.project, ids: ready.map((r) => r.id) });
+  }
 }
 
 if (require.main === module) {
-  main();
+  main().catch(() => {});
 }
 
 module.exports = {
   findHandoffDir,
   selectUnconsumed,
   renderRecord,
+  renderChain,
   renderResults,
+  groupChains,
   markConsumed,
+  selectRunning,
+  renderProgress,
+  markReported,
+  tailLines,
   truncate,
   isStale,
   DEFAULT_TTL_MS,
+  DEFAULT_PROGRESS_LINES,
   MAX_OUTPUT_CHARS,
 };
@@ -8,12 +8,13 @@ const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 
 const HOOK_PATH = path.join(__dirname, 'route-results.js');
 const {
   findHandoffDir, selectUnconsumed, renderRecord, renderResults,
-  markConsumed, truncate, isStale, DEFAULT_TTL_MS,
+  markConsumed, truncate, isStale, groupChains, DEFAULT_TTL_MS,
+  selectRunning, renderProgress, tailLines,
 } = require('./route-results.js');
 
 function mkTmp() {
@@ -24,6 +25,15 @@ function rmTmp(d) {
   try { fs.rmSync(d, { recursive: true, force: true }); } catch {}
 }
 
+// A command the daemon is still running: pending record + running/<id>.log.
+function seedRunning(tmp, id, log, cmd = 'mise install') {
+  const base = path.join(tmp, '.devflow-handoff');
+  fs.mkdirSync(path.join(base, 'pending'), { recursive: true });
+  fs.mkdirSync(path.join(base, 'running'), { recursive: true });
+  fs.writeFileSync(path.join(base, 'pending', `${id}.json`), JSON.stringify({ id, cmd, status: 'pending' }));
+  fs.writeFileSync(path.join(base, 'running', `${id}.log`), log);
+}
+
 function seedDoneRecord(tmp, id, overrides = {}) {
   const dir = path.join(tmp, '.devflow-handoff', 'done');
   fs.mkdirSync(dir, { recursive: true });
@@ -52,6 +62,37 @@ function seedDoneRecord(tmp, id, overrides = {}) {
 // pure functions
 // ---------------------------------------------------------------------------
 
+describe('running progress', () => {
+  let tmp;
+  beforeEach(() => { tmp = mkTmp(); });
+  afterEach(() => rmTmp(tmp));
+
+  test('tailLines keeps the last n lines, strips ANSI and collapses \\r redraws', () => {
+    const f = path.join(tmp, 'x.log');
+    fs.writeFileSync(f, 'a\nb\n\x1b[32mc\x1b[0m\n 10%\r 55%\r100%\n\n');
+    assert.equal(tailLines(f, 2), 'c\n100%');
+    assert.equal(tailLines(path.join(tmp, 'missing.log'), 2), '');
+  });
+
+  test('selectRunning skips logs without a pending record (crashed daemon leftovers)', () => {
+    seedRunning(tmp, 'h-run', 'installing node\n');
+    fs.writeFileSync(path.join(tmp, '.devflow-handoff', 'running', 'h-gone.log'), 'old\n');
+    const running = selectRunning(path.join(tmp, '.devflow-handoff'));
+    assert.deepEqual(running.map((r) => [r.id, r.cmd, r.tail]), [['h-run', 'mise install', 'installing node']]);
+  });
+
+  test('renderProgress shows the tail, or "no output yet" for a silent command', () => {
+    const md = renderProgress([
+      { id: 'h-1', cmd: 'mise install', tail: 'a\nb', updated_at: '2026-10-19T10:00:00.000Z' },
+      { id: 'h-2', cmd: 'gh auth login', tail: '', updated_at: '2026-10-19T10:00:00.000Z' },
+    ]);
+    assert.match(md, /## Commands still running/);
+    assert.match(md, /2 handed-off commands are still running/);
+    assert.match(md, /### h-1 — `mise install` — ⋯ still running\n\*last output 2026-10-19T10:00:00.000Z\* — last 2 lines:\n```\na\nb\n```/);
+    assert.match(md, /### h-2 — `gh auth login` — ⋯ still running\n\*\(no output yet\)\*/);
+  });
+});
+
 describe('findHandoffDir', () => {
   test('returns null when no .devflow-handoff/ ancestor', () => {
     const tmp = mkTmp();
@@ -168,6 +209,16 @@ describe('renderRecord', () => {
     });
     assert.match(out, /✗ exit 1/);
   });
+
+  test('user-cancelled record says not to re-run and keeps partial output', () => {
+    const out = renderRecord({
+      id: 'h-7', cmd: 'npm login', exit_code: -6, status: 'cancelled', cancel_reason: 'user',
+      stdout: 'Username: ', stderr: '[devflow-watch] cancelled by user',
+    });
+    assert.match(out, /Cancelled by the user/);
+    assert.match(out, /Do NOT re-run/);
+    assert.match(out, /Username:/);
+  });
 });
 
 describe('isStale', () => {
@@ -193,6 +244,49 @@ describe('truncate', () => {
   });
 });
 
+describe('groupChains', () => {
+  let tmp;
+  beforeEach(() => { tmp = mkTmp(); });
+  afterEach(() => rmTmp(tmp));
+
+  function seedPending(id, overrides = {}) {
+    const dir = path.join(tmp, '.devflow-handoff', 'pending');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id, cmd: 'git push', status: 'pending', ...overrides }));
+  }
+
+  test('records sharing a chain form one group in chain order; standalone records stay alone', () => {
+    seedDoneRecord(tmp, 'h-b', { chain: 'h-a', chain_index: 1, after: ['h-a'] });
+    seedDoneRecord(tmp, 'h-a', { chain: 'h-a', chain_index: 0 });
+    seedDoneRecord(tmp, 'h-x');
+    const doneDir = path.join(tmp, '.devflow-handoff', 'done');
+    const groups = groupChains(selectUnconsumed(doneDir), path.join(tmp, '.devflow-handoff', 'pending'));
+    const chain = groups.find((g) => g.key === 'h-a');
+    assert.deepEqual(chain.records.map((r) => r.id), ['h-a', 'h-b']);
+    assert.deepEqual(groups.find((g) => g.key === 'h-x').records.map((r) => r.id), ['h-x']);
+  });
+
+  test('chain with a step still pending is held back', () => {
+    seedDoneRecord(tmp, 'h-a');
+    seedPending('h-b', { chain: 'h-a', after: ['h-a'] });
+    const doneDir = path.join(tmp, '.devflow-handoff', 'done');
+    assert.deepEqual(groupChains(selectUnconsumed(doneDir), path.join(tmp, '.devflow-handoff', 'pending')), []);
+  });
+
+  test('renderResults reports a chain as a single result with the failing step', () => {
+    const steps = [
+      { id: 'h-a', cmd: 'gh auth login', status: 'done', exit_code: 0, chain: 'h-a' },
+      { id: 'h-b', cmd: 'gh auth setup-git', status: 'failed', exit_code: 1, stderr: 'boom', chain: 'h-a' },
+      { id: 'h-c', cmd: 'git push', status: 'cancelled', exit_code: -6, stderr: '[devflow-watch] cancelled: prerequisite h-b did not succeed', chain: 'h-a' },
+    ];
+    const out = renderResults(steps, [{ key: 'h-a', records: steps }]);
+    assert.match(out, /### Chain h-a — 3 steps — ✗ failed at step 2 of 3 \(h-b\), 1 skipped/);
+    assert.match(out, /#### h-c — `git push` — ✗ cancelled/);
+    assert.match(out, /Not run — a prerequisite did not succeed/);
+    assert.doesNotMatch(out, /^### h-/m);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // subprocess integration
 // ---------------------------------------------------------------------------
@@ -253,6 +347,33 @@ describe('hook subprocess', () => {
     assert.match(out.hookSpecificOutput.additionalContext, /Do NOT retry/);
   });
 
+  test('chain is injected once, after its last step lands', () => {
+    seedDoneRecord(tmp, 'h-a', { chain: 'h-a', chain_index: 0 });
+    const pendingDir = path.join(tmp, '.devflow-handoff', 'pending');
+    fs.mkdirSync(pendingDir, { recursive: true });
+    fs.writeFileSync(path.join(pendingDir, 'h-b.json'), JSON.stringify({ id: 'h-b', chain: 'h-a', after: ['h-a'] }));
+    assert.equal(runHook(tmp).stdout, '', 'held while h-b pending');
+
+    fs.unlinkSync(path.join(pendingDir, 'h-b.json'));
+    seedDoneRecord(tmp, 'h-b', { cmd: 'gh auth setup-git', chain: 'h-a', chain_index: 1, after: ['h-a'] });
+    const out = JSON.parse(runHook(tmp).stdout);
+    assert.match(out.hookSpecificOutput.additionalContext, /### Chain h-a — 2 steps — ✓ all 2 steps exit 0/);
+    assert.equal(runHook(tmp).stdout, '', 'both steps consumed');
+  });
+
+  test('running command: progress note is injected once per new output', () => {
+    seedRunning(tmp, 'h-p', 'step 1\nstep 2\nstep 3\n');
+    const out = JSON.parse(runHook(tmp, { DEVFLOW_HANDOFF_PROGRESS_LINES: '2' }).stdout);
+    const ctx = out.hookSpecificOutput.additionalContext;
+    assert.match(ctx, /### h-p — `mise install` — ⋯ still running/);
+    assert.match(ctx, /```\nstep 2\nstep 3\n```/);
+    assert.doesNotMatch(ctx, /Deferred command results/);
+    assert.equal(runHook(tmp).stdout, '', 'no new output → no repeat');
+
+    fs.appendFileSync(path.join(tmp, '.devflow-handoff', 'running', 'h-p.log'), 'step 4\n');
+    assert.match(JSON.parse(runHook(tmp).stdout).hookSpecificOutput.additionalContext, /step 4/);
+  });
+
   test('DEVFLOW_SKIP_HANDOFF_RESULTS=1 bypasses', () => {
     seedDoneRecord(tmp, 'h-1', { completed_at: new Date().toISOString() });
     const r = runHook(tmp, { DEVFLOW_SKIP_HANDOFF_RESULTS: '1' });
@@ -268,3 +389,78 @@ describe('hook subprocess', () => {
     assert.ok(r.stdout.length > 0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Socket RPC: done paths come from the daemon instead of a done/ scan
+// ---------------------------------------------------------------------------
+
+describe('hook subprocess — socket RPC results', () => {
+  const { createRpcServer } = require('../devflow/bin/lib/watcher-rpc.cjs');
+  let tmp;
+  let sockDir;
+  beforeEach(() => {
+    tmp = fs.realpathSync(mkTmp());
+    sockDir = mkTmp();
+  });
+  afterEach(() => { rmTmp(tmp); rmTmp(sockDir); });
+
+  function runHookAsync(cwd, env) {
+    return new Promise((resolve) => {
+      const child = spawn('node', [HOOK_PATH], { cwd, env: { ...process.env, ...env } });
+      let stdout = '';
+      child.stdout.on('data', (d) => { stdout += d; });
+      child.on('close', (status) => resolve({ status, stdout }));
+      child.stdin.end('');
+    });
+  }
+
+  test('SK-1: injects the records the daemon lists, its in-flight progress, and acks what it consumed', async () => {
+    const listed = seedDoneRecord(tmp, 'h-listed', { stdout: 'via socket' });
+    seedDoneRecord(tmp, 'h-unlisted', { stdout: 'not listed' });
+    seedRunning(tmp, 'h-live', 'working\n');
+    seedRunning(tmp, 'h-other', 'leftover\n');
+    const calls = [];
+    const server = createRpcServer({
+      methods: {
+        results: (params) => {
+          calls.push(['results', params]);
+          return { watched: true, done: [{ id: 'h-listed', path: listed }], in_flight: { id: 'h-live', cmd: 'mise install' } };
+        },
+        ack: (params) => { calls.push(['ack', params]); return { removed: params.ids.length }; },
+      },
+    });
+    const sock = await server.listen(path.join(sockDir, 'w.sock'));
+    const pidFile = path.join(sockDir, 'devflow-watch.pid');
+    fs.writeFileSync(pidFile, JSON.stringify({ pid: process.pid, watching: [tmp], socket: sock }));
+    try {
+      const r = await runHookAsync(tmp, { DEVFLOW_HANDOFF_PID_FILE: pidFile });
+      assert.equal(r.status, 0);
+      const ctx = JSON.parse(r.stdout).hookSpecificOutput.additionalContext;
+      assert.match(ctx, /via socket/);
+      assert.doesNotMatch(ctx, /not listed/);
+      assert.match(ctx, /h-live/);
+      assert.doesNotMatch(ctx, /leftover/);
+      assert.deepEqual(calls, [
+        ['results', { project: tmp }],
+        ['ack', { project: tmp, ids: ['h-listed'] }],
+      ]);
+      assert.equal(JSON.parse(fs.readFileSync(listed, 'utf8')).consumed, true);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('SK-2: an unwatched project falls back to scanning done/', async () => {
+    seedDoneRecord(tmp, 'h-1', { stdout: 'from scan' });
+    const server = createRpcServer({ methods: { results: () => ({ watched: false, done: [], in_flight: null }) } });
+    const sock = await server.listen(path.join(sockDir, 'w.sock'));
+    const pidFile = path.join(sockDir, 'devflow-watch.pid');
+    fs.writeFileSync(pidFile, JSON.stringify({ pid: process.pid, watching: [], socket: sock }));
+    try {
+      const r = await runHookAsync(tmp, { DEVFLOW_HANDOFF_PID_FILE: pidFile });
+      assert.match(JSON.parse(r.stdout).hookSpecificOutput.additionalContext, /from scan/);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -5,6 +5,11 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const watchSocket = require('./lib/watch-socket.js');
+
+// Statusline renders on every turn — don't wait long on a busy daemon.
+const STATUS_RPC_TIMEOUT_MS = 150;
+const STATUS_CMD_MAX = 32;
 
 // 23-02: cache resolved watcher-state lib across renders within this process
 let _stateLibPath = null;
@@ -14,7 +19,7 @@ let _stateLib = null;
 let input = '';
 process.stdin.setEncoding('utf8');
 process.stdin.on('data', chunk => input += chunk);
-process.stdin.on('end', () => {
+process.stdin.on('end', async () => {
   try {
     const data = JSON.parse(input);
     const model = data.model?.display_name || 'Claude';
@@ -88,7 +93,8 @@ process.stdin.on('end', () => {
     // Renders ▶ watcher (green idle) or ⏸ N pending (yellow active) or hides
     // entirely. Wrapped in try/catch — statusline must NEVER crash on watcher
     // state errors (devflow not synced, malformed PID file, missing project
-    // paths, etc.).
+    // paths, etc.). A daemon started with --socket answers a `status` RPC
+    // instead, which also names the running command: ⏵ <cmd> +N queued.
     let watcherStatus = '';
     try {
       const cwdLocal = data.workspace?.current_dir || process.cwd();
@@ -105,8 +111,22 @@ process.stdin.on('end', () => {
           if (_stateLib && _stateLib.isWatcherLive()) {
             const info = _stateLib.readPidFile();
             const watching = (info && Array.isArray(info.watching)) ? info.watching : [];
+            const live = info && info.socket
+              ? await watchSocket.call(info.socket, 'status', {}, STATUS_RPC_TIMEOUT_MS)
+              : null;
             let pendingCount = 0;
-            for (const projRoot of watching) {
+            if (live) {
+              const running = Object.values(live.in_flight || {});
+              pendingCount = Object.values(live.pending_counts || {}).reduce((a, b) => a + b, 0);
+              if (running.length > 0) {
+                // In-flight records stay in pending/ until done.
+                const queued = Math.max(0, pendingCount - running.length);
+                const cmd = String(running[0].cmd || '');
+                const shown = cmd.length > STATUS_CMD_MAX ? cmd.slice(0, STATUS_CMD_MAX - 1) + '…' : cmd;
+                watcherStatus = `\x1b[33m⏵ ${shown}${queued > 0 ? ` +${queued} queued` : ''}\x1b[0m`;
+              }
+            }
+            for (const projRoot of live ? [] : watching) {
               try {
                 const pendDir = path.join(projRoot, '.devflow-handoff', 'pending');
                 if (fs.existsSync(pendDir)) {
@@ -114,9 +134,11 @@ process.stdin.on('end', () => {
                 }
               } catch { /* per-project errors swallowed; others still counted */ }
             }
-            watcherStatus = pendingCount > 0
-              ? `\x1b[33m⏸ ${pendingCount} pending\x1b[0m`
-              : `\x1b[32m▶ watcher\x1b[0m`;
+            if (!watcherStatus) {
+              watcherStatus = pendingCount > 0
+                ? `\x1b[33m⏸ ${pendingCount} pending\x1b[0m`
+                : `\x1b[32m▶ watcher\x1b[0m`;
+            }
           }
         }
       }
@@ -12,7 +12,8 @@
  *   F — Failure tolerance                                  (4 tests)
  *   P — Position / format / preserved-paths                (5 tests)
  *   D — Documentation grep                                 (3 tests)
- * Total: 25 tests (22 listed + 3 extra harness assertions for resilience).
+ *   R — Socket RPC status                                  (2 tests)
+ * Total: 27 tests (24 listed + 3 extra harness assertions for resilience).
  */
 
 const { test } = require('node:test');
@@ -559,3 +560,66 @@ test('D-3 doc section documents multi-project pending count behavior', () => {
   // — at least one cue that pending counts come from all watched projects.
   assert.match(content, /sum|across|watching|multi-project/i);
 });
+
+// ---------------------------------------------------------------------------
+// Group R — Socket RPC status (daemon started with --socket)
+// ---------------------------------------------------------------------------
+
+// Async spawn: the fake daemon serves from this process's event loop.
+function runAsync(input, env) {
+  const { spawn } = require('child_process');
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'statusline.js')], { env, cwd: os.tmpdir() });
+    let stdout = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.on('close', (status) => resolve({ status, stdout }));
+    child.stdin.end(input);
+  });
+}
+
+function socketEnv(tmp, proj, socket) {
+  const env = fixtures.buildStatuslineEnv({
+    tmpHome: path.join(tmp, 'home'),
+    projectDir: proj,
+    daemonAlive: true,
+    watching: [proj],
+    pendingByProject: { [proj]: 2 },
+    configContent: { daemon: { status_line: true } },
+  });
+  const pidFile = path.join(env.home, '.devflow', 'devflow-watch.pid');
+  fs.writeFileSync(pidFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(pidFile, 'utf8')), socket }));
+  return env;
+}
+
+test('R-1 socket status names the running command: ⏵ <cmd> +N queued', async (t) => {
+  const tmp = makeTmp();
+  const { createRpcServer } = require('../devflow/bin/lib/watcher-rpc.cjs');
+  const proj = path.join(tmp, 'proj');
+  const server = createRpcServer({
+    methods: {
+      status: () => ({
+        projects: [proj],
+        in_flight: { [proj]: { id: 'h-1', cmd: 'gh auth login --hostname github.example.com', started_at: 'x' } },
+        pending_counts: { [proj]: 3 },
+      }),
+    },
+  });
+  const sock = await server.listen(path.join(tmp, 'w.sock'));
+  t.after(async () => { await server.close(); rmSync(tmp, { recursive: true, force: true }); });
+  const env = socketEnv(tmp, proj, sock);
+  const result = await runAsync(fixtures.buildStatuslineInput({ workspace_dir: proj }), env.env);
+  assert.equal(result.status, 0);
+  const out = fixtures.stripAnsi(result.stdout);
+  assert.match(out, /⏵ gh auth login --hostname github… \+2 queued/);
+  assert.doesNotMatch(out, /⏸/);
+});
+
+test('R-2 socket recorded but not answering → falls back to the pending scan', async (t) => {
+  const tmp = makeTmp();
+  t.after(() => rmSync(tmp, { recursive: true, force: true }));
+  const proj = path.join(tmp, 'proj');
+  const env = socketEnv(tmp, proj, path.join(tmp, 'gone.sock'));
+  const result = await runAsync(fixtures.buildStatuslineInput({ workspace_dir: proj }), env.env);
+  assert.equal(result.status, 0);
+  assert.match(fixtures.stripAnsi(result.stdout), /⏸ 2 pending/);
+});